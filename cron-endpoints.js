@@ -25,7 +25,7 @@ function setupCronEndpoints(app, priceMonitor, flightTracker) {
         }
 
         console.log('Running scheduled flight status check via Cloud Scheduler...');
-        flightTracker.checkAllTrackedFlights()
+        flightTracker.checkDueTrackedFlights()
             .then(() => res.status(200).send('Flight status check completed'))
             .catch(err => {
                 console.error('Error in flight status check:', err);
@@ -0,0 +1,116 @@
+/**
+ * Aircraft types keyed by IATA equipment code (the aircraft code on offers and schedules)
+ * Format: { "CODE": { name, category } }
+ * Categories: narrow-body, wide-body, regional (jets), turboprop
+ * Generic family codes such as "737" or "ATR" are listed alongside the variants.
+ */
+const aircraftTypes = {
+    // Airbus narrow-body
+    "318": { name: "Airbus A318", category: "narrow-body" },
+    "319": { name: "Airbus A319", category: "narrow-body" },
+    "31N": { name: "Airbus A319neo", category: "narrow-body" },
+    "320": { name: "Airbus A320", category: "narrow-body" },
+    "32A": { name: "Airbus A320 (sharklets)", category: "narrow-body" },
+    "32N": { name: "Airbus A320neo", category: "narrow-body" },
+    "321": { name: "Airbus A321", category: "narrow-body" },
+    "32B": { name: "Airbus A321 (sharklets)", category: "narrow-body" },
+    "32Q": { name: "Airbus A321neo", category: "narrow-body" },
+    "32S": { name: "Airbus A318/319/320/321", category: "narrow-body" },
+    "221": { name: "Airbus A220-100", category: "narrow-body" },
+    "223": { name: "Airbus A220-300", category: "narrow-body" },
+    "22N": { name: "Airbus A220", category: "narrow-body" },
+
+    // Airbus wide-body
+    "330": { name: "Airbus A330", category: "wide-body" },
+    "332": { name: "Airbus A330-200", category: "wide-body" },
+    "333": { name: "Airbus A330-300", category: "wide-body" },
+    "338": { name: "Airbus A330-800neo", category: "wide-body" },
+    "339": { name: "Airbus A330-900neo", category: "wide-body" },
+    "340": { name: "Airbus A340", category: "wide-body" },
+    "343": { name: "Airbus A340-300", category: "wide-body" },
+    "346": { name: "Airbus A340-600", category: "wide-body" },
+    "350": { name: "Airbus A350", category: "wide-body" },
+    "359": { name: "Airbus A350-900", category: "wide-body" },
+    "351": { name: "Airbus A350-1000", category: "wide-body" },
+    "380": { name: "Airbus A380", category: "wide-body" },
+    "388": { name: "Airbus A380-800", category: "wide-body" },
+
+    // Boeing narrow-body
+    "737": { name: "Boeing 737", category: "narrow-body" },
+    "733": { name: "Boeing 737-300", category: "narrow-body" },
+    "734": { name: "Boeing 737-400", category: "narrow-body" },
+    "735": { name: "Boeing 737-500", category: "narrow-body" },
+    "736": { name: "Boeing 737-600", category: "narrow-body" },
+    "73G": { name: "Boeing 737-700", category: "narrow-body" },
+    "738": { name: "Boeing 737-800", category: "narrow-body" },
+    "73H": { name: "Boeing 737-800 (winglets)", category: "narrow-body" },
+    "739": { name: "Boeing 737-900", category: "narrow-body" },
+    "73J": { name: "Boeing 737-900 (winglets)", category: "narrow-body" },
+    "7M7": { name: "Boeing 737 MAX 7", category: "narrow-body" },
+    "7M8": { name: "Boeing 737 MAX 8", category: "narrow-body" },
+    "7M9": { name: "Boeing 737 MAX 9", category: "narrow-body" },
+    "7MJ": { name: "Boeing 737 MAX 10", category: "narrow-body" },
+    "757": { name: "Boeing 757", category: "narrow-body" },
+    "752": { name: "Boeing 757-200", category: "narrow-body" },
+    "753": { name: "Boeing 757-300", category: "narrow-body" },
+
+    // Boeing wide-body
+    "747": { name: "Boeing 747", category: "wide-body" },
+    "744": { name: "Boeing 747-400", category: "wide-body" },
+    "74H": { name: "Boeing 747-8", category: "wide-body" },
+    "767": { name: "Boeing 767", category: "wide-body" },
+    "763": { name: "Boeing 767-300", category: "wide-body" },
+    "764": { name: "Boeing 767-400", category: "wide-body" },
+    "777": { name: "Boeing 777", category: "wide-body" },
+    "772": { name: "Boeing 777-200", category: "wide-body" },
+    "77L": { name: "Boeing 777-200LR", category: "wide-body" },
+    "773": { name: "Boeing 777-300", category: "wide-body" },
+    "77W": { name: "Boeing 777-300ER", category: "wide-body" },
+    "779": { name: "Boeing 777-9", category: "wide-body" },
+    "787": { name: "Boeing 787 Dreamliner", category: "wide-body" },
+    "788": { name: "Boeing 787-8 Dreamliner", category: "wide-body" },
+    "789": { name: "Boeing 787-9 Dreamliner", category: "wide-body" },
+    "781": { name: "Boeing 787-10 Dreamliner", category: "wide-body" },
+
+    // Regional jets
+    "E70": { name: "Embraer 170", category: "regional" },
+    "E75": { name: "Embraer 175", category: "regional" },
+    "E7W": { name: "Embraer 175 (winglets)", category: "regional" },
+    "E90": { name: "Embraer 190", category: "regional" },
+    "E95": { name: "Embraer 195", category: "regional" },
+    "290": { name: "Embraer E190-E2", category: "regional" },
+    "295": { name: "Embraer E195-E2", category: "regional" },
+    "ER4": { name: "Embraer ERJ-145", category: "regional" },
+    "ERJ": { name: "Embraer ERJ-135/140/145", category: "regional" },
+    "CRJ": { name: "Bombardier CRJ", category: "regional" },
+    "CR2": { name: "Bombardier CRJ200", category: "regional" },
+    "CR7": { name: "Bombardier CRJ700", category: "regional" },
+    "CR9": { name: "Bombardier CRJ900", category: "regional" },
+    "CRK": { name: "Bombardier CRJ1000", category: "regional" },
+    "SU9": { name: "Sukhoi Superjet 100", category: "regional" },
+    "AR8": { name: "Avro RJ85", category: "regional" },
+    "100": { name: "Fokker 100", category: "regional" },
+
+    // Turboprops
+    "ATR": { name: "ATR 42/72", category: "turboprop" },
+    "AT4": { name: "ATR 42", category: "turboprop" },
+    "AT5": { name: "ATR 42-500", category: "turboprop" },
+    "AT7": { name: "ATR 72", category: "turboprop" },
+    "ATD": { name: "ATR 42-600", category: "turboprop" },
+    "DH4": { name: "De Havilland Dash 8-400", category: "turboprop" },
+    "DH8": { name: "De Havilland Dash 8", category: "turboprop" },
+    "DH3": { name: "De Havilland Dash 8-300", category: "turboprop" },
+    "DHT": { name: "De Havilland Twin Otter", category: "turboprop" },
+    "SF3": { name: "Saab 340", category: "turboprop" },
+    "S20": { name: "Saab 2000", category: "turboprop" },
+    "BEH": { name: "Beechcraft 1900", category: "turboprop" },
+    "J31": { name: "BAe Jetstream 31", category: "turboprop" },
+    "J41": { name: "BAe Jetstream 41", category: "turboprop" },
+    "D28": { name: "Dornier 228", category: "turboprop" },
+    "D38": { name: "Dornier 328", category: "turboprop" },
+    "CN1": { name: "Cessna Caravan", category: "turboprop" },
+    "EM2": { name: "Embraer EMB 120 Brasilia", category: "turboprop" },
+    "F50": { name: "Fokker 50", category: "turboprop" }
+};
+
+module.exports = aircraftTypes;
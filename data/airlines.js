@@ -0,0 +1,10152 @@
+/**
+ * Airline reference data keyed by IATA code
+ * Format: { "IATA": { iata, icao, name, aliases, callsign, country, active } }
+ * Auto-generated from airlines.csv on 2026-10-19T19:20:04.612Z
+ */
+const airlines = {
+    "10": {
+      "iata": "10",
+      "icao": "CNN",
+      "name": "Canadian World",
+      "aliases": [],
+      "callsign": "Canadian",
+      "country": "Canada",
+      "active": false
+    },
+    "11": {
+      "iata": "11",
+      "icao": null,
+      "name": "TUIfly (X3)",
+      "aliases": [],
+      "callsign": null,
+      "country": "Germany",
+      "active": true
+    },
+    "12": {
+      "iata": "12",
+      "icao": null,
+      "name": "12 North",
+      "aliases": [],
+      "callsign": "12N",
+      "country": "India",
+      "active": true
+    },
+    "13": {
+      "iata": "13",
+      "icao": "EAV",
+      "name": "Eastern Atlantic Virtual Airlines",
+      "aliases": [],
+      "callsign": "EAVA",
+      "country": "United States",
+      "active": true
+    },
+    "20": {
+      "iata": "20",
+      "icao": "RNE",
+      "name": "Air Salone",
+      "aliases": [],
+      "callsign": "AIR SALONE",
+      "country": "Sierra Leone",
+      "active": true
+    },
+    "24": {
+      "iata": "24",
+      "icao": null,
+      "name": "Euro Jet",
+      "aliases": [],
+      "callsign": null,
+      "country": "Germany",
+      "active": true
+    },
+    "47": {
+      "iata": "47",
+      "icao": "VVN",
+      "name": "88",
+      "aliases": [],
+      "callsign": null,
+      "country": "Cyprus",
+      "active": true
+    },
+    "69": {
+      "iata": "69",
+      "icao": null,
+      "name": "Royal European Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "United Kingdom",
+      "active": true
+    },
+    "76": {
+      "iata": "76",
+      "icao": "SJS",
+      "name": "Southjet",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "77": {
+      "iata": "77",
+      "icao": "ZCS",
+      "name": "Southjet connect",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "78": {
+      "iata": "78",
+      "icao": "XAN",
+      "name": "Southjet cargo",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "88": {
+      "iata": "88",
+      "icao": null,
+      "name": "All Australia",
+      "aliases": [],
+      "callsign": null,
+      "country": "Australia",
+      "active": true
+    },
+    "99": {
+      "iata": "99",
+      "icao": null,
+      "name": "Ciao Air",
+      "aliases": [],
+      "callsign": null,
+      "country": "Italy",
+      "active": true
+    },
+    "1T": {
+      "iata": "1T",
+      "icao": "RNX",
+      "name": "1Time Airline",
+      "aliases": [],
+      "callsign": "NEXTIME",
+      "country": "South Africa",
+      "active": true
+    },
+    "Q5": {
+      "iata": "Q5",
+      "icao": "MLA",
+      "name": "40-Mile Air",
+      "aliases": [],
+      "callsign": "MILE-AIR",
+      "country": "United States",
+      "active": true
+    },
+    "AN": {
+      "iata": "AN",
+      "icao": "AAA",
+      "name": "Ansett Australia",
+      "aliases": [],
+      "callsign": "ANSETT",
+      "country": "Australia",
+      "active": true
+    },
+    "1B": {
+      "iata": "1B",
+      "icao": null,
+      "name": "Abacus International",
+      "aliases": [],
+      "callsign": null,
+      "country": "Singapore",
+      "active": true
+    },
+    "W9": {
+      "iata": "W9",
+      "icao": "JAB",
+      "name": "Air Bagan",
+      "aliases": [],
+      "callsign": "AIR BAGAN",
+      "country": "Myanmar (Burma)",
+      "active": true
+    },
+    "ZI": {
+      "iata": "ZI",
+      "icao": "AAF",
+      "name": "Aigle Azur",
+      "aliases": [],
+      "callsign": "AIGLE AZUR",
+      "country": "France",
+      "active": true
+    },
+    "AQ": {
+      "iata": "AQ",
+      "icao": "AAH",
+      "name": "Aloha Airlines",
+      "aliases": [],
+      "callsign": "ALOHA",
+      "country": "United States",
+      "active": true
+    },
+    "AA": {
+      "iata": "AA",
+      "icao": "AAL",
+      "name": "American Airlines",
+      "aliases": [],
+      "callsign": "AMERICAN",
+      "country": "United States",
+      "active": true
+    },
+    "OZ": {
+      "iata": "OZ",
+      "icao": "AAR",
+      "name": "Asiana Airlines",
+      "aliases": [],
+      "callsign": "ASIANA",
+      "country": "South Korea",
+      "active": true
+    },
+    "4K": {
+      "iata": "4K",
+      "icao": "AAS",
+      "name": "Askari Aviation",
+      "aliases": [],
+      "callsign": "AL-AAS",
+      "country": "Pakistan",
+      "active": true
+    },
+    "8U": {
+      "iata": "8U",
+      "icao": "AAW",
+      "name": "Afriqiyah Airways",
+      "aliases": [],
+      "callsign": "AFRIQIYAH",
+      "country": "Libya",
+      "active": true
+    },
+    "Q9": {
+      "iata": "Q9",
+      "icao": "NAK",
+      "name": "Arik Niger",
+      "aliases": [],
+      "callsign": null,
+      "country": "Niger",
+      "active": true
+    },
+    "G4": {
+      "iata": "G4",
+      "icao": "AAY",
+      "name": "Allegiant Air",
+      "aliases": [],
+      "callsign": "ALLEGIANT",
+      "country": "United States",
+      "active": true
+    },
+    "K5": {
+      "iata": "K5",
+      "icao": "SQH",
+      "name": "SeaPort Airlines",
+      "aliases": [],
+      "callsign": "SASQUATCH",
+      "country": "United States",
+      "active": true
+    },
+    "M3": {
+      "iata": "M3",
+      "icao": "TUS",
+      "name": "ABSA - Aerolinhas Brasileiras",
+      "aliases": [],
+      "callsign": "ABSA Cargo",
+      "country": "Brazil",
+      "active": true
+    },
+    "04": {
+      "iata": "04",
+      "icao": "ABV",
+      "name": "Antrak Air",
+      "aliases": [],
+      "callsign": "ANTRAK",
+      "country": "Ghana",
+      "active": false
+    },
+    "GB": {
+      "iata": "GB",
+      "icao": "BZE",
+      "name": "BRAZIL AIR",
+      "aliases": [],
+      "callsign": "BRAZIL AIR",
+      "country": "Brazil",
+      "active": true
+    },
+    "8V": {
+      "iata": "8V",
+      "icao": "ACP",
+      "name": "Astral Aviation",
+      "aliases": [],
+      "callsign": "ASTRAL CARGO",
+      "country": "Kenya",
+      "active": true
+    },
+    "E4": {
+      "iata": "E4",
+      "icao": "GIE",
+      "name": "Elysian Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Cameroon",
+      "active": true
+    },
+    "YT": {
+      "iata": "YT",
+      "icao": null,
+      "name": "Yeti Airways",
+      "aliases": [],
+      "callsign": null,
+      "country": "Nepal",
+      "active": true
+    },
+    "4G": {
+      "iata": "4G",
+      "icao": "GZP",
+      "name": "Gazpromavia",
+      "aliases": [],
+      "callsign": "GAZPROMAVIA",
+      "country": "Russia",
+      "active": true
+    },
+    "7A": {
+      "iata": "7A",
+      "icao": null,
+      "name": "Aztec Worldwide Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": false
+    },
+    "8T": {
+      "iata": "8T",
+      "icao": null,
+      "name": "Air Tindi",
+      "aliases": [],
+      "callsign": null,
+      "country": "Canada",
+      "active": true
+    },
+    "ZY": {
+      "iata": "ZY",
+      "icao": "ADE",
+      "name": "Ada Air",
+      "aliases": [],
+      "callsign": "ADA AIR",
+      "country": "Albania",
+      "active": true
+    },
+    "Z7": {
+      "iata": "Z7",
+      "icao": null,
+      "name": "REDjet",
+      "aliases": [],
+      "callsign": null,
+      "country": "Barbados",
+      "active": true
+    },
+    "JP": {
+      "iata": "JP",
+      "icao": "ADR",
+      "name": "Adria Airways",
+      "aliases": [],
+      "callsign": "ADRIA",
+      "country": "Slovenia",
+      "active": true
+    },
+    "UX": {
+      "iata": "UX",
+      "icao": "AEA",
+      "name": "Air Europa",
+      "aliases": [],
+      "callsign": "EUROPA",
+      "country": "Spain",
+      "active": true
+    },
+    "EM": {
+      "iata": "EM",
+      "icao": "AEB",
+      "name": "Aero Benin",
+      "aliases": [],
+      "callsign": "AEROBEN",
+      "country": "Benin",
+      "active": true
+    },
+    "A3": {
+      "iata": "A3",
+      "icao": "AEE",
+      "name": "Aegean Airlines",
+      "aliases": [],
+      "callsign": "AEGEAN",
+      "country": "Greece",
+      "active": true
+    },
+    "KI": {
+      "iata": "KI",
+      "icao": "DHI",
+      "name": "Adam Air",
+      "aliases": [],
+      "callsign": "ADAM SKY",
+      "country": "Indonesia",
+      "active": true
+    },
+    "PE": {
+      "iata": "PE",
+      "icao": "AEL",
+      "name": "Air Europe",
+      "aliases": [],
+      "callsign": "AIR EUROPE",
+      "country": "Italy",
+      "active": true
+    },
+    "KO": {
+      "iata": "KO",
+      "icao": "AER",
+      "name": "Alaska Central Express",
+      "aliases": [],
+      "callsign": "ACE AIR",
+      "country": "United States",
+      "active": true
+    },
+    "5W": {
+      "iata": "5W",
+      "icao": "AEU",
+      "name": "Astraeus",
+      "aliases": [],
+      "callsign": "FLYSTAR",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "VV": {
+      "iata": "VV",
+      "icao": "AEW",
+      "name": "Aerosvit Airlines",
+      "aliases": [],
+      "callsign": "AEROSVIT",
+      "country": "Ukraine",
+      "active": true
+    },
+    "I9": {
+      "iata": "I9",
+      "icao": "AEY",
+      "name": "Air Italy",
+      "aliases": [],
+      "callsign": "AIR ITALY",
+      "country": "Italy",
+      "active": false
+    },
+    "WK": {
+      "iata": "WK",
+      "icao": "EDW",
+      "name": "Edelweiss Air",
+      "aliases": [],
+      "callsign": "EDELWEISS",
+      "country": "Switzerland",
+      "active": true
+    },
+    "QQ": {
+      "iata": "QQ",
+      "icao": "UTY",
+      "name": "Alliance Airlines",
+      "aliases": [],
+      "callsign": "UNITY",
+      "country": "Australia",
+      "active": true
+    },
+    "FG": {
+      "iata": "FG",
+      "icao": "AFG",
+      "name": "Ariana Afghan Airlines",
+      "aliases": [],
+      "callsign": "ARIANA",
+      "country": "Afghanistan",
+      "active": true
+    },
+    "SU": {
+      "iata": "SU",
+      "icao": "AFL",
+      "name": "Aeroflot Russian Airlines",
+      "aliases": [],
+      "callsign": "AEROFLOT",
+      "country": "Russia",
+      "active": true
+    },
+    "JA": {
+      "iata": "JA",
+      "icao": "BON",
+      "name": "Air Bosna",
+      "aliases": [],
+      "callsign": "AIR BOSNA",
+      "country": "Bosnia and Herzegovina",
+      "active": true
+    },
+    "AF": {
+      "iata": "AF",
+      "icao": "AFR",
+      "name": "Air France",
+      "aliases": [],
+      "callsign": "AIRFRANS",
+      "country": "France",
+      "active": true
+    },
+    "SB": {
+      "iata": "SB",
+      "icao": "ACI",
+      "name": "Air Caledonie International",
+      "aliases": [],
+      "callsign": "AIRCALIN",
+      "country": "France",
+      "active": true
+    },
+    "GN": {
+      "iata": "GN",
+      "icao": null,
+      "name": "GNB Linhas Aereas",
+      "aliases": [],
+      "callsign": null,
+      "country": "Brazil",
+      "active": true
+    },
+    "2O": {
+      "iata": "2O",
+      "icao": null,
+      "name": "Air Salone",
+      "aliases": [],
+      "callsign": null,
+      "country": "Sierra Leone",
+      "active": true
+    },
+    "2Q": {
+      "iata": "2Q",
+      "icao": "SNC",
+      "name": "Air Cargo Carriers",
+      "aliases": [],
+      "callsign": "NIGHT CARGO",
+      "country": "United States",
+      "active": true
+    },
+    "V7": {
+      "iata": "V7",
+      "icao": "VOE",
+      "name": "VOLOTEA Airways",
+      "aliases": [],
+      "callsign": null,
+      "country": "Spain",
+      "active": true
+    },
+    "SW": {
+      "iata": "SW",
+      "icao": "NMB",
+      "name": "Air Namibia",
+      "aliases": [],
+      "callsign": "NAMIBIA",
+      "country": "Namibia",
+      "active": true
+    },
+    "G8": {
+      "iata": "G8",
+      "icao": "GOW",
+      "name": "Go Air",
+      "aliases": [],
+      "callsign": "GOAIR",
+      "country": "India",
+      "active": true
+    },
+    "5D": {
+      "iata": "5D",
+      "icao": "SLI",
+      "name": "Aerolitoral",
+      "aliases": [],
+      "callsign": "COSTERA",
+      "country": "Mexico",
+      "active": true
+    },
+    "1A": {
+      "iata": "1A",
+      "icao": "AGT",
+      "name": "Amadeus Global Travel Distribution",
+      "aliases": [],
+      "callsign": "AMADEUS",
+      "country": "Spain",
+      "active": false
+    },
+    "7T": {
+      "iata": "7T",
+      "icao": "AGV",
+      "name": "Air Glaciers",
+      "aliases": [],
+      "callsign": "AIR GLACIERS",
+      "country": "Switzerland",
+      "active": true
+    },
+    "PL": {
+      "iata": "PL",
+      "icao": "PLI",
+      "name": "Aeroper",
+      "aliases": [],
+      "callsign": "Aeroperu",
+      "country": "Peru",
+      "active": true
+    },
+    "8A": {
+      "iata": "8A",
+      "icao": "BMM",
+      "name": "Atlas Blue",
+      "aliases": [],
+      "callsign": "ATLAS BLUE",
+      "country": "Morocco",
+      "active": true
+    },
+    "GD": {
+      "iata": "GD",
+      "icao": "AHA",
+      "name": "Air Alpha Greenland",
+      "aliases": [],
+      "callsign": "AIR ALPHA",
+      "country": "Denmark",
+      "active": false
+    },
+    "LD": {
+      "iata": "LD",
+      "icao": "AHK",
+      "name": "Air Hong Kong",
+      "aliases": [],
+      "callsign": "AIR HONG KONG",
+      "country": "Hong Kong",
+      "active": false
+    },
+    "HT": {
+      "iata": "HT",
+      "icao": "IMP",
+      "name": "Hellenic Imperial Airways",
+      "aliases": [],
+      "callsign": "IMPERIAL",
+      "country": "Greece",
+      "active": true
+    },
+    "J2": {
+      "iata": "J2",
+      "icao": "AHY",
+      "name": "Azerbaijan Airlines",
+      "aliases": [],
+      "callsign": "AZAL",
+      "country": "Azerbaijan",
+      "active": true
+    },
+    "U3": {
+      "iata": "U3",
+      "icao": "AIA",
+      "name": "Avies",
+      "aliases": [],
+      "callsign": "AVIES",
+      "country": "Estonia",
+      "active": true
+    },
+    "AP": {
+      "iata": "AP",
+      "icao": "ADH",
+      "name": "Air One",
+      "aliases": [],
+      "callsign": "HERON",
+      "country": "Italy",
+      "active": true
+    },
+    "5A": {
+      "iata": "5A",
+      "icao": "AIP",
+      "name": "Alpine Air Express",
+      "aliases": [],
+      "callsign": "ALPINE AIR",
+      "country": "United States",
+      "active": false
+    },
+    "ED": {
+      "iata": "ED",
+      "icao": "ABQ",
+      "name": "Airblue",
+      "aliases": [],
+      "callsign": "PAKBLUE",
+      "country": "Pakistan",
+      "active": true
+    },
+    "AB": {
+      "iata": "AB",
+      "icao": "BER",
+      "name": "Air Berlin",
+      "aliases": [],
+      "callsign": "AIR BERLIN",
+      "country": "Germany",
+      "active": true
+    },
+    "AG": {
+      "iata": "AG",
+      "icao": "SSA",
+      "name": "All America US",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "AI": {
+      "iata": "AI",
+      "icao": "AIC",
+      "name": "Air India Limited",
+      "aliases": [],
+      "callsign": "AIRINDIA",
+      "country": "India",
+      "active": true
+    },
+    "ZB": {
+      "iata": "ZB",
+      "icao": "BUB",
+      "name": "Air Bourbon",
+      "aliases": [],
+      "callsign": "BOURBON",
+      "country": "Reunion",
+      "active": false
+    },
+    "CC": {
+      "iata": "CC",
+      "icao": "ABD",
+      "name": "Air Atlanta Icelandic",
+      "aliases": [],
+      "callsign": "ATLANTA",
+      "country": "Iceland",
+      "active": true
+    },
+    "RB": {
+      "iata": "RB",
+      "icao": "SYR",
+      "name": "Syrian Arab Airlines",
+      "aliases": [],
+      "callsign": "SYRIANAIR",
+      "country": "Syria",
+      "active": true
+    },
+    "TN": {
+      "iata": "TN",
+      "icao": "THT",
+      "name": "Air Tahiti Nui",
+      "aliases": [],
+      "callsign": "TAHITI AIRLINES",
+      "country": "France",
+      "active": true
+    },
+    "W4": {
+      "iata": "W4",
+      "icao": "WER",
+      "name": "AeroWorld",
+      "aliases": [
+        "Sovet Air"
+      ],
+      "callsign": "sovet",
+      "country": "Russia",
+      "active": true
+    },
+    "IZ": {
+      "iata": "IZ",
+      "icao": "AIZ",
+      "name": "Arkia Israel Airlines",
+      "aliases": [],
+      "callsign": "ARKIA",
+      "country": "Israel",
+      "active": true
+    },
+    "JM": {
+      "iata": "JM",
+      "icao": "AJM",
+      "name": "Air Jamaica",
+      "aliases": [],
+      "callsign": "JAMAICA",
+      "country": "Jamaica",
+      "active": true
+    },
+    "S2": {
+      "iata": "S2",
+      "icao": "RSH",
+      "name": "Air Sahara",
+      "aliases": [],
+      "callsign": "SAHARA",
+      "country": "India",
+      "active": true
+    },
+    "KM": {
+      "iata": "KM",
+      "icao": "AMC",
+      "name": "Air Malta",
+      "aliases": [],
+      "callsign": "AIR MALTA",
+      "country": "Malta",
+      "active": true
+    },
+    "M6": {
+      "iata": "M6",
+      "icao": "AJT",
+      "name": "Amerijet International",
+      "aliases": [],
+      "callsign": "AMERIJET",
+      "country": "United States",
+      "active": false
+    },
+    "NQ": {
+      "iata": "NQ",
+      "icao": "AJX",
+      "name": "Air Japan",
+      "aliases": [],
+      "callsign": "AIR JAPAN",
+      "country": "Japan",
+      "active": true
+    },
+    "4A": {
+      "iata": "4A",
+      "icao": "AKL",
+      "name": "Air Kiribati",
+      "aliases": [],
+      "callsign": null,
+      "country": "Kiribati",
+      "active": true
+    },
+    "EH": {
+      "iata": "EH",
+      "icao": "AKX",
+      "name": "Air Nippon Network Co. Ltd.",
+      "aliases": [],
+      "callsign": "ALFA WING",
+      "country": "Japan",
+      "active": false
+    },
+    "HP": {
+      "iata": "HP",
+      "icao": "AWE",
+      "name": "America West Airlines",
+      "aliases": [],
+      "callsign": "CACTUS",
+      "country": "United States",
+      "active": true
+    },
+    "ZW": {
+      "iata": "ZW",
+      "icao": "AWI",
+      "name": "Air Wisconsin",
+      "aliases": [],
+      "callsign": "AIR WISCONSIN",
+      "country": "United States",
+      "active": true
+    },
+    "U9": {
+      "iata": "U9",
+      "icao": "TAK",
+      "name": "Tatarstan Airlines",
+      "aliases": [],
+      "callsign": "TATARSTAN",
+      "country": "Russia",
+      "active": true
+    },
+    "VD": {
+      "iata": "VD",
+      "icao": null,
+      "name": "Air Libert",
+      "aliases": [],
+      "callsign": null,
+      "country": "France",
+      "active": true
+    },
+    "TT": {
+      "iata": "TT",
+      "icao": "TGW",
+      "name": "Tiger Airways Australia",
+      "aliases": [],
+      "callsign": "GO CAT",
+      "country": "Australia",
+      "active": true
+    },
+    "QM": {
+      "iata": "QM",
+      "icao": "AML",
+      "name": "Air Malawi",
+      "aliases": [],
+      "callsign": "MALAWI",
+      "country": "Malawi",
+      "active": true
+    },
+    "BM": {
+      "iata": "BM",
+      "icao": null,
+      "name": "Air Sicilia",
+      "aliases": [],
+      "callsign": null,
+      "country": "Italy",
+      "active": true
+    },
+    "NX": {
+      "iata": "NX",
+      "icao": "AMU",
+      "name": "Air Macau",
+      "aliases": [],
+      "callsign": "AIR MACAO",
+      "country": "Macau",
+      "active": true
+    },
+    "ZV": {
+      "iata": "ZV",
+      "icao": "VAX",
+      "name": "V Air",
+      "aliases": [
+        "V Air Taiwan"
+      ],
+      "callsign": null,
+      "country": "Taiwan",
+      "active": true
+    },
+    "HM": {
+      "iata": "HM",
+      "icao": "SEY",
+      "name": "Air Seychelles",
+      "aliases": [],
+      "callsign": "SEYCHELLES",
+      "country": "Seychelles",
+      "active": true
+    },
+    "AM": {
+      "iata": "AM",
+      "icao": "AMX",
+      "name": "AeroMéxico",
+      "aliases": [],
+      "callsign": "AEROMEXICO",
+      "country": "Mexico",
+      "active": true
+    },
+    "NH": {
+      "iata": "NH",
+      "icao": "ANA",
+      "name": "All Nippon Airways",
+      "aliases": [
+        "ANA All Nippon Airways"
+      ],
+      "callsign": "ALL NIPPON",
+      "country": "Japan",
+      "active": true
+    },
+    "YW": {
+      "iata": "YW",
+      "icao": "ANE",
+      "name": "Air Nostrum",
+      "aliases": [],
+      "callsign": "AIR NOSTRUM",
+      "country": "Spain",
+      "active": true
+    },
+    "PX": {
+      "iata": "PX",
+      "icao": "ANG",
+      "name": "Air Niugini",
+      "aliases": [],
+      "callsign": "NUIGINI",
+      "country": "Papua New Guinea",
+      "active": true
+    },
+    "G9": {
+      "iata": "G9",
+      "icao": "ABY",
+      "name": "Air Arabia",
+      "aliases": [],
+      "callsign": "ARABIA",
+      "country": "United Arab Emirates",
+      "active": true
+    },
+    "AC": {
+      "iata": "AC",
+      "icao": "ACA",
+      "name": "Air Canada",
+      "aliases": [],
+      "callsign": "AIR CANADA",
+      "country": "Canada",
+      "active": true
+    },
+    "BT": {
+      "iata": "BT",
+      "icao": "BTI",
+      "name": "Air Baltic",
+      "aliases": [],
+      "callsign": "AIRBALTIC",
+      "country": "Latvia",
+      "active": true
+    },
+    "EL": {
+      "iata": "EL",
+      "icao": "ANK",
+      "name": "Air Nippon",
+      "aliases": [],
+      "callsign": "ANK AIR",
+      "country": "Japan",
+      "active": true
+    },
+    "TL": {
+      "iata": "TL",
+      "icao": "ANO",
+      "name": "Airnorth",
+      "aliases": [],
+      "callsign": "TOPEND",
+      "country": "Australia",
+      "active": true
+    },
+    "4N": {
+      "iata": "4N",
+      "icao": "ANT",
+      "name": "Air North Charter - Canada",
+      "aliases": [],
+      "callsign": "AIR NORTH",
+      "country": "Canada",
+      "active": true
+    },
+    "IW": {
+      "iata": "IW",
+      "icao": "WON",
+      "name": "Wings Air",
+      "aliases": [],
+      "callsign": "WINGS ABADI",
+      "country": "Indonesia",
+      "active": true
+    },
+    "NZ": {
+      "iata": "NZ",
+      "icao": "ANZ",
+      "name": "Air New Zealand",
+      "aliases": [],
+      "callsign": "NEW ZEALAND",
+      "country": "New Zealand",
+      "active": true
+    },
+    "J6": {
+      "iata": "J6",
+      "icao": "AOC",
+      "name": "AVCOM",
+      "aliases": [],
+      "callsign": "AERO AVCOM",
+      "country": "Russia",
+      "active": false
+    },
+    "2D": {
+      "iata": "2D",
+      "icao": null,
+      "name": "Aero VIP (2D)",
+      "aliases": [],
+      "callsign": null,
+      "country": "Portugal",
+      "active": true
+    },
+    "6V": {
+      "iata": "6V",
+      "icao": "CZV",
+      "name": "Via Conectia Airlines",
+      "aliases": [
+        "Via Conectia"
+      ],
+      "callsign": null,
+      "country": "Uruguay",
+      "active": true
+    },
+    "XM": {
+      "iata": "XM",
+      "icao": "SMX",
+      "name": "Alitalia Express",
+      "aliases": [],
+      "callsign": "ALIEXPRESS",
+      "country": "Italy",
+      "active": true
+    },
+    "OE": {
+      "iata": "OE",
+      "icao": "AOT",
+      "name": "Asia Overnight Express",
+      "aliases": [],
+      "callsign": "ASIA OVERNIGHT",
+      "country": "Philippines",
+      "active": false
+    },
+    "GV": {
+      "iata": "GV",
+      "icao": "ARF",
+      "name": "Aero Flight",
+      "aliases": [],
+      "callsign": "Aero Fox",
+      "country": "Germany",
+      "active": true
+    },
+    "JW": {
+      "iata": "JW",
+      "icao": "APW",
+      "name": "Arrow Air",
+      "aliases": [],
+      "callsign": "BIG A",
+      "country": "United States",
+      "active": true
+    },
+    "W3": {
+      "iata": "W3",
+      "icao": "WSS",
+      "name": "World Scale Airlines",
+      "aliases": [
+        "World Scale"
+      ],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "2B": {
+      "iata": "2B",
+      "icao": "ARD",
+      "name": "Aerocondor",
+      "aliases": [],
+      "callsign": "AEROCONDOR",
+      "country": "Portugal",
+      "active": true
+    },
+    "4C": {
+      "iata": "4C",
+      "icao": "ARE",
+      "name": "LATAM Airlines Colombia",
+      "aliases": [],
+      "callsign": "LAN COLOMBIA",
+      "country": "Colombia",
+      "active": true
+    },
+    "AR": {
+      "iata": "AR",
+      "icao": "ARG",
+      "name": "Aerolineas Argentinas",
+      "aliases": [],
+      "callsign": "ARGENTINA",
+      "country": "Argentina",
+      "active": true
+    },
+    "QN": {
+      "iata": "QN",
+      "icao": "ARR",
+      "name": "Air Armenia",
+      "aliases": [],
+      "callsign": "AIR ARMENIA",
+      "country": "Armenia",
+      "active": false
+    },
+    "AS": {
+      "iata": "AS",
+      "icao": "ASA",
+      "name": "Alaska Airlines",
+      "aliases": [],
+      "callsign": "Inc.",
+      "country": "United States",
+      "active": true
+    },
+    "4D": {
+      "iata": "4D",
+      "icao": "ASD",
+      "name": "Air Sinai",
+      "aliases": [],
+      "callsign": "AIR SINAI",
+      "country": "Egypt",
+      "active": true
+    },
+    "EV": {
+      "iata": "EV",
+      "icao": "ASQ",
+      "name": "Atlantic Southeast Airlines",
+      "aliases": [],
+      "callsign": "ACEY",
+      "country": "United States",
+      "active": true
+    },
+    "OB": {
+      "iata": "OB",
+      "icao": "ASZ",
+      "name": "Astrakhan Airlines",
+      "aliases": [],
+      "callsign": "AIR ASTRAKHAN",
+      "country": "Russia",
+      "active": true
+    },
+    "TC": {
+      "iata": "TC",
+      "icao": "ATC",
+      "name": "Air Tanzania",
+      "aliases": [],
+      "callsign": "TANZANIA",
+      "country": "Tanzania",
+      "active": true
+    },
+    "2J": {
+      "iata": "2J",
+      "icao": "VBW",
+      "name": "Air Burkina",
+      "aliases": [],
+      "callsign": "BURKINA",
+      "country": "Burkina Faso",
+      "active": true
+    },
+    "HC": {
+      "iata": "HC",
+      "icao": "HYM",
+      "name": "Himalayan Airlines",
+      "aliases": [
+        "Himalaya"
+      ],
+      "callsign": "Himalayan",
+      "country": "Nepal",
+      "active": true
+    },
+    "FO": {
+      "iata": "FO",
+      "icao": "ATM",
+      "name": "Airlines Of Tasmania",
+      "aliases": [],
+      "callsign": "AIRTAS",
+      "country": "Australia",
+      "active": true
+    },
+    "PJ": {
+      "iata": "PJ",
+      "icao": "SPM",
+      "name": "Air Saint Pierre",
+      "aliases": [],
+      "callsign": null,
+      "country": "France",
+      "active": true
+    },
+    "8C": {
+      "iata": "8C",
+      "icao": "ATN",
+      "name": "Air Transport International",
+      "aliases": [],
+      "callsign": "AIR TRANSPORT",
+      "country": "United States",
+      "active": false
+    },
+    "OS": {
+      "iata": "OS",
+      "icao": "AUA",
+      "name": "Austrian Airlines",
+      "aliases": [],
+      "callsign": "AUSTRIAN",
+      "country": "Austria",
+      "active": true
+    },
+    "IQ": {
+      "iata": "IQ",
+      "icao": "AUB",
+      "name": "Augsburg Airways",
+      "aliases": [],
+      "callsign": "AUGSBURG-AIR",
+      "country": "Germany",
+      "active": true
+    },
+    "RU": {
+      "iata": "RU",
+      "icao": "RUE",
+      "name": "Rainbow Air Euro",
+      "aliases": [
+        "Rainbow Air EU"
+      ],
+      "callsign": "Rainbow Air",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "MO": {
+      "iata": "MO",
+      "icao": "AUH",
+      "name": "Abu Dhabi Amiri Flight",
+      "aliases": [],
+      "callsign": "SULTAN",
+      "country": "United Arab Emirates",
+      "active": true
+    },
+    "5N": {
+      "iata": "5N",
+      "icao": "AUL",
+      "name": "Aeroflot-Nord",
+      "aliases": [],
+      "callsign": "DVINA",
+      "country": "Russia",
+      "active": true
+    },
+    "GR": {
+      "iata": "GR",
+      "icao": "AUR",
+      "name": "Aurigny Air Services",
+      "aliases": [],
+      "callsign": "AYLINE",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "NO": {
+      "iata": "NO",
+      "icao": "AUS",
+      "name": "Aus-Air",
+      "aliases": [],
+      "callsign": null,
+      "country": "Australia",
+      "active": false
+    },
+    "AU": {
+      "iata": "AU",
+      "icao": "AUT",
+      "name": "Austral Lineas Aereas",
+      "aliases": [],
+      "callsign": "AUSTRAL",
+      "country": "Argentina",
+      "active": true
+    },
+    "AO": {
+      "iata": "AO",
+      "icao": null,
+      "name": "Avianova (Russia)",
+      "aliases": [],
+      "callsign": "Nova",
+      "country": "Russia",
+      "active": true
+    },
+    "AV": {
+      "iata": "AV",
+      "icao": "AVA",
+      "name": "Avianca - Aerovias Nacionales de Colombia",
+      "aliases": [],
+      "callsign": "S.A.",
+      "country": "AVIANCA",
+      "active": true
+    },
+    "NF": {
+      "iata": "NF",
+      "icao": "AVN",
+      "name": "Air Vanuatu",
+      "aliases": [],
+      "callsign": "AIR VAN",
+      "country": "Vanuatu",
+      "active": true
+    },
+    "K8": {
+      "iata": "K8",
+      "icao": null,
+      "name": "Zambia Skyways",
+      "aliases": [],
+      "callsign": "ZAMBIA SKIES",
+      "country": "Zambia",
+      "active": true
+    },
+    "B9": {
+      "iata": "B9",
+      "icao": "BGD",
+      "name": "Air Bangladesh",
+      "aliases": [],
+      "callsign": "AIR BANGLA",
+      "country": "Bangladesh",
+      "active": false
+    },
+    "DR": {
+      "iata": "DR",
+      "icao": "BIE",
+      "name": "Air Mediterranee",
+      "aliases": [],
+      "callsign": "MEDITERRANEE",
+      "country": "France",
+      "active": true
+    },
+    "7E": {
+      "iata": "7E",
+      "icao": "AWU",
+      "name": "Aeroline GmbH",
+      "aliases": [],
+      "callsign": "SYLT-AIR",
+      "country": "Germany",
+      "active": true
+    },
+    "6G": {
+      "iata": "6G",
+      "icao": "AWW",
+      "name": "Air Wales",
+      "aliases": [],
+      "callsign": "RED DRAGON",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "TX": {
+      "iata": "TX",
+      "icao": "FWI",
+      "name": "Air Caraïbes",
+      "aliases": [],
+      "callsign": "FRENCH WEST",
+      "country": "France",
+      "active": true
+    },
+    "IX": {
+      "iata": "IX",
+      "icao": "AXB",
+      "name": "Air India Express",
+      "aliases": [],
+      "callsign": "EXPRESS INDIA",
+      "country": "India",
+      "active": true
+    },
+    "HJ": {
+      "iata": "HJ",
+      "icao": "AXF",
+      "name": "Asian Express Airlines",
+      "aliases": [],
+      "callsign": "FREIGHTEXPRESS",
+      "country": "Australia",
+      "active": false
+    },
+    "XT": {
+      "iata": "XT",
+      "icao": "AXL",
+      "name": "Air Exel",
+      "aliases": [],
+      "callsign": "EXEL COMMUTER",
+      "country": "Netherlands",
+      "active": false
+    },
+    "AK": {
+      "iata": "AK",
+      "icao": "AXM",
+      "name": "AirAsia",
+      "aliases": [
+        "Air Asia"
+      ],
+      "callsign": "ASIAN EXPRESS",
+      "country": "Malaysia",
+      "active": true
+    },
+    "3G": {
+      "iata": "3G",
+      "icao": "AYZ",
+      "name": "Atlant-Soyuz Airlines",
+      "aliases": [],
+      "callsign": "ATLANT-SOYUZ",
+      "country": "Russia",
+      "active": false
+    },
+    "AZ": {
+      "iata": "AZ",
+      "icao": "AZA",
+      "name": "Alitalia",
+      "aliases": [],
+      "callsign": "ALITALIA",
+      "country": "Italy",
+      "active": true
+    },
+    "ZE": {
+      "iata": "ZE",
+      "icao": "ESR",
+      "name": "Eastar Jet",
+      "aliases": [],
+      "callsign": "Eastar",
+      "country": "South Korea",
+      "active": true
+    },
+    "Z8": {
+      "iata": "Z8",
+      "icao": "AZN",
+      "name": "Amaszonas",
+      "aliases": [],
+      "callsign": null,
+      "country": "Bolivia",
+      "active": true
+    },
+    "UM": {
+      "iata": "UM",
+      "icao": "AZW",
+      "name": "Air Zimbabwe",
+      "aliases": [],
+      "callsign": "AIR ZIMBABWE",
+      "country": "Zimbabwe",
+      "active": true
+    },
+    "R7": {
+      "iata": "R7",
+      "icao": "OCA",
+      "name": "Aserca Airlines",
+      "aliases": [],
+      "callsign": "AROSCA",
+      "country": "Venezuela",
+      "active": true
+    },
+    "FV": {
+      "iata": "FV",
+      "icao": "SDM",
+      "name": "Rossiya-Russian Airlines",
+      "aliases": [
+        "Pulkovo Aviation Enterprise"
+      ],
+      "callsign": "PULKOVO",
+      "country": "Russia",
+      "active": true
+    },
+    "RX": {
+      "iata": "RX",
+      "icao": "AEH",
+      "name": "Aviaexpress",
+      "aliases": [],
+      "callsign": "Avex",
+      "country": "Hungary",
+      "active": false
+    },
+    "MQ": {
+      "iata": "MQ",
+      "icao": "EGF",
+      "name": "American Eagle Airlines",
+      "aliases": [],
+      "callsign": "EAGLE FLIGHT",
+      "country": "United States",
+      "active": true
+    },
+    "FF": {
+      "iata": "FF",
+      "icao": "FRF",
+      "name": "Fly France",
+      "aliases": [],
+      "callsign": null,
+      "country": "France",
+      "active": true
+    },
+    "ML": {
+      "iata": "ML",
+      "icao": "MAV",
+      "name": "Maldivo Airlines",
+      "aliases": [],
+      "callsign": "Maldivo",
+      "country": "Maldives",
+      "active": true
+    },
+    "VU": {
+      "iata": "VU",
+      "icao": "VUN",
+      "name": "Air Ivoire",
+      "aliases": [],
+      "callsign": "AIRIVOIRE",
+      "country": "Ivory Coast",
+      "active": true
+    },
+    "BP": {
+      "iata": "BP",
+      "icao": "BOT",
+      "name": "Air Botswana",
+      "aliases": [],
+      "callsign": "BOTSWANA",
+      "country": "Botswana",
+      "active": true
+    },
+    "GS": {
+      "iata": "GS",
+      "icao": "UPA",
+      "name": "Air Foyle",
+      "aliases": [],
+      "callsign": "FOYLE",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "VT": {
+      "iata": "VT",
+      "icao": "VTA",
+      "name": "Air Tahiti",
+      "aliases": [],
+      "callsign": "AIR TAHITI",
+      "country": "French Polynesia",
+      "active": true
+    },
+    "3N": {
+      "iata": "3N",
+      "icao": "URG",
+      "name": "Air Urga",
+      "aliases": [],
+      "callsign": "URGA",
+      "country": "Ukraine",
+      "active": false
+    },
+    "VL": {
+      "iata": "VL",
+      "icao": "VIM",
+      "name": "Air VIA",
+      "aliases": [],
+      "callsign": null,
+      "country": "Bulgaria",
+      "active": true
+    },
+    "FK": {
+      "iata": "FK",
+      "icao": "WTA",
+      "name": "Africa West",
+      "aliases": [],
+      "callsign": "WEST TOGO",
+      "country": "Togo",
+      "active": true
+    },
+    "G2": {
+      "iata": "G2",
+      "icao": "VXG",
+      "name": "Avirex",
+      "aliases": [],
+      "callsign": "AVIREX-GABON",
+      "country": "Gabon",
+      "active": false
+    },
+    "V8": {
+      "iata": "V8",
+      "icao": "VAS",
+      "name": "ATRAN Cargo Airlines",
+      "aliases": [],
+      "callsign": "ATRAN",
+      "country": "Russia",
+      "active": true
+    },
+    "VE": {
+      "iata": "VE",
+      "icao": "VLE",
+      "name": "Volare Airlines",
+      "aliases": [],
+      "callsign": "VOLA",
+      "country": "Italy",
+      "active": true
+    },
+    "V5": {
+      "iata": "V5",
+      "icao": null,
+      "name": "Danube Wings (V5)",
+      "aliases": [],
+      "callsign": null,
+      "country": "Slovakia",
+      "active": true
+    },
+    "CA": {
+      "iata": "CA",
+      "icao": "CCA",
+      "name": "Air China",
+      "aliases": [],
+      "callsign": "AIR CHINA",
+      "country": "China",
+      "active": true
+    },
+    "Q6": {
+      "iata": "Q6",
+      "icao": "CDP",
+      "name": "Aero Condor Peru",
+      "aliases": [],
+      "callsign": "CONDOR-PERU",
+      "country": "Peru",
+      "active": true
+    },
+    "5F": {
+      "iata": "5F",
+      "icao": "CIR",
+      "name": "Arctic Circle Air Service",
+      "aliases": [],
+      "callsign": "AIR ARCTIC",
+      "country": "United States",
+      "active": false
+    },
+    "QC": {
+      "iata": "QC",
+      "icao": null,
+      "name": "Camair-co",
+      "aliases": [],
+      "callsign": null,
+      "country": "Cameroon",
+      "active": true
+    },
+    "NV": {
+      "iata": "NV",
+      "icao": "CRF",
+      "name": "Air Central",
+      "aliases": [],
+      "callsign": "AIR CENTRAL",
+      "country": "Japan",
+      "active": false
+    },
+    "CV": {
+      "iata": "CV",
+      "icao": "CVA",
+      "name": "Air Chathams",
+      "aliases": [],
+      "callsign": "CHATHAM",
+      "country": "New Zealand",
+      "active": true
+    },
+    "CW": {
+      "iata": "CW",
+      "icao": "CWM",
+      "name": "Air Marshall Islands",
+      "aliases": [],
+      "callsign": "AIR MARSHALLS",
+      "country": "Marshall Islands",
+      "active": true
+    },
+    "ZA": {
+      "iata": "ZA",
+      "icao": "CYD",
+      "name": "Access Air",
+      "aliases": [],
+      "callsign": "CYCLONE",
+      "country": "United States",
+      "active": false
+    },
+    "AH": {
+      "iata": "AH",
+      "icao": "DAH",
+      "name": "Air Algerie",
+      "aliases": [],
+      "callsign": "AIR ALGERIE",
+      "country": "Algeria",
+      "active": true
+    },
+    "ER": {
+      "iata": "ER",
+      "icao": "RWW",
+      "name": "Fly Europa",
+      "aliases": [],
+      "callsign": null,
+      "country": "Spain",
+      "active": true
+    },
+    "HO": {
+      "iata": "HO",
+      "icao": "DKH",
+      "name": "Juneyao Airlines",
+      "aliases": [],
+      "callsign": "JUNEYAO AIRLINES",
+      "country": "China",
+      "active": true
+    },
+    "EN": {
+      "iata": "EN",
+      "icao": "DLA",
+      "name": "Air Dolomiti",
+      "aliases": [],
+      "callsign": "DOLOMOTI",
+      "country": "Italy",
+      "active": true
+    },
+    "D9": {
+      "iata": "D9",
+      "icao": "DNV",
+      "name": "Aeroflot-Don",
+      "aliases": [],
+      "callsign": "DONAVIA",
+      "country": "Russia",
+      "active": true
+    },
+    "NM": {
+      "iata": "NM",
+      "icao": "DRD",
+      "name": "Air Madrid",
+      "aliases": [],
+      "callsign": "ALADA AIR",
+      "country": "Spain",
+      "active": true
+    },
+    "EE": {
+      "iata": "EE",
+      "icao": null,
+      "name": "Nordica",
+      "aliases": [],
+      "callsign": "REVAL",
+      "country": "Estonia",
+      "active": true
+    },
+    "4F": {
+      "iata": "4F",
+      "icao": "ECE",
+      "name": "Air City",
+      "aliases": [],
+      "callsign": "AIRCITY",
+      "country": "Germany",
+      "active": false
+    },
+    "EI": {
+      "iata": "EI",
+      "icao": "EIN",
+      "name": "Aer Lingus",
+      "aliases": [],
+      "callsign": "SHAMROCK",
+      "country": "Ireland",
+      "active": true
+    },
+    "E8": {
+      "iata": "E8",
+      "icao": "GTA",
+      "name": "City Airways",
+      "aliases": [],
+      "callsign": "CITY AIR",
+      "country": "Thailand",
+      "active": true
+    },
+    "KY": {
+      "iata": "KY",
+      "icao": "KSY",
+      "name": "KSY",
+      "aliases": [
+        "Kreta Sky"
+      ],
+      "callsign": "KSY",
+      "country": "Greece",
+      "active": true
+    },
+    "PC": {
+      "iata": "PC",
+      "icao": "PGT",
+      "name": "Pegasus Airlines",
+      "aliases": [],
+      "callsign": "SUNTURK",
+      "country": "Turkey",
+      "active": true
+    },
+    "OF": {
+      "iata": "OF",
+      "icao": "FIF",
+      "name": "Air Finland",
+      "aliases": [],
+      "callsign": "AIR FINLAND",
+      "country": "Finland",
+      "active": true
+    },
+    "FJ": {
+      "iata": "FJ",
+      "icao": "FJI",
+      "name": "Air Pacific",
+      "aliases": [],
+      "callsign": "PACIFIC",
+      "country": "Fiji",
+      "active": true
+    },
+    "RC": {
+      "iata": "RC",
+      "icao": "FLI",
+      "name": "Atlantic Airways",
+      "aliases": [],
+      "callsign": "FAROELINE",
+      "country": "Faroe Islands",
+      "active": true
+    },
+    "QH": {
+      "iata": "QH",
+      "icao": "FLZ",
+      "name": "Air Florida",
+      "aliases": [],
+      "callsign": "AIR FLORIDA",
+      "country": "United States",
+      "active": true
+    },
+    "NY": {
+      "iata": "NY",
+      "icao": "FXI",
+      "name": "Air Iceland",
+      "aliases": [],
+      "callsign": "FAXI",
+      "country": "Iceland",
+      "active": true
+    },
+    "2P": {
+      "iata": "2P",
+      "icao": "GAP",
+      "name": "Air Philippines",
+      "aliases": [],
+      "callsign": "ORIENT PACIFIC",
+      "country": "Philippines",
+      "active": true
+    },
+    "ZX": {
+      "iata": "ZX",
+      "icao": "ZXY",
+      "name": "Japan Regio",
+      "aliases": [],
+      "callsign": null,
+      "country": "Japan",
+      "active": true
+    },
+    "2U": {
+      "iata": "2U",
+      "icao": "GIP",
+      "name": "Air Guinee Express",
+      "aliases": [],
+      "callsign": "FUTURE EXPRESS",
+      "country": "Guinea",
+      "active": true
+    },
+    "0A": {
+      "iata": "0A",
+      "icao": "GNT",
+      "name": "Amber Air",
+      "aliases": [],
+      "callsign": "GINTA",
+      "country": "Lithuania",
+      "active": false
+    },
+    "DA": {
+      "iata": "DA",
+      "icao": null,
+      "name": "Dana Air",
+      "aliases": [],
+      "callsign": "DANACO",
+      "country": "Nigeria",
+      "active": true
+    },
+    "GL": {
+      "iata": "GL",
+      "icao": "GRL",
+      "name": "Air Greenland",
+      "aliases": [],
+      "callsign": "GREENLAND",
+      "country": "Denmark",
+      "active": true
+    },
+    "LL": {
+      "iata": "LL",
+      "icao": "GRO",
+      "name": "Allegro",
+      "aliases": [],
+      "callsign": "ALLEGRO",
+      "country": "Mexico",
+      "active": false
+    },
+    "5Y": {
+      "iata": "5Y",
+      "icao": "GTI",
+      "name": "Atlas Air",
+      "aliases": [],
+      "callsign": "GIANT",
+      "country": "United States",
+      "active": true
+    },
+    "GG": {
+      "iata": "GG",
+      "icao": "GUY",
+      "name": "Air Guyane",
+      "aliases": [],
+      "callsign": "GREEN BIRD",
+      "country": "French Guiana",
+      "active": true
+    },
+    "H9": {
+      "iata": "H9",
+      "icao": null,
+      "name": "PEGASUS AIRLINES-",
+      "aliases": [],
+      "callsign": null,
+      "country": "Turkey",
+      "active": true
+    },
+    "IP": {
+      "iata": "IP",
+      "icao": "ISX",
+      "name": "Island Spirit",
+      "aliases": [],
+      "callsign": null,
+      "country": "Iceland",
+      "active": true
+    },
+    "QK": {
+      "iata": "QK",
+      "icao": "JZA",
+      "name": "Air Canada Jazz",
+      "aliases": [],
+      "callsign": "JAZZ",
+      "country": "Canada",
+      "active": true
+    },
+    "KK": {
+      "iata": "KK",
+      "icao": "KKK",
+      "name": "Atlasjet",
+      "aliases": [],
+      "callsign": "ATLASJET",
+      "country": "Turkey",
+      "active": true
+    },
+    "JS": {
+      "iata": "JS",
+      "icao": "KOR",
+      "name": "Air Koryo",
+      "aliases": [],
+      "callsign": "AIR KORYO",
+      "country": "North Korea",
+      "active": true
+    },
+    "KC": {
+      "iata": "KC",
+      "icao": "KZR",
+      "name": "Air Astana",
+      "aliases": [],
+      "callsign": "ASTANALINE",
+      "country": "Kazakhstan",
+      "active": true
+    },
+    "LV": {
+      "iata": "LV",
+      "icao": "LBC",
+      "name": "Albanian Airlines",
+      "aliases": [],
+      "callsign": "ALBANIAN",
+      "country": "Albania",
+      "active": true
+    },
+    "D4": {
+      "iata": "D4",
+      "icao": "LID",
+      "name": "Alidaunia",
+      "aliases": [],
+      "callsign": "ALIDA",
+      "country": "Italy",
+      "active": false
+    },
+    "CD": {
+      "iata": "CD",
+      "icao": null,
+      "name": "Air India Regional",
+      "aliases": [],
+      "callsign": "ALLIED",
+      "country": "India",
+      "active": true
+    },
+    "XL": {
+      "iata": "XL",
+      "icao": "LNE",
+      "name": "LATAM Airlines Ecuador",
+      "aliases": [],
+      "callsign": "LAN ECUADOR",
+      "country": "Ecuador",
+      "active": true
+    },
+    "A6": {
+      "iata": "A6",
+      "icao": null,
+      "name": "Air Alps Aviation (A6)",
+      "aliases": [],
+      "callsign": "ALPAV",
+      "country": "Austria",
+      "active": true
+    },
+    "TD": {
+      "iata": "TD",
+      "icao": "LUR",
+      "name": "Atlantis European Airways",
+      "aliases": [],
+      "callsign": null,
+      "country": "Armenia",
+      "active": true
+    },
+    "L8": {
+      "iata": "L8",
+      "icao": "LBL",
+      "name": "Line Blue",
+      "aliases": [],
+      "callsign": "Bluebird",
+      "country": "Germany",
+      "active": true
+    },
+    "LK": {
+      "iata": "LK",
+      "icao": "LXR",
+      "name": "Air Luxor",
+      "aliases": [],
+      "callsign": "AIRLUXOR",
+      "country": "Portugal",
+      "active": true
+    },
+    "MK": {
+      "iata": "MK",
+      "icao": "MAU",
+      "name": "Air Mauritius",
+      "aliases": [],
+      "callsign": "AIRMAURITIUS",
+      "country": "Mauritius",
+      "active": true
+    },
+    "MD": {
+      "iata": "MD",
+      "icao": "MDG",
+      "name": "Air Madagascar",
+      "aliases": [],
+      "callsign": "AIR MADAGASCAR",
+      "country": "Madagascar",
+      "active": true
+    },
+    "9U": {
+      "iata": "9U",
+      "icao": "MLD",
+      "name": "Air Moldova",
+      "aliases": [],
+      "callsign": "AIR MOLDOVA",
+      "country": "Moldova",
+      "active": true
+    },
+    "M0": {
+      "iata": "M0",
+      "icao": "MNG",
+      "name": "Aero Mongolia",
+      "aliases": [],
+      "callsign": "AERO MONGOLIA",
+      "country": "Mongolia",
+      "active": false
+    },
+    "A7": {
+      "iata": "A7",
+      "icao": "MPD",
+      "name": "Air Plus Comet",
+      "aliases": [],
+      "callsign": "RED COMET",
+      "country": "Spain",
+      "active": true
+    },
+    "QO": {
+      "iata": "QO",
+      "icao": "OGN",
+      "name": "Origin Pacific Airways",
+      "aliases": [],
+      "callsign": "ORIGIN",
+      "country": "New Zealand",
+      "active": true
+    },
+    "MR": {
+      "iata": "MR",
+      "icao": "OME",
+      "name": "Homer Air",
+      "aliases": [
+        "Homer Sky"
+      ],
+      "callsign": null,
+      "country": "Germany",
+      "active": true
+    },
+    "3S": {
+      "iata": "3S",
+      "icao": null,
+      "name": "Air Antilles Express",
+      "aliases": [],
+      "callsign": "GREEN BIRD",
+      "country": "Guadeloupe",
+      "active": true
+    },
+    "8D": {
+      "iata": "8D",
+      "icao": null,
+      "name": "Astair",
+      "aliases": [],
+      "callsign": null,
+      "country": "Russia",
+      "active": true
+    },
+    "F4": {
+      "iata": "F4",
+      "icao": "NBK",
+      "name": "Albarka Air",
+      "aliases": [],
+      "callsign": "AL-AIR",
+      "country": "Nigeria",
+      "active": false
+    },
+    "AJ": {
+      "iata": "AJ",
+      "icao": "NIG",
+      "name": "Aero Contractors",
+      "aliases": [],
+      "callsign": "AEROLINE",
+      "country": "Nigeria",
+      "active": true
+    },
+    "8Y": {
+      "iata": "8Y",
+      "icao": "PBU",
+      "name": "Air Burundi",
+      "aliases": [],
+      "callsign": "AIR-BURUNDI",
+      "country": "Burundi",
+      "active": false
+    },
+    "OT": {
+      "iata": "OT",
+      "icao": "PEL",
+      "name": "Aeropelican Air Services",
+      "aliases": [],
+      "callsign": "PELICAN",
+      "country": "Australia",
+      "active": true
+    },
+    "AD": {
+      "iata": "AD",
+      "icao": "AZU",
+      "name": "Azul",
+      "aliases": [
+        "Azul Linhas Aéreas Brasileiras"
+      ],
+      "callsign": null,
+      "country": "Brazil",
+      "active": true
+    },
+    "QD": {
+      "iata": "QD",
+      "icao": "DOB",
+      "name": "Dobrolet",
+      "aliases": [
+        "Добролёт"
+      ],
+      "callsign": "DOBROLET",
+      "country": "Russia",
+      "active": true
+    },
+    "QS": {
+      "iata": "QS",
+      "icao": "TVS",
+      "name": "Travel Service",
+      "aliases": [],
+      "callsign": "SKYTRAVEL",
+      "country": "Czech Republic",
+      "active": true
+    },
+    "4Y": {
+      "iata": "4Y",
+      "icao": "RBU",
+      "name": "Airbus France",
+      "aliases": [],
+      "callsign": "AIRBUS FRANCE",
+      "country": "France",
+      "active": false
+    },
+    "MC": {
+      "iata": "MC",
+      "icao": "RCH",
+      "name": "Air Mobility Command",
+      "aliases": [],
+      "callsign": "REACH",
+      "country": "United States",
+      "active": false
+    },
+    "RE": {
+      "iata": "RE",
+      "icao": "REA",
+      "name": "Aer Arann",
+      "aliases": [],
+      "callsign": "AER ARANN",
+      "country": "Ireland",
+      "active": true
+    },
+    "UU": {
+      "iata": "UU",
+      "icao": "REU",
+      "name": "Air Austral",
+      "aliases": [],
+      "callsign": "REUNION",
+      "country": "France",
+      "active": true
+    },
+    "6K": {
+      "iata": "6K",
+      "icao": "RIT",
+      "name": "Asian Spirit",
+      "aliases": [],
+      "callsign": "ASIAN SPIRIT",
+      "country": "Philippines",
+      "active": true
+    },
+    "RK": {
+      "iata": "RK",
+      "icao": "RKA",
+      "name": "Air Afrique",
+      "aliases": [],
+      "callsign": "AIRAFRIC",
+      "country": "Ivory Coast",
+      "active": true
+    },
+    "A5": {
+      "iata": "A5",
+      "icao": "RLA",
+      "name": "Airlinair",
+      "aliases": [],
+      "callsign": "AIRLINAIR",
+      "country": "France",
+      "active": true
+    },
+    "QL": {
+      "iata": "QL",
+      "icao": "RLN",
+      "name": "Aero Lanka",
+      "aliases": [],
+      "callsign": "AERO LANKA",
+      "country": "Sri Lanka",
+      "active": true
+    },
+    "MV": {
+      "iata": "MV",
+      "icao": "RML",
+      "name": "Armenian International Airways",
+      "aliases": [],
+      "callsign": null,
+      "country": "Armenia",
+      "active": false
+    },
+    "U8": {
+      "iata": "U8",
+      "icao": "RNV",
+      "name": "Armavia",
+      "aliases": [],
+      "callsign": "ARMAVIA",
+      "country": "Armenia",
+      "active": true
+    },
+    "BQ": {
+      "iata": "BQ",
+      "icao": "BQB",
+      "name": "Buquebus Líneas Aéreas",
+      "aliases": [],
+      "callsign": null,
+      "country": "Uruguay",
+      "active": true
+    },
+    "P5": {
+      "iata": "P5",
+      "icao": "RPB",
+      "name": "AeroRep",
+      "aliases": [],
+      "callsign": "AEROREPUBLICA",
+      "country": "Colombia",
+      "active": true
+    },
+    "BF": {
+      "iata": "BF",
+      "icao": "RSR",
+      "name": "Aero-Service",
+      "aliases": [],
+      "callsign": "CONGOSERV",
+      "country": "Republic of the Congo",
+      "active": true
+    },
+    "5L": {
+      "iata": "5L",
+      "icao": "RSU",
+      "name": "Aerosur",
+      "aliases": [],
+      "callsign": "AEROSUR",
+      "country": "Bolivia",
+      "active": true
+    },
+    "EX": {
+      "iata": "EX",
+      "icao": null,
+      "name": "Europe Jet",
+      "aliases": [],
+      "callsign": null,
+      "country": "France",
+      "active": true
+    },
+    "JR": {
+      "iata": "JR",
+      "icao": "JOY",
+      "name": "Joy Air",
+      "aliases": [],
+      "callsign": "JOY AIR",
+      "country": "China",
+      "active": true
+    },
+    "Z3": {
+      "iata": "Z3",
+      "icao": "SMJ",
+      "name": "Avient Aviation",
+      "aliases": [],
+      "callsign": "AVAVIA",
+      "country": "Zimbabwe",
+      "active": true
+    },
+    "GM": {
+      "iata": "GM",
+      "icao": "GER",
+      "name": "German International Air Lines",
+      "aliases": [
+        "Germanair"
+      ],
+      "callsign": null,
+      "country": "Germany",
+      "active": true
+    },
+    "R3": {
+      "iata": "R3",
+      "icao": "SYL",
+      "name": "Aircompany Yakutia",
+      "aliases": [],
+      "callsign": "AIR YAKUTIA",
+      "country": "Russia",
+      "active": true
+    },
+    "VW": {
+      "iata": "VW",
+      "icao": "TAO",
+      "name": "Aeromar",
+      "aliases": [],
+      "callsign": "TRANS-AEROMAR",
+      "country": "Mexico",
+      "active": true
+    },
+    "JY": {
+      "iata": "JY",
+      "icao": "AXZ",
+      "name": "Aereonautica militare",
+      "aliases": [],
+      "callsign": null,
+      "country": "Italy",
+      "active": true
+    },
+    "OR": {
+      "iata": "OR",
+      "icao": "TFL",
+      "name": "Arkefly",
+      "aliases": [],
+      "callsign": "ARKEFLY",
+      "country": "Netherlands",
+      "active": true
+    },
+    "CG": {
+      "iata": "CG",
+      "icao": "TOK",
+      "name": "Airlines PNG",
+      "aliases": [],
+      "callsign": "BALUS",
+      "country": "Papua New Guinea",
+      "active": true
+    },
+    "TY": {
+      "iata": "TY",
+      "icao": "IWD",
+      "name": "Iberworld",
+      "aliases": [],
+      "callsign": null,
+      "country": "Spain",
+      "active": true
+    },
+    "FL": {
+      "iata": "FL",
+      "icao": "TRS",
+      "name": "AirTran Airways",
+      "aliases": [],
+      "callsign": "CITRUS",
+      "country": "United States",
+      "active": true
+    },
+    "TS": {
+      "iata": "TS",
+      "icao": "TSC",
+      "name": "Air Transat",
+      "aliases": [],
+      "callsign": "TRANSAT",
+      "country": "Canada",
+      "active": true
+    },
+    "EC": {
+      "iata": "EC",
+      "icao": "TWN",
+      "name": "Avialeasing Aviation Company",
+      "aliases": [],
+      "callsign": "TWINARROW",
+      "country": "Uzbekistan",
+      "active": true
+    },
+    "VO": {
+      "iata": "VO",
+      "icao": "TYR",
+      "name": "Tyrolean Airways",
+      "aliases": [],
+      "callsign": "TYROLEAN",
+      "country": "Austria",
+      "active": true
+    },
+    "DW": {
+      "iata": "DW",
+      "icao": "UCR",
+      "name": "Aero-Charter Ukraine",
+      "aliases": [],
+      "callsign": "CHARTER UKRAINE",
+      "country": "Ukraine",
+      "active": false
+    },
+    "6U": {
+      "iata": "6U",
+      "icao": null,
+      "name": "Air Cargo Germany",
+      "aliases": [],
+      "callsign": "Loadmaster",
+      "country": "Germany",
+      "active": true
+    },
+    "2K": {
+      "iata": "2K",
+      "icao": "GLG",
+      "name": "Aerolineas Galapagos (Aerogal)",
+      "aliases": [],
+      "callsign": "AEROGAL",
+      "country": "Ecuador",
+      "active": true
+    },
+    "6R": {
+      "iata": "6R",
+      "icao": "DRU",
+      "name": "Alrosa Mirny Air Enterprise",
+      "aliases": [],
+      "callsign": "MIRNY",
+      "country": "Russia",
+      "active": true
+    },
+    "8Q": {
+      "iata": "8Q",
+      "icao": "BAJ",
+      "name": "Baker Aviation",
+      "aliases": [],
+      "callsign": "BAKER AVIATION",
+      "country": "United States",
+      "active": false
+    },
+    "BA": {
+      "iata": "BA",
+      "icao": "BAW",
+      "name": "British Airways",
+      "aliases": [],
+      "callsign": "SPEEDBIRD",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "BG": {
+      "iata": "BG",
+      "icao": "BBC",
+      "name": "Biman Bangladesh Airlines",
+      "aliases": [],
+      "callsign": "BANGLADESH",
+      "country": "Bangladesh",
+      "active": true
+    },
+    "B4": {
+      "iata": "B4",
+      "icao": "GSM",
+      "name": "Flyglobespan",
+      "aliases": [],
+      "callsign": "GLOBESPAN",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "BZ": {
+      "iata": "BZ",
+      "icao": "BSA",
+      "name": "Black Stallion Airways",
+      "aliases": [],
+      "callsign": "Stallion",
+      "country": "United States",
+      "active": true
+    },
+    "J4": {
+      "iata": "J4",
+      "icao": null,
+      "name": "ALAK",
+      "aliases": [],
+      "callsign": null,
+      "country": "Russia",
+      "active": true
+    },
+    "A8": {
+      "iata": "A8",
+      "icao": "BGL",
+      "name": "Benin Golf Air",
+      "aliases": [],
+      "callsign": "BENIN GOLF",
+      "country": "Benin",
+      "active": false
+    },
+    "4T": {
+      "iata": "4T",
+      "icao": "BHP",
+      "name": "Belair Airlines",
+      "aliases": [],
+      "callsign": "BELAIR",
+      "country": "Switzerland",
+      "active": true
+    },
+    "UP": {
+      "iata": "UP",
+      "icao": "BHS",
+      "name": "Bahamasair",
+      "aliases": [],
+      "callsign": "BAHAMAS",
+      "country": "Bahamas",
+      "active": true
+    },
+    "E6": {
+      "iata": "E6",
+      "icao": null,
+      "name": "Bringer Air Cargo Taxi Aereo",
+      "aliases": [],
+      "callsign": null,
+      "country": "Brazil",
+      "active": false
+    },
+    "LZ": {
+      "iata": "LZ",
+      "icao": null,
+      "name": "Balkan Bulgarian Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": null,
+      "active": true
+    },
+    "TH": {
+      "iata": "TH",
+      "icao": "THS",
+      "name": "TransBrasil Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Brazil",
+      "active": true
+    },
+    "BS": {
+      "iata": "BS",
+      "icao": "BIH",
+      "name": "British International Helicopters",
+      "aliases": [],
+      "callsign": "BRINTEL",
+      "country": "United Kingdom",
+      "active": false
+    },
+    "PG": {
+      "iata": "PG",
+      "icao": "BKP",
+      "name": "Bangkok Airways",
+      "aliases": [],
+      "callsign": "BANGKOK AIR",
+      "country": "Thailand",
+      "active": true
+    },
+    "KF": {
+      "iata": "KF",
+      "icao": "BLF",
+      "name": "Blue1",
+      "aliases": [],
+      "callsign": "BLUEFIN",
+      "country": "Finland",
+      "active": true
+    },
+    "JV": {
+      "iata": "JV",
+      "icao": "BLS",
+      "name": "Bearskin Lake Air Service",
+      "aliases": [],
+      "callsign": "BEARSKIN",
+      "country": "Canada",
+      "active": true
+    },
+    "B3": {
+      "iata": "B3",
+      "icao": "BLV",
+      "name": "Bellview Airlines",
+      "aliases": [],
+      "callsign": "BELLVIEW AIRLINES",
+      "country": "Nigeria",
+      "active": false
+    },
+    "BD": {
+      "iata": "BD",
+      "icao": "BMA",
+      "name": "bmi",
+      "aliases": [
+        "bmi British Midland"
+      ],
+      "callsign": "MIDLAND",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "WW": {
+      "iata": "WW",
+      "icao": "BMI",
+      "name": "bmibaby",
+      "aliases": [],
+      "callsign": "BABY",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "CH": {
+      "iata": "CH",
+      "icao": "BMJ",
+      "name": "Bemidji Airlines",
+      "aliases": [],
+      "callsign": "BEMIDJI",
+      "country": "United States",
+      "active": true
+    },
+    "5Z": {
+      "iata": "5Z",
+      "icao": "VVC",
+      "name": "VivaColombia",
+      "aliases": [],
+      "callsign": null,
+      "country": "Colombia",
+      "active": true
+    },
+    "BO": {
+      "iata": "BO",
+      "icao": "BOU",
+      "name": "Bouraq Indonesia Airlines",
+      "aliases": [],
+      "callsign": "BOURAQ",
+      "country": "Indonesia",
+      "active": false
+    },
+    "BV": {
+      "iata": "BV",
+      "icao": "BPA",
+      "name": "Blue Panorama Airlines",
+      "aliases": [],
+      "callsign": "BLUE PANOROMA",
+      "country": "Italy",
+      "active": true
+    },
+    "7R": {
+      "iata": "7R",
+      "icao": "SJM",
+      "name": "Svyaz Rossiya",
+      "aliases": [
+        "Russian Commuter"
+      ],
+      "callsign": "RussianConnecty",
+      "country": "Russia",
+      "active": true
+    },
+    "8E": {
+      "iata": "8E",
+      "icao": "BRG",
+      "name": "Bering Air",
+      "aliases": [],
+      "callsign": "BERING AIR",
+      "country": "United States",
+      "active": true
+    },
+    "B2": {
+      "iata": "B2",
+      "icao": "BRU",
+      "name": "Belavia Belarusian Airlines",
+      "aliases": [],
+      "callsign": "BELARUS AVIA",
+      "country": "Belarus",
+      "active": true
+    },
+    "K6": {
+      "iata": "K6",
+      "icao": null,
+      "name": "Cambodia Angkor Air (K6)",
+      "aliases": [],
+      "callsign": null,
+      "country": "Cambodia",
+      "active": true
+    },
+    "BN": {
+      "iata": "BN",
+      "icao": "HZA",
+      "name": "Horizon Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Australia",
+      "active": true
+    },
+    "GQ": {
+      "iata": "GQ",
+      "icao": "SEH",
+      "name": "Sky Express",
+      "aliases": [],
+      "callsign": "AIR CRETE",
+      "country": "Greece",
+      "active": true
+    },
+    "V9": {
+      "iata": "V9",
+      "icao": "HCW",
+      "name": "Star1 Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Lithuania",
+      "active": true
+    },
+    "7P": {
+      "iata": "7P",
+      "icao": "BTV",
+      "name": "Metro Batavia",
+      "aliases": [],
+      "callsign": "BATAVIA",
+      "country": "Indonesia",
+      "active": true
+    },
+    "J8": {
+      "iata": "J8",
+      "icao": "BVT",
+      "name": "Berjaya Air",
+      "aliases": [],
+      "callsign": "BERJAYA",
+      "country": "Malaysia",
+      "active": true
+    },
+    "QW": {
+      "iata": "QW",
+      "icao": "BWG",
+      "name": "Blue Wings",
+      "aliases": [],
+      "callsign": "BLUE WINGS",
+      "country": "Germany",
+      "active": true
+    },
+    "8W": {
+      "iata": "8W",
+      "icao": null,
+      "name": "BAX Global",
+      "aliases": [],
+      "callsign": null,
+      "country": null,
+      "active": false
+    },
+    "DB": {
+      "iata": "DB",
+      "icao": "BZH",
+      "name": "Brit Air",
+      "aliases": [],
+      "callsign": "BRITAIR",
+      "country": "France",
+      "active": true
+    },
+    "E9": {
+      "iata": "E9",
+      "icao": null,
+      "name": "Compagnie Africaine d\\\\'Aviation",
+      "aliases": [],
+      "callsign": "AFRICOMPANY",
+      "country": "Democratic Republic of the Congo",
+      "active": true
+    },
+    "SN": {
+      "iata": "SN",
+      "icao": "DAT",
+      "name": "Brussels Airlines",
+      "aliases": [
+        "SN Brussels Airlines"
+      ],
+      "callsign": "BEE-LINE",
+      "country": "Belgium",
+      "active": true
+    },
+    "NT": {
+      "iata": "NT",
+      "icao": "IBB",
+      "name": "Binter Canarias",
+      "aliases": [],
+      "callsign": null,
+      "country": "Spain",
+      "active": true
+    },
+    "0B": {
+      "iata": "0B",
+      "icao": "JOR",
+      "name": "Blue Air",
+      "aliases": [],
+      "callsign": "BLUE TRANSPORT",
+      "country": "Romania",
+      "active": true
+    },
+    "KJ": {
+      "iata": "KJ",
+      "icao": "LAJ",
+      "name": "British Mediterranean Airways",
+      "aliases": [],
+      "callsign": "BEE MED",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "FB": {
+      "iata": "FB",
+      "icao": "LZB",
+      "name": "Bulgaria Air",
+      "aliases": [],
+      "callsign": "FLYING BULGARIA",
+      "country": "Bulgaria",
+      "active": true
+    },
+    "8N": {
+      "iata": "8N",
+      "icao": "NKF",
+      "name": "Barents AirLink",
+      "aliases": [],
+      "callsign": "NORDFLIGHT",
+      "country": "Sweden",
+      "active": true
+    },
+    "5C": {
+      "iata": "5C",
+      "icao": "ICL",
+      "name": "CAL Cargo Air Lines",
+      "aliases": [],
+      "callsign": "CAL",
+      "country": "Israel",
+      "active": true
+    },
+    "AW": {
+      "iata": "AW",
+      "icao": "AWM",
+      "name": "Asian Wings Airways",
+      "aliases": [],
+      "callsign": "Asian Star",
+      "country": "Myanmar (Burma)",
+      "active": true
+    },
+    "XG": {
+      "iata": "XG",
+      "icao": "CLI",
+      "name": "Calima Aviacion",
+      "aliases": [],
+      "callsign": "CALIMA",
+      "country": "Spain",
+      "active": true
+    },
+    "R9": {
+      "iata": "R9",
+      "icao": "CAM",
+      "name": "Camai Air",
+      "aliases": [],
+      "callsign": "AIR CAMAI",
+      "country": "United States",
+      "active": false
+    },
+    "UY": {
+      "iata": "UY",
+      "icao": "UYC",
+      "name": "Cameroon Airlines",
+      "aliases": [],
+      "callsign": "CAM-AIR",
+      "country": "Cameroon",
+      "active": false
+    },
+    "C6": {
+      "iata": "C6",
+      "icao": "CJA",
+      "name": "CanJet",
+      "aliases": [],
+      "callsign": "CANJET",
+      "country": "Canada",
+      "active": false
+    },
+    "CP": {
+      "iata": "CP",
+      "icao": "CDN",
+      "name": "Canadian Airlines",
+      "aliases": [],
+      "callsign": "CANADIAN",
+      "country": "Canada",
+      "active": false
+    },
+    "5T": {
+      "iata": "5T",
+      "icao": "MPE",
+      "name": "Canadian North",
+      "aliases": [],
+      "callsign": "EMPRESS",
+      "country": "Canada",
+      "active": true
+    },
+    "W2": {
+      "iata": "W2",
+      "icao": null,
+      "name": "Maastricht Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Netherlands",
+      "active": true
+    },
+    "9K": {
+      "iata": "9K",
+      "icao": "KAP",
+      "name": "Cape Air",
+      "aliases": [],
+      "callsign": "CAIR",
+      "country": "United States",
+      "active": true
+    },
+    "PT": {
+      "iata": "PT",
+      "icao": null,
+      "name": "Red Jet Andes",
+      "aliases": [],
+      "callsign": null,
+      "country": "Peru",
+      "active": true
+    },
+    "2G": {
+      "iata": "2G",
+      "icao": "CRG",
+      "name": "Cargoitalia",
+      "aliases": [],
+      "callsign": "WHITE PELICAN",
+      "country": "Italy",
+      "active": false
+    },
+    "W8": {
+      "iata": "W8",
+      "icao": "CJT",
+      "name": "Cargojet Airways",
+      "aliases": [],
+      "callsign": "CARGOJET",
+      "country": "Canada",
+      "active": false
+    },
+    "BW": {
+      "iata": "BW",
+      "icao": "BWA",
+      "name": "Caribbean Airlines",
+      "aliases": [],
+      "callsign": "CARIBBEAN AIRLINES",
+      "country": "Trinidad and Tobago",
+      "active": true
+    },
+    "8B": {
+      "iata": "8B",
+      "icao": "BCC",
+      "name": "BusinessAir",
+      "aliases": [],
+      "callsign": null,
+      "country": "Thailand",
+      "active": true
+    },
+    "V3": {
+      "iata": "V3",
+      "icao": "KRP",
+      "name": "Carpatair",
+      "aliases": [],
+      "callsign": "CARPATAIR",
+      "country": "Romania",
+      "active": true
+    },
+    "RV": {
+      "iata": "RV",
+      "icao": "CPN",
+      "name": "Caspian Airlines",
+      "aliases": [],
+      "callsign": "CASPIAN",
+      "country": "Iran",
+      "active": true
+    },
+    "CX": {
+      "iata": "CX",
+      "icao": "CPA",
+      "name": "Cathay Pacific",
+      "aliases": [],
+      "callsign": "CATHAY",
+      "country": "Hong Kong",
+      "active": true
+    },
+    "KX": {
+      "iata": "KX",
+      "icao": "CAY",
+      "name": "Cayman Airways",
+      "aliases": [],
+      "callsign": "CAYMAN",
+      "country": "Cayman Islands",
+      "active": true
+    },
+    "5J": {
+      "iata": "5J",
+      "icao": "CEB",
+      "name": "Cebu Pacific",
+      "aliases": [],
+      "callsign": "CEBU AIR",
+      "country": "Philippines",
+      "active": true
+    },
+    "7N": {
+      "iata": "7N",
+      "icao": "CNA",
+      "name": "Centavia",
+      "aliases": [],
+      "callsign": null,
+      "country": "Serbia",
+      "active": false
+    },
+    "C0": {
+      "iata": "C0",
+      "icao": "CLW",
+      "name": "Centralwings",
+      "aliases": [],
+      "callsign": "CENTRALWINGS",
+      "country": "Poland",
+      "active": true
+    },
+    "J7": {
+      "iata": "J7",
+      "icao": null,
+      "name": "Denim Air",
+      "aliases": [
+        "FlyNonstop"
+      ],
+      "callsign": "DNM",
+      "country": "Norway",
+      "active": true
+    },
+    "WE": {
+      "iata": "WE",
+      "icao": null,
+      "name": "Thai Smile Airways",
+      "aliases": [
+        "THAI Smile"
+      ],
+      "callsign": "THAI SMILE",
+      "country": "Thailand",
+      "active": true
+    },
+    "OP": {
+      "iata": "OP",
+      "icao": "PPL",
+      "name": "Air Pegasus",
+      "aliases": [],
+      "callsign": null,
+      "country": "India",
+      "active": true
+    },
+    "MG": {
+      "iata": "MG",
+      "icao": "CCP",
+      "name": "Champion Air",
+      "aliases": [],
+      "callsign": "CHAMPION AIR",
+      "country": "United States",
+      "active": false
+    },
+    "2Z": {
+      "iata": "2Z",
+      "icao": "CGN",
+      "name": "Changan Airlines",
+      "aliases": [],
+      "callsign": "CHANGAN",
+      "country": "China",
+      "active": false
+    },
+    "S8": {
+      "iata": "S8",
+      "icao": "SBD",
+      "name": "Snowbird Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Finland",
+      "active": true
+    },
+    "RP": {
+      "iata": "RP",
+      "icao": "CHQ",
+      "name": "Chautauqua Airlines",
+      "aliases": [],
+      "callsign": "CHAUTAUQUA",
+      "country": "United States",
+      "active": true
+    },
+    "C8": {
+      "iata": "C8",
+      "icao": "WDY",
+      "name": "Chicago Express",
+      "aliases": [],
+      "callsign": "WINDY CITY",
+      "country": "United States",
+      "active": false
+    },
+    "CI": {
+      "iata": "CI",
+      "icao": "CAL",
+      "name": "China Airlines",
+      "aliases": [],
+      "callsign": "DYNASTY",
+      "country": "Taiwan",
+      "active": true
+    },
+    "CK": {
+      "iata": "CK",
+      "icao": "CKK",
+      "name": "China Cargo Airlines",
+      "aliases": [],
+      "callsign": "CARGO KING",
+      "country": "China",
+      "active": false
+    },
+    "MU": {
+      "iata": "MU",
+      "icao": "CES",
+      "name": "China Eastern Airlines",
+      "aliases": [],
+      "callsign": "CHINA EASTERN",
+      "country": "China",
+      "active": true
+    },
+    "CJ": {
+      "iata": "CJ",
+      "icao": "CFE",
+      "name": "BA CityFlyer",
+      "aliases": [],
+      "callsign": "FLYER",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "WH": {
+      "iata": "WH",
+      "icao": null,
+      "name": "China Northwest Airlines (WH)",
+      "aliases": [],
+      "callsign": null,
+      "country": "China",
+      "active": true
+    },
+    "CZ": {
+      "iata": "CZ",
+      "icao": "CSN",
+      "name": "China Southern Airlines",
+      "aliases": [],
+      "callsign": "CHINA SOUTHERN",
+      "country": "China",
+      "active": true
+    },
+    "HR": {
+      "iata": "HR",
+      "icao": "CUA",
+      "name": "China United Airlines",
+      "aliases": [],
+      "callsign": "LIANHANG",
+      "country": "China",
+      "active": true
+    },
+    "XO": {
+      "iata": "XO",
+      "icao": "LTE",
+      "name": "LTE International Airways",
+      "aliases": [],
+      "callsign": "FUN JET",
+      "country": "Spain",
+      "active": true
+    },
+    "3Q": {
+      "iata": "3Q",
+      "icao": "CYH",
+      "name": "Yunnan Airlines",
+      "aliases": [],
+      "callsign": "YUNNAN",
+      "country": "China",
+      "active": true
+    },
+    "X7": {
+      "iata": "X7",
+      "icao": "CHF",
+      "name": "Chitaavia",
+      "aliases": [],
+      "callsign": "CHITA",
+      "country": "Russia",
+      "active": false
+    },
+    "A2": {
+      "iata": "A2",
+      "icao": null,
+      "name": "All America",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "QI": {
+      "iata": "QI",
+      "icao": "CIM",
+      "name": "Cimber Air",
+      "aliases": [],
+      "callsign": "CIMBER",
+      "country": "Denmark",
+      "active": true
+    },
+    "C9": {
+      "iata": "C9",
+      "icao": "RUS",
+      "name": "Cirrus Airlines",
+      "aliases": [],
+      "callsign": "CIRRUS AIR",
+      "country": "Germany",
+      "active": true
+    },
+    "CF": {
+      "iata": "CF",
+      "icao": "SDR",
+      "name": "City Airline",
+      "aliases": [],
+      "callsign": "SWEDESTAR",
+      "country": "Sweden",
+      "active": true
+    },
+    "G3": {
+      "iata": "G3",
+      "icao": "GLO",
+      "name": "Gol Transportes Aéreos",
+      "aliases": [],
+      "callsign": "GOL TRANSPORTE",
+      "country": "Brazil",
+      "active": true
+    },
+    "WX": {
+      "iata": "WX",
+      "icao": "BCY",
+      "name": "CityJet",
+      "aliases": [],
+      "callsign": "CITY-IRELAND",
+      "country": "Ireland",
+      "active": true
+    },
+    "CT": {
+      "iata": "CT",
+      "icao": null,
+      "name": "Alitalia Cityliner",
+      "aliases": [],
+      "callsign": null,
+      "country": "Italy",
+      "active": true
+    },
+    "6P": {
+      "iata": "6P",
+      "icao": null,
+      "name": "Gryphon Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "BX": {
+      "iata": "BX",
+      "icao": "ABL",
+      "name": "Air Busan",
+      "aliases": [],
+      "callsign": "Air Busan",
+      "country": "South Korea",
+      "active": true
+    },
+    "DQ": {
+      "iata": "DQ",
+      "icao": null,
+      "name": "Coastal Air",
+      "aliases": [],
+      "callsign": "U.S. Virgin Islands",
+      "country": "United States",
+      "active": true
+    },
+    "9L": {
+      "iata": "9L",
+      "icao": "CJC",
+      "name": "Colgan Air",
+      "aliases": [],
+      "callsign": "COLGAN",
+      "country": "United States",
+      "active": true
+    },
+    "OH": {
+      "iata": "OH",
+      "icao": "COM",
+      "name": "Comair",
+      "aliases": [],
+      "callsign": "COMAIR",
+      "country": "United States",
+      "active": true
+    },
+    "MN": {
+      "iata": "MN",
+      "icao": "CAW",
+      "name": "Comair",
+      "aliases": [],
+      "callsign": "COMMERCIAL",
+      "country": "South Africa",
+      "active": true
+    },
+    "C5": {
+      "iata": "C5",
+      "icao": "UCA",
+      "name": "CommutAir",
+      "aliases": [],
+      "callsign": "COMMUTAIR",
+      "country": "United States",
+      "active": true
+    },
+    "KR": {
+      "iata": "KR",
+      "icao": "CWK",
+      "name": "Comores Airlines",
+      "aliases": [],
+      "callsign": "CONTICOM",
+      "country": "Comoros",
+      "active": true
+    },
+    "GJ": {
+      "iata": "GJ",
+      "icao": "EEU",
+      "name": "Eurofly Service",
+      "aliases": [],
+      "callsign": "EUROFLY",
+      "country": "Italy",
+      "active": true
+    },
+    "DE": {
+      "iata": "DE",
+      "icao": "CFG",
+      "name": "Condor Flugdienst",
+      "aliases": [],
+      "callsign": "CONDOR",
+      "country": "Germany",
+      "active": true
+    },
+    "6A": {
+      "iata": "6A",
+      "icao": "CHP",
+      "name": "Consorcio Aviaxsa",
+      "aliases": [],
+      "callsign": "AVIACSA",
+      "country": "Mexico",
+      "active": true
+    },
+    "C3": {
+      "iata": "C3",
+      "icao": "KIS",
+      "name": "Contact Air",
+      "aliases": [
+        "Contactair"
+      ],
+      "callsign": "CONTACTAIR",
+      "country": "Germany",
+      "active": false
+    },
+    "CO": {
+      "iata": "CO",
+      "icao": "COA",
+      "name": "Continental Airlines",
+      "aliases": [],
+      "callsign": "CONTINENTAL",
+      "country": "United States",
+      "active": false
+    },
+    "CS": {
+      "iata": "CS",
+      "icao": "CMI",
+      "name": "Continental Micronesia",
+      "aliases": [],
+      "callsign": "AIR MIKE",
+      "country": "United States",
+      "active": true
+    },
+    "V0": {
+      "iata": "V0",
+      "icao": "VCV",
+      "name": "Conviasa",
+      "aliases": [],
+      "callsign": "CONVIASA",
+      "country": "Venezuela",
+      "active": true
+    },
+    "CM": {
+      "iata": "CM",
+      "icao": "CMP",
+      "name": "Copa Airlines",
+      "aliases": [],
+      "callsign": "COPA",
+      "country": "Panama",
+      "active": true
+    },
+    "SS": {
+      "iata": "SS",
+      "icao": "CRL",
+      "name": "Corsairfly",
+      "aliases": [],
+      "callsign": "CORSAIR",
+      "country": "France",
+      "active": true
+    },
+    "XK": {
+      "iata": "XK",
+      "icao": "CCM",
+      "name": "Corse-Mediterranee",
+      "aliases": [],
+      "callsign": "CORSICA",
+      "country": "France",
+      "active": true
+    },
+    "F5": {
+      "iata": "F5",
+      "icao": null,
+      "name": "Fly One",
+      "aliases": [],
+      "callsign": null,
+      "country": "Moldova",
+      "active": true
+    },
+    "OU": {
+      "iata": "OU",
+      "icao": "CTN",
+      "name": "Croatia Airlines",
+      "aliases": [],
+      "callsign": "CROATIA",
+      "country": "Croatia",
+      "active": true
+    },
+    "QE": {
+      "iata": "QE",
+      "icao": "ECC",
+      "name": "Crossair Europe",
+      "aliases": [],
+      "callsign": "Cigogne",
+      "country": "Switzerland",
+      "active": false
+    },
+    "CU": {
+      "iata": "CU",
+      "icao": "CUB",
+      "name": "Cubana de Aviación",
+      "aliases": [],
+      "callsign": "CUBANA",
+      "country": "Cuba",
+      "active": true
+    },
+    "CY": {
+      "iata": "CY",
+      "icao": "CYP",
+      "name": "Cyprus Airways",
+      "aliases": [],
+      "callsign": "CYPRUS",
+      "country": "Cyprus",
+      "active": true
+    },
+    "YK": {
+      "iata": "YK",
+      "icao": null,
+      "name": "Cyprus Turkish Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Turkey",
+      "active": true
+    },
+    "OK": {
+      "iata": "OK",
+      "icao": "CSA",
+      "name": "Czech Airlines",
+      "aliases": [
+        "CSA Czech Airlines"
+      ],
+      "callsign": "CSA-LINES",
+      "country": "Czech Republic",
+      "active": true
+    },
+    "WD": {
+      "iata": "WD",
+      "icao": "AAN",
+      "name": "Amsterdam Airlines",
+      "aliases": [],
+      "callsign": "AMSTEL",
+      "country": "Netherlands",
+      "active": true
+    },
+    "DX": {
+      "iata": "DX",
+      "icao": "DTR",
+      "name": "DAT Danish Air Transport",
+      "aliases": [],
+      "callsign": "DANISH",
+      "country": "Denmark",
+      "active": true
+    },
+    "ES": {
+      "iata": "ES",
+      "icao": "EUV",
+      "name": "EuropeSky",
+      "aliases": [],
+      "callsign": "EuropeSky",
+      "country": "Germany",
+      "active": true
+    },
+    "L3": {
+      "iata": "L3",
+      "icao": "LTO",
+      "name": "LTU Austria",
+      "aliases": [],
+      "callsign": "BILLA TRANSPORT",
+      "country": "Austria",
+      "active": true
+    },
+    "D3": {
+      "iata": "D3",
+      "icao": "DAO",
+      "name": "Daallo Airlines",
+      "aliases": [],
+      "callsign": "DALO AIRLINES",
+      "country": "Djibouti",
+      "active": true
+    },
+    "N2": {
+      "iata": "N2",
+      "icao": "DAG",
+      "name": "Dagestan Airlines",
+      "aliases": [],
+      "callsign": "DAGAL",
+      "country": "Russia",
+      "active": false
+    },
+    "H8": {
+      "iata": "H8",
+      "icao": "KHB",
+      "name": "Dalavia",
+      "aliases": [],
+      "callsign": "DALAVIA",
+      "country": "Russia",
+      "active": true
+    },
+    "0D": {
+      "iata": "0D",
+      "icao": "DWT",
+      "name": "Darwin Airline",
+      "aliases": [],
+      "callsign": "DARWIN",
+      "country": "Switzerland",
+      "active": true
+    },
+    "D5": {
+      "iata": "D5",
+      "icao": "DAU",
+      "name": "Dauair",
+      "aliases": [],
+      "callsign": "DAUAIR",
+      "country": "Germany",
+      "active": false
+    },
+    "DL": {
+      "iata": "DL",
+      "icao": "DAL",
+      "name": "Delta Air Lines",
+      "aliases": [],
+      "callsign": "DELTA",
+      "country": "United States",
+      "active": true
+    },
+    "2A": {
+      "iata": "2A",
+      "icao": null,
+      "name": "Deutsche Bahn",
+      "aliases": [],
+      "callsign": null,
+      "country": "Germany",
+      "active": true
+    },
+    "1I": {
+      "iata": "1I",
+      "icao": "EJA",
+      "name": "NetJets",
+      "aliases": [],
+      "callsign": "EXECJET",
+      "country": "United States",
+      "active": true
+    },
+    "D7": {
+      "iata": "D7",
+      "icao": "XAX",
+      "name": "AirAsia X",
+      "aliases": [
+        "FlyAsianXpress"
+      ],
+      "callsign": "XANADU",
+      "country": "Malaysia",
+      "active": true
+    },
+    "DH": {
+      "iata": "DH",
+      "icao": "DSY",
+      "name": "Dennis Sky",
+      "aliases": [
+        "Dennis Sky Holding"
+      ],
+      "callsign": "DSY",
+      "country": "Israel",
+      "active": true
+    },
+    "D8": {
+      "iata": "D8",
+      "icao": "DJB",
+      "name": "Djibouti Airlines",
+      "aliases": [],
+      "callsign": "DJIBOUTI AIR",
+      "country": "Djibouti",
+      "active": true
+    },
+    "DO": {
+      "iata": "DO",
+      "icao": "DOA",
+      "name": "Dominicana de Aviaci",
+      "aliases": [],
+      "callsign": "DOMINICANA",
+      "country": "Dominican Republic",
+      "active": true
+    },
+    "E3": {
+      "iata": "E3",
+      "icao": "DMO",
+      "name": "Domodedovo Airlines",
+      "aliases": [],
+      "callsign": "DOMODEDOVO",
+      "country": "Russia",
+      "active": true
+    },
+    "KA": {
+      "iata": "KA",
+      "icao": "HDA",
+      "name": "Dragonair",
+      "aliases": [],
+      "callsign": "Hong Kong Dragon Airlines",
+      "country": "Hong Kong",
+      "active": true
+    },
+    "KB": {
+      "iata": "KB",
+      "icao": "DRK",
+      "name": "Druk Air",
+      "aliases": [],
+      "callsign": "ROYAL BHUTAN",
+      "country": "Bhutan",
+      "active": true
+    },
+    "DI": {
+      "iata": "DI",
+      "icao": "BAG",
+      "name": "dba",
+      "aliases": [],
+      "callsign": "SPEEDWAY",
+      "country": "Germany",
+      "active": true
+    },
+    "1C": {
+      "iata": "1C",
+      "icao": null,
+      "name": "OneChina",
+      "aliases": [],
+      "callsign": null,
+      "country": "China",
+      "active": true
+    },
+    "BR": {
+      "iata": "BR",
+      "icao": "EVA",
+      "name": "EVA Air",
+      "aliases": [],
+      "callsign": "EVA",
+      "country": "Taiwan",
+      "active": true
+    },
+    "H7": {
+      "iata": "H7",
+      "icao": null,
+      "name": "Eagle Air",
+      "aliases": [],
+      "callsign": null,
+      "country": "Uganda",
+      "active": true
+    },
+    "QU": {
+      "iata": "QU",
+      "icao": "UGX",
+      "name": "East African",
+      "aliases": [],
+      "callsign": "CRANE",
+      "country": "Uganda",
+      "active": true
+    },
+    "S9": {
+      "iata": "S9",
+      "icao": null,
+      "name": "Starbow Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Ghana",
+      "active": true
+    },
+    "T3": {
+      "iata": "T3",
+      "icao": "EZE",
+      "name": "Eastern Airways",
+      "aliases": [],
+      "callsign": "EASTFLIGHT",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "DK": {
+      "iata": "DK",
+      "icao": "ELA",
+      "name": "Eastland Air",
+      "aliases": [],
+      "callsign": null,
+      "country": "Australia",
+      "active": true
+    },
+    "MS": {
+      "iata": "MS",
+      "icao": "MSR",
+      "name": "Egyptair",
+      "aliases": [],
+      "callsign": "EGYPTAIR",
+      "country": "Egypt",
+      "active": true
+    },
+    "LY": {
+      "iata": "LY",
+      "icao": "ELY",
+      "name": "El Al Israel Airlines",
+      "aliases": [],
+      "callsign": "ELAL",
+      "country": "Israel",
+      "active": true
+    },
+    "UZ": {
+      "iata": "UZ",
+      "icao": "BRQ",
+      "name": "El-Buraq Air Transport",
+      "aliases": [],
+      "callsign": "BURAQAIR",
+      "country": "Libya",
+      "active": true
+    },
+    "EK": {
+      "iata": "EK",
+      "icao": "UAE",
+      "name": "Emirates",
+      "aliases": [
+        "Emirates Airlines"
+      ],
+      "callsign": "EMIRATES",
+      "country": "United Arab Emirates",
+      "active": true
+    },
+    "EU": {
+      "iata": "EU",
+      "icao": "EEA",
+      "name": "Empresa Ecuatoriana De Aviacion",
+      "aliases": [],
+      "callsign": "ECUATORIANA",
+      "country": "Ecuador",
+      "active": true
+    },
+    "E0": {
+      "iata": "E0",
+      "icao": "ESS",
+      "name": "Eos Airlines",
+      "aliases": [],
+      "callsign": "NEW DAWN",
+      "country": "United States",
+      "active": false
+    },
+    "B8": {
+      "iata": "B8",
+      "icao": "ERT",
+      "name": "Eritrean Airlines",
+      "aliases": [],
+      "callsign": "ERITREAN",
+      "country": "Eritrea",
+      "active": true
+    },
+    "E7": {
+      "iata": "E7",
+      "icao": "ESF",
+      "name": "Estafeta Carga Aerea",
+      "aliases": [],
+      "callsign": null,
+      "country": "Mexico",
+      "active": false
+    },
+    "OV": {
+      "iata": "OV",
+      "icao": "ELL",
+      "name": "Estonian Air",
+      "aliases": [],
+      "callsign": "ESTONIAN",
+      "country": "Estonia",
+      "active": true
+    },
+    "ET": {
+      "iata": "ET",
+      "icao": "ETH",
+      "name": "Ethiopian Airlines",
+      "aliases": [],
+      "callsign": "ETHIOPIAN",
+      "country": "Ethiopia",
+      "active": true
+    },
+    "EY": {
+      "iata": "EY",
+      "icao": "ETD",
+      "name": "Etihad Airways",
+      "aliases": [],
+      "callsign": "ETIHAD",
+      "country": "United Arab Emirates",
+      "active": true
+    },
+    "RZ": {
+      "iata": "RZ",
+      "icao": null,
+      "name": "Euro Exec Express",
+      "aliases": [],
+      "callsign": null,
+      "country": "Sweden",
+      "active": true
+    },
+    "UI": {
+      "iata": "UI",
+      "icao": "ECA",
+      "name": "Eurocypria Airlines",
+      "aliases": [],
+      "callsign": "EUROCYPRIA",
+      "country": "Cyprus",
+      "active": true
+    },
+    "K2": {
+      "iata": "K2",
+      "icao": "ELO",
+      "name": "Eurolot",
+      "aliases": [],
+      "callsign": "EUROLOT",
+      "country": "Poland",
+      "active": true
+    },
+    "3W": {
+      "iata": "3W",
+      "icao": null,
+      "name": "Malawian Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Malawi",
+      "active": true
+    },
+    "EA": {
+      "iata": "EA",
+      "icao": "EAL",
+      "name": "European Air Express",
+      "aliases": [],
+      "callsign": "STAR WING",
+      "country": "Germany",
+      "active": true
+    },
+    "QY": {
+      "iata": "QY",
+      "icao": null,
+      "name": "Red Jet Canada",
+      "aliases": [],
+      "callsign": null,
+      "country": "Canada",
+      "active": true
+    },
+    "EW": {
+      "iata": "EW",
+      "icao": "EWG",
+      "name": "Eurowings",
+      "aliases": [],
+      "callsign": "EUROWINGS",
+      "country": "Germany",
+      "active": true
+    },
+    "EZ": {
+      "iata": "EZ",
+      "icao": "EIA",
+      "name": "Evergreen International Airlines",
+      "aliases": [],
+      "callsign": "EVERGREEN",
+      "country": "United States",
+      "active": true
+    },
+    "JN": {
+      "iata": "JN",
+      "icao": "XLA",
+      "name": "Excel Airways",
+      "aliases": [],
+      "callsign": "EXPO",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "MB": {
+      "iata": "MB",
+      "icao": "MNB",
+      "name": "MNG Airlines",
+      "aliases": [],
+      "callsign": "BLACK SEA",
+      "country": "Turkey",
+      "active": true
+    },
+    "OW": {
+      "iata": "OW",
+      "icao": "EXK",
+      "name": "Executive Airlines",
+      "aliases": [],
+      "callsign": "EXECUTIVE EAGLE",
+      "country": "United States",
+      "active": false
+    },
+    "EO": {
+      "iata": "EO",
+      "icao": "LHN",
+      "name": "Express One International",
+      "aliases": [],
+      "callsign": "LONGHORN",
+      "country": "United States",
+      "active": true
+    },
+    "XE": {
+      "iata": "XE",
+      "icao": "BTA",
+      "name": "ExpressJet",
+      "aliases": [],
+      "callsign": "JET LINK",
+      "country": "United States",
+      "active": true
+    },
+    "U2": {
+      "iata": "U2",
+      "icao": "EZY",
+      "name": "easyJet",
+      "aliases": [
+        "EasyJet Airline"
+      ],
+      "callsign": "EASY",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "IH": {
+      "iata": "IH",
+      "icao": null,
+      "name": "Falcon Aviation",
+      "aliases": [],
+      "callsign": null,
+      "country": "Sweden",
+      "active": false
+    },
+    "EF": {
+      "iata": "EF",
+      "icao": "EFA",
+      "name": "Far Eastern Air Transport",
+      "aliases": [],
+      "callsign": "Far Eastern",
+      "country": "Taiwan",
+      "active": true
+    },
+    "F6": {
+      "iata": "F6",
+      "icao": "RCK",
+      "name": "Faroejet",
+      "aliases": [],
+      "callsign": "ROCKROSE",
+      "country": "Faroe Islands",
+      "active": false
+    },
+    "F3": {
+      "iata": "F3",
+      "icao": "FSW",
+      "name": "Faso Airways",
+      "aliases": [],
+      "callsign": "FASO",
+      "country": "Burkina Faso",
+      "active": false
+    },
+    "FX": {
+      "iata": "FX",
+      "icao": "FOX",
+      "name": "FOX Linhas Aereas",
+      "aliases": [],
+      "callsign": null,
+      "country": "Brazil",
+      "active": true
+    },
+    "N8": {
+      "iata": "N8",
+      "icao": "NCR",
+      "name": "National Air Cargo",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "4S": {
+      "iata": "4S",
+      "icao": null,
+      "name": "Vuola Italia",
+      "aliases": [],
+      "callsign": null,
+      "country": "Italy",
+      "active": true
+    },
+    "AY": {
+      "iata": "AY",
+      "icao": "FIN",
+      "name": "Finnair",
+      "aliases": [],
+      "callsign": "FINNAIR",
+      "country": "Finland",
+      "active": true
+    },
+    "FC": {
+      "iata": "FC",
+      "icao": "WBA",
+      "name": "Finncomm Airlines",
+      "aliases": [],
+      "callsign": "WESTBIRD",
+      "country": "Finland",
+      "active": true
+    },
+    "FY": {
+      "iata": "FY",
+      "icao": "FFM",
+      "name": "Firefly",
+      "aliases": [],
+      "callsign": "FIREFLY",
+      "country": "Malaysia",
+      "active": true
+    },
+    "7F": {
+      "iata": "7F",
+      "icao": "FAB",
+      "name": "First Air",
+      "aliases": [],
+      "callsign": null,
+      "country": "Canada",
+      "active": true
+    },
+    "DP": {
+      "iata": "DP",
+      "icao": "FCA",
+      "name": "First Choice Airways",
+      "aliases": [],
+      "callsign": "JETSET",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "8F": {
+      "iata": "8F",
+      "icao": "STP",
+      "name": "STP Airways",
+      "aliases": [],
+      "callsign": "SAOTOME AIRWAYS",
+      "country": "Sao Tome and Principe",
+      "active": true
+    },
+    "B5": {
+      "iata": "B5",
+      "icao": "FLT",
+      "name": "Flightline",
+      "aliases": [],
+      "callsign": "FLIGHTLINE",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "PA": {
+      "iata": "PA",
+      "icao": "IPV",
+      "name": "Parmiss Airlines (IPV)",
+      "aliases": [],
+      "callsign": "IPV",
+      "country": "Iran",
+      "active": true
+    },
+    "RF": {
+      "iata": "RF",
+      "icao": "FWL",
+      "name": "Florida West International Airways",
+      "aliases": [],
+      "callsign": "FLO WEST",
+      "country": "United States",
+      "active": true
+    },
+    "F2": {
+      "iata": "F2",
+      "icao": "FLM",
+      "name": "Fly Air",
+      "aliases": [],
+      "callsign": "FLY WORLD",
+      "country": "Turkey",
+      "active": false
+    },
+    "SH": {
+      "iata": "SH",
+      "icao": "SHA",
+      "name": "Sharp Airlines",
+      "aliases": [],
+      "callsign": "SHARP",
+      "country": "Australia",
+      "active": true
+    },
+    "TE": {
+      "iata": "TE",
+      "icao": "LIL",
+      "name": "FlyLal",
+      "aliases": [],
+      "callsign": "LITHUANIA AIR",
+      "country": "Lithuania",
+      "active": true
+    },
+    "LF": {
+      "iata": "LF",
+      "icao": "NDC",
+      "name": "FlyNordic",
+      "aliases": [],
+      "callsign": "NORDIC",
+      "country": "Sweden",
+      "active": true
+    },
+    "F7": {
+      "iata": "F7",
+      "icao": "BBO",
+      "name": "Flybaboo",
+      "aliases": [],
+      "callsign": "BABOO",
+      "country": "Switzerland",
+      "active": true
+    },
+    "BE": {
+      "iata": "BE",
+      "icao": "BEE",
+      "name": "Flybe",
+      "aliases": [],
+      "callsign": "JERSEY",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "VY": {
+      "iata": "VY",
+      "icao": "VLG",
+      "name": "Vueling Airlines",
+      "aliases": [],
+      "callsign": "VUELING",
+      "country": "Spain",
+      "active": true
+    },
+    "HK": {
+      "iata": "HK",
+      "icao": null,
+      "name": "Yangon Airways",
+      "aliases": [],
+      "callsign": "Hotel Kilo",
+      "country": "Myanmar (Burma)",
+      "active": true
+    },
+    "FP": {
+      "iata": "FP",
+      "icao": "FRE",
+      "name": "Freedom Air",
+      "aliases": [],
+      "callsign": "FREEDOM",
+      "country": "United States",
+      "active": true
+    },
+    "F9": {
+      "iata": "F9",
+      "icao": "FFT",
+      "name": "Frontier Airlines",
+      "aliases": [],
+      "callsign": "FRONTIER FLIGHT",
+      "country": "United States",
+      "active": true
+    },
+    "2F": {
+      "iata": "2F",
+      "icao": "FTA",
+      "name": "Frontier Flying Service",
+      "aliases": [],
+      "callsign": "FRONTIER-AIR",
+      "country": "United States",
+      "active": true
+    },
+    "FH": {
+      "iata": "FH",
+      "icao": "FHI",
+      "name": "FlyHigh Airlines Ireland (FH)",
+      "aliases": [],
+      "callsign": "FLYHIRELAND",
+      "country": "Ireland",
+      "active": true
+    },
+    "GT": {
+      "iata": "GT",
+      "icao": "GBL",
+      "name": "GB Airways",
+      "aliases": [],
+      "callsign": "GEEBEE AIRWAYS",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "7O": {
+      "iata": "7O",
+      "icao": null,
+      "name": "All Colombia",
+      "aliases": [],
+      "callsign": null,
+      "country": "Colombia",
+      "active": true
+    },
+    "1G": {
+      "iata": "1G",
+      "icao": null,
+      "name": "Galileo International",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": false
+    },
+    "GC": {
+      "iata": "GC",
+      "icao": "GNR",
+      "name": "Gambia International Airlines",
+      "aliases": [],
+      "callsign": "GAMBIA INTERNATIONAL",
+      "country": "Gambia",
+      "active": false
+    },
+    "G7": {
+      "iata": "G7",
+      "icao": "GJS",
+      "name": "GoJet Airlines",
+      "aliases": [],
+      "callsign": "GATEWAY",
+      "country": "United States",
+      "active": true
+    },
+    "GA": {
+      "iata": "GA",
+      "icao": "GIA",
+      "name": "Garuda Indonesia",
+      "aliases": [],
+      "callsign": "INDONESIA",
+      "country": "Indonesia",
+      "active": true
+    },
+    "A9": {
+      "iata": "A9",
+      "icao": "TGZ",
+      "name": "Georgian Airways",
+      "aliases": [],
+      "callsign": "TAMAZI",
+      "country": "Georgia",
+      "active": true
+    },
+    "QB": {
+      "iata": "QB",
+      "icao": "GFG",
+      "name": "Georgian National Airlines",
+      "aliases": [],
+      "callsign": "NATIONAL",
+      "country": "Georgia",
+      "active": true
+    },
+    "ST": {
+      "iata": "ST",
+      "icao": "GMI",
+      "name": "Germania",
+      "aliases": [],
+      "callsign": "GERMANIA",
+      "country": "Germany",
+      "active": true
+    },
+    "4U": {
+      "iata": "4U",
+      "icao": "GWI",
+      "name": "Germanwings",
+      "aliases": [],
+      "callsign": "GERMAN WINGS",
+      "country": "Germany",
+      "active": true
+    },
+    "GP": {
+      "iata": "GP",
+      "icao": "GDR",
+      "name": "Gadair European Airlines",
+      "aliases": [],
+      "callsign": "GADAIR",
+      "country": "Spain",
+      "active": true
+    },
+    "G0": {
+      "iata": "G0",
+      "icao": "GHB",
+      "name": "Ghana International Airlines",
+      "aliases": [],
+      "callsign": "GHANA AIRLINES",
+      "country": "Ghana",
+      "active": true
+    },
+    "GK": {
+      "iata": "GK",
+      "icao": null,
+      "name": "Genesis",
+      "aliases": [],
+      "callsign": null,
+      "country": "Pakistan",
+      "active": true
+    },
+    "DC": {
+      "iata": "DC",
+      "icao": "GAO",
+      "name": "Golden Air",
+      "aliases": [],
+      "callsign": "GOLDEN",
+      "country": "Sweden",
+      "active": true
+    },
+    "G1": {
+      "iata": "G1",
+      "icao": null,
+      "name": "Indya Airline Group",
+      "aliases": [
+        "Indya1"
+      ],
+      "callsign": "Indya1",
+      "country": "India",
+      "active": true
+    },
+    "ZK": {
+      "iata": "ZK",
+      "icao": "GLA",
+      "name": "Great Lakes Airlines",
+      "aliases": [],
+      "callsign": "LAKES AIR",
+      "country": "United States",
+      "active": true
+    },
+    "IJ": {
+      "iata": "IJ",
+      "icao": "SJO",
+      "name": "Spring Airlines Japan",
+      "aliases": [],
+      "callsign": null,
+      "country": "Japan",
+      "active": true
+    },
+    "TA": {
+      "iata": "TA",
+      "icao": "TAT",
+      "name": "Grupo TACA",
+      "aliases": [
+        "TACA"
+      ],
+      "callsign": "TACA-COSTARICA",
+      "country": "Costa Rica",
+      "active": true
+    },
+    "G6": {
+      "iata": "G6",
+      "icao": null,
+      "name": "Air Volga",
+      "aliases": [],
+      "callsign": "GOUMRAK",
+      "country": "Russia",
+      "active": true
+    },
+    "J9": {
+      "iata": "J9",
+      "icao": "JZR",
+      "name": "Jazeera Airways",
+      "aliases": [],
+      "callsign": "JAZEERA",
+      "country": "Kuwait",
+      "active": true
+    },
+    "GF": {
+      "iata": "GF",
+      "icao": "GBA",
+      "name": "Gulf Air Bahrain",
+      "aliases": [],
+      "callsign": "GULF BAHRAIN",
+      "country": "Bahrain",
+      "active": true
+    },
+    "GY": {
+      "iata": "GY",
+      "icao": "GBK",
+      "name": "Gabon Airlines",
+      "aliases": [],
+      "callsign": "GABON AIRLINES",
+      "country": "Gabon",
+      "active": true
+    },
+    "H6": {
+      "iata": "H6",
+      "icao": "HAG",
+      "name": "Hageland Aviation Services",
+      "aliases": [],
+      "callsign": "HAGELAND",
+      "country": "United States",
+      "active": true
+    },
+    "HU": {
+      "iata": "HU",
+      "icao": "CHH",
+      "name": "Hainan Airlines",
+      "aliases": [],
+      "callsign": "HAINAN",
+      "country": "China",
+      "active": true
+    },
+    "1R": {
+      "iata": "1R",
+      "icao": null,
+      "name": "All America CL",
+      "aliases": [
+        "All America Chile"
+      ],
+      "callsign": null,
+      "country": "Chile",
+      "active": true
+    },
+    "2T": {
+      "iata": "2T",
+      "icao": "HAM",
+      "name": "Haiti Ambassador Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Haiti",
+      "active": true
+    },
+    "4R": {
+      "iata": "4R",
+      "icao": "HHI",
+      "name": "Hamburg International",
+      "aliases": [],
+      "callsign": "HAMBURG JET",
+      "country": "Germany",
+      "active": true
+    },
+    "X3": {
+      "iata": "X3",
+      "icao": "HLX",
+      "name": "TUIfly",
+      "aliases": [],
+      "callsign": "YELLOW CAB",
+      "country": "Germany",
+      "active": true
+    },
+    "HF": {
+      "iata": "HF",
+      "icao": "HLF",
+      "name": "Hapagfly",
+      "aliases": [],
+      "callsign": "HAPAG LLOYD",
+      "country": "Germany",
+      "active": true
+    },
+    "HB": {
+      "iata": "HB",
+      "icao": "HAR",
+      "name": "Harbor Airlines",
+      "aliases": [],
+      "callsign": "HARBOR",
+      "country": "United States",
+      "active": false
+    },
+    "HQ": {
+      "iata": "HQ",
+      "icao": "HMY",
+      "name": "Harmony Airways",
+      "aliases": [],
+      "callsign": "HARMONY",
+      "country": "Canada",
+      "active": false
+    },
+    "HA": {
+      "iata": "HA",
+      "icao": "HAL",
+      "name": "Hawaiian Airlines",
+      "aliases": [],
+      "callsign": "HAWAIIAN",
+      "country": "United States",
+      "active": true
+    },
+    "BH": {
+      "iata": "BH",
+      "icao": null,
+      "name": "Hawkair",
+      "aliases": [],
+      "callsign": null,
+      "country": "Canada",
+      "active": true
+    },
+    "HN": {
+      "iata": "HN",
+      "icao": "HNX",
+      "name": "Hankook Airline",
+      "aliases": [],
+      "callsign": "HNX",
+      "country": "South Korea",
+      "active": true
+    },
+    "8H": {
+      "iata": "8H",
+      "icao": "HFR",
+      "name": "Heli France",
+      "aliases": [],
+      "callsign": "HELIFRANCE",
+      "country": "France",
+      "active": true
+    },
+    "JB": {
+      "iata": "JB",
+      "icao": "JBA",
+      "name": "Helijet",
+      "aliases": [],
+      "callsign": "HELIJET",
+      "country": "Canada",
+      "active": true
+    },
+    "ZU": {
+      "iata": "ZU",
+      "icao": "HCY",
+      "name": "Helios Airways",
+      "aliases": [],
+      "callsign": "HELIOS",
+      "country": "Cyprus",
+      "active": false
+    },
+    "T4": {
+      "iata": "T4",
+      "icao": "HEJ",
+      "name": "Hellas Jet",
+      "aliases": [],
+      "callsign": "HELLAS JET",
+      "country": "Greece",
+      "active": true
+    },
+    "HW": {
+      "iata": "HW",
+      "icao": "FHE",
+      "name": "Hello",
+      "aliases": [],
+      "callsign": "FLYHELLO",
+      "country": "Switzerland",
+      "active": true
+    },
+    "2L": {
+      "iata": "2L",
+      "icao": "OAW",
+      "name": "Helvetic Airways",
+      "aliases": [],
+      "callsign": "HELVETIC",
+      "country": "Switzerland",
+      "active": true
+    },
+    "DU": {
+      "iata": "DU",
+      "icao": "NLH",
+      "name": "Norwegian Long Haul AS",
+      "aliases": [],
+      "callsign": "NORSTAR",
+      "country": "Norway",
+      "active": true
+    },
+    "UD": {
+      "iata": "UD",
+      "icao": "HER",
+      "name": "Hex'Air",
+      "aliases": [],
+      "callsign": "HEX AIRLINE",
+      "country": "France",
+      "active": true
+    },
+    "5K": {
+      "iata": "5K",
+      "icao": null,
+      "name": "Hi Fly (5K)",
+      "aliases": [],
+      "callsign": null,
+      "country": "Portugal",
+      "active": true
+    },
+    "HD": {
+      "iata": "HD",
+      "icao": "ADO",
+      "name": "Hokkaido International Airlines",
+      "aliases": [],
+      "callsign": "AIR DO",
+      "country": "Japan",
+      "active": true
+    },
+    "H5": {
+      "iata": "H5",
+      "icao": "RSY",
+      "name": "I-Fly",
+      "aliases": [],
+      "callsign": "RUSSIAN SKY",
+      "country": "Russia",
+      "active": true
+    },
+    "HX": {
+      "iata": "HX",
+      "icao": "CRK",
+      "name": "Hong Kong Airlines",
+      "aliases": [],
+      "callsign": "BAUHINIA",
+      "country": "Hong Kong",
+      "active": true
+    },
+    "UO": {
+      "iata": "UO",
+      "icao": "HKE",
+      "name": "Hong Kong Express Airways",
+      "aliases": [],
+      "callsign": "HONGKONG SHUTTLE",
+      "country": "Hong Kong",
+      "active": true
+    },
+    "HH": {
+      "iata": "HH",
+      "icao": "AHO",
+      "name": "Air Hamburg (AHO)",
+      "aliases": [],
+      "callsign": "Air Hamburg",
+      "country": "Germany",
+      "active": true
+    },
+    "QX": {
+      "iata": "QX",
+      "icao": "QXE",
+      "name": "Horizon Air",
+      "aliases": [
+        "Horizon Airlines"
+      ],
+      "callsign": "HORIZON AIR",
+      "country": "United States",
+      "active": true
+    },
+    "H4": {
+      "iata": "H4",
+      "icao": null,
+      "name": "Héli Sécurité Helicopter Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "France",
+      "active": false
+    },
+    "II": {
+      "iata": "II",
+      "icao": "UWW",
+      "name": "LSM International",
+      "aliases": [
+        "Moskva-air"
+      ],
+      "callsign": "moose",
+      "country": "Russia",
+      "active": true
+    },
+    "1F": {
+      "iata": "1F",
+      "icao": "CIF",
+      "name": "CB Airways UK ( Interliging Flights )",
+      "aliases": [],
+      "callsign": null,
+      "country": "United Kingdom",
+      "active": true
+    },
+    "1U": {
+      "iata": "1U",
+      "icao": null,
+      "name": "ITA Software",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": false
+    },
+    "IB": {
+      "iata": "IB",
+      "icao": "IBE",
+      "name": "Iberia Airlines",
+      "aliases": [],
+      "callsign": "IBERIA",
+      "country": "Spain",
+      "active": true
+    },
+    "FW": {
+      "iata": "FW",
+      "icao": "IBX",
+      "name": "Ibex Airlines",
+      "aliases": [],
+      "callsign": "IBEX",
+      "country": "Japan",
+      "active": true
+    },
+    "FI": {
+      "iata": "FI",
+      "icao": "ICE",
+      "name": "Icelandair",
+      "aliases": [],
+      "callsign": "ICEAIR",
+      "country": "Iceland",
+      "active": true
+    },
+    "IK": {
+      "iata": "IK",
+      "icao": "ITX",
+      "name": "Imair Airlines",
+      "aliases": [],
+      "callsign": "IMPROTEX",
+      "country": "Azerbaijan",
+      "active": true
+    },
+    "6E": {
+      "iata": "6E",
+      "icao": "IGO",
+      "name": "IndiGo Airlines",
+      "aliases": [],
+      "callsign": "IFLY",
+      "country": "India",
+      "active": true
+    },
+    "IC": {
+      "iata": "IC",
+      "icao": "IAC",
+      "name": "Indian Airlines",
+      "aliases": [],
+      "callsign": "INDAIR",
+      "country": "India",
+      "active": true
+    },
+    "QZ": {
+      "iata": "QZ",
+      "icao": "AWQ",
+      "name": "Indonesia AirAsia",
+      "aliases": [],
+      "callsign": "WAGON AIR",
+      "country": "Indonesia",
+      "active": true
+    },
+    "IO": {
+      "iata": "IO",
+      "icao": "IAA",
+      "name": "Indonesian Airlines",
+      "aliases": [],
+      "callsign": "INDO LINES",
+      "country": "Indonesia",
+      "active": true
+    },
+    "D6": {
+      "iata": "D6",
+      "icao": "ILN",
+      "name": "Interair South Africa",
+      "aliases": [],
+      "callsign": "INLINE",
+      "country": "South Africa",
+      "active": true
+    },
+    "RS": {
+      "iata": "RS",
+      "icao": "SKV",
+      "name": "Sky Regional",
+      "aliases": [
+        "Air Canada Express"
+      ],
+      "callsign": "Sky Regional",
+      "country": "Canada",
+      "active": true
+    },
+    "ID": {
+      "iata": "ID",
+      "icao": "ITK",
+      "name": "Interlink Airlines",
+      "aliases": [],
+      "callsign": "INTERLINK",
+      "country": "South Africa",
+      "active": true
+    },
+    "6I": {
+      "iata": "6I",
+      "icao": null,
+      "name": "Fly 6ix",
+      "aliases": [],
+      "callsign": null,
+      "country": "Sierra Leone",
+      "active": true
+    },
+    "3L": {
+      "iata": "3L",
+      "icao": "ISK",
+      "name": "Intersky",
+      "aliases": [],
+      "callsign": "INTERSKY",
+      "country": "Austria",
+      "active": true
+    },
+    "I4": {
+      "iata": "I4",
+      "icao": null,
+      "name": "International AirLink",
+      "aliases": [],
+      "callsign": null,
+      "country": "Jamaica",
+      "active": true
+    },
+    "IR": {
+      "iata": "IR",
+      "icao": "IRA",
+      "name": "Iran Air",
+      "aliases": [],
+      "callsign": "IRANAIR",
+      "country": "Iran",
+      "active": true
+    },
+    "EP": {
+      "iata": "EP",
+      "icao": "IRC",
+      "name": "Iran Aseman Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Iran",
+      "active": true
+    },
+    "IA": {
+      "iata": "IA",
+      "icao": "IAW",
+      "name": "Iraqi Airways",
+      "aliases": [],
+      "callsign": "IRAQI",
+      "country": "Iraq",
+      "active": true
+    },
+    "IS": {
+      "iata": "IS",
+      "icao": null,
+      "name": "Island Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "2S": {
+      "iata": "2S",
+      "icao": null,
+      "name": "Air Carnival",
+      "aliases": [],
+      "callsign": null,
+      "country": "India",
+      "active": true
+    },
+    "8L": {
+      "iata": "8L",
+      "icao": "CGP",
+      "name": "Cargo Plus Aviation",
+      "aliases": [],
+      "callsign": null,
+      "country": "United Arab Emirates",
+      "active": true
+    },
+    "CN": {
+      "iata": "CN",
+      "icao": "YCP",
+      "name": "Canadian National Airways",
+      "aliases": [],
+      "callsign": "CaNational",
+      "country": "Canada",
+      "active": true
+    },
+    "IF": {
+      "iata": "IF",
+      "icao": "ISW",
+      "name": "Islas Airways",
+      "aliases": [],
+      "callsign": "PINTADERA",
+      "country": "Spain",
+      "active": true
+    },
+    "WC": {
+      "iata": "WC",
+      "icao": "ISV",
+      "name": "Islena De Inversiones",
+      "aliases": [],
+      "callsign": null,
+      "country": "Honduras",
+      "active": true
+    },
+    "6H": {
+      "iata": "6H",
+      "icao": "ISR",
+      "name": "Israir",
+      "aliases": [],
+      "callsign": "ISRAIR",
+      "country": "Israel",
+      "active": true
+    },
+    "9X": {
+      "iata": "9X",
+      "icao": null,
+      "name": "Regionalia Venezuela",
+      "aliases": [],
+      "callsign": null,
+      "country": "Venezuela",
+      "active": true
+    },
+    "GI": {
+      "iata": "GI",
+      "icao": "IKA",
+      "name": "Itek Air",
+      "aliases": [],
+      "callsign": "ITEK-AIR",
+      "country": "Kyrgyzstan",
+      "active": true
+    },
+    "JC": {
+      "iata": "JC",
+      "icao": "JEX",
+      "name": "JAL Express",
+      "aliases": [],
+      "callsign": "JANEX",
+      "country": "Japan",
+      "active": true
+    },
+    "JO": {
+      "iata": "JO",
+      "icao": "JAZ",
+      "name": "JALways",
+      "aliases": [],
+      "callsign": "JALWAYS",
+      "country": "Japan",
+      "active": true
+    },
+    "1M": {
+      "iata": "1M",
+      "icao": null,
+      "name": "JSC Transport Automated Information Systems",
+      "aliases": [],
+      "callsign": null,
+      "country": "Russia",
+      "active": false
+    },
+    "JL": {
+      "iata": "JL",
+      "icao": "JAL",
+      "name": "Japan Airlines",
+      "aliases": [
+        "JAL Japan Airlines"
+      ],
+      "callsign": "JAPANAIR",
+      "country": "Japan",
+      "active": true
+    },
+    "EG": {
+      "iata": "EG",
+      "icao": "JAA",
+      "name": "Japan Asia Airways",
+      "aliases": [],
+      "callsign": "ASIA",
+      "country": "Japan",
+      "active": true
+    },
+    "NU": {
+      "iata": "NU",
+      "icao": "JTA",
+      "name": "Japan Transocean Air",
+      "aliases": [],
+      "callsign": "JAI OCEAN",
+      "country": "Japan",
+      "active": true
+    },
+    "JU": {
+      "iata": "JU",
+      "icao": "ASL",
+      "name": "Air Serbia",
+      "aliases": [],
+      "callsign": "AIR SERBIA",
+      "country": "Serbia",
+      "active": true
+    },
+    "VJ": {
+      "iata": "VJ",
+      "icao": "RAC",
+      "name": "Royal Air Cambodge",
+      "aliases": [],
+      "callsign": null,
+      "country": "Cambodia",
+      "active": true
+    },
+    "7C": {
+      "iata": "7C",
+      "icao": "JJA",
+      "name": "Jeju Air",
+      "aliases": [],
+      "callsign": "JEJU AIR",
+      "country": "South Korea",
+      "active": true
+    },
+    "9W": {
+      "iata": "9W",
+      "icao": "JAI",
+      "name": "Jet Airways",
+      "aliases": [],
+      "callsign": "JET AIRWAYS",
+      "country": "India",
+      "active": true
+    },
+    "QJ": {
+      "iata": "QJ",
+      "icao": null,
+      "name": "Jet Airways",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "0J": {
+      "iata": "0J",
+      "icao": null,
+      "name": "Jetclub",
+      "aliases": [],
+      "callsign": null,
+      "country": "Switzerland",
+      "active": false
+    },
+    "3K": {
+      "iata": "3K",
+      "icao": "JSA",
+      "name": "Jetstar Asia Airways",
+      "aliases": [],
+      "callsign": "JETSTAR ASIA",
+      "country": "Singapore",
+      "active": true
+    },
+    "LS": {
+      "iata": "LS",
+      "icao": "EXS",
+      "name": "Jet2.com",
+      "aliases": [],
+      "callsign": "CHANNEX",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "8J": {
+      "iata": "8J",
+      "icao": "JFU",
+      "name": "Jet4You",
+      "aliases": [],
+      "callsign": "ARGAN",
+      "country": "Morocco",
+      "active": true
+    },
+    "B6": {
+      "iata": "B6",
+      "icao": "JBU",
+      "name": "JetBlue Airways",
+      "aliases": [],
+      "callsign": "JETBLUE",
+      "country": "United States",
+      "active": true
+    },
+    "JF": {
+      "iata": "JF",
+      "icao": "JAF",
+      "name": "Jetairfly",
+      "aliases": [],
+      "callsign": "BEAUTY",
+      "country": "Belgium",
+      "active": true
+    },
+    "SG": {
+      "iata": "SG",
+      "icao": "SEJ",
+      "name": "Spicejet",
+      "aliases": [],
+      "callsign": "SPICEJET",
+      "country": "India",
+      "active": true
+    },
+    "JQ": {
+      "iata": "JQ",
+      "icao": "JST",
+      "name": "Jetstar Airways",
+      "aliases": [],
+      "callsign": "JETSTAR",
+      "country": "Australia",
+      "active": true
+    },
+    "JX": {
+      "iata": "JX",
+      "icao": "JSR",
+      "name": "Jusur airways",
+      "aliases": [],
+      "callsign": null,
+      "country": "Egypt",
+      "active": true
+    },
+    "GX": {
+      "iata": "GX",
+      "icao": "GXG",
+      "name": "GermanXL",
+      "aliases": [],
+      "callsign": null,
+      "country": "Germany",
+      "active": true
+    },
+    "R5": {
+      "iata": "R5",
+      "icao": "MAC",
+      "name": "Malta Air Charter",
+      "aliases": [],
+      "callsign": "MALTA CHARTER",
+      "country": "Malta",
+      "active": true
+    },
+    "KD": {
+      "iata": "KD",
+      "icao": "KNI",
+      "name": "KD Avia",
+      "aliases": [],
+      "callsign": "KALININGRAD AIR",
+      "country": "Russia",
+      "active": true
+    },
+    "WA": {
+      "iata": "WA",
+      "icao": "KLC",
+      "name": "KLM Cityhopper",
+      "aliases": [],
+      "callsign": "CITY",
+      "country": "Netherlands",
+      "active": true
+    },
+    "KL": {
+      "iata": "KL",
+      "icao": "KLM",
+      "name": "KLM Royal Dutch Airlines",
+      "aliases": [],
+      "callsign": "KLM",
+      "country": "Netherlands",
+      "active": true
+    },
+    "K4": {
+      "iata": "K4",
+      "icao": "CKS",
+      "name": "Kalitta Air",
+      "aliases": [],
+      "callsign": "CONNIE",
+      "country": "United States",
+      "active": false
+    },
+    "RQ": {
+      "iata": "RQ",
+      "icao": "KMF",
+      "name": "Kam Air",
+      "aliases": [],
+      "callsign": "KAMGAR",
+      "country": "Afghanistan",
+      "active": true
+    },
+    "E2": {
+      "iata": "E2",
+      "icao": null,
+      "name": "Eagle Atlantic Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Ghana",
+      "active": true
+    },
+    "V2": {
+      "iata": "V2",
+      "icao": "RBY",
+      "name": "Vision Airlines (V2)",
+      "aliases": [],
+      "callsign": "RUBY",
+      "country": "United States",
+      "active": true
+    },
+    "KV": {
+      "iata": "KV",
+      "icao": "MVD",
+      "name": "Kavminvodyavia",
+      "aliases": [],
+      "callsign": "AIR MINVODY",
+      "country": "Russia",
+      "active": true
+    },
+    "M5": {
+      "iata": "M5",
+      "icao": "KEN",
+      "name": "Kenmore Air",
+      "aliases": [],
+      "callsign": "KENMORE",
+      "country": "United States",
+      "active": true
+    },
+    "KQ": {
+      "iata": "KQ",
+      "icao": "KQA",
+      "name": "Kenya Airways",
+      "aliases": [],
+      "callsign": "KENYA",
+      "country": "Kenya",
+      "active": true
+    },
+    "IT": {
+      "iata": "IT",
+      "icao": "KFR",
+      "name": "Kingfisher Airlines",
+      "aliases": [],
+      "callsign": "KINGFISHER",
+      "country": "India",
+      "active": true
+    },
+    "Y9": {
+      "iata": "Y9",
+      "icao": "IRK",
+      "name": "Kish Air",
+      "aliases": [],
+      "callsign": "KISHAIR",
+      "country": "Iran",
+      "active": true
+    },
+    "KP": {
+      "iata": "KP",
+      "icao": "DWA",
+      "name": "Dense Airways",
+      "aliases": [],
+      "callsign": "DENSE",
+      "country": "United States",
+      "active": true
+    },
+    "7K": {
+      "iata": "7K",
+      "icao": "KGL",
+      "name": "Kogalymavia Air Company",
+      "aliases": [],
+      "callsign": "KOGALYM",
+      "country": "Russia",
+      "active": true
+    },
+    "KE": {
+      "iata": "KE",
+      "icao": "KAL",
+      "name": "Korean Air",
+      "aliases": [],
+      "callsign": "KOREANAIR",
+      "country": "South Korea",
+      "active": true
+    },
+    "7B": {
+      "iata": "7B",
+      "icao": "KJC",
+      "name": "Krasnojarsky Airlines",
+      "aliases": [],
+      "callsign": "KRASNOJARSKY AIR",
+      "country": "Russia",
+      "active": true
+    },
+    "K9": {
+      "iata": "K9",
+      "icao": "KRI",
+      "name": "Krylo Airlines",
+      "aliases": [],
+      "callsign": "Krylo",
+      "country": "Russia",
+      "active": false
+    },
+    "GW": {
+      "iata": "GW",
+      "icao": "KIL",
+      "name": "Kuban Airlines",
+      "aliases": [],
+      "callsign": "AIR KUBAN",
+      "country": "Russia",
+      "active": true
+    },
+    "KU": {
+      "iata": "KU",
+      "icao": "KAC",
+      "name": "Kuwait Airways",
+      "aliases": [],
+      "callsign": "KUWAITI",
+      "country": "Kuwait",
+      "active": true
+    },
+    "GO": {
+      "iata": "GO",
+      "icao": "KZU",
+      "name": "Kuzu Airlines Cargo",
+      "aliases": [],
+      "callsign": "KUZU CARGO",
+      "country": "Turkey",
+      "active": true
+    },
+    "N5": {
+      "iata": "N5",
+      "icao": "SGY",
+      "name": "Skagway Air Service",
+      "aliases": [],
+      "callsign": "SKAGWAY AIR",
+      "country": "United States",
+      "active": true
+    },
+    "R8": {
+      "iata": "R8",
+      "icao": "RRJ",
+      "name": "AirRussia",
+      "aliases": [
+        "RussianConector"
+      ],
+      "callsign": "russiancloud",
+      "country": "Russia",
+      "active": true
+    },
+    "LR": {
+      "iata": "LR",
+      "icao": "LRC",
+      "name": "LACSA",
+      "aliases": [],
+      "callsign": "LACSA",
+      "country": "Costa Rica",
+      "active": true
+    },
+    "KG": {
+      "iata": "KG",
+      "icao": "RAW",
+      "name": "Royal Airways",
+      "aliases": [
+        "Royal Inc."
+      ],
+      "callsign": "RAW",
+      "country": "United States",
+      "active": true
+    },
+    "LA": {
+      "iata": "LA",
+      "icao": "LAN",
+      "name": "LATAM Airlines",
+      "aliases": [],
+      "callsign": "LAN",
+      "country": "Chile",
+      "active": true
+    },
+    "4M": {
+      "iata": "4M",
+      "icao": "DSM",
+      "name": "LATAM Airlines Argentina",
+      "aliases": [],
+      "callsign": "LAN AR",
+      "country": "Argentina",
+      "active": false
+    },
+    "LU": {
+      "iata": "LU",
+      "icao": "LXP",
+      "name": "LATAM Airlines Chile",
+      "aliases": [],
+      "callsign": "LANEX",
+      "country": "Chile",
+      "active": true
+    },
+    "LP": {
+      "iata": "LP",
+      "icao": "LPE",
+      "name": "LATAM Airlines Peru",
+      "aliases": [],
+      "callsign": "LANPERU",
+      "country": "Peru",
+      "active": true
+    },
+    "LO": {
+      "iata": "LO",
+      "icao": "LOT",
+      "name": "LOT Polish Airlines",
+      "aliases": [],
+      "callsign": "POLLOT",
+      "country": "Poland",
+      "active": true
+    },
+    "LT": {
+      "iata": "LT",
+      "icao": "LTU",
+      "name": "Air Lituanica",
+      "aliases": [],
+      "callsign": "LITUANICA",
+      "country": "Lithuania",
+      "active": true
+    },
+    "N6": {
+      "iata": "N6",
+      "icao": "JEV",
+      "name": "Lagun Air",
+      "aliases": [],
+      "callsign": null,
+      "country": "Spain",
+      "active": false
+    },
+    "QV": {
+      "iata": "QV",
+      "icao": "LAO",
+      "name": "Lao Airlines",
+      "aliases": [],
+      "callsign": "LAO",
+      "country": "Lao Peoples Democratic Republic",
+      "active": true
+    },
+    "L7": {
+      "iata": "L7",
+      "icao": null,
+      "name": "Lugansk Airlines",
+      "aliases": [],
+      "callsign": "ENTERPRISE LUHANSK",
+      "country": "Ukraine",
+      "active": true
+    },
+    "NG": {
+      "iata": "NG",
+      "icao": "LDA",
+      "name": "Lauda Air",
+      "aliases": [],
+      "callsign": "LAUDA AIR",
+      "country": "Austria",
+      "active": true
+    },
+    "LQ": {
+      "iata": "LQ",
+      "icao": "LMM",
+      "name": "LCM AIRLINES",
+      "aliases": [],
+      "callsign": null,
+      "country": "Russia",
+      "active": true
+    },
+    "LI": {
+      "iata": "LI",
+      "icao": "LIA",
+      "name": "Leeward Islands Air Transport",
+      "aliases": [],
+      "callsign": "LIAT",
+      "country": "Antigua and Barbuda",
+      "active": true
+    },
+    "LN": {
+      "iata": "LN",
+      "icao": "LAA",
+      "name": "Libyan Arab Airlines",
+      "aliases": [],
+      "callsign": "LIBAIR",
+      "country": "Libya",
+      "active": true
+    },
+    "LM": {
+      "iata": "LM",
+      "icao": "LAM",
+      "name": "Linhas A",
+      "aliases": [],
+      "callsign": "MOZAMBIQUE",
+      "country": "Mozambique",
+      "active": true
+    },
+    "JT": {
+      "iata": "JT",
+      "icao": "LNI",
+      "name": "Lion Mentari Airlines",
+      "aliases": [],
+      "callsign": "LION INTER",
+      "country": "Indonesia",
+      "active": true
+    },
+    "LB": {
+      "iata": "LB",
+      "icao": null,
+      "name": "Air Costa",
+      "aliases": [],
+      "callsign": null,
+      "country": "India",
+      "active": true
+    },
+    "HE": {
+      "iata": "HE",
+      "icao": "LGW",
+      "name": "Luftfahrtgesellschaft Walter",
+      "aliases": [],
+      "callsign": "WALTER",
+      "country": "Germany",
+      "active": true
+    },
+    "LH": {
+      "iata": "LH",
+      "icao": "DLH",
+      "name": "Lufthansa",
+      "aliases": [],
+      "callsign": "LUFTHANSA",
+      "country": "Germany",
+      "active": true
+    },
+    "CL": {
+      "iata": "CL",
+      "icao": "CLH",
+      "name": "Lufthansa CityLine",
+      "aliases": [],
+      "callsign": "HANSALINE",
+      "country": "Germany",
+      "active": true
+    },
+    "L1": {
+      "iata": "L1",
+      "icao": null,
+      "name": "All Argentina",
+      "aliases": [],
+      "callsign": null,
+      "country": "Argentina",
+      "active": true
+    },
+    "DV": {
+      "iata": "DV",
+      "icao": "VSV",
+      "name": "Scat Air",
+      "aliases": [],
+      "callsign": "VLASTA",
+      "country": "Kazakhstan",
+      "active": true
+    },
+    "L5": {
+      "iata": "L5",
+      "icao": "LTR",
+      "name": "Lufttransport",
+      "aliases": [],
+      "callsign": "LUFT TRANSPORT",
+      "country": "Norway",
+      "active": true
+    },
+    "LG": {
+      "iata": "LG",
+      "icao": "LGL",
+      "name": "Luxair",
+      "aliases": [],
+      "callsign": "LUXAIR",
+      "country": "Luxembourg",
+      "active": true
+    },
+    "5V": {
+      "iata": "5V",
+      "icao": "UKW",
+      "name": "Lviv Airlines",
+      "aliases": [],
+      "callsign": "UKRAINE WEST",
+      "country": "Ukraine",
+      "active": false
+    },
+    "L2": {
+      "iata": "L2",
+      "icao": "LYC",
+      "name": "Lynden Air Cargo",
+      "aliases": [],
+      "callsign": "LYNDEN",
+      "country": "United States",
+      "active": false
+    },
+    "MJ": {
+      "iata": "MJ",
+      "icao": "LPR",
+      "name": "L",
+      "aliases": [],
+      "callsign": "LAPA",
+      "country": "Argentina",
+      "active": true
+    },
+    "M7": {
+      "iata": "M7",
+      "icao": "MAA",
+      "name": "MasAir",
+      "aliases": [],
+      "callsign": "MAS CARGA",
+      "country": "Mexico",
+      "active": true
+    },
+    "IN": {
+      "iata": "IN",
+      "icao": "MAK",
+      "name": "MAT Macedonian Airlines",
+      "aliases": [],
+      "callsign": "MAKAVIO",
+      "country": "North Macedonia",
+      "active": true
+    },
+    "OM": {
+      "iata": "OM",
+      "icao": "MGL",
+      "name": "MIAT Mongolian Airlines",
+      "aliases": [],
+      "callsign": "MONGOL AIR",
+      "country": "Mongolia",
+      "active": true
+    },
+    "DM": {
+      "iata": "DM",
+      "icao": null,
+      "name": "Maersk",
+      "aliases": [],
+      "callsign": null,
+      "country": "Denmark",
+      "active": true
+    },
+    "W5": {
+      "iata": "W5",
+      "icao": "IRM",
+      "name": "Mahan Air",
+      "aliases": [],
+      "callsign": "MAHAN AIR",
+      "country": "Iran",
+      "active": true
+    },
+    "M2": {
+      "iata": "M2",
+      "icao": null,
+      "name": "MHS Aviation GmbH",
+      "aliases": [],
+      "callsign": null,
+      "country": "Germany",
+      "active": true
+    },
+    "MH": {
+      "iata": "MH",
+      "icao": "MAS",
+      "name": "Malaysia Airlines",
+      "aliases": [],
+      "callsign": "MALAYSIAN",
+      "country": "Malaysia",
+      "active": true
+    },
+    "TF": {
+      "iata": "TF",
+      "icao": "SCW",
+      "name": "Malmö Aviation",
+      "aliases": [],
+      "callsign": "Scanwings",
+      "country": "Sweden",
+      "active": false
+    },
+    "MA": {
+      "iata": "MA",
+      "icao": "MAH",
+      "name": "Malév",
+      "aliases": [],
+      "callsign": "MALEV",
+      "country": "Hungary",
+      "active": true
+    },
+    "RI": {
+      "iata": "RI",
+      "icao": "MDL",
+      "name": "Mandala Airlines",
+      "aliases": [],
+      "callsign": "MANDALA",
+      "country": "Indonesia",
+      "active": true
+    },
+    "AE": {
+      "iata": "AE",
+      "icao": "MDA",
+      "name": "Mandarin Airlines",
+      "aliases": [],
+      "callsign": "Mandarin",
+      "country": "Taiwan",
+      "active": true
+    },
+    "JE": {
+      "iata": "JE",
+      "icao": "MNO",
+      "name": "Mango",
+      "aliases": [],
+      "callsign": "TULCA",
+      "country": "South Africa",
+      "active": true
+    },
+    "MP": {
+      "iata": "MP",
+      "icao": "MPH",
+      "name": "Martinair",
+      "aliases": [],
+      "callsign": "MARTINAIR",
+      "country": "Netherlands",
+      "active": true
+    },
+    "Q4": {
+      "iata": "Q4",
+      "icao": "SAE",
+      "name": "SOCHI AIR EXPRESS",
+      "aliases": [
+        "ADLER EXPRESS"
+      ],
+      "callsign": "ADLER EXPRESS",
+      "country": "Russia",
+      "active": true
+    },
+    "8M": {
+      "iata": "8M",
+      "icao": "MXL",
+      "name": "Maxair",
+      "aliases": [],
+      "callsign": "MAXAIR",
+      "country": "Sweden",
+      "active": false
+    },
+    "MY": {
+      "iata": "MY",
+      "icao": "MWA",
+      "name": "Midwest Airlines (Egypt)",
+      "aliases": [],
+      "callsign": null,
+      "country": "Egypt",
+      "active": true
+    },
+    "MW": {
+      "iata": "MW",
+      "icao": "MYD",
+      "name": "Maya Island Air",
+      "aliases": [],
+      "callsign": "MYLAND",
+      "country": "Belize",
+      "active": true
+    },
+    "IM": {
+      "iata": "IM",
+      "icao": "MNJ",
+      "name": "Menajet",
+      "aliases": [],
+      "callsign": "MENAJET",
+      "country": "Lebanon",
+      "active": false
+    },
+    "IG": {
+      "iata": "IG",
+      "icao": "ISS",
+      "name": "Meridiana",
+      "aliases": [],
+      "callsign": "MERAIR",
+      "country": "Italy",
+      "active": true
+    },
+    "MZ": {
+      "iata": "MZ",
+      "icao": "MNA",
+      "name": "Merpati Nusantara Airlines",
+      "aliases": [],
+      "callsign": "MERPATI",
+      "country": "Indonesia",
+      "active": true
+    },
+    "YV": {
+      "iata": "YV",
+      "icao": "ASH",
+      "name": "Mesa Airlines",
+      "aliases": [],
+      "callsign": "AIR SHUTTLE",
+      "country": "United States",
+      "active": true
+    },
+    "XJ": {
+      "iata": "XJ",
+      "icao": "MES",
+      "name": "Mesaba Airlines",
+      "aliases": [],
+      "callsign": "MESABA",
+      "country": "United States",
+      "active": true
+    },
+    "MX": {
+      "iata": "MX",
+      "icao": "MXA",
+      "name": "Mexicana de Aviaci",
+      "aliases": [],
+      "callsign": "MEXICANA",
+      "country": "Mexico",
+      "active": true
+    },
+    "ME": {
+      "iata": "ME",
+      "icao": "MEA",
+      "name": "Middle East Airlines",
+      "aliases": [],
+      "callsign": "CEDAR JET",
+      "country": "Lebanon",
+      "active": true
+    },
+    "JI": {
+      "iata": "JI",
+      "icao": "MDW",
+      "name": "Midway Airlines",
+      "aliases": [],
+      "callsign": "MIDWAY",
+      "country": "United States",
+      "active": true
+    },
+    "YX": {
+      "iata": "YX",
+      "icao": "MEP",
+      "name": "Midwest Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "2M": {
+      "iata": "2M",
+      "icao": "MDV",
+      "name": "Moldavian Airlines",
+      "aliases": [],
+      "callsign": "MOLDAVIAN",
+      "country": "Moldova",
+      "active": true
+    },
+    "8I": {
+      "iata": "8I",
+      "icao": null,
+      "name": "Myway Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Italy",
+      "active": true
+    },
+    "YM": {
+      "iata": "YM",
+      "icao": "MGX",
+      "name": "Montenegro Airlines",
+      "aliases": [],
+      "callsign": "MONTAIR",
+      "country": "Montenegro",
+      "active": true
+    },
+    "3R": {
+      "iata": "3R",
+      "icao": "GAI",
+      "name": "Moskovia Airlines",
+      "aliases": [],
+      "callsign": "GROMOV AIRLINE",
+      "country": "Russia",
+      "active": true
+    },
+    "M9": {
+      "iata": "M9",
+      "icao": "MSI",
+      "name": "Motor Sich",
+      "aliases": [],
+      "callsign": "MOTOR SICH",
+      "country": "Ukraine",
+      "active": true
+    },
+    "N4": {
+      "iata": "N4",
+      "icao": null,
+      "name": "Regionalia México",
+      "aliases": [],
+      "callsign": null,
+      "country": "Mexico",
+      "active": true
+    },
+    "VZ": {
+      "iata": "VZ",
+      "icao": "MYT",
+      "name": "MyTravel Airways",
+      "aliases": [],
+      "callsign": "KESTREL",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "UB": {
+      "iata": "UB",
+      "icao": "UBA",
+      "name": "Myanma Airways",
+      "aliases": [],
+      "callsign": "UNIONAIR",
+      "country": "Myanmar (Burma)",
+      "active": true
+    },
+    "P9": {
+      "iata": "P9",
+      "icao": null,
+      "name": "Peruvian Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Peru",
+      "active": true
+    },
+    "UE": {
+      "iata": "UE",
+      "icao": "NAS",
+      "name": "Nasair",
+      "aliases": [],
+      "callsign": "NASAIRWAYS",
+      "country": "Eritrea",
+      "active": true
+    },
+    "N7": {
+      "iata": "N7",
+      "icao": null,
+      "name": "All Spain",
+      "aliases": [],
+      "callsign": null,
+      "country": "Spain",
+      "active": true
+    },
+    "NA": {
+      "iata": "NA",
+      "icao": null,
+      "name": "Al-Naser Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Iraq",
+      "active": true
+    },
+    "9O": {
+      "iata": "9O",
+      "icao": null,
+      "name": "National Airways Cameroon",
+      "aliases": [],
+      "callsign": null,
+      "country": "Cameroon",
+      "active": false
+    },
+    "NC": {
+      "iata": "NC",
+      "icao": "NJS",
+      "name": "National Jet Systems",
+      "aliases": [],
+      "callsign": "NATIONAL JET",
+      "country": "Australia",
+      "active": true
+    },
+    "CE": {
+      "iata": "CE",
+      "icao": "NTW",
+      "name": "Nationwide Airlines",
+      "aliases": [],
+      "callsign": "NATIONWIDE",
+      "country": "South Africa",
+      "active": true
+    },
+    "ON": {
+      "iata": "ON",
+      "icao": "RON",
+      "name": "Nauru Air Corporation",
+      "aliases": [],
+      "callsign": "AIR NAURU",
+      "country": "Nauru",
+      "active": true
+    },
+    "1N": {
+      "iata": "1N",
+      "icao": null,
+      "name": "Navitaire",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": false
+    },
+    "RA": {
+      "iata": "RA",
+      "icao": "RNA",
+      "name": "Nepal Airlines",
+      "aliases": [],
+      "callsign": "ROYAL NEPAL",
+      "country": "Nepal",
+      "active": true
+    },
+    "EJ": {
+      "iata": "EJ",
+      "icao": "NEA",
+      "name": "New England Airlines",
+      "aliases": [],
+      "callsign": "NEW ENGLAND",
+      "country": "United States",
+      "active": true
+    },
+    "2N": {
+      "iata": "2N",
+      "icao": "NTJ",
+      "name": "NextJet",
+      "aliases": [],
+      "callsign": "NEXTJET",
+      "country": "Sweden",
+      "active": true
+    },
+    "HG": {
+      "iata": "HG",
+      "icao": "NLY",
+      "name": "Niki",
+      "aliases": [],
+      "callsign": "FLYNIKI",
+      "country": "Austria",
+      "active": true
+    },
+    "KZ": {
+      "iata": "KZ",
+      "icao": null,
+      "name": "Dense Connection",
+      "aliases": [],
+      "callsign": "DC2",
+      "country": "United States",
+      "active": true
+    },
+    "DD": {
+      "iata": "DD",
+      "icao": "NOK",
+      "name": "Nok Air",
+      "aliases": [],
+      "callsign": "NOK AIR",
+      "country": "Thailand",
+      "active": true
+    },
+    "JH": {
+      "iata": "JH",
+      "icao": null,
+      "name": "Fuji Dream Airlines",
+      "aliases": [],
+      "callsign": "FUJI DREAM",
+      "country": "Japan",
+      "active": true
+    },
+    "6N": {
+      "iata": "6N",
+      "icao": "NRD",
+      "name": "Nordic Regional",
+      "aliases": [],
+      "callsign": "NORTH RIDER",
+      "country": "Sweden",
+      "active": false
+    },
+    "N9": {
+      "iata": "N9",
+      "icao": null,
+      "name": "All Europe",
+      "aliases": [],
+      "callsign": null,
+      "country": "United Kingdom",
+      "active": true
+    },
+    "U7": {
+      "iata": "U7",
+      "icao": null,
+      "name": "Northern Dene Airways",
+      "aliases": [],
+      "callsign": null,
+      "country": "Canada",
+      "active": true
+    },
+    "NW": {
+      "iata": "NW",
+      "icao": "NWA",
+      "name": "Northwest Airlines",
+      "aliases": [],
+      "callsign": "NORTHWEST",
+      "country": "United States",
+      "active": true
+    },
+    "J3": {
+      "iata": "J3",
+      "icao": "PLR",
+      "name": "Northwestern Air",
+      "aliases": [],
+      "callsign": "POLARIS",
+      "country": "Canada",
+      "active": true
+    },
+    "DY": {
+      "iata": "DY",
+      "icao": "NAX",
+      "name": "Norwegian Air Shuttle",
+      "aliases": [],
+      "callsign": "NOR SHUTTLE",
+      "country": "Norway",
+      "active": true
+    },
+    "BJ": {
+      "iata": "BJ",
+      "icao": "LBT",
+      "name": "Nouvel Air Tunisie",
+      "aliases": [],
+      "callsign": "NOUVELAIR",
+      "country": "Tunisia",
+      "active": true
+    },
+    "M4": {
+      "iata": "M4",
+      "icao": null,
+      "name": "Marysya Airlines",
+      "aliases": [
+        "MARYSYA AIRLINES"
+      ],
+      "callsign": "MARSHAK AIR",
+      "country": "Russia",
+      "active": true
+    },
+    "XY": {
+      "iata": "XY",
+      "icao": "KNE",
+      "name": "Nas Air",
+      "aliases": [],
+      "callsign": "NAS EXPRESS",
+      "country": "Saudi Arabia",
+      "active": true
+    },
+    "UQ": {
+      "iata": "UQ",
+      "icao": "OCM",
+      "name": "O'Connor Airlines",
+      "aliases": [],
+      "callsign": "OCONNOR",
+      "country": "Australia",
+      "active": false
+    },
+    "CR": {
+      "iata": "CR",
+      "icao": null,
+      "name": "OAG",
+      "aliases": [],
+      "callsign": null,
+      "country": "United Kingdom",
+      "active": false
+    },
+    "O8": {
+      "iata": "O8",
+      "icao": "OHK",
+      "name": "Oasis Hong Kong Airlines",
+      "aliases": [],
+      "callsign": "OASIS",
+      "country": "Hong Kong",
+      "active": true
+    },
+    "VC": {
+      "iata": "VC",
+      "icao": null,
+      "name": "Strategic Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Australia",
+      "active": true
+    },
+    "O6": {
+      "iata": "O6",
+      "icao": "ONE",
+      "name": "Oceanair",
+      "aliases": [],
+      "callsign": "OCEANAIR",
+      "country": "Brazil",
+      "active": true
+    },
+    "O2": {
+      "iata": "O2",
+      "icao": null,
+      "name": "Oceanic Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Guinea",
+      "active": true
+    },
+    "OA": {
+      "iata": "OA",
+      "icao": "OAL",
+      "name": "Olympic Airlines",
+      "aliases": [],
+      "callsign": "OLYMPIC",
+      "country": "Greece",
+      "active": true
+    },
+    "WY": {
+      "iata": "WY",
+      "icao": "OMA",
+      "name": "Oman Air",
+      "aliases": [],
+      "callsign": "OMAN AIR",
+      "country": "Oman",
+      "active": true
+    },
+    "OY": {
+      "iata": "OY",
+      "icao": "OAE",
+      "name": "Omni Air International",
+      "aliases": [],
+      "callsign": "OMNI-EXPRESS",
+      "country": "United States",
+      "active": true
+    },
+    "N3": {
+      "iata": "N3",
+      "icao": "VOS",
+      "name": "Volaris El Salvador",
+      "aliases": [],
+      "callsign": "VOLSAL",
+      "country": "El Salvador",
+      "active": true
+    },
+    "R2": {
+      "iata": "R2",
+      "icao": "ORB",
+      "name": "Orenburg Airlines",
+      "aliases": [],
+      "callsign": "ORENBURG",
+      "country": "Russia",
+      "active": true
+    },
+    "OX": {
+      "iata": "OX",
+      "icao": "OEA",
+      "name": "Orient Thai Airlines",
+      "aliases": [],
+      "callsign": "ORIENT THAI",
+      "country": "Thailand",
+      "active": true
+    },
+    "OL": {
+      "iata": "OL",
+      "icao": "OLT",
+      "name": "Ostfriesische Lufttransport",
+      "aliases": [],
+      "callsign": "OLTRA",
+      "country": "Germany",
+      "active": true
+    },
+    "OJ": {
+      "iata": "OJ",
+      "icao": "OLA",
+      "name": "Overland Airways",
+      "aliases": [],
+      "callsign": "OVERLAND",
+      "country": "Nigeria",
+      "active": true
+    },
+    "O7": {
+      "iata": "O7",
+      "icao": "OZJ",
+      "name": "Ozjet Airlines",
+      "aliases": [],
+      "callsign": "AUSJET",
+      "country": "Australia",
+      "active": true
+    },
+    "PV": {
+      "iata": "PV",
+      "icao": "PNR",
+      "name": "PAN Air",
+      "aliases": [],
+      "callsign": "SKYJET",
+      "country": "Spain",
+      "active": true
+    },
+    "9Q": {
+      "iata": "9Q",
+      "icao": "PBA",
+      "name": "PB Air",
+      "aliases": [],
+      "callsign": "PEEBEE AIR",
+      "country": "Thailand",
+      "active": true
+    },
+    "PU": {
+      "iata": "PU",
+      "icao": "PUA",
+      "name": "PLUNA",
+      "aliases": [],
+      "callsign": "PLUNA",
+      "country": "Uruguay",
+      "active": true
+    },
+    "U4": {
+      "iata": "U4",
+      "icao": "PMT",
+      "name": "PMTair",
+      "aliases": [],
+      "callsign": "MULTITRADE",
+      "country": "Cambodia",
+      "active": true
+    },
+    "Y5": {
+      "iata": "Y5",
+      "icao": "AWA",
+      "name": "Asia Wings",
+      "aliases": [],
+      "callsign": null,
+      "country": "Kazakhstan",
+      "active": true
+    },
+    "BL": {
+      "iata": "BL",
+      "icao": "PIC",
+      "name": "Jetstar Pacific",
+      "aliases": [
+        "Pacific Airlines"
+      ],
+      "callsign": "PACIFIC AIRLINES",
+      "country": "Vietnam",
+      "active": true
+    },
+    "DJ": {
+      "iata": "DJ",
+      "icao": "PBN",
+      "name": "Pacific Blue",
+      "aliases": [],
+      "callsign": "BLUEBIRD",
+      "country": "New Zealand",
+      "active": false
+    },
+    "8P": {
+      "iata": "8P",
+      "icao": "PCO",
+      "name": "Pacific Coastal Airline",
+      "aliases": [],
+      "callsign": "PASCO",
+      "country": "Canada",
+      "active": true
+    },
+    "Q8": {
+      "iata": "Q8",
+      "icao": "PEC",
+      "name": "Pacific East Asia Cargo Airlines",
+      "aliases": [],
+      "callsign": "PAC-EAST CARGO",
+      "country": "Philippines",
+      "active": true
+    },
+    "PS": {
+      "iata": "PS",
+      "icao": "AUI",
+      "name": "Ukraine International Airlines",
+      "aliases": [],
+      "callsign": "UKRAINE INTERNATIONAL",
+      "country": "Ukraine",
+      "active": true
+    },
+    "LW": {
+      "iata": "LW",
+      "icao": "NMI",
+      "name": "Pacific Wings",
+      "aliases": [],
+      "callsign": "TSUNAMI",
+      "country": "United States",
+      "active": true
+    },
+    "PK": {
+      "iata": "PK",
+      "icao": "PIA",
+      "name": "Pakistan International Airlines",
+      "aliases": [
+        "PIA Pakistan International"
+      ],
+      "callsign": "PAKISTAN",
+      "country": "Pakistan",
+      "active": true
+    },
+    "PF": {
+      "iata": "PF",
+      "icao": null,
+      "name": "Primera Air",
+      "aliases": [],
+      "callsign": "PRIMERA",
+      "country": "Iceland",
+      "active": true
+    },
+    "NR": {
+      "iata": "NR",
+      "icao": "JTO",
+      "name": "Jettor Airlines",
+      "aliases": [
+        "Jettor"
+      ],
+      "callsign": "JETHAPPY",
+      "country": "Hong Kong",
+      "active": true
+    },
+    "PQ": {
+      "iata": "PQ",
+      "icao": "LOO",
+      "name": "LSM Airlines",
+      "aliases": [
+        "slowbird"
+      ],
+      "callsign": "slowbird",
+      "country": "Russia",
+      "active": true
+    },
+    "P8": {
+      "iata": "P8",
+      "icao": "MKG",
+      "name": "Air Mekong",
+      "aliases": [],
+      "callsign": "Air Mekong",
+      "country": "Vietnam",
+      "active": true
+    },
+    "I7": {
+      "iata": "I7",
+      "icao": "PMW",
+      "name": "Paramount Airways",
+      "aliases": [],
+      "callsign": "PARAWAY",
+      "country": "India",
+      "active": true
+    },
+    "KS": {
+      "iata": "KS",
+      "icao": "PEN",
+      "name": "Peninsula Airways",
+      "aliases": [],
+      "callsign": "PENINSULA",
+      "country": "United States",
+      "active": true
+    },
+    "PR": {
+      "iata": "PR",
+      "icao": "PAL",
+      "name": "Philippine Airlines",
+      "aliases": [],
+      "callsign": "PHILIPPINE",
+      "country": "Philippines",
+      "active": true
+    },
+    "9R": {
+      "iata": "9R",
+      "icao": "NSE",
+      "name": "SATENA",
+      "aliases": [],
+      "callsign": "SATENA",
+      "country": "Colombia",
+      "active": true
+    },
+    "PI": {
+      "iata": "PI",
+      "icao": "PDT",
+      "name": "Piedmont Airlines (1948-1989)",
+      "aliases": [],
+      "callsign": "PIEDMONT",
+      "country": "United States",
+      "active": true
+    },
+    "9E": {
+      "iata": "9E",
+      "icao": "FLG",
+      "name": "Pinnacle Airlines",
+      "aliases": [],
+      "callsign": "FLAGSHIP",
+      "country": "United States",
+      "active": true
+    },
+    "PO": {
+      "iata": "PO",
+      "icao": "FPT",
+      "name": "FlyPortugal",
+      "aliases": [],
+      "callsign": "FlyPortugal",
+      "country": "Portugal",
+      "active": true
+    },
+    "PH": {
+      "iata": "PH",
+      "icao": "PAO",
+      "name": "Polynesian Airlines",
+      "aliases": [],
+      "callsign": "POLYNESIAN",
+      "country": "Samoa",
+      "active": true
+    },
+    "PD": {
+      "iata": "PD",
+      "icao": "POE",
+      "name": "Porter Airlines",
+      "aliases": [],
+      "callsign": "PORTER AIR",
+      "country": "Canada",
+      "active": true
+    },
+    "NI": {
+      "iata": "NI",
+      "icao": "PGA",
+      "name": "Portugalia",
+      "aliases": [],
+      "callsign": "PORTUGALIA",
+      "country": "Portugal",
+      "active": true
+    },
+    "BK": {
+      "iata": "BK",
+      "icao": "PDC",
+      "name": "Potomac Air",
+      "aliases": [],
+      "callsign": "DISTRICT",
+      "country": "United States",
+      "active": true
+    },
+    "PW": {
+      "iata": "PW",
+      "icao": "PRF",
+      "name": "Precision Air",
+      "aliases": [],
+      "callsign": "PRECISION AIR",
+      "country": "Tanzania",
+      "active": true
+    },
+    "TO": {
+      "iata": "TO",
+      "icao": "TVF",
+      "name": "Transavia France",
+      "aliases": [],
+      "callsign": "FRENCH SUN",
+      "country": "France",
+      "active": true
+    },
+    "FE": {
+      "iata": "FE",
+      "icao": "WCP",
+      "name": "Primaris Airlines",
+      "aliases": [],
+      "callsign": "WHITECAP",
+      "country": "United States",
+      "active": false
+    },
+    "P0": {
+      "iata": "P0",
+      "icao": null,
+      "name": "Proflight Commuter Services",
+      "aliases": [],
+      "callsign": null,
+      "country": "Zambia",
+      "active": true
+    },
+    "QF": {
+      "iata": "QF",
+      "icao": "QFA",
+      "name": "Qantas",
+      "aliases": [
+        "Qantas Airways"
+      ],
+      "callsign": "QANTAS",
+      "country": "Australia",
+      "active": true
+    },
+    "QR": {
+      "iata": "QR",
+      "icao": "QTR",
+      "name": "Qatar Airways",
+      "aliases": [],
+      "callsign": "QATARI",
+      "country": "Qatar",
+      "active": true
+    },
+    "R6": {
+      "iata": "R6",
+      "icao": null,
+      "name": "RACSA",
+      "aliases": [],
+      "callsign": null,
+      "country": "Guatemala",
+      "active": true
+    },
+    "1D": {
+      "iata": "1D",
+      "icao": null,
+      "name": "Radixx Solutions International",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": false
+    },
+    "V4": {
+      "iata": "V4",
+      "icao": "REK",
+      "name": "Reem Air",
+      "aliases": [],
+      "callsign": "REEM AIR",
+      "country": "Kyrgyzstan",
+      "active": false
+    },
+    "FN": {
+      "iata": "FN",
+      "icao": null,
+      "name": "Regional Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Morocco",
+      "active": true
+    },
+    "ZL": {
+      "iata": "ZL",
+      "icao": "RXA",
+      "name": "Regional Express",
+      "aliases": [],
+      "callsign": "REX",
+      "country": "Australia",
+      "active": true
+    },
+    "3C": {
+      "iata": "3C",
+      "icao": "CEA",
+      "name": "RegionsAir",
+      "aliases": [],
+      "callsign": "CORP-X",
+      "country": "United States",
+      "active": false
+    },
+    "RW": {
+      "iata": "RW",
+      "icao": "RPA",
+      "name": "Republic Airlines",
+      "aliases": [],
+      "callsign": "BRICKYARD",
+      "country": "United States",
+      "active": true
+    },
+    "RH": {
+      "iata": "RH",
+      "icao": "RPH",
+      "name": "Republic Express Airlines",
+      "aliases": [],
+      "callsign": "PUBLIC EXPRESS",
+      "country": "Indonesia",
+      "active": false
+    },
+    "C7": {
+      "iata": "C7",
+      "icao": null,
+      "name": "Sky Wing Pacific",
+      "aliases": [],
+      "callsign": null,
+      "country": "South Korea",
+      "active": true
+    },
+    "SL": {
+      "iata": "SL",
+      "icao": null,
+      "name": "Thai Lion Air",
+      "aliases": [],
+      "callsign": null,
+      "country": "Thailand",
+      "active": true
+    },
+    "R4": {
+      "iata": "R4",
+      "icao": null,
+      "name": "Rossiya",
+      "aliases": [],
+      "callsign": null,
+      "country": "Russia",
+      "active": true
+    },
+    "GZ": {
+      "iata": "GZ",
+      "icao": "RAR",
+      "name": "Air Rarotonga",
+      "aliases": [],
+      "callsign": null,
+      "country": "Cook Islands",
+      "active": true
+    },
+    "RR": {
+      "iata": "RR",
+      "icao": "RXR",
+      "name": "REXAIR VIRTUEL",
+      "aliases": [],
+      "callsign": "Rexair",
+      "country": "France",
+      "active": true
+    },
+    "AT": {
+      "iata": "AT",
+      "icao": "RAM",
+      "name": "Royal Air Maroc",
+      "aliases": [],
+      "callsign": "ROYALAIR MAROC",
+      "country": "Morocco",
+      "active": true
+    },
+    "R0": {
+      "iata": "R0",
+      "icao": "RPK",
+      "name": "Royal Airlines",
+      "aliases": [],
+      "callsign": "ROYAL PAKISTAN",
+      "country": "Pakistan",
+      "active": false
+    },
+    "BI": {
+      "iata": "BI",
+      "icao": "RBA",
+      "name": "Royal Brunei Airlines",
+      "aliases": [],
+      "callsign": "BRUNEI",
+      "country": "Brunei",
+      "active": true
+    },
+    "RJ": {
+      "iata": "RJ",
+      "icao": "RJA",
+      "name": "Royal Jordanian",
+      "aliases": [],
+      "callsign": "JORDANIAN",
+      "country": "Jordan",
+      "active": true
+    },
+    "WR": {
+      "iata": "WR",
+      "icao": "WEN",
+      "name": "WestJet Encore",
+      "aliases": [
+        "Encore"
+      ],
+      "callsign": "Encore",
+      "country": "Canada",
+      "active": true
+    },
+    "P7": {
+      "iata": "P7",
+      "icao": "REP",
+      "name": "Regional Paraguaya",
+      "aliases": [],
+      "callsign": "REGIOPAR",
+      "country": "Paraguay",
+      "active": true
+    },
+    "WB": {
+      "iata": "WB",
+      "icao": "RWD",
+      "name": "Rwandair Express",
+      "aliases": [],
+      "callsign": "RWANDAIR",
+      "country": "Rwanda",
+      "active": true
+    },
+    "RD": {
+      "iata": "RD",
+      "icao": "RYN",
+      "name": "Ryan International Airlines",
+      "aliases": [],
+      "callsign": "RYAN INTERNATIONAL",
+      "country": "United States",
+      "active": true
+    },
+    "FR": {
+      "iata": "FR",
+      "icao": "RYR",
+      "name": "Ryanair",
+      "aliases": [],
+      "callsign": "RYANAIR",
+      "country": "Ireland",
+      "active": true
+    },
+    "YS": {
+      "iata": "YS",
+      "icao": "RAE",
+      "name": "Régional",
+      "aliases": [],
+      "callsign": "REGIONAL EUROPE",
+      "country": "France",
+      "active": true
+    },
+    "S4": {
+      "iata": "S4",
+      "icao": "RZO",
+      "name": "SATA International",
+      "aliases": [],
+      "callsign": "AIR AZORES",
+      "country": "Portugal",
+      "active": true
+    },
+    "SA": {
+      "iata": "SA",
+      "icao": "SAA",
+      "name": "South African Airways",
+      "aliases": [
+        "SAA South African Airways"
+      ],
+      "callsign": "SPRINGBOK",
+      "country": "South Africa",
+      "active": true
+    },
+    "NL": {
+      "iata": "NL",
+      "icao": "SAI",
+      "name": "Shaheen Air International",
+      "aliases": [],
+      "callsign": "SHAHEEN AIR",
+      "country": "Pakistan",
+      "active": true
+    },
+    "SK": {
+      "iata": "SK",
+      "icao": "SAS",
+      "name": "Scandinavian Airlines System",
+      "aliases": [
+        "SAS Scandinavian Airlines"
+      ],
+      "callsign": "SCANDINAVIAN",
+      "country": "Sweden",
+      "active": true
+    },
+    "S7": {
+      "iata": "S7",
+      "icao": "SBI",
+      "name": "S7 Airlines",
+      "aliases": [
+        "Sibir Airlines"
+      ],
+      "callsign": "SIBERIAN AIRLINES",
+      "country": "Russia",
+      "active": true
+    },
+    "BB": {
+      "iata": "BB",
+      "icao": "SBS",
+      "name": "Seaborne Airlines",
+      "aliases": [],
+      "callsign": "SEABORNE",
+      "country": "United States",
+      "active": true
+    },
+    "UL": {
+      "iata": "UL",
+      "icao": "ALK",
+      "name": "SriLankan Airlines",
+      "aliases": [],
+      "callsign": "SRILANKAN",
+      "country": "Sri Lanka",
+      "active": true
+    },
+    "SY": {
+      "iata": "SY",
+      "icao": "SCX",
+      "name": "Sun Country Airlines",
+      "aliases": [],
+      "callsign": "SUN COUNTRY",
+      "country": "United States",
+      "active": true
+    },
+    "I6": {
+      "iata": "I6",
+      "icao": "MXI",
+      "name": "MexicanaLink",
+      "aliases": [],
+      "callsign": "LINK",
+      "country": "Mexico",
+      "active": true
+    },
+    "7G": {
+      "iata": "7G",
+      "icao": "SFJ",
+      "name": "Star Flyer",
+      "aliases": [],
+      "callsign": "STARFLYER",
+      "country": "Japan",
+      "active": true
+    },
+    "FA": {
+      "iata": "FA",
+      "icao": null,
+      "name": "Epic Holiday",
+      "aliases": [
+        "Epic Holidays"
+      ],
+      "callsign": "Epic",
+      "country": "United States",
+      "active": true
+    },
+    "SP": {
+      "iata": "SP",
+      "icao": "SAT",
+      "name": "SATA Air Acores",
+      "aliases": [],
+      "callsign": "SATA",
+      "country": "Portugal",
+      "active": true
+    },
+    "8S": {
+      "iata": "8S",
+      "icao": null,
+      "name": "Scorpio Aviation",
+      "aliases": [],
+      "callsign": null,
+      "country": null,
+      "active": false
+    },
+    "SQ": {
+      "iata": "SQ",
+      "icao": "SIA",
+      "name": "Singapore Airlines",
+      "aliases": [],
+      "callsign": "SINGAPORE",
+      "country": "Singapore",
+      "active": true
+    },
+    "5M": {
+      "iata": "5M",
+      "icao": "SIB",
+      "name": "Sibaviatrans",
+      "aliases": [],
+      "callsign": "SIBAVIA",
+      "country": "Russia",
+      "active": true
+    },
+    "SI": {
+      "iata": "SI",
+      "icao": "SIH",
+      "name": "Skynet Airlines",
+      "aliases": [],
+      "callsign": "BLUEJET",
+      "country": "Ireland",
+      "active": true
+    },
+    "XS": {
+      "iata": "XS",
+      "icao": "SIT",
+      "name": "SITA",
+      "aliases": [],
+      "callsign": null,
+      "country": "Belgium",
+      "active": false
+    },
+    "SJ": {
+      "iata": "SJ",
+      "icao": "SJY",
+      "name": "Sriwijaya Air",
+      "aliases": [],
+      "callsign": "SRIWIJAYA",
+      "country": "Indonesia",
+      "active": true
+    },
+    "ZS": {
+      "iata": "ZS",
+      "icao": "SMY",
+      "name": "Sama Airlines",
+      "aliases": [],
+      "callsign": "NAJIM",
+      "country": "Saudi Arabia",
+      "active": true
+    },
+    "FT": {
+      "iata": "FT",
+      "icao": "SRH",
+      "name": "Siem Reap Airways",
+      "aliases": [],
+      "callsign": "SIEMREAP AIR",
+      "country": "Cambodia",
+      "active": true
+    },
+    "SX": {
+      "iata": "SX",
+      "icao": null,
+      "name": "SkyWork Airlines",
+      "aliases": [],
+      "callsign": "SKYFOX",
+      "country": "Switzerland",
+      "active": true
+    },
+    "SM": {
+      "iata": "SM",
+      "icao": "MNP",
+      "name": "Spirit of Manila Airlines",
+      "aliases": [],
+      "callsign": "MANILA SKY",
+      "country": "Philippines",
+      "active": true
+    },
+    "DG": {
+      "iata": "DG",
+      "icao": "SRQ",
+      "name": "South East Asian Airlines",
+      "aliases": [],
+      "callsign": "SEAIR",
+      "country": "Philippines",
+      "active": true
+    },
+    "5G": {
+      "iata": "5G",
+      "icao": "SSV",
+      "name": "Skyservice Airlines",
+      "aliases": [],
+      "callsign": "SKYTOUR",
+      "country": "Canada",
+      "active": true
+    },
+    "FS": {
+      "iata": "FS",
+      "icao": "STU",
+      "name": "Servicios de Transportes A",
+      "aliases": [],
+      "callsign": "FUEGUINO",
+      "country": "Argentina",
+      "active": true
+    },
+    "SD": {
+      "iata": "SD",
+      "icao": "SUD",
+      "name": "Sudan Airways",
+      "aliases": [],
+      "callsign": "SUDANAIR",
+      "country": "Sudan",
+      "active": true
+    },
+    "SV": {
+      "iata": "SV",
+      "icao": "SVA",
+      "name": "Saudi Arabian Airlines",
+      "aliases": [],
+      "callsign": "SAUDIA",
+      "country": "Saudi Arabia",
+      "active": true
+    },
+    "WN": {
+      "iata": "WN",
+      "icao": "SWA",
+      "name": "Southwest Airlines",
+      "aliases": [],
+      "callsign": "SOUTHWEST",
+      "country": "United States",
+      "active": true
+    },
+    "A4": {
+      "iata": "A4",
+      "icao": "SWD",
+      "name": "Southern Winds Airlines",
+      "aliases": [],
+      "callsign": "SOUTHERN WINDS",
+      "country": "Argentina",
+      "active": true
+    },
+    "WG": {
+      "iata": "WG",
+      "icao": null,
+      "name": "Sunwing",
+      "aliases": [],
+      "callsign": "sunwing",
+      "country": "Canada",
+      "active": true
+    },
+    "LX": {
+      "iata": "LX",
+      "icao": "SWR",
+      "name": "Swiss International Air Lines",
+      "aliases": [
+        "Swiss Airlines"
+      ],
+      "callsign": "SWISS",
+      "country": "Switzerland",
+      "active": true
+    },
+    "SR": {
+      "iata": "SR",
+      "icao": "SWR",
+      "name": "Swissair",
+      "aliases": [],
+      "callsign": "Swissair",
+      "country": "Switzerland",
+      "active": false
+    },
+    "WV": {
+      "iata": "WV",
+      "icao": "SWV",
+      "name": "Swe Fly",
+      "aliases": [],
+      "callsign": "FLYING SWEDE",
+      "country": "Sweden",
+      "active": true
+    },
+    "XQ": {
+      "iata": "XQ",
+      "icao": "SXS",
+      "name": "SunExpress",
+      "aliases": [],
+      "callsign": "SUNEXPRESS",
+      "country": "Turkey",
+      "active": true
+    },
+    "AL": {
+      "iata": "AL",
+      "icao": "SYX",
+      "name": "Skywalk Airlines",
+      "aliases": [],
+      "callsign": "SKYWAY-EX",
+      "country": "United States",
+      "active": true
+    },
+    "ZP": {
+      "iata": "ZP",
+      "icao": "ZZZ",
+      "name": "Zabaykalskii Airlines",
+      "aliases": [
+        "Baikal Airlines"
+      ],
+      "callsign": "Lakeair",
+      "country": "Russia",
+      "active": true
+    },
+    "E5": {
+      "iata": "E5",
+      "icao": "RBG",
+      "name": "Air Arabia Egypt",
+      "aliases": [],
+      "callsign": null,
+      "country": "Egypt",
+      "active": true
+    },
+    "SC": {
+      "iata": "SC",
+      "icao": "CDG",
+      "name": "Shandong Airlines",
+      "aliases": [],
+      "callsign": "SHANDONG",
+      "country": "China",
+      "active": true
+    },
+    "9S": {
+      "iata": "9S",
+      "icao": "CQH",
+      "name": "Spring Airlines",
+      "aliases": [],
+      "callsign": "AIR SPRING",
+      "country": "China",
+      "active": true
+    },
+    "3U": {
+      "iata": "3U",
+      "icao": "CSC",
+      "name": "Sichuan Airlines",
+      "aliases": [],
+      "callsign": "SI CHUAN",
+      "country": "China",
+      "active": true
+    },
+    "FM": {
+      "iata": "FM",
+      "icao": "CSH",
+      "name": "Shanghai Airlines",
+      "aliases": [],
+      "callsign": "SHANGHAI AIR",
+      "country": "China",
+      "active": true
+    },
+    "ZH": {
+      "iata": "ZH",
+      "icao": "CSZ",
+      "name": "Shenzhen Airlines",
+      "aliases": [],
+      "callsign": "SHENZHEN AIR",
+      "country": "China",
+      "active": true
+    },
+    "7L": {
+      "iata": "7L",
+      "icao": "ERO",
+      "name": "Sun D'Or",
+      "aliases": [],
+      "callsign": "ECHO ROMEO",
+      "country": "Israel",
+      "active": true
+    },
+    "NE": {
+      "iata": "NE",
+      "icao": "ESK",
+      "name": "SkyEurope",
+      "aliases": [],
+      "callsign": "RELAX",
+      "country": "Slovakia",
+      "active": true
+    },
+    "CQ": {
+      "iata": "CQ",
+      "icao": "KOL",
+      "name": "SOCHI AIR",
+      "aliases": [
+        "SOCHI"
+      ],
+      "callsign": "SLOW FROG",
+      "country": "Russia",
+      "active": true
+    },
+    "SO": {
+      "iata": "SO",
+      "icao": "SLC",
+      "name": "Salsa d\\\\'Haiti",
+      "aliases": [],
+      "callsign": "SALSA",
+      "country": "Haiti",
+      "active": true
+    },
+    "JK": {
+      "iata": "JK",
+      "icao": "JKK",
+      "name": "Spanair",
+      "aliases": [],
+      "callsign": "SPANAIR",
+      "country": "Spain",
+      "active": true
+    },
+    "1Z": {
+      "iata": "1Z",
+      "icao": null,
+      "name": "Sabre Pacific",
+      "aliases": [],
+      "callsign": null,
+      "country": "Australia",
+      "active": false
+    },
+    "1S": {
+      "iata": "1S",
+      "icao": null,
+      "name": "Sabre",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": false
+    },
+    "1H": {
+      "iata": "1H",
+      "icao": null,
+      "name": "Siren-Travel",
+      "aliases": [],
+      "callsign": null,
+      "country": "Russia",
+      "active": false
+    },
+    "1Q": {
+      "iata": "1Q",
+      "icao": null,
+      "name": "Sirena",
+      "aliases": [],
+      "callsign": null,
+      "country": "Russia",
+      "active": false
+    },
+    "1K": {
+      "iata": "1K",
+      "icao": null,
+      "name": "BudgetAir",
+      "aliases": [],
+      "callsign": null,
+      "country": "Germany",
+      "active": true
+    },
+    "2C": {
+      "iata": "2C",
+      "icao": null,
+      "name": "SNCF",
+      "aliases": [],
+      "callsign": null,
+      "country": "France",
+      "active": false
+    },
+    "NK": {
+      "iata": "NK",
+      "icao": "NKS",
+      "name": "Spirit Airlines",
+      "aliases": [],
+      "callsign": "SPIRIT WINGS",
+      "country": "United States",
+      "active": true
+    },
+    "S0": {
+      "iata": "S0",
+      "icao": "SAL",
+      "name": "Spike Airlines",
+      "aliases": [
+        "Aero Spike"
+      ],
+      "callsign": "Spike Air",
+      "country": "United States",
+      "active": true
+    },
+    "S3": {
+      "iata": "S3",
+      "icao": "BBR",
+      "name": "Santa Barbara Airlines",
+      "aliases": [],
+      "callsign": "SANTA BARBARA",
+      "country": "Venezuela",
+      "active": true
+    },
+    "H2": {
+      "iata": "H2",
+      "icao": "SKU",
+      "name": "Sky Airline",
+      "aliases": [],
+      "callsign": "AEROSKY",
+      "country": "Chile",
+      "active": true
+    },
+    "OO": {
+      "iata": "OO",
+      "icao": "SKW",
+      "name": "SkyWest",
+      "aliases": [],
+      "callsign": "SKYWEST",
+      "country": "United States",
+      "active": true
+    },
+    "JZ": {
+      "iata": "JZ",
+      "icao": "SKX",
+      "name": "Skyways Express",
+      "aliases": [],
+      "callsign": "SKY EXPRESS",
+      "country": "Sweden",
+      "active": true
+    },
+    "BC": {
+      "iata": "BC",
+      "icao": "SKY",
+      "name": "Skymark Airlines",
+      "aliases": [],
+      "callsign": "SKYMARK",
+      "country": "Japan",
+      "active": true
+    },
+    "LJ": {
+      "iata": "LJ",
+      "icao": "JNA",
+      "name": "Jin Air",
+      "aliases": [],
+      "callsign": "Jin Air",
+      "country": "South Korea",
+      "active": true
+    },
+    "MI": {
+      "iata": "MI",
+      "icao": "SLK",
+      "name": "SilkAir",
+      "aliases": [],
+      "callsign": "SILKAIR",
+      "country": "Singapore",
+      "active": true
+    },
+    "6Q": {
+      "iata": "6Q",
+      "icao": "SLL",
+      "name": "Slovak Airlines",
+      "aliases": [],
+      "callsign": "SLOV LINE",
+      "country": "Slovakia",
+      "active": false
+    },
+    "PY": {
+      "iata": "PY",
+      "icao": "SLM",
+      "name": "Surinam Airways",
+      "aliases": [],
+      "callsign": "SURINAM",
+      "country": "Suriname",
+      "active": true
+    },
+    "NB": {
+      "iata": "NB",
+      "icao": "SNB",
+      "name": "Sterling Airlines",
+      "aliases": [],
+      "callsign": "STERLING",
+      "country": "Denmark",
+      "active": true
+    },
+    "6J": {
+      "iata": "6J",
+      "icao": "SNJ",
+      "name": "Skynet Asia Airways",
+      "aliases": [],
+      "callsign": "NEWSKY",
+      "country": "Japan",
+      "active": true
+    },
+    "IE": {
+      "iata": "IE",
+      "icao": "SOL",
+      "name": "Solomon Airlines",
+      "aliases": [],
+      "callsign": "SOLOMON",
+      "country": "Solomon Islands",
+      "active": true
+    },
+    "6W": {
+      "iata": "6W",
+      "icao": "SOV",
+      "name": "Saratov Aviation Division",
+      "aliases": [],
+      "callsign": "SARATOV AIR",
+      "country": "Russia",
+      "active": true
+    },
+    "HZ": {
+      "iata": "HZ",
+      "icao": "SOZ",
+      "name": "Sat Airlines",
+      "aliases": [],
+      "callsign": "SATCO",
+      "country": "Kazakhstan",
+      "active": true
+    },
+    "S5": {
+      "iata": "S5",
+      "icao": "TCF",
+      "name": "Shuttle America",
+      "aliases": [],
+      "callsign": "MERCURY",
+      "country": "United States",
+      "active": true
+    },
+    "R1": {
+      "iata": "R1",
+      "icao": null,
+      "name": "Sirin",
+      "aliases": [],
+      "callsign": null,
+      "country": null,
+      "active": false
+    },
+    "S6": {
+      "iata": "S6",
+      "icao": null,
+      "name": "Salmon Air",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "EQ": {
+      "iata": "EQ",
+      "icao": "TAE",
+      "name": "TAME",
+      "aliases": [],
+      "callsign": "TAME",
+      "country": "Ecuador",
+      "active": true
+    },
+    "JJ": {
+      "iata": "JJ",
+      "icao": "TAM",
+      "name": "LATAM Airlines Brasil",
+      "aliases": [],
+      "callsign": "TAM",
+      "country": "Brazil",
+      "active": true
+    },
+    "TP": {
+      "iata": "TP",
+      "icao": "TAP",
+      "name": "TAP Portugal",
+      "aliases": [
+        "TAP Air Portugal"
+      ],
+      "callsign": "AIR PORTUGAL",
+      "country": "Portugal",
+      "active": true
+    },
+    "TU": {
+      "iata": "TU",
+      "icao": "TAR",
+      "name": "Tunisair",
+      "aliases": [],
+      "callsign": "TUNAIR",
+      "country": "Tunisia",
+      "active": true
+    },
+    "3V": {
+      "iata": "3V",
+      "icao": "TAY",
+      "name": "TNT Airways",
+      "aliases": [],
+      "callsign": "QUALITY",
+      "country": "Belgium",
+      "active": false
+    },
+    "T2": {
+      "iata": "T2",
+      "icao": "TCG",
+      "name": "Thai Air Cargo",
+      "aliases": [],
+      "callsign": "THAI CARGO",
+      "country": "Thailand",
+      "active": true
+    },
+    "FQ": {
+      "iata": "FQ",
+      "icao": "TCW",
+      "name": "Thomas Cook Airlines",
+      "aliases": [],
+      "callsign": "THOMAS COOK",
+      "country": "Belgium",
+      "active": true
+    },
+    "MT": {
+      "iata": "MT",
+      "icao": "TCX",
+      "name": "Thomas Cook Airlines",
+      "aliases": [],
+      "callsign": "KESTREL",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "TQ": {
+      "iata": "TQ",
+      "icao": "TXW",
+      "name": "Texas Wings",
+      "aliases": [],
+      "callsign": "TXW",
+      "country": "United States",
+      "active": true
+    },
+    "L9": {
+      "iata": "L9",
+      "icao": null,
+      "name": "All Asia",
+      "aliases": [],
+      "callsign": null,
+      "country": "China",
+      "active": true
+    },
+    "ZT": {
+      "iata": "ZT",
+      "icao": null,
+      "name": "Tomp Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Chile",
+      "active": true
+    },
+    "TR": {
+      "iata": "TR",
+      "icao": "TGW",
+      "name": "Tiger Airways",
+      "aliases": [],
+      "callsign": "GO CAT",
+      "country": "Singapore",
+      "active": false
+    },
+    "TG": {
+      "iata": "TG",
+      "icao": "THA",
+      "name": "Thai Airways International",
+      "aliases": [],
+      "callsign": "THAI",
+      "country": "Thailand",
+      "active": true
+    },
+    "FD": {
+      "iata": "FD",
+      "icao": "AIQ",
+      "name": "Thai AirAsia",
+      "aliases": [
+        "Thai Air Asia"
+      ],
+      "callsign": "THAI ASIA",
+      "country": "Thailand",
+      "active": true
+    },
+    "TK": {
+      "iata": "TK",
+      "icao": "THY",
+      "name": "Turkish Airlines",
+      "aliases": [],
+      "callsign": "TURKAIR",
+      "country": "Turkey",
+      "active": true
+    },
+    "T7": {
+      "iata": "T7",
+      "icao": "TJT",
+      "name": "Twin Jet",
+      "aliases": [],
+      "callsign": "TWINJET",
+      "country": "France",
+      "active": true
+    },
+    "9I": {
+      "iata": "9I",
+      "icao": "INE",
+      "name": "International Europe",
+      "aliases": [
+        "International"
+      ],
+      "callsign": null,
+      "country": "Spain",
+      "active": true
+    },
+    "3P": {
+      "iata": "3P",
+      "icao": "TNM",
+      "name": "Tiara Air",
+      "aliases": [],
+      "callsign": "TIARA",
+      "country": "Aruba",
+      "active": true
+    },
+    "TI": {
+      "iata": "TI",
+      "icao": "THI",
+      "name": "TransHolding",
+      "aliases": [
+        "Trans"
+      ],
+      "callsign": null,
+      "country": "Brazil",
+      "active": true
+    },
+    "BY": {
+      "iata": "BY",
+      "icao": "TOM",
+      "name": "Thomsonfly",
+      "aliases": [],
+      "callsign": "TOMSON",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "PM": {
+      "iata": "PM",
+      "icao": "TOS",
+      "name": "Tropic Air",
+      "aliases": [],
+      "callsign": "TROPISER",
+      "country": "Belize",
+      "active": true
+    },
+    "QT": {
+      "iata": "QT",
+      "icao": "TPA",
+      "name": "TAMPA",
+      "aliases": [],
+      "callsign": "TAMPA",
+      "country": "Colombia",
+      "active": true
+    },
+    "GE": {
+      "iata": "GE",
+      "icao": "TNA",
+      "name": "TransAsia Airways",
+      "aliases": [],
+      "callsign": "TransAsia",
+      "country": "Taiwan",
+      "active": true
+    },
+    "HV": {
+      "iata": "HV",
+      "icao": "TRA",
+      "name": "Transavia Holland",
+      "aliases": [],
+      "callsign": "TRANSAVIA",
+      "country": "Netherlands",
+      "active": true
+    },
+    "VR": {
+      "iata": "VR",
+      "icao": "TCV",
+      "name": "TACV",
+      "aliases": [],
+      "callsign": "CABOVERDE",
+      "country": "Portugal",
+      "active": true
+    },
+    "T9": {
+      "iata": "T9",
+      "icao": "TRZ",
+      "name": "TransMeridian Airlines",
+      "aliases": [],
+      "callsign": "TRANS-MERIDIAN",
+      "country": "United States",
+      "active": false
+    },
+    "9T": {
+      "iata": "9T",
+      "icao": "ABS",
+      "name": "Transwest Air",
+      "aliases": [],
+      "callsign": "ATHABASKA",
+      "country": "Canada",
+      "active": true
+    },
+    "UN": {
+      "iata": "UN",
+      "icao": "TSO",
+      "name": "Transaero Airlines",
+      "aliases": [],
+      "callsign": "TRANSOVIET",
+      "country": "Russia",
+      "active": true
+    },
+    "T5": {
+      "iata": "T5",
+      "icao": "TUA",
+      "name": "Turkmenistan Airlines",
+      "aliases": [
+        "Turkmenhovayollary"
+      ],
+      "callsign": "TURKMENISTAN",
+      "country": "Turkmenistan",
+      "active": true
+    },
+    "UG": {
+      "iata": "UG",
+      "icao": "TUI",
+      "name": "Tuninter",
+      "aliases": [],
+      "callsign": null,
+      "country": "Tunisia",
+      "active": true
+    },
+    "T6": {
+      "iata": "T6",
+      "icao": null,
+      "name": "Trans Pas Air",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "TW": {
+      "iata": "TW",
+      "icao": "TWB",
+      "name": "Tway Airlines",
+      "aliases": [],
+      "callsign": "TWAY AIR",
+      "country": "South Korea",
+      "active": true
+    },
+    "6B": {
+      "iata": "6B",
+      "icao": "BLX",
+      "name": "TUIfly Nordic",
+      "aliases": [],
+      "callsign": "BLUESCAN",
+      "country": "Sweden",
+      "active": true
+    },
+    "DT": {
+      "iata": "DT",
+      "icao": "DTA",
+      "name": "TAAG Angola Airlines",
+      "aliases": [],
+      "callsign": "DTA",
+      "country": "Angola",
+      "active": true
+    },
+    "SF": {
+      "iata": "SF",
+      "icao": "DTH",
+      "name": "Tassili Airlines",
+      "aliases": [],
+      "callsign": "TASSILI AIR",
+      "country": "Algeria",
+      "active": false
+    },
+    "PZ": {
+      "iata": "PZ",
+      "icao": "LAP",
+      "name": "LATAM Airlines Paraguay",
+      "aliases": [],
+      "callsign": "PARAGUAYA",
+      "country": "Paraguay",
+      "active": true
+    },
+    "AX": {
+      "iata": "AX",
+      "icao": "LOF",
+      "name": "Trans States Airlines",
+      "aliases": [],
+      "callsign": "WATERSKI",
+      "country": "United States",
+      "active": true
+    },
+    "1E": {
+      "iata": "1E",
+      "icao": "RGG",
+      "name": "TransRussiaAirlines",
+      "aliases": [
+        "TransRus"
+      ],
+      "callsign": null,
+      "country": "Russia",
+      "active": true
+    },
+    "2H": {
+      "iata": "2H",
+      "icao": null,
+      "name": "Thalys",
+      "aliases": [],
+      "callsign": null,
+      "country": "Belgium",
+      "active": false
+    },
+    "1L": {
+      "iata": "1L",
+      "icao": "OSY",
+      "name": "Open Skies Consultative Commission",
+      "aliases": [],
+      "callsign": "OPEN SKIES",
+      "country": "United States",
+      "active": false
+    },
+    "RO": {
+      "iata": "RO",
+      "icao": "ROT",
+      "name": "Tarom",
+      "aliases": [],
+      "callsign": "TAROM",
+      "country": "Romania",
+      "active": true
+    },
+    "3T": {
+      "iata": "3T",
+      "icao": "URN",
+      "name": "Turan Air",
+      "aliases": [],
+      "callsign": "TURAN",
+      "country": "Azerbaijan",
+      "active": true
+    },
+    "8R": {
+      "iata": "8R",
+      "icao": "TIB",
+      "name": "TRIP Linhas A",
+      "aliases": [],
+      "callsign": "TRIP",
+      "country": "Brazil",
+      "active": true
+    },
+    "U5": {
+      "iata": "U5",
+      "icao": "GWY",
+      "name": "USA3000 Airlines",
+      "aliases": [],
+      "callsign": "GETAWAY",
+      "country": "United States",
+      "active": true
+    },
+    "UA": {
+      "iata": "UA",
+      "icao": "UAL",
+      "name": "United Airlines",
+      "aliases": [],
+      "callsign": "UNITED",
+      "country": "United States",
+      "active": true
+    },
+    "U6": {
+      "iata": "U6",
+      "icao": "SVR",
+      "name": "Ural Airlines",
+      "aliases": [],
+      "callsign": "SVERDLOVSK AIR",
+      "country": "Russia",
+      "active": true
+    },
+    "UF": {
+      "iata": "UF",
+      "icao": "UKM",
+      "name": "UM Airlines",
+      "aliases": [],
+      "callsign": "UKRAINE MEDITERRANEE",
+      "country": "Ukraine",
+      "active": true
+    },
+    "6Z": {
+      "iata": "6Z",
+      "icao": "UKS",
+      "name": "Ukrainian Cargo Airways",
+      "aliases": [],
+      "callsign": "CARGOTRANS",
+      "country": "Ukraine",
+      "active": false
+    },
+    "5X": {
+      "iata": "5X",
+      "icao": "UPS",
+      "name": "United Parcel Service",
+      "aliases": [],
+      "callsign": "UPS",
+      "country": "United States",
+      "active": false
+    },
+    "US": {
+      "iata": "US",
+      "icao": "USA",
+      "name": "US Airways",
+      "aliases": [],
+      "callsign": "U S AIR",
+      "country": "United States",
+      "active": true
+    },
+    "UT": {
+      "iata": "UT",
+      "icao": "UTA",
+      "name": "UTair Aviation",
+      "aliases": [],
+      "callsign": "UTAIR",
+      "country": "Russia",
+      "active": true
+    },
+    "HY": {
+      "iata": "HY",
+      "icao": "UZB",
+      "name": "Uzbekistan Airways",
+      "aliases": [],
+      "callsign": "UZBEK",
+      "country": "Uzbekistan",
+      "active": true
+    },
+    "UH": {
+      "iata": "UH",
+      "icao": null,
+      "name": "US Helicopter Corporation",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "VA": {
+      "iata": "VA",
+      "icao": "VOZ",
+      "name": "Virgin Australia",
+      "aliases": [],
+      "callsign": "VIRGIN",
+      "country": "Australia",
+      "active": true
+    },
+    "VF": {
+      "iata": "VF",
+      "icao": "VLU",
+      "name": "Valuair",
+      "aliases": [],
+      "callsign": "VALUAIR",
+      "country": "Singapore",
+      "active": true
+    },
+    "VN": {
+      "iata": "VN",
+      "icao": "HVN",
+      "name": "Vietnam Airlines",
+      "aliases": [],
+      "callsign": "VIET NAM AIRLINES",
+      "country": "Vietnam",
+      "active": true
+    },
+    "NN": {
+      "iata": "NN",
+      "icao": "MOV",
+      "name": "VIM Airlines",
+      "aliases": [],
+      "callsign": "MOV AIR",
+      "country": "Russia",
+      "active": true
+    },
+    "2R": {
+      "iata": "2R",
+      "icao": null,
+      "name": "All America AR",
+      "aliases": [
+        "All America Argentina"
+      ],
+      "callsign": null,
+      "country": "Argentina",
+      "active": true
+    },
+    "Y4": {
+      "iata": "Y4",
+      "icao": "VOI",
+      "name": "Volaris",
+      "aliases": [],
+      "callsign": "VOLARIS",
+      "country": "Mexico",
+      "active": true
+    },
+    "VI": {
+      "iata": "VI",
+      "icao": "VDA",
+      "name": "Volga-Dnepr Airlines",
+      "aliases": [],
+      "callsign": "VOLGA-DNEPR",
+      "country": "Russia",
+      "active": true
+    },
+    "VX": {
+      "iata": "VX",
+      "icao": "VRD",
+      "name": "Virgin America",
+      "aliases": [],
+      "callsign": "REDWOOD",
+      "country": "United States",
+      "active": true
+    },
+    "TV": {
+      "iata": "TV",
+      "icao": "VEX",
+      "name": "Virgin Express",
+      "aliases": [],
+      "callsign": "VIRGIN EXPRESS",
+      "country": "Belgium",
+      "active": true
+    },
+    "VK": {
+      "iata": "VK",
+      "icao": "VGN",
+      "name": "Virgin Nigeria Airways",
+      "aliases": [],
+      "callsign": "VIRGIN NIGERIA",
+      "country": "Nigeria",
+      "active": true
+    },
+    "VS": {
+      "iata": "VS",
+      "icao": "VIR",
+      "name": "Virgin Atlantic Airways",
+      "aliases": [],
+      "callsign": "VIRGIN",
+      "country": "United Kingdom",
+      "active": true
+    },
+    "ZG": {
+      "iata": "ZG",
+      "icao": "VVM",
+      "name": "Viva Macau",
+      "aliases": [],
+      "callsign": "JACKPOT",
+      "country": "Macau",
+      "active": true
+    },
+    "XF": {
+      "iata": "XF",
+      "icao": "VLK",
+      "name": "Vladivostok Air",
+      "aliases": [],
+      "callsign": "VLADAIR",
+      "country": "Russia",
+      "active": true
+    },
+    "LC": {
+      "iata": "LC",
+      "icao": "VLO",
+      "name": "Varig Log",
+      "aliases": [],
+      "callsign": "VELOG",
+      "country": "Brazil",
+      "active": true
+    },
+    "VM": {
+      "iata": "VM",
+      "icao": "VOA",
+      "name": "Viaggio Air",
+      "aliases": [],
+      "callsign": "VIAGGIO",
+      "country": "Bulgaria",
+      "active": false
+    },
+    "RG": {
+      "iata": "RG",
+      "icao": "VRN",
+      "name": "VRG Linhas Aereas",
+      "aliases": [
+        "Varig"
+      ],
+      "callsign": "VARIG",
+      "country": "Brazil",
+      "active": true
+    },
+    "VP": {
+      "iata": "VP",
+      "icao": "VSP",
+      "name": "VASP",
+      "aliases": [],
+      "callsign": "VASP",
+      "country": "Brazil",
+      "active": true
+    },
+    "VG": {
+      "iata": "VG",
+      "icao": "VLM",
+      "name": "VLM Airlines",
+      "aliases": [],
+      "callsign": "RUBENS",
+      "country": "Belgium",
+      "active": true
+    },
+    "7W": {
+      "iata": "7W",
+      "icao": null,
+      "name": "Wayraper",
+      "aliases": [],
+      "callsign": "WAYRAPER",
+      "country": "Peru",
+      "active": true
+    },
+    "WJ": {
+      "iata": "WJ",
+      "icao": "WEB",
+      "name": "WebJet Linhas A",
+      "aliases": [],
+      "callsign": "WEB-BRASIL",
+      "country": "Brazil",
+      "active": true
+    },
+    "2W": {
+      "iata": "2W",
+      "icao": "WLC",
+      "name": "Welcome Air",
+      "aliases": [],
+      "callsign": "WELCOMEAIR",
+      "country": "Austria",
+      "active": true
+    },
+    "8O": {
+      "iata": "8O",
+      "icao": null,
+      "name": "West Coast Air",
+      "aliases": [],
+      "callsign": null,
+      "country": "Canada",
+      "active": true
+    },
+    "WS": {
+      "iata": "WS",
+      "icao": "WJA",
+      "name": "WestJet",
+      "aliases": [],
+      "callsign": "WESTJET",
+      "country": "Canada",
+      "active": true
+    },
+    "WF": {
+      "iata": "WF",
+      "icao": "WIF",
+      "name": "Widerøe",
+      "aliases": [],
+      "callsign": "WIDEROE",
+      "country": "Norway",
+      "active": true
+    },
+    "IV": {
+      "iata": "IV",
+      "icao": "JET",
+      "name": "Wind Jet",
+      "aliases": [],
+      "callsign": "GHIBLI",
+      "country": "Italy",
+      "active": true
+    },
+    "W6": {
+      "iata": "W6",
+      "icao": "WZZ",
+      "name": "Wizz Air",
+      "aliases": [],
+      "callsign": "WIZZ AIR",
+      "country": "Hungary",
+      "active": true
+    },
+    "8Z": {
+      "iata": "8Z",
+      "icao": "WVL",
+      "name": "Wizz Air Hungary",
+      "aliases": [],
+      "callsign": "WIZZBUL",
+      "country": "Bulgaria",
+      "active": true
+    },
+    "WO": {
+      "iata": "WO",
+      "icao": "WOA",
+      "name": "World Airways",
+      "aliases": [],
+      "callsign": "WORLD",
+      "country": "United States",
+      "active": true
+    },
+    "1P": {
+      "iata": "1P",
+      "icao": null,
+      "name": "Worldspan",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": false
+    },
+    "SE": {
+      "iata": "SE",
+      "icao": "SEU",
+      "name": "XL Airways France",
+      "aliases": [],
+      "callsign": "STARWAY",
+      "country": "France",
+      "active": true
+    },
+    "MF": {
+      "iata": "MF",
+      "icao": "CXA",
+      "name": "Xiamen Airlines",
+      "aliases": [],
+      "callsign": "XIAMEN AIR",
+      "country": "China",
+      "active": true
+    },
+    "XP": {
+      "iata": "XP",
+      "icao": "XPT",
+      "name": "XPTO",
+      "aliases": [],
+      "callsign": "XPTO",
+      "country": "Portugal",
+      "active": true
+    },
+    "YL": {
+      "iata": "YL",
+      "icao": "LLM",
+      "name": "Yamal Airlines",
+      "aliases": [],
+      "callsign": "YAMAL",
+      "country": "Russia",
+      "active": true
+    },
+    "Y8": {
+      "iata": "Y8",
+      "icao": "MRS",
+      "name": "Marusya Airways",
+      "aliases": [
+        "Marusya Air"
+      ],
+      "callsign": "snowball",
+      "country": "Russia",
+      "active": true
+    },
+    "IY": {
+      "iata": "IY",
+      "icao": "IYE",
+      "name": "Yemenia",
+      "aliases": [],
+      "callsign": "YEMENI",
+      "country": "Yemen",
+      "active": true
+    },
+    "Q3": {
+      "iata": "Q3",
+      "icao": "QER",
+      "name": "SOCHI AIR CHATER",
+      "aliases": [
+        "Sochi Air"
+      ],
+      "callsign": "russian doll",
+      "country": "Russia",
+      "active": true
+    },
+    "3J": {
+      "iata": "3J",
+      "icao": "WZP",
+      "name": "Zip",
+      "aliases": [],
+      "callsign": "ZIPPER",
+      "country": "Canada",
+      "active": false
+    },
+    "C4": {
+      "iata": "C4",
+      "icao": "LIX",
+      "name": "LionXpress",
+      "aliases": [
+        "lionXpress"
+      ],
+      "callsign": "LIX",
+      "country": "Cameroon",
+      "active": true
+    },
+    "Z4": {
+      "iata": "Z4",
+      "icao": "OOM",
+      "name": "Zoom Airlines",
+      "aliases": [],
+      "callsign": "ZOOM",
+      "country": "Canada",
+      "active": true
+    },
+    "UK": {
+      "iata": "UK",
+      "icao": "VTI",
+      "name": "Air Vistara",
+      "aliases": [
+        "Tata SIA Airlines"
+      ],
+      "callsign": null,
+      "country": "India",
+      "active": true
+    },
+    "XW": {
+      "iata": "XW",
+      "icao": "SXR",
+      "name": "Sky Express",
+      "aliases": [
+        "SkyExpress"
+      ],
+      "callsign": "SKYSTORM",
+      "country": "Russia",
+      "active": true
+    },
+    "Y0": {
+      "iata": "Y0",
+      "icao": null,
+      "name": "Yellow Air Taxi",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": false
+    },
+    "6T": {
+      "iata": "6T",
+      "icao": null,
+      "name": "Air Mandalay",
+      "aliases": [],
+      "callsign": "Six Tango",
+      "country": "Myanmar (Burma)",
+      "active": true
+    },
+    "TB": {
+      "iata": "TB",
+      "icao": "TBZ",
+      "name": "TrasBrasil",
+      "aliases": [],
+      "callsign": null,
+      "country": "Brazil",
+      "active": true
+    },
+    "BU": {
+      "iata": "BU",
+      "icao": "BUU",
+      "name": "Baikotovitchestrian Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "American Samoa",
+      "active": true
+    },
+    "GH": {
+      "iata": "GH",
+      "icao": "GLP",
+      "name": "Globus",
+      "aliases": [],
+      "callsign": null,
+      "country": "Russia",
+      "active": true
+    },
+    "9Y": {
+      "iata": "9Y",
+      "icao": "KZK",
+      "name": "Air Kazakhstan",
+      "aliases": [],
+      "callsign": "Kazakh",
+      "country": "Kazakhstan",
+      "active": true
+    },
+    "JD": {
+      "iata": "JD",
+      "icao": "JAS",
+      "name": "Japan Air System",
+      "aliases": [],
+      "callsign": "Air System",
+      "country": "Japan",
+      "active": true
+    },
+    "ZQ": {
+      "iata": "ZQ",
+      "icao": "LOC",
+      "name": "Locair",
+      "aliases": [],
+      "callsign": "LOCAIR",
+      "country": "United States",
+      "active": true
+    },
+    "DS": {
+      "iata": "DS",
+      "icao": null,
+      "name": "EasyJet (DS)",
+      "aliases": [],
+      "callsign": null,
+      "country": "Switzerland",
+      "active": true
+    },
+    "2I": {
+      "iata": "2I",
+      "icao": null,
+      "name": "Star Peru (2I)",
+      "aliases": [],
+      "callsign": null,
+      "country": "Peru",
+      "active": true
+    },
+    "KW": {
+      "iata": "KW",
+      "icao": null,
+      "name": "Carnival Air Lines",
+      "aliases": [],
+      "callsign": "Carnival Air",
+      "country": "United States",
+      "active": true
+    },
+    "4H": {
+      "iata": "4H",
+      "icao": "UBD",
+      "name": "United Airways",
+      "aliases": [],
+      "callsign": "UNITED BANGLADESH",
+      "country": "Bangladesh",
+      "active": true
+    },
+    "M8": {
+      "iata": "M8",
+      "icao": "TNU",
+      "name": "TransNusa Air",
+      "aliases": [],
+      "callsign": "TRANSNUSA",
+      "country": "Indonesia",
+      "active": true
+    },
+    "5H": {
+      "iata": "5H",
+      "icao": "FFV",
+      "name": "Fly540",
+      "aliases": [],
+      "callsign": "SWIFT TANGO",
+      "country": "Kenya",
+      "active": true
+    },
+    "WP": {
+      "iata": "WP",
+      "icao": "MKU",
+      "name": "Island Air (WP)",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "OG": {
+      "iata": "OG",
+      "icao": null,
+      "name": "AirOnix",
+      "aliases": [],
+      "callsign": null,
+      "country": "Ukraine",
+      "active": true
+    },
+    "B7": {
+      "iata": "B7",
+      "icao": "UIA",
+      "name": "Uni Air",
+      "aliases": [],
+      "callsign": "Glory",
+      "country": "Taiwan",
+      "active": true
+    },
+    "YD": {
+      "iata": "YD",
+      "icao": null,
+      "name": "Gomelavia",
+      "aliases": [],
+      "callsign": null,
+      "country": "Belarus",
+      "active": true
+    },
+    "WZ": {
+      "iata": "WZ",
+      "icao": "RWZ",
+      "name": "Red Wings",
+      "aliases": [
+        "Avialinii 400"
+      ],
+      "callsign": "AIR RED",
+      "country": "Russia",
+      "active": true
+    },
+    "FU": {
+      "iata": "FU",
+      "icao": "FXX",
+      "name": "Felix Airways",
+      "aliases": [],
+      "callsign": null,
+      "country": "Yemen",
+      "active": true
+    },
+    "K1": {
+      "iata": "K1",
+      "icao": "KOQ",
+      "name": "Kostromskie avialinii",
+      "aliases": [],
+      "callsign": null,
+      "country": "Russia",
+      "active": true
+    },
+    "XX": {
+      "iata": "XX",
+      "icao": "GFY",
+      "name": "Greenfly",
+      "aliases": [],
+      "callsign": null,
+      "country": "Spain",
+      "active": true
+    },
+    "7J": {
+      "iata": "7J",
+      "icao": null,
+      "name": "Tajik Air",
+      "aliases": [],
+      "callsign": null,
+      "country": "Tajikistan",
+      "active": true
+    },
+    "TM": {
+      "iata": "TM",
+      "icao": null,
+      "name": "Air Mozambique",
+      "aliases": [],
+      "callsign": null,
+      "country": "Mozambique",
+      "active": true
+    },
+    "VH": {
+      "iata": "VH",
+      "icao": "VNP",
+      "name": "Virgin Pacific",
+      "aliases": [],
+      "callsign": null,
+      "country": "Fiji",
+      "active": true
+    },
+    "Z2": {
+      "iata": "Z2",
+      "icao": null,
+      "name": "Zest Air",
+      "aliases": [],
+      "callsign": null,
+      "country": "Philippines",
+      "active": true
+    },
+    "3O": {
+      "iata": "3O",
+      "icao": null,
+      "name": "Air Arabia Maroc",
+      "aliases": [],
+      "callsign": "Air Arabia",
+      "country": "Morocco",
+      "active": true
+    },
+    "B1": {
+      "iata": "B1",
+      "icao": null,
+      "name": "Baltic Air lines",
+      "aliases": [],
+      "callsign": "Baltic",
+      "country": "Latvia",
+      "active": true
+    },
+    "YC": {
+      "iata": "YC",
+      "icao": "YCC",
+      "name": "Ciel Canadien",
+      "aliases": [],
+      "callsign": "Ciel",
+      "country": "Canada",
+      "active": true
+    },
+    "3I": {
+      "iata": "3I",
+      "icao": null,
+      "name": "Air Comet Chile",
+      "aliases": [],
+      "callsign": null,
+      "country": "Chile",
+      "active": true
+    },
+    "DN": {
+      "iata": "DN",
+      "icao": "SGG",
+      "name": "Senegal Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Senegal",
+      "active": true
+    },
+    "IL": {
+      "iata": "IL",
+      "icao": "ILW",
+      "name": "Illinois Airways",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": false
+    },
+    "SZ": {
+      "iata": "SZ",
+      "icao": null,
+      "name": "Salzburg arrows",
+      "aliases": [
+        "SZA"
+      ],
+      "callsign": "SZA",
+      "country": "Austria",
+      "active": true
+    },
+    "KT": {
+      "iata": "KT",
+      "icao": "VKJ",
+      "name": "VickJet",
+      "aliases": [],
+      "callsign": "Vickjet",
+      "country": "France",
+      "active": true
+    },
+    "ZZ": {
+      "iata": "ZZ",
+      "icao": null,
+      "name": "Zz",
+      "aliases": [],
+      "callsign": null,
+      "country": "Belgium",
+      "active": true
+    },
+    "A1": {
+      "iata": "A1",
+      "icao": null,
+      "name": "Atifly",
+      "aliases": [],
+      "callsign": "atifly",
+      "country": "United States",
+      "active": true
+    },
+    "CB": {
+      "iata": "CB",
+      "icao": "CCC",
+      "name": "CCML Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Colombia",
+      "active": true
+    },
+    "RY": {
+      "iata": "RY",
+      "icao": "RAY",
+      "name": "Rainbow Air Canada",
+      "aliases": [
+        "Rainbow Air CAN"
+      ],
+      "callsign": "Rainbow CAN",
+      "country": "Canada",
+      "active": true
+    },
+    "VB": {
+      "iata": "VB",
+      "icao": null,
+      "name": "Birmingham European",
+      "aliases": [],
+      "callsign": null,
+      "country": "United Kingdom",
+      "active": false
+    },
+    "5P": {
+      "iata": "5P",
+      "icao": null,
+      "name": "Pal airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Chile",
+      "active": true
+    },
+    "C1": {
+      "iata": "C1",
+      "icao": null,
+      "name": "CanXpress",
+      "aliases": [],
+      "callsign": "CAX",
+      "country": "Canada",
+      "active": true
+    },
+    "C2": {
+      "iata": "C2",
+      "icao": "CAP",
+      "name": "CanXplorer",
+      "aliases": [],
+      "callsign": null,
+      "country": "Canada",
+      "active": true
+    },
+    "QA": {
+      "iata": "QA",
+      "icao": null,
+      "name": "Click (Mexicana)",
+      "aliases": [],
+      "callsign": null,
+      "country": "Mexico",
+      "active": true
+    },
+    "W1": {
+      "iata": "W1",
+      "icao": null,
+      "name": "World Experience Airline",
+      "aliases": [
+        "WEA"
+      ],
+      "callsign": "WEA",
+      "country": "Canada",
+      "active": true
+    },
+    "3E": {
+      "iata": "3E",
+      "icao": null,
+      "name": "Air Choice One",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "KN": {
+      "iata": "KN",
+      "icao": null,
+      "name": "China United",
+      "aliases": [],
+      "callsign": null,
+      "country": "China",
+      "active": true
+    },
+    "4Q": {
+      "iata": "4Q",
+      "icao": null,
+      "name": "Safi Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Afghanistan",
+      "active": true
+    },
+    "01": {
+      "iata": "01",
+      "icao": null,
+      "name": "Bobb Air Freight",
+      "aliases": [],
+      "callsign": null,
+      "country": "Germany",
+      "active": true
+    },
+    "6D": {
+      "iata": "6D",
+      "icao": null,
+      "name": "Pelita",
+      "aliases": [],
+      "callsign": null,
+      "country": "Indonesia",
+      "active": true
+    },
+    "J5": {
+      "iata": "J5",
+      "icao": null,
+      "name": "Alaska Seaplane Service",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "T8": {
+      "iata": "T8",
+      "icao": null,
+      "name": "TAN",
+      "aliases": [],
+      "callsign": null,
+      "country": "Argentina",
+      "active": false
+    },
+    "T0": {
+      "iata": "T0",
+      "icao": null,
+      "name": "TACA Peru",
+      "aliases": [],
+      "callsign": "TACA PERU",
+      "country": "Peru",
+      "active": true
+    },
+    "7Q": {
+      "iata": "7Q",
+      "icao": null,
+      "name": "Pan Am World Airways Dominicana",
+      "aliases": [
+        "PAWA Dominicana"
+      ],
+      "callsign": "PAWA",
+      "country": "Dominican Republic",
+      "active": true
+    },
+    "V6": {
+      "iata": "V6",
+      "icao": null,
+      "name": "VIP Ecuador",
+      "aliases": [],
+      "callsign": null,
+      "country": "Ecuador",
+      "active": true
+    },
+    "OC": {
+      "iata": "OC",
+      "icao": null,
+      "name": "Catovair",
+      "aliases": [],
+      "callsign": "CATOVAIR",
+      "country": "Mauritius",
+      "active": true
+    },
+    "7Z": {
+      "iata": "7Z",
+      "icao": null,
+      "name": "Halcyonair",
+      "aliases": [],
+      "callsign": "CREOLE",
+      "country": "Cape Verde",
+      "active": true
+    },
+    "4P": {
+      "iata": "4P",
+      "icao": null,
+      "name": "Business Aviation",
+      "aliases": [],
+      "callsign": "AFRICAN BUSINESS",
+      "country": "Democratic Republic of the Congo",
+      "active": true
+    },
+    "UJ": {
+      "iata": "UJ",
+      "icao": "LMU",
+      "name": "AlMasria Universal Airlines",
+      "aliases": [],
+      "callsign": "ALMASRIA",
+      "country": "Egypt",
+      "active": true
+    },
+    "6Y": {
+      "iata": "6Y",
+      "icao": null,
+      "name": "SmartLynx Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Latvia",
+      "active": true
+    },
+    "K7": {
+      "iata": "K7",
+      "icao": "KBR",
+      "name": "KoralBlue Airlines",
+      "aliases": [],
+      "callsign": "KORAL BLUE",
+      "country": "Egypt",
+      "active": true
+    },
+    "7Y": {
+      "iata": "7Y",
+      "icao": null,
+      "name": "Med Airways",
+      "aliases": [],
+      "callsign": "FLYING CARPET",
+      "country": "Lebanon",
+      "active": true
+    },
+    "RL": {
+      "iata": "RL",
+      "icao": "RFJ",
+      "name": "Royal Falcon",
+      "aliases": [],
+      "callsign": null,
+      "country": "Jordan",
+      "active": true
+    },
+    "4L": {
+      "iata": "4L",
+      "icao": "MJX",
+      "name": "Euroline",
+      "aliases": [],
+      "callsign": "GEO-LINE",
+      "country": "Georgia",
+      "active": true
+    },
+    "ZF": {
+      "iata": "ZF",
+      "icao": null,
+      "name": "Athens Airways",
+      "aliases": [],
+      "callsign": "ATHENSAIR",
+      "country": "Greece",
+      "active": true
+    },
+    "VQ": {
+      "iata": "VQ",
+      "icao": "VKH",
+      "name": "Viking Hellas",
+      "aliases": [],
+      "callsign": "DELPHI",
+      "country": "Greece",
+      "active": true
+    },
+    "DZ": {
+      "iata": "DZ",
+      "icao": null,
+      "name": "Starline.kz",
+      "aliases": [],
+      "callsign": "ALUNK",
+      "country": "Kazakhstan",
+      "active": true
+    },
+    "OQ": {
+      "iata": "OQ",
+      "icao": "CQN",
+      "name": "Chongqing Airlines",
+      "aliases": [],
+      "callsign": "CHONG QING",
+      "country": "China",
+      "active": true
+    },
+    "PN": {
+      "iata": "PN",
+      "icao": "CHB",
+      "name": "West Air China",
+      "aliases": [],
+      "callsign": "WEST CHINA",
+      "country": "China",
+      "active": true
+    },
+    "Y7": {
+      "iata": "Y7",
+      "icao": null,
+      "name": "NordStar Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Russia",
+      "active": true
+    },
+    "9H": {
+      "iata": "9H",
+      "icao": null,
+      "name": "MDLR Airlines",
+      "aliases": [],
+      "callsign": "MDLR",
+      "country": "India",
+      "active": true
+    },
+    "Q2": {
+      "iata": "Q2",
+      "icao": null,
+      "name": "Maldivian",
+      "aliases": [],
+      "callsign": "ISLAND AVIATION",
+      "country": "Maldives",
+      "active": true
+    },
+    "XN": {
+      "iata": "XN",
+      "icao": null,
+      "name": "Xpressair",
+      "aliases": [],
+      "callsign": null,
+      "country": "Indonesia",
+      "active": true
+    },
+    "5E": {
+      "iata": "5E",
+      "icao": null,
+      "name": "SGA Airlines",
+      "aliases": [],
+      "callsign": "SIAM",
+      "country": "Thailand",
+      "active": true
+    },
+    "F8": {
+      "iata": "F8",
+      "icao": null,
+      "name": "Air2there",
+      "aliases": [],
+      "callsign": null,
+      "country": "New Zealand",
+      "active": true
+    },
+    "WQ": {
+      "iata": "WQ",
+      "icao": "PQW",
+      "name": "PanAm World Airways",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "YY": {
+      "iata": "YY",
+      "icao": "VWA",
+      "name": "Virginwings",
+      "aliases": [],
+      "callsign": null,
+      "country": "Germany",
+      "active": true
+    },
+    "WU": {
+      "iata": "WU",
+      "icao": "WAU",
+      "name": "Wizz Air Ukraine",
+      "aliases": [],
+      "callsign": "WIZZAIR UKRAINE",
+      "country": "Ukraine",
+      "active": true
+    },
+    "H3": {
+      "iata": "H3",
+      "icao": null,
+      "name": "Harbour Air (Priv)",
+      "aliases": [],
+      "callsign": null,
+      "country": "Canada",
+      "active": true
+    },
+    "X1": {
+      "iata": "X1",
+      "icao": null,
+      "name": "Nik Airways",
+      "aliases": [],
+      "callsign": null,
+      "country": "Saudi Arabia",
+      "active": false
+    },
+    "XZ": {
+      "iata": "XZ",
+      "icao": null,
+      "name": "Congo Express",
+      "aliases": [],
+      "callsign": "EXPRESSWAYS",
+      "country": "Democratic Republic of the Congo",
+      "active": true
+    },
+    "FZ": {
+      "iata": "FZ",
+      "icao": "FDB",
+      "name": "Fly Dubai",
+      "aliases": [],
+      "callsign": null,
+      "country": "United Arab Emirates",
+      "active": true
+    },
+    "D1": {
+      "iata": "D1",
+      "icao": "MDO",
+      "name": "Domenican Airlines",
+      "aliases": [
+        "Domenican"
+      ],
+      "callsign": "Domenican",
+      "country": "Dominican Republic",
+      "active": true
+    },
+    "9A": {
+      "iata": "9A",
+      "icao": null,
+      "name": "All Africa",
+      "aliases": [],
+      "callsign": null,
+      "country": "South Africa",
+      "active": true
+    },
+    "YZ": {
+      "iata": "YZ",
+      "icao": "YZZ",
+      "name": "LSM AIRLINES",
+      "aliases": [
+        "Russian. Yours Air Lines"
+      ],
+      "callsign": "Moscow frog",
+      "country": "Russia",
+      "active": true
+    },
+    "YP": {
+      "iata": "YP",
+      "icao": "AEF",
+      "name": "Aero Lloyd (YP)",
+      "aliases": [],
+      "callsign": null,
+      "country": "Germany",
+      "active": false
+    },
+    "UR": {
+      "iata": "UR",
+      "icao": null,
+      "name": "UTair-Express",
+      "aliases": [],
+      "callsign": null,
+      "country": "Russia",
+      "active": true
+    },
+    "G5": {
+      "iata": "G5",
+      "icao": null,
+      "name": "Huaxia",
+      "aliases": [
+        "HUAXIA"
+      ],
+      "callsign": null,
+      "country": "China",
+      "active": true
+    },
+    "N1": {
+      "iata": "N1",
+      "icao": null,
+      "name": "N1",
+      "aliases": [],
+      "callsign": null,
+      "country": "Peru",
+      "active": true
+    },
+    "4Z": {
+      "iata": "4Z",
+      "icao": null,
+      "name": "Airlink (SAA)",
+      "aliases": [],
+      "callsign": null,
+      "country": "South Africa",
+      "active": true
+    },
+    "3B": {
+      "iata": "3B",
+      "icao": null,
+      "name": "JobAir",
+      "aliases": [],
+      "callsign": null,
+      "country": "Czech Republic",
+      "active": true
+    },
+    "OD": {
+      "iata": "OD",
+      "icao": "MXD",
+      "name": "Malindo Air",
+      "aliases": [],
+      "callsign": "Malindo",
+      "country": "Malaysia",
+      "active": true
+    },
+    "9C": {
+      "iata": "9C",
+      "icao": null,
+      "name": "China SSS",
+      "aliases": [
+        "Chunqiu Airlines"
+      ],
+      "callsign": null,
+      "country": "China",
+      "active": true
+    },
+    "NJ": {
+      "iata": "NJ",
+      "icao": "NGB",
+      "name": "Nordic Global Airlines",
+      "aliases": [],
+      "callsign": "Nordic Global",
+      "country": "Finland",
+      "active": true
+    },
+    "TJ": {
+      "iata": "TJ",
+      "icao": "TJA",
+      "name": "T.J. Air",
+      "aliases": [],
+      "callsign": "T.J. Air",
+      "country": "United States",
+      "active": true
+    },
+    "Z6": {
+      "iata": "Z6",
+      "icao": "ZTT",
+      "name": "ZABAIKAL AIRLINES",
+      "aliases": [
+        "ZABAIKAL"
+      ],
+      "callsign": "BAIKAL",
+      "country": "Russia",
+      "active": true
+    },
+    "Y1": {
+      "iata": "Y1",
+      "icao": null,
+      "name": "Yellowstone Club Private Shuttle",
+      "aliases": [],
+      "callsign": "YCS",
+      "country": "United States",
+      "active": true
+    },
+    "NS": {
+      "iata": "NS",
+      "icao": null,
+      "name": "Caucasus Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Georgia",
+      "active": true
+    },
+    "S1": {
+      "iata": "S1",
+      "icao": null,
+      "name": "Serbian Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Serbia",
+      "active": true
+    },
+    "WM": {
+      "iata": "WM",
+      "icao": null,
+      "name": "Windward Islands Airways",
+      "aliases": [],
+      "callsign": "Winair",
+      "country": "Netherlands Antilles",
+      "active": true
+    },
+    "YO": {
+      "iata": "YO",
+      "icao": "TYS",
+      "name": "TransHolding System",
+      "aliases": [],
+      "callsign": null,
+      "country": "Brazil",
+      "active": true
+    },
+    "F1": {
+      "iata": "F1",
+      "icao": "FBL",
+      "name": "Fly Brasil",
+      "aliases": [],
+      "callsign": "FBL",
+      "country": "Brazil",
+      "active": true
+    },
+    "3F": {
+      "iata": "3F",
+      "icao": null,
+      "name": "Fly Colombia ( Interliging Flights )",
+      "aliases": [],
+      "callsign": null,
+      "country": "Colombia",
+      "active": true
+    },
+    "N0": {
+      "iata": "N0",
+      "icao": null,
+      "name": "Norte Lineas Aereas",
+      "aliases": [
+        "NORTE"
+      ],
+      "callsign": null,
+      "country": "Argentina",
+      "active": true
+    },
+    "W7": {
+      "iata": "W7",
+      "icao": null,
+      "name": "Austral Brasil",
+      "aliases": [
+        "Austral Brasil lineas aereas"
+      ],
+      "callsign": null,
+      "country": "Brazil",
+      "active": true
+    },
+    "YI": {
+      "iata": "YI",
+      "icao": null,
+      "name": "TUR Avrupa Hava YollarÄ±",
+      "aliases": [
+        "TUR European Airways"
+      ],
+      "callsign": "TurAvrupa",
+      "country": "Turkey",
+      "active": false
+    },
+    "L4": {
+      "iata": "L4",
+      "icao": "LJJ",
+      "name": "Luchsh Airlines",
+      "aliases": [
+        "Air luch"
+      ],
+      "callsign": "russian sky",
+      "country": "Russia",
+      "active": true
+    },
+    "7M": {
+      "iata": "7M",
+      "icao": "ZTF",
+      "name": "Mongolian International Air Lines",
+      "aliases": [
+        "Mongol Air"
+      ],
+      "callsign": "Mongol_AIr",
+      "country": "Mongolia",
+      "active": true
+    },
+    "HI": {
+      "iata": "HI",
+      "icao": null,
+      "name": "Papillon Grand Canyon Helicopters",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "XB": {
+      "iata": "XB",
+      "icao": "NXB",
+      "name": "NEXT Brasil",
+      "aliases": [
+        "NEXT"
+      ],
+      "callsign": "XB",
+      "country": "Brazil",
+      "active": true
+    },
+    "KH": {
+      "iata": "KH",
+      "icao": "KHK",
+      "name": "Kharkiv Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Ukraine",
+      "active": true
+    },
+    "E1": {
+      "iata": "E1",
+      "icao": null,
+      "name": "Usa Sky Cargo",
+      "aliases": [
+        "USky"
+      ],
+      "callsign": "USKY",
+      "country": "United States",
+      "active": true
+    },
+    "4X": {
+      "iata": "4X",
+      "icao": null,
+      "name": "Red Jet Mexico",
+      "aliases": [],
+      "callsign": null,
+      "country": "Mexico",
+      "active": true
+    },
+    "7H": {
+      "iata": "7H",
+      "icao": "ERR",
+      "name": "Era Alaska",
+      "aliases": [],
+      "callsign": "ERAH",
+      "country": "United States",
+      "active": true
+    },
+    "H1": {
+      "iata": "H1",
+      "icao": null,
+      "name": "Hankook Air US",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "XV": {
+      "iata": "XV",
+      "icao": null,
+      "name": "BVI Airways",
+      "aliases": [],
+      "callsign": null,
+      "country": "British Virgin Islands",
+      "active": true
+    },
+    "ZJ": {
+      "iata": "ZJ",
+      "icao": null,
+      "name": "Zambezi Airlines (ZMA)",
+      "aliases": [],
+      "callsign": null,
+      "country": "Zambia",
+      "active": true
+    },
+    "YQ": {
+      "iata": "YQ",
+      "icao": null,
+      "name": "Polet Airlines (Priv)",
+      "aliases": [],
+      "callsign": null,
+      "country": "Russia",
+      "active": true
+    },
+    "T1": {
+      "iata": "T1",
+      "icao": null,
+      "name": "TROPICAL LINHAS AEREAS",
+      "aliases": [
+        "TROPICAL"
+      ],
+      "callsign": null,
+      "country": "Brazil",
+      "active": false
+    },
+    "L6": {
+      "iata": "L6",
+      "icao": "MAI",
+      "name": "Mauritania Airlines International",
+      "aliases": [],
+      "callsign": null,
+      "country": "Mauritania",
+      "active": true
+    },
+    "6F": {
+      "iata": "6F",
+      "icao": "MKD",
+      "name": "MAT Airways",
+      "aliases": [],
+      "callsign": null,
+      "country": "North Macedonia",
+      "active": true
+    },
+    "OI": {
+      "iata": "OI",
+      "icao": "ORC",
+      "name": "Orchid Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Australia",
+      "active": true
+    },
+    "XR": {
+      "iata": "XR",
+      "icao": null,
+      "name": "Skywest Australia",
+      "aliases": [],
+      "callsign": null,
+      "country": "Australia",
+      "active": true
+    },
+    "NP": {
+      "iata": "NP",
+      "icao": "NIA",
+      "name": "Nile Air",
+      "aliases": [],
+      "callsign": "NILEBIRD",
+      "country": "Egypt",
+      "active": true
+    },
+    "0X": {
+      "iata": "0X",
+      "icao": null,
+      "name": "Copenhagen Express",
+      "aliases": [],
+      "callsign": "Copex",
+      "country": "Denmark",
+      "active": true
+    },
+    "YR": {
+      "iata": "YR",
+      "icao": null,
+      "name": "SENIC AIRLINES",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "PP": {
+      "iata": "PP",
+      "icao": null,
+      "name": "Air Indus",
+      "aliases": [
+        "Indus Airlines Pak"
+      ],
+      "callsign": "AIPL",
+      "country": "Pakistan",
+      "active": true
+    },
+    "07": {
+      "iata": "07",
+      "icao": null,
+      "name": "Samurai Airlines",
+      "aliases": [
+        "Samurai Airlines (DUMMY)"
+      ],
+      "callsign": "Sam",
+      "country": "Pakistan",
+      "active": false
+    },
+    "00": {
+      "iata": "00",
+      "icao": null,
+      "name": "AirOne Continental",
+      "aliases": [],
+      "callsign": "Eastern",
+      "country": "Slovakia",
+      "active": false
+    },
+    "U1": {
+      "iata": "U1",
+      "icao": "ABI",
+      "name": "Aviabus",
+      "aliases": [],
+      "callsign": null,
+      "country": "Russia",
+      "active": true
+    },
+    "MM": {
+      "iata": "MM",
+      "icao": null,
+      "name": "Peach Aviation",
+      "aliases": [],
+      "callsign": "Air Peach",
+      "country": "Japan",
+      "active": true
+    },
+    "DF": {
+      "iata": "DF",
+      "icao": "MJG",
+      "name": "Michael Airlines",
+      "aliases": [
+        "Javi"
+      ],
+      "callsign": "MJG",
+      "country": "Puerto Rico",
+      "active": true
+    },
+    "ZC": {
+      "iata": "ZC",
+      "icao": "KGO",
+      "name": "Korongo Airlines",
+      "aliases": [],
+      "callsign": "KORONGO",
+      "country": "Democratic Republic of the Congo",
+      "active": true
+    },
+    "I5": {
+      "iata": "I5",
+      "icao": "IDS",
+      "name": "Indonesia Sky",
+      "aliases": [],
+      "callsign": null,
+      "country": "Indonesia",
+      "active": true
+    },
+    "9P": {
+      "iata": "9P",
+      "icao": null,
+      "name": "Pelangi",
+      "aliases": [],
+      "callsign": null,
+      "country": "Malaysia",
+      "active": false
+    },
+    "B0": {
+      "iata": "B0",
+      "icao": null,
+      "name": "Aws express",
+      "aliases": [],
+      "callsign": "aws",
+      "country": "United States",
+      "active": true
+    },
+    "I2": {
+      "iata": "I2",
+      "icao": "IBS",
+      "name": "Iberia Express",
+      "aliases": [],
+      "callsign": null,
+      "country": "Spain",
+      "active": true
+    },
+    "4O": {
+      "iata": "4O",
+      "icao": null,
+      "name": "Interjet (ABC Aerolineas)",
+      "aliases": [],
+      "callsign": "INTERJET",
+      "country": "Mexico",
+      "active": true
+    },
+    "TZ": {
+      "iata": "TZ",
+      "icao": "SCO",
+      "name": "Scoot",
+      "aliases": [],
+      "callsign": null,
+      "country": "Singapore",
+      "active": true
+    },
+    "ZN": {
+      "iata": "ZN",
+      "icao": "ZNA",
+      "name": "Zenith International Airline",
+      "aliases": [
+        "Zenith"
+      ],
+      "callsign": "ZENITH",
+      "country": "Thailand",
+      "active": true
+    },
+    "O1": {
+      "iata": "O1",
+      "icao": "OAB",
+      "name": "Orbit Airlines Azerbaijan",
+      "aliases": [
+        "Orbit Azerbaijan"
+      ],
+      "callsign": "Orbitaz",
+      "country": "Azerbaijan",
+      "active": true
+    },
+    "P4": {
+      "iata": "P4",
+      "icao": null,
+      "name": "Patriot Airways",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "5Q": {
+      "iata": "5Q",
+      "icao": null,
+      "name": "BQB Lineas Aereas",
+      "aliases": [
+        "Buquebus"
+      ],
+      "callsign": null,
+      "country": "Uruguay",
+      "active": true
+    },
+    "YE": {
+      "iata": "YE",
+      "icao": "YEL",
+      "name": "Yellowtail",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "YH": {
+      "iata": "YH",
+      "icao": null,
+      "name": "Yangon Airways Ltd.",
+      "aliases": [],
+      "callsign": null,
+      "country": "Myanmar (Burma)",
+      "active": true
+    },
+    "WL": {
+      "iata": "WL",
+      "icao": "FQR",
+      "name": "CheapFlyingInternational",
+      "aliases": [
+        "CheapFlying"
+      ],
+      "callsign": "cheapflying",
+      "country": "France",
+      "active": false
+    },
+    "9F": {
+      "iata": "9F",
+      "icao": "TLM",
+      "name": "Tramm Airlines",
+      "aliases": [],
+      "callsign": "9F",
+      "country": "Netherlands Antilles",
+      "active": false
+    },
+    "Z9": {
+      "iata": "Z9",
+      "icao": null,
+      "name": "Flightlink Tanzania",
+      "aliases": [
+        "Flightlink"
+      ],
+      "callsign": null,
+      "country": "Tanzania",
+      "active": true
+    },
+    "I8": {
+      "iata": "I8",
+      "icao": null,
+      "name": "IzAvia",
+      "aliases": [],
+      "callsign": null,
+      "country": "Russia",
+      "active": true
+    },
+    "M1": {
+      "iata": "M1",
+      "icao": null,
+      "name": "Maryland Air",
+      "aliases": [
+        "Maryland"
+      ],
+      "callsign": "Maryland Flight",
+      "country": "United States",
+      "active": true
+    },
+    "7I": {
+      "iata": "7I",
+      "icao": null,
+      "name": "Insel Air (7I/INC) (Priv)",
+      "aliases": [],
+      "callsign": null,
+      "country": "Netherlands Antilles",
+      "active": true
+    },
+    "ZM": {
+      "iata": "ZM",
+      "icao": "IWA",
+      "name": "Apache Air",
+      "aliases": [
+        "Apache"
+      ],
+      "callsign": "APACHE",
+      "country": "United States",
+      "active": true
+    },
+    "QG": {
+      "iata": "QG",
+      "icao": null,
+      "name": "Citilink Indonesia",
+      "aliases": [],
+      "callsign": "SUPERGREEN",
+      "country": "Indonesia",
+      "active": true
+    },
+    "GU": {
+      "iata": "GU",
+      "icao": null,
+      "name": "Gulisano airways",
+      "aliases": [],
+      "callsign": null,
+      "country": "Italy",
+      "active": false
+    },
+    "XA": {
+      "iata": "XA",
+      "icao": "XAU",
+      "name": "XAIR USA",
+      "aliases": [],
+      "callsign": "XAIR",
+      "country": "United States",
+      "active": true
+    },
+    "RN": {
+      "iata": "RN",
+      "icao": "RAB",
+      "name": "Rainbow Air (RAI)",
+      "aliases": [],
+      "callsign": "Rainbow",
+      "country": "United States",
+      "active": true
+    },
+    "RM": {
+      "iata": "RM",
+      "icao": "RNY",
+      "name": "Rainbow Air US",
+      "aliases": [],
+      "callsign": "Rainbow Air",
+      "country": "United States",
+      "active": true
+    },
+    "9N": {
+      "iata": "9N",
+      "icao": null,
+      "name": "Regional Air Iceland",
+      "aliases": [],
+      "callsign": null,
+      "country": "Iceland",
+      "active": true
+    },
+    "8K": {
+      "iata": "8K",
+      "icao": null,
+      "name": "Voestar",
+      "aliases": [
+        "Voestar Brasil"
+      ],
+      "callsign": null,
+      "country": "Brazil",
+      "active": true
+    },
+    "2X": {
+      "iata": "2X",
+      "icao": null,
+      "name": "Regionalia Uruguay",
+      "aliases": [],
+      "callsign": null,
+      "country": "Uruguay",
+      "active": true
+    },
+    "9J": {
+      "iata": "9J",
+      "icao": null,
+      "name": "Regionalia Chile",
+      "aliases": [],
+      "callsign": null,
+      "country": "Chile",
+      "active": true
+    },
+    "6C": {
+      "iata": "6C",
+      "icao": null,
+      "name": "Vuela Cuba",
+      "aliases": [],
+      "callsign": null,
+      "country": "Cuba",
+      "active": true
+    },
+    "1X": {
+      "iata": "1X",
+      "icao": null,
+      "name": "Island Express Air",
+      "aliases": [],
+      "callsign": "Abby Air",
+      "country": "Canada",
+      "active": true
+    },
+    "Z0": {
+      "iata": "Z0",
+      "icao": null,
+      "name": "All Argentina Express",
+      "aliases": [],
+      "callsign": null,
+      "country": "Argentina",
+      "active": true
+    },
+    "RT": {
+      "iata": "RT",
+      "icao": null,
+      "name": "Real Tonga",
+      "aliases": [],
+      "callsign": null,
+      "country": "Tonga",
+      "active": true
+    },
+    "1Y": {
+      "iata": "1Y",
+      "icao": null,
+      "name": "All America BR",
+      "aliases": [
+        "All America Brasil"
+      ],
+      "callsign": null,
+      "country": "Brazil",
+      "active": true
+    },
+    "X9": {
+      "iata": "X9",
+      "icao": null,
+      "name": "FRA Air",
+      "aliases": [],
+      "callsign": "FA",
+      "country": "Germany",
+      "active": false
+    },
+    "9V": {
+      "iata": "9V",
+      "icao": null,
+      "name": "Volotea Costa Rica",
+      "aliases": [],
+      "callsign": null,
+      "country": "Costa Rica",
+      "active": true
+    },
+    "X5": {
+      "iata": "X5",
+      "icao": "OTJ",
+      "name": "Fly Romania",
+      "aliases": [],
+      "callsign": "TENDER AIR",
+      "country": "Romania",
+      "active": true
+    },
+    "0Y": {
+      "iata": "0Y",
+      "icao": null,
+      "name": "All America CO",
+      "aliases": [
+        "All America Colombia"
+      ],
+      "callsign": null,
+      "country": "Colombia",
+      "active": true
+    },
+    "0M": {
+      "iata": "0M",
+      "icao": null,
+      "name": "All America MX",
+      "aliases": [
+        "All America México"
+      ],
+      "callsign": null,
+      "country": "Mexico",
+      "active": true
+    },
+    "QP": {
+      "iata": "QP",
+      "icao": null,
+      "name": "Air Kenya (Priv)",
+      "aliases": [],
+      "callsign": null,
+      "country": "Kenya",
+      "active": true
+    },
+    "J1": {
+      "iata": "J1",
+      "icao": null,
+      "name": "OneJet",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "0G": {
+      "iata": "0G",
+      "icao": null,
+      "name": "Global Airlines",
+      "aliases": [],
+      "callsign": null,
+      "country": "Argentina",
+      "active": true
+    },
+    "D2": {
+      "iata": "D2",
+      "icao": null,
+      "name": "Severstal Air Company",
+      "aliases": [],
+      "callsign": null,
+      "country": "Russia",
+      "active": true
+    },
+    "4B": {
+      "iata": "4B",
+      "icao": "BTQ",
+      "name": "Boutique Air (Priv)",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "3X": {
+      "iata": "3X",
+      "icao": "GUI",
+      "name": "Aguilar Connect",
+      "aliases": [],
+      "callsign": "Moonexpress",
+      "country": "Chile",
+      "active": false
+    },
+    "7V": {
+      "iata": "7V",
+      "icao": "ROB",
+      "name": "ROYAL BRITAIN",
+      "aliases": [
+        "Flying Brits"
+      ],
+      "callsign": null,
+      "country": "United Kingdom",
+      "active": false
+    },
+    "Z5": {
+      "iata": "Z5",
+      "icao": "IIR",
+      "name": "INAVIA Internacional",
+      "aliases": [
+        "Internacional"
+      ],
+      "callsign": null,
+      "country": "Argentina",
+      "active": true
+    },
+    "LE": {
+      "iata": "LE",
+      "icao": "LTY",
+      "name": "Liberty Airways",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": true
+    },
+    "5B": {
+      "iata": "5B",
+      "icao": "BSX",
+      "name": "Bassaka airlines",
+      "aliases": [],
+      "callsign": "5B",
+      "country": "Cambodia",
+      "active": true
+    },
+    "Q7": {
+      "iata": "Q7",
+      "icao": null,
+      "name": "SkyBahamas Airlines",
+      "aliases": [],
+      "callsign": "TROPICAL SKY",
+      "country": "Bahamas",
+      "active": true
+    },
+    "UW": {
+      "iata": "UW",
+      "icao": null,
+      "name": "UVT Aero",
+      "aliases": [],
+      "callsign": null,
+      "country": "Russia",
+      "active": true
+    },
+    "3M": {
+      "iata": "3M",
+      "icao": null,
+      "name": "Silver Airways (3M)",
+      "aliases": [],
+      "callsign": "Silver Wings",
+      "country": "United States",
+      "active": true
+    },
+    "I3": {
+      "iata": "I3",
+      "icao": null,
+      "name": "ATA Airlines (Iran)",
+      "aliases": [
+        "هواپیمایی آتا"
+      ],
+      "callsign": "ATALAR",
+      "country": "Iran",
+      "active": true
+    },
+    "V1": {
+      "iata": "V1",
+      "icao": "VIA",
+      "name": "VIA Líneas Aéreas",
+      "aliases": [
+        "VIA"
+      ],
+      "callsign": null,
+      "country": "Argentina",
+      "active": true
+    },
+    "3D": {
+      "iata": "3D",
+      "icao": "PMK",
+      "name": "Palair Macedonia",
+      "aliases": [],
+      "callsign": null,
+      "country": "North Macedonia",
+      "active": false
+    },
+    "K3": {
+      "iata": "K3",
+      "icao": null,
+      "name": "Atlantic Air Cargo",
+      "aliases": [],
+      "callsign": null,
+      "country": "United States",
+      "active": false
+    },
+    "0E": {
+      "iata": "0E",
+      "icao": null,
+      "name": "Dummy",
+      "aliases": [],
+      "callsign": null,
+      "country": "France",
+      "active": false
+    },
+    "0P": {
+      "iata": "0P",
+      "icao": "PYB",
+      "name": "All America BOPY",
+      "aliases": [],
+      "callsign": "BOPY",
+      "country": "Paraguay",
+      "active": true
+    },
+    "2Y": {
+      "iata": "2Y",
+      "icao": "AOW",
+      "name": "Air Andaman (2Y)",
+      "aliases": [],
+      "callsign": "AIR ANDAMAN",
+      "country": "Thailand",
+      "active": false
+    },
+    "JG": {
+      "iata": "JG",
+      "icao": null,
+      "name": "Jetgo Australia",
+      "aliases": [],
+      "callsign": null,
+      "country": "Australia",
+      "active": true
+    }
+  };
+
+module.exports = airlines;
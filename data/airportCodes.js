@@ -14,6 +14,17 @@ const airportCodes = {
     "guwahati": "GAU",
     "cochin": "COK",
     "pune": "PNQ",
+    "goa": "GOI",
+    "trivandrum": "TRV",
+
+    // Other names of Indian cities
+    "new delhi": "DEL",
+    "bombay": "BOM",
+    "bengaluru": "BLR",
+    "madras": "MAA",
+    "calcutta": "CCU",
+    "kochi": "COK",
+    "thiruvananthapuram": "TRV",
 
     // International
     "london": "LHR",  // Keep the main one
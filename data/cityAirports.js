@@ -0,0 +1,5607 @@
+/**
+ * Airports serving each city, a city can have several (and a name can exist in several countries)
+ * Format: { "city name lowercase": ["IATA", ...] }
+ * Auto-generated from airports.csv on 2026-10-19T18:52:15.471Z
+ */
+const cityAirports = {
+    "goroka": ["GKA"],
+    "madang": ["MAG"],
+    "mount hagen": ["HGU"],
+    "nadzab": ["LAE"],
+    "port moresby": ["POM"],
+    "wewak": ["WWK"],
+    "narssarssuaq": ["UAK"],
+    "godthaab": ["GOH"],
+    "sondrestrom": ["SFJ"],
+    "thule": ["THU"],
+    "akureyri": ["AEY"],
+    "egilsstadir": ["EGS"],
+    "hofn": ["HFN"],
+    "husavik": ["HZK"],
+    "isafjordur": ["IFJ"],
+    "keflavik": ["KEF"],
+    "patreksfjordur": ["PFJ"],
+    "reykjavik": ["RKV"],
+    "siglufjordur": ["SIJ"],
+    "vestmannaeyjar": ["VEY"],
+    "sault sainte marie": ["YAM"],
+    "st. anthony": ["YAY"],
+    "tofino": ["YAZ"],
+    "pelly bay": ["YBB"],
+    "baie comeau": ["YBC"],
+    "bagotville": ["YBG"],
+    "baker lake": ["YBK"],
+    "campbell river": ["YBL"],
+    "brandon": ["YBR"],
+    "cambridge bay": ["YCB"],
+    "nanaimo": ["YCD","ZNA"],
+    "castlegar": ["YCG"],
+    "chatham": ["YCH"],
+    "charlo": ["YCL"],
+    "coppermine": ["YCO"],
+    "coronation": ["YCT"],
+    "chilliwack": ["YCW"],
+    "clyde river": ["YCY"],
+    "coral harbour": ["YZS"],
+    "dawson": ["YDA"],
+    "burwash": ["YDB"],
+    "deer lake": ["YDF","YVZ"],
+    "dease lake": ["YDL"],
+    "dauphin": ["YDN"],
+    "dawson creek": ["YDQ"],
+    "edmonton": ["YEG","YXD"],
+    "eskimo point": ["YEK"],
+    "estevan": ["YEN"],
+    "edson": ["YET"],
+    "eureka": ["YEU","EKA"],
+    "inuvik": ["YEV"],
+    "iqaluit": ["YFB"],
+    "fredericton": ["YFC"],
+    "forestville": ["YFE"],
+    "flin flon": ["YFO"],
+    "fort resolution": ["YFR"],
+    "fort simpson": ["YFS"],
+    "kingston": ["YGK","KIN","KTP"],
+    "la grande riviere": ["YGL"],
+    "gaspe": ["YGP"],
+    "geraldton": ["YGQ","GET"],
+    "iles de la madeleine": ["YGR"],
+    "hudson bay": ["YHB"],
+    "dryden": ["YHD"],
+    "holman island": ["YHI"],
+    "gjoa haven": ["YHK"],
+    "hamilton": ["YHM","HLZ","HLT","HAO"],
+    "montreal": ["YHU","YMX","YUL"],
+    "hay river": ["YHY"],
+    "halifax": ["YHZ"],
+    "atikokan": ["YIB"],
+    "pond inlet": ["YIO"],
+    "st. jean": ["YJN"],
+    "stephenville": ["YJT","SEP"],
+    "kamloops": ["YKA","AMN"],
+    "waterloo": ["YKF","ALO"],
+    "schefferville": ["YKL"],
+    "kindersley": ["YKY"],
+    "toronto": ["YKZ","YTZ","YYZ","YZD"],
+    "chapleau": ["YLD"],
+    "meadow lake": ["YLJ"],
+    "lloydminster": ["YLL"],
+    "alert": ["YLT"],
+    "kelowna": ["YLW"],
+    "mayo": ["YMA"],
+    "moose jaw": ["YMJ"],
+    "fort mcmurray": ["YMM"],
+    "moosonee": ["YMO"],
+    "maniwaki": ["YMW"],
+    "natashquan": ["YNA"],
+    "gatineau": ["YND"],
+    "matagami": ["YNM"],
+    "old crow": ["YOC"],
+    "cold lake": ["YOD"],
+    "high level": ["YOJ"],
+    "ottawa": ["YOW","YRO"],
+    "prince albert": ["YPA"],
+    "peace river": ["YPE"],
+    "portage-la-prairie": ["YPG"],
+    "pickle lake": ["YPL"],
+    "port menier": ["YPN"],
+    "peterborough": ["YPQ"],
+    "prince pupert": ["YPR"],
+    "fort chipewyan": ["YPY"],
+    "muskoka": ["YQA"],
+    "quebec": ["YQB"],
+    "red deer industrial": ["YQF"],
+    "windsor": ["YQG"],
+    "watson lake": ["YQH"],
+    "kenora": ["YQK"],
+    "lethbridge": ["YQL"],
+    "moncton": ["YQM"],
+    "comox": ["YQQ"],
+    "regina": ["YQR"],
+    "thunder bay": ["YQT"],
+    "grande prairie": ["YQU"],
+    "yorkton": ["YQV"],
+    "north battleford": ["YQW"],
+    "gander": ["YQX"],
+    "sydney": ["YQY","BWU","SYD"],
+    "quesnel": ["YQZ"],
+    "resolute": ["YRB"],
+    "riviere du loup": ["YRI"],
+    "roberval": ["YRJ"],
+    "rocky mountain house": ["YRM"],
+    "rankin inlet": ["YRT"],
+    "sudbury": ["YSB"],
+    "sherbrooke": ["YSC"],
+    "st. john": ["YSJ"],
+    "fort smith": ["YSM","FSM"],
+    "nanisivik": ["YSR"],
+    "summerside": ["YSU"],
+    "sachs harbour": ["YSY"],
+    "cape dorset": ["YTE"],
+    "thompson": ["YTH"],
+    "trenton": ["YTR","TTN"],
+    "timmins": ["YTS"],
+    "tuktoyaktuk": ["YUB"],
+    "repulse bay": ["YUT"],
+    "hall beach": ["YUX"],
+    "rouyn": ["YUY"],
+    "la ronge": ["YVC"],
+    "vermillion": ["YVG"],
+    "broughton island": ["YVM"],
+    "val d'or": ["YVO"],
+    "quujjuaq": ["YVP"],
+    "norman wells": ["YVQ"],
+    "vancouver": ["YVR","CXH"],
+    "buffalo narrows": ["YVT"],
+    "wiarton": ["YVV"],
+    "petawawa": ["YWA"],
+    "winnipeg": ["YWG"],
+    "wabush": ["YWK"],
+    "williams lake": ["YWL"],
+    "wrigley": ["YWY"],
+    "cranbrook": ["YXC"],
+    "saskatoon": ["YXE"],
+    "medicine hat": ["YXH"],
+    "fort saint john": ["YXJ"],
+    "sioux lookout": ["YXL"],
+    "pangnirtung": ["YXP"],
+    "earlton": ["YXR"],
+    "prince george": ["YXS"],
+    "terrace": ["YXT"],
+    "london": ["YXU","LTN","LGW","LCY","LHR","STN","LOZ"],
+    "abbotsford": ["YXX"],
+    "whitehorse": ["YXY"],
+    "north bay": ["YYB"],
+    "calgary": ["YYC"],
+    "smithers": ["YYD"],
+    "fort nelson": ["YYE"],
+    "penticton": ["YYF"],
+    "charlottetown": ["YYG"],
+    "spence bay": ["YYH"],
+    "victoria": ["YYJ","YWH","VCT","ZIC"],
+    "lynn lake": ["YYL"],
+    "swift current": ["YYN"],
+    "churchill": ["YYQ"],
+    "goose bay": ["YYR"],
+    "st. john's": ["YYT"],
+    "kapuskasing": ["YYU"],
+    "armstrong": ["YYW"],
+    "mont joli": ["YYY"],
+    "gore bay": ["YZE"],
+    "yellowknife": ["YZF"],
+    "slave lake": ["YZH"],
+    "sandspit": ["YZP"],
+    "sarnia": ["YZR"],
+    "port hardy": ["YZT"],
+    "whitecourt": ["YZU"],
+    "sept-iles": ["YZV"],
+    "teslin": ["YZW"],
+    "greenwood": ["YZX","GWO"],
+    "faro": ["ZFA","FAO"],
+    "fort mcpherson": ["ZFM"],
+    "blida": ["QLD"],
+    "bou saada": ["BUJ"],
+    "bejaja": ["BJA"],
+    "algier": ["ALG"],
+    "djanet": ["DJG"],
+    "illizi": ["VVZ"],
+    "tamanrasset": ["TMR"],
+    "jijel": ["GJL"],
+    "mecheria": ["MZW"],
+    "annaba": ["AAE"],
+    "constantine": ["CZL"],
+    "tebessa": ["TEE"],
+    "tilrempt": ["HRM"],
+    "tiaret": ["TID"],
+    "tindouf": ["TIN"],
+    "ech-cheliff": ["CFK"],
+    "oran": ["TAF","ORN","ORA"],
+    "tlemcen": ["TLM"],
+    "sidi bel abbes": ["BFW"],
+    "ghriss": ["MUW"],
+    "adrar": ["AZR"],
+    "biskra": ["BSK"],
+    "el golea": ["ELG"],
+    "ghardaia": ["GHA"],
+    "hassi messaoud": ["HME"],
+    "in salah": ["INZ"],
+    "touggourt": ["TGR"],
+    "laghouat": ["LOO"],
+    "timimoun": ["TMX"],
+    "ouargla": ["OGX"],
+    "zarzaitine": ["IAM"],
+    "cotonou": ["COO"],
+    "ouagadougou": ["OUA"],
+    "bobo-dioulasso": ["BOY"],
+    "accra": ["ACC"],
+    "tamale": ["TML"],
+    "sunyani": ["NYI"],
+    "takoradi": ["TKD"],
+    "abidjan": ["ABJ"],
+    "bouake": ["BYK"],
+    "daloa": ["DJO"],
+    "korhogo": ["HGO"],
+    "man": ["MJC"],
+    "san pedro": ["SPY","SPR"],
+    "yamoussoukro": ["ASK"],
+    "abuja": ["ABV"],
+    "akure": ["AKR"],
+    "benin": ["BNI"],
+    "calabar": ["CBQ"],
+    "enugu": ["ENU"],
+    "ibadan": ["IBA"],
+    "ilorin": ["ILR"],
+    "jos": ["JOS"],
+    "kaduna": ["KAD"],
+    "kano": ["KAN"],
+    "maiduguri": ["MIU"],
+    "makurdi": ["MDI"],
+    "lagos": ["LOS"],
+    "minna": ["MXJ"],
+    "port hartcourt": ["PHC"],
+    "sokoto": ["SKO"],
+    "yola": ["YOL"],
+    "zaria": ["ZAR"],
+    "maradi": ["MFQ"],
+    "niamey": ["NIM"],
+    "tahoua": ["THZ"],
+    "agadez": ["AJY"],
+    "zinder": ["ZND"],
+    "monastir": ["MIR"],
+    "tunis": ["TUN"],
+    "gafsa": ["GAF"],
+    "gabes": ["GAE"],
+    "djerba": ["DJE"],
+    "el borma": ["EBM"],
+    "sfax": ["SFA"],
+    "tozeur": ["TOE"],
+    "niatougou": ["LRL"],
+    "lome": ["LFW"],
+    "antwerp": ["ANR"],
+    "brussels": ["BRU"],
+    "charleroi": ["CRL"],
+    "kortrijk-vevelgem": ["KJK"],
+    "liege": ["LGG"],
+    "ostend": ["OST"],
+    "zoersel": ["OBL"],
+    "altenburg": ["AOC"],
+    "riesa": ["IES"],
+    "rechlin-laerz": ["REB"],
+    "schoenhagen": ["QXH"],
+    "barth": ["BBH"],
+    "magdeburg": ["ZMG"],
+    "cottbus": ["CBU"],
+    "berlin": ["SXF","THF","TXL"],
+    "dresden": ["DRS"],
+    "erfurt": ["ERF"],
+    "frankfurt": ["FRA"],
+    "munster": ["FMO"],
+    "hamburg": ["HAM","XFW"],
+    "cologne": ["CGN"],
+    "duesseldorf": ["DUS"],
+    "munich": ["MUC"],
+    "nuernberg": ["NUE"],
+    "leipzig": ["LEJ"],
+    "saarbruecken": ["SCN"],
+    "stuttgart": ["STR"],
+    "hannover": ["HAJ"],
+    "bremen": ["BRE"],
+    "egelsbach": ["QEF"],
+    "hahn": ["HHN"],
+    "mannheim": ["MHG"],
+    "eisenach": ["EIB"],
+    "siegerland": ["SGE"],
+    "kiel": ["KEL"],
+    "luebeck": ["LBC"],
+    "essen": ["ESS"],
+    "bielefeld": ["BFE"],
+    "moenchengladbach": ["MGL"],
+    "paderborn": ["PAD"],
+    "dortmund": ["DTM"],
+    "augsburg": ["AGB"],
+    "oberpfaffenhofen": ["OBF"],
+    "straubing": ["RBM"],
+    "friedrichshafen": ["FDH"],
+    "parchim": ["SZW"],
+    "bayreuth": ["BYU"],
+    "burg feuerstein": ["URD"],
+    "hof": ["HOQ"],
+    "zweibruecken": ["ZQW"],
+    "donaueschingen": ["ZQL"],
+    "braunschweig": ["BWE"],
+    "kassel": ["KSF"],
+    "bremerhaven": ["BRV"],
+    "emden": ["EME"],
+    "wilhelmshaven": ["WVN"],
+    "borkum": ["BMK"],
+    "norderney": ["NRD"],
+    "flensburg": ["FLF"],
+    "westerland": ["GWT"],
+    "kardla": ["KDL"],
+    "kuressaare": ["URE"],
+    "parnu": ["EPU"],
+    "tallinn-ulemiste international": ["TLL"],
+    "tartu": ["TAY"],
+    "enontekio": ["ENF"],
+    "halli": ["KEV"],
+    "helsinki": ["HEM","HEL"],
+    "hyvinkaa": ["HYV"],
+    "kitee": ["KTQ"],
+    "ivalo": ["IVL"],
+    "joensuu": ["JOE"],
+    "jyvaskyla": ["JYV"],
+    "kauhava": ["KAU"],
+    "kemi": ["KEM"],
+    "kajaani": ["KAJ"],
+    "kauhajoki": ["KHJ"],
+    "kruunupyy": ["KOK"],
+    "kuusamo": ["KAO"],
+    "kittila": ["KTT"],
+    "kuopio": ["KUO"],
+    "vesivehmaa": ["QLF"],
+    "lappeenranta": ["LPP"],
+    "mariehamn": ["MHQ"],
+    "mikkeli": ["MIK"],
+    "oulu": ["OUL"],
+    "pori": ["POR"],
+    "rovaniemi": ["RVN"],
+    "savonlinna": ["SVL"],
+    "sodankyla": ["SOT"],
+    "tampere": ["TMP"],
+    "turku": ["TKU"],
+    "utti": ["UTI"],
+    "vaasa": ["VAA"],
+    "varkaus": ["VRK"],
+    "ylivieska-raudaskyla": ["YLI"],
+    "belfast": ["BFS","BHD"],
+    "enniskillen": ["ENK"],
+    "londonderry": ["LDY"],
+    "birmingham": ["BHX","BHM"],
+    "coventry": ["CVT"],
+    "golouchestershire": ["GLO"],
+    "pailton": ["GBA"],
+    "manchester": ["MAN"],
+    "newquai": ["NQY"],
+    "lyneham": ["LYE"],
+    "yeovilton": ["YEO"],
+    "haverfordwest": ["HAW"],
+    "cardiff": ["CWL"],
+    "swansea": ["SWS"],
+    "bristol": ["BRS","FZO","TRI"],
+    "liverpool": ["LPL"],
+    "plymouth": ["PLH","PYM"],
+    "bournemouth": ["BOH"],
+    "southampton": ["SOU"],
+    "lasham": ["QLA"],
+    "alderney": ["ACI"],
+    "guernsey": ["GCI"],
+    "jersey": ["JER"],
+    "shoreham by sea": ["ESH"],
+    "biggin hill": ["BQH"],
+    "farnborough": ["FAB"],
+    "blackbushe": ["BBS"],
+    "southend": ["SEN"],
+    "lydd": ["LYX"],
+    "manston": ["MSE"],
+    "carlisle": ["CAX"],
+    "blackpool": ["BLK"],
+    "humberside": ["HUY"],
+    "barrow island": ["BWF","BWB"],
+    "leeds": ["LBA"],
+    "warton": ["WRT"],
+    "hawarden": ["CEG"],
+    "isle of man": ["IOM"],
+    "newcastle": ["NCL","NCS","NTL"],
+    "teesside": ["MME"],
+    "east midlands": ["EMA"],
+    "kirkwall": ["KOI"],
+    "sumburgh": ["LSI"],
+    "wick": ["WIC"],
+    "aberdeen": ["ABZ","APG","ABR"],
+    "inverness": ["INV"],
+    "glasgow": ["GLA","GGW","GLW"],
+    "edinburgh": ["EDI"],
+    "islay": ["ILY"],
+    "prestwick": ["PIK"],
+    "benbecula": ["BEB"],
+    "scatsta": ["SCS"],
+    "dundee": ["DND"],
+    "stornoway": ["SYY"],
+    "tiree": ["TRE"],
+    "leuchars": ["ADX"],
+    "lossiemouth": ["LMO"],
+    "cambridge": ["CBG"],
+    "norwich": ["NWI"],
+    "exeter": ["EXT"],
+    "oxford": ["OXF","OXC","UOX"],
+    "benson": ["BEX"],
+    "lakenheath": ["LKZ"],
+    "mildenhall": ["MHZ"],
+    "wyton": ["QUY"],
+    "fairford": ["FFD"],
+    "brize norton": ["BZZ"],
+    "odiham": ["ODH"],
+    "northolt": ["NHT"],
+    "coningsby": ["QCY"],
+    "honington": ["BEQ"],
+    "scampton": ["SQZ"],
+    "linton-on-ouse": ["HRT"],
+    "waddington": ["WTN"],
+    "marham": ["KNF"],
+    "mount pleasant": ["MPN"],
+    "amsterdam": ["AMS"],
+    "maastricht": ["MST"],
+    "eindhoven": ["EIN"],
+    "groningen": ["GRQ"],
+    "gilze-rijen": ["GLZ"],
+    "de kooy": ["DHR"],
+    "lelystad": ["LEY"],
+    "leeuwarden": ["LWR"],
+    "rotterdam": ["RTM"],
+    "soesterberg": ["UTC"],
+    "enschede": ["ENS"],
+    "valkenburg": ["LID"],
+    "woensdrecht": ["WOE"],
+    "cork": ["ORK"],
+    "galway": ["GWY"],
+    "dublin": ["DUB","DBN"],
+    "connaught": ["NOC"],
+    "kerry": ["KIR"],
+    "shannon": ["SNN"],
+    "sligo": ["SXL"],
+    "waterford": ["WAT"],
+    "aarhus": ["AAR"],
+    "billund": ["BLL"],
+    "copenhagen": ["CPH","RKE"],
+    "esbjerg": ["EBJ"],
+    "karup": ["KRP"],
+    "laeso": ["BYR"],
+    "maribo": ["MRW"],
+    "odense": ["ODE"],
+    "ronne": ["RNN"],
+    "soenderborg": ["SGD"],
+    "skrydstrup": ["SKS"],
+    "skive": ["SQW"],
+    "thisted": ["TED"],
+    "vagar": ["FAE"],
+    "stauning": ["STA"],
+    "aalborg": ["AAL"],
+    "luxemburg": ["LUX"],
+    "alesund": ["AES"],
+    "andoya": ["ANX"],
+    "alta": ["ALF"],
+    "bronnoysund": ["BNN"],
+    "bodo": ["BOO"],
+    "bergen": ["BGO"],
+    "batsfjord": ["BJF"],
+    "kristiansand": ["KRS"],
+    "geilo": ["DLD"],
+    "bardufoss": ["BDU"],
+    "harstad/narvik": ["EVE"],
+    "fagernes": ["VDB"],
+    "floro": ["FRO"],
+    "oslo": ["OSL","FBU"],
+    "haugesund": ["HAU"],
+    "hasvik": ["HAA"],
+    "kristiansund": ["KSU"],
+    "kirkenes": ["KKN"],
+    "farsund": ["FAN"],
+    "molde": ["MOL"],
+    "mosjoen": ["MJF"],
+    "lakselv": ["LKL"],
+    "notodden": ["NTB"],
+    "orland": ["OLA"],
+    "roros": ["RRS"],
+    "rygge": ["RYG"],
+    "svalbard": ["LYR"],
+    "skien": ["SKE"],
+    "stord": ["SRP"],
+    "sandnessjoen": ["SSJ"],
+    "tromso": ["TOS"],
+    "sandefjord": ["TRF"],
+    "trondheim": ["TRD"],
+    "stavanger": ["SVG"],
+    "gdansk": ["GDN"],
+    "krakow": ["KRK"],
+    "katowice": ["KTW"],
+    "poznan": ["POZ"],
+    "rzeszow": ["RZE"],
+    "szczecin": ["SZZ"],
+    "slupsk": ["OSP"],
+    "warsaw": ["WAW","WMI"],
+    "wroclaw": ["WRO"],
+    "zielona gora": ["IEG"],
+    "ronneby": ["RNB"],
+    "gothenborg": ["GOT","GSE"],
+    "joenkoeping": ["JKG"],
+    "lidkoping": ["LDK"],
+    "skovde": ["KVB"],
+    "trollhattan": ["THN"],
+    "karlskoga": ["KSK"],
+    "mora": ["MXX"],
+    "stockholm": ["NYO","ARN","BMA"],
+    "kristianstad": ["KID"],
+    "oskarshamn": ["OSK"],
+    "kalkmar": ["KLR"],
+    "malmoe": ["MMX"],
+    "halmstad": ["HAD"],
+    "vaxjo": ["VXO"],
+    "sveg": ["EVG"],
+    "gallivare": ["GEV"],
+    "hudiksvall": ["HUV"],
+    "kramfors": ["KRF"],
+    "lycksele": ["LYC"],
+    "sundsvall": ["SDL"],
+    "ornskoldsvik": ["OER"],
+    "kiruna": ["KRN"],
+    "skelleftea": ["SFT"],
+    "umea": ["UME"],
+    "vilhelmina": ["VHM"],
+    "arvidsjaur": ["AJR"],
+    "orebro": ["ORB"],
+    "vasteras": ["VST"],
+    "lulea": ["LLA"],
+    "borlange": ["BLE"],
+    "hultsfred": ["HLF"],
+    "gavle": ["GVX"],
+    "linkoeping": ["LPI"],
+    "norrkoeping": ["NRK"],
+    "eskilstuna": ["EKT"],
+    "visby": ["VBY"],
+    "spangdahlem": ["SPM"],
+    "ramstein": ["RMS"],
+    "giebelstadt": ["GHF"],
+    "celle": ["ZCN"],
+    "fritzlar": ["FRZ"],
+    "hanau": ["ZNF"],
+    "kitzingen": ["KZG"],
+    "nordholz": ["FCN"],
+    "geilenkirchen": ["GKE"],
+    "laage": ["RLG"],
+    "schleswig": ["WBG"],
+    "wiesbaden": ["WIE"],
+    "fuerstenfeldbruck": ["FEL"],
+    "ingolstadt": ["IGS"],
+    "guetersloh": ["GUT"],
+    "alexander bay": ["ALJ"],
+    "aggeneys": ["AGZ"],
+    "bisho": ["BIY"],
+    "bloemfontein": ["BFN"],
+    "cape town": ["CPT"],
+    "durban": ["DUR","VIR"],
+    "east london": ["ELS"],
+    "ficksburg": ["FCB"],
+    "johannesburg": ["GCJ","JNB","HLA","QRA"],
+    "george": ["GRJ"],
+    "harrismith": ["HRS"],
+    "hoedspruit": ["HDS"],
+    "klerksdorp": ["KXE"],
+    "kimberley": ["KIM"],
+    "kuruman": ["KMH"],
+    "kleinsee": ["KLZ"],
+    "langebaanweg": ["SDB"],
+    "ladysmith": ["LAY"],
+    "margate": ["MGH"],
+    "malalane": ["LLE"],
+    "mkuze": ["MZQ"],
+    "overberg": ["OVG"],
+    "oudtshoorn": ["OUH"],
+    "port elizabeth": ["PLZ"],
+    "plettenberg bay": ["PBZ"],
+    "phalaborwa": ["PHW"],
+    "port saint johns": ["JOH"],
+    "pietermaritzburg": ["PZB"],
+    "pilanesberg": ["NTY"],
+    "potgietersrus": ["PTG"],
+    "potchefstroom": ["PCF"],
+    "queenstown": ["UTW"],
+    "richard's bay": ["RCB"],
+    "robertson": ["ROD"],
+    "springbok": ["SBU"],
+    "secunda": ["ZEC"],
+    "sishen": ["SIS"],
+    "skukuza": ["SZK"],
+    "tzaneen": ["LTA"],
+    "ulundi": ["ULD"],
+    "upington": ["UTN"],
+    "umtata": ["UTT"],
+    "vryburg": ["VRU"],
+    "vredendal": ["VRE"],
+    "pretoria": ["PRY"],
+    "waterkloof": ["WKF"],
+    "francistown": ["FRW"],
+    "jwaneng": ["JWA"],
+    "kasane": ["BBK"],
+    "maun": ["MUB"],
+    "gaberone": ["GBE"],
+    "selebi-phikwe": ["PKW"],
+    "brazzaville": ["BZV"],
+    "owando": ["FTX"],
+    "ouesso": ["OUE"],
+    "pointe-noire": ["PNR"],
+    "manzini": ["MTS","SHO"],
+    "bangui": ["BGF"],
+    "berberati": ["BBT"],
+    "bata": ["BSG"],
+    "malabo": ["SSG"],
+    "wide awake": ["ASI"],
+    "plaisance": ["MRU"],
+    "rodriguez island": ["RRG"],
+    "diego garcia island": ["NKW"],
+    "tiko": ["TKC"],
+    "douala": ["DLA"],
+    "maroua": ["MVR"],
+    "foumban": ["FOM"],
+    "n'gaoundere": ["NGE"],
+    "garoua": ["GOU"],
+    "bafoussam": ["BFX"],
+    "bamenda": ["BPC"],
+    "yaounde": ["YAO","NSI"],
+    "kasompe": ["CGJ"],
+    "livingstone": ["LVI"],
+    "lusaka": ["LUN"],
+    "mfuwe": ["MFU"],
+    "mongu": ["MNR"],
+    "ndola": ["NLA"],
+    "southdowns": ["KIW"],
+    "moroni": ["HAH","YVA"],
+    "moheli": ["NWA"],
+    "anjouan": ["AJN"],
+    "dzaoudzi": ["DZA"],
+    "st.-denis": ["RUN"],
+    "st.-pierre": ["ZSE","FSP"],
+    "antananarivo": ["TNR"],
+    "miandrivazo": ["ZVA"],
+    "sainte marie": ["SMS"],
+    "toamasina": ["TMM"],
+    "morondava": ["MOQ"],
+    "antsiranana": ["DIE"],
+    "mananara": ["WMR"],
+    "andapa": ["ZWA"],
+    "ambilobe": ["AMB"],
+    "antalaha": ["ANM"],
+    "analalava": ["HVA"],
+    "mahajanga": ["MJN"],
+    "nosy-be": ["NOS"],
+    "besalampy": ["BPY"],
+    "maroantsetra": ["WMN"],
+    "sambava": ["SVB"],
+    "vohemar": ["VOH"],
+    "antsohihy": ["WAI"],
+    "ampampamena": ["IVA"],
+    "tolagnaro": ["FTU"],
+    "fianarantsoa": ["WFI"],
+    "farafangana": ["RVA"],
+    "manakara": ["WVK"],
+    "mananjary": ["MNJ"],
+    "morombe": ["MXM"],
+    "toliara": ["TLE"],
+    "m'banza-congo": ["SSY"],
+    "benguela": ["BUG"],
+    "cabinda": ["CAB"],
+    "huambo": ["NOV"],
+    "kuito": ["SVP"],
+    "luanda": ["LAD"],
+    "malanje": ["MEG"],
+    "menongue": ["SPP"],
+    "negage": ["GXG"],
+    "porto amboim": ["PBN"],
+    "saurimo": ["VHC"],
+    "soyo": ["SZA"],
+    "lubango": ["SDD"],
+    "luena": ["LUO"],
+    "uige": ["UGO"],
+    "xangongo": ["XGN"],
+    "oyem": ["OYE"],
+    "okondja": ["OKN"],
+    "lambarene": ["LBQ"],
+    "bitam": ["BMM"],
+    "port gentil": ["POG"],
+    "omboue hospial": ["OMB"],
+    "makokou": ["MKU"],
+    "libreville": ["LBV"],
+    "franceville": ["MVB"],
+    "principe": ["PCP"],
+    "sao tome": ["TMS"],
+    "beira": ["BEW"],
+    "inhambane": ["INH"],
+    "lichinga": ["VXC"],
+    "lumbo": ["LFB"],
+    "maputo": ["MPM"],
+    "mueda": ["MUD"],
+    "mocimboa da praia": ["MZB"],
+    "nacala": ["MNC"],
+    "nampula": ["APL"],
+    "pemba": ["POL","PMA"],
+    "quelimane": ["UEL"],
+    "tete": ["TET"],
+    "vilankulu": ["VNX"],
+    "desroches": ["DES"],
+    "mahe": ["SEZ"],
+    "praslin": ["PRI"],
+    "abeche": ["AEH"],
+    "moundou": ["MQQ"],
+    "n'djamena": ["NDJ"],
+    "faya-largeau": ["FYT"],
+    "bulawayo": ["BUQ"],
+    "chiredzi": ["BFO"],
+    "victoria falls": ["VFA"],
+    "harare": ["HRE"],
+    "kariba": ["KAB"],
+    "mutare": ["UTA"],
+    "masvingo": ["MVZ"],
+    "gwert": ["GWE"],
+    "hwange national park": ["HWN"],
+    "blantyre": ["BLZ"],
+    "karonga": ["KGJ"],
+    "kasungu": ["KBQ"],
+    "lilongwe": ["LLW"],
+    "mzuzu": ["ZZU"],
+    "maseru": ["MSU"],
+    "kinshasa": ["FIH","NLO"],
+    "muanda": ["MNB"],
+    "bandoundu": ["FDU"],
+    "kikwit": ["KKW"],
+    "mbandaka": ["MDK"],
+    "gbadolite": ["BDT"],
+    "gemena": ["GMA"],
+    "kotakoli": ["KLI"],
+    "lisala": ["LIQ"],
+    "kisangani": ["FKI"],
+    "isiro": ["IRP"],
+    "bunia": ["BUX"],
+    "buta zega": ["BZU"],
+    "bukavu/kavumu": ["BKY"],
+    "goma": ["GOM"],
+    "kindu": ["KND"],
+    "lubumashi": ["FBM"],
+    "kolwezi": ["KWZ"],
+    "kalemie": ["FMI"],
+    "kamina base": ["KMN"],
+    "kananga": ["KGA"],
+    "mbuji-mayi": ["MJM"],
+    "bamako": ["BKO"],
+    "gao": ["GAQ"],
+    "kayes": ["KYS"],
+    "mopti": ["MZI"],
+    "tombouctou": ["TOM"],
+    "banjul": ["BJL"],
+    "fuerteventura": ["FUE"],
+    "hierro": ["VDE"],
+    "santa cruz de la palma": ["SPC"],
+    "gran canaria": ["LPA"],
+    "arrecife": ["ACE"],
+    "tenerife": ["TFS","TFN"],
+    "melilla": ["MLN"],
+    "freetown": ["FNA","HGS"],
+    "monrovia": ["MLW","ROB"],
+    "agadir": ["AGA"],
+    "tan tan": ["TTA"],
+    "fes": ["FEZ"],
+    "er-rachidia": ["ERH"],
+    "meknes": ["MEK"],
+    "oujda": ["OUD"],
+    "ben slimane": ["GMD"],
+    "rabat": ["RBA"],
+    "casablanca": ["CMN"],
+    "marrakech": ["RAK"],
+    "kentira": ["NNA"],
+    "ouarzazate": ["OZZ"],
+    "al hociema": ["AHU"],
+    "tetouan": ["TTU"],
+    "tanger": ["TNG"],
+    "ziguinchor": ["ZIG"],
+    "cap skiring": ["CSK"],
+    "kaolack": ["KLC"],
+    "dakar": ["DKR"],
+    "st. louis": ["XLS","STL"],
+    "bakel": ["BXE"],
+    "kedougou": ["KGG"],
+    "tambacounda": ["TUD"],
+    "aioun el atrouss": ["AEO"],
+    "tidjikja": ["TIY"],
+    "kiffa": ["KFA"],
+    "nema": ["EMN"],
+    "kaedi": ["KED"],
+    "nouakschott": ["NKC"],
+    "selibabi": ["SEY"],
+    "atar": ["ATR"],
+    "nouadhibou": ["NDB"],
+    "fira": ["FIG"],
+    "faranah": ["FAA"],
+    "labe": ["LEK"],
+    "amilcar cabral": ["SID"],
+    "boa vista": ["BVC","BVB"],
+    "maio": ["MMO"],
+    "sao nocolau island": ["SNE"],
+    "sao vicente island": ["VXE"],
+    "addis ababa": ["ADD"],
+    "arba minch": ["AMH"],
+    "axum": ["AXU"],
+    "bahar dar": ["BJR"],
+    "dire dawa": ["DIR"],
+    "gambella": ["GMB"],
+    "gondar": ["GDQ"],
+    "jimma": ["JIM"],
+    "lalibella": ["LLI"],
+    "makale": ["MQX","TTR"],
+    "asosa": ["ASO"],
+    "bujumbura": ["BJM"],
+    "hargeisa": ["HGA"],
+    "berbera": ["BBO"],
+    "kismayu": ["KMU"],
+    "alexandria": ["ALY","HBE","ESF","AEX","AXN"],
+    "abu simbel": ["ABS"],
+    "cairo": ["CAI","CWE"],
+    "hurghada": ["HRG"],
+    "el gorah": ["EGH"],
+    "luxor": ["LXR"],
+    "mersa-matruh": ["MUH"],
+    "port said": ["PSD"],
+    "st. catherine": ["SKV"],
+    "aswan": ["ASW"],
+    "el-tor": ["ELT"],
+    "eldoret": ["EDL"],
+    "kakamega": ["GGM"],
+    "kisumu": ["KIS"],
+    "kitale": ["KTL"],
+    "lodwar": ["LOK"],
+    "lamu": ["LAU"],
+    "mombasa": ["MBA"],
+    "nairobi": ["WIL","NBO"],
+    "wajir": ["WJR"],
+    "ghat": ["GHT"],
+    "kufra": ["AKF"],
+    "benghazi": ["BEN"],
+    "sebha": ["SEB"],
+    "tripoli": ["TIP","MJI"],
+    "marsa brega": ["LMQ"],
+    "hon": ["HUQ"],
+    "ghadames": ["LTD"],
+    "gisenyi": ["GYI"],
+    "kigali": ["KGL"],
+    "kamembe": ["KME"],
+    "dongola": ["DOG"],
+    "damazin": ["RSS"],
+    "el fasher": ["ELF"],
+    "kassala": ["KSL"],
+    "kadugli": ["KDX"],
+    "el obeid": ["EBD"],
+    "juba": ["JUB"],
+    "malakal": ["MAK"],
+    "khartoum": ["KRT"],
+    "arusha": ["ARK"],
+    "dar es salaam": ["DAR"],
+    "dodoma": ["DOD"],
+    "iringa": ["IRI"],
+    "kilimanjaro": ["JRO"],
+    "lake manyara": ["LKY"],
+    "mtwara": ["MYW"],
+    "mwanza": ["MWZ"],
+    "tanga": ["TGT"],
+    "zanzibar": ["ZNZ"],
+    "entebbe": ["EBB"],
+    "soroti": ["SRT"],
+    "tirana": ["TIA"],
+    "bourgas": ["BOJ"],
+    "gorna orechovica": ["GOZ"],
+    "plovdiv": ["PDV"],
+    "sofia": ["SOF"],
+    "stara zagora": ["SZR"],
+    "varna": ["VAR"],
+    "larnaca": ["LCA"],
+    "paphos": ["PFO"],
+    "akrotiri": ["AKT"],
+    "dubrovnik": ["DBV"],
+    "osijek": ["OSI"],
+    "pula": ["PUY"],
+    "rijeka": ["RJK"],
+    "split": ["SPU"],
+    "zagreb": ["ZAG"],
+    "zadar": ["ZAD"],
+    "albacete": ["ABC"],
+    "alicante": ["ALC"],
+    "almeria": ["LEI"],
+    "aviles": ["OVD"],
+    "cordoba": ["ODB","COR"],
+    "bilbao": ["BIO"],
+    "barcelona": ["BCN","BLA"],
+    "badajoz": ["BJZ"],
+    "la coruna": ["LCG"],
+    "gerona": ["GRO"],
+    "granada": ["GRX"],
+    "ibiza": ["IBZ"],
+    "jerez": ["XRY"],
+    "murcia": ["MJV","RMU"],
+    "madrid": ["MAD","TOJ","ECV"],
+    "malaga": ["AGP"],
+    "menorca": ["MAH"],
+    "sevilla": ["OZP","SVQ"],
+    "pamplona": ["PNA"],
+    "reus": ["REU"],
+    "rota": ["ROZ","ROP"],
+    "salamanca": ["SLM"],
+    "san sebastian": ["EAS"],
+    "santiago": ["SCQ","STI","SYP","SCL"],
+    "seo de urgel": ["LEU"],
+    "valencia": ["VLC","VLN"],
+    "valladolid": ["VLL"],
+    "vitoria": ["VIT","VIX"],
+    "vigo": ["VGO"],
+    "santander": ["SDR"],
+    "zaragoza": ["ZAZ"],
+    "calais": ["CQF"],
+    "albert": ["BYF"],
+    "le tourquet": ["LTQ"],
+    "valenciennes": ["XVS"],
+    "agen": ["AGF"],
+    "bordeaux": ["BOD"],
+    "bergerac": ["EGC"],
+    "cognac": ["CNG"],
+    "poitiers": ["PIS"],
+    "montlucon-gueret": ["MCU"],
+    "limoges": ["LIG"],
+    "niort": ["NIT"],
+    "toulouse": ["TLS"],
+    "pau": ["PUF"],
+    "tarbes": ["LDE"],
+    "angouleme": ["ANG"],
+    "brive": ["BVE"],
+    "perigueux": ["PGX"],
+    "biarritz-bayonne": ["BIQ"],
+    "cahors": ["ZAO"],
+    "albi": ["LBI"],
+    "castres": ["DCM"],
+    "rodez": ["RDZ"],
+    "royan": ["RYN"],
+    "montauban": ["XMW"],
+    "rochefort": ["RCO"],
+    "colmar": ["CMR"],
+    "dole": ["DLE"],
+    "aubenas-vals-lanas": ["OBS"],
+    "le puy": ["LPY"],
+    "metz": ["ETZ","MZM"],
+    "bastia": ["BIA"],
+    "calvi": ["CLY"],
+    "figari": ["FSC"],
+    "ajaccio": ["AJA","MFX"],
+    "propriano": ["PRP"],
+    "solenzara": ["SOZ"],
+    "auxerre": ["AUF"],
+    "chambery": ["CMF"],
+    "clermont-ferrand": ["CFE"],
+    "bourges": ["BOU"],
+    "annemasse": ["QNJ"],
+    "lyon": ["LYS","LYN"],
+    "st.-yan": ["SYT"],
+    "roanne": ["RNE"],
+    "annecy": ["NCY"],
+    "grenoble": ["GNB"],
+    "valence": ["VAF"],
+    "vichy": ["VHY"],
+    "aurillac": ["AUR"],
+    "chateauroux": ["CHR"],
+    "cannes": ["CEQ"],
+    "st-etienne": ["EBU"],
+    "carcassonne": ["CCF"],
+    "marseille": ["MRS"],
+    "nice": ["NCE"],
+    "orange": ["XOG","OAG"],
+    "perpignan": ["PGF"],
+    "le castellet": ["CTT"],
+    "montpellier": ["MPL"],
+    "beziers": ["BZR"],
+    "avignon": ["AVN"],
+    "mende": ["MEN"],
+    "beauvais": ["BVA"],
+    "evreux": ["EVX"],
+    "le havre": ["LEH"],
+    "abbeville": ["XAB"],
+    "orleans": ["ORE"],
+    "chalons": ["XCR"],
+    "rouen": ["URO"],
+    "tours": ["TUF"],
+    "cholet": ["CET"],
+    "laval": ["LVA"],
+    "paris": ["LBG","CDG","ORY","PRX"],
+    "creil": ["CSF"],
+    "toussous-le-noble": ["TNF"],
+    "pontoise": ["POX"],
+    "villacoublay": ["VIY"],
+    "nevers": ["NVS"],
+    "maubeuge": ["XME"],
+    "lille": ["LIL"],
+    "merville": ["HZB"],
+    "charleville": ["XCZ"],
+    "brest": ["BES","BQT"],
+    "cherbourg": ["CER"],
+    "dinard": ["DNR"],
+    "la baule": ["LBY"],
+    "granville": ["GFR"],
+    "deauville": ["DOL"],
+    "lorient": ["LRT"],
+    "la roche-sur-yon": ["EDM"],
+    "landivisiau": ["LDV"],
+    "caen": ["CFR"],
+    "le mans": ["LME"],
+    "rennes": ["RNS"],
+    "lannion": ["LAI"],
+    "quimper": ["UIP"],
+    "nantes": ["NTE"],
+    "st.-brieuc armor": ["SBK"],
+    "morlaix": ["MXN"],
+    "vannes": ["VNE"],
+    "st.-nazaire": ["SNR"],
+    "mulhouse": ["BSL"],
+    "dijon": ["DIJ"],
+    "epinal": ["EPL"],
+    "nancy": ["ENC"],
+    "reims": ["RHE"],
+    "strasbourg": ["SXB"],
+    "hyeres": ["TLN"],
+    "nimes": ["FNI"],
+    "miquelon": ["MQC"],
+    "andravida": ["PYR"],
+    "agrinion": ["AGQ"],
+    "alexandroupolis": ["AXD"],
+    "nea anghialos": ["VOL"],
+    "chios": ["JKH"],
+    "ioannina": ["IOA"],
+    "heraklion": ["HER"],
+    "kastoria": ["KSO"],
+    "kithira": ["KIT"],
+    "keffallinia": ["EFL"],
+    "kalamata": ["KLX"],
+    "kos": ["KGS"],
+    "karpathos": ["AOK"],
+    "kerkyra/corfu": ["CFU"],
+    "kasos": ["KSJ"],
+    "kavala": ["KVA"],
+    "kozani": ["KZI"],
+    "leros": ["LRS"],
+    "limnos": ["LXS"],
+    "larissa": ["LRA"],
+    "mykonos": ["JMK"],
+    "mytilini": ["MJT"],
+    "preveza": ["PVK"],
+    "rhodos": ["RHO"],
+    "patras": ["GPA"],
+    "chania": ["CHQ"],
+    "skiathos": ["JSI"],
+    "samos": ["SMI"],
+    "sparti": ["SPJ"],
+    "thira": ["JTR"],
+    "sitia": ["JSH"],
+    "skiros": ["SKU"],
+    "thessaloniki": ["SKG"],
+    "zakynthos": ["ZTH"],
+    "budapest": ["BUD"],
+    "debrecen": ["DEB"],
+    "crotone": ["CRV"],
+    "bari": ["BRI"],
+    "foggia": ["FOG"],
+    "grottaglie": ["TAR"],
+    "lecce": ["LCC"],
+    "pescara": ["PSR"],
+    "brindisi": ["BDS"],
+    "lamezia": ["SUF"],
+    "catania": ["CTA"],
+    "lampedusa": ["LMP"],
+    "pantelleria": ["PNL"],
+    "palermo": ["PMO"],
+    "reggio calabria": ["REG"],
+    "trapani": ["TPS"],
+    "sigonella": ["NSY"],
+    "alghero": ["AHO"],
+    "decimomannu": ["DCI"],
+    "cagliari": ["CAG"],
+    "olbia": ["OLB"],
+    "tortoli": ["TTB"],
+    "milano": ["MXP"],
+    "bergamo": ["BGY"],
+    "torino": ["TRN"],
+    "albenga": ["ALL"],
+    "genoa": ["GOA"],
+    "milan": ["LIN"],
+    "parma": ["PMF"],
+    "cuneo": ["CUF"],
+    "aviano": ["AVB"],
+    "bolzano": ["BZO"],
+    "bologna": ["BLQ"],
+    "treviso": ["TSF"],
+    "forli": ["FRL"],
+    "brescia": ["VBS"],
+    "ronchi de legionari": ["TRS"],
+    "rimini": ["RMI"],
+    "vicenza": ["VIC"],
+    "padova": ["QPA"],
+    "villafranca": ["VRN"],
+    "venice": ["VCE","VNC"],
+    "siena": ["SAY"],
+    "rome": ["CIA","FCO","RME","RMG"],
+    "marina di campo": ["EBA"],
+    "latina": ["QLT"],
+    "naples": ["NAP","APF"],
+    "pisa": ["PSA"],
+    "florence": ["FLR","FLO"],
+    "grosseto": ["GRS"],
+    "perugia": ["PEG"],
+    "ljubljana": ["LJU"],
+    "maribor": ["MBX"],
+    "portoroz": ["POW"],
+    "kunovice": ["UHE"],
+    "karlovy vary": ["KLV"],
+    "ostrava": ["OSR"],
+    "pardubice": ["PED"],
+    "prerov": ["PRV"],
+    "prague": ["PRG"],
+    "brno": ["BRQ"],
+    "vodochody": ["VOD"],
+    "tel-aviv": ["TLV","SDV"],
+    "beer-sheba": ["BEV"],
+    "elat": ["ETH"],
+    "eyn-yahav": ["EIY"],
+    "haifa": ["HFA"],
+    "rosh pina": ["RPN"],
+    "metzada": ["MTZ"],
+    "nevatim": ["VTM"],
+    "ovda": ["VDA"],
+    "ramon": ["MIP"],
+    "malta": ["MLA"],
+    "graz": ["GRZ"],
+    "innsbruck": ["INN"],
+    "linz": ["LNZ"],
+    "salzburg": ["SZG"],
+    "vienna": ["VIE"],
+    "alverca": ["AVR"],
+    "santa maria (island)": ["SMA"],
+    "braganca": ["BGC"],
+    "beja (madeira)": ["BYJ"],
+    "braga": ["BGZ"],
+    "cascais": ["CAT"],
+    "flores": ["FLW","FRS"],
+    "graciosa island": ["GRW"],
+    "horta": ["HOR"],
+    "lajes (terceira island)": ["TER"],
+    "monte real": ["QLR"],
+    "ponta delgada": ["PDL"],
+    "pico": ["PIX"],
+    "portimao": ["PRM"],
+    "porto": ["OPO"],
+    "porto santo": ["PXO"],
+    "lisbon": ["LIS"],
+    "sao jorge island": ["SJZ"],
+    "vila real": ["VRL"],
+    "viseu": ["VSE"],
+    "mostar": ["OMO"],
+    "sarajevo": ["SJJ"],
+    "arad": ["ARW"],
+    "bacau": ["BCM"],
+    "baia mare": ["BAY"],
+    "bucharest": ["BBU","OTP"],
+    "constanta": ["CND"],
+    "cluj-napoca": ["CLJ"],
+    "caransebes": ["CSB"],
+    "craiova": ["CRA"],
+    "iasi": ["IAS"],
+    "oradea": ["OMR"],
+    "sibiu": ["SBZ"],
+    "satu mare": ["SUJ"],
+    "suceava": ["SCV"],
+    "tulcea": ["TCE"],
+    "tirgu mures": ["TGM"],
+    "timisoara": ["TSR"],
+    "geneva": ["GVA"],
+    "sion": ["SIR"],
+    "emmen": ["EML"],
+    "lugano": ["LUG"],
+    "bern": ["BRN"],
+    "grenchen": ["ZHI"],
+    "zurich": ["ZRH"],
+    "altenrhein": ["ACH"],
+    "samedan": ["SMV"],
+    "ankara": ["ESB","ANK"],
+    "adana": ["ADA","UAB"],
+    "afyon": ["AFY"],
+    "antalya": ["AYT"],
+    "gaziantep": ["GZT"],
+    "konya": ["KYA"],
+    "merzifon": ["MZH"],
+    "sivas": ["VAS"],
+    "malatya": ["MLX"],
+    "kayseri": ["ASR"],
+    "tokat": ["TJK"],
+    "denizli": ["DNZ"],
+    "istanbul": ["ISL","SAW","IST"],
+    "balikesir": ["BZI"],
+    "bandirma": ["BDM"],
+    "eskisehir": ["ESK"],
+    "izmir": ["ADB","IGL"],
+    "topel": ["KCO"],
+    "dalaman": ["DLM"],
+    "bodrum": ["BXN","BJV"],
+    "elazig": ["EZS"],
+    "diyabakir": ["DIY"],
+    "erzincan": ["ERC"],
+    "erzurum": ["ERZ"],
+    "trabzon": ["TZX"],
+    "van": ["VAN"],
+    "batman": ["BAL"],
+    "siirt": ["SXZ"],
+    "saltsy": ["BZY"],
+    "chisinau": ["KIV"],
+    "ohrid": ["OHD"],
+    "skopje": ["SKP"],
+    "gibraltar": ["GIB"],
+    "belgrade": ["BEG"],
+    "nis": ["INI"],
+    "podgorica": ["TGD"],
+    "pristina": ["PRN"],
+    "tivat": ["TIV"],
+    "bratislava": ["BTS"],
+    "kosice": ["KSC"],
+    "piestany": ["PZY"],
+    "sliac": ["SLD"],
+    "poprad": ["TAT"],
+    "north caicos": ["NCA"],
+    "providenciales": ["PLS"],
+    "south caicos": ["XSC"],
+    "barahona": ["BRX"],
+    "cabo rojo": ["CBJ"],
+    "la romana": ["LRM"],
+    "punta cana": ["PUJ"],
+    "puerto plata": ["POP"],
+    "santo domingo": ["SDQ","STD","HEX"],
+    "coban": ["CBV"],
+    "guatemala city": ["GUA"],
+    "retalhuleu": ["RER"],
+    "san jose": ["GSJ","SJO","SJI","EUQ","SJC","SYQ","RHV"],
+    "la ceiba": ["LCE"],
+    "san pedro sula": ["SAP"],
+    "guanaja": ["GJA"],
+    "roatan": ["RTB"],
+    "tela": ["TEA"],
+    "tegucigalpa": ["TGU"],
+    "trujillo": ["TJI","TRU"],
+    "ocho rios": ["OCJ"],
+    "montego bay": ["MBJ"],
+    "port antonio": ["POT"],
+    "acapulco": ["ACA"],
+    "monterrey": ["NTR","MTY"],
+    "aguascalientes": ["AGU"],
+    "huatulco": ["HUX"],
+    "cuernavaca": ["CVJ"],
+    "ciudad acuna": ["ACN"],
+    "ciudad del carmen": ["CME"],
+    "nuevo casas grandes": ["NCG"],
+    "culiacan": ["CUL"],
+    "chetumal": ["CTM"],
+    "ciudad obregon": ["CEN"],
+    "campeche": ["CPE"],
+    "ciudad juarez": ["CJS"],
+    "chihuahua": ["CUU"],
+    "ciudad victoria": ["CVM"],
+    "cozumel": ["CZM"],
+    "durango": ["DGO","DRO"],
+    "tepic": ["TPQ"],
+    "ensenada": ["ESE"],
+    "guadalajara": ["GDL"],
+    "guaymas": ["GYM"],
+    "tehuacan": ["TCN"],
+    "hermosillo": ["HMO"],
+    "colima": ["CLQ"],
+    "isla mujeres": ["ISJ"],
+    "saltillo": ["SLW"],
+    "iztepec": ["IZT"],
+    "lazard cardenas": ["LZC"],
+    "los mochis": ["LMM"],
+    "del bajio": ["BJX"],
+    "la paz": ["LAP","LPB"],
+    "loreto": ["LTO"],
+    "matamoros": ["MAM"],
+    "merida": ["MID","MRD"],
+    "mexicali": ["MXL"],
+    "morelia": ["MLM"],
+    "minatitlan": ["MTT"],
+    "monclova": ["LOV"],
+    "mexico city": ["MEX"],
+    "mazatlan": ["MZT"],
+    "nogales": ["NOG","OLS"],
+    "nuevo laredo": ["NLD"],
+    "oaxaca": ["OAX"],
+    "poza rico": ["PAZ"],
+    "puebla": ["PBC"],
+    "punta penasco": ["PPE"],
+    "piedras negras": ["PDS"],
+    "uruapan": ["UPN"],
+    "puerto vallarta": ["PVR"],
+    "puerto escondido": ["PXM"],
+    "queretaro": ["QRO"],
+    "reynosa": ["REX"],
+    "san jose del cabo": ["SJD"],
+    "san filipe": ["SFH"],
+    "san luis potosi": ["SLP"],
+    "torreon": ["TRC"],
+    "tuxtla gutierrez": ["TGZ"],
+    "tijuana": ["TIJ"],
+    "tampico": ["TAM"],
+    "tamuin": ["TSL"],
+    "toluca": ["TLC"],
+    "tapachula": ["TAP"],
+    "cancun": ["CUN"],
+    "villahermosa": ["VSA"],
+    "vera cruz": ["VER"],
+    "zacatecas": ["ZCL"],
+    "zihuatanejo": ["ZIH"],
+    "zamora": ["ZMM"],
+    "manzanillo": ["ZLO","MZO"],
+    "bluefields": ["BEF"],
+    "managua": ["MGA"],
+    "puerto cabezas": ["PUZ"],
+    "bocas del toro": ["BOC"],
+    "changuinola": ["CHX"],
+    "david": ["DAV"],
+    "howard": ["BLB"],
+    "panama": ["PAC"],
+    "panama city": ["PTY","PAM","PFN","ECP"],
+    "buenos aires": ["BAI","AEP","EZE"],
+    "coto 47": ["OTR"],
+    "chacarita": ["JAP"],
+    "golfito": ["GLF"],
+    "guapiles": ["GPL"],
+    "liberia": ["LIR"],
+    "los chiles": ["LSL"],
+    "limon": ["LIO"],
+    "nosara beach": ["NOB"],
+    "palmar sur": ["PMZ"],
+    "quepos": ["XQP"],
+    "san vito de jaba": ["TOO"],
+    "san salvador": ["SAL"],
+    "cayes": ["CYA"],
+    "cap haitien": ["CAP"],
+    "jacmel": ["JAK"],
+    "port-au-prince": ["PAP"],
+    "baracoa playa": ["BCA","UPB"],
+    "bayamo": ["BYM"],
+    "ciego de avila": ["AVI"],
+    "cunagua": ["CCC"],
+    "cienfuegos": ["CFG"],
+    "cayo largo del sur": ["CYO"],
+    "camaguey": ["CMW"],
+    "santiago de cuba": ["SCU"],
+    "guantanamo": ["NBW","GAO"],
+    "havana": ["HAV"],
+    "holguin": ["HOG"],
+    "la coloma": ["LCL"],
+    "moa": ["MOA"],
+    "nueva gerona": ["GER"],
+    "pinar del rio norte": ["QPD"],
+    "santa clara": ["SNU"],
+    "siguanea": ["SZJ"],
+    "sancti spiritus": ["USS"],
+    "varadero": ["VRA"],
+    "las tunas": ["VTU"],
+    "cayman brac": ["CYB"],
+    "georgetown": ["GCM","GEO","OGL","GED","GGE"],
+    "clarence bain": ["MAY"],
+    "andros town": ["ASD"],
+    "marsh harbor": ["MHH"],
+    "san andros": ["SAQ"],
+    "spring point": ["AXP"],
+    "treasure cay": ["TCB"],
+    "chub cay": ["CCZ"],
+    "bullocks harbour": ["GHC"],
+    "alice town": ["BIM"],
+    "great exuma": ["GGT"],
+    "north eleuthera": ["ELH"],
+    "governor's harbor": ["GHB"],
+    "norman's cay": ["NMC"],
+    "rock sound": ["RSD"],
+    "staniel cay": ["TYM"],
+    "freeport": ["FPO"],
+    "matthew town": ["IGA"],
+    "dead man's cay": ["LGI"],
+    "stella maris": ["SML"],
+    "mayaguana": ["MYG"],
+    "nassau": ["NAS","PID"],
+    "duncan town": ["DCT"],
+    "port nelson": ["RCY"],
+    "cockburn town": ["ZSA","GDT"],
+    "belize city": ["BZE"],
+    "aitutaki": ["AIT"],
+    "avarua": ["RAR"],
+    "nandi": ["NAN"],
+    "nausori": ["SUV"],
+    "tongatapu": ["TBU"],
+    "vava'u": ["VAV"],
+    "tarawa": ["TRW"],
+    "tabiteuea north": ["TBF"],
+    "wallis": ["WLS"],
+    "faleolo": ["APW"],
+    "pago pago": ["PPG"],
+    "rurutu": ["RUR"],
+    "tubuai": ["TUB"],
+    "anaa": ["AAA"],
+    "fangatau": ["FGU"],
+    "tikehau": ["TIH"],
+    "reao": ["REA"],
+    "fakarava": ["FAV"],
+    "manihi": ["XMH"],
+    "totegegie": ["GMR"],
+    "kaukura atoll": ["KKR"],
+    "makemo": ["MKP"],
+    "puka puka": ["PKP"],
+    "takapoto": ["TKP"],
+    "arutua": ["AXR"],
+    "mataiva": ["MVT"],
+    "takaroa": ["TKX"],
+    "nuku hiva": ["NHV"],
+    "bora bora": ["BOB"],
+    "rangiroa": ["RGI"],
+    "huahine island": ["HUH"],
+    "moorea": ["MOZ"],
+    "hao island": ["HOI"],
+    "maupiti": ["MAU"],
+    "raiatea island": ["RFP"],
+    "port-vila": ["VLI"],
+    "kone": ["KNQ"],
+    "koumac": ["KOC"],
+    "lifou": ["LIF"],
+    "noumea": ["GEA","NOU"],
+    "mare": ["MEE"],
+    "touho": ["TOU"],
+    "ouvea": ["UVE"],
+    "auckland": ["AKL"],
+    "taupo": ["TUO"],
+    "ardmore": ["AMZ","ADM"],
+    "christchurch": ["CHC"],
+    "chatham island": ["CHT"],
+    "dunedin": ["DUD"],
+    "gisborne": ["GIS"],
+    "glentanner": ["GTN"],
+    "hokitika": ["HKK"],
+    "kerikeri": ["KKE"],
+    "kaitaia": ["KAT"],
+    "alexandra": ["ALR"],
+    "mount cook": ["MON"],
+    "manapouri": ["TEU"],
+    "masterton": ["MRO"],
+    "new plymouth": ["NPL"],
+    "nelson": ["NSN"],
+    "invercargill": ["IVC"],
+    "ohakea": ["OHA"],
+    "oamaru": ["OAM"],
+    "palmerston north": ["PMR"],
+    "paraparaumu": ["PPQ"],
+    "queenstown international": ["ZQN"],
+    "rotorua": ["ROT"],
+    "tauranga": ["TRG"],
+    "timaru": ["TIU"],
+    "pukaki": ["TWZ"],
+    "woodbourne": ["BHE"],
+    "wanaka": ["WKA"],
+    "whakatane": ["WHK"],
+    "wellington": ["WLG"],
+    "wairoa": ["WIR"],
+    "whangarei": ["WRE"],
+    "westport": ["WSZ"],
+    "wanganui": ["WAG"],
+    "herat": ["HEA"],
+    "jalalabad": ["JAA"],
+    "kabul": ["KBL","OAI"],
+    "kandahar": ["KDH"],
+    "maimama": ["MMZ"],
+    "mazar-i-sharif": ["MZR"],
+    "shindand": ["OAH"],
+    "kunduz": ["UND"],
+    "bahrain": ["BAH"],
+    "abha": ["AHB"],
+    "al-ahsa": ["HOF"],
+    "el-baha": ["ABT"],
+    "bisha": ["BHH"],
+    "dammam": ["DMM"],
+    "dhahran": ["DHA"],
+    "gizan": ["GIZ"],
+    "gassim": ["ELQ"],
+    "guriat": ["URY"],
+    "hail": ["HAS"],
+    "jubail": ["QJB"],
+    "jeddah": ["JED"],
+    "king khalid mil.city": ["KMC"],
+    "madinah": ["MED"],
+    "nejran": ["EAM"],
+    "hafr al-batin": ["AQI"],
+    "rafha": ["RAH"],
+    "riyadh": ["RUH","XXN"],
+    "arar": ["RAE"],
+    "sharurah": ["SHW"],
+    "sulayel": ["SLF"],
+    "tabuk": ["TUU"],
+    "taif": ["TIF"],
+    "turaif": ["TUI"],
+    "wejh": ["EJH"],
+    "yenbo": ["YNB"],
+    "abadan": ["ABD"],
+    "dezful": ["DEF"],
+    "aghajari": ["AKW"],
+    "gachsaran": ["GCH"],
+    "omidyeh": ["OMI"],
+    "bandar mahshahr": ["MRX"],
+    "ahwaz": ["AWZ"],
+    "abumusa i.": ["AEU"],
+    "bushehr": ["BUZ"],
+    "kish island": ["KIH"],
+    "bandar lengeh": ["BDH"],
+    "khark island": ["KHK"],
+    "siri island": ["SXI"],
+    "lavan island": ["LVP"],
+    "bakhtaran": ["KSH"],
+    "sanandaj": ["SDG"],
+    "daran": ["IFH"],
+    "kashan": ["KKS"],
+    "esfahan": ["IFN"],
+    "rasht": ["RAS"],
+    "arak": ["AJK"],
+    "teheran": ["THR"],
+    "ghazvin": ["GZW"],
+    "bandar abbas": ["BND","HDR"],
+    "jiroft": ["JYR"],
+    "kerman": ["KER"],
+    "sirjan": ["SYJ"],
+    "birjand": ["XBJ"],
+    "sarakhs": ["CKT"],
+    "emam shahr": ["RUD"],
+    "tabas": ["TCX"],
+    "kalaleh": ["KLM"],
+    "ramsar": ["RZR"],
+    "fasa": ["FAZ"],
+    "jahrom": ["JAR"],
+    "lamerd": ["LFM"],
+    "shiraz": ["SYZ"],
+    "khoy": ["KHY"],
+    "tabriz": ["TBZ"],
+    "zanjan": ["JWN"],
+    "yazd": ["AZD"],
+    "zabol": ["ACZ"],
+    "chah bahar": ["ZBR"],
+    "zahedan": ["ZAH"],
+    "iran shahr": ["IHR"],
+    "amman": ["AMM","ADJ"],
+    "aqaba": ["AQJ"],
+    "mafraq": ["OMF"],
+    "kuwait": ["KWI"],
+    "beirut": ["BEY"],
+    "kleiat": ["KYE"],
+    "abu dhabi": ["AUH","AZI","DHF"],
+    "dubai": ["DXB","DWC"],
+    "fujeirah": ["FJR"],
+    "ras al khaimah": ["RKT"],
+    "sharjah": ["SHJ"],
+    "khasab": ["KHS"],
+    "masirah": ["MSH"],
+    "muscat": ["MCT"],
+    "salalah": ["SLL"],
+    "thumrait": ["TTH"],
+    "bhagtanwala": ["BHW"],
+    "faisalabad": ["LYP"],
+    "gwadar": ["GWD"],
+    "gilgit": ["GIL"],
+    "jacobsbad": ["JAG"],
+    "karachi": ["KHI"],
+    "lahore": ["LHE"],
+    "mangla": ["XJM"],
+    "muzaffarabad": ["MFG"],
+    "mianwali": ["MWD"],
+    "moenjodaro": ["MJD"],
+    "multan": ["MUX"],
+    "nawabshah": ["WNS"],
+    "panjgur": ["PJG"],
+    "pasni": ["PSI"],
+    "peshawar": ["PEW"],
+    "quetta": ["UET"],
+    "rahim yar khan": ["RYK"],
+    "rawala kot": ["RAZ"],
+    "sukkur": ["SKZ"],
+    "saidu sharif": ["SDT"],
+    "sui": ["SUL"],
+    "talhar": ["BDN"],
+    "wana": ["WAF"],
+    "zhob": ["PZH"],
+    "basrah": ["BSR"],
+    "aleppo": ["ALP"],
+    "damascus": ["DAM"],
+    "deire zor": ["DEZ"],
+    "latakia": ["LTK"],
+    "palmyra": ["PMS"],
+    "doha": ["DIA","XJD","DOH"],
+    "canton island": ["CIS"],
+    "saipan": ["SPN"],
+    "andersen": ["UAM","AND"],
+    "agana": ["GUM"],
+    "west tinian": ["TIQ"],
+    "majuro": ["MAJ"],
+    "kwajalein": ["KWA"],
+    "kiritimati": ["CXI"],
+    "midway": ["MDY"],
+    "chuuk": ["TKK"],
+    "pohnpei": ["PNI"],
+    "babelthuap": ["ROR"],
+    "kosrae": ["KSA"],
+    "yap": ["YAP"],
+    "kinmen": ["KNH"],
+    "fengnin": ["TTT"],
+    "green island": ["GNI"],
+    "kaohsiung": ["KHH"],
+    "chiayi": ["CYI"],
+    "lanyu": ["KYD"],
+    "taichung": ["RMQ","TXG"],
+    "tainan": ["TNN"],
+    "hsinchu": ["HSZ"],
+    "makung": ["MZG"],
+    "pingtung": ["PIF"],
+    "taipei": ["TSA","TPE"],
+    "wang an": ["WOT"],
+    "hualien": ["HUN"],
+    "tokyo": ["NRT","HND"],
+    "matsumoto": ["MMJ"],
+    "ibaraki": ["IBR"],
+    "minami tori shima": ["MUS"],
+    "iwojima": ["IWO"],
+    "nanki-shirahama": ["SHM"],
+    "obihiro": ["OBO"],
+    "sapporo": ["CTS","OKD"],
+    "hakodate": ["HKD"],
+    "memanbetsu": ["MMB"],
+    "nakashibetsu": ["SHB"],
+    "wakkanai": ["WKJ"],
+    "iki": ["IKI"],
+    "yamaguchi": ["UBJ"],
+    "tsushima": ["TSJ"],
+    "monbetsu": ["MBE"],
+    "asahikawa": ["AKJ"],
+    "okushiri": ["OIR"],
+    "rishiri island": ["RIS"],
+    "yakushima": ["KUM"],
+    "fukue": ["FUJ"],
+    "fukuoka": ["FUK"],
+    "tanegashima": ["TNE"],
+    "kagoshima": ["KOJ"],
+    "miyazaki": ["KMI"],
+    "oita": ["OIT"],
+    "kitakyushu": ["KKJ"],
+    "kumamoto": ["KMJ"],
+    "nagasaki": ["NGS"],
+    "amami": ["ASJ"],
+    "okierabu": ["OKE"],
+    "tokunoshima": ["TKN"],
+    "fukui": ["FKJ"],
+    "gifu": ["QGU"],
+    "kanazawa": ["KMQ"],
+    "oki island": ["OKI"],
+    "toyama": ["TOY"],
+    "hiroshima": ["HIJ","HIW"],
+    "okayama": ["OKJ"],
+    "izumo": ["IZO"],
+    "miho": ["YGJ"],
+    "kochi": ["KCZ","COK"],
+    "matsuyama": ["MYJ"],
+    "osaka": ["ITM","KIX"],
+    "tottori": ["TTJ"],
+    "tokushima": ["TKS"],
+    "takamatsu": ["TAK"],
+    "aomori": ["AOJ"],
+    "yamagata": ["GAJ"],
+    "sado": ["SDS"],
+    "hachinoe": ["HHE"],
+    "hanamaki": ["HNA"],
+    "akita": ["AXT"],
+    "misawa": ["MSJ"],
+    "sendai": ["SDJ"],
+    "atsugi": ["NJA"],
+    "hachijojima": ["HAC"],
+    "oshima": ["OIM"],
+    "yokota": ["OKO"],
+    "kwangju": ["KWJ"],
+    "jhunju": ["CHN"],
+    "yeosu": ["RSU"],
+    "kangnung": ["KAG"],
+    "cheju": ["CJU"],
+    "chinhae": ["CHF"],
+    "busan": ["PUS"],
+    "ulsan": ["USN"],
+    "seoul east": ["SSN"],
+    "osan": ["OSN"],
+    "seoul": ["GMP","ICN"],
+    "suwon": ["SWU"],
+    "pohang": ["KPO"],
+    "taegu": ["TAE"],
+    "yechon": ["YEC"],
+    "okinawa": ["OKA"],
+    "kadena": ["DNA"],
+    "ishigaki": ["ISG"],
+    "kumejima": ["UEO"],
+    "minami daito": ["MMD"],
+    "miyako": ["MMY"],
+    "kitadaito": ["KTD"],
+    "shimojishima": ["SHI"],
+    "tarama": ["TRA"],
+    "yoron": ["RNJ"],
+    "yonaguni jima": ["OGN"],
+    "manila": ["MNL"],
+    "cotabato": ["CBO"],
+    "pagadian": ["PAG"],
+    "romblon": ["GES","TBH"],
+    "zamboanga": ["ZAM"],
+    "baguio": ["BAG"],
+    "daet": ["DTE"],
+    "mamburao": ["MBO"],
+    "baler": ["BQA"],
+    "tacloban": ["TAC"],
+    "bacolod": ["BCD"],
+    "dumaguete": ["DGT"],
+    "caticlan": ["MPH"],
+    "iloilo": ["ILO"],
+    "kalibo": ["KLO"],
+    "puerto princesa": ["PPS"],
+    "concordia": ["COC","CCI"],
+    "gualeguaychu": ["GHU"],
+    "junin": ["JNI"],
+    "parana": ["PRA"],
+    "rosario": ["ROS"],
+    "santa fe": ["SFN","SAF"],
+    "san fernando": ["FDO","SFE"],
+    "la plata": ["LPG"],
+    "el palomar": ["EPA"],
+    "chosmadal": ["HOS"],
+    "fuerte gral roca": ["GNR"],
+    "mendoza": ["MDZ"],
+    "malargue": ["LGS"],
+    "san rafael": ["AFA"],
+    "catamarca": ["CTC"],
+    "santiago del estero": ["SDE"],
+    "la rioja": ["IRJ"],
+    "tucuman": ["TUC"],
+    "san juan": ["UAQ","SIG","SJU"],
+    "rio cuarto": ["RCU"],
+    "villa dolores": ["VDR"],
+    "villa reynolds": ["VME"],
+    "san luis": ["LUQ"],
+    "corrientes": ["CNQ"],
+    "resistencia": ["RES"],
+    "formosa": ["FMA"],
+    "iguazu falls": ["IGR"],
+    "paso de los libres": ["AOL"],
+    "monte caseros": ["MCS"],
+    "posadas": ["PSS"],
+    "presidencia r.s.pena": ["PRQ"],
+    "salta": ["SLA"],
+    "jujuy": ["JUJ"],
+    "el dorado": ["ELO","EOR","ELD"],
+    "goya": ["OYA"],
+    "reconquista": ["RCQ"],
+    "curuzu cuatia": ["UZU"],
+    "el bolson": ["EHL"],
+    "comodoro rivadavia": ["CRD"],
+    "esquel": ["EQS"],
+    "trelew": ["REL"],
+    "viedma": ["VDM"],
+    "puerto madryn": ["PMY"],
+    "puerto deseado": ["PUD"],
+    "rio grande": ["RGA"],
+    "rio gallegos": ["RGL"],
+    "ushuaia": ["USH"],
+    "san julian": ["ULA"],
+    "perito moreno": ["PMQ"],
+    "santa cruz": ["RZA","VVI","SRZ"],
+    "bahia blanca": ["BHI"],
+    "colonel suarez": ["CSZ"],
+    "olavarria": ["OVR"],
+    "general pico": ["GPO"],
+    "tres arroyos": ["OYO"],
+    "mar del plata": ["MDQ"],
+    "neuquen": ["NQN"],
+    "pehuajo": ["PEH"],
+    "santa rosa": ["RSA","ETR","SRA","STS"],
+    "san carlos de bariloche": ["BRC"],
+    "tandil": ["TDL"],
+    "villa gesell": ["VLG"],
+    "cutralco": ["CUT"],
+    "san martin des andes": ["CPC"],
+    "conceicao do araguaia": ["CDJ"],
+    "araracuara": ["AQA","ACR"],
+    "aracaju": ["AJU"],
+    "alta floresta": ["AFL"],
+    "aracatuba": ["ARU"],
+    "belem": ["BEL"],
+    "bage": ["BGX"],
+    "belo horizonte": ["PLU","CNF"],
+    "curitiba": ["BFH","CWB"],
+    "brasilia": ["BSB"],
+    "bauru": ["BAU","JTC"],
+    "barra do garcas": ["BPG"],
+    "cascavel": ["CAC"],
+    "campo grande": ["CGR"],
+    "chapeco": ["XAP"],
+    "carolina": ["CLN"],
+    "criciuma": ["CCM"],
+    "campos": ["CAW"],
+    "corumba": ["CMG"],
+    "caravelas": ["CRQ"],
+    "caxias do sul": ["CXJ"],
+    "cuiaba": ["CGB"],
+    "cruzeiro do sul": ["CZS"],
+    "president prudente": ["PPB"],
+    "manaus": ["MAO","PLL"],
+    "jacare-acanga": ["JCR"],
+    "foz do iguacu": ["IGU"],
+    "florianopolis": ["FLN"],
+    "fernando do noronha": ["FEN"],
+    "fortaleza": ["FOR"],
+    "rio de janeiro": ["GIG","SDU","SNZ"],
+    "guajara-mirim": ["GJM"],
+    "goiania": ["GYN"],
+    "sao paulo": ["GRU","CGH"],
+    "guaratingueta": ["GUJ"],
+    "altamira": ["ATM"],
+    "itaituba": ["ITA","ITB"],
+    "ilheus": ["IOS"],
+    "ipatinga": ["IPN"],
+    "itumbiara": ["ITR"],
+    "imperatriz": ["IMP"],
+    "juiz de fora": ["JDF","IZA"],
+    "joao pessoa": ["JPA"],
+    "joinville": ["JOI"],
+    "campina grande": ["CPV"],
+    "campinas": ["VCP","CPQ"],
+    "lajes": ["LAJ"],
+    "lins": ["LIP"],
+    "londrina": ["LDB"],
+    "bom jesus da lapa": ["LAZ"],
+    "maraba": ["MAB"],
+    "almeirim": ["MEU"],
+    "maringa": ["MGF"],
+    "montes claros": ["MOC"],
+    "maceio": ["MCZ"],
+    "macapa": ["MCP"],
+    "mocord": ["MVF"],
+    "manicore": ["MNX"],
+    "navegantes": ["NVT"],
+    "santo angelo": ["GEL"],
+    "natal": ["NAT"],
+    "oioiapoque": ["OYK"],
+    "porto alegre": ["POA"],
+    "parnaiba": ["PHB"],
+    "pocos de caldas": ["POO"],
+    "passo fundo": ["PFB"],
+    "pelotas": ["PET"],
+    "petrolina": ["PNZ"],
+    "porto nacional": ["PNB"],
+    "ponta pora": ["PMG"],
+    "porto velho": ["PVH"],
+    "rio branco": ["RBR"],
+    "recife": ["REC"],
+    "ribeirao preto": ["RAO"],
+    "sao jose dos campos": ["SJK"],
+    "sao luis": ["SLZ"],
+    "sao jose do rio preto": ["SJP"],
+    "santos": ["SSZ"],
+    "salvador": ["SSA"],
+    "oriximina": ["TMT","ORX"],
+    "teresina": ["THE"],
+    "tefe": ["TFF"],
+    "tarauaca": ["TRQ"],
+    "telemaco borba": ["TEC"],
+    "tabatinga": ["TBT"],
+    "tucurui": ["TUR"],
+    "sao gabriel": ["SJL"],
+    "paulo alfonso": ["PAV"],
+    "uruguaiana": ["URG"],
+    "uberlandia": ["UDI"],
+    "uberaba": ["UBA"],
+    "varginha": ["VAG"],
+    "vilhena": ["BVH"],
+    "piracununga": ["QPS"],
+    "arica": ["ARI"],
+    "balmaceda": ["BBA"],
+    "chile chico": ["CCH"],
+    "calama": ["CJC"],
+    "chillan": ["YAI"],
+    "punta arenas": ["PUQ"],
+    "coyhaique": ["GXQ"],
+    "iquique": ["IQQ"],
+    "antofagasta": ["ANF"],
+    "porvenir": ["WPR"],
+    "futaleufu": ["FFU"],
+    "los angeles": ["LSQ","LAX","WHP"],
+    "puerto williams": ["WPU"],
+    "concepcion": ["CCP"],
+    "easter island": ["IPC"],
+    "osorno": ["ZOS"],
+    "vallenar": ["VLR"],
+    "rancagua": ["QRC"],
+    "isla rey jorge": ["TNM"],
+    "la serena": ["LSC"],
+    "temuco": ["PZS","ZCO"],
+    "puerto montt": ["PMC"],
+    "chaiten": ["WCH"],
+    "valdivia": ["ZAL"],
+    "ambato": ["ATF"],
+    "coca": ["OCC"],
+    "cuenca": ["CUE"],
+    "galapagos": ["GPS"],
+    "guayaquil": ["GYE"],
+    "latacunga": ["LTX"],
+    "macara": ["MRR"],
+    "macas": ["XMS"],
+    "machala": ["MCH"],
+    "manta": ["MEC"],
+    "portoviejo": ["PVO"],
+    "quito": ["UIO"],
+    "salinas": ["SNC","SNS"],
+    "tarapoa": ["TPC"],
+    "tulcan": ["TUA"],
+    "asuncion": ["ASU"],
+    "ayolas": ["AYO"],
+    "conception": ["CIO"],
+    "mariscal estigarribia": ["ESG"],
+    "pilar": ["PIL"],
+    "armenia": ["AXM"],
+    "puerto asis": ["PUU"],
+    "el banco": ["ELB"],
+    "bucaramanga": ["BGA"],
+    "bogota": ["BOG"],
+    "barranquilla": ["BAQ"],
+    "bahia solano": ["BSC"],
+    "buenaventura": ["BUN"],
+    "cucuta": ["CUC"],
+    "cartagena": ["CTG"],
+    "cali": ["CLO"],
+    "tumaco": ["TCO"],
+    "corozal": ["CZU"],
+    "barrancabermeja": ["EJA"],
+    "florencia": ["FLA"],
+    "girardot": ["GIR"],
+    "guapi": ["GPI"],
+    "ibague": ["IBE"],
+    "ipiales": ["IPI"],
+    "carepa": ["APO"],
+    "la mina": ["MCJ"],
+    "leticia": ["LET"],
+    "medellin": ["EOH"],
+    "magangue": ["MGN"],
+    "monteria": ["MTR"],
+    "mitu": ["MVP"],
+    "manizales": ["MZL"],
+    "neiva": ["NVA"],
+    "ocana": ["OCV"],
+    "otu": ["OTU"],
+    "puerto carreno": ["PCR"],
+    "pereira": ["PEI"],
+    "pitalito": ["PTX"],
+    "popayan": ["PPN"],
+    "pasto": ["PSO"],
+    "providencia": ["PVA"],
+    "mariquita": ["MQU"],
+    "rio negro": ["MDE"],
+    "rio hacha": ["RCH"],
+    "san jose del guaviare": ["SJE"],
+    "santa marta": ["SMR"],
+    "san andres island": ["ADZ"],
+    "san vincente de caguan": ["SVI"],
+    "tame": ["TME"],
+    "arauca": ["AUC"],
+    "quibdo": ["UIB"],
+    "tulua": ["ULQ"],
+    "valledupar": ["VUP"],
+    "villavicencio": ["VVC"],
+    "bermejo": ["BJO"],
+    "cochabamba": ["CBB"],
+    "chapacura": ["CCA"],
+    "cobija": ["CIJ"],
+    "oruro": ["ORU"],
+    "potosi": ["POI"],
+    "puerto suarez": ["PSZ"],
+    "santa ana": ["SBL","SNA","NZJ","NNB"],
+    "sucre": ["SRE"],
+    "tarija": ["TJA"],
+    "trinidad": ["TDD","TND"],
+    "villa montes": ["VLM"],
+    "yacuiba": ["BYC"],
+    "zandery": ["PBM"],
+    "cayenne": ["CAY"],
+    "st.-georges oyapock": ["OYP"],
+    "andoas": ["AOP"],
+    "iberia": ["IBP"],
+    "pucallpa": ["PCL"],
+    "chimbote": ["CHM"],
+    "chiclayo": ["CIX"],
+    "ayacucho": ["AYP"],
+    "andahuaylas": ["ANS"],
+    "anta": ["ATA"],
+    "lima": ["LIM","AOH"],
+    "juanjui": ["JJI"],
+    "jauja": ["JAU"],
+    "juliaca": ["JUL"],
+    "ilo": ["ILQ"],
+    "tumbes": ["TBP"],
+    "yurimaguas": ["YMS"],
+    "chachapoyas": ["CHH"],
+    "iquitos": ["IQT"],
+    "arequipa": ["AQP"],
+    "pisco": ["PIO"],
+    "tarapoto": ["TPP"],
+    "tacna": ["TCQ"],
+    "puerto maldonado": ["PEM"],
+    "piura": ["PIU"],
+    "talara": ["TYL"],
+    "cuzco": ["CUZ"],
+    "durazno": ["DZO"],
+    "montevideo": ["MVD"],
+    "salto": ["STY"],
+    "acarigua": ["AGV"],
+    "anaco": ["AAO"],
+    "barinas": ["BNS"],
+    "barquisimeto": ["BRM"],
+    "ciudad bolivar": ["CBL"],
+    "caicara de orinoco": ["CXA"],
+    "calabozo": ["CLZ"],
+    "canaima": ["CAJ"],
+    "carora": ["VCR"],
+    "carupano": ["CUP"],
+    "coro": ["CZE"],
+    "cumana": ["CUM"],
+    "elorza": ["EOZ"],
+    "guasdualito": ["GDO"],
+    "guiria": ["GUI"],
+    "guanare": ["GUQ"],
+    "higuerote": ["HGE"],
+    "isla de coche": ["ICC"],
+    "paraguana": ["LSP"],
+    "la fria": ["LFR"],
+    "maracaibo": ["MAR"],
+    "porlamar": ["PMV"],
+    "caracas": ["CCS"],
+    "maturin": ["MUN"],
+    "puerto ayacucho": ["PYH"],
+    "puerto cabello": ["PBL"],
+    "san cristobal": ["SCI"],
+    "guayana": ["PZO"],
+    "palmarito": ["PTM"],
+    "san antonio": ["SVZ","SAT","SKF","RND"],
+    "santa barbara": ["SBB","STB","SBA"],
+    "santa ana de uairen": ["SNV"],
+    "san felipe": ["SNF"],
+    "san fernando de apure": ["SFD"],
+    "san tome": ["SOM"],
+    "tucupita": ["TUV"],
+    "tumeremo": ["TMO"],
+    "valera": ["VLV"],
+    "valle de la pascua": ["VDP"],
+    "lethem": ["LTM"],
+    "antigua": ["ANU"],
+    "bridgetown": ["BGI"],
+    "canefield": ["DCF"],
+    "dominica": ["DOM"],
+    "fort-de-france": ["FDF"],
+    "st. martin": ["SFG"],
+    "pointe-a-pitre": ["PTP"],
+    "point salines": ["GND"],
+    "st. thomas": ["STT"],
+    "st. croix island": ["STX"],
+    "aguadilla": ["BQN"],
+    "fajardo": ["FAJ"],
+    "mayaguez": ["MAZ"],
+    "ponce": ["PSE"],
+    "basse terre": ["SKB","BBR"],
+    "castries": ["SLU"],
+    "hewandorra": ["UVF"],
+    "oranjestad": ["AUA","EUX"],
+    "kralendijk": ["BON"],
+    "willemstad": ["CUR"],
+    "philipsburg": ["SXM"],
+    "the valley": ["AXA"],
+    "scarborough": ["TAB"],
+    "port-of-spain": ["POS"],
+    "tortola": ["EIS"],
+    "canouan island": ["CIW"],
+    "mustique": ["MQS"],
+    "kingstown": ["SVD"],
+    "alma-ata": ["ALA"],
+    "balkhash": ["BXH"],
+    "tselinograd": ["TSE"],
+    "dzhambul": ["DMB"],
+    "bishkek": ["FRU"],
+    "osh": ["OSS"],
+    "chimkent": ["CIT"],
+    "uralsk": ["URA"],
+    "pavlodar": ["PWQ"],
+    "semiplatinsk": ["PLX"],
+    "aktyubinsk": ["AKX"],
+    "baku": ["GYD","ZXT"],
+    "yakutsk": ["YKS","GYG"],
+    "mirnyj": ["MJZ"],
+    "blagoveschensk": ["BQS"],
+    "khabarovsk": ["KHV"],
+    "provideniya bay": ["PVS"],
+    "magadan": ["GDX"],
+    "pevek": ["PWE"],
+    "petropavlovsk": ["PKC"],
+    "yuzhno-sakhalinsk": ["UUS"],
+    "vladivostok": ["VVO"],
+    "chita": ["HTA"],
+    "bratsk": ["BTK"],
+    "irkutsk": ["IKT"],
+    "ulan-ude": ["UUD"],
+    "kiev": ["KBP","IEV","GML"],
+    "donetsk": ["DOK"],
+    "dnepropetrovsk": ["DNK"],
+    "simferopol": ["SIP"],
+    "lvov": ["LWO"],
+    "odessa": ["ODS"],
+    "st. petersburg": ["LED","SPG","PIE"],
+    "murmansk": ["MMK"],
+    "gomel": ["GME"],
+    "vitebsk": ["VTB"],
+    "kaliningrad": ["KGD"],
+    "minsk": ["MHP"],
+    "minsk 2": ["MSQ"],
+    "abakan": ["ABA"],
+    "barnaul": ["BAX"],
+    "kemorovo": ["KEJ"],
+    "omsk": ["OMS"],
+    "krasnodar": ["KRR"],
+    "makhachkala": ["MCX"],
+    "mineralnye vody": ["MRV"],
+    "stavropol": ["STW"],
+    "rostov": ["ROV"],
+    "sochi": ["AER"],
+    "astrakhan": ["ASF"],
+    "volgograd": ["VOG"],
+    "chelyabinsk": ["CEK"],
+    "magnetiogorsk": ["MQF"],
+    "nizhnevartovsk": ["NJC"],
+    "perm": ["PEE"],
+    "surgut": ["SGC"],
+    "yekaterinburg": ["SVX"],
+    "ashkhabad": ["ASB"],
+    "krasnovodsk": ["KRW"],
+    "chardzhou": ["CRZ"],
+    "dushanbe": ["DYU"],
+    "bukhara": ["BHK"],
+    "samarkand": ["SKD"],
+    "tashkent": ["TAS"],
+    "bryansk": ["BZK"],
+    "moscow": ["SVO","VKO","DME","BKA","OSF"],
+    "tver": ["KLD"],
+    "voronezh": ["VOZ"],
+    "syktyvkar": ["SCW"],
+    "kazan": ["KZN"],
+    "orenburg": ["REN"],
+    "ufa": ["UFA"],
+    "samara": ["KUF"],
+    "ahmedabad": ["AMD"],
+    "akola": ["AKD"],
+    "aurangabad": ["IXU"],
+    "mumbai": ["BOM"],
+    "bilaspur": ["PAB"],
+    "bhuj": ["BHJ"],
+    "belgaum": ["IXG"],
+    "baroda": ["BDQ"],
+    "bhopal": ["BHO"],
+    "bhaunagar": ["BHU"],
+    "daman": ["NMB"],
+    "guna": ["GUX"],
+    "goa": ["GOI"],
+    "indore": ["IDR"],
+    "jabalpur": ["JLR"],
+    "jamnagar": ["JGA"],
+    "kandla": ["IXY"],
+    "khajuraho": ["HJR"],
+    "kolhapur": ["KLH"],
+    "keshod": ["IXK"],
+    "nagpur": ["NAG"],
+    "nasik road": ["ISK"],
+    "pune": ["PNQ"],
+    "porbandar": ["PBD"],
+    "rajkot": ["RAJ"],
+    "raipur": ["RPR"],
+    "sholapur": ["SSE"],
+    "surat": ["STV"],
+    "udaipur": ["UDR"],
+    "colombo": ["CMB","RML"],
+    "anuradhapura": ["ACJ"],
+    "batticaloa": ["BTC"],
+    "galoya": ["ADP"],
+    "jaffna": ["JAF"],
+    "trinciomalee": ["TRR"],
+    "kompong chnang": ["KZC"],
+    "phnom-penh": ["PNH"],
+    "siem-reap": ["REP"],
+    "stung treng": ["TNX"],
+    "along": ["IXV"],
+    "agartala": ["IXA"],
+    "aizwal": ["AJL"],
+    "baghdogra": ["IXB"],
+    "bhubaneswar": ["BBI"],
+    "kolkata": ["CCU"],
+    "cooch-behar": ["COH"],
+    "dhanbad": ["DBD"],
+    "gaya": ["GAY"],
+    "imphal": ["IMF"],
+    "jamshedpur": ["IXW"],
+    "jorhat": ["JRH"],
+    "kailashahar": ["IXH"],
+    "silchar": ["IXS"],
+    "lilabari": ["IXI"],
+    "mohanbari": ["DIB"],
+    "mazuffarpur": ["MZU"],
+    "patina": ["PAT"],
+    "ranchi": ["IXR"],
+    "rourkela": ["RRK"],
+    "vishakhapatnam": ["VTZ"],
+    "zero": ["ZER"],
+    "cox's bazar": ["CXB"],
+    "chittagong": ["CGP"],
+    "ishurdi": ["IRD"],
+    "jessore": ["JSR"],
+    "rajshahi": ["RJH"],
+    "saidpur": ["SPD"],
+    "sylhet osmani": ["ZYL"],
+    "dhaka": ["DAC"],
+    "hong kong": ["HKG","HHP"],
+    "agra": ["AGR"],
+    "allahabad": ["IXD"],
+    "amritsar": ["ATQ"],
+    "bikaner": ["BKB"],
+    "varanasi": ["VNS"],
+    "kulu": ["KUU"],
+    "bhatinda": ["BUP"],
+    "bareilly": ["BEK"],
+    "chandigarh": ["IXC"],
+    "kanpur": ["KNU"],
+    "dehra dun": ["DED"],
+    "delhi": ["DEL"],
+    "gwalior": ["GWL"],
+    "hissar": ["HSS"],
+    "jodhpur": ["JDH"],
+    "jaipur": ["JAI"],
+    "jaisalmer": ["JSA"],
+    "jammu": ["IXJ"],
+    "kota": ["KTU"],
+    "ludhiaha": ["LUH"],
+    "leh": ["IXL"],
+    "lucknow": ["LKO"],
+    "pathankot": ["IXP"],
+    "nainital": ["PGH"],
+    "srinagar": ["SXR"],
+    "satna": ["TNI"],
+    "luang prabang": ["LPQ"],
+    "pakse": ["PKZ"],
+    "savannakhet": ["ZVK"],
+    "sam neua": ["NEU"],
+    "vientiane": ["VTE"],
+    "macau": ["MFM"],
+    "bhairawa": ["BWA"],
+    "janakpur": ["JKR"],
+    "kathmandu": ["KTM"],
+    "pokhara": ["PKR"],
+    "simara": ["SIF"],
+    "biratnagar": ["BIR"],
+    "agatti island": ["AGX"],
+    "bangalore": ["BLR"],
+    "bellary": ["BEP"],
+    "vijayawada": ["VGA"],
+    "coimbatore": ["CJB"],
+    "calicut": ["CCJ"],
+    "cuddapah": ["CDP"],
+    "carnicobar": ["CBD"],
+    "hyderabad": ["BPM","HDD","HYD"],
+    "madurai": ["IXM"],
+    "mangalore": ["IXE"],
+    "madras": ["MAA"],
+    "port blair": ["IXZ"],
+    "pendicherry": ["PNY"],
+    "rajahmundry": ["RJA"],
+    "salem": ["SXV","SLE"],
+    "tanjore": ["TJV"],
+    "tirupeti": ["TIR"],
+    "tiruchirappalli": ["TRZ"],
+    "trivandrum": ["TRV"],
+    "thimphu": ["PBH"],
+    "male": ["MLE"],
+    "bangkok": ["DMK","BKK"],
+    "nakhon pathom": ["KDT"],
+    "pattaya": ["UTP"],
+    "lampang": ["LPT"],
+    "phrae": ["PRH"],
+    "prachuap khiri khan": ["HHQ"],
+    "nakhon sawan": ["TKH"],
+    "phitsanulok": ["PHS"],
+    "narathiwat": ["NAW"],
+    "krabi": ["KBV"],
+    "songkhla": ["SGZ"],
+    "pattani": ["PAN"],
+    "ko samui": ["USM"],
+    "phuket": ["HKT"],
+    "ranong": ["UNN"],
+    "hat yai": ["HDY"],
+    "trang": ["TST"],
+    "udon thani": ["UTH"],
+    "sakon nakhon": ["SNO"],
+    "surin": ["PXR"],
+    "loei": ["LOE"],
+    "danang": ["DAD"],
+    "hanoi": ["HAN"],
+    "nhatrang": ["NHA"],
+    "hue": ["HUI"],
+    "phuquoc": ["PQC"],
+    "ho chi minh city": ["SGN"],
+    "ann": ["VBA"],
+    "bagan": ["NYU","BPE"],
+    "heho": ["HEH"],
+    "hommalin": ["HOX"],
+    "kengtung": ["KET"],
+    "kyaukpyu": ["KYP"],
+    "lashio": ["LSH"],
+    "mandalay": ["MDL"],
+    "myeik": ["MGZ"],
+    "myitkyina": ["MYT"],
+    "momeik": ["MOE"],
+    "mong hsat": ["MOG"],
+    "namsang": ["NMS"],
+    "hpa-an": ["PAA"],
+    "putao": ["PBU"],
+    "pyay": ["PRU"],
+    "sittwe": ["AKY"],
+    "thandwe": ["SNW"],
+    "tachilek": ["THL"],
+    "yangon": ["RGN"],
+    "ujung pandang": ["UPG"],
+    "biak": ["BIK"],
+    "nabire": ["NBX"],
+    "timika": ["TIM"],
+    "jayapura": ["DJJ"],
+    "wamena": ["WMX"],
+    "merauke": ["MKQ"],
+    "gorontalo": ["GTO"],
+    "palu": ["PLW"],
+    "manado": ["MDC"],
+    "poso": ["PSJ"],
+    "morotai island": ["OTI"],
+    "ternate": ["TTE"],
+    "luwuk": ["LUW"],
+    "ambon": ["AMQ"],
+    "fak fak": ["FKQ"],
+    "kaimana": ["KNG"],
+    "babo": ["BXB"],
+    "manokwari": ["MKW"],
+    "sorong": ["SOQ"],
+    "bintulu": ["BTU"],
+    "kuching": ["KCH"],
+    "limbang": ["LMN"],
+    "marudi": ["MUR"],
+    "miri": ["MYY"],
+    "sibu": ["SBW"],
+    "lahad datu": ["LDU"],
+    "kota kinabalu": ["BKI"],
+    "labuan": ["LBU"],
+    "tawau": ["TWU"],
+    "bandar seri begawan": ["BWN"],
+    "pekanbaru": ["PKU"],
+    "dumai": ["DUM"],
+    "jakarta": ["CGK","PCB","HLP"],
+    "gunung sitoli": ["GNS"],
+    "padang sidempuan": ["AEG"],
+    "padang": ["PDG"],
+    "medan": ["MES","KNO"],
+    "sibolga": ["FLZ"],
+    "nangapinoh": ["NPO"],
+    "ketapang": ["KTG"],
+    "pontianak": ["PNK"],
+    "jambi": ["DJB"],
+    "bengkulu": ["BKS"],
+    "palembang": ["PLM"],
+    "rengat": ["RGT"],
+    "lhok sukon": ["LSX"],
+    "banda aceh": ["BTJ"],
+    "alor setar": ["AOR"],
+    "butterworth": ["BWH"],
+    "kota bahru": ["KBR"],
+    "kuantan": ["KUA"],
+    "kerteh": ["KTE"],
+    "ipoh": ["IPH"],
+    "johor bahru": ["JHB"],
+    "kuala lumpur": ["KUL","SZB"],
+    "langkawi": ["LGK"],
+    "malacca": ["MKZ"],
+    "kuala terengganu": ["TGG"],
+    "penang": ["PEN"],
+    "suai": ["UAI"],
+    "dili": ["DIL"],
+    "baucau": ["BCH"],
+    "paya lebar": ["QPG"],
+    "tengah": ["TGA"],
+    "singapore": ["XSP","SIN"],
+    "brisbane": ["ACF","BNE"],
+    "amberley": ["ABM"],
+    "alice springs": ["ASP"],
+    "coolangatta": ["OOL"],
+    "cairns": ["CNS"],
+    "charlieville": ["CTL"],
+    "mount isa": ["ISA"],
+    "maroochydore": ["MCY"],
+    "mackay": ["MKY"],
+    "prosserpine": ["PPP"],
+    "rockhampton": ["ROK"],
+    "townsville": ["TSV"],
+    "weipa": ["WEI"],
+    "avalon": ["AVV"],
+    "albury": ["ABX"],
+    "melbourne": ["MEB","MBW","MEL","MLB"],
+    "hobart": ["HBA","HBR"],
+    "launceston": ["LST"],
+    "adelaide": ["ADL"],
+    "perth": ["JAD","PER","PSL"],
+    "karratha": ["KTA"],
+    "kalgoorlie": ["KGI"],
+    "kununurra": ["KNX"],
+    "learmonth": ["LEA"],
+    "port hedland": ["PHE"],
+    "woomera": ["UMR"],
+    "christmas island": ["XCH"],
+    "canberra": ["CBR"],
+    "coff's harbour": ["CFS"],
+    "camden": ["CDU","CDN"],
+    "dubbo": ["DBO"],
+    "norfolk island": ["NLK"],
+    "richmond": ["XRH","RIC","RCM"],
+    "tamworth": ["TMW"],
+    "wagga wagga": ["WGA"],
+    "beijing": ["PEK","NAY","PKX"],
+    "hailar": ["HLD"],
+    "tianjin": ["TSN"],
+    "taiyuan": ["TYN"],
+    "guangzhou": ["CAN"],
+    "changcha": ["CSX"],
+    "guilin": ["KWL"],
+    "nanning": ["NNG"],
+    "shenzhen": ["SZX"],
+    "zhengzhou": ["CGO"],
+    "wuhan": ["WUH"],
+    "pyongyang": ["FNJ"],
+    "lanzhou": ["LHW"],
+    "xi'an": ["XIY"],
+    "ulan bator": ["ULN"],
+    "jinghonggasa": ["JHG"],
+    "kunming": ["KMG"],
+    "xiamen": ["XMN"],
+    "nanchang": ["KHN"],
+    "fuzhou": ["FOC"],
+    "hangzhou": ["HGH"],
+    "ninbo": ["NGB"],
+    "nanjing": ["NKG"],
+    "hefei": ["HFE"],
+    "qingdao": ["TAO"],
+    "shanghai": ["SHA","PVG"],
+    "yantai": ["YNT"],
+    "chongqing": ["CKG"],
+    "guiyang": ["KWE"],
+    "chengdu": ["CTU"],
+    "xichang": ["XIC"],
+    "kashi": ["KHG"],
+    "hotan": ["HTN"],
+    "urumqi": ["URC"],
+    "harbin": ["HRB"],
+    "mudanjiang": ["MDG"],
+    "dalian": ["DLC"],
+    "tioman": ["TOD"],
+    "wajima": ["NTQ"],
+    "barter island": ["BTI"],
+    "cape lisburne": ["LUR"],
+    "point lay": ["PIZ"],
+    "hilo": ["ITO"],
+    "orlando": ["ORL","MCO"],
+    "bettles": ["BTT"],
+    "indian mountains": ["UTO"],
+    "fort yukon": ["FYU"],
+    "sparrevohn": ["SVW"],
+    "fort richardson": ["FRN"],
+    "tatalina": ["TLJ"],
+    "cape romanzof": ["CZF"],
+    "bedford": ["BED"],
+    "st. paul island": ["SNP"],
+    "cape newenham": ["EHM"],
+    "point barrow": ["STG"],
+    "iliamna": ["ILI"],
+    "port moller": ["PTU"],
+    "big mountain": ["BMX"],
+    "oscoda": ["OSC"],
+    "fort ord": ["OAR"],
+    "sacramento": ["MHR","SAC","MCC","SMF"],
+    "fort irwin": ["BYS"],
+    "anchorage": ["MRI","EDF","ANC"],
+    "grants": ["GNT"],
+    "ponca city": ["PNC"],
+    "hunter aaf": ["SVN"],
+    "grand forks": ["GFK","ZGF"],
+    "pine bluff": ["PBF"],
+    "milton": ["NSE"],
+    "hana": ["HNM"],
+    "prescott": ["PRC"],
+    "boston": ["BOS"],
+    "fairfield": ["SUU"],
+    "wendover": ["ENV"],
+    "mobile": ["BFM","MOB"],
+    "oakland": ["OAK"],
+    "omaha": ["OMA","OFF"],
+    "kahului": ["OGG"],
+    "wichita": ["ICT","IAB","BEC"],
+    "kansas city": ["MCI","MKC"],
+    "madison": ["MSN"],
+    "dillingham": ["DLG","HDH"],
+    "harrison": ["HRO"],
+    "phoenix": ["PHX","LUF","DVT"],
+    "bangor": ["BGR"],
+    "fort lauderdale": ["FXE","FLL"],
+    "longview": ["GGG"],
+    "spokane": ["GEG","SKA","SFF"],
+    "hollywood": ["HWO"],
+    "san francisco": ["SFO"],
+    "cutbank": ["CTB"],
+    "louisiana": ["ARA"],
+    "gainesville": ["GNV","GVL"],
+    "memphis": ["MEM"],
+    "douglas": ["DUG","DGL"],
+    "delta junction": ["BIG"],
+    "waco": ["CNW","ACT"],
+    "annette island": ["ANN"],
+    "caribou": ["CAR"],
+    "jacksonville": ["LRF","NIP","JAX","VQQ","CRG"],
+    "redstone": ["HUA"],
+    "fort bragg": ["POB"],
+    "dalhart": ["DHT"],
+    "del rio": ["DLF","DRT"],
+    "anniston": ["ANB"],
+    "cleveland": ["CLE","BKL","HDI"],
+    "dover": ["DOV"],
+    "cincinnati": ["CVG","LUK"],
+    "fort meade": ["FME"],
+    "huron": ["HON"],
+    "juneau": ["JNU"],
+    "lafayette": ["LFT","LAF"],
+    "newark": ["EWR"],
+    "boise": ["BOI"],
+    "indian springs": ["INS"],
+    "garden city": ["GCK"],
+    "minot": ["MOT","MIB"],
+    "wahiawa": ["HHI"],
+    "montgomery": ["MXF","MGM","MGJ"],
+    "dallas": ["DAL","FWH","RBD"],
+    "fort carson": ["FCS"],
+    "helena": ["HLN"],
+    "miramar": ["NKX"],
+    "hawthorne": ["HHR"],
+    "houlton": ["HUL"],
+    "enid": ["END"],
+    "point mugu": ["NTD"],
+    "edwards afb": ["EDW"],
+    "lake charles": ["LCH"],
+    "kona": ["KOA"],
+    "myrtle beach": ["MYR"],
+    "lemoore": ["NLC"],
+    "nantucket": ["ACK"],
+    "fort eustis": ["FAF"],
+    "hopkinsville": ["HOP"],
+    "washington": ["DCA","IAD","OCW"],
+    "patuxent river": ["NHK"],
+    "palacios": ["PSX"],
+    "blytheville": ["BYH"],
+    "atlantic city": ["ACY"],
+    "oklahoma city": ["TIK","OKC","PWA"],
+    "elizabeth city": ["ECG"],
+    "pueblo": ["PUB"],
+    "presque isle": ["PQI"],
+    "fort lewis": ["GRF"],
+    "kodiak": ["ADQ"],
+    "opolu": ["UPP"],
+    "international falls": ["INL"],
+    "salt lake city": ["SLC"],
+    "childress": ["CDS"],
+    "biloxi": ["BIX"],
+    "fort benning": ["LSF"],
+    "kingsville": ["NQI"],
+    "fort riley": ["FRI"],
+    "harrisburg": ["MDT","HAR"],
+    "lincoln": ["LNK"],
+    "lansing": ["LAN"],
+    "kamuela": ["MUE"],
+    "massena": ["MSS"],
+    "hickory": ["HKY"],
+    "fort myers": ["FMY","RSW"],
+    "houston": ["IAH","HOU","EFD","DWH","IWS","AAP"],
+    "camp springs": ["ADW"],
+    "winston-salem": ["INT"],
+    "victorville": ["VCV"],
+    "crestview": ["CEW","EGI"],
+    "port huron": ["PHN"],
+    "bakersfield": ["BFL"],
+    "el paso": ["ELP","BIF"],
+    "harlingen": ["HRL"],
+    "columbia": ["CAE","COU","CUB"],
+    "tucson": ["DMA","TUS","AVW"],
+    "pensacola": ["NPA","PNS"],
+    "red river": ["RDR"],
+    "buckley": ["BFK"],
+    "northway": ["ORT"],
+    "palmer": ["PAQ"],
+    "pittsburgh": ["PIT","AGC"],
+    "barrow": ["BRW"],
+    "whidbey island": ["NUW"],
+    "alice": ["ALI"],
+    "valdosta": ["VAD","VLD"],
+    "miami": ["MIA","TNT","OPF"],
+    "seattle": ["SEA","BFI"],
+    "chattanooga": ["CHA"],
+    "stratford": ["BDR"],
+    "jackson": ["JAN","MKL","JXN"],
+    "galveston": ["GLS"],
+    "long beach": ["LGB"],
+    "williamsport": ["IPT"],
+    "indianapolis": ["IND"],
+    "knobnoster": ["SZL"],
+    "akron": ["AKC","CAK","AKO"],
+    "white plains": ["HPN"],
+    "west hampton beach": ["FOK"],
+    "jonesboro": ["JBR"],
+    "tonopah": ["XSD","TPH"],
+    "west palm beach": ["LNA","PBI"],
+    "san diego": ["NZY","SAN","SDM"],
+    "yuma": ["YUM"],
+    "carlsbad": ["CNM","CLD"],
+    "duluth": ["DLH"],
+    "bethel": ["BET"],
+    "louisville": ["LOU","SDF"],
+    "fort huachuca": ["FHU"],
+    "lihue": ["LIH"],
+    "terre haute": ["HUF"],
+    "havre": ["HVR"],
+    "grant county airport": ["MWH"],
+    "montpelier": ["MPV"],
+    "shreveport": ["SHV","BAD","DTN"],
+    "cordova": ["CDV"],
+    "norfolk": ["ORF","NGU"],
+    "beaumont": ["BPT","BMT"],
+    "savannah": ["SAV"],
+    "ogden": ["HIF","OGD"],
+    "nome": ["OME"],
+    "macon": ["MNM","MCN","WRB"],
+    "conroe": ["CXO"],
+    "deadhorse": ["SCC"],
+    "rochester": ["ROC","RST","RCS"],
+    "coco beach": ["COF"],
+    "teterboro": ["TEB"],
+    "rapid city": ["RCA","RAP"],
+    "raleigh-durham": ["RDU"],
+    "dayton": ["DAY","FFO","MGY"],
+    "kenai": ["ENA"],
+    "mcalester": ["MLC"],
+    "niagara falls": ["IAG"],
+    "bryan": ["CFD"],
+    "wright": ["LIY"],
+    "newport news": ["PHF"],
+    "altus": ["LTS"],
+    "marysville": ["BAB"],
+    "kankakee": ["IKK"],
+    "goldsboro": ["GSB"],
+    "providence": ["PVD"],
+    "salisbury": ["SBY"],
+    "burbank": ["BUR"],
+    "detroit": ["DTW","DET","YIP"],
+    "tampa": ["TPA","MCF","TPF"],
+    "pembina": ["PMB"],
+    "fort polk": ["POE"],
+    "fairbanks": ["EIL","FAI"],
+    "hibbing": ["HIB"],
+    "lufkin": ["LFK"],
+    "midland": ["MAF"],
+    "green bay": ["GRB"],
+    "wrightstown": ["WRI"],
+    "bush field": ["AGS"],
+    "williston": ["ISN"],
+    "little rock": ["LIT"],
+    "newburgh": ["SWF"],
+    "baudette": ["BDE"],
+    "homer": ["HOM"],
+    "fort leonardwood": ["TBN"],
+    "marietta": ["MGE"],
+    "houghton lake": ["HTL"],
+    "dallas-fort worth": ["DFW"],
+    "tacoma": ["TCM","TIW"],
+    "austin": ["AUS"],
+    "columbus": ["LCK","CMH","CSG","OSU","TZR","CLU"],
+    "gwinn": ["MQT"],
+    "knoxville": ["TYS"],
+    "fort hood": ["HLR"],
+    "millville": ["MIV"],
+    "wichita falls": ["SPS"],
+    "atlanta": ["ATL","FTY","PDK"],
+    "merced": ["MER","MCE"],
+    "grand rapids": ["GRR"],
+    "wink": ["INK"],
+    "fresno": ["FAT"],
+    "vero beach": ["VRB"],
+    "imperial": ["IPL"],
+    "nashville": ["BNA"],
+    "laredo": ["LRD"],
+    "kotzebue": ["OTZ"],
+    "altoona": ["AOO"],
+    "abilene": ["DYS","ABI"],
+    "new york": ["LGA","JFK","JRB","JRA"],
+    "tallahassee": ["TLH"],
+    "west chicago": ["DPA"],
+    "augusta": ["AUG","DNL"],
+    "molokai": ["MKK","LUP"],
+    "fort knox": ["FTK"],
+    "san angelo": ["SJT"],
+    "calexico": ["CXL"],
+    "chico": ["CIC"],
+    "burlington": ["BTV","BRL"],
+    "college station": ["CLL"],
+    "milwaukee": ["MKE","MWC"],
+    "portland": ["PDX","PWM","PTJ"],
+    "fort worth": ["FTW","AFW"],
+    "ogdensburg": ["OGS"],
+    "falmouth": ["FMH"],
+    "honolulu": ["HNL"],
+    "des moines": ["DSM"],
+    "new bern": ["EWN"],
+    "monroe": ["MLU"],
+    "sumter": ["SSC"],
+    "ontario": ["ONT","ONO"],
+    "greenvile": ["GVT"],
+    "roswell": ["ROW"],
+    "brownsville": ["BRO"],
+    "dothan": ["DHN"],
+    "wildwood": ["WWD"],
+    "fallon": ["NFL"],
+    "mount clemens": ["MTC"],
+    "farmington": ["FMN"],
+    "corpus christi": ["CRP"],
+    "syracuse": ["SYR"],
+    "key west": ["NQX","EYW"],
+    "chicago": ["MDW","UGN","ORD","CGX"],
+    "hobbs": ["HOB"],
+    "philadelphia": ["PNE","PHL","BBX"],
+    "denver": ["DEN","APA"],
+    "sioux city": ["SUX"],
+    "truth or consequences": ["TCS"],
+    "palmdale": ["PMD"],
+    "el centro": ["NJK"],
+    "fayetteville": ["FYV","FAY"],
+    "fort sill": ["FSI"],
+    "galena": ["GAL"],
+    "mineral wells": ["MWL"],
+    "new orleans": ["NBG","MSY","NEW"],
+    "beaufort": ["BFT"],
+    "texarkana": ["TXK"],
+    "plattsburgh": ["PBG"],
+    "tucumcari": ["TCC"],
+    "killeen": ["GRK"],
+    "bellingham": ["BLI"],
+    "millington": ["NQA"],
+    "elkins": ["EKN"],
+    "hartford": ["HFD"],
+    "smithfield": ["SFZ"],
+    "mountain view": ["NUQ"],
+    "barking sands": ["BKH"],
+    "deridder": ["DRI"],
+    "bradshaw field": ["BSF"],
+    "belleville": ["BLV"],
+    "king salmon": ["AKN"],
+    "muir": ["MUI"],
+    "lahania-kapalua": ["JHM"],
+    "homestead": ["HST"],
+    "riverside": ["RAL","RIV"],
+    "fort leavenworth": ["FLV"],
+    "wallops island": ["WAL"],
+    "alamogordo": ["HMN","ALM"],
+    "willow grove": ["NXX"],
+    "cheyenne": ["CYS"],
+    "stockton": ["SCK"],
+    "charleston": ["CHS","CRW"],
+    "reno": ["RNO"],
+    "ketchikan": ["KTN"],
+    "lompoc": ["VBG","LPC"],
+    "lakehurst": ["NEL"],
+    "shemya": ["SYA"],
+    "las vegas": ["LSV","LAS","LVS","VGT"],
+    "modesto": ["MOD"],
+    "colorado springs": ["COS"],
+    "buffalo": ["BUF"],
+    "sandusky": ["SKY"],
+    "everett": ["PAE"],
+    "mountain home": ["MUO","WMH"],
+    "cedar city": ["CDC"],
+    "windsor locks": ["BDL"],
+    "mcallen": ["MFE"],
+    "chicopee falls": ["CEF"],
+    "lubbock": ["LBB"],
+    "boca raton": ["BCT"],
+    "clovis": ["CVS","CVN"],
+    "kaneohe bay": ["NGF"],
+    "gulkana": ["GKN"],
+    "watertown": ["ART","ATY"],
+    "palm springs": ["PSP","TRM","UDD"],
+    "amarillo": ["AMA"],
+    "fort dodge": ["FOD"],
+    "topeka": ["FOE","TOP"],
+    "cotulla": ["COT"],
+    "wilmington": ["ILM","ILG","ILN"],
+    "baton rouge": ["BTR"],
+    "tyler": ["TYR"],
+    "baltimore": ["BWI","MTN"],
+    "lanai": ["LNY"],
+    "white sands": ["WSD"],
+    "cold bay": ["CDB","PML"],
+    "tulsa": ["TUL","RVS"],
+    "sitka": ["SIT"],
+    "islip": ["ISP"],
+    "minneapolis": ["MSP"],
+    "unalaska": ["DUT"],
+    "albany": ["ALB","ABY","ALH"],
+    "valdez": ["VDZ"],
+    "hampton": ["LFI"],
+    "colombus": ["CBM"],
+    "kendall-tamiami": ["TMB"],
+    "oceana": ["NTU"],
+    "peru": ["GUS","VYS"],
+    "casper": ["CPR"],
+    "valparaiso": ["VPS"],
+    "selma": ["SEM"],
+    "charlotte": ["CLT"],
+    "great falls": ["GTF"],
+    "youngstown": ["YNG"],
+    "fort wainwright": ["FBK"],
+    "naha": ["NAH"],
+    "masamba": ["MXB"],
+    "soroako": ["SQR"],
+    "kendari": ["KDI"],
+    "sabang": ["SBG"],
+    "tasikmalaya": ["TSY"],
+    "malang": ["MLG"],
+    "bandung": ["BDO"],
+    "cirebon": ["CBN"],
+    "yogyakarta": ["JOG"],
+    "cilacap": ["CXP"],
+    "semarang": ["SRG"],
+    "batam": ["BTH"],
+    "tanjung pandan": ["TJQ"],
+    "pangkal pinang": ["PGK"],
+    "tanjung pinang": ["TNJ"],
+    "singkep": ["SIQ"],
+    "banjarmasin": ["BDJ"],
+    "batu licin": ["BTW"],
+    "pangkalan bun": ["PKN"],
+    "palangkaraya": ["PKY"],
+    "maumere": ["MOF"],
+    "ende": ["ENE"],
+    "ruteng": ["RTG"],
+    "kupang": ["KOE"],
+    "labuhan bajo": ["LBJ"],
+    "balikpapan": ["BPN"],
+    "taraken": ["TRK"],
+    "samarinda": ["SRI"],
+    "tanjung santan": ["TSX"],
+    "mataram": ["AMI"],
+    "bima": ["BMU"],
+    "waingapu": ["WGP"],
+    "surabaya": ["SUB"],
+    "solo city": ["SOC"],
+    "chiang mai": ["CNX"],
+    "chiang rai": ["CEI"],
+    "nakhon si thammarat": ["NST"],
+    "nakhon ratchasima": ["NAK"],
+    "nakhon phanom": ["KOP"],
+    "ubon ratchathani": ["UBP"],
+    "khon kaen": ["KKC"],
+    "sukhothai": ["THS"],
+    "denpasar": ["DPS"],
+    "athens": ["ATH","HEW","AHN","ATO","MMI"],
+    "nagoya": ["NGO","NKM"],
+    "kobe": ["UKB"],
+    "pullman": ["PUW"],
+    "lewiston": ["LWS","LEW"],
+    "elmira": ["ELM"],
+    "ithaca": ["ITH"],
+    "monterey": ["MRY"],
+    "daytona beach": ["DAB"],
+    "liepaja": ["LPX"],
+    "riga": ["RIX"],
+    "siauliai": ["SQQ"],
+    "barysiai": ["HLJ"],
+    "kaunas": ["KUN"],
+    "palanga": ["PLQ"],
+    "vilnius": ["VNO"],
+    "panevezys": ["PNV"],
+    "yerevan": ["EVN"],
+    "gyumri": ["LWN"],
+    "assab": ["ASA"],
+    "asmara": ["ASM"],
+    "massawa": ["MSW"],
+    "gaza": ["GZA"],
+    "batumi": ["BUS"],
+    "kutaisi": ["KUT"],
+    "tbilisi": ["TBS"],
+    "mukalla": ["RIY"],
+    "taiz": ["TAI"],
+    "hodeidah": ["HOD"],
+    "aden": ["ADE"],
+    "ataq": ["AXK"],
+    "al ghaidah intl": ["AAY"],
+    "sanaa": ["SAH"],
+    "beihan": ["BHN"],
+    "socotra": ["SCT"],
+    "memmingen": ["FMM"],
+    "nevsehir": ["NAV"],
+    "erbil": ["EBL"],
+    "emerald": ["EMD"],
+    "tagbilaran": ["TAG"],
+    "ilulissat": ["JAV"],
+    "qasigiannguit": ["JCH"],
+    "aasiaat": ["JEG"],
+    "palma de mallorca": ["PMI"],
+    "darwin": ["DRW"],
+    "surat thani": ["URT"],
+    "talkeetna": ["TKA"],
+    "gozo": ["GZM"],
+    "new haven": ["HVN"],
+    "asheville": ["AVL"],
+    "greensboro": ["GSO"],
+    "sioux falls": ["FSD"],
+    "uluru": ["AYQ"],
+    "manchester nh": ["MHT"],
+    "redang": ["RDN"],
+    "charlottesville va": ["CHO"],
+    "roanoke va": ["ROA"],
+    "lexington ky": ["LEX"],
+    "evansville": ["EVV"],
+    "albuquerque": ["ABQ"],
+    "bozeman": ["BZN"],
+    "billings": ["BIL"],
+    "butte": ["BTM"],
+    "traverse city": ["TVC"],
+    "bar harbor": ["BHB"],
+    "rockland": ["RKD"],
+    "jacksn hole": ["JAC"],
+    "rockford": ["RFD"],
+    "sanya": ["SYX"],
+    "milford sound": ["MFN"],
+    "lijiang": ["LJG"],
+    "greenville": ["GSP","GLH","PGV","CPA","GDC","GMU"],
+    "bloomington": ["BMI","BMG"],
+    "gulfport": ["GPT"],
+    "kalamazoo": ["AZO"],
+    "toledo": ["TOL","TOW"],
+    "fort wayne": ["FWA"],
+    "decatur": ["DEC","DCU"],
+    "cedar rapids": ["CID"],
+    "la crosse": ["LSE"],
+    "wassau": ["CWA"],
+    "peoria": ["PIA"],
+    "appleton": ["ATW"],
+    "champaign": ["CMI"],
+    "manhattan": ["MHK"],
+    "kingscote": ["KGC"],
+    "hervey bay": ["HVB"],
+    "dali": ["DLU"],
+    "mulu": ["MZV"],
+    "sharm el sheikh": ["SSH"],
+    "franklin": ["FKL"],
+    "seronera": ["SEU"],
+    "el calafate": ["FTE","ING"],
+    "armidale": ["ARM"],
+    "grand junction": ["GJT"],
+    "saint george": ["SGU"],
+    "sarasota": ["SRQ"],
+    "bermuda": ["BDA"],
+    "van nuys": ["VNY"],
+    "moline": ["MLI"],
+    "honiara": ["HIR"],
+    "papeete": ["PPT"],
+    "nauru": ["INU"],
+    "funafuti": ["FUN"],
+    "novosibirsk": ["OVB"],
+    "phon savan": ["XKH"],
+    "bismarck": ["BIS"],
+    "telluride": ["TEX"],
+    "mae hong son": ["HGN"],
+    "flint": ["FNT"],
+    "davao": ["DVO"],
+    "funchal": ["FNC"],
+    "santarem": ["STM"],
+    "sihanoukville": ["KOS"],
+    "ekati": ["YOA"],
+    "napier": ["NPE"],
+    "levuka": ["LEV"],
+    "lhasa": ["LXA"],
+    "redding": ["RDD"],
+    "eugene": ["EUG"],
+    "idaho falls": ["IDA"],
+    "medford": ["MFR"],
+    "kaikoura": ["KBZ"],
+    "redmond-bend": ["RDM"],
+    "picton": ["PCN"],
+    "windhoek": ["WDH","ERS"],
+    "jinan": ["TNA"],
+    "changzhou": ["CZX"],
+    "yibin": ["YBP"],
+    "tyumen": ["TJM"],
+    "huntsville": ["HSV","HTV"],
+    "parkersburg": ["PKB"],
+    "paducah": ["PAH"],
+    "djibouti": ["JIB"],
+    "haikou": ["HAK"],
+    "mafia island": ["MFA"],
+    "page": ["PGA"],
+    "utila": ["UII"],
+    "kalispell": ["FCA"],
+    "saginaw": ["MBS"],
+    "binghamton": ["BGM"],
+    "baghdad": ["BGW"],
+    "nan": ["NNT"],
+    "roi et": ["ROI"],
+    "buri ram": ["BFV"],
+    "trat": ["TDX"],
+    "blythe": ["BLH"],
+    "al asad": ["IQA"],
+    "al taqaddum": ["TQD"],
+    "al bakr": ["XQC"],
+    "angeles city": ["CRK"],
+    "sandakan": ["SDK"],
+    "luang namtha": ["LXG"],
+    "muang xay": ["ODY"],
+    "shenyang": ["SHE"],
+    "dongying": ["DOY"],
+    "geralds": ["MNI"],
+    "petersburg": ["PSG","PTB"],
+    "luoyang": ["LYA"],
+    "xuzhou": ["XUZ"],
+    "magwe": ["MWQ"],
+    "khamti": ["KHM"],
+    "dalat": ["DLI"],
+    "dong hoi": ["VDH"],
+    "rach gia": ["VKG"],
+    "ca mau": ["CAH"],
+    "chu lai": ["VCL"],
+    "tuy hoa": ["TBB"],
+    "pai": ["PYY"],
+    "brac": ["BWK"],
+    "conakry": ["CKY"],
+    "aachen": ["AAH"],
+    "karlsruhe/baden-baden": ["FKB"],
+    "sanford": ["SFB"],
+    "johnstown": ["JST"],
+    "lukla": ["LUA"],
+    "bhojpur": ["BHP"],
+    "lamidanda": ["LDN"],
+    "jomsom": ["JMO"],
+    "manang": ["NGX"],
+    "phaplu": ["PPL"],
+    "rumjatar": ["RUM"],
+    "dang": ["DNP"],
+    "rukumkot": ["RUK"],
+    "jumla": ["JUM"],
+    "taplejung": ["TPJ"],
+    "tumling tar": ["TMI"],
+    "surkhet": ["SKH"],
+    "simikot": ["IMK"],
+    "dolpa": ["DOP"],
+    "bajhang": ["BJH"],
+    "dhangarhi": ["DHI"],
+    "muan": ["MWX"],
+    "astypalaia": ["JTY"],
+    "ikaria": ["JIK"],
+    "kalymnos": ["JKL"],
+    "milos": ["MLO"],
+    "cyclades islands": ["JNX"],
+    "paros": ["PAS"],
+    "kastelorizo": ["KZS"],
+    "marsa alam": ["RMF"],
+    "weeze": ["NRN"],
+    "busuanga": ["USU"],
+    "butuan": ["BXU"],
+    "dipolog": ["DPL"],
+    "laoag": ["LAO"],
+    "legazpi": ["LGP"],
+    "ozamis": ["OZC"],
+    "cebu": ["CEB"],
+    "norden": ["NOD"],
+    "juist": ["JUI"],
+    "porto seguro": ["BPS"],
+    "iguatu": ["QIG"],
+    "palmas": ["PMW"],
+    "caldas novas": ["CLV"],
+    "missoula": ["MSO"],
+    "blackall": ["BKQ"],
+    "bundaberg": ["BDB"],
+    "grand canyon": ["GCN"],
+    "sugar land": ["SGR"],
+    "fort stockton": ["FST"],
+    "las cruces": ["LRU"],
+    "breckenridge": ["BKD"],
+    "temple": ["TPL"],
+    "ozona": ["OZA"],
+    "kaadedhdhoo": ["KDM"],
+    "aklavik": ["LAK"],
+    "deline": ["YWJ"],
+    "tulita": ["ZFN"],
+    "fort good hope": ["YGH"],
+    "tanna": ["TAH"],
+    "paulatuk": ["YPC"],
+    "saba": ["SAB"],
+    "vail": ["EGE"],
+    "stokmarknes": ["SKN"],
+    "richmond heights": ["CGF"],
+    "mansfield": ["MFD"],
+    "lawton": ["LAW"],
+    "fort collins": ["FNL"],
+    "flagstaff": ["FLG"],
+    "south lake tahoe": ["TVL"],
+    "twin falls": ["TWF"],
+    "vineyard haven ma": ["MVY"],
+    "concord nh": ["CON"],
+    "groton ct": ["GON"],
+    "saint cloud": ["STC"],
+    "columbus mississippi": ["GTR"],
+    "nizhniy novgorod": ["GOJ"],
+    "hoquiam": ["HQM"],
+    "erie": ["ERI"],
+    "barnstable": ["HYA"],
+    "sedona": ["SDX"],
+    "morgantown": ["MGW"],
+    "scranton": ["AVP"],
+    "bemidji": ["BJI"],
+    "biloela": ["THG"],
+    "apia": ["FGI"],
+    "ballina byron bay": ["BNK"],
+    "fargo": ["FAR"],
+    "ratanakiri": ["RBE"],
+    "gillette": ["GCC"],
+    "tomsk": ["TOF"],
+    "phetchabun": ["PHY"],
+    "chumphon": ["CJM"],
+    "jiuzhaigou": ["JZH"],
+    "shantou": ["SWA"],
+    "ciudad del este": ["AGT"],
+    "kaieteur": ["KAI"],
+    "dunhuang": ["DNH"],
+    "ancona": ["AOI"],
+    "taba": ["TCP"],
+    "little cayman": ["LYB"],
+    "tabarka": ["TBJ"],
+    "state college pennsylvania": ["SCE"],
+    "broome": ["BME"],
+    "klagenfurt": ["KLU"],
+    "hammerfest": ["HFT"],
+    "honningsvag": ["HVG"],
+    "mehamn": ["MEH"],
+    "vadsø": ["VDS"],
+    "tehran": ["IKA"],
+    "mashhad": ["MHD"],
+    "ust ilimsk": ["UIK"],
+    "meridian": ["MEI"],
+    "springfield": ["SPI","SGF","SGH"],
+    "cortez": ["CEZ"],
+    "hayden": ["HDN"],
+    "gallup": ["GUP"],
+    "liberal": ["LBL"],
+    "lamar": ["LAA"],
+    "goodland": ["GLD"],
+    "cody": ["COD"],
+    "orsta-volda": ["HOV"],
+    "st mary\\'s": ["ISC"],
+    "narvik": ["NVK"],
+    "berlevag": ["BVG"],
+    "norilsk": ["NSK"],
+    "anapa": ["AAQ"],
+    "joplin": ["JLN"],
+    "allentown": ["ABE"],
+    "bentonville": ["XNA"],
+    "atyrau": ["GUW"],
+    "kzyl-orda": ["KZO"],
+    "south bend": ["SBN"],
+    "arkhangelsk": ["ARH","LDG"],
+    "saratov": ["RTW"],
+    "novy urengoy": ["NUX"],
+    "noyabrsk": ["NOJ"],
+    "aktau": ["SCO"],
+    "ukhta": ["UCT"],
+    "usinsk": ["USK"],
+    "pechora": ["PEX"],
+    "naryan-mar": ["NNM"],
+    "pskov": ["PKV"],
+    "kogalym": ["KGP"],
+    "krasnoyarsk": ["KJA"],
+    "karaganda": ["KGF"],
+    "uraj": ["URJ"],
+    "ivanovo": ["IWA"],
+    "changchun": ["CGQ"],
+    "niigata": ["KIJ"],
+    "johnston island": ["JON"],
+    "fort wayne in": ["SMD"],
+    "arcata ca": ["ACV"],
+    "jacksonville nc": ["OAJ"],
+    "tuscaloosa al": ["TCL"],
+    "dubuque ia": ["DBQ"],
+    "atoifi": ["ATD"],
+    "auki": ["AKS"],
+    "ballalae": ["BAS"],
+    "fera island": ["FRE"],
+    "mbambanakira": ["MBU"],
+    "kirakira": ["IRA"],
+    "santa cruz/graciosa bay/luova": ["SCZ"],
+    "munda": ["MUA"],
+    "gizo": ["GZO"],
+    "stirling island": ["MNY"],
+    "rennell island": ["RNL"],
+    "marau": ["RUS"],
+    "suavanao": ["VAO"],
+    "kagau island": ["KGE"],
+    "ramata": ["RBV"],
+    "buka island": ["BUA"],
+    "kundiawa": ["CMU"],
+    "daru": ["DAU"],
+    "gurney": ["GUR"],
+    "girua": ["PNP"],
+    "hoskins": ["HKN"],
+    "kiunga": ["UNG"],
+    "kikori": ["KRI"],
+    "kerema": ["KMA"],
+    "kavieng": ["KVG"],
+    "mendi": ["MDU"],
+    "momote": ["MAS"],
+    "moro": ["MXH"],
+    "misima island": ["MIS"],
+    "tari": ["TIZ"],
+    "tabubil": ["TBG"],
+    "tokua": ["RAB"],
+    "vanimo": ["VAI"],
+    "wapenamanda": ["WBM"],
+    "alluitsup paa": ["LLU"],
+    "neerlerit inaat": ["CNP"],
+    "paamiut": ["JFR"],
+    "qeqertarsuaq airport": ["JGO"],
+    "qaqortoq": ["JJU"],
+    "maniitsoq": ["JSU"],
+    "nanortalik": ["JNN"],
+    "narsaq": ["JNS"],
+    "qaanaaq": ["NAQ"],
+    "sisimiut": ["JHS"],
+    "upernavik": ["JUV"],
+    "uummannaq": ["JQA","UMD"],
+    "grímsey": ["GRY"],
+    "thorshofn": ["THO"],
+    "vopnafjörður": ["VPN"],
+    "whistler": ["YWS"],
+    "anahim lake": ["YAA"],
+    "williams harbour": ["YWM"],
+    "st. lewis": ["YFX"],
+    "port hope simpson": ["YHA"],
+    "rigolet": ["YRG"],
+    "colville lake": ["YCK"],
+    "whatì": ["YLE"],
+    "summer beaver": ["SUR"],
+    "angling lake": ["YAX"],
+    "wunnumin lake": ["WNN"],
+    "north spirit lake": ["YNO"],
+    "bearskin lake": ["XBE"],
+    "kingfisher lake": ["KIF"],
+    "ogoki post": ["YOG"],
+    "poplar hill": ["YHP"],
+    "chisasibi": ["YKU"],
+    "tête-à-la-baleine": ["ZTB"],
+    "la tabatière": ["ZLT"],
+    "cat lake": ["YAC"],
+    "fort frances": ["YAG"],
+    "kasabonika": ["XKS"],
+    "kangirsuk": ["YKG"],
+    "attawapiskat": ["YAT"],
+    "uranium city": ["YBE"],
+    "lourdes-de-blanc-sablon": ["YBX"],
+    "cartwright": ["YRF"],
+    "chesterfield inlet": ["YCS"],
+    "nain": ["YDP"],
+    "fort severn": ["YER"],
+    "fort albany": ["YFA"],
+    "fort hope": ["YFH"],
+    "makkovik": ["YMN"],
+    "texada": ["YGB"],
+    "gods lake narrows": ["YGO"],
+    "igloolik": ["YGT"],
+    "kuujjuarapik": ["YGW"],
+    "gillam": ["YGX"],
+    "grise fiord": ["YGZ"],
+    "quaqtaq": ["YQC"],
+    "nemiscau": ["YNS"],
+    "hopedale": ["YHO"],
+    "chevery": ["YHR"],
+    "ivujivik": ["YIK"],
+    "island lake": ["YIV"],
+    "akulivik": ["AKV"],
+    "waskaganish": ["YKQ"],
+    "aupaluk": ["YPJ"],
+    "kimmirut": ["YLC"],
+    "lansdowne house": ["YLH"],
+    "kangiqsualujjuaq": ["XGR"],
+    "mary's harbour": ["YMH"],
+    "chibougamau": ["YMT"],
+    "umiujaq": ["YUD"],
+    "wemindji": ["YNC"],
+    "norway house": ["YNE"],
+    "points north landing": ["YNL"],
+    "oxford house": ["YOH"],
+    "inukjuak": ["YPH"],
+    "pikangikum": ["YPM"],
+    "peawanuck": ["YPO"],
+    "powell river": ["YPW"],
+    "the pas": ["YQD"],
+    "nakina": ["YQN"],
+    "gamètì": ["YRA"],
+    "red lake": ["YRL"],
+    "stony rapids": ["YSF"],
+    "sanikiluaq": ["YSK"],
+    "st. theresa point": ["YST"],
+    "big trout lake": ["YTL"],
+    "webequie": ["YWP"],
+    "whale cove": ["YXN"],
+    "salluit": ["YZG"],
+    "york landing": ["ZAC"],
+    "ilford": ["ILF"],
+    "bathurst": ["ZBF","BHS"],
+    "eastmain river": ["ZEM"],
+    "fond-du-lac": ["ZFD"],
+    "gods river": ["ZGI"],
+    "swan river": ["ZJN"],
+    "kashechewan": ["ZKE"],
+    "muskrat dam": ["MSA"],
+    "masset": ["ZMT"],
+    "sachigo lake": ["ZPB"],
+    "round lake": ["ZRJ"],
+    "sandy lake": ["ZSJ"],
+    "shamattawa": ["ZTM"],
+    "churchill falls": ["ZUM"],
+    "wollaston lake": ["ZWL"],
+    "batna": ["BLJ"],
+    "béchar": ["CBH"],
+    "bordj badji mokhtar": ["BMW"],
+    "guemar": ["ELU"],
+    "kumasi": ["KMS"],
+    "heringsdorf": ["HDF"],
+    "büsum": ["HEI"],
+    "helgoland": ["HGL"],
+    "seinäjoki / ilmajoki": ["SJY"],
+    "nottingham": ["NQT"],
+    "doncaster, sheffield": ["DSA"],
+    "campbeltown": ["CAL"],
+    "eday": ["EOI"],
+    "fair isle": ["FIE"],
+    "north ronaldsay": ["NRL"],
+    "papa westray": ["PPW"],
+    "stronsay": ["SOY"],
+    "sanday": ["NDY"],
+    "lerwick": ["LWK"],
+    "westray": ["WRY"],
+    "land's end": ["LEQ"],
+    "penzance": ["PZE"],
+    "angelsey": ["VLY"],
+    "barra": ["BRR"],
+    "dongloe": ["CFN"],
+    "sindal": ["CNL"],
+    "leknes": ["LKN"],
+    "namsos": ["OSY"],
+    "mo i rana": ["MQN"],
+    "rørvik": ["RVK"],
+    "røst": ["RET"],
+    "sandane": ["SDN"],
+    "sogndal": ["SOG"],
+    "svolvær": ["SVJ"],
+    "sorkjosen": ["SOJ"],
+    "vardø": ["VAW"],
+    "værøy": ["VRY"],
+    "bydgoszcz": ["BZG"],
+    "lodz": ["LCJ"],
+    "östersund": ["OSD"],
+    "hagfors": ["HFS"],
+    "karlstad": ["KSD"],
+    "torsby": ["TYF"],
+    "ängelholm": ["AGH"],
+    "mohed": ["SQO"],
+    "hemavan": ["HMV"],
+    "ventspils": ["VNT"],
+    "mpumalanga": ["MQP"],
+    "malamala": ["AAM"],
+    "mafeking": ["MBD"],
+    "ghanzi": ["GNZ"],
+    "orapa": ["ORP"],
+    "shakawe": ["SWX"],
+    "tuli lodge": ["TLD"],
+    "loubomo": ["DIS"],
+    "chipata": ["CIP"],
+    "antsalova": ["WAQ"],
+    "ankavandra": ["JVA"],
+    "belo sur tsiribihina": ["BMD"],
+    "maintirano": ["MXT"],
+    "morafenobe": ["TVA"],
+    "tambohorano": ["WTA"],
+    "tsiroanomandidy": ["WTS"],
+    "ambatondrazaka": ["WAM"],
+    "port bergé": ["WPB"],
+    "soalala": ["DWB"],
+    "mampikony": ["WMP"],
+    "mandritsara": ["WMA"],
+    "manja": ["MJA"],
+    "catumbela": ["CBT"],
+    "dundo": ["DUE"],
+    "ondjiva": ["VPE"],
+    "mocamedes": ["MSZ"],
+    "koulamoutou": ["KOU"],
+    "mouila": ["MJL"],
+    "tchibanga": ["TCH"],
+    "chimoio": ["VPY"],
+    "sarh": ["SRH"],
+    "club makokola": ["CMK"],
+    "luderitz": ["LUD"],
+    "ondangwa": ["OND"],
+    "oranjemund": ["OMD"],
+    "swakopmund": ["SWP"],
+    "boma": ["BOA"],
+    "matadi": ["MAT"],
+    "inongo": ["INO"],
+    "nioki": ["NIO"],
+    "kiri": ["KRZ"],
+    "basankusu": ["BSU"],
+    "tshikapa": ["TSH"],
+    "lodja": ["LJA"],
+    "ilebo": ["PFR"],
+    "outer skerries": ["OUK"],
+    "la gomera": ["GMZ"],
+    "bonthe": ["BTE"],
+    "bo": ["KBS"],
+    "kenema": ["KEN"],
+    "bissau": ["OXB"],
+    "smara": ["SMW"],
+    "dakhla": ["VIL"],
+    "essadouira": ["ESU"],
+    "el aaiún": ["EUN"],
+    "el aroui": ["NDR"],
+    "praia, santiago island": ["RAI"],
+    "sao filipe, fogo island": ["SFL"],
+    "baco": ["BCO"],
+    "beica": ["BEI"],
+    "dessie": ["DSE"],
+    "dembidollo": ["DEM"],
+    "gode": ["GDE"],
+    "gore": ["GOR"],
+    "kabri dehar": ["ABK"],
+    "mizan teferi": ["MTF"],
+    "tippi": ["TIE"],
+    "alula": ["ALU"],
+    "bosaso": ["BSA"],
+    "mogadishu": ["MGQ"],
+    "galcaio": ["GLK"],
+    "burao": ["BUO"],
+    "el arish": ["AAC"],
+    "asyut": ["ATZ"],
+    "amboseli national park": ["ASV"],
+    "lokichoggio": ["LKG"],
+    "malindi": ["MYD"],
+    "nanyuki": ["NYK"],
+    "sirt": ["SRX"],
+    "tobruk": ["TOB"],
+    "al bayda'": ["LAQ"],
+    "atbara": ["ATB"],
+    "nyala": ["UYL"],
+    "port sudan": ["PZU"],
+    "bukoba": ["BKZ"],
+    "kigoma": ["TKQ"],
+    "lindi": ["LDI"],
+    "musoma": ["MUZ"],
+    "shinyanga": ["SHY"],
+    "tabora": ["TBO"],
+    "arua": ["RUA"],
+    "gulu": ["ULU"],
+    "diu": ["DIU"],
+    "walla walla": ["ALW"],
+    "alpena": ["APN"],
+    "bradford": ["BFD"],
+    "scottsbluff": ["BFF"],
+    "beckley": ["BKW"],
+    "brunswick": ["BQK","SSI","NHZ"],
+    "crescent city": ["CEC"],
+    "cape girardeau": ["CGI"],
+    "sault ste marie": ["CIU"],
+    "clarksburg": ["CKB"],
+    "port angeles": ["CLM"],
+    "hancock": ["CMX"],
+    "dodge city": ["DDC"],
+    "du bois": ["DUJ"],
+    "eau claire": ["EAU"],
+    "elko": ["EKO"],
+    "new bedford": ["EWB"],
+    "grand island": ["GRI"],
+    "hot springs": ["HOT"],
+    "huntington": ["HTS"],
+    "kili island": ["KIO"],
+    "kirksville": ["IRK"],
+    "jamestown": ["JMS","JHW"],
+    "laramie": ["LAR"],
+    "latrobe": ["LBE"],
+    "north platte": ["LBF"],
+    "lebanon": ["LEB"],
+    "klamath falls": ["LMT"],
+    "lancaster": ["LNS","WJF"],
+    "lewistown": ["LWT"],
+    "lynchburg": ["LYH"],
+    "muskegon": ["MKG"],
+    "miles city": ["MLS"],
+    "muscle shoals": ["MSL"],
+    "north bend": ["OTH"],
+    "owensboro": ["OWB"],
+    "hattiesburg/laurel": ["PIB"],
+    "pocatello": ["PIH"],
+    "pierre": ["PIR"],
+    "pellston": ["PLN"],
+    "portsmouth": ["PSM","PMH"],
+    "reading": ["RDG"],
+    "rhinelander": ["RHI"],
+    "rock springs": ["RKS"],
+    "rutland": ["RUT"],
+    "san luis obispo": ["SBP"],
+    "sheridan": ["SHR"],
+    "saranac lake": ["SLK"],
+    "salina": ["SLN"],
+    "santa maria": ["SMX","RIA"],
+    "tupelo": ["TUP"],
+    "quincy": ["UIN"],
+    "worland": ["WRL"],
+    "yakima": ["YKM"],
+    "nicosia": ["ECN"],
+    "logroño-agoncillo": ["RJL"],
+    "île d'yeu": ["IDY"],
+    "angers/marcé": ["ANE"],
+    "la môle": ["LTT"],
+    "syros island": ["JSY"],
+    "pécs-pogány": ["PEV"],
+    "sármellék": ["SOB"],
+    "aosta": ["AOT"],
+    "salerno": ["QSR"],
+    "corvo": ["CVU"],
+    "banja luka": ["BNX"],
+    "usak": ["USQ"],
+    "kars": ["KSY"],
+    "sanliurfa": ["SFQ","GNY"],
+    "kahramanmaras": ["KCM"],
+    "agri": ["AJI"],
+    "adiyaman": ["ADF"],
+    "isparta": ["ISE"],
+    "balikesir korfez": ["EDO"],
+    "samsun": ["SZF"],
+    "žilina": ["ILZ"],
+    "middle caicos": ["MDS"],
+    "salt cay": ["SLX"],
+    "samana": ["AZS"],
+    "la isabela": ["JBQ"],
+    "puerto barrios": ["PBR"],
+    "quezaltenango": ["AAZ"],
+    "utirik island": ["UTK"],
+    "ahuas": ["AHS"],
+    "puerto lempira": ["PEU"],
+    "mili island": ["MIJ"],
+    "celaya": ["CYW"],
+    "ciudad constitución": ["CUA"],
+    "guerrero negro": ["GUB"],
+    "jalapa": ["JAL"],
+    "chitré": ["CTD"],
+    "colón": ["ONX"],
+    "jaqué": ["JQE"],
+    "la palma": ["PLP"],
+    "roxana": ["TTQ"],
+    "pococi": ["BCL"],
+    "nandayure": ["PBP"],
+    "puerto jimenez": ["PJM"],
+    "jeremie": ["JEE"],
+    "port-de-paix": ["PAX"],
+    "andros": ["COX"],
+    "arthur's town": ["ATC"],
+    "cat island": ["TBI"],
+    "colonel hill": ["CRI"],
+    "atiu island": ["AIU"],
+    "mangaia island": ["MGS"],
+    "manihiki island": ["MHX"],
+    "mauke island": ["MUK"],
+    "mitiaro island": ["MOI"],
+    "penrhyn island": ["PYE"],
+    "cicia": ["ICI"],
+    "malolo lailai island": ["PTF"],
+    "vunisea": ["KDV"],
+    "mana island": ["MNF"],
+    "moala": ["MFJ"],
+    "ngau": ["NGI"],
+    "lakeba island": ["LKB"],
+    "lambasa": ["LBS"],
+    "matei": ["TVU"],
+    "koro island": ["KXF"],
+    "rotuma": ["RTA"],
+    "savusavu": ["SVU"],
+    "eua island": ["EUA"],
+    "lifuka": ["HPA"],
+    "angaha, niuafo'ou island": ["NFO"],
+    "niuatoputapu": ["NTT"],
+    "vanua balavu": ["VBV"],
+    "alofi": ["IUE"],
+    "futuna island": ["FUT","FTA"],
+    "savaii island": ["MXS"],
+    "apataki": ["APK"],
+    "ahe": ["AHE"],
+    "hiva-oa": ["AUQ"],
+    "ua pou": ["UAP"],
+    "ua huka": ["UAH"],
+    "ablow": ["MTV"],
+    "sola": ["SLH"],
+    "loh/linua": ["TOH"],
+    "sangafa": ["EAE"],
+    "craig cove": ["CCV"],
+    "longana": ["LOD"],
+    "pentecost island": ["SSR"],
+    "paama island": ["PBJ"],
+    "lamap": ["LPM"],
+    "lamen bay": ["LNB"],
+    "maewo island": ["MWF"],
+    "lonorore": ["LNE"],
+    "norsup": ["NUS"],
+    "gaua island": ["ZGU"],
+    "redcliffe": ["RCL"],
+    "santo": ["SON"],
+    "tongoa island": ["TGH"],
+    "ambryn island": ["ULB"],
+    "valesdir": ["VLS"],
+    "malekula island": ["SWJ"],
+    "olpoi": ["OLJ"],
+    "anelghowhat": ["AUY"],
+    "aniwa": ["AWD"],
+    "dillon's bay": ["DLY"],
+    "ipota": ["IPA"],
+    "tiga": ["TGJ"],
+    "waala": ["BMY"],
+    "île des pins": ["ILP"],
+    "faizabad": ["FBD"],
+    "al-jawf": ["AJF"],
+    "wadi-al-dawasir": ["WAE"],
+    "khorram abad": ["KHD"],
+    "bam": ["BXR"],
+    "rafsanjan": ["RJN"],
+    "bojnourd": ["BJB"],
+    "sabzevar": ["AFZ"],
+    "noshahr": ["NSH"],
+    "dasht-e-naz": ["SRY"],
+    "lar": ["LRR"],
+    "ardabil": ["ADU"],
+    "uromiyeh": ["OMH"],
+    "al ain": ["AAN"],
+    "bannu": ["BNP"],
+    "bahawalpur": ["BHV"],
+    "chitral": ["CJL"],
+    "dalbandin": ["DBA"],
+    "dera ghazi khan": ["DEA"],
+    "dera ismael khan": ["DSK"],
+    "jiwani": ["JIW"],
+    "khuzdar": ["KDD"],
+    "ormara raik": ["ORW"],
+    "parachinar": ["PAJ"],
+    "skardu": ["KDU"],
+    "sehwan sharif": ["SYW"],
+    "turbat": ["TUK"],
+    "sulaymaniyah": ["ISU"],
+    "kamishly": ["KAC"],
+    "sayun intl": ["GXF"],
+    "adak island": ["ADK"],
+    "gustavus": ["GST"],
+    "skagway": ["SGY"],
+    "holy cross": ["HCR"],
+    "haines": ["HNS"],
+    "kalskag": ["KLG"],
+    "mcgrath": ["MCG"],
+    "mountain village": ["MOU"],
+    "aniak": ["ANI"],
+    "chevak": ["VAK"],
+    "wrangell": ["WRG"],
+    "balimo": ["OPU"],
+    "baimuru": ["VMU"],
+    "eniwetok atoll": ["ENT"],
+    "matsu islands": ["LZN","MFK"],
+    "hengchun": ["HCN"],
+    "kushiro": ["KUH"],
+    "saga": ["HSG"],
+    "iwami": ["IWJ"],
+    "fukushima": ["FKS"],
+    "odate noshiro": ["ONJ"],
+    "shonai": ["SYO"],
+    "miyakejima": ["MYE"],
+    "kunsan": ["KUV"],
+    "mokpo": ["MPK"],
+    "wonju": ["WJU"],
+    "sokcho / gangneung": ["YNY"],
+    "sacheon": ["HIN"],
+    "chongju": ["CJJ"],
+    "olongapo city": ["SFS"],
+    "cuyo": ["CYU"],
+    "camiguin": ["CGM"],
+    "jolo": ["JOL"],
+    "sanga sanga": ["TWT"],
+    "sangley point": ["SUG"],
+    "tandag": ["TDG"],
+    "naga": ["WNP"],
+    "basco": ["BSO"],
+    "tuguegarao": ["TUG"],
+    "virac": ["VRC"],
+    "calbayog city": ["CYP"],
+    "catarman": ["CRM"],
+    "masbate": ["MBT"],
+    "roxas city": ["RXS"],
+    "tartagal": ["TTG"],
+    "las heras": ["LHS"],
+    "san antonio oeste": ["OES"],
+    "gobernador gregores": ["GGS"],
+    "santa teresita": ["SST"],
+    "necochea": ["NEC"],
+    "juazeiro do norte": ["JDO"],
+    "lençóis": ["LEC"],
+    "macaé": ["MEA"],
+    "marília": ["MII"],
+    "vitória da conquista": ["VDC"],
+    "el salvador": ["ESR"],
+    "pucon": ["ZPC"],
+    "sorocaba": ["SOD"],
+    "san cristóbal": ["SCY"],
+    "la toma (catamayo)": ["LOH"],
+    "esmeraldas": ["ESM"],
+    "stanley": ["PSY"],
+    "cartago": ["CRC"],
+    "puerto leguízamo": ["LQM"],
+    "la pedrera": ["LPD"],
+    "nuquí": ["NQU"],
+    "puerto inírida": ["PDA"],
+    "yopal": ["EYP"],
+    "guayaramerín": ["GYA"],
+    "puerto rico/manuripi": ["PUR"],
+    "riberalta": ["RIB"],
+    "reyes": ["REY"],
+    "san borja": ["SRJ"],
+    "paramaribo": ["ORG"],
+    "mucuri": ["MVS"],
+    "cajamarca": ["CJA"],
+    "huánuco": ["HUU"],
+    "nazca": ["NZC"],
+    "maracay": ["MYC"],
+    "el vigía": ["VIG"],
+    "ji-paraná": ["JPR"],
+    "codrington": ["BBQ"],
+    "grande anse": ["DSD"],
+    "st-françois": ["SFC"],
+    "grand bourg": ["GBJ"],
+    "charlestown": ["NEV"],
+    "spanish town": ["VIJ"],
+    "bequia": ["BQU"],
+    "union island": ["UNI"],
+    "kokshetau": ["KOV"],
+    "petropavlosk": ["PPK"],
+    "zhezkazgan": ["DZN"],
+    "ust kamenogorsk": ["UKK"],
+    "kostanay": ["KSN"],
+    "ganja": ["KVD"],
+    "nakhchivan": ["NAJ"],
+    "neryungri": ["NER"],
+    "yakutia": ["PYJ"],
+    "chokurdah": ["CKH"],
+    "cherskiy": ["CYX"],
+    "tiksi": ["IKS"],
+    "komsomolsk-on-amur": ["KXK"],
+    "anadyr": ["DYR"],
+    "okhotsk": ["OHO"],
+    "ujae atoll": ["UJE"],
+    "mariupol international": ["MPW"],
+    "lugansk": ["VSG"],
+    "zaporozhye": ["OZH"],
+    "krivoy rog": ["KWG"],
+    "kharkov": ["HRK"],
+    "ivano-frankivsk": ["IFO"],
+    "chernovtsk": ["CWC"],
+    "rivne": ["RWN"],
+    "uzhgorod": ["UDJ"],
+    "solovetsky islands": ["CSH"],
+    "cherepovets": ["CEE"],
+    "amderma": ["AMV"],
+    "kotlas": ["KSZ"],
+    "petrozavodsk": ["PES"],
+    "hrodna": ["GNA"],
+    "mogilev": ["MVQ"],
+    "yeniseysk": ["EIE"],
+    "kyzyl": ["KYZ"],
+    "novokuznetsk": ["NOZ"],
+    "khatanga": ["HTG"],
+    "igarka": ["IAA"],
+    "nalchik": ["NAL"],
+    "beslan": ["OGZ"],
+    "elista": ["ESL"],
+    "aleknagik": ["WKK"],
+    "bluefield": ["BLF"],
+    "pasco": ["PSC"],
+    "akutan": ["KQA"],
+    "lopez": ["LPS"],
+    "salekhard": ["SLY"],
+    "khanty-mansiysk": ["HMA"],
+    "nyagan": ["NYA"],
+    "sovetskiy": ["OVS"],
+    "izhevsk": ["IJK"],
+    "kirov": ["KVX"],
+    "nadym": ["NYM"],
+    "raduzhnyi": ["RAT"],
+    "nefteyugansk": ["NFG"],
+    "kurgan": ["KRO"],
+    "khudzhand": ["LBD"],
+    "andizhan": ["AZN"],
+    "fergana": ["FEG"],
+    "namangan": ["NMA"],
+    "nukus": ["NCU"],
+    "urgench": ["UGC"],
+    "khanabad": ["KSQ"],
+    "termez": ["TMJ"],
+    "rybinsk": ["RYB"],
+    "belgorod": ["EGO"],
+    "kursk": ["URS"],
+    "lipetsk": ["LPK"],
+    "vorkuta": ["VKT"],
+    "bugulma": ["UUA"],
+    "yoshkar-ola": ["JOK"],
+    "cheboksary": ["CSY"],
+    "ulyanovsk": ["ULY","ULV"],
+    "orsk": ["OSW"],
+    "penza": ["PEZ"],
+    "saransk": ["SKX"],
+    "balakovo": ["BWO"],
+    "hubli": ["HBX"],
+    "koggala": ["KCT"],
+    "wirawila": ["WRZ"],
+    "battambang": ["BBM"],
+    "shillong": ["SHL"],
+    "guwahati": ["GAU"],
+    "dimapur": ["DMU"],
+    "tezpur": ["TEZ"],
+    "barisal": ["BZL"],
+    "huay xai": ["HOE"],
+    "bharatpur": ["BHR"],
+    "chandragarhi": ["BDP"],
+    "meghauli": ["MEY"],
+    "nepalgunj": ["KEP"],
+    "gan island": ["GAN"],
+    "haa dhaalu atoll": ["HAQ"],
+    "laamu atoll": ["KDO"],
+    "tak": ["MAQ","TKT"],
+    "buonmethuot": ["BMV"],
+    "haiphong": ["HPH"],
+    "nha trang": ["CXR"],
+    "conson": ["VCS"],
+    "can tho": ["VCA"],
+    "dienbienphu": ["DIN"],
+    "phucat": ["UIH"],
+    "pleiku": ["PXU"],
+    "vinh": ["VII"],
+    "banmaw": ["BMO"],
+    "dawei": ["TVY"],
+    "kawthoung": ["KAW"],
+    "loikaw": ["LIW"],
+    "mawlamyine": ["MNU"],
+    "pathein": ["BSX"],
+    "pakhokku": ["PKK"],
+    "sumbawa island": ["SWQ"],
+    "waikabubak-sumba island": ["TMC"],
+    "bokondini-papua island": ["BUI"],
+    "senggeh-papua island": ["SEH"],
+    "tanjung selor-borneo island": ["TJS"],
+    "datadawai-borneo island": ["DTD"],
+    "tanjung redep-borneo island": ["BEJ"],
+    "tanjung-borneo island": ["TJG"],
+    "sampit-borneo island": ["SMQ"],
+    "langgur-kei islands": ["LUV"],
+    "alor island": ["ARD"],
+    "belaga": ["BLG"],
+    "long datih": ["LGL"],
+    "long seridan": ["ODN"],
+    "mukah": ["MKM"],
+    "bakalalan": ["BKM"],
+    "lawas": ["LWY"],
+    "bario": ["BBN"],
+    "tomanggong": ["TMG"],
+    "kudat": ["KUD"],
+    "bandar lampung-sumatra island": ["TKG"],
+    "ranai-natuna besar island": ["NTX"],
+    "putussibau-borneo island": ["PSU"],
+    "sintang-borneo island": ["SQG"],
+    "talang gudang-sumatra island": ["PDO"],
+    "lhok seumawe-sumatra island": ["LSW"],
+    "pangkor island": ["PKG"],
+    "long bawan-borneo island": ["LBW"],
+    "nunukan-nunukan island": ["NNX"],
+    "long apung-borneo island": ["LPU"],
+    "argyle": ["GYL","PUG"],
+    "aurukun": ["AUU"],
+    "barcaldine": ["BCI"],
+    "badu island": ["BDD"],
+    "birdsville": ["BVI"],
+    "broken hill": ["BHQ"],
+    "hamilton island": ["HTI"],
+    "bedourie": ["BEU"],
+    "bourke": ["BRK"],
+    "burketown": ["BUC"],
+    "boigu": ["GIC"],
+    "oakey": ["OKY"],
+    "boulia": ["BQL"],
+    "blackwater": ["BLT"],
+    "carnarvon": ["CVQ"],
+    "cobar": ["CAZ"],
+    "coober pedy": ["CPD"],
+    "coconut island": ["CNC"],
+    "cloncurry": ["CNJ"],
+    "ceduna": ["CED"],
+    "cooktown": ["CTN"],
+    "cunnamulla": ["CMA"],
+    "coonamble": ["CNB"],
+    "coen": ["CUQ"],
+    "cooma": ["OOM"],
+    "doomadgee": ["DMD"],
+    "darnley island": ["NLF"],
+    "devonport": ["DPO"],
+    "elcho island": ["ELC"],
+    "esperance": ["EPR"],
+    "flinders island": ["FLS"],
+    "gladstone": ["GLT"],
+    "groote eylandt": ["GTE"],
+    "griffith": ["GFF"],
+    "horn island": ["HID"],
+    "hooker creek": ["HOK"],
+    "mount hotham": ["MHU"],
+    "hughenden": ["HGD"],
+    "julia creek": ["JCK"],
+    "kalbarri": ["KAX"],
+    "king island": ["KNS"],
+    "kalkgurung": ["KFG"],
+    "karumba": ["KRB"],
+    "kowanyama": ["KWM"],
+    "kubin": ["KUG"],
+    "leonora": ["LNO"],
+    "lake evella": ["LEL"],
+    "lord howe island": ["LDH"],
+    "lockhart river": ["IRG"],
+    "lismore": ["LSY"],
+    "lightning ridge": ["LHG"],
+    "longreach": ["LRE"],
+    "leinster": ["LER"],
+    "laverton": ["LVO"],
+    "mabuiag island": ["UBB"],
+    "meekatharra": ["MKR"],
+    "merimbula": ["MIM"],
+    "milingimbi": ["MGT"],
+    "maningrida": ["MNG"],
+    "mcarthur river mine": ["MCV"],
+    "mildura": ["MQL"],
+    "mount magnet": ["MMG"],
+    "moree": ["MRZ"],
+    "moranbah": ["MOV"],
+    "moruya": ["MYA"],
+    "mount gambier": ["MGB"],
+    "mornington island": ["ONG"],
+    "murray island": ["MYI"],
+    "maryborough": ["MBH"],
+    "narrandera": ["NRA"],
+    "narrabri": ["NAA"],
+    "normanton": ["NTN"],
+    "newman": ["ZNE"],
+    "olympic dam": ["OLP"],
+    "palm island": ["PMK"],
+    "paraburdoo": ["PBO"],
+    "cocos keeling island": ["CCK"],
+    "gove": ["GOV"],
+    "parkes": ["PKE"],
+    "port lincoln": ["PLO"],
+    "pormpuraaw": ["EDR"],
+    "port macquarie": ["PQQ"],
+    "quilpie": ["ULP"],
+    "ramingining": ["RAM"],
+    "roma": ["RMA"],
+    "st george": ["SGO"],
+    "shark bay": ["MJK"],
+    "saibai island": ["SBR"],
+    "strahan": ["SRN"],
+    "thargomindah": ["XTG"],
+    "tennant creek": ["TCA"],
+    "victoria river downs": ["VCD"],
+    "sue islet": ["SYU"],
+    "windorah": ["WNR"],
+    "whyalla": ["WYA"],
+    "wiluna": ["WUN"],
+    "wollongong": ["WOL"],
+    "winton": ["WIN"],
+    "burnie": ["BWT"],
+    "yorke island": ["OKR"],
+    "yam island": ["XMY"],
+    "chifeng": ["CIF"],
+    "changzhi": ["CIH"],
+    "datong": ["DAT"],
+    "hohhot": ["HET"],
+    "baotou": ["BAV"],
+    "shijiazhuang": ["SJW"],
+    "tongliao": ["TGO"],
+    "ulanhot": ["HLH"],
+    "xilinhot": ["XIL"],
+    "beihai": ["BHY"],
+    "changde": ["CGD"],
+    "dayong": ["DYG"],
+    "meixian": ["MXZ"],
+    "zhuhai": ["ZUH"],
+    "liuzhou": ["LZH"],
+    "zhanjiang": ["ZHA"],
+    "enshi": ["ENH"],
+    "nanyang": ["NNY"],
+    "xiangfan": ["XFN"],
+    "yichang": ["YIH"],
+    "ankang": ["AKA"],
+    "golmud": ["GOQ"],
+    "hanzhong": ["HZG"],
+    "qingyang": ["IQN"],
+    "xining": ["XNN"],
+    "yan'an": ["ENY"],
+    "yulin": ["UYN"],
+    "arvaikheer": ["AVK"],
+    "altai": ["LTI"],
+    "bayankhongor": ["BYN"],
+    "dalanzadgad": ["DLZ"],
+    "khovd": ["HVD"],
+    "muren": ["MXV"],
+    "shangri-la": ["DIG"],
+    "luxi": ["LUM"],
+    "simao": ["SYM"],
+    "zhaotong": ["ZAT"],
+    "ganzhou": ["KOW"],
+    "jingdezhen": ["JDZ"],
+    "jiujiang": ["JIU"],
+    "quzhou": ["JUZ"],
+    "lianyungang": ["LYG"],
+    "huangyan": ["HYN"],
+    "linyi": ["LYI"],
+    "quanzhou": ["JJN"],
+    "huangshan": ["TXN"],
+    "weifang": ["WEF"],
+    "weihai": ["WEH"],
+    "wuxi": ["WUX"],
+    "wuyishan": ["WUS"],
+    "wenzhou": ["WNZ"],
+    "yancheng": ["YNZ"],
+    "yiwu": ["YIW"],
+    "zhoushan": ["HSN"],
+    "bangda": ["BPX"],
+    "dazhou": ["DAX"],
+    "guangyuan": ["GYS"],
+    "luzhou": ["LZO"],
+    "mianyang": ["MIG"],
+    "nanchong": ["NAO"],
+    "nyingchi": ["LZY"],
+    "wanxian": ["WXN"],
+    "aksu": ["AKU"],
+    "qiemo": ["IQM"],
+    "kuqa": ["KCA"],
+    "korla": ["KRL"],
+    "karamay": ["KRY"],
+    "yining": ["YIN"],
+    "heihe": ["HEK"],
+    "jiamusi": ["JMU"],
+    "jinzhou": ["JNZ"],
+    "qiqihar": ["NDG"],
+    "yanji": ["YNJ"],
+    "waikoloa village": ["WKL"],
+    "mount keith": ["WME"],
+    "los roques": ["LRV"],
+    "inis mor": ["IOR"],
+    "indreabhan": ["NNR"],
+    "ruegen": ["GTI"],
+    "berezovo": ["EZV"],
+    "worcester": ["ORH"],
+    "anqing": ["AQG"],
+    "qinhuangdao": ["SHP"],
+    "yuncheng": ["YCU"],
+    "jiayuguan": ["JGN"],
+    "dandong": ["DDG"],
+    "dongsheng": ["DSN"],
+    "panzhihua": ["PZI"],
+    "bremerton": ["PWT"],
+    "spencer": ["SPW"],
+    "jefferson city": ["JEF"],
+    "unst": ["UNT"],
+    "provincetown": ["PVC"],
+    "gustavia": ["SBH"],
+    "kostroma": ["KMW"],
+    "sukhumi": ["SUI"],
+    "tambow": ["TBW"],
+    "north connel": ["OBN"],
+    "erechim": ["ERM"],
+    "courcheval": ["CVF"],
+    "fullerton": ["FUL"],
+    "concord": ["USA","CCR"],
+    "navoi": ["NVI"],
+    "setif": ["QSF"],
+    "la rochelle": ["LRH"],
+    "hailey": ["SUN"],
+    "mason city": ["MCW"],
+    "mesa": ["AZA","MSC"],
+    "saul": ["XAU"],
+    "anaktuvuk pass": ["AKP"],
+    "anvik": ["ANV"],
+    "atqasuk": ["ATK"],
+    "gambell": ["GAM"],
+    "hooper bay": ["HPB"],
+    "kaltag": ["KAL"],
+    "st mary's": ["KSM"],
+    "kivalina": ["KVL"],
+    "mekoryuk": ["MYU"],
+    "ruby": ["RBY"],
+    "shishmaref": ["SHH"],
+    "savoonga": ["SVA"],
+    "noatak": ["WTK"],
+    "ormoc city": ["OMC"],
+    "puvirnituq": ["YPX"],
+    "tasiujaq": ["YTQ"],
+    "arctic village": ["ARC"],
+    "imo": ["QOW"],
+    "la fortuna/san carlos": ["FON"],
+    "nicoya": ["TMU"],
+    "cauayan": ["CYZ"],
+    "apatity": ["KVK"],
+    "governador valadares": ["GVR"],
+    "port clarence": ["KPC"],
+    "pajala": ["PJA"],
+    "bella coola": ["QBC"],
+    "hagerstown": ["HGR"],
+    "gorakhpur": ["GOP"],
+    "sand point": ["SDP"],
+    "hami": ["HMI"],
+    "wuzhou": ["WUZ"],
+    "maragheh": ["ACP"],
+    "gorgan": ["GBT"],
+    "ilam": ["IIL"],
+    "parsabad": ["PFQ"],
+    "tacheng": ["TCG"],
+    "mardin": ["MQM"],
+    "zarafshan": ["AFS"],
+    "deering": ["DRG"],
+    "leon": ["LEN"],
+    "burgos": ["RGS"],
+    "sege": ["EGM"],
+    "shahre kord": ["CQD"],
+    "kangra": ["DHM"],
+    "nanded": ["NDC"],
+    "shimla": ["SLV"],
+    "igiugig": ["IGG"],
+    "new stuyahok": ["KNW"],
+    "king cove": ["KVC"],
+    "port heiden": ["PTH"],
+    "togiak village": ["TOG"],
+    "geneina": ["EGN"],
+    "long akah": ["LKH"],
+    "walaha": ["WLH"],
+    "chaoyang": ["CHG"],
+    "samburu south": ["UAS"],
+    "brus laguna": ["BHG"],
+    "bonaventure": ["YVB"],
+    "sialkot": ["SKT"],
+    "punta del este": ["PDP"],
+    "walvis bay": ["WVB"],
+    "mpacha": ["MPA"],
+    "eskissehir": ["AOE"],
+    "canakkale": ["CKZ"],
+    "mus": ["MSR"],
+    "sinop": ["NOP","OPS"],
+    "çorlu": ["TEQ"],
+    "yenisehir": ["YEI"],
+    "les saintes": ["LSS"],
+    "kalemyo": ["KMV"],
+    "vieques island": ["VQS"],
+    "st-augustin": ["YIF"],
+    "hamadan": ["HDM"],
+    "gasan": ["MRQ"],
+    "grafton": ["GFN"],
+    "taree": ["TRO"],
+    "choibalsan": ["COQ"],
+    "hohenems": ["HOH"],
+    "escanaba": ["ESC"],
+    "yakutat": ["YAK"],
+    "goulburn": ["GUL"],
+    "cessnock": ["CES"],
+    "scone": ["NSO"],
+    "mudgee": ["DGE"],
+    "maitland": ["MTL"],
+    "culebra island": ["CPX"],
+    "marion": ["MWA"],
+    "fraser island": ["OCN"],
+    "kirkuk": ["KIK"],
+    "claris": ["GBZ"],
+    "iron mountain": ["IMT"],
+    "allakaket": ["AET"],
+    "michigan city": ["MGC"],
+    "seward": ["SWD"],
+    "grand marais": ["GRM"],
+    "wausau": ["AUW"],
+    "mary": ["MYP"],
+    "myvatn": ["MVA"],
+    "sabadell": ["QSA"],
+    "airlie beach": ["WSY"],
+    "muncie": ["MIE"],
+    "kenosha": ["ENW"],
+    "montrose co": ["MTJ"],
+    "riverton wy": ["RIW"],
+    "pendleton": ["PDT"],
+    "lympne": ["LYM"],
+    "porto heli": ["PKH"],
+    "katherine": ["KTR"],
+    "nowra": ["NOA"],
+    "lutsk": ["UCK"],
+    "chernigov": ["CEJ"],
+    "oshkosh": ["OSH"],
+    "wangerooge": ["AGE"],
+    "bendigo": ["BXG"],
+    "wenatchee": ["EAT"],
+    "arecibo": ["ARE"],
+    "ringi cove": ["RIN"],
+    "kirensk": ["KCK"],
+    "ust-kut": ["UKX"],
+    "rimatara": ["RMT"],
+    "lausanne": ["QLS"],
+    "locarno": ["ZJI"],
+    "neuchatel": ["QNC"],
+    "taganrog": ["TGK"],
+    "gelendzhik": ["GDZ"],
+    "ramenskoe": ["ZIA"],
+    "yaroslavl": ["IAR"],
+    "mohe county": ["OHE"],
+    "jining": ["JNG"],
+    "puntarenas": ["DRK"],
+    "altay": ["AAT"],
+    "null": ["TZL","SUS"],
+    "naypyidaw": ["NYT","NMT"],
+    "bokepyin": ["VBP"],
+    "manzhouli": ["NZH"],
+    "wuhai": ["WUA"],
+    "gary": ["GYY"],
+    "brainerd": ["BRD"],
+    "lewisburg": ["LWB"],
+    "chefornak": ["CYF"],
+    "oxnard": ["OXR"],
+    "branson": ["BKG"],
+    "tongren": ["TEN"],
+    "jian": ["JGS"],
+    "niau": ["NIU"],
+    "scotia ny": ["SCH"],
+    "nizhnekamsk": ["NBC"],
+    "osubi": ["QRW"],
+    "siargao": ["IAO"],
+    "langeoog": ["LGO"],
+    "nelspruit": ["NLP"],
+    "cherkassy": ["CKC"],
+    "st. augustine airport": ["UST"],
+    "nikolayev": ["NLV"],
+    "ramechhap": ["RHP"],
+    "kissimmee": ["ISM"],
+    "lake city": ["LCQ"],
+    "logan": ["LGU"],
+    "brigham city": ["BMC"],
+    "aspen": ["ASE"],
+    "kerrville": ["ERV"],
+    "prince rupert": ["ZSW"],
+    "great bend": ["GBD"],
+    "hays": ["HYS"],
+    "ely": ["LYU","ELY"],
+    "grand rapids mn": ["GPZ"],
+    "thief river falls": ["TVF"],
+    "eagle river": ["EGV"],
+    "minocqua - woodruff": ["ARV"],
+    "berens river": ["YBV"],
+    "catalina island": ["AVX"],
+    "mojave": ["MHV"],
+    "interlaken": ["ZIN"],
+    "inisheer": ["INQ"],
+    "strezhevoy": ["SWT"],
+    "hutchinson": ["HUT"],
+    "al kharj": ["AKH"],
+    "rosecrans": ["STJ"],
+    "camp douglas": ["VOK"],
+    "gunnison": ["GUC"],
+    "xi\\'an": ["SIA"],
+    "torrance": ["TOA"],
+    "manistee": ["MBL"],
+    "punta gorda": ["PGD"],
+    "frenchville": ["WFK"],
+    "mont-tremblant": ["YTM"],
+    "somerset": ["SME"],
+    "weyers cave": ["SHD"],
+    "devils lake": ["DVL"],
+    "dickinson": ["DIK"],
+    "sidney": ["SDY","SNY"],
+    "chadron": ["CDR"],
+    "alliance": ["AIA"],
+    "mccook": ["MCK"],
+    "marathon": ["MTH","YSP"],
+    "glendive": ["GDV"],
+    "wolf point": ["OLF"],
+    "west yellowstone": ["WYS"],
+    "alamosa": ["ALS"],
+    "moab": ["CNY"],
+    "vernal": ["VEL"],
+    "ruidoso": ["RUI"],
+    "show low": ["SOW"],
+    "mccall": ["MYL"],
+    "salmon": ["SMN"],
+    "mammoth lakes": ["MMH"],
+    "friday harbor": ["FRD"],
+    "eastsound": ["ESD"],
+    "astoria": ["AST"],
+    "newport": ["ONP"],
+    "emmonak": ["EMK"],
+    "unalakleet": ["UNK"],
+    "kuparuk": ["UUK"],
+    "shageluk": ["SHX"],
+    "chuathbaluk": ["CHU"],
+    "nuiqsut": ["NUI"],
+    "eek": ["EEK"],
+    "kasigluk": ["KUK"],
+    "kwethluk": ["KWT"],
+    "kwigillingok": ["KWK"],
+    "marshall": ["MLL"],
+    "russian mission": ["RSH"],
+    "koliganek": ["KGK"],
+    "manokotak": ["KMO"],
+    "chalkyitsik": ["CIK"],
+    "eagle": ["EAA"],
+    "hughes": ["HUS"],
+    "huslia": ["HSL"],
+    "nulato": ["NUL"],
+    "venetie": ["VEE"],
+    "beaver": ["WBQ"],
+    "central": ["CEM"],
+    "shungnak": ["SHG"],
+    "inyokern": ["IYK"],
+    "visalia": ["VIS"],
+    "colonia": ["CYR"],
+    "goodyear": ["GYR"],
+    "toowoomba": ["TWB","WTB"],
+    "ballera": ["BBL"],
+    "arkalyk": ["AYK"],
+    "angoon": ["AGN"],
+    "elfin cove": ["ELV"],
+    "funter bay": ["FNR"],
+    "hoonah": ["HNH"],
+    "metakatla": ["MTM"],
+    "hydaburg": ["HYG"],
+    "egegik": ["EGX"],
+    "perryville": ["KPV"],
+    "pilot point": ["PIP"],
+    "south naknek": ["WSN"],
+    "akhiok": ["AKK"],
+    "karluk": ["KYK"],
+    "larsen bay": ["KLN"],
+    "ambler": ["ABL"],
+    "buckland": ["BKC"],
+    "kiana": ["IAN"],
+    "kobuk": ["OBU"],
+    "noorvik": ["ORV"],
+    "selawik": ["WLK"],
+    "brevig mission": ["KTS"],
+    "elim": ["ELI"],
+    "golovin": ["GLV"],
+    "teller": ["TLA"],
+    "wales": ["WAA"],
+    "white mountain": ["WMO"],
+    "koyuk": ["KKA"],
+    "st. michael": ["SMK"],
+    "shaktoolik": ["SKK"],
+    "tin city": ["TNC"],
+    "atka": ["AKB"],
+    "nikolski": ["IKO"],
+    "yakataga": ["CYT"],
+    "alakanuk": ["AUK"],
+    "kipnuk": ["KPN"],
+    "false pass": ["KFP"],
+    "nelson lagoon": ["NLG"],
+    "klawock": ["KLW"],
+    "quinhagak": ["KWN"],
+    "kotlik": ["KOT"],
+    "koyukuk": ["KYU"],
+    "scammon bay": ["SCM"],
+    "nondalton": ["NNL"],
+    "kongiganak": ["KKH"],
+    "nikolai": ["NIB"],
+    "akiak": ["AKI"],
+    "wainwright": ["AIN"],
+    "zapala": ["APZ"],
+    "rincon de los sauces": ["RDS"],
+    "puerto natales": ["PNT"],
+    "sierra grande": ["SGV"],
+    "ingeniero jacobacci": ["IGB"],
+    "chenega": ["NCN"],
+    "tok": ["TKJ"],
+    "circle": ["IRC"],
+    "sleetmute": ["SLQ"],
+    "lake minchumina": ["LMA"],
+    "manley hot springs": ["MLY"],
+    "natuashish": ["YNP"],
+    "postville": ["YSO"],
+    "kangiqsujuaq": ["YWB"],
+    "alma": ["YTF"],
+    "havre-saint-pierre": ["YGV"],
+    "rimouski": ["YXK"],
+    "tadoule lake": ["XTL"],
+    "lac brochet": ["XLB"],
+    "south indian lake": ["XSI"],
+    "brochet": ["YBT"],
+    "little grand rapids": ["ZGR"],
+    "cross lake": ["YCR"],
+    "red sucker lake": ["YRS"],
+    "rainbow lake": ["YOP"],
+    "bonnyville": ["YBY"],
+    "ganges": ["YGG"],
+    "boundary bay": ["YDT"],
+    "langley township": ["YLY"],
+    "wekweeti": ["YFJ"],
+    "corn island": ["RNI"],
+    "bonanza": ["BZA"],
+    "rosita": ["RFS"],
+    "siuna": ["SIU"],
+    "waspam": ["WSP"],
+    "san carlos": ["NCR","SQL"],
+    "carrillo": ["PLD"],
+    "constanza": ["COZ"],
+    "negril": ["NEG"],
+    "ceiba": ["NRR"],
+    "charlotte amalie": ["SPB"],
+    "alto rio senguer": ["ARR"],
+    "jose de san martin": ["JSM"],
+    "uyuni": ["UYU"],
+    "rerrenabaque": ["RBQ"],
+    "abaiang atoll": ["ABF"],
+    "albina": ["ABN"],
+    "drietabbetje": ["DRJ"],
+    "moengo": ["MOJ"],
+    "nieuw nickerie": ["ICK"],
+    "paloemeu": ["OEM"],
+    "stoelmans eiland": ["SMZ"],
+    "totness": ["TOT"],
+    "wageningen": ["AGI"],
+    "orinduik": ["ORJ"],
+    "annai": ["NAI"],
+    "imbaimadai": ["IMB"],
+    "kamarang": ["KAR"],
+    "mabaruma": ["USI"],
+    "mahdia": ["MHA"],
+    "pedro juan caballero": ["PJC"],
+    "acandi": ["ACD"],
+    "saravena": ["RVE"],
+    "batagay": ["BQJ"],
+    "villa garzon": ["VGZ"],
+    "el bagre": ["EBG"],
+    "caucasia": ["CAQ"],
+    "condoto": ["COG"],
+    "tolu": ["TLU"],
+    "cabo frio": ["CFB"],
+    "gurupi": ["GRP"],
+    "santana do araguaia": ["CMP"],
+    "breves": ["BVS"],
+    "soure": ["SFK"],
+    "parintins": ["PIN"],
+    "barreiras": ["BRA"],
+    "santa terezinha": ["STZ"],
+    "minacu": ["MQH"],
+    "araguaina": ["AUX"],
+    "novo aripuana": ["NVP"],
+    "franca": ["FRC"],
+    "dourados": ["DOU"],
+    "labrea": ["LBR"],
+    "rondonopolis": ["ROO"],
+    "guarapuava": ["GPB"],
+    "joacaba": ["JCB"],
+    "rio verde": ["RVD"],
+    "araxa": ["AAX"],
+    "maues": ["MBZ"],
+    "borba": ["RBB"],
+    "coari": ["CIZ"],
+    "barcelos": ["BAZ"],
+    "diamantino": ["DMT"],
+    "guanambi": ["GNM"],
+    "djelfa": ["QDJ"],
+    "nzagi": ["NZA"],
+    "lucapa": ["LBZ"],
+    "kapanda": ["KNP"],
+    "am timan": ["AMC"],
+    "sharq al-owainat": ["GSQ"],
+    "martinsburg": ["MRB"],
+    "awasa": ["AWA"],
+    "jijiga": ["JIJ"],
+    "mekane selam": ["MKS"],
+    "debre marqos": ["DBM"],
+    "debre tabor": ["DBT"],
+    "debre zeyit": ["QHR"],
+    "goba": ["GOB"],
+    "mayumba": ["MYB"],
+    "masai mara": ["MRE"],
+    "meru national park": ["JJM"],
+    "rumbek": ["RBX"],
+    "inhaca": ["IHC"],
+    "matam": ["MAX"],
+    "bird island": ["BDI"],
+    "wadi halfa": ["WHF"],
+    "enfidha": ["NBE"],
+    "hatay": ["HTY"],
+    "raivavae": ["RVV"],
+    "foshan": ["FUO"],
+    "huizhou": ["HUZ"],
+    "lleida": ["ILD"],
+    "bildudalur": ["BIU"],
+    "gjogur": ["GJR"],
+    "saudarkrokur": ["SAK"],
+    "inishmaan": ["IIA"],
+    "olgii": ["ULG"],
+    "kurgan tyube": ["KQT"],
+    "vologda": ["VGD"],
+    "olenyok": ["ONK"],
+    "saskylakh": ["SYS"],
+    "huesca": ["HSK"],
+    "ciudad real": ["CQM"],
+    "najaf": ["NJF"],
+    "colonsay": ["CSA"],
+    "rock hill": ["RKH"],
+    "tarin kowt": ["TII"],
+    "zaranj": ["ZAJ"],
+    "chaghcharan": ["CCN"],
+    "fuyang": ["FUG"],
+    "longyan": ["LCX"],
+    "baoshan": ["BSD"],
+    "xingyi": ["ACX"],
+    "liping": ["HZH"],
+    "addison": ["ADS"],
+    "destin": ["DSI"],
+    "kherson": ["KHE"],
+    "stewart island": ["SZS"],
+    "zhijiang": ["HJJ"],
+    "yarmouth": ["YQI"],
+    "kinston": ["ISO"],
+    "kill devil hills": ["FFA"],
+    "lincang": ["LNJ"],
+    "parauapebas": ["CKS"],
+    "anambas islands": ["MWK"],
+    "khalije fars": ["PGU"],
+    "yasuj": ["YES"],
+    "mosul": ["OSM"],
+    "toyooka": ["TJH"],
+    "amakusa": ["AXJ"],
+    "kikai": ["KKX"],
+    "aguni": ["AGJ"],
+    "uliastai": ["ULZ"],
+    "bulgan": ["UGA"],
+    "ulaangom": ["ULO"],
+    "lubang": ["LBX"],
+    "kulyab": ["TJU"],
+    "cimei": ["CMJ"],
+    "dasoguz": ["TAZ"],
+    "derby": ["DRB","DCN"],
+    "walgett": ["WGE"],
+    "bathurst island": ["BRT"],
+    "dunk island": ["DKI"],
+    "lizard island": ["LZR"],
+    "halls creek": ["HCQ"],
+    "fitzroy crossing": ["FIZ"],
+    "ravensthorpe": ["RVT"],
+    "provo": ["PVU"],
+    "steamboat springs": ["SBS"],
+    "delta": ["DTA"],
+    "price": ["PUC"],
+    "los alamos": ["LAM"],
+    "lake havasu city": ["HII"],
+    "winslow": ["INW"],
+    "marakei": ["MZK"],
+    "abemama": ["AEA"],
+    "buariki": ["AAK"],
+    "kuria": ["KUC"],
+    "arorae": ["AIS"],
+    "tamana": ["TMN"],
+    "beru island": ["BEZ"],
+    "nikunau": ["NIG"],
+    "butaritari": ["BBG"],
+    "makin": ["MTK"],
+    "maiana": ["MNK"],
+    "nonouti": ["NON"],
+    "tabiteuea": ["TSU"],
+    "whitianga": ["WTZ"],
+    "takaka": ["KTF"],
+    "afutara": ["AFT"],
+    "ulawa": ["RNA"],
+    "choiseul bay": ["CHY"],
+    "yandina": ["XYA"],
+    "batuna": ["BPF"],
+    "bartow": ["BOW"],
+    "fiti\\'uta": ["FTI"],
+    "livermore": ["LVK"],
+    "mariposa": ["RMY"],
+    "grootfontein": ["GFY"],
+    "rundu": ["NDU"],
+    "santa monica": ["SMO"],
+    "scottsdale": ["SCF"],
+    "olympia": ["OLM"],
+    "rifle": ["RIL"],
+    "saratoga": ["SAA"],
+    "stuart": ["SUA"],
+    "morristown": ["MMU"],
+    "napa": ["APC"],
+    "pahokee": ["PHK"],
+    "san bernardino": ["SBD"],
+    "valenca": ["VAL"],
+    "caruaru": ["CAU"],
+    "wake island": ["AWK"],
+    "nova iguacu": ["QNV"],
+    "rocky mount": ["RWI"],
+    "soldotna": ["SXQ"],
+    "el cajon": ["SEE"],
+    "phan rang": ["PHA"],
+    "son-la": ["SQH"],
+    "truckee": ["TKF"],
+    "frejus": ["FRJ"],
+    "geelong": ["GEX"],
+    "livingston-montana": ["LVM"],
+    "monument valley": ["GMV"],
+    "lakeland": ["LAL"],
+    "syangboche": ["SYH"],
+    "murrieta-temecula": ["RBK"],
+    "oristano": ["FNU"],
+    "mysore": ["MYQ"],
+    "findley": ["FDY"],
+    "penneshaw": ["PEA"],
+    "kempten": ["EMP"],
+    "wycombe": ["HYC"],
+    "bembridge": ["BBP"],
+    "spearfish-south dakota": ["SPF"],
+    "gdynia": ["QYD"],
+    "olive branch": ["OLV"],
+    "vina del mar": ["KNA"],
+    "zonguldak": ["ONQ"],
+    "broomfield-co": ["BJC"],
+    "tunica": ["UTM"],
+    "kasaba bay": ["ZKB"],
+    "lindau": ["LND"],
+    "janesville": ["JVL"],
+    "lawrenceville": ["LZU"],
+    "bowling green": ["BWG"],
+    "minhad ab": ["NHD"],
+    "kirovograd": ["KGO"],
+    "dabaa city": ["DBB"],
+    "bryce canyon": ["BCE"],
+    "shchyolkovo": ["CKL"],
+    "tengchong": ["TCZ"],
+    "sevastopol": ["UKS"],
+    "camp bastion": ["OAZ"],
+    "olathe": ["JCI","OJC"],
+    "easton": ["ESN"],
+    "hamar": ["HMR"],
+    "yuba city": ["MYV"],
+    "duncan": ["DUC"],
+    "uvalde": ["UVA"],
+    "lockport": ["LOT"],
+    "ocean reef club airport": ["OCA"],
+    "yushu": ["YUS"],
+    "huai an": ["HIA"],
+    "oshawa": ["YOO"],
+    "lahr": ["LHA"],
+    "monywa": ["NYW"],
+    "cooinda": ["CDA"],
+    "jabiru": ["JAB"],
+    "smyrna": ["MQY"],
+    "sewanee": ["UOS"],
+    "shiquanhe": ["NGQ"],
+    "cochstedt": ["CSO"],
+    "chicago-wheeling": ["PWK"],
+    "kelso": ["KLS"],
+    "tureia": ["ZTA"],
+    "puerto obaldia": ["PUE"],
+    "kerch": ["KHC"],
+    "ukunda": ["UKA"],
+    "casa grande": ["CGZ"],
+    "buckeye": ["BXK"],
+    "sterling": ["STK"],
+    "rawlins": ["RWL"],
+    "caldwell": ["CDW"],
+    "kaiser lake ozark": ["AIZ"],
+    "thomasville": ["TVI"],
+    "henderson": ["HSH"],
+    "tifton": ["TMA"],
+    "radom": ["RDO"],
+    "revelstoke": ["YRV"],
+    "farmingdale": ["FRG"],
+    "zhongwei": ["ZHY"],
+    "mckinley park": ["MCL"],
+    "prospect creek": ["PPC"],
+    "khwai river": ["KHW"],
+    "wheeling": ["HLG"],
+    "ye": ["XYE"],
+    "rockport": ["RKP"],
+    "verdun": ["MVV"],
+    "baise": ["AEB"],
+    "okaukuejo": ["OKF"],
+    "mokuti lodge": ["OKU"],
+    "koethen": ["KOQ"],
+    "sankt peter-ording": ["PSH"],
+    "troutdale": ["TTD"],
+    "hillsboro": ["HIO"],
+    "khost": ["KHT"],
+    "burns": ["BNO"],
+    "prineville": ["PRZ"],
+    "red bluff": ["RBL"],
+    "novato": ["NOT"],
+    "lakeview": ["LKV"],
+    "tillamook": ["OTK"],
+    "the dalles": ["DLS"],
+    "gaithersburg": ["GAI"],
+    "sharona": ["OAS"],
+    "pembroke": ["YTA"],
+    "tsumeb": ["TSB"],
+    "suffield": ["YSD"],
+    "blumenau": ["BNU"],
+    "cornwall": ["YCC"],
+    "morrisville": ["MVL"],
+    "baikonur": ["BXY"],
+    "washington county": ["WST"],
+    "block island": ["BID"],
+    "nightmute": ["NME"],
+    "toksook bay": ["OOK"],
+    "ittoqqortoormiit": ["OBY"],
+    "vinnitsa": ["VIN"],
+    "bainbridge": ["BGE"],
+    "la romaine": ["ZGS"],
+    "kegaska": ["ZKG"],
+    "black tickle": ["YBI"],
+    "madera": ["MAE"],
+    "trail": ["YZZ"],
+    "arctic bay": ["YAB"],
+    "grand-santi": ["GSI"],
+    "maripasoula": ["MPY"],
+    "saint-laurent-du-maroni": ["LDX"],
+    "burqin": ["KJI"],
+    "capurgana": ["CPB"],
+    "sohag": ["HMB"],
+    "rivera": ["RVY"],
+    "patos de minas": ["POJ"],
+    "ourilandia do norte": ["OIA"],
+    "redencao": ["RDC"],
+    "sao felix do xingu": ["SXX"],
+    "bointo": ["BYO"],
+    "sao felix do araguaia": ["SXO"],
+    "cacador": ["CFC"],
+    "carauari": ["CAF"],
+    "eirunepe": ["ERN"],
+    "francisco beltrao": ["FBE"],
+    "confresa": ["CFO"],
+    "apalachicola": ["AAF"],
+    "umuarama": ["UMU"],
+    "diamantina": ["DTI"],
+    "fonte boa": ["FBA"],
+    "sao paulo de olivenca": ["OLC"],
+    "humaita": ["HUW"],
+    "santa isabel do rio negro": ["IRZ"],
+    "una": ["UNA"],
+    "telfer": ["TEF"],
+    "alanya": ["GZP"],
+    "shank": ["OAA"],
+    "fort pierce": ["FPR"],
+    "north kingstown": ["NCO"],
+    "norwood": ["OWD"],
+    "westfield": ["BAF"],
+    "danbury": ["DXR"],
+    "nashua": ["ASH"],
+    "lawrence": ["LWM","LWC"],
+    "gadsden": ["GAD"],
+    "winder": ["WDR"],
+    "dalton": ["DNN"],
+    "lagrange": ["LGC"],
+    "pine mountain": ["PIM"],
+    "new philadelpha": ["PHD"],
+    "hilton head island": ["HHH"],
+    "morganton": ["MRN"],
+    "pikeville": ["PVL"],
+    "toccoa": ["TOC"],
+    "poltava": ["PLV"],
+    "wau": ["WUU"],
+    "humera": ["HUE"],
+    "moyale": ["OYL"],
+    "zagora": ["OZG"],
+    "yengema": ["WYE"],
+    "gbangbatok": ["GBK"],
+    "turukhansk": ["THX"],
+    "bor": ["TGP"],
+    "renmark": ["RMK"],
+    "leigh creek": ["LGH"],
+    "rottnest island": ["RTS"],
+    "forrest": ["FOS"],
+    "keewaywin": ["KEW"],
+    "hearst": ["YHF"],
+    "hornepayne": ["YHN"],
+    "kirkland lake": ["YKX"],
+    "manitouwadge": ["YMG"],
+    "wawa": ["YXZ"],
+    "manitowaning": ["YEM"],
+    "pompano beach": ["PPM"],
+    "mallacoota": ["XMC"],
+    "al-ula": ["ULH"],
+    "yuendumu": ["YUE"],
+    "praya": ["LOP"],
+    "108 mile ranch": ["ZMH"],
+    "handan": ["HDG"],
+    "fredericksburg": ["FBG"],
+    "jixi": ["JXA"],
+    "seogwipo": ["JDG"],
+    "gimli": ["YGM"],
+    "beloyarsky": ["EYK"],
+    "racine": ["RAC"],
+    "taytay": ["RZP"],
+    "shigatse": ["RKZ"],
+    "gulf shores": ["GUF"],
+    "isabela": ["IBB"],
+    "khmeinitskiy": ["HMJ"],
+    "yalata": ["KYI"],
+    "hazleton": ["HZL"],
+    "cumberland": ["CBE"],
+    "wyndham": ["WYN"],
+    "bob quinn lake": ["YBO"],
+    "kaluga": ["KLF"],
+    "lone rock": ["LNR"],
+    "joliet": ["JOT"],
+    "okeechobee": ["OBE"],
+    "sebring": ["SEF"],
+    "avon park": ["AVO"],
+    "winter haven": ["GIF"],
+    "zephyrhills": ["ZPH"],
+    "ocala": ["OCF"],
+    "aiken": ["AIK"],
+    "lumberton": ["LBT"],
+    "pinehurst-southern pines": ["SOP"],
+    "statesville": ["SVH"],
+    "lock haven": ["LHV"],
+    "dunkirk": ["DKK"],
+    "mount holly": ["LLY"],
+    "linden": ["LDJ"],
+    "angola": ["ANQ"],
+    "clearwater": ["CLW"],
+    "north myrtle beach": ["CRE"],
+    "buochs": ["BXO"],
+    "wilkes-barre": ["WBW"],
+    "willoughby": ["LNN"],
+    "bayannur": ["RLK"],
+    "frankfort": ["FFT"],
+    "marco island airport": ["MRK"],
+    "drummond island": ["DRE"],
+    "gladwin": ["GDW"],
+    "marshfield": ["MFI"],
+    "wisconsin rapids": ["ISW"],
+    "clinton": ["CWI","CSM"],
+    "beverly": ["BVY"],
+    "trois rivieres": ["YRQ"],
+    "poplar bluff": ["POF"],
+    "keokuk": ["EOK"],
+    "st. paul": ["STP"],
+    "soderhamn": ["SOO"],
+    "saravane": ["VNA"],
+    "dikson": ["DKS"],
+    "bantry": ["BYT"],
+    "alldays": ["ADY"],
+    "garissa": ["GAS"],
+    "hola": ["HOA"],
+    "kericho": ["KEY"],
+    "kilaguni": ["ILU"],
+    "antsirabe": ["ATJ"],
+    "bekily": ["OVA"],
+    "ust-tsylma": ["UTS"],
+    "gorno-altaysk": ["RGK"],
+    "fond du lac": ["FLD"],
+    "stevens point": ["STE"],
+    "honuu": ["MQJ"],
+    "peenemunde": ["PEF"],
+    "nusawiru": ["CJN"],
+    "galion": ["GQQ"],
+    "tiputini": ["TPN"],
+    "pastaza": ["PTZ"],
+    "clarksville": ["CKV"],
+    "coatesville": ["CTH"],
+    "lashkar gah": ["BST"],
+    "lankaran": ["LLK"],
+    "qabala": ["GBB"],
+    "zaqatala": ["ZTU"],
+    "lake placid": ["LKP"],
+    "khandyga": ["KDY"],
+    "qianjiang": ["JIQ"],
+    "hamhung": ["DSO"],
+    "beaver falls": ["BFP"],
+    "renton": ["RNT"],
+    "la verne": ["POC"],
+    "cross city": ["CTY"],
+    "clemson": ["CEU"],
+    "duxford": ["QFO"],
+    "great keppel island": ["GKL"],
+    "roper bar": ["RPB"],
+    "innisfail": ["IFL"],
+    "kapolei": ["JRF"],
+    "bamyan": ["BIN"],
+    "baishan": ["NBS"],
+    "chongjin": ["RGO"],
+    "moomba": ["MOO"],
+    "lublin": ["LUZ"],
+    "east tawas": ["ECA"],
+    "maamigili": ["VAM"],
+    "yongzhou": ["LLF"],
+    "mali losinj": ["LSZ"],
+    "onslow": ["ONS"],
+    "theodore": ["TDR"],
+    "boulder": ["WBU"],
+    "birburg": ["BBJ"],
+    "palo alto": ["PAO"],
+    "ust-nera": ["USR"],
+    "yangzhou": ["YTY"],
+    "pontiac": ["PTK"],
+    "kissidougou": ["KSI"],
+    "keene": ["EEN"],
+    "tianshui": ["THQ"],
+    "kawama": ["VRO"],
+    "kooddoo": ["GKK"],
+    "rio hondo": ["RHD"],
+    "keetmanshoop": ["KMP"],
+    "kangding": ["KGT"],
+    "veliky ustyug": ["VUS"],
+    "iowa city": ["IOW"],
+    "turpan": ["TLQ"],
+    "annapolis": ["ANP"],
+    "cuamba": ["FXO"],
+    "bodaibo": ["ODO"],
+    "zhytomyr": ["ZTR"],
+    "mattala": ["HRI"],
+    "pecos": ["PEQ"],
+    "hattiesburg": ["HBG"],
+    "botucatu": ["QCJ"],
+    "sao carlos": ["QSC"],
+    "yankton": ["YKN"],
+    "sir bani yas island": ["XSB"],
+    "bromont": ["ZBM"],
+    "kratie": ["KTI"],
+    "guyuan": ["GYU"],
+    "changhai": ["CNI"],
+    "redhill": ["KRH"],
+    "jiagedaqi district": ["JGD"],
+    "chinchilla": ["CCL"],
+    "hayward": ["HWD","HYR"],
+    "motueka": ["MZP"],
+    "shute harbour": ["JHQ"],
+    "ann arbor": ["ARB"],
+    "shepparton": ["SHT"],
+    "temora": ["TEM"],
+    "gayndah": ["GAH"],
+    "wilcannia": ["WIO"],
+    "bijie": ["BFJ"],
+    "lensk": ["ULK"],
+    "kavalerovo": ["KVR"],
+    "igdir": ["IGD"],
+    "kutahya": ["KZR"],
+    "velikiye luki": ["VLU"],
+    "lake macquarie": ["BEO"],
+    "brampton island": ["BMP"],
+    "alameda": ["NGZ"],
+    "cochrane": ["YCN"],
+    "braganca paulista": ["BJP"],
+    "brusselton": ["BQB"],
+    "srednekolymsk": ["SEK"],
+    "inverell": ["IVR"],
+    "glen innes": ["GLI"],
+    "immokalee": ["IMM"],
+    "sulawesi tenggara": ["TQQ"],
+    "yichun": ["YIC"],
+    "sheboygan": ["SBM"],
+    "cloudbreak": ["KFE"],
+    "bajura": ["BJU"],
+    "marana": ["MZJ"],
+    "safford": ["SAD"],
+    "solomon": ["SLJ"],
+    "kerama": ["KJP"],
+    "ekibastuz": ["EKB"],
+    "sikeston": ["SIK"],
+    "tetiaroa": ["TTI"],
+    "queensbury": ["GFL"],
+    "fryeburg": ["FRY"],
+    "coeur d'alene": ["COE"],
+    "danville": ["DNV","DAN"],
+    "coonabarabran": ["COJ"],
+    "titusville": ["TIX"],
+    "bumi hills": ["BZH"],
+    "bouarfa": ["UAR"],
+    "nyeri": ["NYE"],
+    "eden prairie": ["FCM"],
+    "likoma island": ["LIX"],
+    "sigiriya": ["GIU"],
+    "neumuenster": ["EUM"],
+    "barrie-orillia": ["YLK"],
+    "saint catherines": ["YCM"],
+    "parry sound": ["YPD"],
+    "manassas": ["MNZ"],
+    "angleton": ["LJN"],
+    "bingol": ["BGG"],
+    "kastamonu": ["KFS"],
+    "lvliang": ["LLV"],
+    "daocheng": ["DCY"],
+    "xiahe city": ["GXH"],
+    "comiso": ["CIY"],
+    "markovo": ["KVM"],
+    "zyryanka": ["ZKP"],
+    "ust-maya": ["UMS"],
+    "aldan": ["ADH"],
+    "olekminsk": ["OLZ"],
+    "xinyuan": ["NLT"],
+    "port alsworth": ["PTA"],
+    "belfort": ["BOR"],
+    "obock": ["OBC"],
+    "tadjoura": ["TDJ"],
+    "santa cruz des quiche": ["AQB"],
+    "nordfjordur": ["NOR"],
+    "bursa": ["BTZ"],
+    "waris-papua island": ["WAR"],
+    "newton": ["EWK"],
+    "bairnsdale": ["BSJ"],
+    "fort bridger": ["FBR"],
+    "chehalis": ["CLS"],
+    "evanston": ["EVW"],
+    "eufala": ["EUF"],
+    "manteo": ["MEO"],
+    "auburn": ["AUO"],
+    "pukarua": ["PUK"],
+    "corvallis": ["CVO"],
+    "prominent hill": ["PXH"],
+    "chatsworth": ["CWT"],
+    "shelton": ["SHN"],
+    "napakiak": ["WNA"],
+    "napaskiak": ["PKA"],
+    "bedwell harbour": ["YBW"],
+    "washabo": ["WSO"],
+    "walker's cay": ["WKR"],
+    "bartica": ["GFO"],
+    "doylestown": ["DYL"],
+    "tingo maria": ["TGI"],
+    "tres lagoas": ["TJL"],
+    "zhangye": ["YZY"],
+    "cacoal": ["OAL"],
+    "castro": ["MHC"],
+    "stillwater": ["SWO"],
+    "okmulgee": ["OKM"],
+    "cushing": ["CUH"],
+    "winfield": ["WLD"],
+    "ada": ["ADT"],
+    "iraan": ["IRB"],
+    "elliot lake": ["YEL"],
+    "north wilkesboro": ["IKB"],
+    "yerbogachen": ["ERG"],
+    "cheraw": ["HCW"],
+    "beni mellal": ["BEM"],
+    "cizre": ["NKT"],
+    "suntar": ["SUY"],
+    "zouerat": ["OUZ"],
+    "asaba": ["ABB"],
+    "uyo": ["QUO"],
+    "kasama": ["KAA"],
+    "songea": ["SGX"],
+    "chizhou": ["JUH"],
+    "anshan": ["AOG"],
+    "daqing": ["DQA"],
+    "zunyi": ["ZYI","WMT"],
+    "yinchun": ["LDS"],
+    "anshun": ["AVA"],
+    "sikasso": ["KSS"],
+    "tonghua": ["TNH"],
+    "suzhou": ["SZV"],
+    "mulia": ["LII"],
+    "bintuni": ["NTI"],
+    "wasior": ["WSR"],
+    "siborong-borong": ["DTB"],
+    "nagan raya": ["MEQ"],
+    "bau-bau": ["BUW"],
+    "kao": ["KAZ"],
+    "melonguane": ["MNA"],
+    "sanggata": ["SGQ"],
+    "muara bungo": ["BUU"],
+    "illaga": ["ILA"],
+    "oksibil": ["OKL"],
+    "kokonau": ["KOX"],
+    "clermont": ["CMQ"],
+    "warrnambool": ["WMB"],
+    "seosan": ["HMY"],
+    "el monte": ["EMT"],
+    "farah": ["FAH"],
+    "pasighat": ["IXT"],
+    "kramatorsk": ["KRQ"],
+    "kautokeino": ["QKX"],
+    "stinson": ["SSF"],
+    "jasper": ["JAS","APT"],
+    "marfa": ["MRF"],
+    "alpine": ["ALE"],
+    "bubaque": ["BQE"],
+    "chichen itza": ["CZA"],
+    "bunbury": ["BUY"],
+    "upland": ["CCB"],
+    "elkhart": ["EKI"],
+    "hartsville": ["HVS"],
+    "san cristobal de las casas": ["SZT"],
+    "dunnville": ["DU9"],
+    "rio hato": ["RIH"],
+    "leesburg": ["LEE"],
+    "pouso alegre": ["PPY"],
+    "divinopolis": ["DIQ"],
+    "eysk": ["EIK"],
+    "berdyansk": ["ERD"],
+    "banyuwangi": ["BWX"],
+    "erenhot": ["ERL"],
+    "chino": ["CNO"],
+    "taketomi": ["HTR"],
+    "cayo santa maria": ["BWW"],
+    "paso robles": ["PRB"],
+    "half moon bay": ["HAF"],
+    "hechi": ["HCJ"],
+    "coondewanna": ["CJF"],
+    "guarapari": ["GUZ"],
+    "ubatuba": ["UBT"],
+    "borroloola": ["BOX"],
+    "goodwood": ["QUG"],
+    "tena": ["TNW"],
+    "fuyuan": ["FYJ"],
+    "phinda": ["PZL"],
+    "liupanshui": ["LPF"],
+    "kaili": ["KJH"],
+    "shennongjia": ["HPG"],
+    "zhangjiakou": ["ZQZ"],
+    "arxan": ["YIE"],
+    "hengyang": ["HNY"],
+    "ngawa": ["AHJ"],
+    "wonsan": ["WOS"],
+    "magas": ["IGT"],
+    "talladega": ["ASN"],
+    "anegada": ["NGD"],
+    "troy": ["TOI"],
+    "enterprise": ["ETS"],
+    "efogi": ["EFG"],
+    "kagi": ["KGW"],
+    "nadunumu": ["NDN"],
+    "bodinumu": ["BNM"],
+    "alexander city": ["ALX"],
+    "wadeye": ["PKT"],
+    "pirlangimpi": ["GPN"],
+    "wood buffalo": ["HZP"],
+    "holdredge": ["HDE"],
+    "pratt": ["PTT"],
+    "lexington": ["LXN"],
+    "council bluffs": ["CBF"],
+    "kokomo": ["OKK"],
+    "galesburg": ["GBG"],
+    "guymon": ["GUY"],
+    "independence": ["IDP"],
+    "bay city": ["BBC"],
+    "coffeyville": ["CFV"],
+    "greeley": ["GXY"],
+    "oakley": ["OEL"],
+    "fremont": ["FET"],
+    "la grande": ["LGD"],
+    "szczytno-szymany": ["SZY"],
+    "mount pocono": ["MPO"],
+    "quakertown": ["UKT"],
+    "banff": ["YBA"],
+    "banning": ["BNG"],
+    "norfolk  nebraska": ["OFK"],
+    "teofilo otoni": ["TFL"],
+    "buzios": ["BZC"],
+    "itaperuna": ["ITP"],
+    "resende": ["REZ"],
+    "kabinda": ["KBN"],
+    "ikela": ["IKL"],
+    "aripuana": ["AIR"],
+    "juruena": ["JRN"],
+    "juina": ["JIA"],
+    "vila rica": ["VLP"],
+    "juara": ["JUA"],
+    "caceres": ["CCX"],
+    "tangara da serra": ["TGQ"],
+    "canarana": ["CQA"],
+    "vila bela da santissima trindade": ["MTG"],
+    "bumba": ["BMB"],
+    "arapiraca": ["APQ"],
+    "floriano": ["FLB"],
+    "picos": ["PCS"],
+    "beni": ["BNC"],
+    "boende": ["BNB"],
+    "montauk": ["MTP"],
+    "valparaiso in": ["VPZ"],
+    "dharavandhoo": ["DRV"],
+    "saumlaki": ["SXK"],
+    "melo": ["MLZ"],
+    "paysandu": ["PDU"],
+    "artigas": ["ATI"],
+    "horsham": ["HSM"],
+    "swan hill": ["SWH"],
+    "turtle island": ["TTL"],
+    "karimunjawa": ["KWB"],
+    "kongolo": ["KOO"],
+    "attopeu": ["AOU"],
+    "sao miguel do oeste": ["SQX"],
+    "ludington": ["LDM"],
+    "sohar": ["OHS"],
+    "kadanwari": ["KCF"],
+    "sindh": ["RZS"],
+    "thimarafushi": ["TMF"],
+    "ifuru": ["IFU"],
+    "kieta": ["KZF"],
+    "ordu-giresun": ["OGU"],
+    "hakkari": ["YKO"],
+    "jakar": ["BUT"],
+    "toli-toli": ["TLI"],
+    "tarko-sale": ["TQL"],
+    "jinchuan": ["JIC"],
+    "bole": ["BPL"],
+    "fuyun": ["FYN"],
+    "achinsk": ["ACS"],
+    "linfen": ["LFQ"],
+    "hinton": ["YJP"],
+    "watsonville": ["WVI"],
+    "gelephu": ["GLU"],
+    "hollister": ["HLI"],
+    "dulkaninna": ["DLK"],
+    "musselwhite mine": ["YBS"],
+    "rizhao": ["RIZ"],
+    "sanming": ["SQJ"],
+    "taroom": ["XTO"],
+    "squamish": ["YSE"],
+    "la grande-4": ["YAH"],
+    "alert bay": ["YAL"],
+    "centralia": ["YCE"],
+    "chetwynd": ["YCQ"],
+    "ross river": ["XRR"],
+    "dolbeau-st-félicien": ["YDO"],
+    "amos": ["YEY"],
+    "hope": ["YHE"],
+    "haines junction": ["YHT"],
+    "digby": ["YDG"],
+    "fort liard": ["YJF"],
+    "key lake": ["YKJ"],
+    "leaf rapids": ["YLR"],
+    "matane": ["YME"],
+    "charlevoix": ["YML"],
+    "owen sound": ["YOS"],
+    "port hawkesbury": ["YPS"],
+    "st thomas": ["YQS"],
+    "smiths falls": ["YSH"],
+    "st leonard": ["YSL"],
+    "vernon": ["YVE"],
+    "beaver creek": ["YXQ"],
+    "salmon arm": ["YSN"],
+    "kelsey": ["KES"],
+    "pukatawagan": ["XPK"],
+    "jenpeg": ["ZJG"],
+    "thicket portage": ["YTD"],
+    "pikwitonei": ["PIW"],
+    "poplar river": ["XPP"],
+    "pincher creek": ["WPC"],
+    "stewart": ["ZST"],
+    "ignace": ["ZUC"],
+    "neubrandenburg": ["FNB"],
+    "kinloss": ["FSS"],
+    "biała podlaska": ["BXP"],
+    "daugavpils": ["DGP"],
+    "lime acres": ["LMR"],
+    "sowa": ["SXN"],
+    "sumbe": ["NDD"],
+    "mangochi": ["MAI"],
+    "arandis": ["ADI"],
+    "merowe": ["MWE"],
+    "alton/st louis": ["ALN"],
+    "brady": ["BBD"],
+    "bishop": ["BIH"],
+    "baker city": ["BKE"],
+    "big piney": ["BPI"],
+    "battle creek": ["BTL"],
+    "burley": ["BYI"],
+    "charles city": ["CCY"],
+    "chanute": ["CNU"],
+    "crossville": ["CSV"],
+    "fort belvoir": ["DAA"],
+    "daggett": ["DAG"],
+    "deming": ["DMN"],
+    "mercury": ["DRA"],
+    "needles": ["EED"],
+    "junction": ["JCT"],
+    "lovelock": ["LOL"],
+    "mobridge": ["MBG"],
+    "mc comb": ["MCB"],
+    "carbondale/murphysboro": ["MDH"],
+    "eastover": ["MMT"],
+    "mayport": ["NRB"],
+    "orangeburg": ["OGB"],
+    "ottumwa": ["OTM"],
+    "fort rucker/ozark": ["OZR"],
+    "pinedale": ["PWY"],
+    "poughkeepsie": ["POU"],
+    "russell": ["RSL"],
+    "redwood falls": ["RWF"],
+    "ukiah": ["UKI"],
+    "valentine": ["VTN"],
+    "winnemucca": ["WMC"],
+    "woodward": ["WWR"],
+    "zanesville": ["ZZV"],
+    "castellón de la plana": ["CDT"],
+    "teruel": ["TEV"],
+    "sarzana (sp)": ["QLP"],
+    "batajnica": ["BJY"],
+    "rubelsanto": ["RUV"],
+    "comayagua": ["XPL"],
+    "upala": ["UPL"],
+    "san nicolás": ["QSN"],
+    "pinar del rio": ["SNJ"],
+    "kangan": ["KNR"],
+    "karaj": ["PYK"],
+    "ahmed al jaber ab": ["XIJ"],
+    "kamra": ["ATG"],
+    "sargodha": ["SGI"],
+    "qayyarah": ["RQW"],
+    "nenana": ["ENN"],
+    "wasilla": ["WWA"],
+    "iwakuni": ["IWK"],
+    "ie": ["IEJ"],
+    "surallah": ["AAV"],
+    "barretos": ["BAT"],
+    "taubaté": ["QHP"],
+    "tocopilla": ["TOQ"],
+    "chañaral": ["CNR"],
+    "talca": ["TLX"],
+    "taltal": ["TTC"],
+    "apiay": ["API"],
+    "coveñas": ["CVE"],
+    "la dorada": ["PAL"],
+    "paz de ariporo": ["PZA"],
+    "tres esquinas": ["TQS"],
+    "rioja": ["RIJ"],
+    "jaén": ["JAE"],
+    "tamchy": ["IKU"],
+    "vilyuisk": ["VYI"],
+    "sovetskaya gavan": ["GVN"],
+    "nikolayevsk-na-amure airport": ["NLI"],
+    "inta": ["INA"],
+    "zhigansk": ["ZIX"],
+    "polonnaruwa town": ["HIM"],
+    "durgapur": ["RDP"],
+    "puttaparthi": ["PUT"],
+    "smolensk": ["LNX"],
+    "alpha": ["ABH"],
+    "deniliquin": ["DNQ"],
+    "forbes": ["FRB"],
+    "morwell": ["TGN"],
+    "sale": ["SXE"],
+    "west wyalong": ["WWY"],
+    "guanghua": ["LHK"],
+    "shiyan": ["WDS"],
+    "mengnai": ["HTT"],
+    "bengbu": ["BFU"],
+    "rugao": ["RUG"],
+    "wuhu": ["WHU"],
+    "shanshan": ["SXJ"],
+    "yingkou": ["YKH"],
+    "bogorodskoe": ["BQG"],
+    "parakou": ["PKO"],
+    "kandi": ["KDC"],
+    "hermannsburg": ["HMG"],
+    "baidoa": ["BIB"],
+    "petermann": ["KCS"],
+    "baltrum": ["BMR"],
+    "skagit": ["MVW"],
+    "goondiwindi": ["GOO"],
+    "docker river": ["DKV"],
+    "rensselaer": ["RNZ"],
+    "sabetta": ["SBT"],
+    "alxa left banner": ["AXF"],
+    "simberi island": ["NIS"],
+    "bulolo": ["BUL"],
+    "statesboro": ["TBR"],
+    "amata": ["AMT"],
+    "erldunda": ["EDD"],
+    "finke": ["FIK"],
+    "jaguaruna": ["JJG"],
+    "hwange": ["WKI"],
+    "klaipeda": ["KLJ"],
+    "west bend": ["ETB"],
+    "gaylord": ["GLR"],
+    "anderson": ["AID"],
+    "novi sad": ["QND"],
+    "grundarfjordur": ["GUU"],
+    "prairie du chien": ["PCD"],
+    "otjiwarongo": ["OTJ"],
+    "taos": ["TSM"],
+    "raton": ["RTN"],
+    "pampa": ["PPA"],
+    "flippin": ["FLP"],
+    "borger": ["BGD"],
+    "longwood": ["HLE"],
+    "sankt-augustin": ["BNJ"],
+    "nogliki": ["NGK"],
+    "santa ynez": ["SQA"],
+    "haixi": ["HXD"],
+    "qionghai": ["BAR"],
+    "bowen": ["ZBO"],
+    "wulanchabu": ["UCB"],
+    "odienne": ["KEO"],
+    "siguiri": ["GII"],
+    "nzerekore": ["NZE"],
+    "brockman": ["OCM"],
+    "shaoyang": ["WGN"],
+    "teixeira de freitas": ["TXF"],
+    "spartangurg": ["SPA"],
+    "bajawa": ["BJW"],
+    "san antonio de pale": ["NBN"],
+    "oyo": ["OLL"],
+    "parsons": ["PPF"],
+    "phongsaly": ["PCQ"],
+    "waycross": ["AYS"],
+    "diass": ["DSS"],
+    "naracoorte": ["NAC"],
+    "ponta grossa": ["PGZ"],
+    "palenque": ["PQM"],
+    "caloundra": ["CUD"],
+    "clarks point": ["CLP"],
+    "doris lake": ["JOJ"],
+    "tola": ["ECI"],
+    "attu": ["QGQ"],
+    "kangaatsiaq": ["QPW"],
+    "kitsissuarsuit": ["QJE"],
+    "ilimanaq": ["XIQ"],
+    "qeqertaq": ["QQT"],
+    "ikamiut": ["QJI"],
+    "eqalugaarsuit": ["QFG"],
+    "ikerasaarsuk": ["QRY"],
+    "novo progresso": ["NPR"],
+    "sorriso": ["SMT"],
+    "encarnacion": ["ENO"],
+    "urzhar": ["UZR"],
+    "nyurba": ["NYR"],
+    "batagay-alyta": ["SUK"],
+    "ust-kuyga": ["UKG"],
+    "verkhnevilyuysk": ["VHV"],
+    "yuzhno-kurilsk": ["DEE"],
+    "shakhtyorsk": ["EKS"],
+    "talakan": ["TLK"],
+    "red dog": ["RDB"],
+    "impfondo": ["ION"],
+    "el bayadh": ["EBH"],
+    "zintan": ["ZIS"],
+    "monkey bay": ["MYZ"],
+    "bauchi": ["BCU"],
+    "gombe": ["GMO"],
+    "kolda": ["KDA"],
+    "kilwa masoko": ["KIY"],
+    "moshi": ["QSI"],
+    "mansa": ["MNS"],
+    "ghazni": ["GZI"],
+    "baicheng": ["DBC"],
+    "longnan": ["LNL"],
+    "shangrao": ["SQD"],
+    "songyuan": ["YSQ"],
+    "jiansanjiang": ["JSJ"],
+    "libo": ["LLB"],
+    "chengde": ["CDE"],
+    "wudalianchi": ["DTU"],
+    "ejin banner": ["EJN"],
+    "alxa right banner": ["RHT"],
+    "holingol": ["HUO"],
+    "golog": ["GMQ"],
+    "yarkant": ["QSZ"],
+    "tezu": ["TEI"],
+    "cangyuan": ["CWJ"],
+    "lancang lahu": ["JMJ"],
+    "ninglang": ["NLH"],
+    "pimenta bueno": ["PBQ"],
+    "xinzhou": ["WUT"],
+    "zhalantun": ["NZL"],
+    "adampur": ["AIP"],
+    "toranagallu": ["VDY"],
+    "shirdi": ["SAG"],
+    "jeypore": ["PYB"],
+    "sumenep": ["SUP"],
+    "sipora": ["RKO"],
+    "pasir pangaraian": ["PPR"],
+    "tanjung balai karimun": ["TJB"],
+    "kerinci regency": ["KRC"],
+    "buru island": ["NRE"],
+    "namlea": ["NAM"],
+    "dobo": ["DOB"],
+    "sanana": ["SQN"],
+    "ayawasi": ["AYW"],
+    "bunyu": ["BYQ"],
+    "buol": ["UOL"],
+    "raha": ["RAQ"],
+    "jask": ["JSK"],
+    "sainyabuli": ["ZBY"],
+    "baglung": ["BGL"],
+    "rajbiraj": ["RJB"],
+    "duqm": ["DQM"],
+    "croker island": ["CKI"],
+    "barimunya": ["BYP"],
+    "laucala": ["LUC"],
+    "yasawa island": ["YAS"],
+    "waiheke island": ["WIK"],
+    "dekai": ["DEX"],
+    "napuka": ["NAU"],
+    "faaite": ["FAC"],
+    "nukutavake": ["NUK"],
+    "vahitahi": ["VHZ"],
+    "hikueru": ["HHZ"],
+    "raroia": ["RRR"],
+    "kauehi": ["KHZ"],
+    "tatakoto": ["TKV"],
+    "sasereme": ["TDS"],
+    "boven digoel": ["TMH"],
+    "noonkanbah": ["NKB"],
+    "algeciras": ["AEI"],
+    "kasese": ["KSE"],
+    "sunchales": ["NCJ"],
+    "seldovia": ["SOV"],
+    "lutselk'e": ["YSG"],
+    "dwangwa": ["DWA"],
+    "higleig": ["HGI"],
+    "ajmer": ["KQH"],
+    "kannur": ["CNN"],
+    "arathusa": ["ASS"],
+    "vidalia": ["VDI"],
+    "islamabad": ["ISB"],
+    "mitchell": ["MHE"],
+    "geita": ["GIT"],
+    "gitega": ["GID"],
+    "costa marques": ["CQS"],
+    "yambol": ["JAM"],
+    "yuanmou": ["YUA"],
+    "geçitkale": ["GEC"],
+    "mbeya": ["MBI"],
+    "sugapa-papua island": ["UGU"],
+    "eilat": ["ETM"],
+    "al masna'ah": ["MNH"],
+    "cagayan de oro city": ["CGY"],
+    "copiapo": ["CPO"]
+};
+
+module.exports = cityAirports;
@@ -0,0 +1,36 @@
+/**
+ * Metropolitan area (IATA city) codes and the airports they group
+ * Format: { "CITY_CODE": { name, country, airports: ["IATA", ...] } }
+ * Airports are listed busiest first. Cities whose city code is also the code
+ * of their main airport (DXB, BKK) are left out, as the code would be ambiguous.
+ */
+const metroAreas = {
+    // Europe
+    "LON": { name: "London", country: "United Kingdom", airports: ["LHR", "LGW", "STN", "LTN", "LCY", "SEN"] },
+    "PAR": { name: "Paris", country: "France", airports: ["CDG", "ORY", "BVA"] },
+    "MIL": { name: "Milan", country: "Italy", airports: ["MXP", "LIN", "BGY"] },
+    "ROM": { name: "Rome", country: "Italy", airports: ["FCO", "CIA"] },
+    "STO": { name: "Stockholm", country: "Sweden", airports: ["ARN", "BMA", "NYO"] },
+    "MOW": { name: "Moscow", country: "Russia", airports: ["SVO", "DME", "VKO"] },
+    "BUH": { name: "Bucharest", country: "Romania", airports: ["OTP", "BBU"] },
+
+    // Americas
+    "NYC": { name: "New York", country: "United States", airports: ["JFK", "EWR", "LGA"] },
+    "WAS": { name: "Washington", country: "United States", airports: ["IAD", "DCA", "BWI"] },
+    "CHI": { name: "Chicago", country: "United States", airports: ["ORD", "MDW"] },
+    "QDF": { name: "Dallas", country: "United States", airports: ["DFW", "DAL"] },
+    "QHO": { name: "Houston", country: "United States", airports: ["IAH", "HOU"] },
+    "YTO": { name: "Toronto", country: "Canada", airports: ["YYZ", "YTZ"] },
+    "SAO": { name: "Sao Paulo", country: "Brazil", airports: ["GRU", "CGH", "VCP"] },
+    "RIO": { name: "Rio de Janeiro", country: "Brazil", airports: ["GIG", "SDU"] },
+    "BUE": { name: "Buenos Aires", country: "Argentina", airports: ["EZE", "AEP"] },
+
+    // Asia
+    "TYO": { name: "Tokyo", country: "Japan", airports: ["HND", "NRT"] },
+    "OSA": { name: "Osaka", country: "Japan", airports: ["KIX", "ITM", "UKB"] },
+    "SEL": { name: "Seoul", country: "South Korea", airports: ["ICN", "GMP"] },
+    "BJS": { name: "Beijing", country: "China", airports: ["PEK", "PKX"] },
+    "JKT": { name: "Jakarta", country: "Indonesia", airports: ["CGK", "HLP"] }
+};
+
+module.exports = metroAreas;
@@ -0,0 +1,74 @@
+/**
+ * Minimum connection times (MCT) in minutes at connecting airports
+ * Format: { "IATA": { domestic, international } }
+ * domestic applies when both flights stay in the airport's country, international
+ * otherwise. Values are the airports' typical published MCTs; airlines may require more.
+ * Airports not listed use DEFAULT.
+ */
+const minimumConnectionTimes = {
+    DEFAULT: { domestic: 45, international: 90 },
+
+    // India
+    "DEL": { domestic: 75, international: 120 },
+    "BOM": { domestic: 75, international: 120 },
+    "BLR": { domestic: 60, international: 90 },
+    "MAA": { domestic: 60, international: 90 },
+    "CCU": { domestic: 60, international: 90 },
+    "HYD": { domestic: 60, international: 90 },
+    "COK": { domestic: 60, international: 90 },
+
+    // Middle East
+    "DXB": { domestic: 60, international: 75 },
+    "AUH": { domestic: 60, international: 60 },
+    "DOH": { domestic: 60, international: 60 },
+    "BAH": { domestic: 45, international: 45 },
+    "MCT": { domestic: 45, international: 60 },
+    "IST": { domestic: 60, international: 60 },
+
+    // Asia-Pacific
+    "SIN": { domestic: 60, international: 60 },
+    "KUL": { domestic: 60, international: 60 },
+    "BKK": { domestic: 55, international: 75 },
+    "HKG": { domestic: 50, international: 50 },
+    "NRT": { domestic: 75, international: 90 },
+    "HND": { domestic: 60, international: 120 },
+    "ICN": { domestic: 60, international: 75 },
+    "PEK": { domestic: 60, international: 120 },
+    "PVG": { domestic: 60, international: 120 },
+    "SYD": { domestic: 45, international: 90 },
+    "MEL": { domestic: 40, international: 90 },
+
+    // Europe
+    "LHR": { domestic: 60, international: 90 },
+    "LGW": { domestic: 60, international: 90 },
+    "CDG": { domestic: 60, international: 90 },
+    "AMS": { domestic: 40, international: 50 },
+    "FRA": { domestic: 45, international: 45 },
+    "MUC": { domestic: 30, international: 45 },
+    "ZRH": { domestic: 40, international: 40 },
+    "VIE": { domestic: 30, international: 30 },
+    "MAD": { domestic: 45, international: 60 },
+    "FCO": { domestic: 50, international: 60 },
+    "HEL": { domestic: 35, international: 40 },
+    "CPH": { domestic: 40, international: 40 },
+
+    // Americas
+    "JFK": { domestic: 60, international: 120 },
+    "EWR": { domestic: 45, international: 90 },
+    "ORD": { domestic: 50, international: 90 },
+    "ATL": { domestic: 40, international: 90 },
+    "LAX": { domestic: 70, international: 120 },
+    "SFO": { domestic: 45, international: 90 },
+    "DFW": { domestic: 45, international: 90 },
+    "MIA": { domestic: 50, international: 90 },
+    "YYZ": { domestic: 45, international: 90 },
+    "GRU": { domestic: 60, international: 120 },
+
+    // Africa
+    "JNB": { domestic: 45, international: 90 },
+    "ADD": { domestic: 60, international: 60 },
+    "NBO": { domestic: 45, international: 60 },
+    "CAI": { domestic: 60, international: 60 }
+};
+
+module.exports = minimumConnectionTimes;
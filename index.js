@@ -11,6 +11,18 @@ const FlightAPI = require('./services/flightAPI');
 const FirebaseService = require('./services/database');
 const PriceMonitor = require('./services/priceMonitor');
 const FlightTracker = require('./services/flightTracker');
+const SearchSessions = require('./services/searchSessions');
+const { findAirlines, formatAirline, formatFlight } = require('./services/airlines');
+const { formatAircraft } = require('./services/aircraft');
+const { isUnambiguous, formatAirport, describeAirport, getMetroArea } = require('./services/airports');
+const { findAirportsNear } = require('./services/geo');
+const { formatLocalTime, localDateTime } = require('./services/timezones');
+const {
+    RateLimitedError,
+    AuthError,
+    UpstreamUnavailableError,
+    InvalidRequestError
+} = require('./services/errors');
 
 // Initialize Express app
 const app = express();
@@ -25,6 +37,9 @@ const firebaseService = new FirebaseService();
 const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: process.env.NODE_ENV !== 'production' });
 const priceMonitor = new PriceMonitor(bot, flightAPI, firebaseService, userStates);
 const flightTracker = new FlightTracker(bot, flightAPI, firebaseService, userStates);
+const searchSessions = new SearchSessions();
+
+const PASSENGERS_PROMPT = '👥 Who is travelling? (e.g., "2 adults 1 child 1 infant", or just the number of adults)\n\nType "skip" for 1 adult.';
 
 // Expose handleMyAlerts function globally for use in priceMonitor.js
 global.handleMyAlerts = handleMyAlerts;
@@ -40,10 +55,7 @@ async function initialize() {
         await firebaseService.initialize();
         console.log('Database initialized successfully');
 
-        // Test API connection
-        await flightAPI.getAccessToken();
-        console.log("Initial API authentication successful");
-
+        // Test flight data provider connections
         const apiHealthy = await flightAPI.checkApiHealth();
         if (!apiHealthy) {
             console.warn("API health check failed, but continuing...");
@@ -54,54 +66,18 @@ async function initialize() {
     }
 }
 
-// Function to map airline names to codes
+// Resolve an airline name or code to its IATA code.
+// Returns null when nothing matches or several airlines match equally well.
 async function findAirlineCode(airlineName) {
-    // Map of common airline names to codes
-    const commonAirlines = {
-        'american': 'AA',
-        'united': 'UA',
-        'delta': 'DL',
-        'southwest': 'WN',
-        'lufthansa': 'LH',
-        'air france': 'AF',
-        'british airways': 'BA',
-        'emirates': 'EK',
-        'qatar': 'QR',
-        'singapore': 'SQ',
-        'air india': 'AI',
-        'indigo': '6E',
-        'vistara': 'UK',
-        'spicejet': 'SG',
-        'air canada': 'AC',
-        'klm': 'KL',
-        'turkish': 'TK',
-        'jetblue': 'B6'
-    };
-
-    // Normalize input
-    const normalizedName = airlineName.toLowerCase().trim();
-
-    // Check if input is already a valid airline code (2 characters)
-    if (normalizedName.length === 2 && /^[A-Za-z0-9]{2}$/.test(normalizedName)) {
-        return normalizedName.toUpperCase();
-    }
-
-    // Try to get exact match
-    if (commonAirlines[normalizedName]) {
-        return commonAirlines[normalizedName];
-    }
+    const [best, next] = findAirlines(airlineName, 2);
 
-    // Try to get partial match with more strict conditions
-    for (const [name, code] of Object.entries(commonAirlines)) {
-        // Only match if the input is a substantial part of the airline name
-        // This prevents "ai" from matching with "air france"
-        if (name.includes(normalizedName) && normalizedName.length > 2) {
-            return code;
-        }
+    if (best) {
+        return !next || best.score > next.score ? best.iata : null;
     }
 
-    // If no match, return the original input (it might be the code already)
-    return airlineName.toUpperCase();
+    // Our dataset isn't exhaustive, so accept anything shaped like an IATA code
+    const code = airlineName.trim().toUpperCase();
+    return /^[A-Z0-9]{2}$/.test(code) ? code : null;
 }
 
 // Handler for my alerts menu
@@ -118,9 +94,17 @@ async function handleMyAlerts(chatId, userId) {
         const inlineKeyboard = [];
 
         alerts.forEach((alert, index) => {
-            message += `${index + 1}. ${alert.origin} → ${alert.destination}\n`;
+            message += `${index + 1}. ${describeAirport(alert.origin)} → ${describeAirport(alert.destination)}\n`;
             message += `   📅 ${alert.departure_date}\n`;
+            if (alert.search_options && !flightAPI.isDefaultSearch(alert.search_options)) {
+                message += `   👥 ${flightAPI.describeSearchOptions(alert.search_options)}\n`;
+            }
             message += `   💰 ${alert.min_price > 0 ? `Target: $${alert.min_price} | ` : ''}Current: $${alert.current_price || 'Checking...'}\n`;
+            if (alert.last_check_status === 'failed') {
+                message += `   ⚠️ Last check failed, will retry automatically\n`;
+            } else if (alert.last_check_status === 'no_availability') {
+                message += `   🚫 No flights available at last check\n`;
+            }
             message += `   🆔 Alert ID: ${alert.alert_id}\n\n`;
 
             inlineKeyboard.push([
@@ -153,104 +137,9 @@ async function processConversationStep(msg) {
 
     try {
         // Flight search conversation flow
-        if (userState.step === 'search_origin') {
-            // Store the original text input by user
-            userState.data.originText = text;
-
-            // Find matching airports for the input city name
-            try {
-                const airports = await flightAPI.findAirports(text);
-
-                if (airports.length === 0) {
-                    await bot.sendMessage(chatId, '❌ No airports found for this city. Please try another city name.');
-                    return;
-                } else if (airports.length === 1) {
-                    // Only one airport found, use it directly
-                    userState.data.origin = airports[0].code;
-                    userState.data.originName = airports[0].name;
-                    userState.step = 'search_destination';
-                    userStates.set(userId, userState);
-
-                    await bot.sendMessage(chatId,
-                        `✅ Selected departure: ${airports[0].name} (${airports[0].code})
-                
-🎯 Which city are you flying TO?`);
-                    return;
-                } else {
-                    // Multiple airports found, show options
-                    userState.step = 'select_origin_airport';
-                    userState.data.airports = airports;
-                    userStates.set(userId, userState);
-
-                    const keyboard = {
-                        inline_keyboard: airports.map((airport, index) => {
-                            return [{
-                                text: `${airport.name} (${airport.code})`,
-                                callback_data: `origin_${index}`
-                            }];
-                        })
-                    };
-
-                    await bot.sendMessage(chatId, '🛫 Multiple airports found. Please select your departure airport:', {
-                        reply_markup: keyboard
-                    });
-                    return;
-                }
-            } catch (error) {
-                console.error('Error finding airports:', error);
-                await bot.sendMessage(chatId, '❌ Error finding airports. Please try again with a different city name.');
-                return;
-            }
-        }
-
-        if (userState.step === 'search_destination') {
-            // Store the original text input by user
-            userState.data.destinationText = text;
-
-            // Find matching airports for the input city name
-            try {
-                const airports = await flightAPI.findAirports(text);
-
-                if (airports.length === 0) {
-                    await bot.sendMessage(chatId, '❌ No airports found for this city. Please try another city name.');
-                    return;
-                } else if (airports.length === 1) {
-                    // Only one airport found, use it directly
-                    userState.data.destination = airports[0].code;
-                    userState.data.destinationName = airports[0].name;
-                    userState.step = 'search_departure_date';
-                    userStates.set(userId, userState);
-
-                    await bot.sendMessage(chatId,
-                        `✅ Selected destination: ${airports[0].name} (${airports[0].code})
-                
-📅 What's your departure date? (YYYY-MM-DD format, e.g., 2024-12-25)`);
-                    return;
-                } else {
-                    // Multiple airports found, show options
-                    userState.step = 'select_destination_airport';
-                    userState.data.airports = airports;
-                    userStates.set(userId, userState);
-
-                    const keyboard = {
-                        inline_keyboard: airports.map((airport, index) => {
-                            return [{
-                                text: `${airport.name} (${airport.code})`,
-                                callback_data: `dest_${index}`
-                            }];
-                        })
-                    };
-
-                    await bot.sendMessage(chatId, '🛬 Multiple airports found. Please select your destination airport:', {
-                        reply_markup: keyboard
-                    });
-                    return;
-                }
-            } catch (error) {
-                console.error('Error finding airports:', error);
-                await bot.sendMessage(chatId, '❌ Error finding airports. Please try again with a different city name.');
-                return;
-            }
+        if (userState.step === 'search_origin' || userState.step === 'search_destination') {
+            await handleAirportInput(chatId, userId, userState, text);
+            return;
         }
 
         if (userState.step === 'search_departure_date') {
@@ -291,10 +180,146 @@ async function processConversationStep(msg) {
             }
 
             userState.data.return_date = returnDate;
+            userState.step = 'search_passengers';
+            userStates.set(userId, userState);
+            bot.sendMessage(chatId, PASSENGERS_PROMPT);
+            return;
+        }
+
+        // Multi-city conversation flow: one message per leg, then "search"
+        if (userState.step === 'multi_city_leg') {
+            const legs = userState.data.legs;
+            const input = text.trim().toLowerCase();
+
+            if (input === 'undo') {
+                legs.pop();
+                userStates.set(userId, userState);
+                await bot.sendMessage(chatId, legs.length > 0
+                    ? `↩️ Removed the last leg.\n\n${formatLegs(legs)}`
+                    : '↩️ Removed the last leg. Send your first leg, e.g. "DEL to DXB 2024-12-01".');
+                return;
+            }
+
+            if (input === 'search') {
+                if (legs.length < 2) {
+                    await bot.sendMessage(chatId, '❌ A multi-city trip needs at least 2 legs. Please add another leg.');
+                    return;
+                }
+                userState.step = 'search_passengers';
+                userStates.set(userId, userState);
+                await bot.sendMessage(chatId, PASSENGERS_PROMPT);
+                return;
+            }
+
+            const leg = parseLeg(text, legs[legs.length - 1]);
+            if (!leg) {
+                await bot.sendMessage(chatId, `❌ Please send a leg like "DEL to DXB 2024-12-01"${legs.length > 0 ? ` or just "LHR 2024-12-10" to continue from ${legs[legs.length - 1].destination}` : ''}.`);
+                return;
+            }
+
+            const departureDate = formatDate(leg.dateText);
+            if (!departureDate || !isValidFutureDate(departureDate)) {
+                await bot.sendMessage(chatId, '❌ Please use a valid future date (e.g., YYYY-MM-DD, DD-MM-YYYY, DD-MM-YY)');
+                return;
+            }
+
+            if (legs.length > 0 && departureDate < legs[legs.length - 1].departureDate) {
+                await bot.sendMessage(chatId, `❌ This leg departs before the previous one (${legs[legs.length - 1].departureDate}).`);
+                return;
+            }
+
+            let origin;
+            let destination;
+            try {
+                origin = leg.originText ? await resolveAirportCode(leg.originText) : legs[legs.length - 1].destination;
+                destination = await resolveAirportCode(leg.destinationText);
+            } catch (error) {
+                await bot.sendMessage(chatId, `❌ ${error.message}`);
+                return;
+            }
+
+            legs.push({ origin, destination, departureDate });
+            userStates.set(userId, userState);
+
+            let message = `✅ Added leg ${legs.length}.\n\n${formatLegs(legs)}\n\n`;
+            if (legs.length >= FlightAPI.MAX_MULTI_CITY_LEGS) {
+                userState.step = 'search_passengers';
+                userStates.set(userId, userState);
+                message += `That's the maximum of ${FlightAPI.MAX_MULTI_CITY_LEGS} legs.\n\n${PASSENGERS_PROMPT}`;
+            } else if (legs.length === 1) {
+                message += `Send the next leg, e.g. "LHR 2024-12-10" to continue from ${destination}.`;
+            } else {
+                message += 'Send another leg, type "search" to find flights, or "undo" to remove the last leg.';
+            }
+            await bot.sendMessage(chatId, message);
+            return;
+        }
+
+        if (userState.step === 'search_passengers') {
+            const passengers = parsePassengers(text);
+            if (!passengers) {
+                bot.sendMessage(chatId, '❌ Please describe travellers like "2 adults 1 child", or type "skip" for 1 adult.');
+                return;
+            }
+
+            try {
+                flightAPI.normalizeSearchOptions(passengers);
+            } catch (error) {
+                bot.sendMessage(chatId, `❌ ${error.message}`);
+                return;
+            }
+
+            userState.data.search_options = passengers;
+            userState.step = 'search_cabin';
+            userStates.set(userId, userState);
+
+            const cabinButtons = Object.entries(FlightAPI.TRAVEL_CLASSES).map(([travelClass, { label }]) => ({
+                text: label,
+                callback_data: `cabin_${travelClass}`
+            }));
+
+            bot.sendMessage(chatId, '💺 Which cabin class?', {
+                reply_markup: {
+                    inline_keyboard: [
+                        cabinButtons.slice(0, 2),
+                        cabinButtons.slice(2),
+                        [{ text: 'Any cabin', callback_data: 'cabin_ANY' }]
+                    ]
+                }
+            });
+            return;
+        }
+
+        if (userState.step === 'search_cabin') {
+            bot.sendMessage(chatId, '💺 Please pick a cabin class from the buttons above.');
+            return;
+        }
+
+        if (userState.step === 'search_filters') {
+            let filters;
+            try {
+                filters = await parseSearchFilters(text);
+                flightAPI.normalizeSearchOptions({ ...userState.data.search_options, ...filters });
+            } catch (error) {
+                bot.sendMessage(chatId, `❌ ${error.message}`);
+                return;
+            }
+
+            userState.data.search_options = { ...userState.data.search_options, ...filters };
             userStates.set(userId, userState);
 
             // Search flights
-            await searchFlightsForUser(chatId, userId);
+            if (userState.data.legs) {
+                await searchMultiCityForUser(chatId, userId);
+            } else {
+                await searchFlightsForUser(chatId, userId);
+            }
+            return;
+        }
+
+        if (userState.step === 'explore_query') {
+            userStates.delete(userId);
+            await exploreForUser(chatId, userId, text);
             return;
         }
 
@@ -304,7 +329,7 @@ async function processConversationStep(msg) {
                 userState.step = 'track_flight_origin';
                 userState.data.trackingMethod = 'route';
                 userStates.set(userId, userState);
-                await bot.sendMessage(chatId, '🏠 Which city are you flying FROM? (e.g., NYC, London, Delhi)');
+                await askOrigin(chatId);
                 return;
             }
             else if (text === 'Search by Flight Number') {
@@ -320,69 +345,29 @@ async function processConversationStep(msg) {
         }
 
         // Flight tracking conversation flow - By Route method
-        if (userState.step === 'track_flight_origin') {
-            try {
-                const airports = await flightAPI.findAirports(text);
-
-                if (airports.length === 0) {
-                    await bot.sendMessage(chatId, '❌ No airports found for this city. Please try another city name.');
-                    return;
-                } else {
-                    // Always select the first airport from the list (even if there are multiple)
-                    const selectedAirport = airports[0];
-                    userState.data.origin = selectedAirport.code;
-                    userState.data.originName = selectedAirport.name;
-                    userState.step = 'track_flight_destination';
-                    userStates.set(userId, userState);
-
-                    await bot.sendMessage(chatId,
-                        `✅ Selected departure: ${selectedAirport.name} (${selectedAirport.code})
-                
-🎯 Which city are you flying TO?`);
-                    return;
-                }
-            } catch (error) {
-                console.error('Error finding airports:', error);
-                await bot.sendMessage(chatId, '❌ Error finding airports. Please try again with a different city name.');
-                return;
-            }
+        if (userState.step === 'track_flight_origin' || userState.step === 'track_flight_destination') {
+            await handleAirportInput(chatId, userId, userState, text);
+            return;
         }
 
-        if (userState.step === 'track_flight_destination') {
-            try {
-                const airports = await flightAPI.findAirports(text);
+        // Flight tracking by flight number
+        if (userState.step === 'track_flight_airline') {
+            const airlineCode = await findAirlineCode(text);
 
-                if (airports.length === 0) {
-                    await bot.sendMessage(chatId, '❌ No airports found for this city. Please try another city name.');
-                    return;
+            if (!airlineCode) {
+                const matches = findAirlines(text, 5);
+                if (matches.length > 1) {
+                    bot.sendMessage(chatId, `🤔 Which airline do you mean?\n\n${matches.map(airline => `• ${formatAirline(airline.iata)}`).join('\n')}\n\nPlease type the airline code or its full name.`);
                 } else {
-                    // Always select the first airport from the list (even if there are multiple)
-                    const selectedAirport = airports[0];
-                    userState.data.destination = selectedAirport.code;
-                    userState.data.destinationName = selectedAirport.name;
-                    userState.step = 'track_flight_date';
-                    userStates.set(userId, userState);
-
-                    await bot.sendMessage(chatId,
-                        `✅ Selected destination: ${selectedAirport.name} (${selectedAirport.code})
-                
-📅 What's your departure date? (YYYY-MM-DD format, e.g., 2024-12-25)`);
-                    return;
+                    bot.sendMessage(chatId, '❌ I couldn\'t find that airline. Please try its full name or 2-letter code (e.g., "American" or "AA").');
                 }
-            } catch (error) {
-                console.error('Error finding airports:', error);
-                await bot.sendMessage(chatId, '❌ Error finding airports. Please try again with a different city name.');
                 return;
             }
-        }
 
-        // Flight tracking by flight number
-        if (userState.step === 'track_flight_airline') {
-            const airlineCode = await findAirlineCode(text);
             userState.data.carrierCode = airlineCode;
             userState.step = 'track_flight_number';
             userStates.set(userId, userState);
-            bot.sendMessage(chatId, `✅ Airline code: ${airlineCode}\n\n📝 Please enter the flight number (digits only, e.g., 123):`);
+            bot.sendMessage(chatId, `✅ Airline: ${formatAirline(airlineCode)}\n\n📝 Please enter the flight number (digits only, e.g., 123):`);
             return;
         }
 
@@ -417,100 +402,15 @@ async function processConversationStep(msg) {
 
             // Different flow based on tracking method
             if (userState.data.trackingMethod === 'route') {
-                // We have origin, destination, and date - search for flights now
-                try {
-                    // Create new variables to ensure we're using string values
-                    const originCode = String(userState.data.origin || '');
-                    const destinationCode = String(userState.data.destination || '');
-
-                    // Additional validation with better error handling
-                    if (!originCode || originCode === 'origin' || originCode.length !== 3) {
-                        console.error(`Invalid origin code: "${originCode}" (type: ${typeof originCode})`);
-                        bot.sendMessage(chatId, '❌ Invalid origin airport code. Please restart tracking.');
-                        userStates.delete(userId);
-                        return;
-                    }
-
-                    if (!destinationCode || destinationCode === 'destination' || destinationCode.length !== 3) {
-                        console.error(`Invalid destination code: "${destinationCode}" (type: ${typeof destinationCode})`);
-                        bot.sendMessage(chatId, '❌ Invalid destination airport code. Please restart tracking.');
-                        userStates.delete(userId);
-                        return;
-                    }
-
-                    bot.sendMessage(chatId, `🔍 Searching for flights from ${originCode} to ${destinationCode} on ${formattedDate}... Hold on.`);
-                    console.log(`Final API call parameters: origin=${originCode} (${typeof originCode}), destination=${destinationCode} (${typeof destinationCode}), date=${formattedDate}`);
-
-                    // Use the validated values for the API call
-                    const flights = await flightAPI.searchFlights(
-                        originCode,
-                        destinationCode,
-                        formattedDate
-                    );
-
-                    if (!flights || flights.length === 0) {
-                        // IMPORTANT: First delete the user state before sending the message
-                        userStates.delete(userId);
-
-                        // THEN send message with main menu keyboard
-                        bot.sendMessage(chatId, '❌ No flights found for this route and date. Please try a different date or route.', {
-                            reply_markup: {
-                                keyboard: [
-                                    [{ text: '🔍 Search Flights' }],
-                                    [{ text: '💰 My Price Alerts' }, { text: '✈️ My Tracked Flights' }],
-                                    [{ text: '🛫 Track Flights' }, { text: '❓ Help' }],
-                                    [{ text: '⭐ Premium' }, { text: '🔗 Share' }]
-                                ],
-                                resize_keyboard: true,
-                                persistent: true
-                            }
-                        });
-                        return;
-                    }
-
-                    // Show available flights for tracking
-                    let message = `✅ Found ${flights.length} flights from ${userState.data.origin} to ${userState.data.destination} on ${formattedDate}.\n\n`;
-                    message += 'Please select a flight to track:\n\n';
-
-                    const keyboard = { inline_keyboard: [] };
-
-                    // Show first 10 flights max
-                    const maxFlights = Math.min(flights.length, 10);
-                    for (let i = 0; i < maxFlights; i++) {
-                        const flight = flights[i];
-                        const segment = flight.segments?.[0];
-                        if (!segment) continue;
-
-                        const departureTime = new Date(segment.departure?.at).toLocaleTimeString('en-US', {
-                            hour: '2-digit', minute: '2-digit', hour12: false
-                        });
-
-                        const arrivalTime = new Date(segment.arrival?.at).toLocaleTimeString('en-US', {
-                            hour: '2-digit', minute: '2-digit', hour12: false
-                        });
-
-                        message += `${i + 1}. ${segment.carrierCode}${segment.flightNumber} - ${departureTime} → ${arrivalTime}\n`;
-
-                        keyboard.inline_keyboard.push([{
-                            text: `${i + 1}. ${segment.carrierCode}${segment.flightNumber} at ${departureTime}`,
-                            callback_data: `select_flight_${i}`
-                        }]);
-                    }
-
-                    // Store flights in user state
-                    userState.data.flights = flights;
-                    userState.step = 'select_flight_to_track';
-                    userStates.set(userId, userState);
-
-                    bot.sendMessage(chatId, message, { reply_markup: keyboard });
-                } catch (error) {
-                    console.error('Error searching flights:', error);
-                    bot.sendMessage(chatId, '❌ Error searching flights. Please try again later.');
-                }
+                // Round trips can follow the return flight too
+                userState.step = 'track_flight_return_date';
+                userStates.set(userId, userState);
+                bot.sendMessage(chatId, '🔄 Return date? (YYYY-MM-DD format, or type "oneway" for one-way flight)');
+                return;
             } else {
                 // We have carrier code, flight number and date - try to verify this flight exists
                 try {
-                    bot.sendMessage(chatId, `🔍 Checking flight ${userState.data.carrierCode}${userState.data.flightNumber} on ${formattedDate}...`);
+                    bot.sendMessage(chatId, `🔍 Checking flight ${formatFlight(userState.data.carrierCode, userState.data.flightNumber)} on ${formattedDate}...`);
 
                     // Verify flight exists
                     const flightStatus = await flightTracker.getFlightStatus(
@@ -557,9 +457,31 @@ async function processConversationStep(msg) {
                     // The user will now be back at the main menu automatically
                 } catch (error) {
                     console.error('Error verifying flight:', error);
-                    bot.sendMessage(chatId, '❌ Error checking flight. Please verify your flight details and try again.');
+                    bot.sendMessage(chatId, `❌ Error checking flight. ${describeSearchError(error)}`);
+                }
+            }
+            return;
+        }
+
+        if (userState.step === 'track_flight_return_date') {
+            let returnDate = null;
+
+            if (text.toLowerCase() !== 'oneway') {
+                returnDate = formatDate(text);
+                if (!returnDate) {
+                    bot.sendMessage(chatId, '❌ Please use a valid date format or type "oneway"');
+                    return;
+                }
+
+                if (!isReturnDateValid(userState.data.date, returnDate)) {
+                    bot.sendMessage(chatId, '❌ Return date must be after departure date.');
+                    return;
                 }
             }
+
+            userState.data.returnDate = returnDate;
+            userStates.set(userId, userState);
+            await searchFlightsToTrack(chatId, userId);
             return;
         }
 
@@ -665,96 +587,1067 @@ function isValidFutureDate(dateStr) {
     return date <= maxFutureDate;
 }
 
-// Check if return date is valid compared to departure
-function isReturnDateValid(departureDate, returnDate) {
-    const departure = new Date(departureDate);
-    const returnD = new Date(returnDate);
-    return returnD > departure;
+// Check if return date is valid compared to departure
+function isReturnDateValid(departureDate, returnDate) {
+    const departure = new Date(departureDate);
+    const returnD = new Date(returnDate);
+    return returnD > departure;
+}
+
+// Parse "2 adults 1 child 1 infant" (or a bare number of adults) into search options.
+// Returns null when the text can't be understood.
+function parsePassengers(text) {
+    const input = text.toLowerCase().trim();
+
+    if (input === 'skip') {
+        return { adults: 1, children: 0, infants: 0 };
+    }
+
+    if (/^\d+$/.test(input)) {
+        return { adults: parseInt(input, 10), children: 0, infants: 0 };
+    }
+
+    const count = pattern => {
+        const match = input.match(pattern);
+        return match ? parseInt(match[1], 10) : 0;
+    };
+
+    const passengers = {
+        adults: count(/(\d+)\s*(?:adults?|grown-?ups?)/),
+        children: count(/(\d+)\s*(?:child(?:ren)?|kids?)/),
+        infants: count(/(\d+)\s*(?:infants?|bab(?:y|ies))/)
+    };
+
+    if (passengers.adults + passengers.children + passengers.infants === 0) {
+        return null;
+    }
+
+    return passengers;
+}
+
+// Parse search filters separated by semicolons, e.g. "nonstop; max 600; only AI, 6E; no turboprops".
+// Throws an Error with a user-readable message for clauses it doesn't understand.
+async function parseSearchFilters(text) {
+    const filters = {};
+    const input = text.trim();
+
+    if (['none', 'no', 'skip'].includes(input.toLowerCase())) {
+        return filters;
+    }
+
+    const toAirlineCodes = async list => {
+        const codes = [];
+        for (const name of list.split(',').map(item => item.trim()).filter(Boolean)) {
+            const code = await findAirlineCode(name);
+            if (!code) {
+                throw new Error(`Unknown airline "${name}". Please use airline codes like AI or 6E.`);
+            }
+            codes.push(code);
+        }
+        return codes;
+    };
+
+    for (const clause of input.split(/[;\n]/).map(item => item.trim()).filter(Boolean)) {
+        const lower = clause.toLowerCase();
+        let match;
+
+        if (/^(non-?stop|direct)( only)?$/.test(lower)) {
+            filters.nonStop = true;
+        } else if ((match = lower.match(/^max(?:imum)?(?: price)?\s*\$?(\d+)$/))) {
+            filters.maxPrice = parseInt(match[1], 10);
+        } else if (/^(?:no|avoid|without) turbo-?props?$/.test(lower) || /^jets? only$/.test(lower)) {
+            filters.avoidTurboprops = true;
+        } else if ((match = clause.match(/^(?:only|include)\s+(.+)$/i))) {
+            filters.includedAirlineCodes = await toAirlineCodes(match[1]);
+        } else if ((match = clause.match(/^(?:exclude|no|without)\s+(.+)$/i))) {
+            filters.excludedAirlineCodes = await toAirlineCodes(match[1]);
+        } else {
+            throw new Error(`I didn't understand "${clause}". Try "nonstop", "max 600", "only AI, 6E", "exclude UA" or "no turboprops".`);
+        }
+    }
+
+    return filters;
+}
+
+// Turn a flight data error into a message for the user
+function describeSearchError(error) {
+    if (error instanceof InvalidRequestError) {
+        return 'The flight data provider did not accept this search. Please check the airport codes and dates.';
+    }
+    if (error instanceof RateLimitedError) {
+        return 'We are receiving too many requests right now. Please try again in a few minutes.';
+    }
+    if (error instanceof UpstreamUnavailableError || error instanceof AuthError) {
+        return 'Flight data provider is temporarily unavailable. Please try again later.';
+    }
+    return 'Please try again with different search parameters.';
+}
+
+// Keyboard row opening the flexible-date grid for a saved search
+function flexibleDatesButton(sessionId) {
+    return [{ text: `📅 Flexible dates (±${flightAPI.flexDateDays} days)`, callback_data: `flex_dates_${sessionId}` }];
+}
+
+// Keyboard row pricing a saved search from and to nearby airports
+function nearbyAirportsButton(sessionId) {
+    return [{ text: `📍 Nearby airports (${flightAPI.nearbyAirportRadiusKm} km)`, callback_data: `nearby_alts_${sessionId}` }];
+}
+
+// Track every flight of one itinerary (the outbound or return part of an offer)
+async function trackItinerary(chatId, userId, itinerary) {
+    const segments = itinerary.segments || [];
+    const date = itinerary.departureTime.split('T')[0];
+
+    if (segments.length > 1) {
+        return flightTracker.createFlightTrack(chatId, userId, {
+            date,
+            origin: itinerary.origin,
+            destination: itinerary.destination,
+            segments
+        });
+    }
+
+    return flightTracker.createFlightTrack(chatId, userId, {
+        carrierCode: segments[0].carrierCode,
+        flightNumber: segments[0].flightNumber,
+        date,
+        origin: itinerary.origin,
+        destination: itinerary.destination
+    });
+}
+
+// Search a route for the flight-tracking flow and let the user pick a flight
+async function searchFlightsToTrack(chatId, userId) {
+    const userState = userStates.get(userId);
+    if (!userState) return;
+
+    const { date, returnDate } = userState.data;
+
+    try {
+        // Create new variables to ensure we're using string values
+        const originCode = String(userState.data.origin || '');
+        const destinationCode = String(userState.data.destination || '');
+
+        // Additional validation with better error handling
+        if (!originCode || originCode === 'origin' || originCode.length !== 3) {
+            console.error(`Invalid origin code: "${originCode}" (type: ${typeof originCode})`);
+            bot.sendMessage(chatId, '❌ Invalid origin airport code. Please restart tracking.');
+            userStates.delete(userId);
+            return;
+        }
+
+        if (!destinationCode || destinationCode === 'destination' || destinationCode.length !== 3) {
+            console.error(`Invalid destination code: "${destinationCode}" (type: ${typeof destinationCode})`);
+            bot.sendMessage(chatId, '❌ Invalid destination airport code. Please restart tracking.');
+            userStates.delete(userId);
+            return;
+        }
+
+        bot.sendMessage(chatId, `🔍 Searching for flights from ${originCode} to ${destinationCode} on ${date}${returnDate ? `, returning ${returnDate}` : ''}... Hold on.`);
+        console.log(`Final API call parameters: origin=${originCode} (${typeof originCode}), destination=${destinationCode} (${typeof destinationCode}), date=${date}, returnDate=${returnDate}`);
+
+        // Use the validated values for the API call
+        const flights = await flightAPI.searchFlights(
+            originCode,
+            destinationCode,
+            date,
+            returnDate
+        );
+
+        if (!flights || flights.length === 0) {
+            // IMPORTANT: First delete the user state before sending the message
+            userStates.delete(userId);
+
+            // THEN send message with main menu keyboard
+            bot.sendMessage(chatId, '❌ No flights found for this route and date. Please try a different date or route.', {
+                reply_markup: {
+                    keyboard: [
+                        [{ text: '🔍 Search Flights' }],
+                        [{ text: '💰 My Price Alerts' }, { text: '✈️ My Tracked Flights' }],
+                        [{ text: '🛫 Track Flights' }, { text: '❓ Help' }],
+                        [{ text: '⭐ Premium' }, { text: '🔗 Share' }]
+                    ],
+                    resize_keyboard: true,
+                    persistent: true
+                }
+            });
+            return;
+        }
+
+        // Show available flights for tracking
+        let message = `✅ Found ${flights.length} flights from ${userState.data.origin} to ${userState.data.destination} on ${date}${returnDate ? ` returning ${returnDate}` : ''}.\n\n`;
+        message += 'Please select a flight to track:\n\n';
+
+        const keyboard = { inline_keyboard: [] };
+
+        // Show first 10 flights max
+        const maxFlights = Math.min(flights.length, 10);
+        for (let i = 0; i < maxFlights; i++) {
+            const flight = flights[i];
+            const segment = flight.segments?.[0];
+            if (!segment) continue;
+
+            const departureTime = formatLocalTime(segment.departure?.at, segment.departure?.airport) || '--:--';
+            const arrivalTime = formatLocalTime(segment.arrival?.at, segment.arrival?.airport, {
+                from: segment.departure
+            }) || '--:--';
+
+            message += `${i + 1}. ${formatFlight(segment.carrierCode, segment.flightNumber)} - ${departureTime} → ${arrivalTime}\n`;
+
+            // Round trips list the return flight too; selecting the option tracks both
+            const returnSegment = flight.itineraries?.[1]?.segments[0];
+            if (returnSegment) {
+                message += `   ↩️ ${formatSegmentLine(returnSegment)}\n`;
+            }
+
+            keyboard.inline_keyboard.push([{
+                text: `${i + 1}. ${segment.carrierCode}${segment.flightNumber} at ${departureTime}${returnSegment ? ` + ${returnSegment.carrierCode}${returnSegment.flightNumber}` : ''}`,
+                callback_data: `select_flight_${i}`
+            }]);
+        }
+
+        // Store flights in user state
+        userState.data.flights = flights;
+        userState.step = 'select_flight_to_track';
+        userStates.set(userId, userState);
+
+        bot.sendMessage(chatId, message, { reply_markup: keyboard });
+    } catch (error) {
+        console.error('Error searching flights:', error);
+        bot.sendMessage(chatId, `❌ Error searching flights. ${describeSearchError(error)}`);
+    }
+}
+
+// Search flights implementation
+async function searchFlightsForUser(chatId, userId) {
+    const userState = userStates.get(userId);
+    if (!userState) return;
+
+    const { origin, destination, departure_date, return_date } = userState.data;
+    const searchOptions = userState.data.search_options || {};
+
+    bot.sendMessage(chatId, '🔍 Let me search for flights... Hold on.');
+
+    try {
+        console.log(`Searching flights: ${origin} → ${destination} on ${departure_date}${return_date ? ` with return on ${return_date}` : ' (one-way)'}`);
+
+        const flights = await flightAPI.searchFlights(origin, destination, departure_date, return_date, searchOptions);
+
+        // Buttons on the results refer back to this search
+        const search = { origin, destination, departure_date, return_date, search_options: searchOptions };
+
+        if (flights.length === 0) {
+            const sessionId = searchSessions.save(search);
+            bot.sendMessage(chatId, '❌ No flights found for this route and date. Please try different dates or cities.', {
+                reply_markup: { inline_keyboard: [flexibleDatesButton(sessionId), nearbyAirportsButton(sessionId)] }
+            });
+            userStates.delete(userId);
+            return;
+        }
+
+        // Find cheapest flight
+        let cheapestFlight = flights[0];
+        let cheapestPrice = parseFloat(cheapestFlight.price);
+
+        flights.forEach(flight => {
+            const currentPrice = parseFloat(flight.price);
+            if (currentPrice < cheapestPrice) {
+                cheapestPrice = currentPrice;
+                cheapestFlight = flight;
+            }
+        });
+
+        // Get top 5 cheapest flights
+        const topFlights = [...flights]
+            .sort((a, b) => parseFloat(a.price) - parseFloat(b.price))
+            .slice(0, 5);
+
+        // Keep the offers so their fare details can be shown and the cheapest
+        // offer's outbound or return flight can be tracked
+        const sessionId = searchSessions.save({ ...search, offer: cheapestFlight, offers: topFlights });
+        const [outbound, inbound] = cheapestFlight.itineraries || [];
+        // Offers of a metro search (LON, NYC) can each use a different airport of the city
+        const isMetroSearch = Boolean(getMetroArea(origin) || getMetroArea(destination));
+
+        // Format message with results
+        let message = `✅ Found ${flights.length} flights from ${describeAirport(origin)} to ${describeAirport(destination)}!\n`;
+        message += `👥 ${flightAPI.describeSearchOptions(searchOptions)}\n\n`;
+        message += `💰 Most affordable option: $${cheapestFlight.price} (${formatAirline(cheapestFlight.airline)})${flightAPI.isDefaultSearch(searchOptions) ? '' : ' total'}\n`;
+        if (inbound) {
+            message += `🛫 Outbound: ${flightAPI.describeItinerary(outbound)}\n`;
+            outbound.segments.forEach(segment => {
+                message += `      ✈️ ${formatSegmentLine(segment)}\n`;
+            });
+            message += `🛬 Return: ${flightAPI.describeItinerary(inbound)}\n`;
+            inbound.segments.forEach(segment => {
+                message += `      ✈️ ${formatSegmentLine(segment)}\n`;
+            });
+            message += '\n';
+        } else {
+            message += `⏱️ Duration: ${cheapestFlight.formattedDuration}${cheapestFlight.stops === 0 ? ' (direct)' : ` (${cheapestFlight.stops} stop${cheapestFlight.stops > 1 ? 's' : ''})`}\n`;
+            if (isMetroSearch) {
+                message += `🛫 From ${describeAirport(outbound.origin)} to ${describeAirport(outbound.destination)}\n`;
+            }
+            const departure = { at: outbound.departureTime, airport: outbound.origin };
+            message += `🕒 Departure: ${formatLocalTime(departure.at, departure.airport, { withDate: true }) || 'unknown'} (${outbound.origin} local time)\n`;
+            message += `🛬 Arrival: ${formatLocalTime(outbound.arrivalTime, outbound.destination, { withDate: true, from: departure }) || 'unknown'} (${outbound.destination} local time)\n\n`;
+        }
+        message += `🏆 Top 5 most affordable options:\n`;
+        topFlights.forEach((flight, index) => {
+            const [flightOutbound, returnItinerary] = flight.itineraries || [];
+            message += `${index + 1}. $${flight.price} - ${formatAirline(flight.airline)} - ${flight.formattedDuration}` +
+                `${returnItinerary ? ` out, ${returnItinerary.formattedDuration} back` : ''}` +
+                `${isMetroSearch && flightOutbound ? ` - ${flightOutbound.origin} → ${flightOutbound.destination}` : ''}\n`;
+        });
+
+        message += `\nTap ℹ️ for baggage, fare conditions and the price breakdown of an option.`;
+        message += `\nWant to get notified when prices drop? Upgrade to premium with /premium`;
+
+        // Add keyboard for booking/tracking
+        // Searches with passengers or filters don't fit in callback_data, keep them in a session
+        const trackCallback = flightAPI.isDefaultSearch(searchOptions)
+            ? `track_${origin}_${destination}_${departure_date}${return_date ? '_' + return_date : ''}`
+            : `alert_search_${sessionId}`;
+
+        const keyboard = {
+            inline_keyboard: [
+                // Shown prices can be stale, so booking goes through a fresh price check
+                [{
+                    text: '✈️ Confirm price & book',
+                    callback_data: `confirm_price_${sessionId}_0`
+                }],
+                [{
+                    text: '🔔 Track Price Changes',
+                    callback_data: trackCallback
+                }],
+                // Follow the flights of the cheapest offer for schedule changes
+                ...(outbound ? [[
+                    { text: inbound ? '🛫 Follow outbound flight' : '🛫 Follow this flight', callback_data: `follow_leg_${sessionId}_0` },
+                    ...(inbound ? [{ text: '🛬 Follow return flight', callback_data: `follow_leg_${sessionId}_1` }] : [])
+                ]] : []),
+                topFlights.map((flight, index) => ({
+                    text: `ℹ️ ${index + 1}`,
+                    callback_data: `offer_details_${sessionId}_${index}`
+                })),
+                flexibleDatesButton(sessionId),
+                nearbyAirportsButton(sessionId)
+            ]
+        };
+
+        bot.sendMessage(chatId, message, { reply_markup: keyboard });
+        userStates.delete(userId);
+    } catch (error) {
+        console.error('Error searching flights:', error);
+
+        bot.sendMessage(chatId, `❌ Error searching for flights. ${describeSearchError(error)}`);
+        userStates.delete(userId);
+    }
+}
+
+// Short date label for grids, e.g. "Mon 07"
+function formatGridDate(dateStr) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    const weekday = date.toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' });
+    return `${weekday} ${dateStr.slice(8)}`;
+}
+
+function formatDateRange(dates) {
+    const format = dateStr => new Date(`${dateStr}T00:00:00Z`)
+        .toLocaleDateString('en-US', { day: 'numeric', month: 'short', timeZone: 'UTC' });
+    return `${format(dates[0])} – ${format(dates[dates.length - 1])}`;
+}
+
+// Render a flexible-date price grid as a monospace table; the cheapest cell is starred
+function renderFlexibleDateGrid(grid, searchOptions) {
+    const cellText = (dep, ret) => {
+        const cell = grid.cells[FlightAPI.flexCellKey(dep, ret)];
+        if (!cell) return '—';
+
+        const isCheapest = grid.cheapest && grid.cheapest.departureDate === dep &&
+            grid.cheapest.returnDate === (ret || null);
+        return `${Math.round(cell.price)}${isCheapest ? '*' : ''}`;
+    };
+
+    let table;
+    if (!grid.returnDates) {
+        table = grid.departureDates
+            .map(dep => `${formatGridDate(dep)}  ${('$' + cellText(dep)).padStart(6)}`)
+            .join('\n');
+    } else {
+        const header = 'Dep\\Rt' + grid.returnDates.map(ret => ret.slice(8).padStart(5)).join('');
+        const rows = grid.departureDates.map(dep => formatGridDate(dep) +
+            grid.returnDates.map(ret => (ret > dep ? cellText(dep, ret) : '').padStart(5)).join(''));
+        table = [header, ...rows].join('\n');
+    }
+
+    let message = `📅 <b>Flexible dates: ${grid.origin} → ${grid.destination}</b>\n`;
+    message += `🛫 Departures: ${formatDateRange(grid.departureDates)}\n`;
+    if (grid.returnDates) {
+        message += `🛬 Returns: ${formatDateRange(grid.returnDates)} (columns)\n`;
+    }
+    message += `👥 ${flightAPI.describeSearchOptions(searchOptions)}\n\n`;
+    message += `<pre>${table}</pre>\n`;
+
+    if (grid.cheapest) {
+        message += `\n⭐ Cheapest: <b>$${grid.cheapest.price}</b> departing ${formatGridDate(grid.cheapest.departureDate)}` +
+            `${grid.cheapest.returnDate ? `, returning ${formatGridDate(grid.cheapest.returnDate)}` : ''}\n`;
+    }
+    if (grid.source === 'cheapest-dates') {
+        message += '💡 Prices are recent cached fares and may change.\n';
+    }
+    if (grid.partial) {
+        message += '💡 Only the dates closest to yours were searched; — marks dates without a price.\n';
+    }
+    message += '\nTap a price below to get alerts for those dates.';
+
+    return message;
+}
+
+// One button per grid cell, laid out like the table (round trips show the return day)
+function flexibleDateKeyboard(grid, gridSessionId) {
+    const button = (dep, ret, i, j) => {
+        const cell = grid.cells[FlightAPI.flexCellKey(dep, ret)];
+        const price = cell ? `$${Math.round(cell.price)}` : '—';
+        return {
+            text: ret ? `${ret.slice(8)}·${price}` : `${formatGridDate(dep)} · ${price}`,
+            callback_data: `flex_alert_${gridSessionId}_${i}${ret ? `_${j}` : ''}`
+        };
+    };
+
+    if (!grid.returnDates) {
+        return grid.departureDates.map((dep, i) => [button(dep, null, i)]);
+    }
+
+    return grid.departureDates.map((dep, i) => grid.returnDates
+        .map((ret, j) => ({ ret, j }))
+        .filter(({ ret }) => ret > dep)
+        .map(({ ret, j }) => button(dep, ret, i, j)))
+        .filter(row => row.length > 0);
+}
+
+// Search ±N days around a stored search and send the price grid
+async function sendFlexibleDates(chatId, search) {
+    await bot.sendMessage(chatId, `🔍 Checking prices ±${flightAPI.flexDateDays} days around your dates... Hold on.`);
+
+    try {
+        const grid = await flightAPI.searchFlexibleDates(search.origin, search.destination,
+            search.departure_date, search.return_date, search.search_options || {});
+
+        if (!grid.cheapest) {
+            await bot.sendMessage(chatId, '❌ No flights found on any nearby dates. Please try a different route.');
+            return;
+        }
+
+        const gridSessionId = searchSessions.save({
+            origin: grid.origin,
+            destination: grid.destination,
+            departureDates: grid.departureDates,
+            returnDates: grid.returnDates,
+            cells: grid.cells,
+            search_options: search.search_options || {}
+        });
+
+        await bot.sendMessage(chatId, renderFlexibleDateGrid(grid, search.search_options || {}), {
+            parse_mode: 'HTML',
+            reply_markup: { inline_keyboard: flexibleDateKeyboard(grid, gridSessionId) }
+        });
+    } catch (error) {
+        console.error('Error searching flexible dates:', error);
+        await bot.sendMessage(chatId, `❌ Error searching flexible dates. ${describeSearchError(error)}`);
+    }
+}
+
+// Price a stored search from and to nearby airports and list the ones cheaper than
+// its best offer (or any at all when the search found nothing)
+async function sendNearbyAlternatives(chatId, search) {
+    const radiusKm = flightAPI.nearbyAirportRadiusKm;
+    await bot.sendMessage(chatId, `🔍 Checking airports within ${radiusKm} km of ${search.origin} and ${search.destination}... Hold on.`);
+
+    try {
+        const alternatives = await flightAPI.searchNearbyAirports(search.origin, search.destination,
+            search.departure_date, search.return_date, search.search_options || {});
+
+        const currentPrice = search.offer ? parseFloat(search.offer.price) : null;
+        const cheaper = alternatives.filter(alternative => currentPrice === null || alternative.price < currentPrice);
+
+        if (cheaper.length === 0) {
+            await bot.sendMessage(chatId, currentPrice === null
+                ? '❌ No flights found from or to nearby airports either. Please try different dates.'
+                : `✅ No nearby airport beats $${search.offer.price} for this trip.`);
+            return;
+        }
+
+        const sessionId = searchSessions.save({
+            alternatives: cheaper,
+            departure_date: search.departure_date,
+            return_date: search.return_date,
+            search_options: search.search_options || {}
+        });
+
+        let message = `📍 Nearby airports${currentPrice === null ? ' with flights' : ' with cheaper flights'}:\n\n`;
+        const keyboard = [];
+        cheaper.forEach((alternative, index) => {
+            const airport = alternative[alternative.side];
+            const replaced = search[alternative.side];
+            message += `${index + 1}. $${alternative.price}` +
+                `${currentPrice === null ? '' : ` (save $${Math.round(currentPrice - alternative.price)})`}` +
+                ` - ${alternative.origin} → ${alternative.destination}\n`;
+            message += `   ${alternative.side === 'origin' ? '🛫 From' : '🛬 To'} ${describeAirport(airport)}, ${alternative.distanceKm} km from ${replaced}\n`;
+
+            keyboard.push([{
+                text: `🔍 ${alternative.origin} → ${alternative.destination}`,
+                callback_data: `nearby_search_${sessionId}_${index}`
+            }]);
+        });
+        message += '\n💡 Remember to allow for getting to a different airport.';
+
+        await bot.sendMessage(chatId, message, { reply_markup: { inline_keyboard: keyboard } });
+    } catch (error) {
+        console.error('Error searching nearby airports:', error);
+        await bot.sendMessage(chatId, `❌ Error searching nearby airports. ${describeSearchError(error)}`);
+    }
+}
+
+const DEPARTURE_DATE_PROMPT = '📅 What\'s your departure date? (YYYY-MM-DD format, e.g., 2024-12-25)';
+
+// Airport steps of the search and route-tracking flows: the field the airport fills,
+// the step after it and the question that step asks
+const AIRPORT_STEPS = {
+    search_origin: { field: 'origin', label: 'departure', next: 'search_destination', prompt: '🎯 Which city are you flying TO?' },
+    search_destination: { field: 'destination', label: 'destination', next: 'search_departure_date', prompt: DEPARTURE_DATE_PROMPT },
+    track_flight_origin: { field: 'origin', label: 'departure', next: 'track_flight_destination', prompt: '🎯 Which city are you flying TO?' },
+    track_flight_destination: { field: 'destination', label: 'destination', next: 'track_flight_date', prompt: DEPARTURE_DATE_PROMPT }
+};
+
+// Persistent main menu; sent again after a prompt replaces it with its own reply keyboard
+const MAIN_MENU_KEYBOARD = {
+    keyboard: [
+        [{ text: '🔍 Search Flights' }],
+        [{ text: '💰 My Price Alerts' }, { text: '✈️ My Tracked Flights' }],
+        [{ text: '🛫 Track Flights' }, { text: '❓ Help' }],
+        [{ text: '⭐ Premium' }, { text: '🔗 Share' }]
+    ],
+    resize_keyboard: true,
+    persistent: true
+};
+
+// First question of the search and route-tracking flows; the departure airport can
+// also be picked from the user's shared location. The location button replaces the
+// main menu until selectAirport brings it back.
+function askOrigin(chatId) {
+    return bot.sendMessage(chatId, '🏠 Which city are you flying FROM? (e.g., NYC, London, Delhi)\n\n📍 Or share your location to pick a nearby airport.', {
+        reply_markup: {
+            keyboard: [[{ text: '📍 Share my location', request_location: true }]],
+            resize_keyboard: true,
+            one_time_keyboard: true
+        }
+    });
+}
+
+// Store the airport picked at one of the AIRPORT_STEPS and ask the next question
+async function selectAirport(chatId, userId, userState, airport) {
+    const step = AIRPORT_STEPS[userState.step];
+    userState.data[step.field] = airport.code;
+    userState.data[`${step.field}Name`] = airport.name;
+    delete userState.data.airports;
+    userState.step = step.next;
+    userStates.set(userId, userState);
+
+    // The origin prompt swapped the main menu for the location button
+    const options = step.field === 'origin' ? { reply_markup: MAIN_MENU_KEYBOARD } : {};
+    await bot.sendMessage(chatId, `✅ Selected ${step.label}: ${formatAirport(airport)}\n\n${step.prompt}`, options);
+}
+
+// Look up the airport typed at one of the AIRPORT_STEPS. A clear best match is picked
+// straight away; otherwise the ranked matches are offered as buttons.
+async function handleAirportInput(chatId, userId, userState, text) {
+    const step = AIRPORT_STEPS[userState.step];
+    userState.data[`${step.field}Text`] = text;
+
+    let airports;
+    try {
+        airports = await flightAPI.findAirports(text);
+    } catch (error) {
+        console.error('Error finding airports:', error);
+        await bot.sendMessage(chatId, '❌ Error finding airports. Please try again with a different city name.');
+        return;
+    }
+
+    if (airports.length === 0) {
+        await bot.sendMessage(chatId, '❌ No airports found for this city. Please try another city name or an airport code.');
+        return;
+    }
+
+    if (isUnambiguous(airports)) {
+        await selectAirport(chatId, userId, userState, airports[0]);
+        return;
+    }
+
+    const question = step.field === 'origin'
+        ? '🛫 Which departure airport do you mean?'
+        : '🛬 Which destination airport do you mean?';
+    await offerAirportChoices(chatId, userId, userState, airports,
+        `${question}\n\nPick one below, or type another city, airport or code (add the country to narrow it down, e.g. "London, Canada").`);
+}
+
+// Offer airports as buttons for the current airport step; the step stays the same,
+// so the user can still type a city instead
+async function offerAirportChoices(chatId, userId, userState, airports, message) {
+    const step = AIRPORT_STEPS[userState.step];
+    userState.data.airports = airports;
+    userStates.set(userId, userState);
+
+    const prefix = step.field === 'origin' ? 'origin_' : 'dest_';
+    const keyboard = {
+        inline_keyboard: airports.map((airport, index) => [{
+            text: `${formatAirport(airport)}${airport.distanceKm !== undefined ? ` · ${airport.distanceKm} km` : ''}`,
+            callback_data: `${prefix}${index}`
+        }])
+    };
+
+    await bot.sendMessage(chatId, message, { reply_markup: keyboard });
+}
+
+// A location shared at one of the AIRPORT_STEPS offers the airports around it
+async function handleLocationInput(chatId, userId, userState, location) {
+    const step = AIRPORT_STEPS[userState.step];
+    const radiusKm = flightAPI.nearbyAirportRadiusKm;
+    const airports = findAirportsNear(location.latitude, location.longitude, radiusKm);
+
+    if (airports.length === 0) {
+        await bot.sendMessage(chatId, `❌ No airports found within ${radiusKm} km of your location. Please type a city name or an airport code instead.`);
+        return;
+    }
+
+    const question = step.field === 'origin'
+        ? '📍 Which airport near you are you flying from?'
+        : '📍 Which airport near you are you flying to?';
+    await offerAirportChoices(chatId, userId, userState, airports,
+        `${question}\n\nPick one below, or type a city, airport or code instead.`);
+}
+
+// Resolve an airport code or city name to an IATA code
+async function resolveAirportCode(text) {
+    const input = text.trim();
+    if (/^[A-Za-z]{3}$/.test(input)) {
+        return input.toUpperCase();
+    }
+
+    try {
+        return await flightAPI.searchAirport(input);
+    } catch (error) {
+        throw new Error(`Could not find an airport for "${input}". Please use an airport code like BLR.`);
+    }
+}
+
+// Parse a multi-city leg: "DEL to DXB 2024-12-01", "Delhi - Dubai 01-12-2024", "DEL DXB 2024-12-01",
+// or "LHR 2024-12-10" to continue from the previous leg's destination
+function parseLeg(text, previousLeg = null) {
+    const input = text.trim();
+
+    const full = input.match(/^(.+?)\s*(?:\s+to\s+|-|→|>)\s*(.+?)\s+(?:on\s+)?(\S+)$/i);
+    if (full) {
+        return { originText: full[1], destinationText: full[2], dateText: full[3] };
+    }
+
+    const codes = input.match(/^([A-Za-z]{3})\s+([A-Za-z]{3})\s+(?:on\s+)?(\S+)$/);
+    if (codes) {
+        return { originText: codes[1], destinationText: codes[2], dateText: codes[3] };
+    }
+
+    const continued = input.match(/^(.+?)\s+(?:on\s+)?(\S+)$/i);
+    if (continued && previousLeg) {
+        return { originText: null, destinationText: continued[1], dateText: continued[2] };
+    }
+
+    return null;
+}
+
+function formatLegs(legs) {
+    return legs.map((leg, index) => `${index + 1}. ${leg.origin} → ${leg.destination} on ${leg.departureDate}`).join('\n');
+}
+
+// One line per flight segment in local times, e.g. "AI995 DEL 09:15 → DXB 11:40"
+// or "AI101 DEL 23:15 → LHR 04:30 +1" for an arrival on a later day
+function formatSegmentLine(segment) {
+    const departure = formatLocalTime(segment.departure.at, segment.departure.airport) || '--:--';
+    const arrival = formatLocalTime(segment.arrival.at, segment.arrival.airport, { from: segment.departure }) || '--:--';
+    return `${segment.carrierCode}${segment.flightNumber} ${segment.departure.airport} ${departure} → ${segment.arrival.airport} ${arrival}`;
+}
+
+function formatFareCondition(value) {
+    if (value === true) return 'free';
+    if (value === 'fee') return 'with a fee';
+    if (value === false) return 'not allowed';
+    return 'not stated';
+}
+
+// Price breakdown, fare conditions and per-segment cabin, fare brand and baggage of an offer
+function formatOfferDetails(offer) {
+    let message = `ℹ️ Fare details: $${offer.price} (${formatAirline(offer.airline)})\n\n`;
+
+    if (offer.basePrice && offer.taxesAndFees !== null) {
+        message += `💵 Fare $${offer.basePrice} + taxes & fees $${offer.taxesAndFees} = $${offer.price} total\n`;
+    }
+    if (offer.seatsLeft) {
+        message += `💺 ${offer.seatsLeft} seat${offer.seatsLeft > 1 ? 's' : ''} left at this price\n`;
+    }
+    if (offer.lastTicketingDate) {
+        message += `⏳ Book by ${offer.lastTicketingDate}\n`;
+    }
+    message += `↩️ Refund: ${formatFareCondition(offer.refundable)} · Changes: ${formatFareCondition(offer.changeable)}\n`;
+
+    (offer.itineraries || []).forEach((itinerary, index) => {
+        let label = `🧭 Leg ${index + 1}`;
+        if (offer.itineraries.length === 1) {
+            label = '🛫 Flight';
+        } else if (offer.itineraries.length === 2) {
+            label = index === 0 ? '🛫 Outbound' : '🛬 Return';
+        }
+        message += `\n${label}: ${flightAPI.describeItinerary(itinerary)}\n`;
+
+        itinerary.segments.forEach(segment => {
+            message += `   ✈️ ${formatSegmentLine(segment)}\n`;
+            if (segment.aircraft) {
+                message += `      🛩️ ${formatAircraft(segment.aircraft)}\n`;
+            }
+            if (segment.fare) {
+                const cabin = FlightAPI.TRAVEL_CLASSES[segment.fare.cabin]?.label || segment.fare.cabin || 'Cabin not stated';
+                const brand = segment.fare.brand ? ` · ${segment.fare.brand}` : '';
+                const bookingClass = segment.fare.bookingClass ? ` (${segment.fare.bookingClass})` : '';
+                message += `      ${cabin}${brand}${bookingClass} · 🧳 ${flightAPI.describeCheckedBags(segment.fare.checkedBags)}\n`;
+            }
+        });
+    });
+
+    return message;
+}
+
+// Cabin layout of one flight's seat map as HTML. Rows are grouped into zones of the
+// same cabin, each with its own column header; gaps in the seat coordinates are aisles.
+function renderSeatMap(seatMap) {
+    let message = `💺 <b>${formatFlight(seatMap.carrierCode, seatMap.flightNumber)} ${seatMap.origin} → ${seatMap.destination}</b>`;
+    if (seatMap.departureTime) {
+        message += ` · ${localDateTime(seatMap.departureTime, seatMap.origin)?.replace('T', ' ') || seatMap.departureTime}`;
+    }
+    if (seatMap.aircraft) {
+        message += ` · ${formatAircraft(seatMap.aircraft)}`;
+    }
+    message += '\n';
+
+    const cabinLabel = cabin => FlightAPI.TRAVEL_CLASSES[cabin]?.label || cabin || 'Cabin';
+    const counts = new Map();
+
+    seatMap.decks.forEach(deck => {
+        const rows = new Map();
+        deck.seats.filter(seat => seat.row !== null).forEach(seat => {
+            if (!rows.has(seat.row)) rows.set(seat.row, []);
+            rows.get(seat.row).push(seat);
+
+            const count = counts.get(seat.cabin) || { total: 0, free: 0, extraLegroom: 0 };
+            count.total++;
+            if (seat.status === 'AVAILABLE') {
+                count.free++;
+                if (seat.extraLegroom) count.extraLegroom++;
+            }
+            counts.set(seat.cabin, count);
+        });
+        if (rows.size === 0) return;
+
+        const zones = [];
+        [...rows.keys()].sort((a, b) => a - b).forEach(row => {
+            const cabin = rows.get(row)[0].cabin;
+            const zone = zones[zones.length - 1];
+            if (zone && zone.cabin === cabin) {
+                zone.rows.push(row);
+            } else {
+                zones.push({ cabin, rows: [row] });
+            }
+        });
+
+        let layout = seatMap.decks.length > 1 ? `${deck.deckType} DECK\n` : '';
+        zones.forEach(zone => {
+            const positions = new Map();
+            zone.rows.forEach(row => rows.get(row).forEach(seat => positions.set(seat.column, seat.y)));
+            const columns = [...positions.keys()].sort((a, b) => {
+                const ya = positions.get(a);
+                const yb = positions.get(b);
+                return ya !== undefined && yb !== undefined ? ya - yb : a.localeCompare(b);
+            });
+            const isAisleBefore = index => index > 0 &&
+                positions.get(columns[index]) - positions.get(columns[index - 1]) > 1;
+            const line = (label, cell) => label.padStart(3) + ' ' +
+                columns.map((column, index) => (isAisleBefore(index) ? ' ' : '') + cell(column)).join('');
+
+            layout += `${cabinLabel(zone.cabin)}\n`;
+            layout += line('', column => column) + '\n';
+            zone.rows.forEach(row => {
+                layout += line(String(row), column => {
+                    const seat = rows.get(row).find(item => item.column === column);
+                    if (!seat) return ' ';
+                    if (seat.status !== 'AVAILABLE') return 'X';
+                    return seat.extraLegroom ? '+' : 'O';
+                }) + '\n';
+            });
+        });
+
+        message += `<pre>${layout}</pre>\n`;
+    });
+
+    counts.forEach((count, cabin) => {
+        message += `${cabinLabel(cabin)}: ${count.free} of ${count.total} seats free` +
+            `${count.extraLegroom > 0 ? `, ${count.extraLegroom} with extra legroom` : ''}\n`;
+    });
+    message += 'O free · + free with extra legroom · X taken';
+
+    return message;
+}
+
+// Fetch and send the seat map of every flight in an offer
+async function sendSeatMaps(chatId, offer) {
+    try {
+        const seatMaps = await flightAPI.getSeatMaps(offer);
+
+        if (seatMaps.length === 0) {
+            await bot.sendMessage(chatId, '💺 The airline does not publish seat maps for these flights.');
+            return;
+        }
+
+        for (const seatMap of seatMaps) {
+            await bot.sendMessage(chatId, renderSeatMap(seatMap), { parse_mode: 'HTML' });
+        }
+    } catch (error) {
+        console.error('Error getting seat maps:', error);
+        await bot.sendMessage(chatId, `❌ Could not load the seat map right now. ${describeSearchError(error)}`);
+    }
+}
+
+// Re-price an offer and show whether the fare still holds, with the booking link
+async function confirmOfferPriceForUser(chatId, offer) {
+    try {
+        const result = await flightAPI.confirmOfferPrice(offer);
+
+        if (!result.available) {
+            await bot.sendMessage(chatId, `❌ This fare ($${offer.price}, ${formatAirline(offer.airline)}) is no longer available. Please search again for current prices.`);
+            return;
+        }
+
+        const confirmed = result.offer;
+        let message = result.priceChanged
+            ? `⚠️ The price has changed: $${result.previousPrice} → $${confirmed.price}\n\n`
+            : `✅ Price confirmed: $${confirmed.price} (${formatAirline(confirmed.airline)})\n\n`;
+
+        if (confirmed.basePrice && confirmed.taxesAndFees !== null) {
+            message += `💵 Fare $${confirmed.basePrice} + taxes & fees $${confirmed.taxesAndFees} = $${confirmed.price} total\n`;
+        } else {
+            message += `💵 $${confirmed.price} total including taxes\n`;
+        }
+        if (confirmed.lastTicketingDate) {
+            message += `⏳ Book by ${confirmed.lastTicketingDate}\n`;
+        }
+
+        if (result.changes.length > 0) {
+            message += '\nWhat changed since your search:\n';
+            result.changes.forEach(change => {
+                message += `• ${change.label}: ${change.before} → ${change.after}\n`;
+            });
+        }
+
+        result.warnings.forEach(warning => {
+            message += `\nℹ️ ${warning}`;
+        });
+
+        const keyboard = confirmed.bookingUrl && confirmed.bookingUrl.startsWith('http')
+            ? { inline_keyboard: [[{ text: '✈️ Book Now', url: confirmed.bookingUrl }]] }
+            : undefined;
+
+        await bot.sendMessage(chatId, message, keyboard ? { reply_markup: keyboard } : {});
+    } catch (error) {
+        console.error('Error confirming offer price:', error);
+        await bot.sendMessage(chatId, `❌ Could not confirm the price right now. ${describeSearchError(error)}`);
+    }
 }
 
-// Search flights implementation
-async function searchFlightsForUser(chatId, userId) {
+// Multi-city search implementation
+async function searchMultiCityForUser(chatId, userId) {
     const userState = userStates.get(userId);
     if (!userState) return;
 
-    const { origin, destination, departure_date, return_date } = userState.data;
+    const { legs } = userState.data;
+    const searchOptions = userState.data.search_options || {};
 
-    bot.sendMessage(chatId, '🔍 Let me search for flights... Hold on.');
+    bot.sendMessage(chatId, '🔍 Searching your multi-city trip... Hold on.');
 
     try {
-        console.log(`Searching flights: ${origin} → ${destination} on ${departure_date}${return_date ? ` with return on ${return_date}` : ' (one-way)'}`);
-
-        const flights = await flightAPI.searchFlights(origin, destination, departure_date, return_date);
+        const offers = await flightAPI.searchMultiCity(legs, searchOptions);
+        userStates.delete(userId);
 
-        if (flights.length === 0) {
-            bot.sendMessage(chatId, '❌ No flights found for this route and date. Please try different dates or cities.');
-            userStates.delete(userId);
+        if (offers.length === 0) {
+            await bot.sendMessage(chatId, '❌ No flights found for this combination of legs. Please try different dates or cities.');
             return;
         }
 
-        // Find cheapest flight
-        let cheapestFlight = flights[0];
-        let cheapestPrice = parseFloat(cheapestFlight.price);
+        const topOffers = flightAPI.getCheapestFlights(offers, 3);
 
-        flights.forEach(flight => {
-            const currentPrice = parseFloat(flight.price);
-            if (currentPrice < cheapestPrice) {
-                cheapestPrice = currentPrice;
-                cheapestFlight = flight;
-            }
-        });
+        // Keep the offers so their fare details, price check and seat maps work like
+        // those of a one-way or return search
+        const sessionId = searchSessions.save({ legs, search_options: searchOptions, offers: topOffers });
 
-        // Get top 5 cheapest flights
-        const topFlights = [...flights]
-            .sort((a, b) => parseFloat(a.price) - parseFloat(b.price))
-            .slice(0, 5);
+        let message = `✅ Found ${offers.length} options for your ${legs.length}-leg trip!\n`;
+        message += `👥 ${flightAPI.describeSearchOptions(searchOptions)}\n`;
 
-        // Format message with results
-        let message = `✅ Found ${flights.length} flights from ${origin} to ${destination}!\n\n`;
-        message += `💰 Most affordable option: $${cheapestFlight.price} (${cheapestFlight.airline})\n`;
-        message += `⏱️ Duration: ${cheapestFlight.formattedDuration}${cheapestFlight.stops === 0 ? ' (direct)' : ` (${cheapestFlight.stops} stop${cheapestFlight.stops > 1 ? 's' : ''})`}\n`;
-        message += `🕒 Departure: ${new Date(cheapestFlight.departureTime).toLocaleString()} (${origin} local time)\n`;
-        message += `🛬 Arrival: ${new Date(cheapestFlight.arrivalTime).toLocaleString()} (${destination} local time)\n\n`;
-        message += `🏆 Top 5 most affordable options:\n`;
-        topFlights.forEach((flight, index) => {
-            message += `${index + 1}. $${flight.price} - ${flight.airline} - ${flight.formattedDuration}\n`;
+        topOffers.forEach((offer, index) => {
+            message += `\n${index + 1}. 💰 $${offer.price} total (${formatAirline(offer.airline)})\n`;
+            (offer.itineraries || []).forEach((itinerary, legIndex) => {
+                message += `   Leg ${legIndex + 1}: ${itinerary.origin} → ${itinerary.destination} · ${itinerary.formattedDuration}` +
+                    `${itinerary.stops === 0 ? ' (direct)' : ` (${itinerary.stops} stop${itinerary.stops > 1 ? 's' : ''})`}\n`;
+                itinerary.segments.forEach(segment => {
+                    message += `      ✈️ ${formatSegmentLine(segment)}\n`;
+                });
+            });
         });
 
-        message += `\nWant to get notified when prices drop? Upgrade to premium with /premium`;
+        message += `\nTap ℹ️ for baggage, fare conditions, seat maps and the price breakdown of an option.`;
 
-        // Add keyboard for booking/tracking
-        const bookingUrl = flightAPI.generateBookingUrl(origin, destination, departure_date, return_date);
         const keyboard = {
             inline_keyboard: [
-                // Only add the Book Now button if bookingUrl is valid
-                ...(bookingUrl && bookingUrl.startsWith('http') ? [[{
-                    text: '✈️ Book Now',
-                    url: bookingUrl
-                }]] : []),
+                // Shown prices can be stale, so booking goes through a fresh price check
                 [{
-                    text: '🔔 Track Price Changes',
-                    callback_data: `track_${origin}_${destination}_${departure_date}${return_date ? '_' + return_date : ''}`
-                }]
+                    text: '✈️ Confirm price & book',
+                    callback_data: `confirm_price_${sessionId}_0`
+                }],
+                topOffers.map((offer, index) => ({
+                    text: `ℹ️ ${index + 1}`,
+                    callback_data: `offer_details_${sessionId}_${index}`
+                }))
             ]
         };
 
-        bot.sendMessage(chatId, message, { reply_markup: keyboard });
+        await bot.sendMessage(chatId, message, { reply_markup: keyboard });
+    } catch (error) {
+        console.error('Error searching multi-city:', error);
+        await bot.sendMessage(chatId, `❌ Error searching your trip. ${describeSearchError(error)}`);
         userStates.delete(userId);
+    }
+}
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'];
+
+// Parse an explore query like "BLR under 250 in March" or "Delhi oneway 2027-03-14".
+// Returns { originText, maxPrice, departureDates, oneWay }
+function parseExploreQuery(text) {
+    let rest = ` ${text.toLowerCase().trim()} `;
+    const query = { originText: null, maxPrice: null, departureDates: null, oneWay: false };
+
+    const take = pattern => {
+        const match = rest.match(pattern);
+        if (match) {
+            rest = rest.replace(match[0], ' ');
+        }
+        return match;
+    };
+
+    const price = take(/\s(?:under|below|max|up to|<)\s*\$?(\d+)\s/);
+    if (price) {
+        query.maxPrice = parseInt(price[1], 10);
+    }
+
+    if (take(/\s(?:one-?way|single)\s/)) {
+        query.oneWay = true;
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const monthRange = (year, monthIndex) => {
+        const from = `${year}-${String(monthIndex + 1).padStart(2, '0')}-01`;
+        const to = new Date(Date.UTC(year, monthIndex + 1, 0)).toISOString().split('T')[0];
+        return [from < today ? today : from, to];
+    };
+
+    const exactDate = take(/\s(?:on\s+)?(\d{4}-\d{2}-\d{2})\s/);
+    const isoMonth = !exactDate && take(/\s(?:in\s+)?(\d{4})-(\d{2})\s/);
+    const namedMonth = !exactDate && !isoMonth &&
+        take(new RegExp(`\\s(?:in\\s+)?(${MONTHS.map(month => `${month.slice(0, 3)}(?:${month.slice(3)})?`).join('|')})(?:\\s+(\\d{4}))?\\s`));
+
+    if (exactDate) {
+        query.departureDates = [exactDate[1], exactDate[1]];
+    } else if (isoMonth) {
+        query.departureDates = monthRange(parseInt(isoMonth[1], 10), parseInt(isoMonth[2], 10) - 1);
+    } else if (namedMonth) {
+        const monthIndex = MONTHS.findIndex(month => month.startsWith(namedMonth[1].slice(0, 3)));
+        const now = new Date();
+        // A month name without a year means its next occurrence
+        const year = namedMonth[2] ? parseInt(namedMonth[2], 10)
+            : (monthIndex < now.getUTCMonth() ? now.getUTCFullYear() + 1 : now.getUTCFullYear());
+        query.departureDates = monthRange(year, monthIndex);
+    }
+
+    const originText = rest.replace(/\s(?:from|to|anywhere)\s/g, ' ').trim();
+    query.originText = originText || null;
+
+    return query;
+}
+
+// Explore the cheapest destinations from an origin and send them ranked by price
+async function exploreForUser(chatId, userId, text) {
+    const query = parseExploreQuery(text);
+
+    if (!query.originText) {
+        await bot.sendMessage(chatId, '❌ Please tell me where you are flying from, e.g. /explore BLR under 250 in March');
+        return;
+    }
+
+    if (query.departureDates && query.departureDates[0] > query.departureDates[1]) {
+        await bot.sendMessage(chatId, '❌ That month is already over. Please pick a future month.');
+        return;
+    }
+
+    let origin;
+    try {
+        origin = await resolveAirportCode(query.originText);
     } catch (error) {
-        console.error('Error searching flights:', error);
+        await bot.sendMessage(chatId, `❌ ${error.message}`);
+        return;
+    }
 
-        let errorMessage = '❌ Error searching for flights. ';
+    await bot.sendMessage(chatId, `🧭 Looking for the cheapest places to fly from ${origin}... Hold on.`);
 
-        if (error.message.includes('airport code')) {
-            errorMessage += 'Could not find airport code. Please use city codes like NYC, LON, DEL.';
-        } else if (error.message.includes('API')) {
-            errorMessage += 'Flight data provider is temporarily unavailable. Please try again later.';
-        } else {
-            errorMessage += 'Please try again with different search parameters.';
+    try {
+        const { results, source } = await flightAPI.exploreDestinations(origin, {
+            departureDates: query.departureDates,
+            maxPrice: query.maxPrice,
+            oneWay: query.oneWay
+        });
+
+        if (results.length === 0) {
+            await bot.sendMessage(chatId, `❌ No destinations found from ${origin}${query.maxPrice ? ` under $${query.maxPrice}` : ''}. Try a higher budget or other dates.`);
+            return;
         }
 
-        bot.sendMessage(chatId, errorMessage);
-        userStates.delete(userId);
+        const sessionId = searchSessions.save({ origin, results });
+
+        let message = `🧭 Cheapest destinations from ${describeAirport(origin)}`;
+        message += `${query.maxPrice ? ` under $${query.maxPrice}` : ''}${query.oneWay ? ' (one-way)' : ' (round trip)'}:\n\n`;
+
+        const keyboard = [];
+        results.forEach((result, index) => {
+            message += `${index + 1}. ${describeAirport(result.destination)} - $${result.price}\n`;
+            message += `   📅 ${result.departureDate}${result.returnDate ? ` → ${result.returnDate}` : ''}\n`;
+
+            keyboard.push([
+                { text: `🔍 ${result.destination}`, callback_data: `explore_search_${sessionId}_${index}` },
+                { text: `🔔 Alert ${result.destination}`, callback_data: `explore_alert_${sessionId}_${index}` }
+            ]);
+        });
+
+        if (source !== 'flight-destinations') {
+            message += '\n💡 Based on popular routes from your airport.';
+        }
+
+        await bot.sendMessage(chatId, message, { reply_markup: { inline_keyboard: keyboard } });
+    } catch (error) {
+        console.error('Error exploring destinations:', error);
+        await bot.sendMessage(chatId, `❌ Error exploring destinations. ${describeSearchError(error)}`);
     }
 }
 
@@ -767,16 +1660,18 @@ async function createFlightAlert(chatId, userId, alertData) {
                 alertData.origin,
                 alertData.destination,
                 alertData.departure_date,
-                alertData.return_date
+                alertData.return_date,
+                alertData.search_options
             );
         }
         const alertId = await firebaseService.createAlert(alertData);
 
         bot.sendMessage(chatId, `✅ Flight alert created successfully!
     
-📍 Route: ${alertData.origin} → ${alertData.destination}
+📍 Route: ${describeAirport(alertData.origin)} → ${describeAirport(alertData.destination)}
 📅 Departure: ${alertData.departure_date}
 ${alertData.return_date ? `🔄 Return: ${alertData.return_date}` : '🎫 One-way flight'}
+👥 ${flightAPI.describeSearchOptions(alertData.search_options)}
 💰 Target Price: $${alertData.min_price}
 🆔 Alert ID: ${alertId}
 
@@ -795,12 +1690,12 @@ I'll start monitoring prices and notify you of any drops! 🔔`);
 }
 
 // Setup direct tracking from search result
-async function setupDirectTracking(chatId, userId, origin, destination, departureDate, returnDate, callbackQueryId) {
+async function setupDirectTracking(chatId, userId, origin, destination, departureDate, returnDate, callbackQueryId, searchOptions = null) {
     try {
         // We don't need to check userState here since this is a direct action from search results
         // Even if the original userState was deleted after completing the search
 
-        const flights = await flightAPI.searchFlights(origin, destination, departureDate, returnDate);
+        const flights = await flightAPI.searchFlights(origin, destination, departureDate, returnDate, searchOptions || {});
 
         if (flights.length === 0) {
             await bot.answerCallbackQuery(callbackQueryId, {
@@ -820,7 +1715,7 @@ async function setupDirectTracking(chatId, userId, origin, destination, departur
         });
 
         // Generate booking URL
-        const bookingUrl = flightAPI.generateBookingUrl(origin, destination, departureDate, returnDate);
+        const bookingUrl = flightAPI.generateBookingUrl(origin, destination, departureDate, returnDate, searchOptions || {});
 
         // Create alert with current price as reference
         const alertData = {
@@ -831,16 +1726,18 @@ async function setupDirectTracking(chatId, userId, origin, destination, departur
             return_date: returnDate,
             min_price: 0,  // Any price change will trigger notification
             current_price: cheapestPrice,
-            bookingUrl: bookingUrl
+            bookingUrl: bookingUrl,
+            search_options: searchOptions
         };
 
         const alertId = await firebaseService.createAlert(alertData);
 
         await bot.sendMessage(chatId, `✅ Flight tracking enabled!
         
-📍 Route: ${origin} → ${destination}
+📍 Route: ${describeAirport(origin)} → ${describeAirport(destination)}
 📅 Departure: ${departureDate}
 ${returnDate ? `🔄 Return: ${returnDate}` : '🎫 One-way flight'}
+👥 ${flightAPI.describeSearchOptions(searchOptions || {})}
 💰 Current Price: $${cheapestPrice}
 🆔 Alert ID: ${alertId}
 
@@ -855,7 +1752,7 @@ I'll notify you of ANY price changes for this route! 🔔`);
     } catch (error) {
         console.error('Error setting up tracking:', error);
         await bot.answerCallbackQuery(callbackQueryId, {
-            text: "Error setting up tracking. Please try again.",
+            text: `Error setting up tracking. ${describeSearchError(error)}`,
             show_alert: true
         });
     }
@@ -911,6 +1808,8 @@ function sendHelpInfo(chatId) {
 
 How to use:
 • 🔍 Search Flights - Find the most affordable flights
+• /multicity - Search a trip with several legs (e.g. DEL → DXB → LHR → DEL) priced together
+• /explore - Find the cheapest places to fly from your airport (e.g. /explore BLR under 250 in March)
 • 💰 My Price Alerts - View and manage your fare price alerts
 • ✈️ My Tracked Flights - View and manage your flight status tracking
 • 🛫 Track Flights - Track a new flight's status
@@ -983,7 +1882,38 @@ bot.onText(/\/search/, (msg) => {
     userStates.delete(userId); // Clear existing state
     userStates.set(userId, { step: 'search_origin', data: {} });
 
-    bot.sendMessage(chatId, '🏠 Which city are you flying FROM? (e.g., NYC, London, Delhi)');
+    askOrigin(chatId);
+});
+
+// Multi-city command
+bot.onText(/\/multicity/, (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    console.log(`User ${userId} used /multicity command`);
+    userStates.delete(userId);
+    userStates.set(userId, { step: 'multi_city_leg', data: { legs: [] } });
+
+    bot.sendMessage(chatId, `🗺️ Multi-city search: send your legs one at a time, up to ${FlightAPI.MAX_MULTI_CITY_LEGS}.
+
+Send your first leg, e.g. "DEL to DXB 2024-12-01".`);
+});
+
+// Explore command: /explore BLR under 250 in March
+bot.onText(/\/explore(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+
+    console.log(`User ${userId} used /explore command`);
+    userStates.delete(userId);
+
+    if (match[1]) {
+        await exploreForUser(chatId, userId, match[1]);
+        return;
+    }
+
+    userStates.set(userId, { step: 'explore_query', data: {} });
+    bot.sendMessage(chatId, '🧭 Where are you flying from, and what is your budget and month? (e.g., "BLR under 250 in March")');
 });
 
 // Track command
@@ -1025,7 +1955,7 @@ bot.onText(/\/myflights/, async (msg) => {
         const keyboard = { inline_keyboard: [] };
 
         trackedFlights.forEach((flight, index) => {
-            message += `${index + 1}. ${flight.carrier_code}${flight.flight_number} on ${flight.date}\n`;
+            message += `${index + 1}. ${formatFlight(flight.carrier_code, flight.flight_number)} on ${flight.date}\n`;
             message += `   From: ${flight.origin || 'N/A'} To: ${flight.destination || 'N/A'}\n`;
 
             keyboard.inline_keyboard.push([
@@ -1075,8 +2005,18 @@ bot.onText(/\/share/, (msg) => {
 // Message and Callback Handlers
 // ==========================================
 
-// Single message handler for all text messages
+// Single message handler for all text messages and shared locations
 bot.on('message', async (msg) => {
+    if (msg.location) {
+        const userState = userStates.get(msg.from.id);
+        if (userState && AIRPORT_STEPS[userState.step]) {
+            await handleLocationInput(msg.chat.id, msg.from.id, userState, msg.location);
+        } else {
+            await bot.sendMessage(msg.chat.id, '📍 Your location is used to find airports near you. Tap 🔍 Search Flights and share it when asked where you are flying from.');
+        }
+        return;
+    }
+
     if (!msg.text) return;
 
     const chatId = msg.chat.id;
@@ -1098,7 +2038,7 @@ bot.on('message', async (msg) => {
         case '🔍 Search Flights':
             console.log(`User ${userId} clicked Search Flights button`);
             userStates.set(userId, { step: 'search_origin', data: {} });
-            await bot.sendMessage(chatId, '🏠 Which city are you flying FROM? (e.g., NYC, London, Delhi)');
+            await askOrigin(chatId);
             break;
 
         case '🛫 Track Flights':
@@ -1112,7 +2052,8 @@ bot.on('message', async (msg) => {
                     trackingMethod: null,
                     origin: null,
                     destination: null,
-                    date: null
+                    date: null,
+                    returnDate: null
                 }
             });
 
@@ -1172,8 +2113,8 @@ bot.on('callback_query', async (callbackQuery) => {
     const userId = callbackQuery.from.id;
 
     try {
-        // Handle flight track cancellation first (more specific match)
-        if (data.startsWith('cancel_flight_')) {
+        // Handle flight track cancellation and full status first (more specific match)
+        if (data.startsWith('cancel_flight_') || data.startsWith('flight_status_')) {
             // Let the flightTracker handle this
             const handled = await flightTracker.handleCallbackQuery(callbackQuery);
             if (handled) return;
@@ -1207,6 +2148,238 @@ bot.on('callback_query', async (callbackQuery) => {
             return;
         }
 
+        // Handle tracking of a search with passengers, cabin or filters
+        if (data.startsWith('alert_search_')) {
+            const search = searchSessions.get(data.substring('alert_search_'.length));
+            if (!search) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'This search has expired. Please search again.',
+                    show_alert: true
+                });
+                return;
+            }
+
+            await setupDirectTracking(chatId, userId, search.origin, search.destination,
+                search.departure_date, search.return_date, callbackQuery.id, search.search_options);
+            return;
+        }
+
+        // Fare details of one offer from a search
+        if (data.startsWith('offer_details_')) {
+            const [sessionId, index] = data.substring('offer_details_'.length).split('_');
+            const offer = searchSessions.get(sessionId)?.offers?.[parseInt(index, 10)];
+
+            if (!offer) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'This search has expired. Please search again.',
+                    show_alert: true
+                });
+                return;
+            }
+
+            await bot.answerCallbackQuery(callbackQuery.id);
+            await bot.sendMessage(chatId, formatOfferDetails(offer), {
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: '✈️ Confirm price & book', callback_data: `confirm_price_${sessionId}_${index}` },
+                        { text: '💺 Seat map', callback_data: `seatmap_${sessionId}_${index}` }
+                    ]]
+                }
+            });
+            return;
+        }
+
+        // Seat maps for an offer picked from search results or the tracking flow
+        if (data.startsWith('seatmap_')) {
+            const [sessionId, index] = data.substring('seatmap_'.length).split('_');
+            const offer = searchSessions.get(sessionId)?.offers?.[parseInt(index, 10)];
+
+            if (!offer) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'This search has expired. Please search again.',
+                    show_alert: true
+                });
+                return;
+            }
+
+            await bot.answerCallbackQuery(callbackQuery.id, { text: 'Loading seat map...' });
+            await sendSeatMaps(chatId, offer);
+            return;
+        }
+
+        // Re-price an offer from a search before sending the user off to book
+        if (data.startsWith('confirm_price_')) {
+            const [sessionId, index] = data.substring('confirm_price_'.length).split('_');
+            const offer = searchSessions.get(sessionId)?.offers?.[parseInt(index, 10)];
+
+            if (!offer) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'This search has expired. Please search again.',
+                    show_alert: true
+                });
+                return;
+            }
+
+            await bot.answerCallbackQuery(callbackQuery.id, { text: 'Checking the latest price...' });
+            await confirmOfferPriceForUser(chatId, offer);
+            return;
+        }
+
+        // Follow the outbound or return flight of the cheapest offer from a search
+        if (data.startsWith('follow_leg_')) {
+            const [sessionId, index] = data.substring('follow_leg_'.length).split('_');
+            const search = searchSessions.get(sessionId);
+            const itinerary = search?.offer?.itineraries?.[parseInt(index, 10)];
+
+            if (!itinerary) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'This search has expired. Please search again.',
+                    show_alert: true
+                });
+                return;
+            }
+
+            try {
+                await trackItinerary(chatId, userId, itinerary);
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'Flight tracking enabled successfully!',
+                    show_alert: false
+                });
+            } catch (error) {
+                console.error('Error creating flight track:', error);
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'Error creating flight track. Please try again.',
+                    show_alert: true
+                });
+            }
+            return;
+        }
+
+        // Search or alert for a destination from /explore
+        if (data.startsWith('explore_search_') || data.startsWith('explore_alert_')) {
+            const isAlert = data.startsWith('explore_alert_');
+            const [sessionId, index] = data.substring(isAlert ? 'explore_alert_'.length : 'explore_search_'.length).split('_');
+            const explore = searchSessions.get(sessionId);
+            const result = explore?.results[parseInt(index, 10)];
+
+            if (!result) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'These results have expired. Please use /explore again.',
+                    show_alert: true
+                });
+                return;
+            }
+
+            if (isAlert) {
+                await setupDirectTracking(chatId, userId, explore.origin, result.destination,
+                    result.departureDate, result.returnDate, callbackQuery.id);
+                return;
+            }
+
+            await bot.answerCallbackQuery(callbackQuery.id);
+            userStates.set(userId, {
+                step: 'search_results',
+                data: {
+                    origin: explore.origin,
+                    destination: result.destination,
+                    departure_date: result.departureDate,
+                    return_date: result.returnDate
+                }
+            });
+            await searchFlightsForUser(chatId, userId);
+            return;
+        }
+
+        // Flexible-date grid for a previous search
+        if (data.startsWith('flex_dates_')) {
+            const search = searchSessions.get(data.substring('flex_dates_'.length));
+            if (!search) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'This search has expired. Please search again.',
+                    show_alert: true
+                });
+                return;
+            }
+
+            await bot.answerCallbackQuery(callbackQuery.id);
+            await sendFlexibleDates(chatId, search);
+            return;
+        }
+
+        // Nearby-airport alternatives for a previous search
+        if (data.startsWith('nearby_alts_')) {
+            const search = searchSessions.get(data.substring('nearby_alts_'.length));
+            if (!search) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'This search has expired. Please search again.',
+                    show_alert: true
+                });
+                return;
+            }
+
+            await bot.answerCallbackQuery(callbackQuery.id);
+            await sendNearbyAlternatives(chatId, search);
+            return;
+        }
+
+        // Full search for one nearby-airport alternative
+        if (data.startsWith('nearby_search_')) {
+            const [sessionId, index] = data.substring('nearby_search_'.length).split('_');
+            const nearby = searchSessions.get(sessionId);
+            const alternative = nearby?.alternatives[parseInt(index, 10)];
+
+            if (!alternative) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'These results have expired. Please search again.',
+                    show_alert: true
+                });
+                return;
+            }
+
+            await bot.answerCallbackQuery(callbackQuery.id);
+            userStates.set(userId, {
+                step: 'search_results',
+                data: {
+                    origin: alternative.origin,
+                    destination: alternative.destination,
+                    departure_date: nearby.departure_date,
+                    return_date: nearby.return_date,
+                    search_options: nearby.search_options
+                }
+            });
+            await searchFlightsForUser(chatId, userId);
+            return;
+        }
+
+        // Price alert from a flexible-date grid cell
+        if (data.startsWith('flex_alert_')) {
+            const [gridSessionId, depIndex, retIndex] = data.substring('flex_alert_'.length).split('_');
+            const grid = searchSessions.get(gridSessionId);
+            if (!grid) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'These prices have expired. Please search again.',
+                    show_alert: true
+                });
+                return;
+            }
+
+            const departureDate = grid.departureDates[parseInt(depIndex, 10)];
+            const returnDate = grid.returnDates ? grid.returnDates[parseInt(retIndex, 10)] : null;
+
+            if (!departureDate || (grid.returnDates && !returnDate) ||
+                !grid.cells[FlightAPI.flexCellKey(departureDate, returnDate)]) {
+                await bot.answerCallbackQuery(callbackQuery.id, {
+                    text: 'No flights found for these dates.',
+                    show_alert: true
+                });
+                return;
+            }
+
+            await setupDirectTracking(chatId, userId, grid.origin, grid.destination,
+                departureDate, returnDate, callbackQuery.id, grid.search_options);
+            return;
+        }
+
         // Handle price alert cancellations (AFTER checking for flight cancellations)
         if (data.startsWith('cancel_')) {
             const alertId = data.split('_')[1];
@@ -1261,47 +2434,45 @@ bot.on('callback_query', async (callbackQuery) => {
             userStates.delete(userId);
             userStates.set(userId, { step: 'search_origin', data: {} });
 
-            await bot.sendMessage(chatId, '🏠 Which city are you flying FROM? (e.g., NYC, London, Delhi)');
+            await askOrigin(chatId);
             await bot.answerCallbackQuery(callbackQuery.id);
             return;
         }
 
-        // Handle origin airport selection
-        if (data.startsWith('origin_')) {
-            const index = parseInt(data.split('_')[1]);
-
-            if (userState.data.airports && userState.data.airports[index]) {
-                const selectedAirport = userState.data.airports[index];
-                userState.data.origin = selectedAirport.code;
-                userState.data.originName = selectedAirport.name;
-                userState.step = 'search_destination';
-                userStates.set(userId, userState);
-
-                await bot.sendMessage(chatId,
-                    `✅ Selected departure: ${selectedAirport.name} (${selectedAirport.code})
-                
-🎯 Which city are you flying TO?`);
+        // Handle cabin class selection during flight search
+        if (data.startsWith('cabin_')) {
+            if (userState.step !== 'search_cabin') {
                 await bot.answerCallbackQuery(callbackQuery.id);
+                return;
             }
+
+            const travelClass = data.substring('cabin_'.length);
+            userState.data.search_options = {
+                ...userState.data.search_options,
+                travelClass: FlightAPI.TRAVEL_CLASSES[travelClass] ? travelClass : null
+            };
+            userState.step = 'search_filters';
+            userStates.set(userId, userState);
+
+            await bot.answerCallbackQuery(callbackQuery.id);
+            await bot.sendMessage(chatId, `⚙️ Any filters? Separate them with semicolons, for example:
+nonstop; max 600; only AI, 6E
+exclude UA; no turboprops
+
+Type "none" to see all flights.`);
             return;
         }
 
-        // Handle destination airport selection 
-        if (data.startsWith('dest_')) {
-            const index = parseInt(data.split('_')[1]);
-
-            if (userState.data.airports && userState.data.airports[index]) {
-                const selectedAirport = userState.data.airports[index];
-                userState.data.destination = selectedAirport.code;
-                userState.data.destinationName = selectedAirport.name;
-                userState.step = 'search_departure_date';
-                userStates.set(userId, userState);
+        // Handle departure or destination airport selection
+        if (data.startsWith('origin_') || data.startsWith('dest_')) {
+            const step = AIRPORT_STEPS[userState.step];
+            const field = data.startsWith('origin_') ? 'origin' : 'destination';
+            const airport = userState.data.airports?.[parseInt(data.split('_')[1], 10)];
 
-                await bot.sendMessage(chatId,
-                    `✅ Selected destination: ${selectedAirport.name} (${selectedAirport.code})
-                
-📅 What's your departure date? (YYYY-MM-DD format, e.g., 2024-12-25)`);
-                await bot.answerCallbackQuery(callbackQuery.id);
+            await bot.answerCallbackQuery(callbackQuery.id);
+            // Ignore buttons from an earlier question
+            if (step && step.field === field && airport) {
+                await selectAirport(chatId, userId, userState, airport);
             }
             return;
         }
@@ -1356,32 +2527,19 @@ bot.on('callback_query', async (callbackQuery) => {
                 const selectedFlight = userState.data.flights[index];
 
                 try {
-                    // Check if this is a multi-segment flight
-                    if (selectedFlight.segments && selectedFlight.segments.length > 1) {
-                        // Pass all segments for tracking
-                        await flightTracker.createFlightTrack(chatId, userId, {
-                            date: userState.data.date,
-                            origin: userState.data.origin,  // Ensure origin is passed
-                            destination: userState.data.destination, // Ensure destination is passed
-                            segments: selectedFlight.segments
-                        });
-                    } else {
-                        // Handle single segment flight
-                        const segment = selectedFlight.segments[0];
-                        await flightTracker.createFlightTrack(chatId, userId, {
-                            carrierCode: segment.carrierCode,
-                            flightNumber: segment.flightNumber,
-                            date: userState.data.date,
-                            origin: userState.data.origin,  // Explicitly set origin from userState
-                            destination: userState.data.destination  // Explicitly set destination from userState
-                        });
+                    // Track the outbound flight and, for round trips, the return flight
+                    for (const itinerary of selectedFlight.itineraries) {
+                        await trackItinerary(chatId, userId, itinerary);
                     }
 
                     // Clear user state
                     userStates.delete(userId);
 
-                    // Update the keyboard without sending a message
-                    await bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+                    // Swap the flight list for a seat map button for the picked flight
+                    const sessionId = searchSessions.save({ offers: [selectedFlight] });
+                    await bot.editMessageReplyMarkup({
+                        inline_keyboard: [[{ text: '💺 View seat map', callback_data: `seatmap_${sessionId}_0` }]]
+                    }, {
                         chat_id: chatId,
                         message_id: callbackQuery.message.message_id
                     });
@@ -1401,8 +2559,8 @@ bot.on('callback_query', async (callbackQuery) => {
             return;
         }
 
-        // Handle flight track cancellation
-        if (data.startsWith('cancel_flight_')) {
+        // Handle flight track cancellation and full status
+        if (data.startsWith('cancel_flight_') || data.startsWith('flight_status_')) {
             // Let the flightTracker handle this
             return await flightTracker.handleCallbackQuery(callbackQuery);
         }
@@ -1428,6 +2586,15 @@ app.get('/health', (req, res) => {
     res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+// Search cache and rate limiter metrics - shows API quota saved and used
+app.get('/metrics', (req, res) => {
+    res.json({
+        searchCache: flightAPI.searchCache.getStats(),
+        rateLimits: flightAPI.getRateLimiterStats(),
+        timestamp: new Date().toISOString()
+    });
+});
+
 // Add webhook setup for production
 if (process.env.NODE_ENV === 'production') {
     app.post('/webhook', (req, res) => {
@@ -1443,11 +2610,11 @@ cron.schedule('0 */4 * * *', () => {
     priceMonitor.checkAllAlerts();
 });
 
-// Check flight status every 30 minutes
-cron.schedule('*/30 * * * *', async () => {
+// Check flight status every 5 minutes; each track is only checked when its next check is due
+cron.schedule('*/5 * * * *', async () => {
     try {
         console.log('Running scheduled flight status check...');
-        await flightTracker.checkAllTrackedFlights();
+        await flightTracker.checkDueTrackedFlights();
     } catch (error) {
         console.error('Error in scheduled flight status check:', error);
     }
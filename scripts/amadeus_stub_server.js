@@ -0,0 +1,540 @@
+// Local stand-in for the Amadeus API, serving recorded JSON fixtures.
+//
+// Run it with `npm run stub:amadeus` and point the bot at it with
+// AMADEUS_ENV=local - no network access or credentials needed.
+// The same AMADEUS_STUB_PORT (default 4010) is used by both sides.
+//
+// Fixtures live in scripts/fixtures/amadeus and may contain placeholders that are
+// filled in from the request:
+//   $ORIGIN / $DESTINATION  - requested airport codes
+//   $D0 / $D1               - departure date and the day after
+//   $R0 / $R1               - return date and the day after
+//   $CARRIER / $NUMBER      - flight designator for schedule lookups
+//   $CLIENT_ID              - client id used to request the token
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'amadeus');
+const STUB_TOKEN = 'stub-access-token';
+
+function addDays(dateStr, days) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+// Read a fixture and fill in its placeholders. Returns null when the fixture doesn't exist.
+function loadFixture(relativePath, vars = {}) {
+    const filePath = path.join(FIXTURES_DIR, relativePath);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    let filled = fs.readFileSync(filePath, 'utf8');
+
+    // Longest names first so $D1 never eats part of a longer placeholder
+    const names = Object.keys(vars).sort((a, b) => b.length - a.length);
+    for (const name of names) {
+        filled = filled.split(`$${name}`).join(String(vars[name]));
+    }
+
+    return JSON.parse(filled);
+}
+
+// City codes answer with offers spread over the city's airports, like Amadeus does
+const CITY_AIRPORTS = {
+    LON: ['LHR', 'LGW', 'STN'],
+    NYC: ['JFK', 'EWR', 'LGA'],
+    PAR: ['CDG', 'ORY'],
+    TYO: ['HND', 'NRT']
+};
+
+// Flight-offer fixture for a route; for city codes the n-th offer comes from the
+// n-th airport pair, so results mix the city's airports
+function loadOffersFixture(origin, destination, vars) {
+    const pairs = (CITY_AIRPORTS[origin] || [origin]).flatMap(from =>
+        (CITY_AIRPORTS[destination] || [destination]).map(to => [from, to]));
+
+    const fixtures = pairs.map(([from, to]) => {
+        const pairVars = { ...vars, ORIGIN: from, DESTINATION: to };
+        return loadFixture(`flight-offers/${from}-${to}.json`, pairVars) ||
+            loadFixture('flight-offers/default.json', pairVars);
+    });
+
+    const fixture = fixtures[0];
+    fixture.data = fixture.data.map((offer, index) => fixtures[index % fixtures.length].data[index] || offer);
+    return fixture;
+}
+
+// Amadeus-style error response
+function sendError(res, status, code, title, detail, parameter = null) {
+    const error = { status, code, title, detail };
+    if (parameter) {
+        error.source = { parameter };
+    }
+    res.status(status).json({ errors: [error] });
+}
+
+// Drop the return itinerary (and its fare details) from one-way searches
+function toOneWay(offer) {
+    const outbound = offer.itineraries[0];
+    const outboundSegmentIds = new Set(outbound.segments.map(segment => segment.id));
+
+    return {
+        ...offer,
+        oneWay: true,
+        itineraries: [outbound],
+        travelerPricings: (offer.travelerPricings || []).map(pricing => ({
+            ...pricing,
+            fareDetailsBySegment: pricing.fareDetailsBySegment
+                .filter(detail => outboundSegmentIds.has(detail.segmentId))
+        }))
+    };
+}
+
+// Apply the search filters Amadeus evaluates server-side
+function matchesFilters(offer, query) {
+    const codeList = value => (value ? String(value).toUpperCase().split(',') : []);
+    const included = codeList(query.includedAirlineCodes);
+    const excluded = codeList(query.excludedAirlineCodes);
+    const carriers = offer.itineraries.flatMap(itinerary => itinerary.segments.map(segment => segment.carrierCode));
+
+    if (query.nonStop === 'true' && offer.itineraries.some(itinerary => itinerary.segments.length > 1)) {
+        return false;
+    }
+    if (query.maxPrice && parseFloat(offer.price.total) > parseFloat(query.maxPrice)) {
+        return false;
+    }
+    if (included.length > 0 && !carriers.every(carrier => included.includes(carrier))) {
+        return false;
+    }
+    if (excluded.length > 0 && carriers.some(carrier => excluded.includes(carrier))) {
+        return false;
+    }
+    return true;
+}
+
+// Join one-way offers (one per leg) into a multi-city offer priced as one booking.
+// Segment ids are renumbered so they stay unique across legs.
+function combineLegOffers(legOffers, id) {
+    const segmentIds = new Map();
+    let nextSegmentId = 1;
+
+    const itineraries = legOffers.map((offer, legIndex) => ({
+        ...offer.itineraries[0],
+        segments: offer.itineraries[0].segments.map(segment => {
+            const newId = String(nextSegmentId++);
+            segmentIds.set(`${legIndex}:${segment.id}`, newId);
+            return { ...segment, id: newId };
+        })
+    }));
+
+    const sum = field => legOffers.reduce((total, offer) => total + parseFloat(offer.price[field] || 0), 0).toFixed(2);
+    const price = {
+        ...legOffers[0].price,
+        total: sum('total'),
+        base: sum('base'),
+        grandTotal: sum('grandTotal')
+    };
+
+    return {
+        ...legOffers[0],
+        id: String(id),
+        oneWay: false,
+        itineraries,
+        price,
+        validatingAirlineCodes: legOffers[0].validatingAirlineCodes,
+        travelerPricings: legOffers[0].travelerPricings.map(pricing => ({
+            ...pricing,
+            price: { ...pricing.price, total: price.total, base: price.base },
+            fareDetailsBySegment: legOffers.flatMap((offer, legIndex) =>
+                offer.travelerPricings[0].fareDetailsBySegment.map(detail => ({
+                    ...detail,
+                    segmentId: segmentIds.get(`${legIndex}:${detail.segmentId}`)
+                })))
+        }))
+    };
+}
+
+const NO_SEATMAP_CARRIERS = ['6E'];
+
+// Seat map for one segment in the Amadeus SeatMap Display format
+function generateSeatMap(segment) {
+    const seats = [];
+    const layouts = [
+        { cabin: 'BUSINESS', rows: [1, 3], columns: { A: 1, C: 2, D: 4, F: 5 } },
+        { cabin: 'ECONOMY', rows: [4, 30], columns: { A: 1, B: 2, C: 3, D: 5, E: 6, F: 7 } }
+    ];
+    const exitRows = [4, 12, 13];
+
+    layouts.forEach(({ cabin, rows, columns }) => {
+        for (let row = rows[0]; row <= rows[1]; row++) {
+            Object.entries(columns).forEach(([column, y]) => {
+                const number = `${row}${column}`;
+                // Stable pseudo-random occupancy per flight and seat
+                const hash = [...`${segment.carrierCode}${segment.number}${number}`]
+                    .reduce((total, char) => (total * 31 + char.charCodeAt(0)) % 1000, 7);
+                const characteristicsCodes = [];
+                if (column === 'A' || column === 'F') characteristicsCodes.push('W');
+                if (exitRows.includes(row)) characteristicsCodes.push('L', 'E');
+
+                seats.push({
+                    cabin,
+                    number,
+                    characteristicsCodes,
+                    travelerPricing: [{
+                        travelerId: '1',
+                        seatAvailabilityStatus: hash % 10 < 6 ? 'OCCUPIED' : 'AVAILABLE',
+                        price: { currency: 'USD', total: exitRows.includes(row) ? '25.00' : '0.00' }
+                    }],
+                    coordinates: { x: row - 1, y }
+                });
+            });
+        }
+    });
+
+    return {
+        type: 'seatmap',
+        flightOfferId: '1',
+        segmentId: segment.id,
+        carrierCode: segment.carrierCode,
+        number: segment.number,
+        departure: segment.departure,
+        arrival: segment.arrival,
+        aircraft: segment.aircraft,
+        decks: [{
+            deckType: 'MAIN',
+            deckConfiguration: { width: 7, length: 30, startSeatRow: 1, endSeatRow: 30, exitRowsX: exitRows.map(row => row - 1) },
+            seats
+        }]
+    };
+}
+
+function createStubServer() {
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.use(express.json());
+
+    app.use((req, res, next) => {
+        console.log(`[amadeus-stub] ${req.method} ${req.path}`);
+        next();
+    });
+
+    app.post('/v1/security/oauth2/token', (req, res) => {
+        const { grant_type: grantType, client_id: clientId } = req.body;
+
+        if (grantType !== 'client_credentials' || !clientId) {
+            return res.status(401).json({
+                error: 'invalid_client',
+                error_description: 'Client credentials are invalid',
+                code: 38187,
+                title: 'Invalid parameters'
+            });
+        }
+
+        res.json(loadFixture('token.json', { CLIENT_ID: clientId }));
+    });
+
+    // Everything below requires the stub bearer token
+    app.use((req, res, next) => {
+        if (req.headers.authorization !== `Bearer ${STUB_TOKEN}`) {
+            return sendError(res, 401, 38190, 'Invalid access token', 'The access token provided in the Authorization header is invalid');
+        }
+        next();
+    });
+
+    app.get('/v1/reference-data/locations', (req, res) => {
+        const keyword = (req.query.keyword || '').toUpperCase();
+        if (!keyword) {
+            return sendError(res, 400, 32171, 'MANDATORY DATA MISSING', 'Missing mandatory query parameter', 'keyword');
+        }
+
+        const subTypes = (req.query.subType || 'AIRPORT,CITY').toUpperCase().split(',');
+        const limit = parseInt(req.query['page[limit]'], 10) || 10;
+        const fixture = loadFixture('locations.json');
+
+        const data = fixture.data
+            .filter(location => subTypes.includes(location.subType))
+            .filter(location =>
+                location.iataCode.startsWith(keyword) ||
+                location.name.includes(keyword) ||
+                location.address.cityName.includes(keyword))
+            .slice(0, limit);
+
+        res.json({ meta: { count: data.length }, data });
+    });
+
+    app.get('/v2/shopping/flight-offers', (req, res) => {
+        const {
+            originLocationCode: origin,
+            destinationLocationCode: destination,
+            departureDate,
+            returnDate
+        } = req.query;
+
+        for (const [parameter, value] of Object.entries({ originLocationCode: origin, destinationLocationCode: destination, departureDate })) {
+            if (!value) {
+                return sendError(res, 400, 32171, 'MANDATORY DATA MISSING', 'Missing mandatory query parameter', parameter);
+            }
+        }
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(departureDate) || (returnDate && !/^\d{4}-\d{2}-\d{2}$/.test(returnDate))) {
+            return sendError(res, 400, 477, 'INVALID FORMAT', 'Dates must be in YYYY-MM-DD format', 'departureDate');
+        }
+
+        const vars = {
+            ORIGIN: origin,
+            DESTINATION: destination,
+            D0: departureDate,
+            D1: addDays(departureDate, 1),
+            R0: returnDate || departureDate,
+            R1: addDays(returnDate || departureDate, 1)
+        };
+
+        const fixture = loadOffersFixture(origin, destination, vars);
+
+        if (req.query.includedAirlineCodes && req.query.excludedAirlineCodes) {
+            return sendError(res, 400, 572, 'INVALID OPTION', 'includedAirlineCodes and excludedAirlineCodes cannot be combined', 'excludedAirlineCodes');
+        }
+
+        if (!returnDate) {
+            fixture.data = fixture.data.map(toOneWay);
+        }
+
+        fixture.data = fixture.data.filter(offer => matchesFilters(offer, req.query));
+
+        const max = parseInt(req.query.max, 10);
+        if (max > 0) {
+            fixture.data = fixture.data.slice(0, max);
+        }
+
+        fixture.meta.count = fixture.data.length;
+        res.json(fixture);
+    });
+
+    // POST form used for multi-city searches: one originDestination per leg
+    app.post('/v2/shopping/flight-offers', (req, res) => {
+        const { originDestinations, searchCriteria = {} } = req.body || {};
+
+        if (!Array.isArray(originDestinations) || originDestinations.length === 0) {
+            return sendError(res, 400, 32171, 'MANDATORY DATA MISSING', 'originDestinations is required', 'originDestinations');
+        }
+
+        const filters = searchCriteria.flightFilters || {};
+        const query = {
+            nonStop: filters.connectionRestriction?.maxNumberOfConnections === 0 ? 'true' : undefined,
+            includedAirlineCodes: filters.carrierRestrictions?.includedCarrierCodes?.join(','),
+            excludedAirlineCodes: filters.carrierRestrictions?.excludedCarrierCodes?.join(',')
+        };
+
+        const legOffers = originDestinations.map(od => {
+            const date = od.departureDateTimeRange?.date;
+            const vars = {
+                ORIGIN: od.originLocationCode,
+                DESTINATION: od.destinationLocationCode,
+                D0: date,
+                D1: addDays(date, 1),
+                R0: date,
+                R1: addDays(date, 1)
+            };
+            const fixture = loadOffersFixture(od.originLocationCode, od.destinationLocationCode, vars);
+
+            return fixture.data.map(toOneWay).filter(offer => matchesFilters(offer, query));
+        });
+
+        // Pair the n-th option of every leg; legs with fewer options repeat their cheapest
+        const count = legOffers.some(offers => offers.length === 0) ? 0 : Math.max(...legOffers.map(offers => offers.length));
+        let data = [];
+        for (let i = 0; i < count; i++) {
+            data.push(combineLegOffers(legOffers.map(offers => offers[i] || offers[0]), i + 1));
+        }
+
+        if (searchCriteria.maxPrice) {
+            data = data.filter(offer => parseFloat(offer.price.total) <= searchCriteria.maxPrice);
+        }
+        if (searchCriteria.maxFlightOffers) {
+            data = data.slice(0, searchCriteria.maxFlightOffers);
+        }
+
+        res.json({ meta: { count: data.length }, data });
+    });
+
+    // Pricing echoes the offer back, except that nearly sold-out fares behave like the
+    // real thing: with 3-4 seats left the fare went up, with 2 or fewer it is gone
+    app.post('/v1/shopping/flight-offers/pricing', (req, res) => {
+        const offer = req.body?.data?.flightOffers?.[0];
+        if (!offer || !offer.price) {
+            return sendError(res, 400, 32171, 'MANDATORY DATA MISSING', 'data.flightOffers is required', 'data.flightOffers');
+        }
+
+        const seats = offer.numberOfBookableSeats || 9;
+        if (seats <= 2) {
+            return sendError(res, 400, 34651, 'SEGMENT SELL FAILURE', 'Could not sell segment 1');
+        }
+
+        let priced = offer;
+        if (seats <= 4) {
+            const taxes = parseFloat(offer.price.total) - parseFloat(offer.price.base);
+            const base = (parseFloat(offer.price.base) * 1.08).toFixed(2);
+            const total = (parseFloat(base) + taxes).toFixed(2);
+            priced = {
+                ...offer,
+                price: { ...offer.price, base, total, grandTotal: total },
+                travelerPricings: offer.travelerPricings.map(pricing => ({
+                    ...pricing,
+                    price: { ...pricing.price, base, total }
+                }))
+            };
+        }
+
+        res.json({
+            data: {
+                type: 'flight-offers-pricing',
+                flightOffers: [priced],
+                bookingRequirements: { emailAddressRequired: true, mobilePhoneNumberRequired: true }
+            }
+        });
+    });
+
+    // Seat maps are generated too: a narrow-body with 3 rows of 2-2 business and 3-3 economy
+    // behind, exit rows with extra legroom, and occupancy derived from the flight number.
+    // Carriers in NO_SEATMAP_CARRIERS don't publish seat maps, like many low-cost airlines.
+    app.post('/v1/shopping/seatmaps', (req, res) => {
+        const offer = req.body?.data?.[0];
+        if (!offer || !Array.isArray(offer.itineraries)) {
+            return sendError(res, 400, 32171, 'MANDATORY DATA MISSING', 'data is required', 'data');
+        }
+
+        const segments = offer.itineraries
+            .flatMap(itinerary => itinerary.segments)
+            .filter(segment => !NO_SEATMAP_CARRIERS.includes(segment.carrierCode));
+
+        if (segments.length === 0) {
+            return sendError(res, 400, 36791, 'SEATMAP NOT AVAILABLE', 'Seat map is not available for this flight');
+        }
+
+        res.json({ meta: { count: segments.length }, data: segments.map(generateSeatMap) });
+    });
+
+    // Cheapest-date prices are generated rather than recorded: the fixture's base fare
+    // plus a weekend surcharge, so grids have visible cheap and expensive cells
+    app.get('/v1/shopping/flight-dates', (req, res) => {
+        const { origin, destination, departureDate } = req.query;
+
+        for (const [parameter, value] of Object.entries({ origin, destination, departureDate })) {
+            if (!value) {
+                return sendError(res, 400, 32171, 'MANDATORY DATA MISSING', 'Missing mandatory query parameter', parameter);
+            }
+        }
+
+        const [from, to = from] = departureDate.split(',');
+        const oneWay = req.query.oneWay === 'true';
+        const [minDuration, maxDuration = minDuration] = (req.query.duration || '7').split(',').map(Number);
+        const fixture = loadFixture('flight-dates/default.json', { ORIGIN: origin, DESTINATION: destination });
+
+        const fare = dateStr => {
+            const weekday = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+            return fixture.baseFare + (weekday === 5 || weekday === 0 ? 35 : 0);
+        };
+
+        const data = [];
+        for (let dep = from; dep <= to; dep = addDays(dep, 1)) {
+            if (oneWay) {
+                data.push({ type: 'flight-date', origin, destination, departureDate: dep, price: { total: fare(dep).toFixed(2) } });
+                continue;
+            }
+            for (let duration = minDuration; duration <= maxDuration; duration++) {
+                const ret = addDays(dep, duration);
+                data.push({
+                    type: 'flight-date',
+                    origin,
+                    destination,
+                    departureDate: dep,
+                    returnDate: ret,
+                    // Return legs are a little cheaper than outbound ones
+                    price: { total: (fare(dep) + fare(ret) * 0.8).toFixed(2) }
+                });
+            }
+        }
+
+        const maxPrice = parseFloat(req.query.maxPrice);
+        res.json({
+            meta: fixture.meta,
+            data: maxPrice ? data.filter(item => parseFloat(item.price.total) <= maxPrice) : data
+        });
+    });
+
+    app.get('/v1/shopping/flight-destinations', (req, res) => {
+        const { origin } = req.query;
+        if (!origin) {
+            return sendError(res, 400, 32171, 'MANDATORY DATA MISSING', 'Missing mandatory query parameter', 'origin');
+        }
+
+        // Without dates Amadeus searches from today on
+        const [from] = (req.query.departureDate || new Date().toISOString().split('T')[0]).split(',');
+        const duration = parseInt((req.query.duration || '7').split(',')[0], 10);
+        const fixture = loadFixture('flight-destinations/default.json', {
+            ORIGIN: origin,
+            D0: from,
+            R0: addDays(from, duration)
+        });
+
+        const maxPrice = parseFloat(req.query.maxPrice);
+        fixture.data = fixture.data
+            .filter(item => item.destination !== origin)
+            .map(item => {
+                if (req.query.oneWay !== 'true') {
+                    return item;
+                }
+                // One-way fares are roughly half the round trip
+                const { returnDate, ...oneWay } = item;
+                return { ...oneWay, price: { total: (parseFloat(item.price.total) / 2).toFixed(2) } };
+            })
+            .filter(item => !maxPrice || parseFloat(item.price.total) <= maxPrice);
+
+        res.json(fixture);
+    });
+
+    app.get('/v2/schedule/flights', (req, res) => {
+        const { carrierCode, flightNumber, scheduledDepartureDate } = req.query;
+
+        for (const [parameter, value] of Object.entries({ carrierCode, flightNumber, scheduledDepartureDate })) {
+            if (!value) {
+                return sendError(res, 400, 32171, 'MANDATORY DATA MISSING', 'Missing mandatory query parameter', parameter);
+            }
+        }
+
+        if (!/^\d{1,4}$/.test(flightNumber)) {
+            return sendError(res, 400, 477, 'INVALID FORMAT', 'Flight number must be 1 to 4 digits', 'flightNumber');
+        }
+
+        const vars = {
+            CARRIER: carrierCode.toUpperCase(),
+            NUMBER: parseInt(flightNumber, 10),
+            D0: scheduledDepartureDate,
+            D1: addDays(scheduledDepartureDate, 1)
+        };
+
+        const fixture = loadFixture(`schedule/${vars.CARRIER}-${vars.NUMBER}.json`, vars) ||
+            loadFixture('schedule/default.json', vars);
+
+        res.json(fixture);
+    });
+
+    app.use((req, res) => {
+        sendError(res, 404, 38196, 'Resource not found', `The stub does not serve ${req.method} ${req.path}`);
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    const port = process.env.AMADEUS_STUB_PORT || 4010;
+    createStubServer().listen(port, () => {
+        console.log(`Amadeus stand-in listening on http://localhost:${port}`);
+        console.log(`Point the bot at it with AMADEUS_ENV=local${port == 4010 ? '' : ` AMADEUS_STUB_PORT=${port}`}`);
+    });
+}
+
+module.exports = createStubServer;
@@ -0,0 +1,19 @@
+// Gives flight tracks created before per-track scheduling a next_check_at, so the
+// flight status job (which only reads due tracks) picks them up. Run once after deploying:
+//   node scripts/backfill_next_check_at.js
+require('dotenv').config();
+const Database = require('../services/database');
+
+async function backfill() {
+    const db = new Database();
+    try {
+        await db.initialize();
+        const count = await db.backfillFlightTrackSchedules();
+        console.log(`✅ Scheduled ${count} flight tracks for their next check`);
+    } catch (error) {
+        console.error('❌ Backfill failed:', error);
+        process.exitCode = 1;
+    }
+}
+
+backfill();
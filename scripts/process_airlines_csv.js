@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+
+// OpenFlights airlines.dat (https://openflights.org/data.php), saved as airlines.csv.
+// It has no header row; the columns are:
+const COLUMNS = ['Airline ID', 'Name', 'Alias', 'IATA', 'ICAO', 'Callsign', 'Country', 'Active'];
+const csvFilePath = path.join(__dirname, '..', 'data', 'airlines.csv');
+// Output file path
+const outputPath = path.join(__dirname, '..', 'data', 'airlines.js');
+
+// Processed airlines keyed by IATA code
+const airlines = {};
+
+// OpenFlights marks missing values with \N
+const clean = value => {
+    const trimmed = (value || '').trim();
+    return trimmed && trimmed !== '\\N' ? trimmed : null;
+};
+
+console.log('Starting airline CSV processing...');
+
+fs.createReadStream(csvFilePath)
+    .pipe(csv({ headers: COLUMNS }))
+    .on('data', (row) => {
+        try {
+            // Flight numbers use IATA codes, so airlines without one are no use to us
+            const iataCode = clean(row.IATA);
+            if (!iataCode || !/^[A-Z0-9]{2}$/.test(iataCode)) {
+                return;
+            }
+
+            const name = clean(row.Name);
+            if (!name) {
+                return;
+            }
+
+            const icaoCode = clean(row.ICAO);
+            const alias = clean(row.Alias);
+            const airline = {
+                iata: iataCode,
+                icao: icaoCode && /^[A-Z]{3}$/.test(icaoCode) ? icaoCode : null,
+                name,
+                aliases: alias && alias !== name ? [alias] : [],
+                callsign: clean(row.Callsign),
+                country: clean(row.Country),
+                active: clean(row.Active) === 'Y'
+            };
+
+            // IATA codes are reused once an airline stops flying; the active airline wins
+            const existing = airlines[iataCode];
+            if (existing && (existing.active || !airline.active)) {
+                return;
+            }
+
+            airlines[iataCode] = airline;
+        } catch (error) {
+            console.error('Error processing row:', error, row);
+        }
+    })
+    .on('end', () => {
+        // Generate the output JavaScript file
+        const output = `/**
+ * Airline reference data keyed by IATA code
+ * Format: { "IATA": { iata, icao, name, aliases, callsign, country, active } }
+ * Auto-generated from airlines.csv on ${new Date().toISOString()}
+ */
+const airlines = ${JSON.stringify(airlines, null, 2)
+                .replace(/\n/g, '\n  ')};
+
+module.exports = airlines;
+`;
+
+        fs.writeFileSync(outputPath, output);
+        console.log(`Successfully processed ${Object.keys(airlines).length} airlines`);
+        console.log(`Output saved to ${outputPath}`);
+    });
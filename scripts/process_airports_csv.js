@@ -6,11 +6,30 @@ const csv = require('csv-parser'); // You may need to install this: npm install
 const csvFilePath = path.join(__dirname, '..', 'data', 'airports.csv');
 // Output file path
 const outputPath = path.join(__dirname, '..', 'data', 'airportCodesExtended.js');
+// Output files for the structured airport records and the city -> airports multimap
+const airportsOutputPath = path.join(__dirname, '..', 'data', 'airports.js');
+const cityAirportsOutputPath = path.join(__dirname, '..', 'data', 'cityAirports.js');
 
 // Store processed data
 const airportCodes = {};
 const processedCities = new Set();
 
+// Every airport with an IATA code, keyed by that code
+const airports = {};
+// IATA codes of every airport serving a city, keyed by lowercase city name
+const cityAirports = {};
+
+// The CSV marks missing values with \N
+const clean = value => {
+    const trimmed = (value || '').trim();
+    return trimmed && trimmed !== '\\N' ? trimmed : null;
+};
+
+const toNumber = value => {
+    const number = parseFloat(clean(value));
+    return Number.isFinite(number) ? number : null;
+};
+
 console.log('Starting airport CSV processing...');
 
 // Read the original airportCodes.js to preserve existing entries
@@ -46,6 +65,31 @@ fs.createReadStream(csvFilePath)
             }
 
             const iataCode = row.IATA.trim();
+
+            if (!airports[iataCode] && clean(row.Name)) {
+                const icaoCode = clean(row.ICAO);
+                airports[iataCode] = {
+                    iata: iataCode,
+                    icao: icaoCode && /^[A-Z0-9]{4}$/.test(icaoCode) ? icaoCode : null,
+                    name: clean(row.Name),
+                    city: clean(row.City),
+                    country: clean(row.Country),
+                    latitude: toNumber(row.Latitude),
+                    longitude: toNumber(row.Longitude),
+                    // Feet above sea level
+                    altitude: toNumber(row.Altitude),
+                    // IANA zone, e.g. "Asia/Kolkata"
+                    timezone: clean(row['Database Timezone']),
+                    type: clean(row.Type)
+                };
+
+                const city = clean(row.City);
+                if (city) {
+                    const key = city.toLowerCase();
+                    cityAirports[key] = [...(cityAirports[key] || []), iataCode];
+                }
+            }
+
             let cityName = row.City ? row.City.trim().toLowerCase() : '';
 
             // Skip if we already have this city or code in our processed set
@@ -87,4 +131,39 @@ module.exports = airportCodes;
         fs.writeFileSync(outputPath, output);
         console.log(`Successfully processed ${Object.keys(airportCodes).length} airports`);
         console.log(`Output saved to ${outputPath}`);
+
+        // One airport per line keeps the file small enough to diff
+        const airportLines = Object.values(airports)
+            .map(airport => `    ${JSON.stringify(airport.iata)}: ${JSON.stringify(airport)}`);
+        const airportsOutput = `/**
+ * Airports with an IATA code
+ * Format: { "IATA": { iata, icao, name, city, country, latitude, longitude, altitude, timezone, type } }
+ * Auto-generated from airports.csv on ${new Date().toISOString()}
+ */
+const airports = {
+${airportLines.join(',\n')}
+};
+
+module.exports = airports;
+`;
+
+        fs.writeFileSync(airportsOutputPath, airportsOutput);
+        console.log(`Saved ${airportLines.length} airports to ${airportsOutputPath}`);
+
+        const cityLines = Object.entries(cityAirports)
+            .map(([city, codes]) => `    ${JSON.stringify(city)}: ${JSON.stringify(codes)}`);
+        const cityAirportsOutput = `/**
+ * Airports serving each city, a city can have several (and a name can exist in several countries)
+ * Format: { "city name lowercase": ["IATA", ...] }
+ * Auto-generated from airports.csv on ${new Date().toISOString()}
+ */
+const cityAirports = {
+${cityLines.join(',\n')}
+};
+
+module.exports = cityAirports;
+`;
+
+        fs.writeFileSync(cityAirportsOutputPath, cityAirportsOutput);
+        console.log(`Saved ${cityLines.length} cities to ${cityAirportsOutputPath}`);
     });
\ No newline at end of file
@@ -1,5 +1,4 @@
 require('dotenv').config();
-const axios = require('axios');
 const readline = require('readline');
 const FlightAPI = require('../services/flightAPI');
 
@@ -295,8 +294,8 @@ async function testFlightStatus() {
             } catch (error) {
                 console.error('Error during airport search or flight search:', error);
                 console.log('❌ Failed to find airports or flights.');
-                if (error.response) {
-                    console.error('API Error:', error.response.data);
+                if (error.details) {
+                    console.error('API Error:', error.details);
                 }
             }
 
@@ -395,25 +394,15 @@ async function findAirlineCode(airlineName) {
 async function checkAndDisplayFlightStatus(carrierCode, flightNumber, departureDate, expectedOrigin = null, expectedDestination = null) {
     console.log(`\n🔍 Checking status for flight ${carrierCode}${flightNumber} on ${departureDate}...`);
 
+    // Raw schedule call through the provider, so it uses the AMADEUS_ENV host and credentials
+    const flightAPI = new FlightAPI();
     try {
-        // Get access token
-        const flightAPI = new FlightAPI();
-        const token = await flightAPI.getAccessToken();
-
-        // Make direct API call for flight status with correct parameters
-        const response = await axios.get(
-            `https://test.api.amadeus.com/v2/schedule/flights`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                },
-                params: {
-                    carrierCode,
-                    flightNumber,
-                    scheduledDepartureDate: departureDate
-                }
-            }
-        );
+        console.log(`Using the Amadeus ${flightAPI.amadeus.environment} environment (${flightAPI.amadeus.baseURL})`);
+        const response = await flightAPI.amadeus.makeRequest('/v2/schedule/flights', {
+            carrierCode,
+            flightNumber,
+            scheduledDepartureDate: departureDate
+        });
 
         // Log the raw API response for debugging
         console.log('\n🔧 API Response Structure:');
@@ -510,9 +499,11 @@ ${isCodeshare ? `🔄 Operated by: ${operatingCarrier}${operatingFlight}` : ''}
         }
     } catch (error) {
         console.error('\n❌ Error fetching flight status:', error.message);
-        if (error.response?.data) {
-            console.error('API Error:', JSON.stringify(error.response.data, null, 2));
+        if (error.details) {
+            console.error('API Error:', JSON.stringify(error.details, null, 2));
         }
+    } finally {
+        flightAPI.cleanup();
     }
 }
 
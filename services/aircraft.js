@@ -0,0 +1,43 @@
+// Aircraft type lookups backed by data/aircraftTypes.js
+const aircraftTypes = require('../data/aircraftTypes');
+
+const CATEGORY_LABELS = {
+    'narrow-body': 'Narrow-body jet',
+    'wide-body': 'Wide-body jet',
+    regional: 'Regional jet',
+    turboprop: 'Turboprop'
+};
+
+// Aircraft type by IATA equipment code ("32N", "77W"), or null when unknown
+function getAircraftType(code) {
+    if (!code) return null;
+    const normalized = String(code).trim().toUpperCase();
+    const type = aircraftTypes[normalized];
+    return type ? { code: normalized, ...type, categoryLabel: CATEGORY_LABELS[type.category] } : null;
+}
+
+// "Airbus A320neo (Narrow-body jet)", or "Aircraft XYZ" for types we don't know
+function formatAircraft(code) {
+    const type = getAircraftType(code);
+    if (type) return `${type.name} (${type.categoryLabel})`;
+    return code ? `Aircraft ${code}` : 'Aircraft not stated';
+}
+
+function isTurboprop(code) {
+    return getAircraftType(code)?.category === 'turboprop';
+}
+
+// True when any flight of the offer is operated by a turboprop.
+// Unknown aircraft codes are not counted, so offers are never dropped on a guess.
+function offerHasTurboprop(offer) {
+    return (offer.itineraries || []).some(itinerary =>
+        (itinerary.segments || []).some(segment => isTurboprop(segment.aircraft)));
+}
+
+module.exports = {
+    CATEGORY_LABELS,
+    getAircraftType,
+    formatAircraft,
+    isTurboprop,
+    offerHasTurboprop
+};
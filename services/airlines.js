@@ -0,0 +1,83 @@
+// Airline lookups backed by data/airlines.js (generated by scripts/process_airlines_csv.js)
+const airlines = require('../data/airlines');
+const { editDistance } = require('./textMatch');
+
+const byIcao = new Map();
+Object.values(airlines).forEach(airline => {
+    if (airline.icao && !byIcao.has(airline.icao)) {
+        byIcao.set(airline.icao, airline);
+    }
+});
+
+// Lowest similarity (0-1) a misspelt name may have and still match, e.g. "lufthanza"
+const MIN_FUZZY_SIMILARITY = 0.75;
+
+// Airline by IATA (AI) or ICAO (AIC) code, or null when unknown
+function getAirline(code) {
+    if (!code) return null;
+    const normalized = String(code).trim().toUpperCase();
+    return airlines[normalized] || byIcao.get(normalized) || null;
+}
+
+// "Air India (AI)", or the bare code for airlines we don't know
+function formatAirline(code) {
+    const airline = getAirline(code);
+    return airline ? `${airline.name} (${airline.iata})` : code;
+}
+
+// "AI101 (Air India)", or just the flight designator for airlines we don't know
+function formatFlight(carrierCode, flightNumber) {
+    const airline = getAirline(carrierCode);
+    return `${carrierCode}${flightNumber}${airline ? ` (${airline.name})` : ''}`;
+}
+
+// How well a lowercase query matches one airline, 0 for no match
+function scoreAirline(airline, query) {
+    if (query.length === 2 && airline.iata.toLowerCase() === query) return 100;
+    if (query.length === 3 && airline.icao && airline.icao.toLowerCase() === query) return 95;
+
+    let best = 0;
+    for (const name of [airline.name, ...airline.aliases].map(item => item.toLowerCase())) {
+        if (name === query) return 90;
+
+        if (query.length >= 3 && name.startsWith(query)) {
+            best = Math.max(best, 80);
+        } else if (query.length >= 3 && name.split(/[\s-]+/).some(word => word.startsWith(query))) {
+            best = Math.max(best, 70);
+        } else if (query.length >= 4 && name.includes(query)) {
+            best = Math.max(best, 60);
+        } else if (query.length >= 4) {
+            // Typos: compare against the whole name and against its start
+            const similarity = Math.max(
+                1 - editDistance(query, name) / Math.max(query.length, name.length),
+                1 - editDistance(query, name.slice(0, query.length)) / query.length
+            );
+            if (similarity >= MIN_FUZZY_SIMILARITY) {
+                best = Math.max(best, Math.round(similarity * 50));
+            }
+        }
+    }
+    return best;
+}
+
+// Airlines matching a name, alias or code, best first: [{ ...airline, score }].
+// Ties go to active airlines, then to the shorter (more exact) name.
+function findAirlines(query, limit = 5) {
+    const normalized = (query || '').toLowerCase().trim().replace(/\s+/g, ' ');
+    if (!normalized) return [];
+
+    return Object.values(airlines)
+        .map(airline => ({ ...airline, score: scoreAirline(airline, normalized) }))
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score ||
+            Number(b.active) - Number(a.active) ||
+            a.name.length - b.name.length)
+        .slice(0, limit);
+}
+
+module.exports = {
+    getAirline,
+    formatAirline,
+    formatFlight,
+    findAirlines
+};
@@ -0,0 +1,241 @@
+// Airport records and ranked airport search backed by data/airports.js and
+// data/cityAirports.js (generated by scripts/process_airports_csv.js)
+const airports = require('../data/airports');
+const cityAirports = require('../data/cityAirports');
+const metroAreas = require('../data/metroAreas');
+const airportCodes = require('../data/airportCodes');
+const { editDistance } = require('./textMatch');
+
+// Lowercase, without accents, so "Kōchi" matches "kochi"
+const normalize = text => String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, ' ');
+
+const byIcao = new Map();
+Object.values(airports).forEach(airport => {
+    if (airport.icao) byIcao.set(airport.icao, airport);
+});
+
+// The curated city list names the airports travellers mean most often ("london" -> LHR),
+// so its names work as aliases and its airports rank first among equal matches
+const curatedAliases = new Map();
+Object.entries(airportCodes).forEach(([alias, code]) => {
+    if (!curatedAliases.has(code)) curatedAliases.set(code, []);
+    curatedAliases.get(code).push(alias);
+});
+
+// Heliports, air bases and private airfields share city names with the airports people fly from
+const NON_COMMERCIAL_NAME = /heliport|air ?force|air ?base|military|\braf\b|army|naval|airfield|air park|airstrip/i;
+
+function isCommercialAirport(airport) {
+    return !NON_COMMERCIAL_NAME.test(airport.name);
+}
+
+const index = Object.values(airports).map(airport => ({
+    airport,
+    city: normalize(airport.city),
+    name: normalize(airport.name),
+    nameWords: normalize(airport.name).split(/[\s\-/()]+/).filter(Boolean),
+    country: normalize(airport.country),
+    aliases: curatedAliases.get(airport.iata) || [],
+    curated: curatedAliases.has(airport.iata),
+    minor: !isCommercialAirport(airport),
+    metro: false
+}));
+
+// Metro areas are searchable like airports, e.g. "london" also offers LON for all of them
+Object.entries(metroAreas).forEach(([code, area]) => {
+    const name = `All ${area.name} airports`;
+    index.push({
+        airport: { iata: code, icao: null, name, city: area.name, country: area.country, airports: area.airports },
+        city: normalize(area.name),
+        name: normalize(name),
+        nameWords: normalize(name).split(' '),
+        country: normalize(area.country),
+        aliases: [],
+        curated: true,
+        minor: false,
+        metro: true
+    });
+});
+
+// Lowest similarity (0-1) a misspelt city may have and still match, e.g. "frankfrut"
+const MIN_FUZZY_SIMILARITY = 0.75;
+
+// Matches scoring this far below the best one are dropped, so "pune" doesn't list "Puneet"
+const SCORE_SPREAD = 10;
+
+// A result is picked without asking when it is at least this confident and ranks alone at the top
+const AUTO_SELECT_CONFIDENCE = 0.8;
+
+function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    // Too different in length to ever reach the threshold
+    if (Math.abs(a.length - b.length) > longest * (1 - MIN_FUZZY_SIMILARITY)) return 0;
+    return 1 - editDistance(a, b) / longest;
+}
+
+// How well a normalized query matches one index entry, 0 for no match
+function scoreEntry(entry, query) {
+    if (query.length === 3 && entry.airport.iata.toLowerCase() === query) return 100;
+    if (query.length === 4 && entry.airport.icao && entry.airport.icao.toLowerCase() === query) return 95;
+    if (entry.city === query || entry.aliases.includes(query)) return 90;
+    if (entry.name === query) return 88;
+
+    if (query.length < 3) return 0;
+    if (query.length >= 4 && entry.nameWords.includes(query)) return 80;
+    if (entry.city.startsWith(query) || entry.aliases.some(alias => alias.startsWith(query))) return 75;
+    if (entry.name.startsWith(query) || entry.nameWords.some(word => word.startsWith(query))) return 65;
+
+    if (query.length >= 4) {
+        const best = Math.max(similarity(query, entry.city), ...entry.aliases.map(alias => similarity(query, alias)));
+        if (best >= MIN_FUZZY_SIMILARITY) return Math.round(best * 60);
+    }
+    return 0;
+}
+
+// Airport by IATA (DEL) or ICAO (VIDP) code, or null when unknown:
+// { iata, icao, name, city, country, latitude, longitude, altitude, timezone, type }
+function getAirport(code) {
+    if (!code) return null;
+    const normalized = String(code).trim().toUpperCase();
+    return airports[normalized] || byIcao.get(normalized) || null;
+}
+
+// Every airport serving a city. Names are not unique worldwide, so "london" also
+// returns London, Ontario - filter on country where that matters.
+function getCityAirports(city) {
+    const codes = cityAirports[String(city || '').toLowerCase().trim()] || [];
+    return codes.map(code => airports[code]);
+}
+
+// Metro area by its city code (LON), or null: { code, name, country, airports: [IATA codes] }
+function getMetroArea(code) {
+    if (!code) return null;
+    const normalized = String(code).trim().toUpperCase();
+    return metroAreas[normalized] ? { code: normalized, ...metroAreas[normalized] } : null;
+}
+
+// Metro area named exactly by the text ("london", "LON"), or null
+function findMetroArea(text) {
+    const normalized = normalize(text);
+    const code = Object.keys(metroAreas).find(key =>
+        key.toLowerCase() === normalized || normalize(metroAreas[key].name) === normalized);
+    return code ? getMetroArea(code) : null;
+}
+
+// Airports a code stands for: a metro area's airports, otherwise just the code itself
+function expandAirportCode(code) {
+    const area = getMetroArea(code);
+    return area ? [...area.airports] : [code];
+}
+
+// "Indira Gandhi International Airport (DEL)", "London, all airports (LON)",
+// or the bare code for airports we don't know
+function describeAirport(code) {
+    const area = getMetroArea(code);
+    if (area) return `${area.name}, all airports (${area.code})`;
+
+    const airport = getAirport(code);
+    return airport ? `${airport.name} (${airport.iata})` : code;
+}
+
+function rankMatches(text, country, limit) {
+    const matches = index
+        .filter(entry => !country || entry.country.startsWith(country))
+        .map(entry => ({ entry, score: scoreEntry(entry, text) }))
+        .filter(match => match.score > 0);
+
+    if (matches.length === 0) return [];
+
+    const bestScore = Math.max(...matches.map(match => match.score));
+
+    return matches
+        .filter(match => match.score >= bestScore - SCORE_SPREAD)
+        .sort((a, b) => b.score - a.score ||
+            Number(b.entry.metro) - Number(a.entry.metro) ||
+            Number(b.entry.aliases.includes(text)) - Number(a.entry.aliases.includes(text)) ||
+            Number(b.entry.curated) - Number(a.entry.curated) ||
+            Number(a.entry.minor) - Number(b.entry.minor) ||
+            Number(/international/.test(b.entry.name)) - Number(/international/.test(a.entry.name)) ||
+            a.entry.name.localeCompare(b.entry.name))
+        .slice(0, limit)
+        .map(({ entry, score }) => ({
+            code: entry.airport.iata,
+            icao: entry.airport.icao,
+            name: entry.airport.name,
+            city: entry.airport.city,
+            country: entry.airport.country,
+            ...(entry.metro ? { metro: true, airports: entry.airport.airports } : {}),
+            cityMatch: entry.city === text || entry.aliases.includes(text),
+            score,
+            confidence: score / 100
+        }));
+}
+
+// Airports matching a code, city, airport name or misspelling, best first:
+// [{ code, icao, name, city, country, cityMatch, score, confidence }] with confidence from 0
+// to 1; cityMatch is set when the query is exactly the airport's city or one of its aliases.
+// Metro areas come first among equal matches and also carry metro: true and airports.
+// "london, canada" or "london canada" narrows the matches to one country.
+function findAirports(query, limit = 6) {
+    const text = normalize(query);
+    if (!text) return [];
+
+    const separated = text.match(/^(.+?)\s*,\s*(.+)$/);
+    if (separated) {
+        return rankMatches(separated[1], separated[2], limit);
+    }
+
+    // A trailing country name without a comma, e.g. "london canada". US states share
+    // names with countries ("atlanta georgia"), so without a match there the country is dropped.
+    const words = text.split(' ');
+    for (let split = 1; split < words.length; split++) {
+        const country = words.slice(split).join(' ');
+        if (index.some(entry => entry.country === country)) {
+            const city = words.slice(0, split).join(' ');
+            const results = rankMatches(city, country, limit);
+            if (results.length > 0) return results;
+
+            const whole = rankMatches(text, null, limit);
+            return whole.length > 0 ? whole : rankMatches(city, null, limit);
+        }
+    }
+
+    return rankMatches(text, null, limit);
+}
+
+// True when the best of the ranked results can be picked without asking the user.
+// A code that is also a city's name ("goa" is Genoa's code) is never picked over that city.
+function isUnambiguous(results) {
+    if (!results || results.length === 0) return false;
+    const [best, next] = results;
+    if (best.confidence < AUTO_SELECT_CONFIDENCE) return false;
+    if (!best.cityMatch && results.some(result => result.cityMatch)) return false;
+    return !next || next.confidence < best.confidence;
+}
+
+// "Indira Gandhi International Airport (DEL) · Delhi, India"
+function formatAirport(airport) {
+    const place = [airport.city, airport.country]
+        .filter(Boolean)
+        .filter(part => !airport.name.toLowerCase().includes(part.toLowerCase()));
+    return `${airport.name} (${airport.code || airport.iata})${place.length > 0 ? ` · ${place.join(', ')}` : ''}`;
+}
+
+module.exports = {
+    AUTO_SELECT_CONFIDENCE,
+    getAirport,
+    getCityAirports,
+    isCommercialAirport,
+    getMetroArea,
+    findMetroArea,
+    expandAirportCode,
+    describeAirport,
+    findAirports,
+    isUnambiguous,
+    formatAirport
+};
@@ -0,0 +1,104 @@
+const { UpstreamUnavailableError, RateLimitedError } = require('./errors');
+
+// Simple circuit breaker for a flight-data provider.
+//
+// CLOSED:    requests flow normally, consecutive failures are counted
+// OPEN:      after `failureThreshold` failures requests fail fast for `resetTimeout` ms
+// HALF_OPEN: one trial request is let through; success closes the circuit, failure re-opens it
+class CircuitBreaker {
+    constructor(options = {}) {
+        this.name = options.name || 'provider';
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeout = options.resetTimeout || 60 * 1000;
+
+        this.state = 'CLOSED';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    async execute(fn) {
+        if (!this.allowRequest()) {
+            throw new UpstreamUnavailableError(`${this.name} circuit is open, skipping request`, { provider: this.name });
+        }
+
+        try {
+            const result = await fn();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            this.recordFailure(error);
+            throw error;
+        }
+    }
+
+    allowRequest() {
+        if (this.state === 'CLOSED') {
+            return true;
+        }
+
+        if (this.state === 'OPEN' && Date.now() - this.openedAt >= this.resetTimeout) {
+            this.state = 'HALF_OPEN';
+            this.trialInFlight = false;
+        }
+
+        if (this.state === 'HALF_OPEN' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    recordSuccess() {
+        if (this.state !== 'CLOSED') {
+            console.log(`Circuit for ${this.name} closed, provider is healthy again`);
+        }
+        this.state = 'CLOSED';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    recordFailure(error) {
+        // Only outages count. A rejected request still proves the provider is answering,
+        // and our own exhausted quota says nothing about provider health.
+        const isOutage = error instanceof UpstreamUnavailableError ||
+            (error instanceof RateLimitedError && !error.quotaExceeded);
+
+        if (!isOutage) {
+            if (!error.quotaExceeded) {
+                this.recordSuccess();
+            } else if (this.state === 'HALF_OPEN') {
+                this.trialInFlight = false;
+            }
+            return;
+        }
+
+        this.failures++;
+
+        if (this.state === 'HALF_OPEN' || this.failures >= this.failureThreshold) {
+            if (this.state !== 'OPEN') {
+                console.warn(`Circuit for ${this.name} opened after ${this.failures} failures`);
+            }
+            this.state = 'OPEN';
+            this.openedAt = Date.now();
+            this.trialInFlight = false;
+        }
+    }
+
+    // Healthy unless the circuit is open and still cooling down
+    isHealthy() {
+        return this.state !== 'OPEN' || Date.now() - this.openedAt >= this.resetTimeout;
+    }
+
+    getStats() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
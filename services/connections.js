@@ -0,0 +1,92 @@
+// Connection risk between consecutive flights of a journey, from their latest times and
+// the minimum connection times in data/minimumConnectionTimes.js
+const minimumConnectionTimes = require('../data/minimumConnectionTimes');
+const { getAirport } = require('./airports');
+const { minutesBetween } = require('./timezones');
+const { expectedTime } = require('./flightStatus');
+
+// Connections with less than this many minutes above the minimum count as tight
+const TIGHT_MARGIN_MINUTES = 30;
+
+// Minimum minutes needed to change flights at an airport
+function getMinimumConnectionTime(airportCode, international) {
+    const times = minimumConnectionTimes[airportCode] || minimumConnectionTimes.DEFAULT;
+    return international ? times.international : times.domestic;
+}
+
+// A connection is domestic only when both flights stay in the connecting airport's
+// country; unknown airports are assumed international, which needs more time
+function isInternationalConnection(inbound, outbound) {
+    const countries = [inbound.departureAirport, outbound.departureAirport, outbound.arrivalAirport]
+        .map(code => getAirport(code)?.country);
+    return countries.some(country => !country || country !== countries[1]);
+}
+
+// Risk of the connection from one flight to the next. inbound and outbound are normalized
+// flight statuses. Returns null when their times aren't known yet, otherwise
+// { airport, international, layoverMinutes, scheduledLayoverMinutes, minimumMinutes, risk,
+//   cause, inboundDelayMinutes, outboundAdvanceMinutes }. risk is 'OK', 'TIGHT' (less than
+// TIGHT_MARGIN_MINUTES to spare) or 'IMPOSSIBLE' (below the minimum); cause names the flight
+// that made the connection shorter ('inbound' or 'outbound'), or null when the schedule
+// itself is that short. layoverMinutes is null when the inbound flight won't get there.
+function assessConnection(inbound, outbound) {
+    const airport = outbound.departureAirport;
+    if (!airport || outbound.status === 'CANCELLED') return null;
+
+    const international = isInternationalConnection(inbound, outbound);
+    const minimumMinutes = getMinimumConnectionTime(airport, international);
+
+    if (inbound.status === 'CANCELLED' || (inbound.divertedTo && inbound.divertedTo !== airport)) {
+        return {
+            airport,
+            international,
+            layoverMinutes: null,
+            scheduledLayoverMinutes: null,
+            minimumMinutes,
+            risk: 'IMPOSSIBLE',
+            cause: 'inbound',
+            inboundDelayMinutes: null,
+            outboundAdvanceMinutes: null
+        };
+    }
+
+    const scheduledArrival = { at: inbound.scheduledArrivalTime, airport: inbound.arrivalAirport };
+    const arrival = { at: expectedTime(inbound, 'Arrival'), airport: inbound.arrivalAirport };
+    const scheduledDeparture = { at: outbound.scheduledDepartureTime, airport };
+    const departure = { at: expectedTime(outbound, 'Departure'), airport };
+
+    const layoverMinutes = minutesBetween(arrival, departure);
+    if (layoverMinutes === null) return null;
+
+    let risk = 'OK';
+    if (layoverMinutes < minimumMinutes) {
+        risk = 'IMPOSSIBLE';
+    } else if (layoverMinutes < minimumMinutes + TIGHT_MARGIN_MINUTES) {
+        risk = 'TIGHT';
+    }
+
+    const inboundDelayMinutes = minutesBetween(scheduledArrival, arrival) || 0;
+    const outboundAdvanceMinutes = minutesBetween(departure, scheduledDeparture) || 0;
+    let cause = null;
+    if (inboundDelayMinutes > 0 || outboundAdvanceMinutes > 0) {
+        cause = inboundDelayMinutes >= outboundAdvanceMinutes ? 'inbound' : 'outbound';
+    }
+
+    return {
+        airport,
+        international,
+        layoverMinutes,
+        scheduledLayoverMinutes: minutesBetween(scheduledArrival, scheduledDeparture),
+        minimumMinutes,
+        risk,
+        cause,
+        inboundDelayMinutes,
+        outboundAdvanceMinutes
+    };
+}
+
+module.exports = {
+    TIGHT_MARGIN_MINUTES,
+    getMinimumConnectionTime,
+    assessConnection
+};
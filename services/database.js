@@ -92,6 +92,11 @@ class FirebaseService {
                 alertDoc.booking_url = alertData.bookingUrl;
             }
 
+            // Passengers, cabin and filters used for every price check of this alert
+            if (alertData.search_options) {
+                alertDoc.search_options = alertData.search_options;
+            }
+
             await newAlertRef.set(alertDoc);
 
             // Update user's last_active timestamp
@@ -144,6 +149,8 @@ class FirebaseService {
                     checked: new Date().toISOString()
                 }),
                 created_at: new Date().toISOString(),
+                // Checked on the next run, which then schedules the one after
+                next_check_at: new Date().toISOString(),
                 active: true
             };
 
@@ -189,7 +196,9 @@ class FirebaseService {
                     current_price: data.current_price,
                     lowest_price: data.lowest_price,
                     created_at: data.created_at?.toDate(),
-                    last_checked: data.last_checked?.toDate()
+                    last_checked: data.last_checked?.toDate(),
+                    last_check_status: data.last_check_status || null,
+                    search_options: data.search_options || null
                 });
             });
 
@@ -249,6 +258,9 @@ class FirebaseService {
                     is_active: data.is_active,
                     created_at: data.created_at?.toDate(),
                     last_checked: data.last_checked?.toDate(),
+                    last_check_status: data.last_check_status || null,
+                    last_check_error: data.last_check_error || null,
+                    search_options: data.search_options || null,
                     booking_url: data.booking_url
                 };
             } else {
@@ -275,6 +287,9 @@ class FirebaseService {
                             is_active: data.is_active,
                             created_at: data.created_at?.toDate(),
                             last_checked: data.last_checked?.toDate(),
+                            last_check_status: data.last_check_status || null,
+                            last_check_error: data.last_check_error || null,
+                            search_options: data.search_options || null,
                             booking_url: data.booking_url
                         };
                     }
@@ -289,7 +304,8 @@ class FirebaseService {
         }
     }
 
-    async updateAlertCheck(alertId, price = null) {
+    // checkStatus: { status: 'no_availability' | 'failed', error } describes why no price was recorded
+    async updateAlertCheck(alertId, price = null, checkStatus = null) {
         try {
             const alertSnapshot = await this.db.collectionGroup('flight_alerts')
                 .where('alert_id', '==', alertId)
@@ -309,6 +325,11 @@ class FirebaseService {
                 updateData.current_price = price;
             }
 
+            if (checkStatus) {
+                updateData.last_check_status = checkStatus.status;
+                updateData.last_check_error = checkStatus.error || null;
+            }
+
             await alertDoc.ref.update(updateData);
         } catch (error) {
             console.error('Error updating alert check:', error);
@@ -341,7 +362,8 @@ class FirebaseService {
                     return_date: data.return_date,
                     min_price: data.min_price,
                     current_price: data.current_price,
-                    last_checked: data.last_checked?.toDate()
+                    last_checked: data.last_checked?.toDate(),
+                    last_check_status: data.last_check_status || null
                 });
             });
 
@@ -372,7 +394,9 @@ class FirebaseService {
             const updateData = {
                 current_price: currentPrice,
                 lowest_price: lowestPrice,
-                last_checked: admin.firestore.FieldValue.serverTimestamp()
+                last_checked: admin.firestore.FieldValue.serverTimestamp(),
+                last_check_status: 'ok',
+                last_check_error: null
             };
 
             if (bookingUrl) {
@@ -571,6 +595,72 @@ class FirebaseService {
         }
     }
 
+    // Active flight tracks whose next check is due at `now` (an ISO timestamp), across all
+    // users. Tracks created before scheduling have no next_check_at and are never returned;
+    // backfillFlightTrackSchedules gives them one.
+    async getDueFlightTracks(now) {
+        try {
+            const tracksSnapshot = await this.db.collectionGroup('flight_tracks')
+                .where('active', '==', true)
+                .where('next_check_at', '<=', now)
+                .get();
+
+            const tracks = [];
+            tracksSnapshot.forEach(doc => {
+                tracks.push({
+                    track_id: doc.id,
+                    telegram_id: doc.ref.parent.parent.id, // users/{userId}/flight_tracks/{trackId}
+                    ...doc.data()
+                });
+            });
+
+            return tracks;
+        } catch (error) {
+            console.error('Error fetching due flight tracks:', error);
+            return [];
+        }
+    }
+
+    // One-time migration: schedule an immediate check for active tracks created before
+    // next_check_at existed. Returns the number of tracks updated.
+    async backfillFlightTrackSchedules() {
+        const tracks = await this.getAllActiveFlightTracks();
+        const legacy = tracks.filter(track => !track.next_check_at);
+        const now = new Date().toISOString();
+
+        for (const track of legacy) {
+            await this.db.collection('users').doc(track.telegram_id)
+                .collection('flight_tracks').doc(track.track_id)
+                .update({ next_check_at: now });
+        }
+
+        return legacy.length;
+    }
+
+    // The segments of a user's multi-segment journeys on a route, including segments that
+    // have already landed but not ones the user stopped tracking
+    async getJourneyFlightTracks(telegramId, parentRoute) {
+        try {
+            const userRef = this.db.collection('users').doc(telegramId.toString());
+            const tracksSnapshot = await userRef.collection('flight_tracks')
+                .where('parent_route', '==', parentRoute)
+                .get();
+
+            const tracks = [];
+            tracksSnapshot.forEach(doc => {
+                const track = { track_id: doc.id, telegram_id: telegramId.toString(), ...doc.data() };
+                if (track.active || track.finished_at) {
+                    tracks.push(track);
+                }
+            });
+
+            return tracks;
+        } catch (error) {
+            console.error('Error fetching journey flight tracks:', error);
+            return [];
+        }
+    }
+
     // Get a specific flight track
     async getFlightTrack(trackId) {
         try {
@@ -661,23 +751,28 @@ class FirebaseService {
         }
     }
 
-    // Update flight track status
-    async updateFlightTrackStatus(trackId, statusData) {
-        try {
-            // First try the direct approach - get the track by ID
-            const track = await this.getFlightTrack(trackId);
+    // Document of a flight track. `track` is a track id, or a track already read (with its
+    // telegram_id), which saves searching every user for it again.
+    async getFlightTrackRef(track) {
+        const found = track && typeof track === 'object' ? track : await this.getFlightTrack(track);
 
-            if (!track || !track.telegram_id) {
-                throw new Error(`Flight track ${trackId} not found`);
-            }
+        if (!found || !found.telegram_id) {
+            throw new Error(`Flight track ${track?.track_id || track} not found`);
+        }
 
-            // Now that we know the user ID, we can query directly
-            const userRef = this.db.collection('users').doc(track.telegram_id.toString());
-            const trackRef = userRef.collection('flight_tracks').doc(trackId);
+        const userRef = this.db.collection('users').doc(found.telegram_id.toString());
+        return userRef.collection('flight_tracks').doc(found.track_id);
+    }
+
+    // Update flight track status (track: an id or a track already read)
+    async updateFlightTrackStatus(track, statusData, nextCheckAt = null) {
+        try {
+            const trackRef = await this.getFlightTrackRef(track);
 
             await trackRef.update({
                 last_status: JSON.stringify(statusData),
-                last_checked: new Date().toISOString()
+                last_checked: new Date().toISOString(),
+                next_check_at: nextCheckAt
             });
 
             return true;
@@ -687,27 +782,55 @@ class FirebaseService {
         }
     }
 
-    // Just update the check time
-    async updateFlightTrackCheckTime(trackId) {
+    // Just update the check time (track: an id or a track already read)
+    async updateFlightTrackCheckTime(track, nextCheckAt = null) {
         try {
-            // First try the direct approach - get the track by ID
-            const track = await this.getFlightTrack(trackId);
+            const trackRef = await this.getFlightTrackRef(track);
 
-            if (!track || !track.telegram_id) {
-                throw new Error(`Flight track ${trackId} not found`);
-            }
+            await trackRef.update({
+                last_checked: new Date().toISOString(),
+                next_check_at: nextCheckAt
+            });
 
-            // Now that we know the user ID, we can query directly
-            const userRef = this.db.collection('users').doc(track.telegram_id.toString());
-            const trackRef = userRef.collection('flight_tracks').doc(trackId);
+            return true;
+        } catch (error) {
+            console.error('Error updating flight track check time:', error);
+            return false;
+        }
+    }
+
+    // Remember the last connection risk warned about for the segment a connection leads to
+    // (track: an id or a track already read)
+    async updateFlightTrackConnectionRisk(track, risk) {
+        try {
+            const trackRef = await this.getFlightTrackRef(track);
 
             await trackRef.update({
-                last_checked: new Date().toISOString()
+                connection_risk: risk
             });
 
             return true;
         } catch (error) {
-            console.error('Error updating flight track check time:', error);
+            console.error('Error updating flight track connection risk:', error);
+            return false;
+        }
+    }
+
+    // Stop checking a flight that is over (landed or cancelled); the track stays in history
+    // (track: an id or a track already read)
+    async finishFlightTrack(track) {
+        try {
+            const trackRef = await this.getFlightTrackRef(track);
+
+            await trackRef.update({
+                active: false,
+                next_check_at: null,
+                finished_at: new Date().toISOString()
+            });
+
+            return true;
+        } catch (error) {
+            console.error('Error finishing flight track:', error);
             return false;
         }
     }
@@ -760,6 +883,7 @@ class FirebaseService {
             // Update the track to mark it as inactive
             await trackRef.update({
                 active: false,
+                next_check_at: null,
                 cancelled_at: new Date().toISOString()
             });
 
@@ -0,0 +1,107 @@
+// Typed errors for flight-data provider calls, so callers can tell
+// "no flights" apart from "the API is down" or "the request was wrong".
+class FlightApiError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = options.status || null;
+        this.provider = options.provider || null;
+        this.details = options.details || null;
+    }
+
+    // Whether repeating the same request later may succeed
+    get retryable() {
+        return false;
+    }
+}
+
+// 429 or an exhausted quota
+class RateLimitedError extends FlightApiError {
+    constructor(message, options = {}) {
+        super(message, options);
+        // Milliseconds the provider asked us to wait, when it told us
+        this.retryAfterMs = options.retryAfterMs ?? null;
+        // Our own monthly quota ran out, rather than the provider pushing back
+        this.quotaExceeded = options.quotaExceeded ?? false;
+    }
+
+    get retryable() {
+        return !this.quotaExceeded;
+    }
+}
+
+// Bad credentials or an expired/invalid token
+class AuthError extends FlightApiError {
+}
+
+// Network failures, timeouts, 5xx responses or an open circuit breaker
+class UpstreamUnavailableError extends FlightApiError {
+    get retryable() {
+        return true;
+    }
+}
+
+// The provider rejected the request itself (bad airport code, date in the past, ...)
+class InvalidRequestError extends FlightApiError {
+}
+
+// Parse a Retry-After header (seconds or an HTTP date) into milliseconds
+function parseRetryAfter(header) {
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(header);
+    if (!isNaN(date)) {
+        return Math.max(0, date - Date.now());
+    }
+
+    return null;
+}
+
+// Turn an axios error into one of the typed errors above
+function fromAxiosError(error, provider = null) {
+    if (error instanceof FlightApiError) {
+        return error;
+    }
+
+    const response = error.response;
+    if (!response) {
+        return new UpstreamUnavailableError(`${provider || 'Provider'} unreachable: ${error.message}`, { provider });
+    }
+
+    const apiError = response.data?.errors?.[0];
+    const detail = apiError?.detail || apiError?.title ||
+        response.data?.error_description || response.data?.error || error.message;
+    const options = { status: response.status, provider, details: response.data };
+
+    if (response.status === 429) {
+        return new RateLimitedError(`${provider || 'Provider'} rate limit reached: ${detail}`, {
+            ...options,
+            retryAfterMs: parseRetryAfter(response.headers?.['retry-after'])
+        });
+    }
+
+    if (response.status === 401 || response.status === 403) {
+        return new AuthError(`${provider || 'Provider'} authentication failed: ${detail}`, options);
+    }
+
+    if (response.status >= 500) {
+        return new UpstreamUnavailableError(`${provider || 'Provider'} unavailable (${response.status}): ${detail}`, options);
+    }
+
+    return new InvalidRequestError(`${provider || 'Provider'} rejected the request: ${detail}`, options);
+}
+
+module.exports = {
+    FlightApiError,
+    RateLimitedError,
+    AuthError,
+    UpstreamUnavailableError,
+    InvalidRequestError,
+    parseRetryAfter,
+    fromAxiosError
+};
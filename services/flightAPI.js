@@ -1,4 +1,3 @@
-const axios = require('axios');
 const airportCodes = require('../data/airportCodes');
 
 // Try to load extended airport codes, fall back to standard if not available
@@ -11,150 +10,160 @@ try {
     console.log('Using standard airport database');
 }
 
+const ProviderRegistry = require('./providers/providerRegistry');
+const AmadeusProvider = require('./providers/amadeusProvider');
+const FlightProvider = require('./providers/flightProvider');
+const SearchCache = require('./searchCache');
+const { InvalidRequestError } = require('./errors');
+const { getAirline } = require('./airlines');
+const { offerHasTurboprop } = require('./aircraft');
+const airportIndex = require('./airports');
+const { findAirportsNearAirport } = require('./geo');
+const { localDateTime, minutesBetween, formatMinutes } = require('./timezones');
+
+const PROVIDER_FACTORIES = {
+    amadeus: () => new AmadeusProvider()
+};
+
+// Cabin classes in the provider-neutral form used by search options
+const TRAVEL_CLASSES = {
+    ECONOMY: { label: 'Economy', skyscanner: 'economy' },
+    PREMIUM_ECONOMY: { label: 'Premium Economy', skyscanner: 'premiumeconomy' },
+    BUSINESS: { label: 'Business', skyscanner: 'business' },
+    FIRST: { label: 'First', skyscanner: 'first' }
+};
+
+// Most providers cap a booking at 9 seated travellers
+const MAX_SEATED_TRAVELERS = 9;
+
+// Amadeus prices up to six legs in one multi-city search
+const MAX_MULTI_CITY_LEGS = 6;
+
+// Airports per side searched when a metro search is split into airport pairs
+// (metro areas list their busiest airports first)
+const MAX_METRO_PAIR_AIRPORTS = 3;
+
+// Confidence given to location-search results from a provider
+const PROVIDER_MATCH_CONFIDENCE = 0.5;
+
+// Nearby airports searched per side when looking for cheaper alternative airports
+const MAX_NEARBY_ALTERNATIVES = 3;
+
+// Offer searches one /explore may fan out to when no destination search is available
+const MAX_POPULAR_ROUTE_SEARCHES = 10;
+
+// Widest flexible-date window, in days either side of the requested dates
+const MAX_FLEX_DATE_DAYS = 7;
+
+// Offer searches one flexible-date grid may fan out to when no cheapest-date search is
+// available: the cells closest to the requested dates (a ±4-day row, or a 3x3 round-trip window)
+const MAX_FLEX_DATE_OFFER_SEARCHES = 9;
+
+// Add days to a YYYY-MM-DD date
+function addDays(dateStr, days) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+// Key of a flexible-date grid cell; returnDate is null for one-way grids
+function flexCellKey(departureDate, returnDate = null) {
+    return `${departureDate}|${returnDate || ''}`;
+}
+
+// Whether a search option was left out (as opposed to given as 0 or an invalid value)
+function isUnset(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// A traveller count from the search options: `fallback` when left out, otherwise it
+// must be a whole number
+function parseTravellerCount(value, fallback, label) {
+    if (isUnset(value)) {
+        return fallback;
+    }
+
+    const count = Number(value);
+    if (!Number.isInteger(count)) {
+        throw new InvalidRequestError(`Number of ${label} must be a whole number.`);
+    }
+    return count;
+}
+
+function daysBetween(fromDate, toDate) {
+    return Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
 class FlightAPI {
-    constructor() {
-        this.amadeus = {
-            apiKey: process.env.AMADEUS_API_KEY,
-            apiSecret: process.env.AMADEUS_API_SECRET,
-            accessToken: null,
-            tokenExpiry: null,
-            baseURL: 'https://api.amadeus.com'
-        };
+    constructor(providers = null) {
+        // Providers are tried in order; configure with FLIGHT_PROVIDERS=amadeus,...
+        this.providers = new ProviderRegistry(providers || this.createProviders());
+
+        // Amadeus is kept directly reachable for token-level helpers used by scripts
+        this.amadeus = this.providers.get('amadeus');
 
         // Airport code cache to avoid repeated lookups
         this.airportCache = new Map();
 
-        // Rate limiting
-        this.lastRequest = 0;
-        this.minRequestInterval = 1000; // 1 second between requests
-        this.setupTokenRefreshTimer();
+        // Shared cache for flight-offer searches
+        this.searchCache = new SearchCache();
+
+        // Days either side of the requested dates in a flexible-date search
+        this.flexDateDays = Math.min(parseInt(process.env.FLEX_DATE_DAYS, 10) || 3, MAX_FLEX_DATE_DAYS);
+
+        // Distance in km within which other airports count as nearby alternatives
+        this.nearbyAirportRadiusKm = parseInt(process.env.NEARBY_AIRPORT_RADIUS_KM, 10) || 150;
     }
 
-    setupTokenRefreshTimer() {
-        // Clear any existing timer
-        if (this.tokenRefreshTimer) {
-            clearInterval(this.tokenRefreshTimer);
-        }
+    createProviders() {
+        const names = (process.env.FLIGHT_PROVIDERS || 'amadeus')
+            .split(',')
+            .map(name => name.trim().toLowerCase())
+            .filter(Boolean);
 
-        // Refresh token every 25 minutes (1500 seconds)
-        // This is before the 30-minute (1799 seconds) expiry
-        const refreshInterval = 25 * 60 * 1000;
-        this.tokenRefreshTimer = setInterval(async () => {
-            try {
-                console.log("Proactively refreshing Amadeus access token...");
-                await this.getAccessToken();
-            } catch (error) {
-                console.error("Failed to refresh token:", error.message);
+        return names.map(name => {
+            const factory = PROVIDER_FACTORIES[name];
+            if (!factory) {
+                throw new Error(`Unknown flight data provider: ${name}`);
             }
-        }, refreshInterval);
+            return factory();
+        });
     }
 
-    // Clean up timer when needed
+    // Clean up provider timers and cache connections when needed
     cleanup() {
-        if (this.tokenRefreshTimer) {
-            clearInterval(this.tokenRefreshTimer);
-        }
+        this.providers.cleanup();
+        this.searchCache.close().catch(error => console.error('Error closing search cache:', error.message));
     }
 
     async checkApiHealth() {
         try {
-            // Try to get a new token to verify credentials are correct
-            await this.getAccessToken();
-
-            // Make a simple API request to verify connection
-            // Using correct parameters as per API docs
-            const response = await this.makeRequest('/v1/reference-data/locations', {
-                keyword: 'LON',
-                subType: 'CITY',
-                'page[limit]': 1
-            });
+            const health = await this.providers.checkHealth();
+            console.log("Provider health:", JSON.stringify(health));
 
-            console.log("API health check successful");
-            return true;
+            // We are healthy as long as one provider in the chain works
+            return Object.values(health).some(Boolean);
         } catch (error) {
             console.error("API health check failed:", error.message);
             return false;
         }
     }
 
-    async getAccessToken() {
-        // Check if token exists and is not expired
-        if (this.token && this.tokenExpiry > Date.now()) {
-            return this.token;
-        }
-
-        // Token is expired or doesn't exist - request a new one
-        console.log("Access token expired or not found, requesting new token...");
-
-        try {
-            // Add retry logic with exponential backoff
-            let retries = 0;
-            const maxRetries = 3;
-
-            while (retries < maxRetries) {
-                try {
-                    const response = await axios.post(
-                        `${this.amadeus.baseURL}/v1/security/oauth2/token`,
-                        `grant_type=client_credentials&client_id=${this.amadeus.apiKey}&client_secret=${this.amadeus.apiSecret}`,
-                        {
-                            headers: {
-                                'Content-Type': 'application/x-www-form-urlencoded'
-                            }
-                        }
-                    );
-
-                    this.token = response.data.access_token;
-                    // Set expiry time with a 5-minute buffer to be safe
-                    this.tokenExpiry = Date.now() + (response.data.expires_in - 300) * 1000;
-                    console.log(`New access token acquired, valid for ${response.data.expires_in} seconds`);
-
-                    return this.token;
-                } catch (error) {
-                    retries++;
-                    if (retries >= maxRetries) throw error;
-
-                    // Exponential backoff
-                    const delay = 1000 * Math.pow(2, retries);
-                    console.log(`Token acquisition failed, retrying in ${delay}ms (attempt ${retries}/${maxRetries})`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                }
-            }
-        } catch (error) {
-            console.error('Failed to get access token after multiple attempts:',
-                error.response?.data?.error_description ||
-                error.response?.data?.error ||
-                error.message);
-            throw error;
-        }
+    // False while every provider is known to be failing, so background jobs can pause
+    isHealthy() {
+        return this.providers.getProviders().some(provider => provider.isHealthy());
     }
 
-    async makeRequest(endpoint, params = {}) {
-        // Rate limiting
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequest;
-        if (timeSinceLastRequest < this.minRequestInterval) {
-            await new Promise(resolve => setTimeout(resolve, this.minRequestInterval - timeSinceLastRequest));
-        }
-        this.lastRequest = Date.now();
-
-        try {
-            const token = await this.getAccessToken();
-            const response = await axios.get(`${this.amadeus.baseURL}${endpoint}`, {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                },
-                params
-            });
+    // Rate limiter usage per provider, for the /metrics endpoint
+    getRateLimiterStats() {
+        return this.providers.getRateLimiterStats();
+    }
 
-            // Return both status and data
-            return {
-                status: response.status,
-                data: response.data
-            };
-        } catch (error) {
-            console.error(`API request failed for ${endpoint}:`, error.response?.data || error.message);
-            throw error;
+    async getAccessToken() {
+        if (!this.amadeus) {
+            throw new Error('Amadeus provider is not configured');
         }
+        return this.amadeus.getAccessToken();
     }
 
     async searchAirport(cityName) {
@@ -165,6 +174,13 @@ class FlightAPI {
             return this.airportCache.get(normalizedCity);
         }
 
+        // Cities with several airports resolve to their metro code, so searches cover them all
+        const metroArea = airportIndex.findMetroArea(normalizedCity);
+        if (metroArea && this.providers.supportsMetroCodes()) {
+            this.airportCache.set(normalizedCity, metroArea.code);
+            return metroArea.code;
+        }
+
         // Check the imported airport codes database
         // Replace airportCodes with extendedAirportCodes
         if (extendedAirportCodes[normalizedCity]) {
@@ -175,18 +191,12 @@ class FlightAPI {
         }
 
         try {
-            // Following exactly what the API documentation specifies
-            const response = await this.makeRequest('/v1/reference-data/locations', {
-                keyword: cityName,
-                subType: 'AIRPORT,CITY',
-                'page[limit]': 5
-            });
+            const locations = await this.providers.searchLocations(cityName, 5);
 
             // Check if data exists and has entries
-            if (response && response.data && response.data.length > 0) {
+            if (locations && locations.length > 0) {
                 // Get the first result
-                const location = response.data[0];
-                const airportCode = location.iataCode;
+                const airportCode = locations[0].code;
 
                 console.log(`Found airport code for ${cityName}: ${airportCode}`);
 
@@ -203,214 +213,746 @@ class FlightAPI {
         }
     }
 
-    async findAirports(cityName) {
+    // Airports matching a city, airport name or code, best first. Each result carries
+    // a confidence from 0 to 1; check isUnambiguous (services/airports) before auto-selecting.
+    async findAirports(cityName, limit = 5) {
         try {
-            // Check local airport codes database first
-            const normalizedCity = cityName.toLowerCase().trim();
-            const results = [];
-
-            // Check exact matches in our database
-            // Replace airportCodes with extendedAirportCodes
-            if (extendedAirportCodes[normalizedCity]) {
-                results.push({
-                    code: extendedAirportCodes[normalizedCity],
-                    name: cityName.charAt(0).toUpperCase() + cityName.slice(1),
-                    city: cityName
-                });
+            const results = airportIndex.findAirports(cityName, limit);
+            if (results.length > 0) {
+                return results;
             }
 
-            // Check partial matches in our database
-            // Replace airportCodes with extendedAirportCodes
-            for (const [city, code] of Object.entries(extendedAirportCodes)) {
-                if (city.includes(normalizedCity) || normalizedCity.includes(city)) {
-                    // Don't add duplicates
-                    if (!results.some(r => r.code === code)) {
-                        results.push({
-                            code: code,
-                            name: city.charAt(0).toUpperCase() + city.slice(1),
-                            city: city
-                        });
-                    }
+            // Fall back to the providers' location search. Its results aren't ranked
+            // against the query, so they are never confident enough to auto-select.
+            const locations = await this.providers.searchLocations(cityName, limit);
+            return locations.map(location => ({ ...location, confidence: PROVIDER_MATCH_CONFIDENCE }));
+        } catch (error) {
+            console.error(`Error finding airports for ${cityName}:`, error.message);
+            throw new Error(`Could not find airports for ${cityName}.`);
+        }
+    }
+
+    // Full record of an airport by IATA or ICAO code, or null when unknown:
+    // { iata, icao, name, city, country, latitude, longitude, altitude, timezone, type }
+    getAirportInfo(code) {
+        return airportIndex.getAirport(code);
+    }
+
+    // Full records of every airport serving a city
+    getCityAirports(city) {
+        return airportIndex.getCityAirports(city);
+    }
+
+    // Validate search options and fill in defaults. Throws InvalidRequestError
+    // with a user-readable message when the combination is not bookable.
+    //   adults, children (2-11), infants (under 2, on a lap)
+    //   travelClass: one of TRAVEL_CLASSES, or null for any cabin
+    //   nonStop, maxPrice (per booking, in USD)
+    //   includedAirlineCodes / excludedAirlineCodes: arrays of IATA airline codes
+    //   avoidTurboprops: drop offers with a flight on a turboprop (filtered here, not by providers)
+    normalizeSearchOptions(options = {}) {
+        const adults = parseTravellerCount(options.adults, 1, 'adults');
+        const children = parseTravellerCount(options.children, 0, 'children');
+        const infants = parseTravellerCount(options.infants, 0, 'infants');
+
+        if (adults < 1) {
+            throw new InvalidRequestError('At least one adult is required.');
+        }
+        if (children < 0) {
+            throw new InvalidRequestError('Number of children can\'t be negative.');
+        }
+        if (infants < 0) {
+            throw new InvalidRequestError('Number of infants can\'t be negative.');
+        }
+        if (adults + children > MAX_SEATED_TRAVELERS) {
+            throw new InvalidRequestError(`A booking can have at most ${MAX_SEATED_TRAVELERS} adults and children.`);
+        }
+        if (infants > adults) {
+            throw new InvalidRequestError('Each infant must travel with an adult.');
+        }
+
+        const travelClass = options.travelClass ? String(options.travelClass).toUpperCase() : null;
+        if (travelClass && !TRAVEL_CLASSES[travelClass]) {
+            throw new InvalidRequestError(`Unknown cabin class: ${options.travelClass}`);
+        }
+
+        const maxPrice = isUnset(options.maxPrice) ? null : parseInt(options.maxPrice, 10);
+        if (maxPrice !== null && !(maxPrice > 0)) {
+            throw new InvalidRequestError('Maximum price must be a positive number.');
+        }
+
+        const airlineCodes = codes => (codes || [])
+            .map(code => String(code).trim().toUpperCase())
+            .filter(code => /^[A-Z0-9]{2}$/.test(code))
+            .sort();
+
+        const includedAirlineCodes = airlineCodes(options.includedAirlineCodes);
+        const excludedAirlineCodes = airlineCodes(options.excludedAirlineCodes);
+        if (includedAirlineCodes.length > 0 && excludedAirlineCodes.length > 0) {
+            throw new InvalidRequestError('Choose either airlines to include or airlines to exclude, not both.');
+        }
+
+        return {
+            adults,
+            children,
+            infants,
+            travelClass,
+            nonStop: Boolean(options.nonStop),
+            maxPrice,
+            includedAirlineCodes,
+            excludedAirlineCodes,
+            avoidTurboprops: Boolean(options.avoidTurboprops)
+        };
+    }
+
+    // True when the options are the plain "1 adult, any cabin, no filters" search
+    isDefaultSearch(options = {}) {
+        const normalized = this.normalizeSearchOptions(options);
+        return normalized.adults === 1 && normalized.children === 0 && normalized.infants === 0 &&
+            !normalized.travelClass && !normalized.nonStop && !normalized.maxPrice &&
+            normalized.includedAirlineCodes.length === 0 && normalized.excludedAirlineCodes.length === 0 &&
+            !normalized.avoidTurboprops;
+    }
+
+    // Short human-readable summary, e.g. "2 adults, 1 child · Business · Non-stop"
+    describeSearchOptions(options = {}) {
+        const normalized = this.normalizeSearchOptions(options);
+        const plural = (count, word, plural) => `${count} ${count === 1 ? word : plural}`;
+
+        const travelers = [plural(normalized.adults, 'adult', 'adults')];
+        if (normalized.children) travelers.push(plural(normalized.children, 'child', 'children'));
+        if (normalized.infants) travelers.push(plural(normalized.infants, 'infant', 'infants'));
+
+        const parts = [travelers.join(', ')];
+        if (normalized.travelClass) parts.push(TRAVEL_CLASSES[normalized.travelClass].label);
+        if (normalized.nonStop) parts.push('Non-stop');
+        if (normalized.maxPrice) parts.push(`Max $${normalized.maxPrice}`);
+        const airlineNames = codes => codes.map(code => getAirline(code)?.name || code).join(', ');
+        if (normalized.includedAirlineCodes.length > 0) parts.push(`Only ${airlineNames(normalized.includedAirlineCodes)}`);
+        if (normalized.excludedAirlineCodes.length > 0) parts.push(`No ${airlineNames(normalized.excludedAirlineCodes)}`);
+        if (normalized.avoidTurboprops) parts.push('No turboprops');
+
+        return parts.join(' · ');
+    }
+
+    // One-line summary of an itinerary in local times, e.g.
+    // "DEL 2024-12-01 09:15 → LHR 2024-12-01 19:05 · 14h 20m · 1 stop via DXB (2h 05m)"
+    describeItinerary(itinerary) {
+        const time = (at, airport) => localDateTime(at, airport)?.replace('T', ' ') || 'unknown';
+        const segments = itinerary.segments || [];
+
+        // Layovers are measured between real instants, so they hold across offsets and DST changes
+        const connections = segments.slice(0, -1).map((segment, index) => {
+            const layover = minutesBetween(segment.arrival, segments[index + 1].departure);
+            return `${segment.arrival.airport}${layover !== null ? ` (${formatMinutes(layover)})` : ''}`;
+        });
+
+        const stops = itinerary.stops === 0
+            ? 'Direct'
+            : `${itinerary.stops} stop${itinerary.stops > 1 ? 's' : ''}${connections.length > 0 ? ` via ${connections.join(', ')}` : ''}`;
+
+        return `${itinerary.origin} ${time(itinerary.departureTime, itinerary.origin)} → ${itinerary.destination} ${time(itinerary.arrivalTime, itinerary.destination)} · ${itinerary.formattedDuration} · ${stops}`;
+    }
+
+    // Checked-bag allowance of a segment fare, e.g. "2 checked bags" or "23 KG checked"
+    describeCheckedBags(bags) {
+        if (!bags) return 'Baggage not stated';
+        if (bags.weight) return `${bags.weight} ${bags.weightUnit || 'KG'} checked`;
+        if (bags.quantity === 0) return 'No checked bag';
+        if (bags.quantity) return `${bags.quantity} checked bag${bags.quantity > 1 ? 's' : ''}`;
+        return 'Baggage not stated';
+    }
+
+    // options: search options (see normalizeSearchOptions) plus priority - 'interactive'
+    // (default) for a user waiting in chat or 'background' for scheduled jobs.
+    // A number is read as adults. Origin and destination may be metro codes (LON, NYC);
+    // the offers then come from any of the city's airports, as shown in their itineraries.
+    async searchFlights(origin, destination, departureDate, returnDate = null, options = {}) {
+        if (typeof options === 'number') {
+            options = { adults: options };
+        }
+        const { priority = 'interactive' } = options;
+        const { avoidTurboprops, ...searchOptions } = this.normalizeSearchOptions(options);
+
+        if (!origin || typeof origin !== 'string' || origin.length !== 3) {
+            console.error(`Invalid origin code: "${origin}" (type: ${typeof origin})`);
+            throw new InvalidRequestError(`Invalid origin airport code: ${origin}`);
+        }
+
+        if (!destination || typeof destination !== 'string' || destination.length !== 3) {
+            console.error(`Invalid destination code: "${destination}" (type: ${typeof destination})`);
+            throw new InvalidRequestError(`Invalid destination airport code: ${destination}`);
+        }
+
+        const origins = airportIndex.expandAirportCode(origin);
+        const destinations = airportIndex.expandAirportCode(destination);
+        const isMetroSearch = origins.length > 1 || destinations.length > 1;
+        if (isMetroSearch && !this.providers.supportsMetroCodes()) {
+            return this.searchAirportPairs(origins, destinations, departureDate, returnDate, options);
+        }
+
+        // Format dates to YYYY-MM-DD as required by API
+        const formattedDepartDate = departureDate.split('T')[0];
+        const formattedReturnDate = returnDate ? returnDate.split('T')[0] : null;
+
+        console.log(`Searching flights: ${origin} -> ${destination} on ${formattedDepartDate}`);
+
+        const searchParams = {
+            origin,
+            destination,
+            departureDate: formattedDepartDate,
+            returnDate: formattedReturnDate,
+            ...searchOptions
+        };
+
+        // Provider failures are thrown as typed errors (see services/errors.js);
+        // an empty array always means the providers answered with no flights
+        let offers;
+        try {
+            offers = await this.searchCache.wrap(searchParams,
+                () => this.providers.searchOffers(searchParams, { priority }));
+        } catch (error) {
+            console.error('Flight search error:', error.message);
+            throw error;
+        }
+
+        if (!offers || offers.length === 0) {
+            console.log('No flights found from any provider.');
+            return [];
+        }
+
+        if (avoidTurboprops) {
+            offers = this.withoutTurboprops(offers);
+        }
+
+        console.log(`Processing ${offers.length} flight offers`);
+
+        const bookingUrl = this.generateBookingUrl(origin, destination, formattedDepartDate, formattedReturnDate, searchOptions);
+        if (!isMetroSearch) {
+            return offers.map(offer => ({ ...offer, bookingUrl }));
+        }
+
+        // Booking sites want the airports the offer actually uses
+        return offers.map(offer => {
+            const outbound = offer.itineraries?.[0];
+            return {
+                ...offer,
+                bookingUrl: outbound
+                    ? this.generateBookingUrl(outbound.origin, outbound.destination, formattedDepartDate, formattedReturnDate, searchOptions)
+                    : bookingUrl
+            };
+        });
+    }
+
+    // Search every origin/destination airport pair of a metro search and merge the offers,
+    // for providers that don't take metro codes. Fails only when no pair could be searched.
+    async searchAirportPairs(origins, destinations, departureDate, returnDate, options = {}) {
+        const pairs = origins.slice(0, MAX_METRO_PAIR_AIRPORTS).flatMap(from => destinations
+            .slice(0, MAX_METRO_PAIR_AIRPORTS)
+            .filter(to => to !== from)
+            .map(to => [from, to]));
+        console.log(`Searching ${pairs.length} airport pairs: ${pairs.map(pair => pair.join('-')).join(', ')}`);
+
+        let lastError = null;
+        let answered = 0;
+        const results = await Promise.all(pairs.map(async ([from, to]) => {
+            try {
+                const offers = await this.searchFlights(from, to, departureDate, returnDate, options);
+                answered++;
+                return offers;
+            } catch (error) {
+                lastError = error;
+                return [];
+            }
+        }));
+
+        if (answered === 0 && lastError) {
+            throw lastError;
+        }
+        return results.flat();
+    }
+
+    // Search a multi-city trip priced as one booking.
+    // legs: [{ origin, destination, departureDate }] in travel order, 2 to MAX_MULTI_CITY_LEGS
+    // options: search options (see normalizeSearchOptions) plus priority.
+    // Offers carry one entry in `itineraries` per leg.
+    async searchMultiCity(legs, options = {}) {
+        const { priority = 'interactive' } = options;
+        const { avoidTurboprops, ...searchOptions } = this.normalizeSearchOptions(options);
+
+        if (!Array.isArray(legs) || legs.length < 2 || legs.length > MAX_MULTI_CITY_LEGS) {
+            throw new InvalidRequestError(`A multi-city trip needs between 2 and ${MAX_MULTI_CITY_LEGS} legs.`);
+        }
+
+        const normalizedLegs = legs.map((leg, index) => {
+            for (const code of [leg.origin, leg.destination]) {
+                if (!code || typeof code !== 'string' || code.length !== 3) {
+                    throw new InvalidRequestError(`Invalid airport code in leg ${index + 1}: ${code}`);
                 }
             }
+            if (leg.origin === leg.destination) {
+                throw new InvalidRequestError(`Leg ${index + 1} starts and ends at ${leg.origin}.`);
+            }
+            return {
+                origin: leg.origin,
+                destination: leg.destination,
+                departureDate: leg.departureDate.split('T')[0]
+            };
+        });
 
-            // If we have results from the database, return them now
-            if (results.length > 0) {
-                return results;
+        normalizedLegs.forEach((leg, index) => {
+            if (index > 0 && leg.departureDate < normalizedLegs[index - 1].departureDate) {
+                throw new InvalidRequestError(`Leg ${index + 1} departs before leg ${index}.`);
             }
+            // Splitting a multi-city trip per airport pair would multiply the searches per leg
+            const metro = [leg.origin, leg.destination].find(code => airportIndex.getMetroArea(code));
+            if (metro && !this.providers.supportsMetroCodes()) {
+                throw new InvalidRequestError(`Please pick one airport instead of ${metro} for leg ${index + 1}.`);
+            }
+        });
 
-            // The API code can stay as-is
-            const response = await this.makeRequest('/v1/reference-data/locations', {
-                keyword: cityName,
-                subType: 'AIRPORT,CITY',
-                'page[limit]': 5
-            });
+        console.log(`Searching multi-city: ${normalizedLegs.map(leg => `${leg.origin}-${leg.destination} ${leg.departureDate}`).join(', ')}`);
 
-            if (response.data && response.data.data && response.data.data.length > 0) {
-                return response.data.data.map(location => {
-                    return {
-                        code: location.iataCode,
-                        name: location.name,
-                        city: location.address?.cityName || location.name
-                    };
-                });
-            }
+        // The cache key needs the legs as plain strings
+        const cacheParams = {
+            legs: normalizedLegs.map(leg => `${leg.origin}-${leg.destination}-${leg.departureDate}`),
+            ...searchOptions
+        };
+
+        let offers;
+        try {
+            offers = await this.searchCache.wrap(cacheParams,
+                () => this.providers.searchMultiCity({ legs: normalizedLegs, ...searchOptions }, { priority }));
+        } catch (error) {
+            console.error('Multi-city search error:', error.message);
+            throw error;
+        }
 
+        if (!offers || offers.length === 0) {
+            console.log('No multi-city offers found from any provider.');
             return [];
+        }
+
+        return avoidTurboprops ? this.withoutTurboprops(offers) : offers;
+    }
+
+    // Providers can't filter by aircraft, so turboprop offers are dropped after the search
+    // (and after the cache, which keeps serving the unfiltered results to other searches)
+    withoutTurboprops(offers) {
+        const filtered = offers.filter(offer => !offerHasTurboprop(offer));
+        if (filtered.length < offers.length) {
+            console.log(`Dropped ${offers.length - filtered.length} offers flown partly by turboprop`);
+        }
+        return filtered;
+    }
+
+    // Re-price an offer from searchFlights or searchMultiCity right before booking.
+    // Returns { available: false, reason } when the fare can no longer be sold, otherwise
+    // { available: true, offer, previousPrice, priceChanged, changes: [{ label, before, after }], warnings }
+    async confirmOfferPrice(offer, options = {}) {
+        const { priority = 'interactive' } = options;
+
+        let priced;
+        try {
+            priced = await this.providers.priceOffer(offer, { priority });
         } catch (error) {
-            console.error(`Error finding airports for ${cityName}:`, error.message);
-            throw new Error(`Could not find airports for ${cityName}.`);
+            if (error instanceof InvalidRequestError) {
+                console.log(`Offer ${offer.id} can no longer be priced: ${error.message}`);
+                return { available: false, reason: error.message };
+            }
+            console.error('Offer pricing error:', error.message);
+            throw error;
+        }
+
+        if (!priced) {
+            return { available: false, reason: 'The provider returned no price for this offer' };
         }
+
+        const confirmed = { ...priced.offer, bookingUrl: offer.bookingUrl };
+        const changes = [];
+        const compare = (label, before, after) => {
+            if (before !== null && before !== undefined && after !== null && after !== undefined &&
+                String(before) !== String(after)) {
+                changes.push({ label, before, after });
+            }
+        };
+
+        compare('Total', offer.price, confirmed.price);
+        compare('Base fare', offer.basePrice, confirmed.basePrice);
+        compare('Taxes & fees', offer.taxesAndFees, confirmed.taxesAndFees);
+        compare('Book by', offer.lastTicketingDate, confirmed.lastTicketingDate);
+
+        // Baggage and fare brand per flight, matched by position
+        const segments = flightOffer => (flightOffer.itineraries || []).flatMap(itinerary => itinerary.segments);
+        const confirmedSegments = segments(confirmed);
+        segments(offer).forEach((segment, index) => {
+            const confirmedFare = confirmedSegments[index]?.fare;
+            if (!segment.fare || !confirmedFare) return;
+
+            const flight = `${segment.carrierCode}${segment.flightNumber}`;
+            compare(`${flight} fare`, segment.fare.brand, confirmedFare.brand);
+            compare(`${flight} baggage`, this.describeCheckedBags(segment.fare.checkedBags), this.describeCheckedBags(confirmedFare.checkedBags));
+        });
+
+        return {
+            available: true,
+            offer: confirmed,
+            previousPrice: offer.price,
+            priceChanged: parseFloat(offer.price) !== parseFloat(confirmed.price),
+            changes,
+            warnings: priced.warnings
+        };
     }
 
-    async searchFlights(origin, destination, departureDate, returnDate = null, adults = 1) {
+    // Seat maps for the flights of an offer from searchFlights or searchMultiCity.
+    // An empty array means the airline publishes no seat map for these flights.
+    async getSeatMaps(offer, options = {}) {
+        const { priority = 'interactive' } = options;
+
         try {
-            if (!origin || typeof origin !== 'string' || origin.length !== 3) {
-                console.error(`Invalid origin code: "${origin}" (type: ${typeof origin})`);
-                throw new Error(`Invalid origin airport code: ${origin}`);
+            return await this.providers.getSeatMaps(offer, { priority }) || [];
+        } catch (error) {
+            // Providers reject seat-map requests for airlines that don't share them
+            if (error instanceof InvalidRequestError) {
+                console.log(`No seat map for offer ${offer.id}: ${error.message}`);
+                return [];
             }
+            console.error('Seat map error:', error.message);
+            throw error;
+        }
+    }
 
-            if (!destination || typeof destination !== 'string' || destination.length !== 3) {
-                console.error(`Invalid destination code: "${destination}" (type: ${typeof destination})`);
-                throw new Error(`Invalid destination airport code: ${destination}`);
+    // Build a price grid for departure (and return) dates +/- `days` around the requested ones.
+    // Returns {
+    //   origin, destination, departureDates, returnDates (null for one-way),
+    //   cells: { 'YYYY-MM-DD|YYYY-MM-DD': { price, currency } }, cheapest, source,
+    //   partial (true when only the cells closest to the requested dates were searched)
+    // }
+    // Uses the providers' cheapest-date search when the options allow it, otherwise one
+    // background-priority offer search for each of the MAX_FLEX_DATE_OFFER_SEARCHES cells
+    // closest to the requested dates, shared via the search cache.
+    async searchFlexibleDates(origin, destination, departureDate, returnDate = null, options = {}) {
+        const { priority = 'interactive' } = options;
+        const days = Math.min(options.days ?? this.flexDateDays, MAX_FLEX_DATE_DAYS);
+        const searchOptions = this.normalizeSearchOptions(options);
+        const today = new Date().toISOString().split('T')[0];
+
+        const range = date => {
+            const dates = [];
+            for (let offset = -days; offset <= days; offset++) {
+                dates.push(addDays(date, offset));
             }
+            return dates;
+        };
+
+        const departureDates = range(departureDate.split('T')[0]).filter(date => date >= today);
+        const returnDates = returnDate ? range(returnDate.split('T')[0]) : null;
 
-            // Format dates to YYYY-MM-DD as required by API
-            const formattedDepartDate = departureDate.split('T')[0];
-            const formattedReturnDate = returnDate ? returnDate.split('T')[0] : null;
+        if (departureDates.length === 0) {
+            throw new InvalidRequestError('Departure dates must be in the future.');
+        }
 
-            console.log(`Searching flights: ${origin} -> ${destination} on ${formattedDepartDate}`);
+        // Every departure/return pair that makes a valid trip
+        const pairs = [];
+        departureDates.forEach(dep => {
+            if (!returnDates) {
+                pairs.push([dep, null]);
+                return;
+            }
+            returnDates.filter(ret => ret > dep).forEach(ret => pairs.push([dep, ret]));
+        });
+
+        const grid = {
+            origin,
+            destination,
+            departureDates,
+            returnDates,
+            cells: {},
+            cheapest: null,
+            source: null,
+            partial: false
+        };
 
-            // Build the request parameters
-            const params = {
-                originLocationCode: origin,
-                destinationLocationCode: destination,
-                departureDate: formattedDepartDate,
-                adults: adults,
-                currencyCode: 'USD',
-                max: 20  // Increased max results
-            };
+        // Cheapest-date data is cached fares for one adult in any cabin, so it
+        // only answers searches without passengers, cabin, airline or aircraft choices
+        const canUseCheapestDates = searchOptions.adults === 1 && !searchOptions.children &&
+            !searchOptions.infants && !searchOptions.travelClass &&
+            searchOptions.includedAirlineCodes.length === 0 && searchOptions.excludedAirlineCodes.length === 0 &&
+            !searchOptions.avoidTurboprops;
 
-            // Add optional return date if provided
-            if (formattedReturnDate) {
-                params.returnDate = formattedReturnDate;
+        if (canUseCheapestDates) {
+            try {
+                const durations = returnDates
+                    ? pairs.map(([dep, ret]) => daysBetween(dep, ret))
+                    : null;
+
+                const results = await this.providers.searchCheapestDates({
+                    origin,
+                    destination,
+                    departureDates: [departureDates[0], departureDates[departureDates.length - 1]],
+                    durations: durations ? [Math.min(...durations), Math.max(...durations)] : null,
+                    nonStop: searchOptions.nonStop,
+                    maxPrice: searchOptions.maxPrice
+                }, { priority });
+
+                const wanted = new Set(pairs.map(([dep, ret]) => flexCellKey(dep, ret)));
+                results.forEach(result => {
+                    const key = flexCellKey(result.departureDate, returnDates ? result.returnDate : null);
+                    if (wanted.has(key)) {
+                        grid.cells[key] = { price: result.price, currency: result.currency };
+                    }
+                });
+
+                if (Object.keys(grid.cells).length > 0) {
+                    grid.source = 'cheapest-dates';
+                }
+            } catch (error) {
+                console.log(`Cheapest-date search unavailable (${error.message}), searching each date instead`);
             }
+        }
 
-            // Make the API request with correct endpoint and parameters
-            const response = await this.makeRequest('/v2/shopping/flight-offers', params);
-
-            console.log(`API Response status: ${response.status}, found ${response.data?.data?.length || 0} flights`);
-
-            if (response.data && response.data.data && Array.isArray(response.data.data) && response.data.data.length > 0) {
-                console.log(`Processing ${response.data.data.length} flight offers`);
-
-                // Transform the API response to a more usable format
-                return response.data.data.map(offer => {
-                    try {
-                        // Get price information
-                        const price = offer.price?.total || 'Unknown';
-                        const currency = offer.price?.currency || 'USD';
-
-                        // Get airline info
-                        const validatingAirline = offer.validatingAirlineCodes?.[0] || 'Unknown';
-
-                        // Process outbound journey (first itinerary)
-                        const outbound = offer.itineraries?.[0];
-                        if (!outbound) {
-                            throw new Error('Missing itinerary data');
-                        }
-
-                        // Get duration
-                        const duration = this.formatDuration(outbound.duration);
-
-                        // Process segments to count stops and get departure/arrival info
-                        const segments = outbound.segments || [];
-                        const stops = Math.max(0, segments.length - 1);
-
-                        // Get departure and arrival details from first and last segment
-                        const firstSegment = segments[0] || {};
-                        const lastSegment = segments[segments.length - 1] || firstSegment;
-
-                        const departureTime = firstSegment.departure?.at;
-                        const arrivalTime = lastSegment.arrival?.at;
-
-                        // Include full segment details
-                        const segmentDetails = segments.map(segment => ({
-                            departure: {
-                                airport: segment.departure?.iataCode,
-                                terminal: segment.departure?.terminal,
-                                at: segment.departure?.at
-                            },
-                            arrival: {
-                                airport: segment.arrival?.iataCode,
-                                terminal: segment.arrival?.terminal,
-                                at: segment.arrival?.at
-                            },
-                            carrierCode: segment.carrierCode,
-                            flightNumber: segment.number,
-                            duration: this.formatDuration(segment.duration),
-                            aircraft: segment.aircraft?.code
-                        }));
-
-                        return {
-                            id: offer.id,
-                            price,
-                            currency,
-                            airline: validatingAirline,
-                            duration: outbound.duration,
-                            formattedDuration: duration,
-                            stops,
-                            departureTime,
-                            arrivalTime,
-                            segments: segmentDetails,
-                            bookingUrl: this.generateBookingUrl(params.originLocationCode, params.destinationLocationCode,
-                                params.departureDate, params.returnDate)
-                        };
-                    } catch (error) {
-                        console.error(`Error processing flight offer ${offer.id}:`, error);
-                        // Return minimal data for problematic offers
-                        return {
-                            id: offer.id || 'unknown',
-                            price: offer.price?.total || 'Unknown',
-                            currency: offer.price?.currency || 'USD',
-                            error: `Processing error: ${error.message}`
+        if (!grid.source) {
+            let lastError = null;
+            let answered = 0;
+
+            // Every cell is a billable search, so only the dates closest to the requested
+            // ones are searched, at background priority like searchPopularRoutes
+            const requestedDeparture = departureDate.split('T')[0];
+            const requestedReturn = returnDate ? returnDate.split('T')[0] : null;
+            const distance = ([dep, ret]) => Math.max(Math.abs(daysBetween(requestedDeparture, dep)),
+                ret ? Math.abs(daysBetween(requestedReturn, ret)) : 0);
+            const searched = [...pairs]
+                .sort((a, b) => distance(a) - distance(b))
+                .slice(0, MAX_FLEX_DATE_OFFER_SEARCHES);
+            grid.partial = searched.length < pairs.length;
+
+            await Promise.all(searched.map(async ([dep, ret]) => {
+                try {
+                    const offers = await this.searchFlights(origin, destination, dep, ret,
+                        { ...searchOptions, priority: 'background' });
+                    answered++;
+
+                    const cheapest = this.getCheapestFlights(offers, 1)[0];
+                    if (cheapest) {
+                        grid.cells[flexCellKey(dep, ret)] = {
+                            price: parseFloat(cheapest.price),
+                            currency: cheapest.currency
                         };
                     }
-                });
-            } else {
-                // Log detailed info about the empty results
-                console.log('No flights found in API response.');
-                console.log('Response meta:', JSON.stringify(response?.meta || {}, null, 2));
-                console.log('Response warnings:', JSON.stringify(response?.warnings || [], null, 2));
+                } catch (error) {
+                    lastError = error;
+                }
+            }));
 
-                // Return empty array instead of mock data
-                return [];
+            // Only fail when no date could be searched at all
+            if (answered === 0 && lastError) {
+                throw lastError;
+            }
+            grid.source = 'offers';
+        }
+
+        Object.entries(grid.cells).forEach(([key, cell]) => {
+            if (!grid.cheapest || cell.price < grid.cheapest.price) {
+                const [dep, ret] = key.split('|');
+                grid.cheapest = { departureDate: dep, returnDate: ret || null, ...cell };
             }
+        });
+
+        return grid;
+    }
+
+    // Price the same trip from airports near the origin and to airports near the destination.
+    // options: search options (see normalizeSearchOptions) plus radiusKm and priority.
+    // Returns [{ side: 'origin'|'destination', origin, destination, distanceKm, price, currency }],
+    // cheapest first; distanceKm is how far the alternative airport is from the one it replaces.
+    async searchNearbyAirports(origin, destination, departureDate, returnDate = null, options = {}) {
+        const { radiusKm = this.nearbyAirportRadiusKm, priority = 'interactive' } = options;
+        const searchOptions = this.normalizeSearchOptions(options);
+
+        const nearby = (code, other) => findAirportsNearAirport(code, radiusKm, MAX_NEARBY_ALTERNATIVES + 1)
+            .filter(airport => !airportIndex.expandAirportCode(other).includes(airport.code))
+            .slice(0, MAX_NEARBY_ALTERNATIVES);
+
+        const candidates = [
+            ...nearby(origin, destination).map(airport => ({
+                side: 'origin', origin: airport.code, destination, distanceKm: airport.distanceKm
+            })),
+            ...nearby(destination, origin).map(airport => ({
+                side: 'destination', origin, destination: airport.code, distanceKm: airport.distanceKm
+            }))
+        ];
+        console.log(`Searching ${candidates.length} nearby airport alternatives for ${origin} -> ${destination}`);
+
+        const results = [];
+        let lastError = null;
+        let answered = 0;
+
+        await Promise.all(candidates.map(async candidate => {
+            try {
+                const offers = await this.searchFlights(candidate.origin, candidate.destination, departureDate, returnDate,
+                    { ...searchOptions, priority });
+                answered++;
+
+                const cheapest = this.getCheapestFlights(offers, 1)[0];
+                if (cheapest) {
+                    results.push({ ...candidate, price: parseFloat(cheapest.price), currency: cheapest.currency });
+                }
+            } catch (error) {
+                lastError = error;
+            }
+        }));
+
+        if (answered === 0 && lastError) {
+            throw lastError;
+        }
+
+        return results.sort((a, b) => a.price - b.price);
+    }
+
+    // Main airports of the cities in the curated airport list, used as the fan-out
+    // targets when no provider offers a destination search
+    getPopularDestinations() {
+        const cities = Object.keys(airportCodes);
+        const codes = cities
+            // "london gatwick" is a secondary airport of "london"
+            .filter(city => !cities.some(other => other !== city && city.startsWith(`${other} `)))
+            .map(city => airportCodes[city]);
+
+        return [...new Set(codes)];
+    }
+
+    // "Where can I go from here?" - cheapest destinations from an origin, ranked by price.
+    // options: { departureDates: [from, to], maxPrice, nonStop, oneWay, tripDays, limit, priority }
+    // Returns { origin, source, results: [{ destination, departureDate, returnDate, price, currency }] }
+    async exploreDestinations(origin, options = {}) {
+        const {
+            departureDates = null,
+            maxPrice = null,
+            nonStop = false,
+            oneWay = false,
+            tripDays = 7,
+            limit = 10,
+            priority = 'interactive'
+        } = options;
+
+        if (!origin || typeof origin !== 'string' || origin.length !== 3) {
+            throw new InvalidRequestError(`Invalid origin airport code: ${origin}`);
+        }
+
+        let results;
+        let source = 'flight-destinations';
+
+        try {
+            results = await this.providers.searchDestinations({
+                origin, departureDates, oneWay, tripDays, nonStop, maxPrice
+            }, { priority });
         } catch (error) {
-            console.error('Flight search error:', error.message);
-            if (error.response) {
-                console.error('API error details:', JSON.stringify({
-                    status: error.response.status,
-                    statusText: error.response.statusText,
-                    data: error.response.data
-                }, null, 2));
+            // Also thrown for origins Amadeus has no cached prices for
+            console.log(`Destination search unavailable (${error.message}), searching popular routes instead`);
+            source = 'popular-routes';
+            results = await this.searchPopularRoutes(origin, { departureDates, maxPrice, nonStop, oneWay, tripDays });
+        }
+
+        results = results
+            .filter(result => result.destination !== origin && !isNaN(result.price))
+            .filter(result => !maxPrice || result.price <= maxPrice)
+            .sort((a, b) => a.price - b.price)
+            .slice(0, limit);
+
+        return { origin, source, results };
+    }
+
+    // Fan out one offer search per popular destination (at most MAX_POPULAR_ROUTE_SEARCHES)
+    // on a single sample date: the start of a one-day range, otherwise the middle of the
+    // range (or a month out). The searches run at background priority, so one /explore
+    // can't hold up other users' searches or spend the quota kept for them.
+    async searchPopularRoutes(origin, options = {}) {
+        const { departureDates, maxPrice, nonStop, oneWay, tripDays } = options;
+        const today = new Date().toISOString().split('T')[0];
+
+        let departureDate;
+        if (departureDates) {
+            const [from, to] = departureDates;
+            departureDate = addDays(from, Math.floor(daysBetween(from, to) / 2));
+        } else {
+            departureDate = addDays(today, 30);
+        }
+        if (departureDate < today) {
+            departureDate = today;
+        }
+        const returnDate = oneWay ? null : addDays(departureDate, tripDays);
+
+        const destinations = this.getPopularDestinations()
+            .filter(code => code !== origin)
+            .slice(0, MAX_POPULAR_ROUTE_SEARCHES);
+        const results = [];
+        let lastError = null;
+        let answered = 0;
+
+        await Promise.all(destinations.map(async destination => {
+            try {
+                const offers = await this.searchFlights(origin, destination, departureDate, returnDate,
+                    { nonStop, maxPrice, priority: 'background' });
+                answered++;
+
+                const cheapest = this.getCheapestFlights(offers, 1)[0];
+                if (cheapest) {
+                    results.push({
+                        destination,
+                        departureDate,
+                        returnDate,
+                        price: parseFloat(cheapest.price),
+                        currency: cheapest.currency
+                    });
+                }
+            } catch (error) {
+                lastError = error;
             }
-            // Return empty array instead of mock data
-            return [];
+        }));
+
+        if (answered === 0 && lastError) {
+            throw lastError;
+        }
+
+        return results;
+    }
+
+    // Returns the normalized status, null when the flight is unknown,
+    // and throws a typed error when the providers could not be asked
+    async getFlightStatus(carrierCode, flightNumber, date, options = {}) {
+        const { priority = 'interactive' } = options;
+
+        try {
+            return await this.providers.getFlightStatus(carrierCode, flightNumber, date, { priority });
+        } catch (error) {
+            console.error('Error fetching flight status:', error.message);
+            throw error;
         }
     }
 
-    generateBookingUrl(origin, destination, departureDate, returnDate = null) {
+    generateBookingUrl(origin, destination, departureDate, returnDate = null, options = {}) {
         // Generate affiliate booking URLs (replace with your affiliate links)
         const baseUrl = 'https://www.skyscanner.com/transport/flights';
         const dateStr = departureDate.replace(/-/g, '');
         const returnStr = returnDate ? returnDate.replace(/-/g, '') : '';
-
-        if (returnDate) {
-            return `${baseUrl}/${origin}/${destination}/${dateStr}/${returnStr}/?adults=1&children=0&adultsv2=1&childrenv2=&infants=0&cabinclass=economy&rtn=1&preferdirects=false&outboundaltsenabled=false&inboundaltsenabled=false`;
-        } else {
-            return `${baseUrl}/${origin}/${destination}/${dateStr}/?adults=1&children=0&adultsv2=1&childrenv2=&infants=0&cabinclass=economy&rtn=0&preferdirects=false&outboundaltsenabled=false&inboundaltsenabled=false`;
-        }
+        const { adults, children, infants, travelClass, nonStop } = this.normalizeSearchOptions(options);
+
+        const query = new URLSearchParams({
+            adults,
+            children,
+            adultsv2: adults,
+            // Skyscanner wants one age per child; we only ask for 2-11, so use a mid-range age
+            childrenv2: Array(children).fill(8).join('|'),
+            infants,
+            cabinclass: travelClass ? TRAVEL_CLASSES[travelClass].skyscanner : 'economy',
+            rtn: returnDate ? 1 : 0,
+            preferdirects: nonStop,
+            outboundaltsenabled: false,
+            inboundaltsenabled: false
+        });
+
+        const path = returnDate ? `${dateStr}/${returnStr}` : dateStr;
+        return `${baseUrl}/${origin}/${destination}/${path}/?${query.toString()}`;
     }
 
     getMockFlightData(origin, destination) {
@@ -451,9 +993,9 @@ class FlightAPI {
         return mockFlights;
     }
 
-    async getFlightPrice(origin, destination, departureDate, returnDate = null) {
+    async getFlightPrice(origin, destination, departureDate, returnDate = null, options = {}) {
         try {
-            const flights = await this.searchFlights(origin, destination, departureDate, returnDate);
+            const flights = await this.searchFlights(origin, destination, departureDate, returnDate, options);
 
             if (flights.length === 0) {
                 throw new Error('No flights found');
@@ -480,31 +1022,7 @@ class FlightAPI {
     }
 
     formatDuration(duration) {
-        if (!duration) return "Unknown";
-
-        try {
-            // PT14H15M format - extract hours and minutes
-            const regex = /PT(?:(\d+)H)?(?:(\d+)M)?/;
-            const match = duration.match(regex);
-
-            if (!match) return duration;
-
-            const hours = match[1] ? parseInt(match[1], 10) : 0;
-            const minutes = match[2] ? parseInt(match[2], 10) : 0;
-
-            if (hours > 0 && minutes > 0) {
-                return `${hours}h ${minutes}m`;
-            } else if (hours > 0) {
-                return `${hours}h`;
-            } else if (minutes > 0) {
-                return `${minutes}m`;
-            } else {
-                return "0m";
-            }
-        } catch (error) {
-            console.error("Error formatting duration:", error);
-            return duration || "Unknown";
-        }
+        return FlightProvider.formatDuration(duration);
     }
 
     async validateRoute(origin, destination) {
@@ -536,19 +1054,10 @@ class FlightAPI {
             return [];
         }
     }
-
-    // Alternative APIs for redundancy (implement as needed)
-    async searchFlightsSkyscanner(origin, destination, departureDate) {
-        // Implement Skyscanner API as backup
-        // This would require separate API credentials
-        throw new Error('Skyscanner API not implemented yet');
-    }
-
-    async searchFlightsGoogle(origin, destination, departureDate) {
-        // Implement Google Flights API as backup
-        // This would require separate API credentials  
-        throw new Error('Google Flights API not implemented yet');
-    }
 }
 
+FlightAPI.TRAVEL_CLASSES = TRAVEL_CLASSES;
+FlightAPI.flexCellKey = flexCellKey;
+FlightAPI.MAX_MULTI_CITY_LEGS = MAX_MULTI_CITY_LEGS;
+
 module.exports = FlightAPI;
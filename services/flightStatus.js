@@ -0,0 +1,96 @@
+// Flight status derivation from scheduled, estimated and actual times, shared by the
+// providers (which read the times) and the flight tracker (which reports them)
+const { toInstant } = require('./timezones');
+
+const FLIGHT_STATUSES = {
+    SCHEDULED: 'Scheduled',
+    DELAYED: 'Delayed',
+    DEPARTED: 'Departed',
+    LANDED: 'Landed',
+    CANCELLED: 'Cancelled',
+    DIVERTED: 'Diverted'
+};
+
+// Departures this many minutes behind schedule count as delayed (the usual on-time margin)
+const DELAY_THRESHOLD_MINUTES = 15;
+
+// Minutes a time is behind schedule (negative when early); null when either is unknown
+function minutesLate(scheduled, actual, airport) {
+    const scheduledAt = toInstant(scheduled, airport);
+    const actualAt = toInstant(actual, airport);
+    if (!scheduledAt || !actualAt) return null;
+    return Math.round((actualAt - scheduledAt) / 60000);
+}
+
+// Status of a flight from its times and the provider's flags.
+// flight: { departureAirport, arrivalAirport, scheduled/estimated/actual Departure and
+//           Arrival Time, departureDelayMinutes and arrivalDelayMinutes when the provider
+//           reports them, cancelled, divertedTo }
+// Returns { status, departureDelayMinutes, arrivalDelayMinutes }: the delays are the
+// latest known (actual, else estimated) and null when nothing is known.
+function deriveFlightStatus(flight) {
+    const departureDelayMinutes = flight.departureDelayMinutes ?? minutesLate(
+        flight.scheduledDepartureTime,
+        flight.actualDepartureTime || flight.estimatedDepartureTime,
+        flight.departureAirport
+    );
+    const arrivalDelayMinutes = flight.arrivalDelayMinutes ?? minutesLate(
+        flight.scheduledArrivalTime,
+        flight.actualArrivalTime || flight.estimatedArrivalTime,
+        flight.arrivalAirport
+    );
+
+    let status = 'SCHEDULED';
+    if (flight.cancelled) {
+        status = 'CANCELLED';
+    } else if (flight.divertedTo) {
+        status = 'DIVERTED';
+    } else if (flight.actualArrivalTime) {
+        status = 'LANDED';
+    } else if (flight.actualDepartureTime) {
+        status = 'DEPARTED';
+    } else if (departureDelayMinutes !== null && departureDelayMinutes >= DELAY_THRESHOLD_MINUTES) {
+        status = 'DELAYED';
+    }
+
+    return { status, departureDelayMinutes, arrivalDelayMinutes };
+}
+
+// Latest known time of one end of the flight: actual, else estimated, else scheduled.
+// end: 'Departure' or 'Arrival'
+function expectedTime(status, end) {
+    return status[`actual${end}Time`] || status[`estimated${end}Time`] || status[`scheduled${end}Time`] || null;
+}
+
+// "45 min late", "1h 10m late", "5 min early" or "on time"
+function describeDelay(minutes) {
+    if (minutes === null || minutes === undefined || Math.abs(minutes) < 5) return 'on time';
+    const amount = Math.abs(minutes);
+    const text = amount >= 60 ? `${Math.floor(amount / 60)}h ${String(amount % 60).padStart(2, '0')}m` : `${amount} min`;
+    return `${text} ${minutes > 0 ? 'late' : 'early'}`;
+}
+
+// One-line status for messages, e.g. "Delayed (45 min late)" or "Diverted to BOM"
+function describeFlightStatus(status) {
+    const label = FLIGHT_STATUSES[status.status] || status.status;
+    switch (status.status) {
+        case 'DELAYED':
+        case 'DEPARTED':
+            return `${label} (${describeDelay(status.departureDelayMinutes)})`;
+        case 'LANDED':
+            return `${label} (${describeDelay(status.arrivalDelayMinutes)})`;
+        case 'DIVERTED':
+            return status.divertedTo ? `${label} to ${status.divertedTo}` : label;
+        default:
+            return label;
+    }
+}
+
+module.exports = {
+    FLIGHT_STATUSES,
+    DELAY_THRESHOLD_MINUTES,
+    deriveFlightStatus,
+    expectedTime,
+    describeDelay,
+    describeFlightStatus
+};
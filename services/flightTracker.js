@@ -1,4 +1,48 @@
-const axios = require('axios');
+const { formatAirline, formatFlight } = require('./airlines');
+const { formatAircraft } = require('./aircraft');
+const { describeAirport } = require('./airports');
+const { formatLocalTime, formatMinutes, toInstant } = require('./timezones');
+const { describeDelay, describeFlightStatus, expectedTime } = require('./flightStatus');
+const { assessConnection } = require('./connections');
+const { diffFlightStatus, isAudible } = require('./statusDiff');
+const { InvalidRequestError } = require('./errors');
+
+// Headline of a status update, by flight status
+const STATUS_HEADLINES = {
+    SCHEDULED: '✈️ Flight Status Update!',
+    DELAYED: '⏰ Flight Delayed!',
+    DEPARTED: '🛫 Flight Departed!',
+    LANDED: '🛬 Flight Landed!',
+    CANCELLED: '❌ Flight Cancelled!',
+    DIVERTED: '↪️ Flight Diverted!'
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// How often a tracked flight is checked, by how close it is to departure. Checks run
+// every CLOSE_CHECK_INTERVAL within CLOSE_WINDOW of departure or arrival, hourly
+// while in the air, and stop once the flight has landed or is cancelled.
+const CHECK_SCHEDULE = [
+    { until: DAY, every: DAY },         // before the last day
+    { until: 0, every: HOUR }           // in the last day
+];
+const CLOSE_WINDOW = 3 * HOUR;
+const CLOSE_CHECK_INTERVAL = 5 * MINUTE;
+
+// Tracks of flights that never report landing are dropped this long after arrival
+const GIVE_UP_AFTER_ARRIVAL = 12 * HOUR;
+
+// Headline of a connection warning, by connection risk (see services/connections.js)
+const CONNECTION_HEADLINES = {
+    TIGHT: '⚠️ Tight Connection!',
+    IMPOSSIBLE: '🚨 Connection At Risk!',
+    OK: '✅ Connection Back On Track'
+};
+
+// Consecutive segments of one journey depart at most this many days apart
+const MAX_SEGMENT_DAYS_APART = 2;
 
 class FlightTracker {
     constructor(bot, flightAPI, database, userStates) {
@@ -6,36 +50,48 @@ class FlightTracker {
         this.flightAPI = flightAPI;
         this.db = database;
         this.userStates = userStates;
-
-        // Time between status checks in minutes
-        this.checkInterval = 30;
+        this.isRunning = false;
     }
 
-    // Check all tracked flights
-    async checkAllTrackedFlights() {
-        console.log('Checking status for all tracked flights...');
-        try {
-            const trackedFlights = await this.db.getAllActiveFlightTracks();
-            console.log(`Found ${trackedFlights.length} tracked flights`);
-
-            // Process in batches to avoid API rate limits
-            for (let i = 0; i < trackedFlights.length; i++) {
-                await this.checkSingleFlightStatus(trackedFlights[i].track_id);
+    // Check the tracked flights whose next check is due (see getNextCheckTime)
+    async checkDueTrackedFlights() {
+        // A run can outlast the 5-minute interval, and the cron endpoint may start one
+        // too; overlapping runs would send the same change notification twice
+        if (this.isRunning) {
+            console.log('Flight status check already running, skipping...');
+            return;
+        }
 
-                // Add a small delay between requests to prevent rate limiting
-                if (i < trackedFlights.length - 1) {
-                    await this.sleep(2000);
+        this.isRunning = true;
+        console.log('Checking status for tracked flights that are due...');
+        try {
+            const trackedFlights = await this.db.getDueFlightTracks(new Date().toISOString());
+            console.log(`Found ${trackedFlights.length} tracked flights due for a check`);
+
+            // API pacing is handled by the rate limiter; background requests
+            // always yield to users waiting in chat
+            // The due tracks are read in full, so they aren't looked up again one by one
+            for (const trackedFlight of trackedFlights) {
+                if (!this.flightAPI.isHealthy()) {
+                    console.warn('Flight data providers are unhealthy, pausing flight status checks until the next run');
+                    break;
                 }
+
+                await this.checkSingleFlightStatus(trackedFlight, 'background');
             }
         } catch (error) {
             console.error('Error checking flight statuses:', error);
+        } finally {
+            this.isRunning = false;
         }
     }
 
-    // Check a single tracked flight
-    async checkSingleFlightStatus(trackId) {
+    // Check a single tracked flight, given its id or the track itself
+    async checkSingleFlightStatus(trackOrId, priority = 'interactive') {
+        const trackId = trackOrId?.track_id || trackOrId;
+        let track = null;
         try {
-            const track = await this.db.getFlightTrack(trackId);
+            track = typeof trackOrId === 'object' ? trackOrId : await this.db.getFlightTrack(trackOrId);
 
             if (!track || !track.active) {
                 console.log(`Track ${trackId} not found or inactive`);
@@ -48,169 +104,124 @@ class FlightTracker {
             const currentStatus = await this.getFlightStatus(
                 track.carrier_code,
                 track.flight_number,
-                track.date
+                track.date,
+                { priority }
             );
 
+            const nextCheckAt = this.getNextCheckTime(track, currentStatus);
+            const changes = currentStatus ? this.getStatusChanges(track, currentStatus) : null;
+
             if (!currentStatus) {
                 console.log(`No status information found for flight ${track.carrier_code}${track.flight_number}`);
-                return;
-            }
-
-            // Compare with previous status
-            if (this.shouldNotifyUser(track, currentStatus)) {
-                // Send notification to user
+                await this.db.updateFlightTrackCheckTime(track, nextCheckAt);
+            } else if (!changes) {
+                // First status for this track: send the full status card
                 await this.sendStatusUpdate(track, currentStatus);
-
-                // Update database with new status
-                await this.db.updateFlightTrackStatus(trackId, currentStatus);
+                await this.db.updateFlightTrackStatus(track, currentStatus, nextCheckAt);
+            } else if (changes.length > 0) {
+                // Tell the user only what changed
+                await this.sendStatusChanges(track, currentStatus, changes);
+                await this.db.updateFlightTrackStatus(track, currentStatus, nextCheckAt);
             } else {
                 // Just update the last checked timestamp
-                await this.db.updateFlightTrackCheckTime(trackId);
+                await this.db.updateFlightTrackCheckTime(track, nextCheckAt);
+            }
+
+            if (currentStatus && track.is_segment) {
+                await this.checkConnections(track, currentStatus);
+            }
+
+            if (!nextCheckAt) {
+                console.log(`Flight ${track.carrier_code}${track.flight_number} on ${track.date} is over, tracking finished`);
+                await this.db.finishFlightTrack(track);
             }
 
         } catch (error) {
             console.error(`Error checking flight track ${trackId}:`, error);
+            if (track) {
+                await this.rescheduleAfterError(track, error);
+            }
         }
     }
 
-    // Get flight status from API
-    async getFlightStatus(carrierCode, flightNumber, date) {
+    // After a failed check, try again at the next scheduled check (by the last known
+    // status) but no sooner than CLOSE_CHECK_INTERVAL, so a failing flight isn't asked
+    // about on every run. Tracking stops when the providers reject the flight itself
+    // (e.g. a past or invalid date) or the flight is long over.
+    async rescheduleAfterError(track, error, now = new Date()) {
         try {
-            // Get access token
-            const token = await this.flightAPI.getAccessToken();
-
-            // Make API call for flight status
-            const response = await axios.get(
-                `https://api.amadeus.com/v2/schedule/flights`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${token}`
-                    },
-                    params: {
-                        carrierCode,
-                        flightNumber,
-                        scheduledDepartureDate: date
-                    }
-                }
-            );
-
-            if (!response.data || !response.data.data || response.data.data.length === 0) {
-                return null;
-            }
+            const lastStatus = this.parseLastStatus(track);
+            const nextCheckAt = error instanceof InvalidRequestError ? null :
+                this.getNextCheckTime(track, lastStatus?.flightDesignator ? lastStatus : null, now);
 
-            const flight = response.data.data[0];
-            const flightPoints = flight.flightPoints;
-
-            if (!flightPoints || flightPoints.length < 2) {
-                return null;
+            if (!nextCheckAt) {
+                console.log(`Giving up on flight ${track.carrier_code}${track.flight_number} on ${track.date}: ${error.message}`);
+                await this.db.finishFlightTrack(track);
+                return;
             }
 
-            // Extract departure and arrival information
-            const departurePoint = flightPoints[0];
-            const arrivalPoint = flightPoints[flightPoints.length - 1];
-
-            // Extract times from timings array
-            const departureTime = departurePoint.departure?.timings?.[0]?.value || null;
-            const arrivalTime = arrivalPoint.arrival?.timings?.[0]?.value || null;
-
-            // Extract departure details - handle terminal and gate as possible objects
-            const departureTerminal = typeof departurePoint.departure?.terminal === 'object'
-                ? departurePoint.departure?.terminal?.value || departurePoint.departure?.terminal?.code
-                : departurePoint.departure?.terminal;
-
-            const departureGate = typeof departurePoint.departure?.gate === 'object'
-                ? departurePoint.departure?.gate?.value || departurePoint.departure?.gate?.code
-                : departurePoint.departure?.gate;
-
-            // Extract arrival details - handle terminal and gate as possible objects
-            const arrivalTerminal = typeof arrivalPoint.arrival?.terminal === 'object'
-                ? arrivalPoint.arrival?.terminal?.value || arrivalPoint.arrival?.terminal?.code
-                : arrivalPoint.arrival?.terminal;
-
-            const arrivalGate = typeof arrivalPoint.arrival?.gate === 'object'
-                ? arrivalPoint.arrival?.gate?.value || arrivalPoint.arrival?.gate?.code
-                : arrivalPoint.arrival?.gate;
-
-            // Build status object
-            return {
-                flightDesignator: flight.flightDesignator,
-                departureAirport: departurePoint.iataCode,
-                arrivalAirport: arrivalPoint.iataCode,
-                scheduledDepartureTime: departureTime,
-                scheduledArrivalTime: arrivalTime,
-                actualDepartureTime: departureTime, // In test API, these are the same
-                actualArrivalTime: arrivalTime, // In test API, these are the same
-                departureTerminal: departureTerminal,
-                departureGate: departureGate,
-                terminal: arrivalTerminal,  // Keep for backward compatibility
-                gate: arrivalGate,          // Keep for backward compatibility
-                status: "SCHEDULED", // Default for test API, real API would have more statuses
-                checked: new Date().toISOString()
-            };
-        } catch (error) {
-            console.error('Error fetching flight status:', error);
-            return null;
+            const retryAt = Math.max(Date.parse(nextCheckAt), now.getTime() + CLOSE_CHECK_INTERVAL);
+            await this.db.updateFlightTrackCheckTime(track, new Date(retryAt).toISOString());
+        } catch (rescheduleError) {
+            console.error(`Error rescheduling flight track ${track.track_id}:`, rescheduleError);
         }
     }
 
-    // Determine if we should notify user based on changes
-    shouldNotifyUser(track, currentStatus) {
-        // If no previous status exists, notify user with initial status
-        if (!track.last_status) {
-            return true;
+    // When to check a track next, as an ISO timestamp, or null once the flight is over
+    // (landed, cancelled, or long past its arrival). status is the latest normalized
+    // status, or null when the providers don't know the flight (yet).
+    getNextCheckTime(track, status, now = new Date()) {
+        if (status && (status.status === 'CANCELLED' || status.actualArrivalTime)) {
+            return null;
         }
 
-        let lastStatus;
-        try {
-            lastStatus = JSON.parse(track.last_status);
-        } catch (error) {
-            console.error('Error parsing last status:', error);
-            return true; // Notify if we can't parse previous status
+        // Without times from the providers, assume the flight leaves at the start of its day
+        const departure = (status && toInstant(expectedTime(status, 'Departure'), status.departureAirport)) ||
+            toInstant(track.date, track.origin);
+        const arrival = (status && toInstant(expectedTime(status, 'Arrival'), status.divertedTo || status.arrivalAirport)) ||
+            (departure && new Date(departure.getTime() + DAY));
+        if (!departure) {
+            return new Date(now.getTime() + HOUR).toISOString();
         }
 
-        // Check for significant changes that warrant notification
-        const significantChanges = [
-            // Flight number changed
-            currentStatus.flightDesignator.carrierCode !== lastStatus.flightDesignator?.carrierCode ||
-            currentStatus.flightDesignator.flightNumber !== lastStatus.flightDesignator?.flightNumber,
-
-            // Departure or arrival times changed by more than 10 minutes
-            this.timeChangedSignificantly(currentStatus.scheduledDepartureTime, lastStatus.scheduledDepartureTime, 10),
-            this.timeChangedSignificantly(currentStatus.scheduledArrivalTime, lastStatus.scheduledArrivalTime, 10),
+        if (now - arrival > GIVE_UP_AFTER_ARRIVAL) {
+            return null;
+        }
 
-            // Terminal or gate changed
-            currentStatus.terminal !== lastStatus.terminal && (currentStatus.terminal || lastStatus.terminal),
-            currentStatus.gate !== lastStatus.gate && (currentStatus.gate || lastStatus.gate),
+        const untilDeparture = departure - now;
+        const isClose = Math.abs(untilDeparture) <= CLOSE_WINDOW || Math.abs(arrival - now) <= CLOSE_WINDOW;
 
-            // Status changed (delayed, cancelled, etc.)
-            currentStatus.status !== lastStatus.status,
+        let interval = HOUR;
+        if (isClose) {
+            interval = CLOSE_CHECK_INTERVAL;
+        } else if (untilDeparture > 0) {
+            interval = CHECK_SCHEDULE.find(step => untilDeparture > step.until).every;
+        }
 
-            // Check at least once per day even if no changes
-            this.daysSinceLastCheck(lastStatus.checked) >= 1
-        ];
+        // Don't sleep through the start of a busier stretch
+        const next = now.getTime() + interval;
+        const boundaries = [
+            ...CHECK_SCHEDULE.map(step => departure.getTime() - step.until),
+            departure.getTime() - CLOSE_WINDOW,
+            arrival.getTime() - CLOSE_WINDOW
+        ].filter(boundary => boundary > now.getTime());
 
-        return significantChanges.some(change => change === true);
+        return new Date(Math.min(next, ...boundaries)).toISOString();
     }
 
-    // Helper to check if time changed significantly (in minutes)
-    timeChangedSignificantly(time1, time2, minutesThreshold) {
-        if (!time1 || !time2) return false;
-
-        const date1 = new Date(time1);
-        const date2 = new Date(time2);
-
-        const diffMinutes = Math.abs((date1 - date2) / (1000 * 60));
-        return diffMinutes > minutesThreshold;
+    // Get flight status from the flight data providers
+    async getFlightStatus(carrierCode, flightNumber, date, options = {}) {
+        return this.flightAPI.getFlightStatus(carrierCode, flightNumber, date, options);
     }
 
-    // Helper to check days since last check
-    daysSinceLastCheck(lastChecked) {
-        if (!lastChecked) return 999; // Large number to ensure notification
-
-        const lastCheck = new Date(lastChecked);
-        const now = new Date();
-        const diffDays = (now - lastCheck) / (1000 * 60 * 60 * 24);
-        return diffDays;
+    // Changes since the status the user last heard about (see services/statusDiff.js), or
+    // null when they haven't had one yet: new tracks start with a placeholder status
+    getStatusChanges(track, currentStatus) {
+        const lastStatus = this.parseLastStatus(track);
+        if (!lastStatus || !lastStatus.flightDesignator) {
+            return null;
+        }
+        return diffFlightStatus(lastStatus, currentStatus);
     }
 
     // Send notification to user about flight status change
@@ -223,35 +234,29 @@ class FlightTracker {
                 return;
             }
 
-            // Format departure and arrival times
-            const departureTime = status.scheduledDepartureTime ?
-                new Date(status.scheduledDepartureTime).toLocaleString('en-US', {
-                    month: 'short',
-                    day: '2-digit',
-                    hour: '2-digit',
-                    minute: '2-digit',
-                    hour12: false
-                }) : 'Unknown';
-
-            const arrivalTime = status.scheduledArrivalTime ?
-                new Date(status.scheduledArrivalTime).toLocaleString('en-US', {
-                    month: 'short',
-                    day: '2-digit',
-                    hour: '2-digit',
-                    minute: '2-digit',
-                    hour12: false
-                }) : 'Unknown';
+            // Departure and arrival times in each airport's local time
+            const departure = { at: status.scheduledDepartureTime, airport: status.departureAirport };
+            const departureTime = formatLocalTime(departure.at, departure.airport, { withDate: true }) || 'Unknown';
+            const arrivalTime = formatLocalTime(status.scheduledArrivalTime, status.arrivalAirport, {
+                withDate: true,
+                from: departure
+            }) || 'Unknown';
 
             // Create message
-            let message = `✈️ Flight Status Update!\n\n`;
-            message += `Flight: ${status.flightDesignator.carrierCode}${status.flightDesignator.flightNumber}\n`;
+            let message = `${STATUS_HEADLINES[status.status] || STATUS_HEADLINES.SCHEDULED}\n\n`;
+            message += `Flight: ${formatFlight(status.flightDesignator.carrierCode, status.flightDesignator.flightNumber)}\n`;
             message += `Route: ${status.departureAirport} → ${status.arrivalAirport}\n`;
-            message += `Date: ${track.date}\n\n`;
+            message += `Date: ${track.date}\n`;
+            if (status.aircraft) {
+                message += `Aircraft: ${formatAircraft(status.aircraft)}\n`;
+            }
+            message += `\n`;
 
             // Departure information with departure terminal if available
             message += `🛫 DEPARTURE:\n`;
-            message += `   Time: ${departureTime}\n`;
-            message += `   Airport: ${status.departureAirport}\n`;
+            message += `   Scheduled: ${departureTime} (local time)\n`;
+            message += this.describeTimeUpdate(status, 'Departure', departure);
+            message += `   Airport: ${describeAirport(status.departureAirport)}\n`;
 
             // Add departure terminal/gate if available in the API response
             if (status.departureTerminal) {
@@ -266,8 +271,9 @@ class FlightTracker {
 
             // Arrival information with terminal/gate
             message += `🛬 ARRIVAL:\n`;
-            message += `   Time: ${arrivalTime}\n`;
-            message += `   Airport: ${status.arrivalAirport}\n`;
+            message += `   Scheduled: ${arrivalTime} (local time)\n`;
+            message += this.describeTimeUpdate(status, 'Arrival', departure);
+            message += `   Airport: ${describeAirport(status.arrivalAirport)}\n`;
 
             if (status.terminal) {
                 message += `   Terminal: ${status.terminal}\n`;
@@ -277,7 +283,14 @@ class FlightTracker {
                 message += `   Gate: ${status.gate}\n`;
             }
 
-            message += `\n📊 Status: ${status.status}\n\n`;
+            message += `\n📊 Status: ${describeFlightStatus(status)}\n`;
+            if (status.status === 'DIVERTED' && status.divertedTo) {
+                message += `↪️ Diverted to ${describeAirport(status.divertedTo)}\n`;
+            }
+            if (status.status === 'CANCELLED') {
+                message += `📞 Contact ${formatAirline(status.flightDesignator.carrierCode)} to rebook or ask for a refund.\n`;
+            }
+            message += `\n`;
 
             // Add cancel button
             const keyboard = {
@@ -300,6 +313,181 @@ class FlightTracker {
         }
     }
 
+    // Short notification listing what changed since the last update, e.g. "Gate changed
+    // B12 → C4". It only rings when one of the changes is audible; the full status card
+    // is a button away.
+    async sendStatusChanges(track, status, changes) {
+        try {
+            const telegramId = track.telegram_id;
+            if (!telegramId) {
+                console.error('No telegram ID found for track:', track.track_id);
+                return;
+            }
+
+            let message = `✈️ ${formatFlight(status.flightDesignator.carrierCode, status.flightDesignator.flightNumber)}\n`;
+            message += `${status.departureAirport} → ${status.arrivalAirport} · ${track.date}\n\n`;
+            message += changes.map(item => item.text).join('\n') + '\n';
+            if (status.status === 'CANCELLED') {
+                message += `\n📞 Contact ${formatAirline(status.flightDesignator.carrierCode)} to rebook or ask for a refund.\n`;
+            }
+
+            const keyboard = {
+                inline_keyboard: [
+                    [{ text: '📋 Full Status', callback_data: `flight_status_${track.track_id}` }],
+                    [{ text: '❌ Stop Tracking This Flight', callback_data: `cancel_flight_${track.track_id}` }]
+                ]
+            };
+
+            await this.bot.sendMessage(telegramId, message, {
+                reply_markup: keyboard,
+                disable_notification: !isAudible(changes)
+            });
+
+            console.log(`Sent ${changes.map(item => item.type).join(', ')} changes to user ${telegramId} for flight ${status.flightDesignator.carrierCode}${status.flightDesignator.flightNumber}`);
+        } catch (error) {
+            console.error('Error sending status changes:', error);
+        }
+    }
+
+    // "   Departed: 06:50 (50 min late)" or "   Expected: ..." line under a scheduled time,
+    // empty when there is nothing newer than the schedule. end: 'Departure' or 'Arrival'
+    describeTimeUpdate(status, end, departure) {
+        const actual = status[`actual${end}Time`];
+        const time = actual || status[`estimated${end}Time`];
+        if (!time || status.status === 'CANCELLED') return '';
+
+        const label = actual ? (end === 'Departure' ? 'Departed' : 'Landed') : 'Expected';
+        if (end === 'Arrival' && status.divertedTo) {
+            // Lateness against another airport's schedule means nothing
+            const formatted = formatLocalTime(time, status.divertedTo, { withDate: true, from: departure }) || time;
+            return `   ${label} at ${status.divertedTo}: ${formatted}\n`;
+        }
+
+        const airport = end === 'Departure' ? status.departureAirport : status.arrivalAirport;
+        const delay = end === 'Departure' ? status.departureDelayMinutes : status.arrivalDelayMinutes;
+        const formatted = formatLocalTime(time, airport, { withDate: true, from: departure }) || time;
+        return `   ${label}: ${formatted} (${describeDelay(delay)})\n`;
+    }
+
+    // Check the connections into and out of a journey segment, using the last known
+    // status of the neighbouring segments
+    async checkConnections(track, status) {
+        const journey = await this.db.getJourneyFlightTracks(track.telegram_id, track.parent_route);
+        const previous = this.findJourneySegment(journey, track, track.segment_index - 1);
+        const next = this.findJourneySegment(journey, track, track.segment_index + 1);
+
+        if (previous) {
+            await this.checkConnection(previous, this.parseLastStatus(previous), track, status);
+        }
+        if (next) {
+            await this.checkConnection(track, status, next, this.parseLastStatus(next));
+        }
+    }
+
+    // The segment at `index` of the same journey. A route can be tracked for more than one
+    // trip, so this takes the segment dated closest to the track.
+    findJourneySegment(journey, track, index) {
+        const daysApart = segment => Math.abs(Date.parse(segment.date) - Date.parse(track.date)) / DAY;
+        return journey
+            .filter(segment => segment.segment_index === index && daysApart(segment) <= MAX_SEGMENT_DAYS_APART)
+            .sort((a, b) => daysApart(a) - daysApart(b))[0] || null;
+    }
+
+    parseLastStatus(track) {
+        try {
+            return track.last_status ? JSON.parse(track.last_status) : null;
+        } catch (error) {
+            console.error('Error parsing last status:', error);
+            return null;
+        }
+    }
+
+    // Warn when a connection's risk changes. A short connection the user booked is not
+    // news, so only a delay or schedule change raises a warning; the warning is stored on
+    // the onward segment so it isn't repeated.
+    async checkConnection(inboundTrack, inbound, outboundTrack, outbound) {
+        if (!inbound || !outbound) return;
+
+        const connection = assessConnection(inbound, outbound);
+        const lastRisk = outboundTrack.connection_risk || 'OK';
+        if (!connection || connection.risk === lastRisk) return;
+        if (connection.risk !== 'OK' && !connection.cause) return;
+
+        await this.sendConnectionAlert(inboundTrack, inbound, outboundTrack, outbound, connection);
+        await this.db.updateFlightTrackConnectionRisk(outboundTrack, connection.risk);
+        outboundTrack.connection_risk = connection.risk;
+    }
+
+    // "Segment 1: AI101 (Air India) DEL → DXB"
+    describeSegment(track) {
+        return `Segment ${track.segment_index + 1}: ${formatFlight(track.carrier_code, track.flight_number)} ${track.origin} → ${track.destination}`;
+    }
+
+    // What made a connection shorter, e.g. "segment 1 (AI101) arriving 45 min late"
+    describeConnectionCause(inboundTrack, inbound, outboundTrack, connection) {
+        if (connection.cause === 'outbound') {
+            const flight = `${outboundTrack.carrier_code}${outboundTrack.flight_number}`;
+            return `segment ${outboundTrack.segment_index + 1} (${flight}) leaving ${describeDelay(-connection.outboundAdvanceMinutes)}`;
+        }
+
+        const flight = `${inboundTrack.carrier_code}${inboundTrack.flight_number}`;
+        let reason = `arriving ${describeDelay(connection.inboundDelayMinutes)}`;
+        if (inbound.status === 'CANCELLED') {
+            reason = 'being cancelled';
+        } else if (inbound.divertedTo) {
+            reason = `diverting to ${inbound.divertedTo}`;
+        }
+        return `segment ${inboundTrack.segment_index + 1} (${flight}) ${reason}`;
+    }
+
+    // Tell the user a connection became tight or impossible, or is fine again
+    async sendConnectionAlert(inboundTrack, inbound, outboundTrack, outbound, connection) {
+        try {
+            const telegramId = outboundTrack.telegram_id;
+            const airport = connection.airport;
+
+            let message = `${CONNECTION_HEADLINES[connection.risk]}\n\n`;
+            message += `Journey: ${outboundTrack.parent_route.replace('-', ' → ')}\n`;
+            message += `Connecting at: ${describeAirport(airport)}\n\n`;
+
+            message += `🛬 ${this.describeSegment(inboundTrack)}\n`;
+            if (connection.layoverMinutes === null) {
+                message += `   ${describeFlightStatus(inbound)}\n`;
+            } else {
+                const arrival = formatLocalTime(expectedTime(inbound, 'Arrival'), inbound.arrivalAirport, { withDate: true });
+                message += `   Arrives: ${arrival} (local time)\n`;
+            }
+
+            message += `🛫 ${this.describeSegment(outboundTrack)}\n`;
+            const departure = formatLocalTime(expectedTime(outbound, 'Departure'), airport, { withDate: true });
+            message += `   Departs: ${departure} (local time)\n\n`;
+
+            if (connection.layoverMinutes !== null) {
+                const layover = connection.layoverMinutes > 0 ? formatMinutes(connection.layoverMinutes) : 'none';
+                message += `⏱ Time to connect: ${layover} (minimum at ${airport}: ${formatMinutes(connection.minimumMinutes)})\n`;
+            }
+            if (connection.cause) {
+                message += `Caused by ${this.describeConnectionCause(inboundTrack, inbound, outboundTrack, connection)}\n`;
+            }
+            message += `\n`;
+
+            if (connection.risk === 'IMPOSSIBLE') {
+                message += `📞 Contact ${formatAirline(outboundTrack.carrier_code)} about rebooking your onward flight.\n`;
+            } else if (connection.risk === 'TIGHT') {
+                const gate = outbound.departureGate ? ` at gate ${outbound.departureGate}` : '';
+                message += `🏃 Head straight to your connecting flight${gate} when you land.\n`;
+            } else {
+                message += `You have enough time to make your connection again.\n`;
+            }
+
+            await this.bot.sendMessage(telegramId, message);
+
+            console.log(`Sent ${connection.risk} connection alert to user ${telegramId} for ${airport} on ${outboundTrack.parent_route}`);
+        } catch (error) {
+            console.error('Error sending connection alert:', error);
+        }
+    }
+
     // Handle callback queries (mainly for cancellation)
     async handleCallbackQuery(callbackQuery) {
         const data = callbackQuery.data;
@@ -339,6 +527,41 @@ class FlightTracker {
             return true;
         }
 
+        // Full status card for a tracked flight, fetched fresh when the providers answer
+        if (data.startsWith('flight_status_')) {
+            const trackId = data.split('flight_status_')[1];
+
+            try {
+                const track = await this.db.getFlightTrack(trackId);
+                if (!track || String(track.telegram_id) !== String(userId)) {
+                    throw new Error('Flight track not found or not owned by user');
+                }
+
+                let status = null;
+                try {
+                    status = await this.getFlightStatus(track.carrier_code, track.flight_number, track.date);
+                } catch (error) {
+                    console.error(`Error fetching status for flight track ${trackId}, using the last known one:`, error.message);
+                }
+                status = status || this.parseLastStatus(track);
+
+                await this.bot.answerCallbackQuery(callbackQuery.id);
+
+                if (!status || !status.flightDesignator) {
+                    await this.bot.sendMessage(chatId, 'ℹ️ There is no status information for this flight yet. I\'ll let you know as soon as there is.');
+                } else {
+                    await this.sendStatusUpdate(track, status);
+                }
+            } catch (error) {
+                console.error(`Error showing status for flight track ${trackId}:`, error);
+                await this.bot.answerCallbackQuery(callbackQuery.id, {
+                    text: "Error loading the flight status. Please try again.",
+                    show_alert: true
+                });
+            }
+            return true;
+        }
+
         return false; // Not handled
     }
 
@@ -388,7 +611,7 @@ class FlightTracker {
                 const firstSegment = segments[0];
 
                 message += `${index}. Multi-segment journey on ${firstSegment.date}\n`;
-                message += `   From: ${origin} To: ${destination}\n`;
+                message += `   From: ${describeAirport(origin)} To: ${describeAirport(destination)}\n`;
                 message += `   Segments: ${segments.length}\n\n`;
 
                 keyboard.inline_keyboard.push([
@@ -406,8 +629,8 @@ class FlightTracker {
                 const origin = flight.origin || 'N/A';
                 const destination = flight.destination || 'N/A';
 
-                message += `${index}. ${flight.carrier_code}${flight.flight_number} on ${flight.date}\n`;
-                message += `   From: ${origin} To: ${destination}\n\n`;
+                message += `${index}. ${formatFlight(flight.carrier_code, flight.flight_number)} on ${flight.date}\n`;
+                message += `   From: ${describeAirport(origin)} To: ${describeAirport(destination)}\n\n`;
 
                 keyboard.inline_keyboard.push([
                     {
@@ -447,8 +670,8 @@ I'll notify you of any schedule changes or updates for all flight segments! 🔔
                 const trackIds = [];
                 for (let i = 0; i < flightData.segments.length; i++) {
                     const segment = flightData.segments[i];
-                    const segmentDate = i === 0 ? flightData.date :
-                        new Date(segment.departure.at).toISOString().split('T')[0];
+                    // Departure times are airport-local, so take the date as written
+                    const segmentDate = segment.departure.at ? segment.departure.at.split('T')[0] : flightData.date;
 
                     // Make sure origin and destination are properly set from the segment data
                     const trackId = await this.db.createFlightTrack({
@@ -457,8 +680,8 @@ I'll notify you of any schedule changes or updates for all flight segments! 🔔
                         carrierCode: segment.carrierCode,
                         flightNumber: segment.flightNumber,
                         date: segmentDate,
-                        origin: segment.departure.iataCode,  // Ensure this is explicitly set
-                        destination: segment.arrival.iataCode, // Ensure this is explicitly set
+                        origin: segment.departure.airport,  // Ensure this is explicitly set
+                        destination: segment.arrival.airport, // Ensure this is explicitly set
                         isSegment: true,
                         segmentIndex: i,
                         parentRoute: `${flightData.origin}-${flightData.destination}`
@@ -487,20 +710,20 @@ I'll notify you of any schedule changes or updates for all flight segments! 🔔
                     flightNumber: flightData.flightNumber,
                     date: flightData.date,
                     origin: flightData.origin || (flightData.segments && flightData.segments[0] ?
-                        flightData.segments[0].departure.iataCode : null),
+                        flightData.segments[0].departure.airport : null),
                     destination: flightData.destination || (flightData.segments && flightData.segments[0] ?
-                        flightData.segments[0].arrival.iataCode : null)
+                        flightData.segments[0].arrival.airport : null)
                 });
 
                 // Send confirmation message
                 await this.bot.sendMessage(chatId, `✅ Flight tracking enabled!
             
-✈️ Flight: ${flightData.carrierCode}${flightData.flightNumber}
+✈️ Flight: ${formatFlight(flightData.carrierCode, flightData.flightNumber)}
 📅 Date: ${flightData.date}
-🛫 From: ${flightData.origin || (flightData.segments && flightData.segments[0] ?
-                        flightData.segments[0].departure.iataCode : 'N/A')}
-🛬 To: ${flightData.destination || (flightData.segments && flightData.segments[0] ?
-                        flightData.segments[0].arrival.iataCode : 'N/A')}
+🛫 From: ${describeAirport(flightData.origin || (flightData.segments && flightData.segments[0] ?
+                        flightData.segments[0].departure.airport : 'N/A'))}
+🛬 To: ${describeAirport(flightData.destination || (flightData.segments && flightData.segments[0] ?
+                        flightData.segments[0].arrival.airport : 'N/A'))}
             
 I'll notify you of any schedule changes or updates for this flight! 🔔`);
 
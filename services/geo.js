@@ -0,0 +1,69 @@
+// Distances between coordinates and nearby-airport lookups over data/airports.js
+const airports = require('../data/airports');
+const airportCodes = require('../data/airportCodes');
+const metroAreas = require('../data/metroAreas');
+const { getAirport, getMetroArea, isCommercialAirport } = require('./airports');
+
+const EARTH_RADIUS_KM = 6371;
+
+const commercialAirports = Object.values(airports)
+    .filter(airport => isCommercialAirport(airport) && airport.latitude !== null && airport.longitude !== null);
+
+// The data has no flag for scheduled service, so airports in a metro area, in the curated
+// city list or named "International" are listed ahead of nearer private airfields
+const majorAirports = new Set([
+    ...Object.values(airportCodes),
+    ...Object.values(metroAreas).flatMap(area => area.airports),
+    ...commercialAirports.filter(airport => /international/i.test(airport.name)).map(airport => airport.iata)
+]);
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// Great-circle distance in km between two { latitude, longitude } points
+function distanceKm(from, to) {
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Commercial airports within radiusKm of a point, major airports first and then nearest first:
+// [{ code, icao, name, city, country, distanceKm }]
+function findAirportsNear(latitude, longitude, radiusKm, limit = 5) {
+    const point = { latitude, longitude };
+
+    return commercialAirports
+        .map(airport => ({ airport, distance: distanceKm(point, airport) }))
+        .filter(match => match.distance <= radiusKm)
+        .sort((a, b) => Number(majorAirports.has(b.airport.iata)) - Number(majorAirports.has(a.airport.iata)) ||
+            a.distance - b.distance)
+        .slice(0, limit)
+        .map(({ airport, distance }) => ({
+            code: airport.iata,
+            icao: airport.icao,
+            name: airport.name,
+            city: airport.city,
+            country: airport.country,
+            distanceKm: Math.round(distance)
+        }));
+}
+
+// Other commercial airports within radiusKm of an airport. A metro code (LON) is measured
+// from its main airport and never returns its own member airports.
+function findAirportsNearAirport(code, radiusKm, limit = 5) {
+    const area = getMetroArea(code);
+    const center = getAirport(area ? area.airports[0] : code);
+    if (!center || center.latitude === null) return [];
+
+    const own = new Set(area ? area.airports : [center.iata]);
+    return findAirportsNear(center.latitude, center.longitude, radiusKm, limit + own.size)
+        .filter(airport => !own.has(airport.code))
+        .slice(0, limit);
+}
+
+module.exports = {
+    distanceKm,
+    findAirportsNear,
+    findAirportsNearAirport
+};
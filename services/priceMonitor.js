@@ -1,3 +1,10 @@
+const { formatAirline } = require('./airlines');
+const { describeAirport, getMetroArea } = require('./airports');
+const { formatLocalTime } = require('./timezones');
+
+// Airport names go into HTML messages
+const escapeHtml = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
 class PriceMonitor {
     constructor(bot, flightAPI, database, userStates) {
         this.bot = bot;
@@ -25,10 +32,17 @@ class PriceMonitor {
             console.log(`Found ${alerts.length} active alerts to check`);
 
             for (const alert of alerts) {
+                // Stop the batch while the providers are failing; the remaining
+                // alerts keep their old last_checked and go first next time
+                if (!this.flightAPI.isHealthy()) {
+                    console.warn('Flight data providers are unhealthy, pausing price checks until the next run');
+                    break;
+                }
+
                 try {
-                    await this.checkSingleAlert(alert.alert_id);
-                    // Add delay between checks to respect API limits
-                    await this.sleep(2000);
+                    // API pacing is handled by the rate limiter; background requests
+                    // always yield to users searching in chat
+                    await this.checkSingleAlert(alert.alert_id, 'background');
                 } catch (error) {
                     console.error(`Error checking alert ${alert.alert_id}:`, error.message);
                     continue;
@@ -36,6 +50,9 @@ class PriceMonitor {
             }
 
             console.log('Completed price check for all alerts');
+
+            const cacheStats = this.flightAPI.searchCache.getStats();
+            console.log(`Search cache: ${cacheStats.hits} hits, ${cacheStats.misses} misses (${cacheStats.hitRate}% hit rate)`);
         } catch (error) {
             console.error('Error in checkAllAlerts:', error);
         } finally {
@@ -43,7 +60,7 @@ class PriceMonitor {
         }
     }
 
-    async checkSingleAlert(alertId) {
+    async checkSingleAlert(alertId, priority = 'interactive') {
         try {
             console.log(`Checking price for alert ${alertId}...`);
 
@@ -63,20 +80,24 @@ class PriceMonitor {
                     alert.origin,
                     alert.destination,
                     alert.departure_date,
-                    alert.return_date
+                    alert.return_date,
+                    { ...(alert.search_options || {}), priority }
                 );
 
                 console.log(`Found ${flights.length} flights for alert ${alertId}`);
             } catch (apiError) {
                 console.error(`API error for alert ${alertId}:`, apiError.message);
-                // Update the alert's last check timestamp but don't modify price
-                await this.db.updateAlertCheck(alertId, null);
+                // The check itself failed - keep the price, record why
+                await this.db.updateAlertCheck(alertId, null, {
+                    status: 'failed',
+                    error: apiError.name || 'Error'
+                });
                 return;
             }
 
             if (!flights || flights.length === 0) {
                 console.log(`No flights found for alert ${alertId}`);
-                await this.db.updateAlertCheck(alertId, null);
+                await this.db.updateAlertCheck(alertId, null, { status: 'no_availability' });
                 return;
             }
 
@@ -182,13 +203,17 @@ class PriceMonitor {
                     break;
             }
 
-            message += `📍 Route: <b>${alert.origin} → ${alert.destination}</b>\n`;
+            message += `📍 Route: <b>${escapeHtml(describeAirport(alert.origin))} → ${escapeHtml(describeAirport(alert.destination))}</b>\n`;
             message += `📅 Departure: ${alert.departure_date}\n`;
 
             if (alert.return_date) {
                 message += `🔄 Return: ${alert.return_date}\n`;
             }
 
+            if (alert.search_options) {
+                message += `👥 ${this.flightAPI.describeSearchOptions(alert.search_options)}\n`;
+            }
+
             message += `\n💰 Current Price: <b>$${flightData.price}</b>\n`;
 
             if (previousPrice && reason !== 'first_check') {
@@ -202,7 +227,19 @@ class PriceMonitor {
             if (alert.min_price > 0) {
                 message += `🎯 Your target: <b>$${alert.min_price}</b>\n`;
             }
-            message += `✈️ Airline: ${flightData.airline}\n`;
+            message += `✈️ Airline: ${formatAirline(flightData.airline)}\n`;
+
+            const [outbound, inbound] = flightData.itineraries || [];
+            // Alerts on a metro code follow whichever of the city's airports is cheapest
+            if (outbound && (getMetroArea(alert.origin) || getMetroArea(alert.destination))) {
+                message += `🏙️ Cheapest airports now: ${escapeHtml(describeAirport(outbound.origin))} → ${escapeHtml(describeAirport(outbound.destination))}\n`;
+            }
+            if (outbound) {
+                message += `🛫 Outbound: ${this.flightAPI.describeItinerary(outbound)}\n`;
+            }
+            if (inbound) {
+                message += `🛬 Return: ${this.flightAPI.describeItinerary(inbound)}\n`;
+            }
 
             if (flightData.details) {
                 message += `📝 Details: ${flightData.details}\n`;
@@ -410,14 +447,18 @@ class PriceMonitor {
                 return;
             }
 
-            let message = `📊 Price History for <b>${alert.origin} → ${alert.destination}</b>\n\n`;
+            let message = `📊 Price History for <b>${escapeHtml(describeAirport(alert.origin))} → ${escapeHtml(describeAirport(alert.destination))}</b>\n`;
+            message += `🕒 Check times in ${alert.origin} local time\n\n`;
 
             history.forEach((entry, index) => {
-                const date = new Date(entry.timestamp).toLocaleDateString();
-                const time = new Date(entry.timestamp).toLocaleTimeString();
-                message += `${index + 1}. $${entry.price} - ${date} ${time}\n`;
+                // A check still being saved has no server timestamp yet
+                const checkedOn = entry.timestamp ? new Date(entry.timestamp) : null;
+                const checkedAt = checkedOn && !isNaN(checkedOn)
+                    ? formatLocalTime(checkedOn.toISOString(), alert.origin, { withDate: true })
+                    : 'just now';
+                message += `${index + 1}. $${entry.price} - ${checkedAt}\n`;
                 if (entry.airline) {
-                    message += `   ✈️ ${entry.airline}\n`;
+                    message += `   ✈️ ${escapeHtml(formatAirline(entry.airline))}\n`;
                 }
             });
 
@@ -431,7 +472,7 @@ class PriceMonitor {
             message += `• Average: <b>$${avgPrice}</b>\n`;
             message += `• Your target: <b>$${alert.min_price}</b>`;
 
-            await this.bot.sendMessage(chatId, message);
+            await this.bot.sendMessage(chatId, message, { parse_mode: 'HTML' });
 
         } catch (error) {
             console.error('Error sending price history:', error);
@@ -512,7 +553,7 @@ class PriceMonitor {
             // Show top 3 alerts by activity
             const topAlerts = alerts.slice(0, 3);
             topAlerts.forEach((alert, index) => {
-                message += `${index + 1}. ${alert.origin} → ${alert.destination}\n`;
+                message += `${index + 1}. ${describeAirport(alert.origin)} → ${describeAirport(alert.destination)}\n`;
                 message += `   Current: $${alert.current_price || 'Checking...'} | Target: $${alert.min_price}\n`;
             });
 
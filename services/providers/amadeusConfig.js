@@ -0,0 +1,70 @@
+// Amadeus connection settings for one environment, picked with AMADEUS_ENV:
+//   production - live data on api.amadeus.com (default)
+//   test       - Amadeus' free test environment on test.api.amadeus.com
+//   local      - the recorded-fixture stand-in, scripts/amadeus_stub_server.js
+// Each environment may have its own credentials (AMADEUS_TEST_API_KEY, ...), falling back
+// to AMADEUS_API_KEY/AMADEUS_API_SECRET. AMADEUS_BASE_URL and the rate-limit variables
+// override the environment's defaults.
+const ENVIRONMENTS = {
+    production: {
+        baseURL: 'https://api.amadeus.com',
+        ratePerSecond: 5,
+        monthlyQuota: 0
+    },
+    // Test keys share a small free monthly allowance per API
+    test: {
+        baseURL: 'https://test.api.amadeus.com',
+        ratePerSecond: 5,
+        monthlyQuota: 2000
+    },
+    // The stand-in accepts any credentials, has no limits of its own and
+    // listens on AMADEUS_STUB_PORT
+    local: {
+        baseURL: env => `http://localhost:${env.AMADEUS_STUB_PORT || 4010}`,
+        ratePerSecond: 50,
+        monthlyQuota: 0,
+        apiKey: 'local',
+        apiSecret: 'local'
+    }
+};
+
+const DEFAULT_ENVIRONMENT = 'production';
+
+function readNumber(value, parse) {
+    if (value === undefined || value === '') return undefined;
+    const number = parse(value);
+    return isNaN(number) ? undefined : number;
+}
+
+// Settings for the environment named by AMADEUS_ENV (or `environment`):
+// { environment, baseURL, apiKey, apiSecret, ratePerSecond, monthlyQuota,
+//   backgroundQuotaShare, breakerThreshold, breakerResetSeconds }
+function loadAmadeusConfig(environment = process.env.AMADEUS_ENV, env = process.env) {
+    const name = String(environment || DEFAULT_ENVIRONMENT).trim().toLowerCase();
+    const defaults = ENVIRONMENTS[name];
+    if (!defaults) {
+        throw new Error(`Unknown Amadeus environment: ${name} (use ${Object.keys(ENVIRONMENTS).join(', ')})`);
+    }
+
+    const prefix = `AMADEUS_${name.toUpperCase()}_`;
+    const ratePerSecond = readNumber(env.AMADEUS_RATE_PER_SECOND, parseFloat);
+    const monthlyQuota = readNumber(env.AMADEUS_MONTHLY_QUOTA, value => parseInt(value, 10));
+
+    return {
+        environment: name,
+        baseURL: env.AMADEUS_BASE_URL ||
+            (typeof defaults.baseURL === 'function' ? defaults.baseURL(env) : defaults.baseURL),
+        apiKey: env[`${prefix}API_KEY`] || env.AMADEUS_API_KEY || defaults.apiKey,
+        apiSecret: env[`${prefix}API_SECRET`] || env.AMADEUS_API_SECRET || defaults.apiSecret,
+        ratePerSecond: ratePerSecond || defaults.ratePerSecond,
+        monthlyQuota: monthlyQuota !== undefined ? monthlyQuota : defaults.monthlyQuota,
+        backgroundQuotaShare: readNumber(env.AMADEUS_BACKGROUND_QUOTA_SHARE, parseFloat),
+        breakerThreshold: readNumber(env.AMADEUS_BREAKER_THRESHOLD, value => parseInt(value, 10)) || 5,
+        breakerResetSeconds: readNumber(env.AMADEUS_BREAKER_RESET_SECONDS, value => parseInt(value, 10)) || 60
+    };
+}
+
+module.exports = {
+    ENVIRONMENTS,
+    loadAmadeusConfig
+};
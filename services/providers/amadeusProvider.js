@@ -0,0 +1,803 @@
+const axios = require('axios');
+const FlightProvider = require('./flightProvider');
+const RateLimiter = require('../rateLimiter');
+const CircuitBreaker = require('../circuitBreaker');
+const { AuthError, InvalidRequestError, fromAxiosError } = require('../errors');
+const { loadAmadeusConfig } = require('./amadeusConfig');
+const { deriveFlightStatus } = require('../flightStatus');
+
+class AmadeusProvider extends FlightProvider {
+    // options: { config (see amadeusConfig.js, read from the environment by default),
+    // apiKey, apiSecret and baseURL overrides, limiter, breaker, maxRetries, maxRetryDelay }
+    constructor(options = {}) {
+        super('amadeus');
+
+        // Host, credentials and quotas of the Amadeus environment in use (AMADEUS_ENV)
+        this.config = options.config || loadAmadeusConfig();
+        this.environment = this.config.environment;
+        this.apiKey = options.apiKey || this.config.apiKey;
+        this.apiSecret = options.apiSecret || this.config.apiSecret;
+        this.baseURL = options.baseURL || this.config.baseURL;
+
+        this.token = null;
+        this.tokenExpiry = null;
+
+        // Every Amadeus call goes through one limiter, interactive requests first
+        this.limiter = options.limiter || new RateLimiter({
+            name: 'amadeus',
+            ratePerSecond: this.config.ratePerSecond,
+            monthlyQuota: this.config.monthlyQuota,
+            backgroundQuotaShare: this.config.backgroundQuotaShare,
+            // Rate-limited (429) and unanswered (5xx/network) attempts aren't charged, so
+            // retrying them doesn't use up the quota
+            isBillable: error => !fromAxiosError(error, this.name).retryable
+        });
+
+        // Retries for rate-limited (429) and unavailable (5xx/network) responses
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        this.maxRetryDelay = options.maxRetryDelay || 30 * 1000;
+
+        // Stops hammering Amadeus while it is down and pauses background jobs
+        this.breaker = options.breaker || new CircuitBreaker({
+            name: 'amadeus',
+            failureThreshold: this.config.breakerThreshold,
+            resetTimeout: this.config.breakerResetSeconds * 1000
+        });
+
+        this.setupTokenRefreshTimer();
+    }
+
+    setupTokenRefreshTimer() {
+        // Clear any existing timer
+        if (this.tokenRefreshTimer) {
+            clearInterval(this.tokenRefreshTimer);
+        }
+
+        // Refresh token every 25 minutes (1500 seconds)
+        // This is before the 30-minute (1799 seconds) expiry
+        const refreshInterval = 25 * 60 * 1000;
+        this.tokenRefreshTimer = setInterval(async () => {
+            try {
+                console.log("Proactively refreshing Amadeus access token...");
+                await this.getAccessToken();
+            } catch (error) {
+                console.error("Failed to refresh token:", error.message);
+            }
+        }, refreshInterval);
+    }
+
+    // Clean up timer when needed
+    cleanup() {
+        if (this.tokenRefreshTimer) {
+            clearInterval(this.tokenRefreshTimer);
+        }
+        this.limiter.close().catch(error => console.error('Error closing rate limiter:', error.message));
+    }
+
+    getRateLimiterStats() {
+        return {
+            environment: this.environment,
+            ...this.limiter.getStats(),
+            circuit: this.breaker.getStats()
+        };
+    }
+
+    async checkHealth() {
+        try {
+            // Try to get a new token to verify credentials are correct
+            await this.getAccessToken();
+
+            // Make a simple API request to verify connection
+            await this.makeRequest('/v1/reference-data/locations', {
+                keyword: 'LON',
+                subType: 'CITY',
+                'page[limit]': 1
+            }, { priority: 'background' });
+
+            return true;
+        } catch (error) {
+            console.error("Amadeus health check failed:", error.message);
+            return false;
+        }
+    }
+
+    async getAccessToken() {
+        // Check if token exists and is not expired
+        if (this.token && this.tokenExpiry > Date.now()) {
+            return this.token;
+        }
+
+        // Share one token request between concurrent callers
+        if (!this.tokenRequest) {
+            this.tokenRequest = this.requestAccessToken().finally(() => {
+                this.tokenRequest = null;
+            });
+        }
+
+        return this.tokenRequest;
+    }
+
+    async requestAccessToken() {
+        // Token is expired or doesn't exist - request a new one
+        console.log("Access token expired or not found, requesting new token...");
+
+        // Add retry logic with exponential backoff
+        let attempt = 0;
+
+        while (true) {
+            try {
+                const response = await axios.post(
+                    `${this.baseURL}/v1/security/oauth2/token`,
+                    `grant_type=client_credentials&client_id=${this.apiKey}&client_secret=${this.apiSecret}`,
+                    {
+                        headers: {
+                            'Content-Type': 'application/x-www-form-urlencoded'
+                        }
+                    }
+                );
+
+                this.token = response.data.access_token;
+                // Set expiry time with a 5-minute buffer to be safe
+                this.tokenExpiry = Date.now() + (response.data.expires_in - 300) * 1000;
+                console.log(`New access token acquired, valid for ${response.data.expires_in} seconds`);
+
+                return this.token;
+            } catch (rawError) {
+                const error = fromAxiosError(rawError, this.name);
+                attempt++;
+
+                // Bad credentials won't get better by retrying
+                if (error instanceof InvalidRequestError) {
+                    throw new AuthError(`Amadeus rejected the credentials: ${error.message}`, { status: error.status, provider: this.name });
+                }
+
+                const delay = this.getRetryDelay(error, attempt);
+                if (delay === null) {
+                    console.error('Failed to get access token:', error.message);
+                    throw error;
+                }
+
+                console.log(`Token acquisition failed, retrying in ${delay}ms (attempt ${attempt}/${this.maxRetries})`);
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    // Run an API request through the circuit breaker and rate limiter,
+    // retrying rate-limited and unavailable responses.
+    // options: { priority, method ('GET' or 'POST'), data (POST body), headers }
+    async makeRequest(endpoint, params = {}, options = {}) {
+        const { priority = 'interactive', method = 'GET', data = undefined, headers = {} } = options;
+
+        return this.breaker.execute(async () => {
+            let attempt = 0;
+
+            while (true) {
+                try {
+                    const token = await this.getAccessToken();
+                    const response = await this.limiter.schedule(() => axios.request({
+                        method,
+                        url: `${this.baseURL}${endpoint}`,
+                        headers: {
+                            ...headers,
+                            'Authorization': `Bearer ${token}`
+                        },
+                        params,
+                        data
+                    }), priority);
+
+                    // Return both status and data
+                    return {
+                        status: response.status,
+                        data: response.data
+                    };
+                } catch (rawError) {
+                    const error = fromAxiosError(rawError, this.name);
+                    attempt++;
+
+                    // An expired token gets one fresh retry
+                    if (error instanceof AuthError && attempt === 1) {
+                        this.token = null;
+                        this.tokenExpiry = null;
+                        continue;
+                    }
+
+                    const delay = this.getRetryDelay(error, attempt);
+                    if (delay === null) {
+                        console.error(`API request failed for ${endpoint}:`, error.message);
+                        throw error;
+                    }
+
+                    console.log(`${error.name} for ${endpoint}, retrying in ${delay}ms (attempt ${attempt}/${this.maxRetries})`);
+                    await this.sleep(delay);
+                }
+            }
+        });
+    }
+
+    // Milliseconds to wait before retrying, or null when we should give up
+    getRetryDelay(error, attempt) {
+        if (!error.retryable || attempt > this.maxRetries) {
+            return null;
+        }
+
+        // Honour Retry-After, but don't keep a user waiting for minutes
+        if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+            return error.retryAfterMs <= this.maxRetryDelay ? error.retryAfterMs : null;
+        }
+
+        // Exponential backoff with a little jitter
+        return Math.min(this.maxRetryDelay, 1000 * Math.pow(2, attempt - 1) + Math.floor(Math.random() * 250));
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    isHealthy() {
+        return this.breaker.isHealthy();
+    }
+
+    // Flight offer search takes IATA city codes as well as airport codes
+    supportsMetroCodes() {
+        return true;
+    }
+
+    async searchLocations(keyword, limit = 5, options = {}) {
+        const response = await this.makeRequest('/v1/reference-data/locations', {
+            keyword,
+            subType: 'AIRPORT,CITY',
+            'page[limit]': limit
+        }, options);
+
+        if (!response.data || !Array.isArray(response.data.data)) {
+            return [];
+        }
+
+        return response.data.data.map(location => ({
+            code: location.iataCode,
+            name: location.name,
+            city: location.address?.cityName || location.name
+        }));
+    }
+
+    async searchOffers(searchParams, options = {}) {
+        const {
+            origin,
+            destination,
+            departureDate,
+            returnDate = null,
+            adults = 1,
+            children = 0,
+            infants = 0,
+            travelClass = null,
+            nonStop = false,
+            maxPrice = null,
+            includedAirlineCodes = [],
+            excludedAirlineCodes = [],
+            max = 20
+        } = searchParams;
+
+        // Build the request parameters
+        const params = {
+            originLocationCode: origin,
+            destinationLocationCode: destination,
+            departureDate,
+            adults,
+            currencyCode: 'USD',
+            max
+        };
+
+        // Add optional parameters only when set, Amadeus rejects empty values
+        if (returnDate) {
+            params.returnDate = returnDate;
+        }
+        if (children) {
+            params.children = children;
+        }
+        if (infants) {
+            params.infants = infants;
+        }
+        if (travelClass) {
+            params.travelClass = travelClass;
+        }
+        if (nonStop) {
+            params.nonStop = true;
+        }
+        if (maxPrice) {
+            params.maxPrice = maxPrice;
+        }
+        if (includedAirlineCodes.length > 0) {
+            params.includedAirlineCodes = includedAirlineCodes.join(',');
+        }
+        if (excludedAirlineCodes.length > 0) {
+            params.excludedAirlineCodes = excludedAirlineCodes.join(',');
+        }
+
+        const response = await this.makeRequest('/v2/shopping/flight-offers', params, options);
+
+        console.log(`Amadeus response status: ${response.status}, found ${response.data?.data?.length || 0} flights`);
+
+        if (!response.data || !Array.isArray(response.data.data) || response.data.data.length === 0) {
+            // Log detailed info about the empty results
+            console.log('Response meta:', JSON.stringify(response.data?.meta || {}, null, 2));
+            console.log('Response warnings:', JSON.stringify(response.data?.warnings || [], null, 2));
+            return [];
+        }
+
+        return response.data.data.map(offer => this.mapOffer(offer));
+    }
+
+    // Multi-city search through the POST form of Flight Offers Search, which takes
+    // one originDestination per leg and prices the whole trip together
+    async searchMultiCity(searchParams, options = {}) {
+        const {
+            legs,
+            adults = 1,
+            children = 0,
+            infants = 0,
+            travelClass = null,
+            nonStop = false,
+            maxPrice = null,
+            includedAirlineCodes = [],
+            excludedAirlineCodes = [],
+            max = 20
+        } = searchParams;
+
+        const originDestinations = legs.map((leg, index) => ({
+            id: String(index + 1),
+            originLocationCode: leg.origin,
+            destinationLocationCode: leg.destination,
+            departureDateTimeRange: { date: leg.departureDate }
+        }));
+
+        // Infants sit on an adult's lap and must name that adult
+        const travelers = [];
+        for (let i = 0; i < adults; i++) {
+            travelers.push({ id: String(travelers.length + 1), travelerType: 'ADULT' });
+        }
+        for (let i = 0; i < children; i++) {
+            travelers.push({ id: String(travelers.length + 1), travelerType: 'CHILD' });
+        }
+        for (let i = 0; i < infants; i++) {
+            travelers.push({ id: String(travelers.length + 1), travelerType: 'HELD_INFANT', associatedAdultId: String(i + 1) });
+        }
+
+        const flightFilters = {};
+        if (travelClass) {
+            flightFilters.cabinRestrictions = [{
+                cabin: travelClass,
+                coverage: 'MOST_SEGMENTS',
+                originDestinationIds: originDestinations.map(od => od.id)
+            }];
+        }
+        if (nonStop) {
+            flightFilters.connectionRestriction = { maxNumberOfConnections: 0 };
+        }
+        if (includedAirlineCodes.length > 0) {
+            flightFilters.carrierRestrictions = { includedCarrierCodes: includedAirlineCodes };
+        } else if (excludedAirlineCodes.length > 0) {
+            flightFilters.carrierRestrictions = { excludedCarrierCodes: excludedAirlineCodes };
+        }
+
+        const searchCriteria = { maxFlightOffers: max, flightFilters };
+        if (maxPrice) {
+            searchCriteria.maxPrice = maxPrice;
+        }
+
+        const response = await this.makeRequest('/v2/shopping/flight-offers', {}, {
+            ...options,
+            method: 'POST',
+            // Amadeus serves searches over POST as a GET override
+            headers: { 'X-HTTP-Method-Override': 'GET' },
+            data: {
+                currencyCode: 'USD',
+                originDestinations,
+                travelers,
+                sources: ['GDS'],
+                searchCriteria
+            }
+        });
+
+        console.log(`Amadeus multi-city response status: ${response.status}, found ${response.data?.data?.length || 0} offers`);
+
+        if (!response.data || !Array.isArray(response.data.data)) {
+            return [];
+        }
+
+        return response.data.data.map(offer => this.mapOffer(offer));
+    }
+
+    // Re-price an offer with the Flight Offers Price API, which confirms the fare is
+    // still available and returns the final total including taxes
+    async priceOffer(offer, options = {}) {
+        if (!offer.rawOffer) {
+            throw new InvalidRequestError('Offer has no Amadeus data to price', { provider: this.name });
+        }
+
+        const response = await this.makeRequest('/v1/shopping/flight-offers/pricing', {}, {
+            ...options,
+            method: 'POST',
+            headers: { 'X-HTTP-Method-Override': 'GET' },
+            data: {
+                data: {
+                    type: 'flight-offers-pricing',
+                    flightOffers: [offer.rawOffer]
+                }
+            }
+        });
+
+        const pricedOffer = response.data?.data?.flightOffers?.[0];
+        if (!pricedOffer) {
+            return null;
+        }
+
+        return {
+            offer: this.mapOffer(pricedOffer),
+            warnings: (response.data.warnings || []).map(warning => warning.detail || warning.title).filter(Boolean)
+        };
+    }
+
+    // Seat maps for every flight of an offer from the SeatMap Display API.
+    // Not every airline publishes seat maps; flights without one are left out
+    async getSeatMaps(offer, options = {}) {
+        if (!offer.rawOffer) {
+            throw new InvalidRequestError('Offer has no Amadeus data to get seat maps for', { provider: this.name });
+        }
+
+        const response = await this.makeRequest('/v1/shopping/seatmaps', {}, {
+            ...options,
+            method: 'POST',
+            headers: { 'X-HTTP-Method-Override': 'GET' },
+            data: { data: [offer.rawOffer] }
+        });
+
+        if (!response.data || !Array.isArray(response.data.data)) {
+            return [];
+        }
+
+        return response.data.data.map(seatMap => this.mapSeatMap(seatMap));
+    }
+
+    mapSeatMap(seatMap) {
+        return {
+            carrierCode: seatMap.carrierCode,
+            flightNumber: seatMap.number,
+            origin: seatMap.departure?.iataCode,
+            destination: seatMap.arrival?.iataCode,
+            departureTime: seatMap.departure?.at,
+            aircraft: seatMap.aircraft?.code,
+            decks: (seatMap.decks || []).map(deck => ({
+                deckType: deck.deckType || 'MAIN',
+                seats: (deck.seats || []).map(seat => {
+                    const [, row, column] = (seat.number || '').match(/^(\d+)([A-Z]+)$/) || [];
+                    const pricing = seat.travelerPricing?.[0];
+                    const codes = seat.characteristicsCodes || [];
+
+                    return {
+                        number: seat.number,
+                        row: row ? parseInt(row, 10) : null,
+                        column: column || null,
+                        cabin: seat.cabin || null,
+                        // AVAILABLE, OCCUPIED or BLOCKED
+                        status: pricing?.seatAvailabilityStatus || 'BLOCKED',
+                        // L = leg space seat, E = exit row
+                        extraLegroom: codes.includes('L'),
+                        exitRow: codes.includes('E'),
+                        price: pricing?.price?.total || null,
+                        currency: pricing?.price?.currency || null,
+                        // x runs along the aircraft (rows), y across it (columns and aisles)
+                        x: seat.coordinates?.x,
+                        y: seat.coordinates?.y
+                    };
+                })
+            }))
+        };
+    }
+
+    // Cheapest cached fares from the Flight Cheapest Date Search API.
+    // Only covers routes Amadeus has cached prices for; other routes answer with an error.
+    async searchCheapestDates({ origin, destination, departureDates, durations = null, nonStop = false, maxPrice = null }, options = {}) {
+        const params = {
+            origin,
+            destination,
+            departureDate: departureDates.join(','),
+            oneWay: !durations,
+            nonStop
+        };
+
+        if (durations) {
+            params.duration = durations.join(',');
+        } else {
+            // One cheapest fare per departure date
+            params.viewBy = 'DATE';
+        }
+        if (maxPrice) {
+            params.maxPrice = maxPrice;
+        }
+
+        const response = await this.makeRequest('/v1/shopping/flight-dates', params, options);
+
+        if (!response.data || !Array.isArray(response.data.data)) {
+            return [];
+        }
+
+        const currency = response.data.meta?.currency || 'USD';
+        return response.data.data.map(item => ({
+            departureDate: item.departureDate,
+            returnDate: item.returnDate || null,
+            price: parseFloat(item.price?.total),
+            currency
+        }));
+    }
+
+    // Cheapest destinations from the Flight Inspiration Search API.
+    // Like cheapest-date search, it only knows origins Amadeus has cached prices for.
+    async searchDestinations({ origin, departureDates = null, oneWay = false, tripDays = 7, nonStop = false, maxPrice = null }, options = {}) {
+        const params = {
+            origin,
+            oneWay,
+            nonStop,
+            viewBy: 'DESTINATION'
+        };
+
+        if (departureDates) {
+            params.departureDate = departureDates.join(',');
+        }
+        if (!oneWay) {
+            params.duration = tripDays;
+        }
+        if (maxPrice) {
+            params.maxPrice = maxPrice;
+        }
+
+        const response = await this.makeRequest('/v1/shopping/flight-destinations', params, options);
+
+        if (!response.data || !Array.isArray(response.data.data)) {
+            return [];
+        }
+
+        const currency = response.data.meta?.currency || 'USD';
+        return response.data.data.map(item => ({
+            destination: item.destination,
+            departureDate: item.departureDate,
+            returnDate: item.returnDate || null,
+            price: parseFloat(item.price?.total),
+            currency
+        }));
+    }
+
+    // Transform an Amadeus flight offer into the normalized offer format.
+    // Top-level times, stops and segments describe the first itinerary (the outbound
+    // flight); `itineraries` holds every itinerary - the return or each multi-city leg.
+    mapOffer(offer) {
+        try {
+            // Get price information
+            const price = offer.price?.total || 'Unknown';
+            const currency = offer.price?.currency || 'USD';
+
+            // Get airline info
+            const validatingAirline = offer.validatingAirlineCodes?.[0] || 'Unknown';
+
+            if (!offer.itineraries?.[0]) {
+                throw new Error('Missing itinerary data');
+            }
+
+            // Fare conditions are priced per traveler; the first traveler is always an adult
+            const fareDetails = {};
+            (offer.travelerPricings?.[0]?.fareDetailsBySegment || []).forEach(detail => {
+                fareDetails[detail.segmentId] = detail;
+            });
+
+            const itineraries = offer.itineraries.map(itinerary => this.mapItinerary(itinerary, fareDetails));
+            const outbound = itineraries[0];
+            const segments = itineraries.flatMap(itinerary => itinerary.segments);
+
+            const basePrice = offer.price?.base || null;
+
+            return {
+                id: offer.id,
+                provider: this.name,
+                price,
+                currency,
+                basePrice,
+                // Taxes, surcharges and fees on top of the base fare
+                taxesAndFees: basePrice && price !== 'Unknown'
+                    ? (parseFloat(price) - parseFloat(basePrice)).toFixed(2)
+                    : null,
+                seatsLeft: offer.numberOfBookableSeats || null,
+                lastTicketingDate: offer.lastTicketingDate || null,
+                refundable: this.combineFareConditions(segments.map(segment => segment.fare?.refundable)),
+                changeable: this.combineFareConditions(segments.map(segment => segment.fare?.changeable)),
+                airline: validatingAirline,
+                duration: outbound.duration,
+                formattedDuration: outbound.formattedDuration,
+                stops: outbound.stops,
+                departureTime: outbound.departureTime,
+                arrivalTime: outbound.arrivalTime,
+                segments: outbound.segments,
+                itineraries,
+                // The offer exactly as Amadeus sent it, needed to price it again
+                rawOffer: offer
+            };
+        } catch (error) {
+            console.error(`Error processing flight offer ${offer.id}:`, error);
+            // Return minimal data for problematic offers
+            return {
+                id: offer.id || 'unknown',
+                provider: this.name,
+                price: offer.price?.total || 'Unknown',
+                currency: offer.price?.currency || 'USD',
+                error: `Processing error: ${error.message}`
+            };
+        }
+    }
+
+    // One itinerary (outbound, return or multi-city leg) with its segments.
+    // fareDetails: fareDetailsBySegment of the offer keyed by segment id
+    mapItinerary(itinerary, fareDetails = {}) {
+        // Process segments to count stops and get departure/arrival info
+        const segments = itinerary.segments || [];
+
+        // Get departure and arrival details from first and last segment
+        const firstSegment = segments[0] || {};
+        const lastSegment = segments[segments.length - 1] || firstSegment;
+
+        return {
+            origin: firstSegment.departure?.iataCode,
+            destination: lastSegment.arrival?.iataCode,
+            duration: itinerary.duration,
+            formattedDuration: FlightProvider.formatDuration(itinerary.duration),
+            stops: Math.max(0, segments.length - 1),
+            departureTime: firstSegment.departure?.at,
+            arrivalTime: lastSegment.arrival?.at,
+            // Include full segment details
+            segments: segments.map(segment => ({
+                departure: {
+                    airport: segment.departure?.iataCode,
+                    terminal: segment.departure?.terminal,
+                    at: segment.departure?.at
+                },
+                arrival: {
+                    airport: segment.arrival?.iataCode,
+                    terminal: segment.arrival?.terminal,
+                    at: segment.arrival?.at
+                },
+                carrierCode: segment.carrierCode,
+                flightNumber: segment.number,
+                duration: FlightProvider.formatDuration(segment.duration),
+                aircraft: segment.aircraft?.code,
+                fare: this.mapFareDetails(fareDetails[segment.id])
+            }))
+        };
+    }
+
+    // Cabin, fare brand, baggage and ticket conditions for one segment, or null when not priced
+    mapFareDetails(detail) {
+        if (!detail) {
+            return null;
+        }
+
+        const bags = detail.includedCheckedBags;
+        const amenities = detail.amenities || [];
+
+        // Amenities list the conditions the fare brand includes; a chargeable one costs a fee.
+        // true, 'fee', false (explicitly not allowed) or null when the fare doesn't say
+        const condition = pattern => {
+            const amenity = amenities.find(item => pattern.test(item.description || ''));
+            if (!amenity) return null;
+            if (/\bNON[- ]?/i.test(amenity.description)) return false;
+            return amenity.isChargeable ? 'fee' : true;
+        };
+
+        return {
+            cabin: detail.cabin || null,
+            brand: detail.brandedFareLabel || detail.brandedFare || null,
+            bookingClass: detail.class || null,
+            fareBasis: detail.fareBasis || null,
+            checkedBags: bags ? {
+                quantity: bags.quantity !== undefined ? bags.quantity : null,
+                weight: bags.weight || null,
+                weightUnit: bags.weightUnit || null
+            } : null,
+            refundable: condition(/REFUND/i),
+            changeable: condition(/CHANGE/i)
+        };
+    }
+
+    // Ticket condition for a whole offer: as good as its most restrictive segment,
+    // and unknown when any segment doesn't say
+    combineFareConditions(values) {
+        if (values.includes(false)) {
+            return false;
+        }
+        if (values.length === 0 || values.some(value => value === null || value === undefined)) {
+            return null;
+        }
+        return values.includes('fee') ? 'fee' : true;
+    }
+
+    async getFlightStatus(carrierCode, flightNumber, date, options = {}) {
+        const response = await this.makeRequest('/v2/schedule/flights', {
+            carrierCode,
+            flightNumber,
+            scheduledDepartureDate: date
+        }, options);
+
+        if (!response.data || !response.data.data || response.data.data.length === 0) {
+            return null;
+        }
+
+        return this.mapFlightStatus(response.data.data[0]);
+    }
+
+    // Transform an Amadeus dated flight into the normalized status format.
+    // Times come from the STD/ETD/ATD and STA/ETA/ATA timings; the status is derived
+    // from them (see services/flightStatus.js) unless the flight is flagged cancelled.
+    mapFlightStatus(flight) {
+        const flightPoints = flight.flightPoints;
+
+        if (!flightPoints || flightPoints.length < 2) {
+            return null;
+        }
+
+        // Extract departure and arrival information
+        const departurePoint = flightPoints[0];
+        const arrivalPoint = flightPoints[flightPoints.length - 1];
+
+        const departureTimings = departurePoint.departure?.timings || [];
+        const arrivalTimings = arrivalPoint.arrival?.timings || [];
+        const timing = (timings, qualifier) => timings.find(entry => entry.qualifier === qualifier) || null;
+
+        // Delays Amadeus reports on a timing ("PT45M"), in minutes
+        const reportedDelay = timings => {
+            const delay = timings.find(entry => entry.delays?.length > 0)?.delays[0];
+            return delay ? FlightProvider.durationMinutes(delay.duration) : null;
+        };
+
+        // Terminal and gate can come back either as plain values or as objects
+        const readField = (field) => typeof field === 'object'
+            ? field?.value || field?.code || field?.mainGate
+            : field;
+
+        // Cancellations and diversions are flagged on the flight; a diverted flight
+        // also ends at another airport than its segments were scheduled to
+        const statusFlag = String(flight.flightStatus || flight.status || '').toUpperCase();
+        const scheduledArrivalAirport = flight.segments?.[flight.segments.length - 1]?.offPointIataCode;
+        const divertedTo = /DIVERT/.test(statusFlag) ||
+            (scheduledArrivalAirport && scheduledArrivalAirport !== arrivalPoint.iataCode)
+            ? arrivalPoint.iataCode
+            : null;
+
+        const status = {
+            flightDesignator: flight.flightDesignator,
+            departureAirport: departurePoint.iataCode,
+            arrivalAirport: scheduledArrivalAirport || arrivalPoint.iataCode,
+            scheduledDepartureTime: timing(departureTimings, 'STD')?.value || null,
+            scheduledArrivalTime: timing(arrivalTimings, 'STA')?.value || null,
+            estimatedDepartureTime: timing(departureTimings, 'ETD')?.value || null,
+            estimatedArrivalTime: timing(arrivalTimings, 'ETA')?.value || null,
+            actualDepartureTime: timing(departureTimings, 'ATD')?.value || null,
+            actualArrivalTime: timing(arrivalTimings, 'ATA')?.value || null,
+            departureTerminal: readField(departurePoint.departure?.terminal),
+            departureGate: readField(departurePoint.departure?.gate),
+            terminal: readField(arrivalPoint.arrival?.terminal),  // Keep for backward compatibility
+            gate: readField(arrivalPoint.arrival?.gate),          // Keep for backward compatibility
+            aircraft: flight.legs?.[0]?.aircraftEquipment?.aircraftType || null,
+            cancelled: /CANCEL|^CX$|^CNL$/.test(statusFlag),
+            divertedTo,
+            checked: new Date().toISOString()
+        };
+
+        return {
+            ...status,
+            ...deriveFlightStatus({
+                ...status,
+                departureDelayMinutes: reportedDelay(departureTimings),
+                arrivalDelayMinutes: reportedDelay(arrivalTimings)
+            })
+        };
+    }
+}
+
+module.exports = AmadeusProvider;
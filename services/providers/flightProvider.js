@@ -0,0 +1,137 @@
+// Base class for flight-data providers.
+// Every provider adapter (Amadeus, ...) implements the same methods and returns
+// data in the normalized shape the rest of the bot already understands.
+class FlightProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // All methods take an optional `options` object; options.priority is
+    // 'interactive' for a user waiting in chat or 'background' for scheduled jobs.
+
+    // Search flight offers.
+    // params: { origin, destination, departureDate, returnDate, adults, children, infants,
+    //           travelClass, nonStop, maxPrice, includedAirlineCodes, excludedAirlineCodes }
+    // Returns an array of normalized offers (may be empty). Offers describe the outbound
+    // flight at the top level and carry every itinerary (outbound, return) in `itineraries`.
+    // Offers also carry basePrice, taxesAndFees, seatsLeft, lastTicketingDate, refundable and
+    // changeable; each segment has `fare` with cabin, brand, bookingClass and checkedBags
+    async searchOffers(params, options = {}) {
+        throw new Error(`${this.name} provider does not support flight offer search`);
+    }
+
+    // Search offers for a multi-city trip priced as one booking.
+    // params: { legs: [{ origin, destination, departureDate }], plus the passenger and
+    //           filter fields of searchOffers }
+    // Returns normalized offers with one entry in `itineraries` per leg
+    async searchMultiCity(params, options = {}) {
+        throw new Error(`${this.name} provider does not support multi-city search`);
+    }
+
+    // Confirm the current price of an offer returned by this provider.
+    // Returns { offer, warnings } with the re-priced normalized offer, or null when the
+    // provider returned nothing; a fare that can no longer be sold is an InvalidRequestError
+    async priceOffer(offer, options = {}) {
+        throw new Error(`${this.name} provider does not support offer pricing`);
+    }
+
+    // Seat maps for the flights of an offer returned by this provider.
+    // Returns an array of { carrierCode, flightNumber, origin, destination, departureTime,
+    // aircraft, decks: [{ deckType, seats: [{ number, row, column, cabin, status,
+    // extraLegroom, exitRow, price, currency, x, y }] }] }, one per flight that has a seat map
+    async getSeatMaps(offer, options = {}) {
+        throw new Error(`${this.name} provider does not support seat maps`);
+    }
+
+    // Cheapest cached fares over a range of dates.
+    // params: { origin, destination, departureDates: [from, to], durations: [min, max] or null
+    //           for one-way, nonStop, maxPrice }
+    // Returns an array of { departureDate, returnDate, price, currency }
+    async searchCheapestDates(params, options = {}) {
+        throw new Error(`${this.name} provider does not support cheapest-date search`);
+    }
+
+    // Cheapest destinations from an origin ("where can I go?").
+    // params: { origin, departureDates: [from, to] or null, oneWay, tripDays, nonStop, maxPrice }
+    // Returns an array of { destination, departureDate, returnDate, price, currency }
+    async searchDestinations(params, options = {}) {
+        throw new Error(`${this.name} provider does not support destination search`);
+    }
+
+    // Search airports/cities by keyword.
+    // Returns an array of { code, name, city }
+    async searchLocations(keyword, limit = 5, options = {}) {
+        throw new Error(`${this.name} provider does not support location search`);
+    }
+
+    // Get the status of a single flight.
+    // Returns a normalized status object, or null when the flight is unknown
+    async getFlightStatus(carrierCode, flightNumber, date, options = {}) {
+        throw new Error(`${this.name} provider does not support flight status`);
+    }
+
+    // Verify that the provider is reachable and credentials work
+    async checkHealth() {
+        return true;
+    }
+
+    // True when offer searches accept metro-area city codes (LON, NYC) as origin or
+    // destination and answer with offers from any of the city's airports
+    supportsMetroCodes() {
+        return false;
+    }
+
+    // False while the provider is known to be failing (e.g. its circuit breaker is open)
+    isHealthy() {
+        return true;
+    }
+
+    // Rate limiter statistics, or null when the provider isn't rate limited
+    getRateLimiterStats() {
+        return null;
+    }
+
+    // Release timers or connections held by the provider
+    cleanup() {
+    }
+
+    // Convert an ISO 8601 duration (PT14H15M) into "14h 15m"
+    static formatDuration(duration) {
+        if (!duration) return "Unknown";
+
+        try {
+            // PT14H15M format - extract hours and minutes
+            const regex = /PT(?:(\d+)H)?(?:(\d+)M)?/;
+            const match = duration.match(regex);
+
+            if (!match) return duration;
+
+            const hours = match[1] ? parseInt(match[1], 10) : 0;
+            const minutes = match[2] ? parseInt(match[2], 10) : 0;
+
+            if (hours > 0 && minutes > 0) {
+                return `${hours}h ${minutes}m`;
+            } else if (hours > 0) {
+                return `${hours}h`;
+            } else if (minutes > 0) {
+                return `${minutes}m`;
+            } else {
+                return "0m";
+            }
+        } catch (error) {
+            console.error("Error formatting duration:", error);
+            return duration || "Unknown";
+        }
+    }
+
+    // Convert an ISO 8601 duration (PT1H05M, -PT10M) into minutes, or null when unreadable
+    static durationMinutes(duration) {
+        const match = String(duration || '').match(/^(-)?P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?/);
+        if (!match || !(match[2] || match[3] || match[4])) return null;
+
+        const minutes = (parseInt(match[2] || 0, 10) * 24 + parseInt(match[3] || 0, 10)) * 60 + parseInt(match[4] || 0, 10);
+        return match[1] ? -minutes : minutes;
+    }
+}
+
+module.exports = FlightProvider;
@@ -0,0 +1,141 @@
+// Keeps an ordered list of flight-data providers and runs each operation
+// against them in turn. When a provider throws or returns nothing, the next
+// one in the chain is tried, so one provider's outage does not look like
+// "no flights found" to the rest of the bot.
+class ProviderRegistry {
+    constructor(providers = []) {
+        this.providers = [];
+        providers.forEach(provider => this.register(provider));
+    }
+
+    register(provider) {
+        if (this.providers.some(p => p.name === provider.name)) {
+            throw new Error(`Provider ${provider.name} is already registered`);
+        }
+        this.providers.push(provider);
+        return this;
+    }
+
+    get(name) {
+        return this.providers.find(p => p.name === name) || null;
+    }
+
+    getProviders() {
+        return [...this.providers];
+    }
+
+    // Run `method` on each provider until one returns a non-empty result.
+    // Returns the first non-empty result, or an empty result if every provider
+    // answered but had nothing. Throws the last error if every provider failed.
+    async execute(method, args = [], isEmpty = ProviderRegistry.isEmptyResult) {
+        if (this.providers.length === 0) {
+            throw new Error('No flight data providers are configured');
+        }
+
+        let lastError = null;
+        let emptyResult;
+        let answered = false;
+
+        for (const provider of this.providers) {
+            try {
+                const result = await provider[method](...args);
+
+                if (!isEmpty(result)) {
+                    return result;
+                }
+
+                console.log(`Provider ${provider.name} returned no results for ${method}, trying next provider`);
+                answered = true;
+                emptyResult = result;
+            } catch (error) {
+                console.error(`Provider ${provider.name} failed for ${method}:`, error.message);
+                lastError = error;
+            }
+        }
+
+        if (answered) {
+            return emptyResult;
+        }
+
+        throw lastError;
+    }
+
+    async searchOffers(params, options = {}) {
+        return this.execute('searchOffers', [params, options]);
+    }
+
+    async searchMultiCity(params, options = {}) {
+        return this.execute('searchMultiCity', [params, options]);
+    }
+
+    // Offers can only be priced or inspected by the provider that returned them,
+    // so these calls have no fallback
+    providerFor(offer) {
+        const provider = this.get(offer.provider);
+        if (!provider) {
+            throw new Error(`Provider ${offer.provider} is not registered`);
+        }
+        return provider;
+    }
+
+    async priceOffer(offer, options = {}) {
+        return this.providerFor(offer).priceOffer(offer, options);
+    }
+
+    async getSeatMaps(offer, options = {}) {
+        return this.providerFor(offer).getSeatMaps(offer, options);
+    }
+
+    async searchCheapestDates(params, options = {}) {
+        return this.execute('searchCheapestDates', [params, options]);
+    }
+
+    async searchDestinations(params, options = {}) {
+        return this.execute('searchDestinations', [params, options]);
+    }
+
+    async searchLocations(keyword, limit = 5, options = {}) {
+        return this.execute('searchLocations', [keyword, limit, options]);
+    }
+
+    async getFlightStatus(carrierCode, flightNumber, date, options = {}) {
+        return this.execute('getFlightStatus', [carrierCode, flightNumber, date, options]);
+    }
+
+    // Metro codes can only be passed on when every provider in the fallback chain takes them
+    supportsMetroCodes() {
+        return this.providers.every(provider => provider.supportsMetroCodes());
+    }
+
+    // Returns { providerName: limiterStats } for rate-limited providers
+    getRateLimiterStats() {
+        const stats = {};
+        for (const provider of this.providers) {
+            const providerStats = provider.getRateLimiterStats();
+            if (providerStats) {
+                stats[provider.name] = providerStats;
+            }
+        }
+        return stats;
+    }
+
+    // Returns { providerName: true/false }
+    async checkHealth() {
+        const health = {};
+        for (const provider of this.providers) {
+            health[provider.name] = await provider.checkHealth();
+        }
+        return health;
+    }
+
+    cleanup() {
+        this.providers.forEach(provider => provider.cleanup());
+    }
+
+    static isEmptyResult(result) {
+        return result === null || result === undefined ||
+            (Array.isArray(result) && result.length === 0);
+    }
+}
+
+module.exports = ProviderRegistry;
@@ -0,0 +1,96 @@
+const { connectRedis } = require('./redisClient');
+
+// Keep month keys a little longer than a month, then let Redis drop them
+const KEY_TTL_SECONDS = 40 * 24 * 60 * 60;
+
+// Requests made against a monthly API quota, counted per calendar month (UTC).
+// With REDIS_URL the count survives restarts and is shared by every instance;
+// without it each process counts on its own from zero.
+class QuotaCounter {
+    constructor(options = {}) {
+        this.name = options.name || 'api';
+        this.redisUrl = options.redisUrl !== undefined ? options.redisUrl : process.env.REDIS_URL;
+
+        this.memory = { month: null, count: 0 };
+        this.redis = null;
+        this.redisReady = null;
+    }
+
+    currentMonth() {
+        return new Date().toISOString().slice(0, 7);
+    }
+
+    buildKey(month) {
+        return `api-quota:${this.name}:${month}`;
+    }
+
+    // Requests counted so far this month
+    async get() {
+        const month = this.currentMonth();
+        const redis = await this.getRedis();
+        if (redis) {
+            try {
+                return parseInt(await redis.get(this.buildKey(month)), 10) || 0;
+            } catch (error) {
+                console.error('Quota counter read failed:', error.message);
+            }
+        }
+
+        return this.memory.month === month ? this.memory.count : 0;
+    }
+
+    // Add to this month's count (a negative amount gives requests back) and return the new total
+    async add(amount) {
+        const month = this.currentMonth();
+        const redis = await this.getRedis();
+        if (redis) {
+            try {
+                const key = this.buildKey(month);
+                const total = await redis.incrBy(key, amount);
+                await redis.expire(key, KEY_TTL_SECONDS);
+                return total;
+            } catch (error) {
+                console.error('Quota counter write failed:', error.message);
+            }
+        }
+
+        if (this.memory.month !== month) {
+            this.memory = { month, count: 0 };
+        }
+        this.memory.count += amount;
+        return this.memory.count;
+    }
+
+    // Lazily connect to Redis; null when it isn't configured or is unreachable
+    async getRedis() {
+        if (!this.redisUrl) {
+            return null;
+        }
+
+        if (!this.redisReady) {
+            this.redisReady = connectRedis(this.redisUrl, 'API quota counter').then(client => {
+                this.redis = client;
+                if (!client) {
+                    this.redisUrl = null;
+                }
+                return client;
+            });
+        }
+
+        return this.redisReady;
+    }
+
+    getBackend() {
+        return this.redis ? 'redis' : 'memory';
+    }
+
+    async close() {
+        if (this.redis) {
+            await this.redis.quit();
+            this.redis = null;
+            this.redisReady = null;
+        }
+    }
+}
+
+module.exports = QuotaCounter;
@@ -0,0 +1,214 @@
+// Token-bucket rate limiter with separate priority queues.
+//
+// Interactive work (a user waiting in chat) is always served before background
+// work (scheduled alert and flight checks), so a long batch never delays a search.
+// An optional monthly quota keeps part of the allowance for interactive requests; it is
+// counted in Redis when REDIS_URL is set, so it holds across restarts and instances.
+const { RateLimitedError } = require('./errors');
+const QuotaCounter = require('./quotaCounter');
+
+const PRIORITIES = ['interactive', 'background'];
+
+class RateLimiter {
+    constructor(options = {}) {
+        this.name = options.name || 'api';
+        this.ratePerSecond = options.ratePerSecond || 5;
+        this.burst = options.burst || this.ratePerSecond;
+
+        // 0 disables the monthly quota
+        this.monthlyQuota = options.monthlyQuota || 0;
+        // Share of the monthly quota background work may use; the rest is kept for users
+        this.backgroundQuotaShare = options.backgroundQuotaShare !== undefined ? options.backgroundQuotaShare : 0.9;
+        // Whether a failed request still used up quota; requests the API turned away
+        // (e.g. a 429 that is retried) can be given back
+        this.isBillable = options.isBillable || (() => true);
+        this.counter = options.counter || new QuotaCounter({ name: this.name });
+
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.timer = null;
+
+        this.queues = {};
+        this.stats = {};
+        PRIORITIES.forEach(priority => {
+            this.queues[priority] = [];
+            this.stats[priority] = { served: 0, rejected: 0, maxWaitMs: 0 };
+        });
+
+        this.month = this.currentMonth();
+        // This instance's view of the month's usage; refreshed from the shared count
+        // whenever it changes
+        this.monthlyUsed = 0;
+        this.quotaLoaded = null;
+    }
+
+    // Queue a task; resolves with the task's result once a token is available
+    async schedule(task, priority = 'background') {
+        if (!this.queues[priority]) {
+            priority = 'background';
+        }
+
+        await this.loadQuota();
+
+        return new Promise((resolve, reject) => {
+            this.queues[priority].push({ task, resolve, reject, priority, queuedAt: Date.now() });
+            this.drain();
+        });
+    }
+
+    // Pick up the month's usage so far (other instances, earlier runs) before the first request
+    loadQuota() {
+        if (!this.monthlyQuota) {
+            return Promise.resolve();
+        }
+
+        if (!this.quotaLoaded) {
+            this.quotaLoaded = this.counter.get()
+                .then(count => {
+                    this.monthlyUsed = Math.max(this.monthlyUsed, count);
+                })
+                .catch(error => console.error(`Could not load ${this.name} quota usage:`, error.message));
+        }
+
+        return this.quotaLoaded;
+    }
+
+    // Count requests against the monthly quota (a negative amount gives them back)
+    recordUsage(amount) {
+        this.monthlyUsed += amount;
+
+        if (this.monthlyQuota) {
+            this.counter.add(amount)
+                .then(total => {
+                    this.monthlyUsed = total;
+                })
+                .catch(error => console.error(`Could not record ${this.name} quota usage:`, error.message));
+        }
+    }
+
+    drain() {
+        if (this.timer) {
+            return;
+        }
+
+        while (true) {
+            const job = this.nextJob();
+            if (!job) {
+                return;
+            }
+
+            const quotaError = this.checkQuota(job.priority);
+            if (quotaError) {
+                this.dequeue(job);
+                this.stats[job.priority].rejected++;
+                job.reject(quotaError);
+                continue;
+            }
+
+            this.refill();
+            if (this.tokens < 1) {
+                // Wait until the next token is available
+                const waitMs = Math.ceil((1 - this.tokens) * 1000 / this.ratePerSecond);
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.drain();
+                }, waitMs);
+                return;
+            }
+
+            this.tokens -= 1;
+            this.recordUsage(1);
+            this.dequeue(job);
+
+            const stats = this.stats[job.priority];
+            stats.served++;
+            stats.maxWaitMs = Math.max(stats.maxWaitMs, Date.now() - job.queuedAt);
+
+            Promise.resolve()
+                .then(job.task)
+                .then(job.resolve, error => {
+                    if (!this.isBillable(error)) {
+                        this.recordUsage(-1);
+                    }
+                    job.reject(error);
+                });
+        }
+    }
+
+    nextJob() {
+        for (const priority of PRIORITIES) {
+            if (this.queues[priority].length > 0) {
+                return this.queues[priority][0];
+            }
+        }
+        return null;
+    }
+
+    dequeue(job) {
+        this.queues[job.priority].shift();
+    }
+
+    refill() {
+        const now = Date.now();
+        const elapsedSeconds = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.burst, this.tokens + elapsedSeconds * this.ratePerSecond);
+        this.lastRefill = now;
+    }
+
+    // Returns an error when the monthly quota doesn't allow another request at this priority
+    checkQuota(priority) {
+        if (!this.monthlyQuota) {
+            return null;
+        }
+
+        const month = this.currentMonth();
+        if (month !== this.month) {
+            this.month = month;
+            this.monthlyUsed = 0;
+        }
+
+        const limit = priority === 'interactive'
+            ? this.monthlyQuota
+            : Math.floor(this.monthlyQuota * this.backgroundQuotaShare);
+
+        if (this.monthlyUsed < limit) {
+            return null;
+        }
+
+        return new RateLimitedError(`${this.name} monthly quota exhausted for ${priority} requests (${this.monthlyUsed}/${this.monthlyQuota})`, {
+            provider: this.name,
+            quotaExceeded: true
+        });
+    }
+
+    currentMonth() {
+        return new Date().toISOString().slice(0, 7);
+    }
+
+    getStats() {
+        const stats = {
+            ratePerSecond: this.ratePerSecond,
+            monthlyQuota: this.monthlyQuota || null,
+            monthlyUsed: this.monthlyUsed,
+            month: this.month,
+            quotaBackend: this.counter.getBackend()
+        };
+
+        PRIORITIES.forEach(priority => {
+            stats[priority] = {
+                queued: this.queues[priority].length,
+                ...this.stats[priority]
+            };
+        });
+
+        return stats;
+    }
+
+    async close() {
+        await this.counter.close();
+    }
+}
+
+RateLimiter.PRIORITIES = PRIORITIES;
+
+module.exports = RateLimiter;
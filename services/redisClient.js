@@ -0,0 +1,20 @@
+const { createClient } = require('redis');
+
+// Connect to Redis for one purpose (the search cache, the API quota, ...). Resolves with
+// the client, or null when the server is unreachable so the caller can fall back to memory.
+async function connectRedis(url, purpose) {
+    try {
+        const client = createClient({ url });
+        client.on('error', (error) => console.error(`Redis ${purpose} error:`, error.message));
+        await client.connect();
+        console.log(`${purpose} connected to Redis`);
+        return client;
+    } catch (error) {
+        console.error(`Could not connect to Redis, keeping the ${purpose} in memory:`, error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    connectRedis
+};
@@ -0,0 +1,176 @@
+const { connectRedis } = require('./redisClient');
+
+// TTL cache for flight-offer searches, shared by every caller of FlightAPI.searchFlights.
+// Entries live in memory by default; set REDIS_URL to share them between instances.
+class SearchCache {
+    constructor(options = {}) {
+        // Seconds a search result stays fresh (SEARCH_CACHE_TTL, default 15 minutes)
+        this.ttl = options.ttl || parseInt(process.env.SEARCH_CACHE_TTL, 10) || 900;
+        this.maxEntries = options.maxEntries || 500;
+        this.redisUrl = options.redisUrl !== undefined ? options.redisUrl : process.env.REDIS_URL;
+
+        this.memory = new Map();
+        this.inFlight = new Map();
+        this.redis = null;
+        this.redisReady = null;
+
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            errors: 0
+        };
+    }
+
+    // Build a stable key from search parameters, ignoring empty values
+    buildKey(params) {
+        const parts = Object.keys(params)
+            .sort()
+            .filter(key => params[key] !== null && params[key] !== undefined && params[key] !== '')
+            .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`);
+
+        return `flight-offers:${parts.join('&')}`;
+    }
+
+    // Return the cached value for params, or call fetcher and cache what it returns.
+    // Concurrent calls with the same params share one fetch.
+    async wrap(params, fetcher) {
+        const key = this.buildKey(params);
+
+        const cached = await this.get(key);
+        if (cached !== null) {
+            this.stats.hits++;
+            return cached;
+        }
+
+        if (this.inFlight.has(key)) {
+            this.stats.hits++;
+            return this.inFlight.get(key);
+        }
+
+        this.stats.misses++;
+
+        const pending = (async () => {
+            try {
+                const result = await fetcher();
+
+                // Don't cache empty results, the next search may be luckier
+                if (Array.isArray(result) && result.length > 0) {
+                    await this.set(key, result);
+                }
+
+                return result;
+            } finally {
+                this.inFlight.delete(key);
+            }
+        })();
+
+        this.inFlight.set(key, pending);
+        return pending;
+    }
+
+    async get(key) {
+        const redis = await this.getRedis();
+        if (redis) {
+            try {
+                const value = await redis.get(key);
+                return value ? JSON.parse(value) : null;
+            } catch (error) {
+                this.stats.errors++;
+                console.error('Search cache read failed:', error.message);
+            }
+        }
+
+        const entry = this.memory.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+            this.memory.delete(key);
+            return null;
+        }
+
+        return entry.value;
+    }
+
+    async set(key, value) {
+        const redis = await this.getRedis();
+        if (redis) {
+            try {
+                await redis.set(key, JSON.stringify(value), { EX: this.ttl });
+                return;
+            } catch (error) {
+                this.stats.errors++;
+                console.error('Search cache write failed:', error.message);
+            }
+        }
+
+        // Evict the oldest entries once we reach the size limit
+        while (this.memory.size >= this.maxEntries) {
+            const oldestKey = this.memory.keys().next().value;
+            this.memory.delete(oldestKey);
+        }
+
+        this.memory.set(key, {
+            value,
+            expiresAt: Date.now() + this.ttl * 1000
+        });
+    }
+
+    async clear() {
+        this.memory.clear();
+
+        const redis = await this.getRedis();
+        if (redis) {
+            for await (const key of redis.scanIterator({ MATCH: 'flight-offers:*' })) {
+                await redis.del(key);
+            }
+        }
+    }
+
+    // Lazily connect to Redis. Returns null when Redis isn't configured or is unreachable,
+    // in which case the in-memory cache is used instead.
+    async getRedis() {
+        if (!this.redisUrl) {
+            return null;
+        }
+
+        if (!this.redisReady) {
+            this.redisReady = connectRedis(this.redisUrl, 'search cache').then(client => {
+                this.redis = client;
+                if (!client) {
+                    this.redisUrl = null;
+                }
+                return client;
+            });
+        }
+
+        return this.redisReady;
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+
+        return {
+            backend: this.redis ? 'redis' : 'memory',
+            ttlSeconds: this.ttl,
+            entries: this.redis ? null : this.memory.size,
+            hits: this.stats.hits,
+            misses: this.stats.misses,
+            errors: this.stats.errors,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 10 : 0,
+            // Every hit is one flight-offers request we didn't have to make
+            apiCallsSaved: this.stats.hits
+        };
+    }
+
+    async close() {
+        if (this.redis) {
+            await this.redis.quit();
+            this.redis = null;
+            this.redisReady = null;
+        }
+    }
+}
+
+module.exports = SearchCache;
@@ -0,0 +1,55 @@
+// Short-lived store for search context referenced from inline buttons.
+//
+// Telegram limits callback_data to 64 bytes, which is too small for a route plus
+// passengers, cabin and filters. Buttons carry a short session id instead and the
+// handler looks the search up here. Sessions are kept in memory only, so buttons
+// older than the TTL (or a restart) ask the user to search again.
+const crypto = require('crypto');
+
+class SearchSessions {
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || 6 * 60 * 60 * 1000;
+        this.maxEntries = options.maxEntries || 1000;
+        this.sessions = new Map();
+    }
+
+    // Store data and return its session id
+    save(data) {
+        this.prune();
+
+        const id = crypto.randomBytes(5).toString('hex');
+        this.sessions.set(id, { data, expiresAt: Date.now() + this.ttlMs });
+        return id;
+    }
+
+    // Returns the stored data, or null when the session is unknown or expired
+    get(id) {
+        const session = this.sessions.get(id);
+        if (!session) {
+            return null;
+        }
+
+        if (session.expiresAt <= Date.now()) {
+            this.sessions.delete(id);
+            return null;
+        }
+
+        return session.data;
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [id, session] of this.sessions) {
+            if (session.expiresAt <= now) {
+                this.sessions.delete(id);
+            }
+        }
+
+        // Maps iterate in insertion order, so the oldest sessions go first
+        while (this.sessions.size >= this.maxEntries) {
+            this.sessions.delete(this.sessions.keys().next().value);
+        }
+    }
+}
+
+module.exports = SearchSessions;
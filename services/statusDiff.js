@@ -0,0 +1,136 @@
+// Field-by-field differences between two normalized flight statuses, as the short
+// lines of a status-change notification ("Gate changed B12 → C4")
+const { describeAirport } = require('./airports');
+const { describeDelay, describeFlightStatus, expectedTime } = require('./flightStatus');
+const { formatLocalTime, formatMinutes, minutesBetween } = require('./timezones');
+
+// Times moving by this many minutes or less are not worth a message
+const TIME_CHANGE_THRESHOLD_MINUTES = 10;
+
+// Whether a change type rings the user's phone ('audible') or arrives quietly ('silent').
+// Anything that changes when or where to be at the departure airport is audible.
+const CHANGE_URGENCY = {
+    cancelled: 'audible',
+    diverted: 'audible',
+    flightNumber: 'audible',
+    schedule: 'audible',
+    departureTime: 'audible',
+    departureTerminal: 'audible',
+    departureGate: 'audible',
+    departed: 'silent',
+    arrivalTime: 'silent',
+    arrivalTerminal: 'silent',
+    arrivalGate: 'silent',
+    landed: 'silent',
+    status: 'silent'
+};
+
+function change(type, text) {
+    return { type, urgency: CHANGE_URGENCY[type], text };
+}
+
+// "45 min" or "1h 10m"
+function formatShift(minutes) {
+    const amount = Math.abs(minutes);
+    return amount >= 60 ? formatMinutes(amount) : `${amount} min`;
+}
+
+// Minutes a time moved from one status to the next, or null when it didn't move enough
+function timeShift(previousTime, currentTime, airport) {
+    const minutes = minutesBetween({ at: previousTime, airport }, { at: currentTime, airport });
+    return minutes !== null && Math.abs(minutes) > TIME_CHANGE_THRESHOLD_MINUTES ? minutes : null;
+}
+
+// "Gate changed B12 → C4" or "Gate C4 assigned"; null when unchanged or no longer reported
+function describeValueChange(label, previousValue, currentValue) {
+    if (!currentValue || currentValue === previousValue) return null;
+    return previousValue ? `${label} changed ${previousValue} → ${currentValue}` : `${label} ${currentValue} assigned`;
+}
+
+// Changes from the previous status to the current one, most important first:
+// [{ type, urgency, text }], where type is a key of CHANGE_URGENCY. Empty when nothing
+// worth telling the user changed.
+function diffFlightStatus(previous, current) {
+    if (current.status === 'CANCELLED') {
+        return previous.status === 'CANCELLED' ? [] : [change('cancelled', '❌ Flight cancelled')];
+    }
+
+    const changes = [];
+    const departureAirport = current.departureAirport;
+    const arrivalAirport = current.divertedTo || current.arrivalAirport;
+
+    if (current.divertedTo && current.divertedTo !== previous.divertedTo) {
+        changes.push(change('diverted', `↪️ Diverted to ${describeAirport(current.divertedTo)}`));
+    }
+
+    const previousFlight = `${previous.flightDesignator.carrierCode}${previous.flightDesignator.flightNumber}`;
+    const currentFlight = `${current.flightDesignator.carrierCode}${current.flightDesignator.flightNumber}`;
+    if (currentFlight !== previousFlight) {
+        changes.push(change('flightNumber', `🔢 Flight number changed ${previousFlight} → ${currentFlight}`));
+    }
+
+    // A new schedule moves the expected times with it, so those are only compared when
+    // the schedule stayed put
+    const departureRescheduled = timeShift(previous.scheduledDepartureTime, current.scheduledDepartureTime, departureAirport) !== null;
+    const arrivalRescheduled = timeShift(previous.scheduledArrivalTime, current.scheduledArrivalTime, current.arrivalAirport) !== null;
+    if (departureRescheduled || arrivalRescheduled) {
+        const departure = formatLocalTime(current.scheduledDepartureTime, departureAirport, { withDate: true });
+        const arrival = formatLocalTime(current.scheduledArrivalTime, current.arrivalAirport, { withDate: true });
+        changes.push(change('schedule', `🗓 Schedule changed: departs ${departure}, arrives ${arrival}`));
+    }
+
+    if (current.actualDepartureTime && !previous.actualDepartureTime) {
+        const departed = formatLocalTime(current.actualDepartureTime, departureAirport);
+        changes.push(change('departed', `🛫 Departed ${departed} (${describeDelay(current.departureDelayMinutes)})`));
+    } else if (!departureRescheduled && !current.actualDepartureTime) {
+        const shift = timeShift(expectedTime(previous, 'Departure'), expectedTime(current, 'Departure'), departureAirport);
+        if (shift !== null) {
+            const now = formatLocalTime(expectedTime(current, 'Departure'), departureAirport);
+            const text = shift > 0 ? `Departure delayed ${formatShift(shift)}` : `Departure moved ${formatShift(shift)} earlier`;
+            changes.push(change('departureTime', `🕒 ${text}, now ${now}`));
+        }
+    }
+
+    if (current.actualArrivalTime && !previous.actualArrivalTime) {
+        const landed = formatLocalTime(current.actualArrivalTime, arrivalAirport);
+        const delay = current.divertedTo ? '' : ` (${describeDelay(current.arrivalDelayMinutes)})`;
+        changes.push(change('landed', `🛬 Landed at ${arrivalAirport} ${landed}${delay}`));
+    } else if (!arrivalRescheduled && !current.actualArrivalTime && !current.divertedTo) {
+        const previousArrival = expectedTime(previous, 'Arrival');
+        const shift = timeShift(previousArrival, expectedTime(current, 'Arrival'), arrivalAirport);
+        if (shift !== null) {
+            const now = formatLocalTime(expectedTime(current, 'Arrival'), arrivalAirport);
+            const was = formatLocalTime(previousArrival, arrivalAirport);
+            changes.push(change('arrivalTime', `🕒 Arrival now expected ${now} (was ${was})`));
+        }
+    }
+
+    [
+        ['departureTerminal', 'Terminal', previous.departureTerminal, current.departureTerminal],
+        ['departureGate', 'Gate', previous.departureGate, current.departureGate],
+        ['arrivalTerminal', 'Arrival terminal', previous.terminal, current.terminal],
+        ['arrivalGate', 'Arrival gate', previous.gate, current.gate]
+    ].forEach(([type, label, previousValue, currentValue]) => {
+        const text = describeValueChange(label, previousValue, currentValue);
+        if (text) changes.push(change(type, `🚪 ${text}`));
+    });
+
+    // e.g. a delay made up again within the threshold
+    if (changes.length === 0 && current.status !== previous.status) {
+        changes.push(change('status', `📊 Status: ${describeFlightStatus(previous)} → ${describeFlightStatus(current)}`));
+    }
+
+    return changes;
+}
+
+// True when any of the changes should notify the user with sound
+function isAudible(changes) {
+    return changes.some(item => item.urgency === 'audible');
+}
+
+module.exports = {
+    CHANGE_URGENCY,
+    TIME_CHANGE_THRESHOLD_MINUTES,
+    diffFlightStatus,
+    isAudible
+};
@@ -0,0 +1,132 @@
+// Airport-local times using the IANA zones in data/airports.js.
+// Flight offers give times without an offset ("2024-12-01T09:15:00"), already local to
+// their airport; flight status times carry one ("2024-12-01T09:15+05:30").
+const { getAirport, getMetroArea } = require('./airports');
+
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+// IANA zone of an airport (a metro code uses its main airport), or null when unknown
+function getAirportTimezone(code) {
+    const area = getMetroArea(code);
+    return getAirport(area ? area.airports[0] : code)?.timezone || null;
+}
+
+// Minutes the zone is ahead of UTC at an instant
+function zoneOffsetMinutes(timezone, instant) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(instant).forEach(part => {
+        parts[part.type] = parseInt(part.value, 10);
+    });
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - instant.getTime()) / 60000);
+}
+
+// Minutes of an explicit offset ("+05:30", "Z")
+function parseOffset(dateTime) {
+    const offset = dateTime.match(OFFSET_PATTERN)[1];
+    if (offset.toUpperCase() === 'Z') return 0;
+    const [, sign, hours, minutes] = offset.match(/([+-])(\d{2}):?(\d{2})/);
+    return (sign === '-' ? -1 : 1) * (parseInt(hours, 10) * 60 + parseInt(minutes, 10));
+}
+
+// A time without an offset read as UTC, so its UTC fields are its wall-clock time
+function wallClockAsUtc(dateTime) {
+    const date = new Date(`${dateTime.length === 10 ? `${dateTime}T00:00` : dateTime}Z`);
+    return isNaN(date) ? null : date;
+}
+
+// The actual instant of a time at an airport, or null when it can't be read.
+// Without a known zone an offset-less time is taken as UTC.
+function toInstant(dateTime, airportCode) {
+    if (!dateTime) return null;
+    if (OFFSET_PATTERN.test(dateTime)) {
+        const date = new Date(dateTime);
+        return isNaN(date) ? null : date;
+    }
+
+    const wallClock = wallClockAsUtc(dateTime);
+    const timezone = getAirportTimezone(airportCode);
+    if (!wallClock || !timezone) return wallClock;
+
+    // The offset can change across a DST switch, so check it again at the result
+    const guess = new Date(wallClock.getTime() - zoneOffsetMinutes(timezone, wallClock) * 60000);
+    return new Date(wallClock.getTime() - zoneOffsetMinutes(timezone, guess) * 60000);
+}
+
+// Wall-clock time at the airport as a Date whose UTC fields hold it, or null
+function toLocalWallClock(dateTime, airportCode) {
+    if (!dateTime) return null;
+    if (!OFFSET_PATTERN.test(dateTime)) return wallClockAsUtc(dateTime);
+
+    const instant = new Date(dateTime);
+    if (isNaN(instant)) return null;
+
+    const timezone = getAirportTimezone(airportCode);
+    const offset = timezone ? zoneOffsetMinutes(timezone, instant) : parseOffset(dateTime);
+    return new Date(instant.getTime() + offset * 60000);
+}
+
+// "2024-12-01T09:15" in the airport's local time, or null
+function localDateTime(dateTime, airportCode) {
+    const local = toLocalWallClock(dateTime, airportCode);
+    return local ? local.toISOString().slice(0, 16) : null;
+}
+
+// Calendar days from one airport-local date to another, e.g. 1 for an overnight arrival
+function dayOffset(from, to) {
+    const start = localDateTime(from.at, from.airport);
+    const end = localDateTime(to.at, to.airport);
+    if (!start || !end) return 0;
+    return Math.round((Date.parse(`${end.slice(0, 10)}T00:00Z`) - Date.parse(`${start.slice(0, 10)}T00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+// Real minutes between times at two airports, e.g. a layover; null when either is unknown
+function minutesBetween(from, to) {
+    const start = toInstant(from.at, from.airport);
+    const end = toInstant(to.at, to.airport);
+    if (!start || !end) return null;
+    return Math.round((end - start) / 60000);
+}
+
+// "2h 05m"
+function formatMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return `${hours}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+// "09:15", or "Sun, Dec 1, 09:15" with withDate. Pass `from` ({ at, airport } of the
+// departure) to mark arrivals on a later day: "01:40 +1". Null when the time is unknown.
+function formatLocalTime(dateTime, airportCode, options = {}) {
+    const { withDate = false, from = null } = options;
+    const local = toLocalWallClock(dateTime, airportCode);
+    if (!local) return null;
+
+    let text = local.toISOString().slice(11, 16);
+    if (withDate) {
+        const date = local.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+        text = `${date}, ${text}`;
+    }
+
+    const days = from ? dayOffset(from, { at: dateTime, airport: airportCode }) : 0;
+    return days !== 0 ? `${text} ${days > 0 ? '+' : ''}${days}` : text;
+}
+
+module.exports = {
+    getAirportTimezone,
+    toInstant,
+    localDateTime,
+    dayOffset,
+    minutesBetween,
+    formatMinutes,
+    formatLocalTime
+};
@@ -0,0 +1,39 @@
+const { findAirports, isUnambiguous } = require('../services/airports');
+
+describe('findAirports', () => {
+    test('finds a city by its other name', () => {
+        const results = findAirports('bengaluru');
+        expect(results[0].code).toBe('BLR');
+        expect(isUnambiguous(results)).toBe(true);
+    });
+
+    test('ranks an exact code first', () => {
+        const results = findAirports('del');
+        expect(results[0].code).toBe('DEL');
+        expect(isUnambiguous(results)).toBe(true);
+    });
+
+    test('fixes a misspelt city', () => {
+        expect(findAirports('frankfrut')[0].code).toBe('FRA');
+    });
+
+    test('narrows a city to a country', () => {
+        expect(findAirports('london, canada').every(airport => airport.country === 'Canada')).toBe(true);
+    });
+});
+
+describe('isUnambiguous', () => {
+    test('asks when a code is also the name of another city', () => {
+        const results = findAirports('goa');
+        expect(results.map(airport => airport.code)).toEqual(expect.arrayContaining(['GOA', 'GOI']));
+        expect(isUnambiguous(results)).toBe(false);
+    });
+
+    test('asks when a city has several airports', () => {
+        expect(isUnambiguous(findAirports('london'))).toBe(false);
+    });
+
+    test('is false without results', () => {
+        expect(isUnambiguous([])).toBe(false);
+    });
+});
@@ -0,0 +1,75 @@
+const CircuitBreaker = require('../services/circuitBreaker');
+const { UpstreamUnavailableError, RateLimitedError, InvalidRequestError } = require('../services/errors');
+
+function outage() {
+    return Promise.reject(new UpstreamUnavailableError('down'));
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('CircuitBreaker', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('opens after the failure threshold and then fails fast', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 2 });
+        await expect(breaker.execute(outage)).rejects.toThrow('down');
+        await expect(breaker.execute(outage)).rejects.toThrow('down');
+
+        const request = jest.fn();
+        await expect(breaker.execute(request)).rejects.toBeInstanceOf(UpstreamUnavailableError);
+        expect(request).not.toHaveBeenCalled();
+        expect(breaker.getStats().state).toBe('OPEN');
+        expect(breaker.isHealthy()).toBe(false);
+    });
+
+    test('does not count rejected requests or our own quota as outages', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1 });
+        await expect(breaker.execute(() => Promise.reject(new InvalidRequestError('bad date'))))
+            .rejects.toBeInstanceOf(InvalidRequestError);
+        await expect(breaker.execute(() => Promise.reject(new RateLimitedError('quota', { quotaExceeded: true }))))
+            .rejects.toBeInstanceOf(RateLimitedError);
+
+        expect(breaker.getStats()).toMatchObject({ state: 'CLOSED', failures: 0 });
+    });
+
+    test('counts provider rate limiting as an outage', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1 });
+        await expect(breaker.execute(() => Promise.reject(new RateLimitedError('slow down'))))
+            .rejects.toBeInstanceOf(RateLimitedError);
+
+        expect(breaker.getStats().state).toBe('OPEN');
+    });
+
+    test('lets one trial through after the reset timeout and closes when it works', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 5 });
+        await expect(breaker.execute(outage)).rejects.toThrow('down');
+        await wait(10);
+
+        expect(breaker.isHealthy()).toBe(true);
+        expect(breaker.allowRequest()).toBe(true);
+        expect(breaker.allowRequest()).toBe(false);
+
+        breaker.recordSuccess();
+        expect(breaker.getStats()).toMatchObject({ state: 'CLOSED', failures: 0 });
+    });
+
+    test('opens again when the trial fails', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 5 });
+        for (let attempt = 0; attempt < 3; attempt++) {
+            await expect(breaker.execute(outage)).rejects.toThrow('down');
+        }
+        await wait(10);
+
+        await expect(breaker.execute(outage)).rejects.toThrow('down');
+        expect(breaker.getStats().state).toBe('OPEN');
+    });
+});
@@ -0,0 +1,77 @@
+const { assessConnection } = require('../services/connections');
+
+// Normalized status of one flight; times are local to its airports
+function flight(departureAirport, arrivalAirport, departure, arrival, overrides = {}) {
+    return {
+        departureAirport,
+        arrivalAirport,
+        scheduledDepartureTime: departure,
+        scheduledArrivalTime: arrival,
+        estimatedDepartureTime: null,
+        estimatedArrivalTime: null,
+        actualDepartureTime: null,
+        actualArrivalTime: null,
+        divertedTo: null,
+        status: 'SCHEDULED',
+        ...overrides
+    };
+}
+
+// Arrives at BOM 08:10 local
+const inbound = flight('DEL', 'BOM', '2026-12-01T06:00+05:30', '2026-12-01T08:10+05:30');
+
+describe('assessConnection', () => {
+    test('is fine with enough time for a domestic connection', () => {
+        const outbound = flight('BOM', 'BLR', '2026-12-01T10:00+05:30', '2026-12-01T11:45+05:30');
+
+        expect(assessConnection(inbound, outbound)).toMatchObject({
+            airport: 'BOM',
+            international: false,
+            layoverMinutes: 110,
+            scheduledLayoverMinutes: 110,
+            minimumMinutes: 75,
+            risk: 'OK',
+            cause: null
+        });
+    });
+
+    test('needs the international minimum when the next flight leaves the country', () => {
+        const outbound = flight('BOM', 'DXB', '2026-12-01T10:00+05:30', '2026-12-01T11:45+04:00');
+
+        expect(assessConnection(inbound, outbound)).toMatchObject({
+            international: true,
+            minimumMinutes: 120,
+            risk: 'IMPOSSIBLE',
+            cause: null
+        });
+    });
+
+    test('blames a late inbound flight for a tight connection', () => {
+        const late = { ...inbound, estimatedArrivalTime: '2026-12-01T08:35+05:30' };
+        const outbound = flight('BOM', 'BLR', '2026-12-01T10:00+05:30', '2026-12-01T11:45+05:30');
+
+        expect(assessConnection(late, outbound)).toMatchObject({
+            layoverMinutes: 85,
+            risk: 'TIGHT',
+            cause: 'inbound',
+            inboundDelayMinutes: 25,
+            outboundAdvanceMinutes: 0
+        });
+    });
+
+    test('cannot be made when the inbound flight is cancelled', () => {
+        const cancelled = { ...inbound, status: 'CANCELLED' };
+        const outbound = flight('BOM', 'BLR', '2026-12-01T10:00+05:30', '2026-12-01T11:45+05:30');
+
+        expect(assessConnection(cancelled, outbound)).toMatchObject({
+            layoverMinutes: null,
+            risk: 'IMPOSSIBLE',
+            cause: 'inbound'
+        });
+    });
+
+    test('is unknown until both times are known', () => {
+        const outbound = flight('BOM', 'BLR', null, null);
+        expect(assessConnection(inbound, outbound)).toBeNull();
+    });
+});
@@ -0,0 +1,28 @@
+const { RateLimitedError, InvalidRequestError, UpstreamUnavailableError, fromAxiosError } = require('../services/errors');
+
+function axiosError(status, headers = {}) {
+    return { message: `Request failed with status code ${status}`, response: { status, data: {}, headers } };
+}
+
+describe('fromAxiosError', () => {
+    test('keeps a Retry-After of zero', () => {
+        const error = fromAxiosError(axiosError(429, { 'retry-after': '0' }), 'amadeus');
+
+        expect(error).toBeInstanceOf(RateLimitedError);
+        expect(error.retryAfterMs).toBe(0);
+        expect(error.retryable).toBe(true);
+    });
+
+    test('reads Retry-After in seconds', () => {
+        expect(fromAxiosError(axiosError(429, { 'retry-after': '2' })).retryAfterMs).toBe(2000);
+    });
+
+    test('retries outages but not rejected requests', () => {
+        expect(fromAxiosError(axiosError(503))).toBeInstanceOf(UpstreamUnavailableError);
+        expect(fromAxiosError(axiosError(503)).retryable).toBe(true);
+        expect(fromAxiosError({ message: 'socket hang up' }).retryable).toBe(true);
+
+        expect(fromAxiosError(axiosError(400))).toBeInstanceOf(InvalidRequestError);
+        expect(fromAxiosError(axiosError(400)).retryable).toBe(false);
+    });
+});
@@ -0,0 +1,116 @@
+// FlightAPI against the recorded-fixture Amadeus stand-in (scripts/amadeus_stub_server.js)
+const createStubServer = require('../scripts/amadeus_stub_server');
+const FlightAPI = require('../services/flightAPI');
+const AmadeusProvider = require('../services/providers/amadeusProvider');
+const { loadAmadeusConfig } = require('../services/providers/amadeusConfig');
+const { InvalidRequestError } = require('../services/errors');
+
+describe('FlightAPI with the Amadeus stub', () => {
+    let server;
+    let api;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        server = createStubServer().listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+
+        const config = loadAmadeusConfig('local', { AMADEUS_STUB_PORT: server.address().port });
+        api = new FlightAPI([new AmadeusProvider({ config })]);
+    });
+
+    afterAll(async () => {
+        api.cleanup();
+        await new Promise(resolve => server.close(resolve));
+        jest.restoreAllMocks();
+    });
+
+    test('finds one-way offers', async () => {
+        const offers = await api.searchFlights('DEL', 'BOM', '2026-12-01');
+
+        expect(offers.length).toBeGreaterThan(0);
+        expect(offers[0]).toMatchObject({ provider: 'amadeus', airline: 'AI', stops: 0 });
+        expect(offers[0].segments[0].departure.airport).toBe('DEL');
+    });
+
+    test('reads a flight status from the schedule fixtures', async () => {
+        const status = await api.getFlightStatus('AI', '101', '2026-12-01');
+        expect(status).toMatchObject({ departureAirport: 'DEL', arrivalAirport: 'BOM', departureGate: '42' });
+    });
+
+    test('answers a repeated search from the cache', async () => {
+        await api.searchFlights('DEL', 'LHR', '2026-12-01', '2026-12-10');
+        const used = api.getRateLimiterStats().amadeus.monthlyUsed;
+
+        const offers = await api.searchFlights('DEL', 'LHR', '2026-12-01', '2026-12-10');
+        expect(offers.length).toBeGreaterThan(0);
+        expect(api.getRateLimiterStats().amadeus.monthlyUsed).toBe(used);
+    });
+
+    test('searches multi-city trips with one itinerary per leg', async () => {
+        const offers = await api.searchMultiCity([
+            { origin: 'DEL', destination: 'BOM', departureDate: '2026-12-01' },
+            { origin: 'BOM', destination: 'DXB', departureDate: '2026-12-05' }
+        ]);
+
+        expect(offers.length).toBeGreaterThan(0);
+        offers.forEach(offer => expect(offer.itineraries).toHaveLength(2));
+    });
+
+    test('confirms the price of one-way and multi-city offers', async () => {
+        const [offer] = await api.searchFlights('DEL', 'BOM', '2026-12-01');
+        const [multiCityOffer] = await api.searchMultiCity([
+            { origin: 'DEL', destination: 'BOM', departureDate: '2026-12-01' },
+            { origin: 'BOM', destination: 'DXB', departureDate: '2026-12-05' }
+        ]);
+
+        await expect(api.confirmOfferPrice(offer)).resolves.toMatchObject({ available: true });
+        await expect(api.confirmOfferPrice(multiCityOffer)).resolves.toMatchObject({ available: true });
+    });
+
+    test('fetches the seat maps of an offer', async () => {
+        const [offer] = await api.searchFlights('DEL', 'BOM', '2026-12-01');
+        const seatMaps = await api.getSeatMaps(offer);
+
+        expect(seatMaps).toHaveLength(offer.segments.length);
+    });
+
+    test('reports a delayed flight', async () => {
+        const status = await api.getFlightStatus('AI', '102', '2026-12-01');
+
+        expect(status.status).toBe('DELAYED');
+        expect(status.departureDelayMinutes).toBeGreaterThanOrEqual(15);
+    });
+
+    test('reports a landed flight', async () => {
+        const status = await api.getFlightStatus('AI', '103', '2026-12-01');
+        expect(status.status).toBe('LANDED');
+    });
+
+    test('prices only the dates closest to a round trip, at background priority', async () => {
+        const before = api.getRateLimiterStats().amadeus;
+        // Two adults rule out the cheapest-date search, so each cell is an offer search
+        const grid = await api.searchFlexibleDates('DEL', 'SIN', '2026-12-01', '2026-12-10', { adults: 2 });
+        const after = api.getRateLimiterStats().amadeus;
+
+        expect(grid).toMatchObject({ source: 'offers', partial: true });
+        expect(Object.keys(grid.cells).length).toBeLessThanOrEqual(9);
+        expect(grid.cells['2026-12-01|2026-12-10']).toBeDefined();
+        expect(after.background.served - before.background.served).toBe(9);
+        expect(after.interactive.served).toBe(before.interactive.served);
+    });
+
+    test('names the traveller count that is wrong', async () => {
+        await expect(api.searchFlights('DEL', 'BOM', '2026-12-01', null, { children: -1 }))
+            .rejects.toThrow(new InvalidRequestError('Number of children can\'t be negative.'));
+        expect(() => api.normalizeSearchOptions({ infants: -1 })).toThrow('Number of infants can\'t be negative.');
+        expect(() => api.normalizeSearchOptions({ children: 'two' })).toThrow('Number of children must be a whole number.');
+        expect(() => api.normalizeSearchOptions({ adults: 2, infants: 3 })).toThrow('Each infant must travel with an adult.');
+    });
+
+    test('rejects zero adults and a zero maximum price instead of defaulting them', () => {
+        expect(() => api.normalizeSearchOptions({ adults: 0, infants: 1 })).toThrow('At least one adult is required.');
+        expect(() => api.normalizeSearchOptions({ maxPrice: 0 })).toThrow('Maximum price must be a positive number.');
+        expect(api.normalizeSearchOptions({ adults: '', maxPrice: null })).toMatchObject({ adults: 1, children: 0, infants: 0, maxPrice: null });
+    });
+});
@@ -0,0 +1,170 @@
+const FlightTracker = require('../services/flightTracker');
+const { InvalidRequestError, UpstreamUnavailableError } = require('../services/errors');
+
+// AI101 leaves DEL at 06:00 local (00:30 UTC) and lands at BOM at 08:10 local
+const track = { carrier_code: 'AI', flight_number: '101', date: '2026-12-01', origin: 'DEL', destination: 'BOM' };
+const status = {
+    departureAirport: 'DEL',
+    arrivalAirport: 'BOM',
+    scheduledDepartureTime: '2026-12-01T06:00+05:30',
+    scheduledArrivalTime: '2026-12-01T08:10+05:30',
+    estimatedDepartureTime: null,
+    estimatedArrivalTime: null,
+    actualDepartureTime: null,
+    actualArrivalTime: null,
+    divertedTo: null,
+    status: 'SCHEDULED'
+};
+
+describe('FlightTracker.getNextCheckTime', () => {
+    const tracker = new FlightTracker(null, null, null, null);
+
+    function nextCheck(now, latestStatus = status) {
+        return tracker.getNextCheckTime(track, latestStatus, new Date(now));
+    }
+
+    test('checks daily while the flight is days away', () => {
+        expect(nextCheck('2026-11-26T00:30:00Z')).toBe('2026-11-27T00:30:00.000Z');
+    });
+
+    test('does not sleep past the start of the last day', () => {
+        expect(nextCheck('2026-11-29T12:00:00Z')).toBe('2026-11-30T00:30:00.000Z');
+    });
+
+    test('checks hourly in the last day', () => {
+        expect(nextCheck('2026-11-30T12:00:00Z')).toBe('2026-11-30T13:00:00.000Z');
+    });
+
+    test('checks every few minutes close to departure', () => {
+        expect(nextCheck('2026-12-01T00:00:00Z')).toBe('2026-12-01T00:05:00.000Z');
+    });
+
+    test('follows a delayed departure', () => {
+        const delayed = {
+            ...status,
+            estimatedDepartureTime: '2026-12-01T12:00+05:30',
+            estimatedArrivalTime: '2026-12-01T14:10+05:30',
+            status: 'DELAYED'
+        };
+        // Hourly until three hours before the new departure (03:30 UTC)
+        expect(nextCheck('2026-12-01T03:00:00Z', delayed)).toBe('2026-12-01T03:30:00.000Z');
+    });
+
+    test('stops once the flight has landed or is cancelled', () => {
+        expect(nextCheck('2026-12-01T03:00:00Z', { ...status, actualArrivalTime: '2026-12-01T08:05+05:30' })).toBeNull();
+        expect(nextCheck('2026-11-30T12:00:00Z', { ...status, status: 'CANCELLED' })).toBeNull();
+    });
+
+    test('gives up on a flight that never reported landing', () => {
+        expect(nextCheck('2026-12-03T00:00:00Z', null)).toBeNull();
+    });
+});
+
+describe('FlightTracker.checkSingleFlightStatus when the status lookup fails', () => {
+    const activeTrack = {
+        ...track,
+        track_id: 'track-1',
+        telegram_id: '42',
+        active: true,
+        last_status: JSON.stringify({ ...status, flightDesignator: { carrierCode: 'AI', flightNumber: 101 } })
+    };
+
+    function trackerFailingWith(error) {
+        const database = {
+            getFlightTrack: jest.fn(async () => activeTrack),
+            updateFlightTrackCheckTime: jest.fn(async () => true),
+            finishFlightTrack: jest.fn(async () => true)
+        };
+        const flightAPI = { getFlightStatus: jest.fn(async () => { throw error; }) };
+        return { tracker: new FlightTracker(null, flightAPI, database, null), database };
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('tries again at the next scheduled check', async () => {
+        jest.setSystemTime(new Date('2026-11-30T12:00:00Z'));
+        const { tracker, database } = trackerFailingWith(new UpstreamUnavailableError('down'));
+
+        await tracker.checkSingleFlightStatus('track-1', 'background');
+        expect(database.updateFlightTrackCheckTime).toHaveBeenCalledWith(activeTrack, '2026-11-30T13:00:00.000Z');
+        expect(database.finishFlightTrack).not.toHaveBeenCalled();
+    });
+
+    test('waits at least the close-check interval near departure', async () => {
+        jest.setSystemTime(new Date('2026-12-01T00:00:00Z'));
+        const { tracker, database } = trackerFailingWith(new UpstreamUnavailableError('down'));
+
+        await tracker.checkSingleFlightStatus('track-1', 'background');
+        expect(database.updateFlightTrackCheckTime).toHaveBeenCalledWith(activeTrack, '2026-12-01T00:05:00.000Z');
+    });
+
+    test('stops tracking a flight the providers reject', async () => {
+        jest.setSystemTime(new Date('2026-11-30T12:00:00Z'));
+        const { tracker, database } = trackerFailingWith(new InvalidRequestError('date in the past'));
+
+        await tracker.checkSingleFlightStatus('track-1', 'background');
+        expect(database.finishFlightTrack).toHaveBeenCalledWith(activeTrack);
+        expect(database.updateFlightTrackCheckTime).not.toHaveBeenCalled();
+    });
+
+    test('stops tracking once the flight is long over', async () => {
+        jest.setSystemTime(new Date('2026-12-03T00:00:00Z'));
+        const { tracker, database } = trackerFailingWith(new UpstreamUnavailableError('down'));
+
+        await tracker.checkSingleFlightStatus('track-1', 'background');
+        expect(database.finishFlightTrack).toHaveBeenCalledWith(activeTrack);
+    });
+});
+
+describe('FlightTracker.checkDueTrackedFlights', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('skips a run while the previous one is still going', async () => {
+        let finishQuery;
+        const database = {
+            getDueFlightTracks: jest.fn(async () => [])
+                .mockImplementationOnce(() => new Promise(resolve => { finishQuery = resolve; }))
+        };
+        const tracker = new FlightTracker(null, { isHealthy: () => true }, database, null);
+
+        const firstRun = tracker.checkDueTrackedFlights();
+        await tracker.checkDueTrackedFlights();
+        finishQuery([]);
+        await firstRun;
+        expect(database.getDueFlightTracks).toHaveBeenCalledTimes(1);
+
+        await tracker.checkDueTrackedFlights();
+        expect(database.getDueFlightTracks).toHaveBeenCalledTimes(2);
+    });
+
+    test('checks the due tracks it read without looking them up again', async () => {
+        const dueTrack = { ...track, track_id: 'track-1', telegram_id: '42', active: true, last_status: null };
+        const database = {
+            getDueFlightTracks: jest.fn(async () => [dueTrack]),
+            getFlightTrack: jest.fn(),
+            updateFlightTrackCheckTime: jest.fn(async () => true)
+        };
+        const flightAPI = { isHealthy: () => true, getFlightStatus: jest.fn(async () => null) };
+        const tracker = new FlightTracker(null, flightAPI, database, null);
+
+        await tracker.checkDueTrackedFlights();
+        expect(flightAPI.getFlightStatus).toHaveBeenCalledWith('AI', '101', '2026-12-01', { priority: 'background' });
+        expect(database.updateFlightTrackCheckTime).toHaveBeenCalledWith(dueTrack, expect.any(String));
+        expect(database.getFlightTrack).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,61 @@
+const RateLimiter = require('../services/rateLimiter');
+const QuotaCounter = require('../services/quotaCounter');
+const { RateLimitedError } = require('../services/errors');
+
+// A counter that another instance has already used, as Redis would report it
+function sharedCounter(alreadyUsed) {
+    const counter = new QuotaCounter({ name: 'test', redisUrl: null });
+    counter.memory = { month: counter.currentMonth(), count: alreadyUsed };
+    return counter;
+}
+
+describe('RateLimiter', () => {
+    test('serves interactive work before background work', async () => {
+        // Slow enough that no second token arrives while the three tasks are queued
+        const limiter = new RateLimiter({ ratePerSecond: 20, burst: 1 });
+        const order = [];
+
+        const background = limiter.schedule(async () => order.push('background-1'), 'background');
+        const moreBackground = limiter.schedule(async () => order.push('background-2'), 'background');
+        const interactive = limiter.schedule(async () => order.push('interactive'), 'interactive');
+        await Promise.all([background, moreBackground, interactive]);
+
+        expect(order.indexOf('interactive')).toBeLessThan(order.indexOf('background-2'));
+    });
+
+    test('continues the month from the shared count', async () => {
+        const limiter = new RateLimiter({ ratePerSecond: 1000, monthlyQuota: 3, counter: sharedCounter(2) });
+
+        await expect(limiter.schedule(async () => 'ok', 'interactive')).resolves.toBe('ok');
+        await expect(limiter.schedule(async () => 'ok', 'interactive')).rejects.toBeInstanceOf(RateLimitedError);
+        expect(limiter.getStats().monthlyUsed).toBe(3);
+    });
+
+    test('keeps the rest of the quota for interactive requests', async () => {
+        const limiter = new RateLimiter({
+            ratePerSecond: 1000,
+            monthlyQuota: 10,
+            backgroundQuotaShare: 0.5,
+            counter: sharedCounter(5)
+        });
+
+        const error = await limiter.schedule(async () => 'ok', 'background').catch(rejection => rejection);
+        expect(error.quotaExceeded).toBe(true);
+        await expect(limiter.schedule(async () => 'ok', 'interactive')).resolves.toBe('ok');
+    });
+
+    test('gives back quota for requests the API turned away', async () => {
+        const limiter = new RateLimiter({
+            ratePerSecond: 1000,
+            monthlyQuota: 10,
+            counter: sharedCounter(0),
+            isBillable: error => error.message !== 'rate limited'
+        });
+
+        await expect(limiter.schedule(async () => { throw new Error('rate limited'); }, 'interactive')).rejects.toThrow();
+        await expect(limiter.schedule(async () => { throw new Error('bad request'); }, 'interactive')).rejects.toThrow();
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(limiter.getStats().monthlyUsed).toBe(1);
+    });
+});
@@ -0,0 +1,69 @@
+const { diffFlightStatus, isAudible } = require('../services/statusDiff');
+
+// A normalized status of AI101 DEL-BOM, as the providers return it
+function flightStatus(overrides = {}) {
+    return {
+        flightDesignator: { carrierCode: 'AI', flightNumber: 101 },
+        departureAirport: 'DEL',
+        arrivalAirport: 'BOM',
+        scheduledDepartureTime: '2026-12-01T06:00+05:30',
+        scheduledArrivalTime: '2026-12-01T08:10+05:30',
+        estimatedDepartureTime: null,
+        estimatedArrivalTime: null,
+        actualDepartureTime: null,
+        actualArrivalTime: null,
+        departureTerminal: '3',
+        departureGate: '42',
+        terminal: '2',
+        gate: null,
+        cancelled: false,
+        divertedTo: null,
+        status: 'SCHEDULED',
+        departureDelayMinutes: null,
+        arrivalDelayMinutes: null,
+        ...overrides
+    };
+}
+
+describe('diffFlightStatus', () => {
+    test('reports nothing when nothing changed', () => {
+        expect(diffFlightStatus(flightStatus(), flightStatus())).toEqual([]);
+    });
+
+    test('reports a gate change out loud', () => {
+        const changes = diffFlightStatus(flightStatus(), flightStatus({ departureGate: 'C4' }));
+
+        expect(changes).toEqual([{ type: 'departureGate', urgency: 'audible', text: '🚪 Gate changed 42 → C4' }]);
+        expect(isAudible(changes)).toBe(true);
+    });
+
+    test('reports a delay with the new departure time', () => {
+        const changes = diffFlightStatus(flightStatus(), flightStatus({
+            estimatedDepartureTime: '2026-12-01T06:45+05:30',
+            status: 'DELAYED',
+            departureDelayMinutes: 45
+        }));
+
+        expect(changes.map(item => item.type)).toEqual(['departureTime']);
+        expect(changes[0].text).toBe('🕒 Departure delayed 45 min, now 06:45');
+    });
+
+    test('ignores times moving within the threshold', () => {
+        const changes = diffFlightStatus(flightStatus(), flightStatus({ estimatedDepartureTime: '2026-12-01T06:05+05:30' }));
+        expect(changes).toEqual([]);
+    });
+
+    test('tells about a cancellation once', () => {
+        const cancelled = flightStatus({ status: 'CANCELLED', cancelled: true });
+
+        expect(diffFlightStatus(flightStatus(), cancelled).map(item => item.type)).toEqual(['cancelled']);
+        expect(diffFlightStatus(cancelled, cancelled)).toEqual([]);
+    });
+
+    test('keeps arrival-only changes silent', () => {
+        const changes = diffFlightStatus(flightStatus(), flightStatus({ gate: 'B7' }));
+
+        expect(changes).toEqual([{ type: 'arrivalGate', urgency: 'silent', text: '🚪 Arrival gate B7 assigned' }]);
+        expect(isAudible(changes)).toBe(false);
+    });
+});